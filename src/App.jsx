@@ -8,14 +8,19 @@
  * - Each dashboard section is a separate component
  * - Follows "Split, Don't Lump" principle from coding guidelines
  * - Session management centralized here, passed down via props
+ * - URL routing (History API) with permission guards from config/routes.js
+ * - Permission registry (config/permissions.js) exposed via PermissionProvider
  * 
  * @since 2025-08-27
+ * @updated 2026-10-19 - Replaced activeTab state with URL routing and deep links
  * @see ./components/ for individual dashboard components
+ * @see ./config/routes.js for the route table
  */
 
 import React, { useState, useEffect } from 'react';
 import { logger } from './utils/logger';
 import { API_CONFIG } from './config/apiConfig';
+import { buildPath, canAccessRoute, getRedirectPath } from './config/routes';
 import { request } from './services/api';
 import ErrorBoundary from './components/ErrorBoundary/ErrorBoundary';
 import Login from './components/Login/Login';
@@ -26,13 +31,83 @@ import SystemAdminDashboard from './components/SystemAdminDashboard/SystemAdminD
 import { NotificationsDashboard } from './components/AdminNotifications';
 import TeamManagement from './components/TeamManagement/TeamManagement';
 import GamePanel from './components/GamePanel/GamePanel';
+import Leaderboard from './components/Leaderboard/Leaderboard';
 import Profile from './components/Profile/Profile';
 import Footer from './components/Footer/Footer';
 import Loader from './components/Loader/Loader';
 import { ChatProvider } from './contexts/ChatContext';
+import { RouterProvider, useRouter } from './contexts/RouterContext';
+import { PermissionProvider } from './contexts/PermissionContext';
 import { ChatWidget } from './components/ChatWidget';
 import './App.css';
 
+/**
+ * Section components by route id (see config/routes.js)
+ */
+const SECTION_COMPONENTS = {
+    system_admin: SystemAdminDashboard,
+    dashboard: GameAdminDashboard,
+    notifications: NotificationsDashboard,
+    team_management: TeamManagement,
+    game: GamePanel,
+    leaderboard: Leaderboard,
+    profile: Profile
+};
+
+/**
+ * Authenticated layout - resolves the current URL and renders its section.
+ *
+ * Unknown or unauthorized locations are redirected (history replace) to an
+ * allowed one before anything is rendered.
+ *
+ * @param {Object} props
+ * @param {Object} props.user - Current authenticated user
+ * @param {Function} props.onLogout - Logout handler
+ * @returns {JSX.Element}
+ */
+const RoutedApp = ({ user, onLogout }) => {
+    const { pathname, routeId, sub, navigate } = useRouter();
+    const redirectPath = getRedirectPath(user, routeId, sub);
+
+    useEffect(() => {
+        if (redirectPath) {
+            if (routeId && !canAccessRoute(user, routeId)) {
+                logger.warn('route_unauthorized_redirect', {
+                    from: pathname,
+                    to: redirectPath,
+                    userRole: user.role,
+                    module: 'App'
+                });
+            }
+            navigate(redirectPath, { replace: true });
+        }
+    }, [redirectPath, routeId, pathname, user, navigate]);
+
+    const Section = redirectPath ? null : SECTION_COMPONENTS[routeId];
+
+    return (
+        <div className="app">
+
+            <Header
+                user={user}
+                onLogout={onLogout}
+            />
+
+            <Navigation
+                activeTab={routeId}
+                onTabChange={(tabId) => navigate(buildPath(tabId))}
+                user={user}
+            />
+
+            {/* Active section - route guards live in config/routes.js */}
+            {Section && <Section user={user} />}
+
+            {/* Footer - Shows current role and permissions on all pages */}
+            <Footer user={user} />
+        </div>
+    );
+};
+
 /**
  * Main application component - authentication router only.
  * 
@@ -43,33 +118,11 @@ const App = () => {
     const [user, setUser] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
-    const [activeTab, setActiveTab] = useState(null);
 
     useEffect(() => {
         checkAuthStatus();
     }, []);
 
-    /**
-     * Set default tab based on user role when user logs in.
-     */
-    useEffect(() => {
-        if (user && !activeTab) {
-            // Set default tab based on role
-            if (user.role === 'admin') {
-                setActiveTab('system_admin');
-            } else if (user.role === 'content_admin' || user.role === 'system_admin') {
-                // Content admin and system admin go to system admin dashboard
-                setActiveTab('system_admin');
-            } else if (user.role === 'game_admin') {
-                setActiveTab('dashboard');
-            } else if (user.role === 'team_captain' || user.role === 'player') {
-                setActiveTab('game');
-            } else {
-                setActiveTab('profile'); // Fallback
-            }
-        }
-    }, [user, activeTab]);
-
     /**
      * Validate current user session with backend.
      *
@@ -184,60 +237,22 @@ const App = () => {
         );
     }
 
-    // Authenticated state - component router
+    // Authenticated state - URL router
     return (
         <ErrorBoundary>
-            <ChatProvider user={user}>
-                <div className="app">
-
-                    <Header
-                        user={user}
-                        onLogout={logout}
-                    />
-
-                    <Navigation
-                        activeTab={activeTab}
-                        onTabChange={setActiveTab}
-                        user={user}
-                    />
-
-                {/* System Admin Dashboard - admin, content_admin, system_admin can see this */}
-                {activeTab === 'system_admin' && (user.role === 'admin' || user.role === 'content_admin' || user.role === 'system_admin') && (
-                    <SystemAdminDashboard user={user} />
-                )}
-
-                {/* Game Admin Dashboard - Monitors running game progress */}
-                {activeTab === 'dashboard' && (user.role === 'admin' || user.role === 'game_admin') && (
-                    <GameAdminDashboard user={user} />
-                )}
-
-                {/* Notifications Dashboard - Only admin and game_admin can see this */}
-                {activeTab === 'notifications' && (user.role === 'admin' || user.role === 'game_admin') && (
-                    <NotificationsDashboard user={user} />
-                )}
-
-                {/* Team Management - Admin, game_admin, and team_captain can access */}
-                {activeTab === 'team_management' && (user.role === 'admin' || user.role === 'game_admin' || user.role === 'team_captain') && (
-                    <TeamManagement user={user} />
-                )}
-
-                {/* Game Panel - team_captain, player, and admin can access */}
-                {activeTab === 'game' && (user.role === 'team_captain' || user.role === 'player' || user.role === 'admin') && (
-                    <GamePanel user={user} />
-                )}
-
-                {/* Profile always available */}
-                {activeTab === 'profile' && (
-                    <Profile user={user} />
-                )}
-
-                {/* Footer - Shows current role and permissions on all pages */}
-                <Footer user={user} />
-                </div>
-
-                {/* Chat Widget - Available to all authenticated users */}
-                <ChatWidget />
-            </ChatProvider>
+            <PermissionProvider user={user}>
+                <RouterProvider>
+                    <ChatProvider user={user}>
+                        <RoutedApp
+                            user={user}
+                            onLogout={logout}
+                        />
+
+                        {/* Chat Widget - Available to all authenticated users */}
+                        <ChatWidget />
+                    </ChatProvider>
+                </RouterProvider>
+            </PermissionProvider>
         </ErrorBoundary>
     );
 };
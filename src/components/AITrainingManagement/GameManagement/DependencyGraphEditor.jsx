@@ -0,0 +1,424 @@
+/**
+ * Component: DependencyGraphEditor
+ * Purpose: Visual editor for game prerequisites of one event
+ * Part of: Easter Quest 2025 Frontend - AI Training Management
+ *
+ * Features:
+ * - Draw all games of an event as nodes with prerequisite edges
+ * - Drag from a node's handle onto another game to add a prerequisite
+ * - Click an edge to remove it
+ * - Cycle and unreachable game detection (saving is blocked until fixed)
+ * - Unlock simulation: mark games as completed and see what a team could play next
+ *
+ * Changes are kept locally until "Save" and then applied via
+ * addGameDependency/removeGameDependency.
+ *
+ * @since 2026-10-19
+ * @see ../../../utils/dependencyGraph.js
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { getGameDependencies, addGameDependency, removeGameDependency } from '../../../services';
+import {
+  findCycles,
+  findUnreachableGames,
+  simulateUnlocks,
+  wouldCreateCycle,
+  layoutGraph
+} from '../../../utils/dependencyGraph';
+import { logger } from '../../../utils/logger';
+
+const NODE_WIDTH = 170;
+const NODE_HEIGHT = 44;
+const COLUMN_GAP = 80;
+const ROW_GAP = 24;
+const PADDING = 20;
+
+const edgeKey = (edge) => `${edge.dependsOnId}->${edge.gameId}`;
+
+const truncate = (text, length = 22) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+function DependencyGraphEditor({ games, events = [] }) {
+  const eventIds = useMemo(
+    () => [...new Set(games.map(game => game.event_id))].filter(id => id != null),
+    [games]
+  );
+  const [eventId, setEventId] = useState(eventIds[0] ?? null);
+  const [edges, setEdges] = useState([]);
+  const [savedEdges, setSavedEdges] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [dragFrom, setDragFrom] = useState(null);
+  const [pointer, setPointer] = useState(null);
+  const [simulate, setSimulate] = useState(false);
+  const [completedIds, setCompletedIds] = useState([]);
+
+  const eventGames = useMemo(
+    () => games
+      .filter(game => game.event_id === eventId)
+      .sort((a, b) => (a.order_index ?? 0) - (b.order_index ?? 0)),
+    [games, eventId]
+  );
+  const gameIds = useMemo(() => eventGames.map(game => game.id), [eventGames]);
+  const titleOf = (id) => eventGames.find(game => game.id === id)?.title || `#${id}`;
+
+  /**
+   * Load prerequisites of all games of the selected event
+   */
+  useEffect(() => {
+    let cancelled = false;
+    const loadEdges = async () => {
+      setLoading(true);
+      setMessage(null);
+      try {
+        const responses = await Promise.all(gameIds.map(id => getGameDependencies(id)));
+        const loaded = responses.flatMap((response, index) => (response?.dependencies || [])
+          .map(dep => ({ gameId: gameIds[index], dependsOnId: dep.id })));
+        if (!cancelled) {
+          setEdges(loaded);
+          setSavedEdges(loaded);
+          setCompletedIds([]);
+        }
+      } catch (error) {
+        logger.error('game_dependency_graph_load_failed', { eventId, errorMessage: error.message, module: 'DependencyGraphEditor' }, error);
+        if (!cancelled) setMessage({ type: 'error', text: `Failed to load dependencies: ${error.message}` });
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadEdges();
+    return () => {
+      cancelled = true;
+    };
+  }, [gameIds, eventId]);
+
+  const cycles = useMemo(() => findCycles(gameIds, edges), [gameIds, edges]);
+  const unreachable = useMemo(() => findUnreachableGames(gameIds, edges), [gameIds, edges]);
+  const positions = useMemo(() => layoutGraph(gameIds, edges), [gameIds, edges]);
+  const simulation = useMemo(
+    () => simulateUnlocks(gameIds, edges, completedIds),
+    [gameIds, edges, completedIds]
+  );
+
+  const cycleEdgeKeys = new Set(cycles.flatMap(cycle => cycle.map((id, index) => (
+    // Cycles are reported as prerequisite paths: each entry depends on the next one
+    edgeKey({ gameId: id, dependsOnId: cycle[(index + 1) % cycle.length] })
+  ))));
+  const savedKeys = new Set(savedEdges.map(edgeKey));
+  const currentKeys = new Set(edges.map(edgeKey));
+  const added = edges.filter(edge => !savedKeys.has(edgeKey(edge)));
+  const removed = savedEdges.filter(edge => !currentKeys.has(edgeKey(edge)));
+  const dirty = added.length > 0 || removed.length > 0;
+
+  const columns = Math.max(0, ...[...positions.values()].map(p => p.column + 1));
+  const rows = Math.max(0, ...[...positions.values()].map(p => p.row + 1));
+  const width = PADDING * 2 + columns * NODE_WIDTH + Math.max(0, columns - 1) * COLUMN_GAP;
+  const height = PADDING * 2 + rows * NODE_HEIGHT + Math.max(0, rows - 1) * ROW_GAP;
+
+  const nodePosition = (id) => {
+    const { column, row } = positions.get(id);
+    return {
+      x: PADDING + column * (NODE_WIDTH + COLUMN_GAP),
+      y: PADDING + row * (NODE_HEIGHT + ROW_GAP)
+    };
+  };
+
+  /**
+   * Add a prerequisite edge (prerequisite -> game)
+   *
+   * @param {number} dependsOnId - Prerequisite game
+   * @param {number} gameId - Game that gets locked behind it
+   */
+  const connect = (dependsOnId, gameId) => {
+    if (dependsOnId === gameId) return;
+    if (currentKeys.has(edgeKey({ gameId, dependsOnId }))) {
+      setMessage({ type: 'info', text: `"${titleOf(gameId)}" already requires "${titleOf(dependsOnId)}".` });
+      return;
+    }
+    if (wouldCreateCycle(edges, gameId, dependsOnId)) {
+      setMessage({ type: 'error', text: `"${titleOf(dependsOnId)}" already depends on "${titleOf(gameId)}" - this would create a cycle.` });
+      return;
+    }
+    setMessage(null);
+    setEdges(prev => [...prev, { gameId, dependsOnId }]);
+  };
+
+  /**
+   * Remove a prerequisite edge
+   *
+   * @param {Object} edge - { gameId, dependsOnId }
+   */
+  const disconnect = (edge) => {
+    setEdges(prev => prev.filter(e => edgeKey(e) !== edgeKey(edge)));
+  };
+
+  /**
+   * Handle mouse up on a node: finish a drag-to-connect
+   *
+   * @param {number} id - Target game
+   */
+  const handleNodeMouseUp = (id) => {
+    if (dragFrom !== null) {
+      connect(dragFrom, id);
+    }
+    setDragFrom(null);
+    setPointer(null);
+  };
+
+  /**
+   * Handle a click on a node (simulation: toggle completed)
+   *
+   * @param {number} id - Game ID
+   */
+  const handleNodeClick = (id) => {
+    if (!simulate) return;
+    setCompletedIds(prev => (prev.includes(id) ? prev.filter(c => c !== id) : [...prev, id]));
+  };
+
+  /**
+   * Track the pointer while dragging a new edge
+   *
+   * @param {MouseEvent} e - Mouse move event on the SVG
+   */
+  const handleMouseMove = (e) => {
+    if (dragFrom === null) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    setPointer({ x: e.clientX - rect.left, y: e.clientY - rect.top });
+  };
+
+  /**
+   * Apply local changes
+   *
+   * savedEdges follows every applied edge, so a retry after a partial
+   * failure only sends what is still missing.
+   */
+  const handleSave = async () => {
+    if (cycles.length > 0 || unreachable.length > 0) {
+      setMessage({ type: 'error', text: 'Fix cycles and unreachable games before saving.' });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      for (const edge of removed) {
+        await removeGameDependency(edge.gameId, edge.dependsOnId);
+        setSavedEdges(prev => prev.filter(saved => edgeKey(saved) !== edgeKey(edge)));
+      }
+      for (const edge of added) {
+        await addGameDependency(edge.gameId, edge.dependsOnId);
+        setSavedEdges(prev => [...prev, edge]);
+      }
+      logger.info('game_dependencies_saved', { eventId, added: added.length, removed: removed.length, module: 'DependencyGraphEditor' });
+      setMessage({ type: 'success', text: `Saved: ${added.length} added, ${removed.length} removed.` });
+    } catch (error) {
+      logger.error('game_dependencies_save_failed', { eventId, errorMessage: error.message, module: 'DependencyGraphEditor' }, error);
+      setMessage({ type: 'error', text: `Failed to save dependencies: ${error.data?.detail || error.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const nodeClass = (id) => {
+    const classes = ['graph-node'];
+    if (simulate) {
+      if (simulation.completed.includes(id)) classes.push('sim-completed');
+      else if (simulation.available.includes(id)) classes.push('sim-available');
+      else classes.push('sim-locked');
+    } else if (unreachable.includes(id)) {
+      classes.push('unreachable');
+    }
+    if (dragFrom === id) classes.push('drag-source');
+    return classes.join(' ');
+  };
+
+  const renderEdge = (edge) => {
+    const from = nodePosition(edge.dependsOnId);
+    const to = nodePosition(edge.gameId);
+    const x1 = from.x + NODE_WIDTH;
+    const y1 = from.y + NODE_HEIGHT / 2;
+    const x2 = to.x;
+    const y2 = to.y + NODE_HEIGHT / 2;
+    const bend = Math.max(40, Math.abs(x2 - x1) / 2);
+    const label = `Remove dependency ${titleOf(edge.dependsOnId)} → ${titleOf(edge.gameId)}`;
+
+    return (
+      <path
+        key={edgeKey(edge)}
+        d={`M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`}
+        className={`graph-edge ${cycleEdgeKeys.has(edgeKey(edge)) ? 'cycle' : ''} ${savedKeys.has(edgeKey(edge)) ? '' : 'unsaved'}`}
+        markerEnd="url(#graph-arrow)"
+        role={simulate ? undefined : 'button'}
+        aria-label={simulate ? undefined : label}
+        onClick={simulate ? undefined : () => disconnect(edge)}
+      >
+        <title>{simulate ? `${titleOf(edge.dependsOnId)} → ${titleOf(edge.gameId)}` : label}</title>
+      </path>
+    );
+  };
+
+  if (eventIds.length === 0) {
+    return (
+      <div className="empty-state">
+        <p>No games with an event yet.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dependency-graph">
+      <div className="dependency-graph-toolbar">
+        {eventIds.length > 1 && (
+          <label>
+            Event:{' '}
+            <select value={eventId ?? ''} onChange={(e) => setEventId(parseInt(e.target.value, 10))} disabled={dirty}>
+              {eventIds.map(id => (
+                <option key={id} value={id}>
+                  {events.find(event => event.id === id)?.title || `Event ${id}`}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label className="dependency-graph-mode">
+          <input
+            type="checkbox"
+            checked={simulate}
+            onChange={(e) => {
+              setSimulate(e.target.checked);
+              setDragFrom(null);
+            }}
+          />
+          Simulate unlocks
+        </label>
+        <button className="btn btn-sm btn-outline" onClick={() => setEdges(savedEdges)} disabled={!dirty || saving}>
+          ↩️ Discard
+        </button>
+        <button className="btn btn-sm btn-primary" onClick={handleSave} disabled={!dirty || saving}>
+          {saving ? 'Saving...' : `💾 Save${dirty ? ` (${added.length + removed.length})` : ''}`}
+        </button>
+      </div>
+
+      <p className="section-description">
+        {simulate
+          ? 'Click games to mark them as completed. Green games are unlocked for the team.'
+          : 'Drag from the ● handle of a game onto the game it unlocks. Click an arrow to remove it.'}
+      </p>
+
+      {message && <div className={`graph-message ${message.type}`} role="status">{message.text}</div>}
+
+      {cycles.length > 0 && (
+        <div className="graph-message error">
+          <strong>Cycles:</strong>
+          <ul>
+            {cycles.map(cycle => (
+              <li key={cycle.join('-')}>{[...cycle, cycle[0]].map(titleOf).join(' requires ')}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {unreachable.length > 0 && (
+        <div className="graph-message error">
+          <strong>Unreachable games:</strong> {unreachable.map(titleOf).join(', ')}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading">Loading dependencies...</div>
+      ) : (
+        <div className="dependency-graph-canvas">
+          <svg
+            width={width}
+            height={height}
+            onMouseMove={handleMouseMove}
+            onMouseUp={() => {
+              setDragFrom(null);
+              setPointer(null);
+            }}
+            onMouseLeave={() => {
+              setDragFrom(null);
+              setPointer(null);
+            }}
+          >
+            <defs>
+              <marker id="graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto">
+                <path d="M 0 0 L 10 5 L 0 10 z" />
+              </marker>
+            </defs>
+
+            {edges.filter(edge => positions.has(edge.gameId) && positions.has(edge.dependsOnId)).map(renderEdge)}
+
+            {dragFrom !== null && pointer && (
+              <line
+                className="graph-edge dragging"
+                x1={nodePosition(dragFrom).x + NODE_WIDTH}
+                y1={nodePosition(dragFrom).y + NODE_HEIGHT / 2}
+                x2={pointer.x}
+                y2={pointer.y}
+              />
+            )}
+
+            {eventGames.map(game => {
+              const { x, y } = nodePosition(game.id);
+              return (
+                <g
+                  key={game.id}
+                  className={nodeClass(game.id)}
+                  transform={`translate(${x}, ${y})`}
+                  role="button"
+                  aria-label={game.title}
+                  onMouseUp={() => handleNodeMouseUp(game.id)}
+                  onClick={() => handleNodeClick(game.id)}
+                >
+                  <title>{game.title}</title>
+                  <rect width={NODE_WIDTH} height={NODE_HEIGHT} rx="8" />
+                  <text x="12" y={NODE_HEIGHT / 2 + 5}>{truncate(game.title)}</text>
+                  {!simulate && (
+                    <circle
+                      className="graph-handle"
+                      cx={NODE_WIDTH}
+                      cy={NODE_HEIGHT / 2}
+                      r="7"
+                      role="button"
+                      aria-label={`Connect from ${game.title}`}
+                      onMouseDown={(e) => {
+                        e.stopPropagation();
+                        setDragFrom(game.id);
+                      }}
+                    />
+                  )}
+                </g>
+              );
+            })}
+          </svg>
+        </div>
+      )}
+
+      {simulate && (
+        <div className="dependency-graph-simulation" role="status">
+          <strong>Unlocked for the team:</strong>{' '}
+          {simulation.available.length > 0 ? simulation.available.map(titleOf).join(', ') : 'none'}
+          {' · '}
+          {simulation.completed.length} completed, {simulation.locked.length} locked
+        </div>
+      )}
+    </div>
+  );
+}
+
+DependencyGraphEditor.propTypes = {
+  games: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    title: PropTypes.string.isRequired,
+    event_id: PropTypes.number,
+    order_index: PropTypes.number
+  })).isRequired,
+  events: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.number,
+    title: PropTypes.string
+  }))
+};
+
+export default DependencyGraphEditor;
@@ -7,13 +7,16 @@
  * - List all games
  * - Create/edit/delete games
  * - Manage game metadata (difficulty, category, points, etc.)
+ * - Dependency graph view (prerequisites, cycle check, unlock simulation)
  *
  * @since 2025-11-20
+ * @updated 2026-10-19 - Added dependency graph view
  */
 
 import React, { useState } from 'react';
 import { createGame, updateGame, deleteGame } from '../../../services';
 import GameModal from './GameModal';
+import DependencyGraphEditor from './DependencyGraphEditor';
 import DeleteConfirmModal from '../shared/DeleteConfirmModal';
 import { logger } from '../../../utils/logger';
 
@@ -22,6 +25,7 @@ function GameManagement({ games, events, categories, onGamesChanged }) {
   const [showGameModal, setShowGameModal] = useState(false);
   const [showGameDeleteModal, setShowGameDeleteModal] = useState(false);
   const [gameToDelete, setGameToDelete] = useState(null);
+  const [view, setView] = useState('list'); // list, graph
 
   const [gameForm, setGameForm] = useState({
     event_id: null,
@@ -187,59 +191,77 @@ function GameManagement({ games, events, categories, onGamesChanged }) {
       <div className="games-section">
         <div className="section-header">
           <h3>Game Content Management</h3>
+          <div className="view-toggle">
+            <button
+              className={`btn btn-sm ${view === 'list' ? 'btn-primary' : 'btn-outline'}`}
+              onClick={() => setView('list')}
+            >
+              📋 List
+            </button>
+            <button
+              className={`btn btn-sm ${view === 'graph' ? 'btn-primary' : 'btn-outline'}`}
+              onClick={() => setView('graph')}
+            >
+              🕸️ Dependency Graph
+            </button>
+          </div>
           <button className="btn btn-primary" onClick={_handleCreateGame}>
             ➕ Create New Game
           </button>
         </div>
 
-        <div className="games-list">
-          {games.length === 0 ? (
-            <div className="empty-state">
-              <p>No games created yet.</p>
-              <p>Click "Create New Game" to add one.</p>
-            </div>
-          ) : (
-            games.map(game => (
-              <div key={game.id} className="game-item">
-                <div className="game-header">
-                  <h4>{game.title}</h4>
-                  <span className={`difficulty-badge ${game.difficulty_level}`}>
-                    {game.difficulty_level || 'medium'}
-                  </span>
-                </div>
+        {view === 'graph' ? (
+          <DependencyGraphEditor games={games} events={events} />
+        ) : (
+          <div className="games-list">
+            {games.length === 0 ? (
+              <div className="empty-state">
+                <p>No games created yet.</p>
+                <p>Click "Create New Game" to add one.</p>
+              </div>
+            ) : (
+              games.map(game => (
+                <div key={game.id} className="game-item">
+                  <div className="game-header">
+                    <h4>{game.title}</h4>
+                    <span className={`difficulty-badge ${game.difficulty_level}`}>
+                      {game.difficulty_level || 'medium'}
+                    </span>
+                  </div>
 
-                <div className="game-meta">
-                  <span className="game-type">{game.category?.name || 'Uncategorized'}</span>
-                  <span className="game-order">Order: {game.order_index}</span>
-                  <span className="game-points">{game.points_value} points</span>
-                </div>
+                  <div className="game-meta">
+                    <span className="game-type">{game.category?.name || 'Uncategorized'}</span>
+                    <span className="game-order">Order: {game.order_index}</span>
+                    <span className="game-points">{game.points_value} points</span>
+                  </div>
 
-                <div className="game-description">{game.description}</div>
+                  <div className="game-description">{game.description}</div>
 
-                {game.ai_progress_guide && (
-                  <div className="game-education">
-                    <strong>🎓 Technical Skills:</strong> {game.technical_skills}
-                  </div>
-                )}
+                  {game.ai_progress_guide && (
+                    <div className="game-education">
+                      <strong>🎓 Technical Skills:</strong> {game.technical_skills}
+                    </div>
+                  )}
 
-                {game.technical_skills && (
-                  <div className="game-skills">
-                    <strong>🔧 Skills:</strong> {game.technical_skills}
-                  </div>
-                )}
+                  {game.technical_skills && (
+                    <div className="game-skills">
+                      <strong>🔧 Skills:</strong> {game.technical_skills}
+                    </div>
+                  )}
 
-                <div className="game-actions">
-                  <button className="btn btn-sm btn-primary" onClick={() => _handleEditGame(game)}>
-                    ✏️ Edit
-                  </button>
-                  <button className="btn btn-sm btn-outline danger" onClick={() => _handleDeleteGame(game)}>
-                    🗑️ Delete
-                  </button>
+                  <div className="game-actions">
+                    <button className="btn btn-sm btn-primary" onClick={() => _handleEditGame(game)}>
+                      ✏️ Edit
+                    </button>
+                    <button className="btn btn-sm btn-outline danger" onClick={() => _handleDeleteGame(game)}>
+                      🗑️ Delete
+                    </button>
+                  </div>
                 </div>
-              </div>
-            ))
-          )}
-        </div>
+              ))
+            )}
+          </div>
+        )}
       </div>
 
       {/* Create/Edit Game Modal */}
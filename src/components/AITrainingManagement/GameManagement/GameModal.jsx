@@ -14,13 +14,26 @@
  *
  * @since 2025-11-20
  * @updated 2026-02-26 - Added reward management and collapsible sections
+ * @updated 2026-10-19 - Reward types come from the reward type registry
  */
 
 import React, { useState, useEffect } from 'react';
 import { logger } from '../../../utils/logger';
+import { getGameDependencies, addGameDependency, removeGameDependency } from '../../../services';
 import { getRewardsByGame, createReward, updateReward, deleteReward, listProvisionTriggers } from '../../../services/rewards';
+import { getRewardType, getRewardTypes, validateWebhookUrl } from '../../../config/rewardTypes';
 import ProvisionTriggerModal from '../ProvisionTriggerModal/ProvisionTriggerModal';
 
+// Container settings live on the provision trigger (see config/rewardTypes.js)
+const EMPTY_REWARD_FORM = {
+  reward_type: getRewardTypes()[0].id,
+  display_name: '',
+  description: '',
+  is_active: true,
+  api_url: '',
+  api_bearer_token: ''
+};
+
 function GameModal({ game, gameForm, events, categories, games, onFormChange, onSave, onClose }) {
   const [dependencies, setDependencies] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -30,18 +43,7 @@ function GameModal({ game, gameForm, events, categories, games, onFormChange, on
   const [loadingRewards, setLoadingRewards] = useState(false);
   const [showRewardModal, setShowRewardModal] = useState(false);
   const [editingReward, setEditingReward] = useState(null);
-  const [rewardForm, setRewardForm] = useState({
-    reward_type: 'ssh_key',
-    display_name: '',
-    description: '',
-    is_active: true,
-    api_url: '',
-    api_bearer_token: '',
-    // Container-specific fields
-    container_game_type: '',
-    container_memory: '256m',
-    container_cpu: '0.5'
-  });
+  const [rewardForm, setRewardForm] = useState(EMPTY_REWARD_FORM);
 
   // Provision trigger management state
   const [provisionTriggers, setProvisionTriggers] = useState({});  // Map of reward_id to triggers array
@@ -83,14 +85,8 @@ function GameModal({ game, gameForm, events, categories, games, onFormChange, on
   async function loadDependencies() {
     try {
       setLoading(true);
-      const response = await fetch(`/api/v1/admin/content/games/${game.id}/dependencies`, {
-        credentials: 'include'
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        setDependencies(data.dependencies || []);
-      }
+      const data = await getGameDependencies(game.id);
+      setDependencies(data.dependencies || []);
     } catch (error) {
       logger.error('game_dependencies_load_failed', {
         gameId: game.id,
@@ -109,19 +105,8 @@ function GameModal({ game, gameForm, events, categories, games, onFormChange, on
     if (!game || !game.id) return;
 
     try {
-      const response = await fetch(`/api/v1/admin/content/games/${game.id}/dependencies`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        credentials: 'include',
-        body: JSON.stringify({ depends_on_game_id: parseInt(prereqId) })
-      });
-
-      if (response.ok) {
-        await loadDependencies();
-      } else {
-        const error = await response.json();
-        alert(error.detail || 'Failed to add dependency');
-      }
+      await addGameDependency(game.id, parseInt(prereqId));
+      await loadDependencies();
     } catch (error) {
       logger.error('game_dependency_add_failed', {
         gameId: game.id,
@@ -129,7 +114,7 @@ function GameModal({ game, gameForm, events, categories, games, onFormChange, on
         errorMessage: error.message,
         module: 'GameModal'
       }, error);
-      alert('Failed to add dependency');
+      alert(error.data?.detail || 'Failed to add dependency');
     }
   }
 
@@ -141,14 +126,8 @@ function GameModal({ game, gameForm, events, categories, games, onFormChange, on
     if (!window.confirm('Remove this prerequisite?')) return;
 
     try {
-      const response = await fetch(`/api/v1/admin/content/games/${game.id}/dependencies/${prereqId}`, {
-        method: 'DELETE',
-        credentials: 'include'
-      });
-
-      if (response.ok) {
-        await loadDependencies();
-      }
+      await removeGameDependency(game.id, prereqId);
+      await loadDependencies();
     } catch (error) {
       logger.error('game_dependency_remove_failed', {
         gameId: game.id,
@@ -227,18 +206,7 @@ function GameModal({ game, gameForm, events, categories, games, onFormChange, on
    */
   function handleCreateReward() {
     setEditingReward(null);
-    setRewardForm({
-      reward_type: 'ssh_key',
-      display_name: '',
-      description: '',
-      is_active: true,
-      api_url: '',
-      api_bearer_token: '',
-      // Container-specific fields
-      container_game_type: '',
-      container_memory: '256m',
-      container_cpu: '0.5'
-    });
+    setRewardForm(EMPTY_REWARD_FORM);
     setShowRewardModal(true);
   }
 
@@ -279,6 +247,12 @@ function GameModal({ game, gameForm, events, categories, games, onFormChange, on
       return;
     }
 
+    const webhookError = rewardForm.api_url ? validateWebhookUrl(rewardForm.api_url) : null;
+    if (webhookError) {
+      alert(webhookError);
+      return;
+    }
+
     try {
       let rewardData = {
         reward_type: rewardForm.reward_type,
@@ -824,7 +798,7 @@ function GameModal({ game, gameForm, events, categories, games, onFormChange, on
                                   fontSize: '11px',
                                   fontWeight: 'normal'
                                 }}>
-                                  {reward.reward_type}
+                                  {getRewardType(reward.reward_type).icon} {getRewardType(reward.reward_type).label}
                                 </span>
                                 {!reward.is_active && (
                                   <span style={{
@@ -1045,12 +1019,9 @@ function GameModal({ game, gameForm, events, categories, games, onFormChange, on
                   className="form-control"
                   disabled={!!editingReward} // Can't change type when editing
                 >
-                  <option value="ssh_key">🔑 SSH Key</option>
-                  <option value="api_token">🎫 API Token</option>
-                  <option value="password">🔐 Password</option>
-                  <option value="certificate">📜 Certificate</option>
-                  <option value="url">🔗 URL</option>
-                  <option value="secret_text">📝 Secret Text</option>
+                  {getRewardTypes().map(type => (
+                    <option key={type.id} value={type.id}>{type.icon} {type.label}</option>
+                  ))}
                 </select>
               </div>
 
@@ -1062,7 +1033,7 @@ function GameModal({ game, gameForm, events, categories, games, onFormChange, on
                   value={rewardForm.display_name}
                   onChange={(e) => setRewardForm({ ...rewardForm, display_name: e.target.value })}
                   className="form-control"
-                  placeholder="e.g., SSH Private Key for Server Access"
+                  placeholder={getRewardType(rewardForm.reward_type).placeholder}
                 />
               </div>
 
@@ -6,16 +6,25 @@
  * Features:
  * - Create/edit provision trigger for a reward
  * - Select trigger game
- * - Configure API URL and bearer token
+ * - Configure provisioning fields of the reward type (webhook URL and token,
+ *   container limits, nothing for internal types)
  * - Set trigger order
  *
  * @since 2026-03-06
+ * @updated 2026-10-19 - Fields, validation and payload come from the reward type registry
  */
 
 import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { logger } from '../../../utils/logger';
 import { createProvisionTrigger, updateProvisionTrigger, deleteProvisionTrigger } from '../../../services/rewards';
+import {
+  getRewardType,
+  isInternalRewardType,
+  getTriggerFieldValues,
+  validateTriggerFields,
+  buildTriggerPayload
+} from '../../../config/rewardTypes';
 import './ProvisionTriggerModal.css';
 
 /**
@@ -30,12 +39,12 @@ import './ProvisionTriggerModal.css';
  * @returns {JSX.Element}
  */
 function ProvisionTriggerModal({ reward, trigger, games, onSave, onClose }) {
+  const rewardType = getRewardType(reward.reward_type);
   const [loading, setLoading] = useState(false);
   const [form, setForm] = useState({
     trigger_on_game_id: '',
-    api_url: '',
-    api_bearer_token: '',
-    trigger_order: 0
+    trigger_order: 0,
+    ...getTriggerFieldValues(reward.reward_type)
   });
 
   // Initialize form when editing existing trigger
@@ -43,9 +52,9 @@ function ProvisionTriggerModal({ reward, trigger, games, onSave, onClose }) {
     if (trigger) {
       setForm({
         trigger_on_game_id: trigger.trigger_on_game_id || '',
-        api_url: trigger.api_url || '',
-        api_bearer_token: '', // Don't pre-fill token for security
-        trigger_order: trigger.trigger_order || 0
+        trigger_order: trigger.trigger_order || 0,
+        // Secret fields (bearer token) are not pre-filled for security
+        ...getTriggerFieldValues(reward.reward_type, trigger)
       });
     }
   }, [trigger, reward]);
@@ -61,19 +70,25 @@ function ProvisionTriggerModal({ reward, trigger, games, onSave, onClose }) {
       return;
     }
 
-    // Validate API URL for non-internal reward types
-    const internalRewardTypes = ['password', 'secret_text'];
-    if (!internalRewardTypes.includes(reward.reward_type) && !form.api_url) {
-      alert('Please enter an API URL for external provisioning');
+    const errors = validateTriggerFields(reward.reward_type, form);
+    if (errors.length > 0) {
+      alert(errors[0]);
       return;
     }
 
+    const provisioning = buildTriggerPayload(reward.reward_type, form);
     setLoading(true);
 
     try {
       if (trigger) {
-        // Update existing trigger
-        await updateProvisionTrigger(trigger.id, form);
+        // Update existing trigger (an empty token keeps the stored one)
+        const { api_bearer_token: token, ...rest } = provisioning;
+        await updateProvisionTrigger(trigger.id, {
+          trigger_on_game_id: parseInt(form.trigger_on_game_id),
+          trigger_order: form.trigger_order,
+          ...rest,
+          ...(token ? { api_bearer_token: token } : {})
+        });
         logger.info('provision_trigger_updated', {
           extra: {
             trigger_id: trigger.id,
@@ -82,16 +97,11 @@ function ProvisionTriggerModal({ reward, trigger, games, onSave, onClose }) {
           }
         });
       } else {
-        // Create new trigger
-        const internalRewardTypes = ['password', 'secret_text'];
-        const isInternalReward = internalRewardTypes.includes(reward.reward_type);
-
+        // Create new trigger (internal types send null URL and token)
         await createProvisionTrigger({
           reward_id: reward.id,
           trigger_on_game_id: parseInt(form.trigger_on_game_id),
-          // For internal rewards, send null instead of empty string
-          api_url: isInternalReward ? null : (form.api_url || null),
-          api_bearer_token: isInternalReward ? null : (form.api_bearer_token || null),
+          ...provisioning,
           trigger_order: form.trigger_order
         });
         logger.info('provision_trigger_created', {
@@ -162,7 +172,7 @@ function ProvisionTriggerModal({ reward, trigger, games, onSave, onClose }) {
 
         <div className="modal-body">
           <div className="reward-context">
-            <strong>Reward:</strong> {reward.display_name} ({reward.reward_type})
+            <strong>Reward:</strong> {reward.display_name} ({rewardType.icon} {rewardType.label})
           </div>
 
           <form onSubmit={handleSubmit}>
@@ -187,44 +197,27 @@ function ProvisionTriggerModal({ reward, trigger, games, onSave, onClose }) {
               </small>
             </div>
 
-            {/* Show webhook fields for external provisioning only */}
-            {!['password', 'secret_text'].includes(reward.reward_type) && (
-              <>
-                <div className="form-group">
-                  <label htmlFor="api-url">🔗 Webhook API URL *</label>
-                  <input
-                    type="text"
-                    id="api-url"
-                    value={form.api_url}
-                    onChange={(e) => setForm({ ...form, api_url: e.target.value })}
-                    className="form-control"
-                    placeholder="https://server.example.com/api/provision"
-                    required
-                  />
-                  <small className="form-hint">
-                    HTTPS URL to POST provision request to
-                  </small>
-                </div>
-
-                <div className="form-group">
-                  <label htmlFor="bearer-token">🔑 Bearer Token</label>
-                  <input
-                    type="password"
-                    id="bearer-token"
-                    value={form.api_bearer_token}
-                    onChange={(e) => setForm({ ...form, api_bearer_token: e.target.value })}
-                    className="form-control"
-                    placeholder="your-secret-bearer-token"
-                  />
-                  <small className="form-hint">
-                    Optional authentication token for webhook
-                  </small>
-                </div>
-              </>
-            )}
+            {/* Provisioning fields of the reward type */}
+            {rewardType.fields.map(field => (
+              <div className="form-group" key={field.name}>
+                <label htmlFor={`trigger-${field.name}`}>
+                  {field.icon} {field.label}{field.required ? ' *' : ''}
+                </label>
+                <input
+                  type={field.type || 'text'}
+                  id={`trigger-${field.name}`}
+                  value={form[field.name]}
+                  onChange={(e) => setForm({ ...form, [field.name]: e.target.value })}
+                  className="form-control"
+                  placeholder={trigger && field.type === 'password' ? 'Leave empty to keep existing token' : field.placeholder}
+                  required={!!field.required}
+                />
+                {field.hint && <small className="form-hint">{field.hint}</small>}
+              </div>
+            ))}
 
             {/* Info message for internal provisioning */}
-            {['password', 'secret_text'].includes(reward.reward_type) && (
+            {isInternalRewardType(reward.reward_type) && (
               <div className="form-group">
                 <div style={{
                   padding: '12px',
@@ -236,7 +229,7 @@ function ProvisionTriggerModal({ reward, trigger, games, onSave, onClose }) {
                 }}>
                   <strong>ℹ️ Internal Provisioning</strong>
                   <p style={{ margin: '8px 0 0 0', fontSize: '13px' }}>
-                    This reward type ({reward.reward_type}) is provisioned internally by the system.
+                    This reward type ({rewardType.label}) is provisioned internally by the system.
                     No external webhook URL is required.
                   </p>
                 </div>
@@ -7,6 +7,8 @@
  * - Real-time team progress and game completion stats
  * - Game analytics (completion rates, stuck teams, difficulty metrics)
  * - Rate limit management for login/API protection
+ * - Reward provisioning monitor (failed webhook calls, retry/resolve)
+ * - Security alert rules evaluated on the live stream (toast on every tab)
  *
  * Note: This is the GAME admin dashboard (monitors game progress).
  * The SYSTEM admin dashboard (game events, settings) is separate.
@@ -21,6 +23,9 @@
  *
  * @since 2025-11-21
  * @updated 2025-11-23 - Renamed to GameAdminDashboard, prepared for SSE integration
+ * @updated 2026-10-19 - Active tab is part of the URL (/dashboard/<tab>)
+ * @updated 2026-10-19 - Provisioning tab (provision_update SSE events)
+ * @updated 2026-10-19 - Security alert rules (useSecurityAlerts)
  */
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { buildApiUrl } from '../../config/apiConfig';
@@ -30,7 +35,11 @@ import TeamProgressTable from './TeamProgressTable.jsx';
 import RateLimitCard from './RateLimitCard.jsx';
 import GamesAnalyticsTab from './GamesAnalyticsTab.jsx';
 import SecurityDashboard from './SecurityDashboard.jsx';
+import ProvisioningMonitor from './ProvisioningMonitor.jsx';
+import { canAccessRoute } from '../../config/routes';
 import { useSSE } from '../../hooks/useSSE';
+import { useSecurityAlerts } from '../../hooks/useSecurityAlerts';
+import { useRouteTab } from '../../contexts/RouterContext';
 import './GameAdminDashboard.css';
 
 /**
@@ -44,7 +53,7 @@ import './GameAdminDashboard.css';
  * @returns {JSX.Element}
  */
 const GameAdminDashboard = ({ user }) => {
-    const [activeTab, setActiveTab] = useState('overview');
+    const [activeTab, setActiveTab] = useRouteTab('dashboard', 'overview');
     const [dashboardData, setDashboardData] = useState(null);
 
     useEffect(() => {
@@ -116,6 +125,11 @@ const GameAdminDashboard = ({ user }) => {
     // Security Dashboard state
     const [securitySummary, setSecuritySummary] = useState(null);
     const [latestSecurityEvent, setLatestSecurityEvent] = useState(null);
+    const [latestProvisionUpdate, setLatestProvisionUpdate] = useState(null);
+
+    // Alert rules run on every tab, not only while the Security tab is open
+    const securityAlerts = useSecurityAlerts({ latestSecurityEvent, securitySummary, user });
+    const latestAlert = securityAlerts.alerts.find(alert => !alert.acknowledged);
 
     /**
      * Handle SSE message events
@@ -197,6 +211,15 @@ const GameAdminDashboard = ({ user }) => {
                 setLatestSecurityEvent(data);
                 break;
 
+            case 'provision_update':
+                logger.debug('game_admin_dashboard_provision_update', {
+                    provisionId: data.id,
+                    status: data.status,
+                    module: 'GameAdminDashboard'
+                });
+                setLatestProvisionUpdate(data);
+                break;
+
             case 'heartbeat':
                 // PERF: Don't log heartbeats - they happen frequently
                 break;
@@ -256,6 +279,7 @@ const GameAdminDashboard = ({ user }) => {
             'blocked_ips_update',
             'security_summary_update',
             'security_event',
+            'provision_update',
             'heartbeat',
             'error'
         ];
@@ -300,8 +324,9 @@ const GameAdminDashboard = ({ user }) => {
             { id: 'overview', label: '📊 Overview' },
             { id: 'games-analytics', label: '🎯 Games Analytics' },
             { id: 'security', label: '🛡️ Security' },
-            { id: 'rate-limits', label: '⚡ Rate Limits' }
-        ];
+            { id: 'rate-limits', label: '⚡ Rate Limits' },
+            { id: 'provisioning', label: '🎁 Provisioning' }
+        ].filter(tab => canAccessRoute(user, 'dashboard', tab.id));
 
         return (
             <div className="game-dashboard-tabs">
@@ -313,6 +338,9 @@ const GameAdminDashboard = ({ user }) => {
                         aria-label={`Switch to ${tab.label}`}
                     >
                         {tab.label}
+                        {tab.id === 'security' && securityAlerts.unacknowledgedCount > 0 && (
+                            <span className="tab-alert-badge">{securityAlerts.unacknowledgedCount}</span>
+                        )}
                     </button>
                 ))}
             </div>
@@ -343,12 +371,19 @@ const GameAdminDashboard = ({ user }) => {
                     <SecurityDashboard
                         securitySummary={securitySummary}
                         latestSecurityEvent={latestSecurityEvent}
+                        user={user}
+                        securityAlerts={securityAlerts}
                     />
                 );
 
             case 'rate-limits':
                 return <RateLimitCard user={user} blockedIPsData={blockedIPsData} />;
 
+            case 'provisioning':
+                return canAccessRoute(user, 'dashboard', 'provisioning')
+                    ? <ProvisioningMonitor user={user} latestProvisionUpdate={latestProvisionUpdate} />
+                    : null;
+
             default:
                 return null;
         }
@@ -366,6 +401,16 @@ const GameAdminDashboard = ({ user }) => {
                     </div>
                 </div>
                 <div className="card-body">
+                    {latestAlert && activeTab !== 'security' && (
+                        <div className="security-alert-toast" role="alert">
+                            <div>
+                                <strong>{latestAlert.title}</strong>
+                                <span>{latestAlert.body}</span>
+                            </div>
+                            <button onClick={() => setActiveTab('security')}>View</button>
+                            <button onClick={() => securityAlerts.acknowledge(latestAlert.id)} aria-label="Dismiss alert">×</button>
+                        </div>
+                    )}
                     {renderTabNavigation()}
                     <div className="dashboard-content">
                         {renderTabContent()}
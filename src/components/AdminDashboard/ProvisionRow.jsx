@@ -0,0 +1,243 @@
+/**
+ * Component: ProvisionRow
+ * Purpose: One provision attempt in the provisioning monitor
+ * Part of: Easter Quest - Ypsomed AG Easter Challenge Frontend
+ *
+ * Features:
+ * - Status badge, trigger game and retry count
+ * - Expandable error detail (message, HTTP status, webhook URL)
+ * - Retry, mark-resolved with notes, reveal reward value with audit reason
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { getRewardIcon } from '../../config/rewardTypes';
+import RewardValue from '../RewardDisplay/RewardValue';
+
+/**
+ * Provision statuses reported by the backend
+ */
+export const PROVISION_STATUS = {
+    PENDING: 'pending',
+    SUCCESS: 'success',
+    FAILED: 'failed',
+    RESOLVED: 'resolved'
+};
+
+const STATUS_LABELS = {
+    pending: '⏳ Pending',
+    success: '✅ Success',
+    failed: '❌ Failed',
+    resolved: '✔️ Resolved'
+};
+
+/**
+ * Inline form asking for a required note (resolution notes, reveal reason)
+ */
+const NoteForm = ({ label, submitLabel, busy, onSubmit, onCancel }) => {
+    const [note, setNote] = useState('');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (note.trim()) onSubmit(note.trim());
+    };
+
+    return (
+        <form className="provision-note-form" onSubmit={handleSubmit}>
+            <label>
+                {label}
+                <input type="text" value={note} onChange={(e) => setNote(e.target.value)} autoFocus />
+            </label>
+            <button type="submit" className="provision-btn" disabled={busy || !note.trim()}>{submitLabel}</button>
+            <button type="button" className="provision-btn provision-btn-secondary" onClick={onCancel}>Cancel</button>
+        </form>
+    );
+};
+
+NoteForm.propTypes = {
+    label: PropTypes.string.isRequired,
+    submitLabel: PropTypes.string.isRequired,
+    busy: PropTypes.bool.isRequired,
+    onSubmit: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired
+};
+
+/**
+ * Error detail of a failed attempt
+ */
+const ProvisionDetails = ({ provision }) => (
+    <div className="provision-details">
+        {provision.error_message && (
+            <div><strong>Error:</strong> <span className="error-text">{provision.error_message}</span></div>
+        )}
+        {provision.http_status_code && <div><strong>HTTP Status:</strong> {provision.http_status_code}</div>}
+        {provision.api_url && <div><strong>API URL:</strong> <code>{provision.api_url}</code></div>}
+        {provision.resolution_notes && <div><strong>Resolution:</strong> {provision.resolution_notes}</div>}
+    </div>
+);
+
+ProvisionDetails.propTypes = {
+    provision: PropTypes.object.isRequired
+};
+
+/**
+ * Action buttons of a row
+ */
+const RowActions = ({ canRetry, canReveal, expanded, busy, onToggleDetails, onRetry, onResolve, onReveal }) => (
+    <td className="provision-actions">
+        <button type="button" className="provision-btn provision-btn-secondary" onClick={onToggleDetails}>
+            {expanded ? '▼ Details' : '▶ Details'}
+        </button>
+        {canRetry && (
+            <>
+                <button type="button" className="provision-btn" disabled={busy} onClick={onRetry}>🔄 Retry</button>
+                <button type="button" className="provision-btn" disabled={busy} onClick={onResolve}>✔️ Resolve</button>
+            </>
+        )}
+        {canReveal && (
+            <button type="button" className="provision-btn provision-btn-secondary" disabled={busy} onClick={onReveal}>
+                👁️ Reveal
+            </button>
+        )}
+    </td>
+);
+
+RowActions.propTypes = {
+    canRetry: PropTypes.bool.isRequired,
+    canReveal: PropTypes.bool.isRequired,
+    expanded: PropTypes.bool.isRequired,
+    busy: PropTypes.bool.isRequired,
+    onToggleDetails: PropTypes.func.isRequired,
+    onRetry: PropTypes.func.isRequired,
+    onResolve: PropTypes.func.isRequired,
+    onReveal: PropTypes.func.isRequired
+};
+
+/**
+ * Provision row component
+ * @param {Object} props
+ * @param {Object} props.provision - Provision attempt
+ * @param {boolean} props.selected - Selected for bulk retry
+ * @param {Function} props.onToggleSelect - (provisionId) => void
+ * @param {Function} props.onRetry - async (provision) => success
+ * @param {Function} props.onResolve - async (provision, notes) => success
+ * @param {Function} props.onReveal - async (provision, reason) => revealed reward or null
+ * @returns {JSX.Element}
+ */
+const ProvisionRow = ({ provision, selected, onToggleSelect, onRetry, onResolve, onReveal }) => {
+    const [expanded, setExpanded] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [form, setForm] = useState(null); // 'resolve' | 'reveal' | null
+    const [revealed, setRevealed] = useState(null);
+    const isFailed = provision.status === PROVISION_STATUS.FAILED;
+
+    // Actions report their own errors and resolve to false on failure (form stays open)
+    const run = async (action) => {
+        setBusy(true);
+        const ok = await action();
+        setBusy(false);
+        if (ok) setForm(null);
+    };
+
+    const handleReveal = (reason) => run(async () => {
+        const reward = await onReveal(provision, reason);
+        if (reward) setRevealed(reward);
+        return !!reward;
+    });
+
+    return (
+        <>
+            <tr className={`provision-row status-${provision.status}`}>
+                <td>
+                    {isFailed && (
+                        <input
+                            type="checkbox"
+                            checked={selected}
+                            onChange={() => onToggleSelect(provision.id)}
+                            aria-label={`Select ${provision.team_name} ${provision.reward_name}`}
+                        />
+                    )}
+                </td>
+                <td>{provision.team_name}</td>
+                <td>{getRewardIcon(provision.reward_type)} {provision.reward_name}</td>
+                <td>{provision.triggered_by_game_name || '—'}</td>
+                <td>
+                    <span className={`provision-status provision-status-${provision.status}`}>
+                        {STATUS_LABELS[provision.status] || provision.status}
+                    </span>
+                </td>
+                <td>{provision.retry_count || 0}</td>
+                <td>{provision.updated_at ? new Date(provision.updated_at).toLocaleString() : '—'}</td>
+                <RowActions
+                    canRetry={isFailed}
+                    canReveal={!!provision.team_reward_id && !revealed}
+                    expanded={expanded}
+                    busy={busy}
+                    onToggleDetails={() => setExpanded(!expanded)}
+                    onRetry={() => run(() => onRetry(provision))}
+                    onResolve={() => setForm('resolve')}
+                    onReveal={() => setForm('reveal')}
+                />
+            </tr>
+            {(expanded || form || revealed) && (
+                <tr className="provision-row-extra">
+                    <td colSpan={8}>
+                        {expanded && <ProvisionDetails provision={provision} />}
+                        {form === 'resolve' && (
+                            <NoteForm
+                                label="Resolution notes"
+                                submitLabel="Mark resolved"
+                                busy={busy}
+                                onSubmit={(notes) => run(() => onResolve(provision, notes))}
+                                onCancel={() => setForm(null)}
+                            />
+                        )}
+                        {form === 'reveal' && (
+                            <NoteForm
+                                label="Reason for revealing (recorded in the audit log)"
+                                submitLabel="Reveal value"
+                                busy={busy}
+                                onSubmit={handleReveal}
+                                onCancel={() => setForm(null)}
+                            />
+                        )}
+                        {revealed && (
+                            <div className="provision-revealed">
+                                <RewardValue rewardType={revealed.reward_type || provision.reward_type} value={revealed.decrypted_value || ''} />
+                                <button type="button" className="provision-btn provision-btn-secondary" onClick={() => setRevealed(null)}>
+                                    🙈 Hide value
+                                </button>
+                            </div>
+                        )}
+                    </td>
+                </tr>
+            )}
+        </>
+    );
+};
+
+/**
+ * PropTypes validation
+ */
+ProvisionRow.propTypes = {
+    provision: PropTypes.shape({
+        id: PropTypes.number.isRequired,
+        team_name: PropTypes.string,
+        team_reward_id: PropTypes.number,
+        reward_name: PropTypes.string,
+        reward_type: PropTypes.string,
+        triggered_by_game_name: PropTypes.string,
+        status: PropTypes.string.isRequired,
+        retry_count: PropTypes.number,
+        updated_at: PropTypes.string
+    }).isRequired,
+    selected: PropTypes.bool.isRequired,
+    onToggleSelect: PropTypes.func.isRequired,
+    onRetry: PropTypes.func.isRequired,
+    onResolve: PropTypes.func.isRequired,
+    onReveal: PropTypes.func.isRequired
+};
+
+export default ProvisionRow;
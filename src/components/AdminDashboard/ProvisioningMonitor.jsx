@@ -0,0 +1,321 @@
+/**
+ * Component: ProvisioningMonitor
+ * Purpose: Monitor reward provisioning calls and fix failed ones
+ * Part of: Easter Quest - Ypsomed AG Easter Challenge Frontend
+ *
+ * Features:
+ * - Live list of provision attempts per team, reward and trigger
+ *   (initial REST load, updates via the dashboard SSE stream)
+ * - Status filter and team search with per-status counts
+ * - One-click retry, mark resolved with notes, bulk retry of selected failures
+ * - Reveal decrypted reward values only on explicit request with a reason
+ *   (audited by the backend, listed in this session's reveal log)
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { logger } from '../../utils/logger';
+import api from '../../services/api';
+import { listProvisions } from '../../services/rewards';
+import ProvisionRow, { PROVISION_STATUS } from './ProvisionRow';
+import './ProvisioningMonitor.css';
+
+const STATUS_FILTERS = [
+    { id: 'all', label: 'All' },
+    { id: PROVISION_STATUS.FAILED, label: '❌ Failed' },
+    { id: PROVISION_STATUS.PENDING, label: '⏳ Pending' },
+    { id: PROVISION_STATUS.SUCCESS, label: '✅ Success' },
+    { id: PROVISION_STATUS.RESOLVED, label: '✔️ Resolved' }
+];
+
+/**
+ * Insert or replace a provision (by id), newest first for new entries
+ */
+const upsertProvision = (provisions, updated) => (
+    provisions.some(p => p.id === updated.id)
+        ? provisions.map(p => (p.id === updated.id ? { ...p, ...updated } : p))
+        : [updated, ...provisions]
+);
+
+/**
+ * Provisioning monitor component
+ * @param {Object} props
+ * @param {Object} props.user - Current admin user (for the reveal log)
+ * @param {Object} [props.latestProvisionUpdate] - Latest provision_update SSE payload
+ * @returns {JSX.Element}
+ */
+const ProvisioningMonitor = ({ user, latestProvisionUpdate = null }) => {
+    const [provisions, setProvisions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [statusFilter, setStatusFilter] = useState(PROVISION_STATUS.FAILED);
+    const [teamSearch, setTeamSearch] = useState('');
+    const [selectedIds, setSelectedIds] = useState(new Set());
+    const [message, setMessage] = useState(null);
+    const [bulkRetrying, setBulkRetrying] = useState(false);
+    const [revealLog, setRevealLog] = useState([]);
+
+    /**
+     * Load all provision attempts
+     */
+    async function loadProvisions() {
+        setLoading(true);
+        setError(null);
+        try {
+            const data = await listProvisions();
+            setProvisions(data.provisions || []);
+        } catch (err) {
+            logger.error('provisions_load_failed', { error: err.message, module: 'ProvisioningMonitor' });
+            setError(err.message || 'Failed to load provisions');
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    useEffect(() => {
+        loadProvisions();
+    }, []);
+
+    // Live updates from the dashboard SSE stream
+    useEffect(() => {
+        if (latestProvisionUpdate?.id) {
+            setProvisions(prev => upsertProvision(prev, latestProvisionUpdate));
+        }
+    }, [latestProvisionUpdate]);
+
+    const counts = useMemo(() => provisions.reduce((acc, p) => {
+        acc[p.status] = (acc[p.status] || 0) + 1;
+        return acc;
+    }, {}), [provisions]);
+
+    const visible = useMemo(() => provisions.filter(p => (
+        (statusFilter === 'all' || p.status === statusFilter) &&
+        (p.team_name || '').toLowerCase().includes(teamSearch.trim().toLowerCase())
+    )), [provisions, statusFilter, teamSearch]);
+
+    const visibleFailedIds = visible.filter(p => p.status === PROVISION_STATUS.FAILED).map(p => p.id);
+    const selectedFailedIds = visibleFailedIds.filter(id => selectedIds.has(id));
+
+    /**
+     * Retry one provision; the row shows the returned state
+     * @returns {Promise<boolean>} True if the retry call succeeded
+     */
+    async function retryProvision(provision) {
+        logger.info('provision_retry_started', { provisionId: provision.id, module: 'ProvisioningMonitor' });
+        try {
+            const result = await api.retryProvision(provision.id);
+            setProvisions(prev => upsertProvision(prev, result?.provision || { id: provision.id, status: PROVISION_STATUS.PENDING }));
+            return true;
+        } catch (err) {
+            logger.error('provision_retry_failed', { provisionId: provision.id, error: err.message, module: 'ProvisioningMonitor' });
+            setProvisions(prev => upsertProvision(prev, { id: provision.id, error_message: err.message }));
+            return false;
+        }
+    }
+
+    /**
+     * Retry a provision from its row
+     */
+    async function handleRetry(provision) {
+        const ok = await retryProvision(provision);
+        setMessage(ok ? `Retry started for ${provision.team_name} – ${provision.reward_name}.` : `Retry failed for ${provision.team_name} – ${provision.reward_name}.`);
+        return ok;
+    }
+
+    /**
+     * Retry all selected failed provisions one after another
+     */
+    async function handleBulkRetry() {
+        const targets = provisions.filter(p => selectedFailedIds.includes(p.id));
+        setBulkRetrying(true);
+        let succeeded = 0;
+        for (const provision of targets) {
+            // Sequential on purpose: webhook targets are often small team servers
+            if (await retryProvision(provision)) succeeded++;
+        }
+        setBulkRetrying(false);
+        setSelectedIds(new Set());
+        setMessage(`Retried ${targets.length}: ${succeeded} started, ${targets.length - succeeded} failed.`);
+    }
+
+    /**
+     * Mark a provision as manually resolved
+     * @returns {Promise<boolean>} True on success
+     */
+    async function handleResolve(provision, notes) {
+        try {
+            const result = await api.markProvisionResolved(provision.id, notes);
+            setProvisions(prev => upsertProvision(prev, result?.provision || {
+                id: provision.id,
+                status: PROVISION_STATUS.RESOLVED,
+                resolution_notes: notes
+            }));
+            logger.info('provision_marked_resolved', { provisionId: provision.id, module: 'ProvisioningMonitor' });
+            setMessage(`Marked ${provision.team_name} – ${provision.reward_name} as resolved.`);
+            return true;
+        } catch (err) {
+            logger.error('provision_resolve_failed', { provisionId: provision.id, error: err.message, module: 'ProvisioningMonitor' });
+            setMessage(`Could not mark as resolved: ${err.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Reveal the decrypted reward value of a provision's team reward
+     * @returns {Promise<Object|null>} Decrypted reward or null on failure
+     */
+    async function handleReveal(provision, reason) {
+        try {
+            const reward = await api.getDecryptedReward(provision.team_reward_id, reason);
+            logger.info('provision_reward_revealed', {
+                teamRewardId: provision.team_reward_id,
+                teamName: provision.team_name,
+                module: 'ProvisioningMonitor'
+            });
+            setRevealLog(prev => [{
+                id: `${provision.team_reward_id}-${Date.now()}`,
+                at: new Date(),
+                admin: user?.username || 'admin',
+                team: provision.team_name,
+                reward: provision.reward_name,
+                reason
+            }, ...prev]);
+            return reward;
+        } catch (err) {
+            logger.error('provision_reward_reveal_failed', { teamRewardId: provision.team_reward_id, error: err.message, module: 'ProvisioningMonitor' });
+            setMessage(`Could not reveal value: ${err.message}`);
+            return null;
+        }
+    }
+
+    const toggleSelect = (id) => setSelectedIds(prev => {
+        const next = new Set(prev);
+        if (next.has(id)) next.delete(id); else next.add(id);
+        return next;
+    });
+
+    const toggleSelectAll = () => setSelectedIds(
+        selectedFailedIds.length === visibleFailedIds.length ? new Set() : new Set(visibleFailedIds)
+    );
+
+    if (loading) {
+        return <div className="provisioning-monitor"><div className="loading-state">Loading provisions...</div></div>;
+    }
+
+    if (error) {
+        return (
+            <div className="provisioning-monitor">
+                <div className="error-state">
+                    <p className="error-message">Error: {error}</p>
+                    <button type="button" className="retry-button" onClick={loadProvisions}>Try again</button>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="provisioning-monitor">
+            <div className="provisioning-toolbar">
+                <div className="provisioning-filters" role="group" aria-label="Filter by status">
+                    {STATUS_FILTERS.map(filter => (
+                        <button
+                            key={filter.id}
+                            type="button"
+                            className={`provisioning-filter ${statusFilter === filter.id ? 'active' : ''}`}
+                            onClick={() => setStatusFilter(filter.id)}
+                        >
+                            {filter.label} ({filter.id === 'all' ? provisions.length : counts[filter.id] || 0})
+                        </button>
+                    ))}
+                </div>
+                <input
+                    type="search"
+                    className="provisioning-search"
+                    placeholder="Search team..."
+                    aria-label="Search team"
+                    value={teamSearch}
+                    onChange={(e) => setTeamSearch(e.target.value)}
+                />
+                <button
+                    type="button"
+                    className="provision-btn"
+                    disabled={selectedFailedIds.length === 0 || bulkRetrying}
+                    onClick={handleBulkRetry}
+                >
+                    {bulkRetrying ? 'Retrying...' : `🔄 Retry selected (${selectedFailedIds.length})`}
+                </button>
+                <button type="button" className="provision-btn provision-btn-secondary" onClick={loadProvisions}>
+                    ↻ Refresh
+                </button>
+            </div>
+
+            {message && <div className="provisioning-message" role="status">{message}</div>}
+
+            {visible.length === 0 ? (
+                <div className="provisioning-empty">No provision attempts match the filter.</div>
+            ) : (
+                <table className="provisioning-table">
+                    <thead>
+                        <tr>
+                            <th>
+                                {visibleFailedIds.length > 0 && (
+                                    <input
+                                        type="checkbox"
+                                        checked={selectedFailedIds.length === visibleFailedIds.length}
+                                        onChange={toggleSelectAll}
+                                        aria-label="Select all failed"
+                                    />
+                                )}
+                            </th>
+                            <th>Team</th>
+                            <th>Reward</th>
+                            <th>Trigger Game</th>
+                            <th>Status</th>
+                            <th>Retries</th>
+                            <th>Last Attempt</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {visible.map(provision => (
+                            <ProvisionRow
+                                key={provision.id}
+                                provision={provision}
+                                selected={selectedIds.has(provision.id)}
+                                onToggleSelect={toggleSelect}
+                                onRetry={handleRetry}
+                                onResolve={handleResolve}
+                                onReveal={handleReveal}
+                            />
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {revealLog.length > 0 && (
+                <div className="provisioning-reveal-log">
+                    <h4>🔍 Revealed values (this session)</h4>
+                    <ul>
+                        {revealLog.map(entry => (
+                            <li key={entry.id}>
+                                {entry.at.toLocaleTimeString()} – {entry.admin} revealed {entry.reward} for {entry.team}: “{entry.reason}”
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * PropTypes validation
+ */
+ProvisioningMonitor.propTypes = {
+    user: PropTypes.object,
+    latestProvisionUpdate: PropTypes.object
+};
+
+export default ProvisioningMonitor;
@@ -1,23 +1,40 @@
 /**
  * Component: RateLimitCard
- * Purpose: Admin dashboard card for resetting login and API rate limits
+ * Purpose: Admin dashboard console for login and API rate limits
  * Part of: Easter Quest - Ypsomed AG Easter Challenge Frontend
  *
  * Features:
  * - Reset login rate limits (by IP address)
  * - Reset API rate limits (by user ID)
+ * - Current counters and remaining windows per IP and user
+ * - Whitelist for trusted IPs / CIDR ranges (e.g. office NAT)
+ * - Manual temporary bans with expiry and block history
+ * - CIDR-aware bulk selection of blocked IPs
  * - Input validation
  * - Success/error toast notifications
  * - Matches existing dashboard styling
  *
  * @since 2025-11-06
+ * @updated 2026-10-19 - Counters, whitelist, temporary bans, block history
  */
 
 import React, { useState, useEffect } from 'react';
 import { getConfig, resetRateLimitBulk, utils, getCurrentUser } from '../../services';
+import { useRateLimitConsole } from '../../hooks/useRateLimitConsole';
+import { isValidIpOrCidr, isIpInRange, findMatchingRange, formatTTL } from '../../utils/rateLimits';
 import { logger } from '../../utils/logger';
+import RateLimitCounters from './RateLimitCounters';
+import RateLimitWhitelist from './RateLimitWhitelist';
+import RateLimitHistory from './RateLimitHistory';
 import './RateLimitCard.css';
 
+const VIEWS = [
+    { id: 'blocked', label: 'Blocked IPs' },
+    { id: 'counters', label: 'Counters & Bans' },
+    { id: 'whitelist', label: 'Whitelist' },
+    { id: 'history', label: 'History' }
+];
+
 /**
  * Rate Limit Reset Card Component
  *
@@ -34,6 +51,10 @@ const RateLimitCard = ({ user, blockedIPsData }) => {
     const [loading, setLoading] = useState(false);
     const [notification, setNotification] = useState(null);
     const [rateLimitConfig, setRateLimitConfig] = useState(null);
+    const [view, setView] = useState('blocked');
+    const [rangeSelection, setRangeSelection] = useState('');
+    const rateLimits = useRateLimitConsole();
+    const whitelistRanges = rateLimits.whitelist.map(entry => entry.range);
 
     /**
      * Show notification toast
@@ -86,23 +107,23 @@ const RateLimitCard = ({ user, blockedIPsData }) => {
     };
 
     /**
-     * Format TTL seconds to human-readable time
-     * @param {number} seconds - Time in seconds
-     * @returns {string} Formatted time string
+     * Add all blocked IPs within a CIDR range to the selection
+     * (e.g. everyone behind the office NAT range)
      */
-    const formatTTL = (seconds) => {
-        if (seconds <= 0) return 'Expired';
-
-        const minutes = Math.floor(seconds / 60);
-        const remainingSeconds = seconds % 60;
-
-        if (minutes > 0) {
-            return `${minutes}m ${remainingSeconds}s`;
+    const selectRange = () => {
+        const range = rangeSelection.trim();
+        if (!isValidIpOrCidr(range)) {
+            showNotification('Enter an IPv4 address or CIDR range (e.g. 10.0.0.0/24)', 'error');
+            return;
+        }
+        const matching = blockedIPs.filter(ipInfo => isIpInRange(ipInfo.ip, range)).map(ipInfo => ipInfo.ip);
+        if (matching.length === 0) {
+            showNotification(`No blocked IPs in ${range}`, 'error');
+            return;
         }
-        return `${remainingSeconds}s`;
+        setSelectedIPs(new Set([...selectedIPs, ...matching]));
     };
 
-
     /**
      * Handle bulk reset of selected IPs
      * SECURITY: Uses api service with automatic token refresh
@@ -228,7 +249,46 @@ const RateLimitCard = ({ user, blockedIPsData }) => {
             </div>
 
             <div className="card-body">
+                <div className="rate-limit-views" role="tablist">
+                    {VIEWS.map(entry => (
+                        <button
+                            key={entry.id}
+                            type="button"
+                            role="tab"
+                            aria-selected={view === entry.id}
+                            className={`rate-limit-view-tab ${view === entry.id ? 'active' : ''}`}
+                            onClick={() => setView(entry.id)}
+                        >
+                            {entry.label}
+                        </button>
+                    ))}
+                </div>
+                {rateLimits.error && view !== 'blocked' && (
+                    <div className="notification notification-error">✗ {rateLimits.error}</div>
+                )}
+
+                {view === 'counters' && (
+                    <RateLimitCounters
+                        counters={rateLimits.counters}
+                        loadedAt={rateLimits.loadedAt}
+                        whitelistRanges={whitelistRanges}
+                        onBan={rateLimits.ban}
+                        onLiftBan={rateLimits.liftBan}
+                        onNotify={showNotification}
+                    />
+                )}
+                {view === 'whitelist' && (
+                    <RateLimitWhitelist
+                        entries={rateLimits.whitelist}
+                        onAdd={rateLimits.addWhitelist}
+                        onRemove={rateLimits.removeWhitelist}
+                        onNotify={showNotification}
+                    />
+                )}
+                {view === 'history' && <RateLimitHistory blocks={rateLimits.history} />}
+
                 {/* ========== BLOCKED IP LIST SECTION (Real-Time SSE) ========== */}
+                {view === 'blocked' && (
                 <div className="blocked-ip-list-section">
                     <div className="section-header">
                         <h3>Currently Blocked IPs (Real-Time)</h3>
@@ -260,6 +320,18 @@ const RateLimitCard = ({ user, blockedIPsData }) => {
                             >
                                 Reset Selected ({selectedIPs.size})
                             </button>
+
+                            <input
+                                type="text"
+                                className="range-select-input"
+                                value={rangeSelection}
+                                onChange={(e) => setRangeSelection(e.target.value)}
+                                placeholder="10.0.0.0/24"
+                                aria-label="Select IP range"
+                            />
+                            <button className="btn-select-all" onClick={selectRange} disabled={!rangeSelection.trim()}>
+                                Select Range
+                            </button>
                         </div>
 
                         <table className="blocked-ip-table">
@@ -288,7 +360,12 @@ const RateLimitCard = ({ user, blockedIPsData }) => {
                                                 onChange={() => toggleIPSelection(ipInfo.ip)}
                                             />
                                         </td>
-                                        <td className="ip-address">{ipInfo.ip}</td>
+                                        <td className="ip-address">
+                                            {ipInfo.ip}
+                                            {findMatchingRange(ipInfo.ip, whitelistRanges) && (
+                                                <span className="whitelisted-marker" title="Whitelisted">✅</span>
+                                            )}
+                                        </td>
                                         <td>
                                             <span className={`status-badge status-${ipInfo.status}`}>
                                                 {ipInfo.status === 'banned' && '🔴 Banned'}
@@ -308,7 +385,8 @@ const RateLimitCard = ({ user, blockedIPsData }) => {
                         </table>
                     </>
                 )}
-            </div>
+                </div>
+                )}
 
                 {/* Info Box */}
                 <div className="rate-limit-info">
@@ -0,0 +1,256 @@
+/**
+ * Component: RateLimitCounters
+ * Purpose: Current rate limit counters per IP and user with temporary bans
+ * Part of: Easter Quest - Ypsomed AG Easter Challenge Frontend
+ *
+ * Features:
+ * - Counter, limit and remaining window per IP (login) and per user (API)
+ * - Manual temporary bans with expiry, lifting bans early
+ * - Whitelisted IPs are marked (they are never limited)
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useNow } from '../../hooks/useNow';
+import {
+    BAN_DURATIONS,
+    parseIPv4,
+    findMatchingRange,
+    formatTTL,
+    getRemainingSeconds
+} from '../../utils/rateLimits';
+import { logger } from '../../utils/logger';
+
+const EMPTY_BAN = { target: 'ip', identifier: '', minutes: BAN_DURATIONS[0].minutes, reason: '' };
+
+/**
+ * Validation error of the ban form
+ * @param {Object} ban - Ban form state
+ * @returns {string|null} Error message, null if valid
+ */
+const getBanError = (ban) => {
+    const identifier = ban.identifier.trim();
+    if (!identifier) return null;
+    if (ban.target === 'ip' && parseIPv4(identifier) === null) return 'Enter a valid IPv4 address';
+    if (ban.target === 'user' && !/^[1-9]\d*$/.test(identifier)) return 'Enter a numeric user ID';
+    return null;
+};
+
+/**
+ * Rate Limit Counters Component
+ *
+ * @param {Object} props
+ * @param {Object} props.counters - { ips, users } from useRateLimitConsole()
+ * @param {number} props.loadedAt - When the counters were loaded (ms since epoch)
+ * @param {Array<string>} props.whitelistRanges - Whitelisted IPs and CIDR ranges
+ * @param {Function} props.onBan - Ban ({ target, identifier, minutes, reason }), returns a promise
+ * @param {Function} props.onLiftBan - Lift a ban (target, identifier), returns a promise
+ * @param {Function} props.onNotify - Show a toast (message, type)
+ * @returns {JSX.Element}
+ */
+const RateLimitCounters = ({ counters, loadedAt, whitelistRanges, onBan, onLiftBan, onNotify }) => {
+    const now = useNow(1000);
+    const [ban, setBan] = useState(EMPTY_BAN);
+    const [busy, setBusy] = useState(false);
+
+    const banError = getBanError(ban);
+
+    /**
+     * Run a ban action and report the result
+     * @param {Function} action - Async action
+     * @param {string} successMessage - Toast on success
+     * @returns {Promise<boolean>} Whether the action succeeded
+     */
+    const runAction = async (action, successMessage) => {
+        setBusy(true);
+        try {
+            await action();
+            onNotify(successMessage, 'success');
+            return true;
+        } catch (error) {
+            logger.error('rate_limit_ban_action_failed', {
+                errorMessage: error.message,
+                module: 'RateLimitCounters'
+            }, error);
+            onNotify(error.message || 'Action failed', 'error');
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleBan = async (e) => {
+        e.preventDefault();
+        const identifier = ban.identifier.trim();
+        const label = BAN_DURATIONS.find(duration => duration.minutes === ban.minutes)?.label || `${ban.minutes} minutes`;
+        const succeeded = await runAction(
+            () => onBan({ ...ban, identifier, reason: ban.reason.trim() }),
+            `Banned ${ban.target === 'ip' ? identifier : `user ${identifier}`} for ${label}`
+        );
+        if (succeeded) setBan(EMPTY_BAN);
+    };
+
+    const handleLift = (target, identifier, label) => {
+        if (!window.confirm(`Lift the ban for ${label}?`)) return;
+        runAction(() => onLiftBan(target, identifier), `Ban lifted for ${label}`);
+    };
+
+    const prefillBan = (target, identifier) => {
+        setBan(prev => ({ ...prev, target, identifier: String(identifier) }));
+    };
+
+    /**
+     * Render the status cell of a counter row
+     * @param {Object} entry - Counter entry
+     * @param {string|null} whitelistedBy - Matching whitelist range
+     * @returns {JSX.Element}
+     */
+    const renderStatus = (entry, whitelistedBy = null) => {
+        if (whitelistedBy) {
+            return <span className="status-badge status-whitelisted" title={whitelistedBy}>✅ Whitelisted</span>;
+        }
+        if (entry.status === 'banned') {
+            const remaining = getRemainingSeconds(entry.ban_ttl_seconds, loadedAt, now);
+            return (
+                <span className="status-badge status-banned">
+                    🔴 {entry.manual ? 'Banned manually' : 'Banned'}
+                    {remaining !== null && ` · ${formatTTL(remaining)}`}
+                </span>
+            );
+        }
+        if (entry.status === 'warning') return <span className="status-badge status-warning">🟡 Warning</span>;
+        return <span className="status-badge status-active">🟢 Active</span>;
+    };
+
+    const renderActions = (entry, target, identifier, label) => (
+        entry.status === 'banned' ? (
+            <button type="button" className="btn-row-action" onClick={() => handleLift(target, identifier, label)} disabled={busy}>
+                Lift ban
+            </button>
+        ) : (
+            <button type="button" className="btn-row-action" onClick={() => prefillBan(target, identifier)} disabled={busy}>
+                Ban…
+            </button>
+        )
+    );
+
+    const renderWindow = (entry) => {
+        const remaining = getRemainingSeconds(entry.window_ttl_seconds, loadedAt, now);
+        return remaining === null ? '-' : formatTTL(remaining);
+    };
+
+    return (
+        <div className="rate-limit-counters">
+            <form className="rate-limit-ban-form" onSubmit={handleBan}>
+                <h4>Temporary ban</h4>
+                <select
+                    value={ban.target}
+                    onChange={(e) => setBan(prev => ({ ...prev, target: e.target.value }))}
+                    aria-label="Ban target"
+                >
+                    <option value="ip">IP address</option>
+                    <option value="user">User ID</option>
+                </select>
+                <input
+                    type="text"
+                    value={ban.identifier}
+                    onChange={(e) => setBan(prev => ({ ...prev, identifier: e.target.value }))}
+                    placeholder={ban.target === 'ip' ? '203.0.113.7' : '42'}
+                    aria-label="Ban identifier"
+                />
+                <select
+                    value={ban.minutes}
+                    onChange={(e) => setBan(prev => ({ ...prev, minutes: Number(e.target.value) }))}
+                    aria-label="Ban duration"
+                >
+                    {BAN_DURATIONS.map(duration => (
+                        <option key={duration.minutes} value={duration.minutes}>{duration.label}</option>
+                    ))}
+                </select>
+                <input
+                    type="text"
+                    value={ban.reason}
+                    onChange={(e) => setBan(prev => ({ ...prev, reason: e.target.value }))}
+                    placeholder="Reason (optional)"
+                    aria-label="Ban reason"
+                />
+                <button type="submit" className="btn-reset-selected" disabled={busy || !ban.identifier.trim() || !!banError}>
+                    Ban
+                </button>
+                {banError && <span className="field-error">{banError}</span>}
+            </form>
+
+            <h4>Login attempts per IP</h4>
+            {counters.ips.length === 0 ? (
+                <div className="empty-state">No active login counters</div>
+            ) : (
+                <table className="blocked-ip-table">
+                    <thead>
+                        <tr>
+                            <th>IP Address</th>
+                            <th>Attempts</th>
+                            <th>Window resets in</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {counters.ips.map(entry => (
+                            <tr key={entry.ip} className={`status-${entry.status}`}>
+                                <td className="ip-address">{entry.ip}</td>
+                                <td>{entry.attempt_count}{entry.limit ? ` / ${entry.limit}` : ''}</td>
+                                <td>{renderWindow(entry)}</td>
+                                <td>{renderStatus(entry, findMatchingRange(entry.ip, whitelistRanges))}</td>
+                                <td>{renderActions(entry, 'ip', entry.ip, entry.ip)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            <h4>API requests per user</h4>
+            {counters.users.length === 0 ? (
+                <div className="empty-state">No active API counters</div>
+            ) : (
+                <table className="blocked-ip-table">
+                    <thead>
+                        <tr>
+                            <th>User</th>
+                            <th>Requests</th>
+                            <th>Window resets in</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {counters.users.map(entry => (
+                            <tr key={entry.user_id} className={`status-${entry.status}`}>
+                                <td>{entry.username || '-'} <span className="user-id">#{entry.user_id}</span></td>
+                                <td>{entry.request_count}{entry.limit ? ` / ${entry.limit}` : ''}</td>
+                                <td>{renderWindow(entry)}</td>
+                                <td>{renderStatus(entry)}</td>
+                                <td>{renderActions(entry, 'user', entry.user_id, entry.username || `user ${entry.user_id}`)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+RateLimitCounters.propTypes = {
+    counters: PropTypes.shape({
+        ips: PropTypes.array.isRequired,
+        users: PropTypes.array.isRequired
+    }).isRequired,
+    loadedAt: PropTypes.number.isRequired,
+    whitelistRanges: PropTypes.arrayOf(PropTypes.string).isRequired,
+    onBan: PropTypes.func.isRequired,
+    onLiftBan: PropTypes.func.isRequired,
+    onNotify: PropTypes.func.isRequired
+};
+
+export default RateLimitCounters;
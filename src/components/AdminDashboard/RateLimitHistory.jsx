@@ -0,0 +1,108 @@
+/**
+ * Component: RateLimitHistory
+ * Purpose: History of automatic and manual rate limit blocks
+ * Part of: Easter Quest - Ypsomed AG Easter Challenge Frontend
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+const formatDateTime = (value) => (value
+    ? new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : '-');
+
+/**
+ * Describe how a block ended (or will end)
+ * @param {Object} block - History entry
+ * @returns {string}
+ */
+const describeEnd = (block) => {
+    if (block.lifted_at) {
+        return `Lifted ${formatDateTime(block.lifted_at)}${block.lifted_by ? ` by ${block.lifted_by}` : ''}`;
+    }
+    if (block.expires_at) {
+        const verb = new Date(block.expires_at).getTime() > Date.now() ? 'Until' : 'Expired';
+        return `${verb} ${formatDateTime(block.expires_at)}`;
+    }
+    return '-';
+};
+
+/**
+ * Rate Limit History Component
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.blocks - Block history, newest first
+ * @returns {JSX.Element}
+ */
+const RateLimitHistory = ({ blocks }) => {
+    const [filter, setFilter] = useState('');
+
+    const query = filter.trim().toLowerCase();
+    const visibleBlocks = query
+        ? blocks.filter(block => String(block.identifier).toLowerCase().includes(query)
+            || (block.reason || '').toLowerCase().includes(query))
+        : blocks;
+
+    return (
+        <div className="rate-limit-history">
+            <input
+                type="search"
+                className="rate-limit-history-filter"
+                value={filter}
+                onChange={(e) => setFilter(e.target.value)}
+                placeholder="Filter by IP, user or reason"
+                aria-label="Filter block history"
+            />
+
+            {visibleBlocks.length === 0 ? (
+                <div className="empty-state">{query ? 'No matching blocks' : 'No blocks recorded'}</div>
+            ) : (
+                <table className="blocked-ip-table">
+                    <thead>
+                        <tr>
+                            <th>Blocked</th>
+                            <th>Target</th>
+                            <th>Type</th>
+                            <th>Reason</th>
+                            <th>End</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {visibleBlocks.map(block => (
+                            <tr key={block.id}>
+                                <td>{formatDateTime(block.blocked_at)}</td>
+                                <td className={block.target === 'ip' ? 'ip-address' : ''}>
+                                    {block.target === 'ip' ? block.identifier : `User #${block.identifier}`}
+                                </td>
+                                <td>
+                                    <span className={`status-badge ${block.source === 'manual' ? 'status-banned' : 'status-warning'}`}>
+                                        {block.source === 'manual' ? 'Manual' : 'Automatic'}
+                                    </span>
+                                </td>
+                                <td>
+                                    {block.reason || '-'}
+                                    {block.attempt_count ? ` (${block.attempt_count} attempts)` : ''}
+                                </td>
+                                <td>{describeEnd(block)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+RateLimitHistory.propTypes = {
+    blocks: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+        target: PropTypes.oneOf(['ip', 'user']).isRequired,
+        identifier: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+        source: PropTypes.string,
+        reason: PropTypes.string
+    })).isRequired
+};
+
+export default RateLimitHistory;
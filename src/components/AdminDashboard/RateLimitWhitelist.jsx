@@ -0,0 +1,160 @@
+/**
+ * Component: RateLimitWhitelist
+ * Purpose: Manage trusted IPs and CIDR ranges that are never rate limited
+ * Part of: Easter Quest - Ypsomed AG Easter Challenge Frontend
+ *
+ * Typical use: the office NAT, where many players share one public IP.
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { isValidIpOrCidr } from '../../utils/rateLimits';
+import { logger } from '../../utils/logger';
+
+/**
+ * Rate Limit Whitelist Component
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.entries - Whitelist entries ({ id, range, note, created_by, created_at })
+ * @param {Function} props.onAdd - Add an entry ({ range, note }), returns a promise
+ * @param {Function} props.onRemove - Remove an entry (entryId), returns a promise
+ * @param {Function} props.onNotify - Show a toast (message, type)
+ * @returns {JSX.Element}
+ */
+const RateLimitWhitelist = ({ entries, onAdd, onRemove, onNotify }) => {
+    const [range, setRange] = useState('');
+    const [note, setNote] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const trimmedRange = range.trim();
+    const isDuplicate = entries.some(entry => entry.range === trimmedRange);
+    let rangeError = null;
+    if (trimmedRange && !isValidIpOrCidr(trimmedRange)) {
+        rangeError = 'Enter an IPv4 address or CIDR range (e.g. 10.0.0.0/24)';
+    } else if (isDuplicate) {
+        rangeError = 'Already whitelisted';
+    }
+
+    /**
+     * Run a whitelist action and report the result
+     * @param {Function} action - Async action
+     * @param {string} successMessage - Toast on success
+     * @returns {Promise<boolean>} Whether the action succeeded
+     */
+    const runAction = async (action, successMessage) => {
+        setBusy(true);
+        try {
+            await action();
+            onNotify(successMessage, 'success');
+            return true;
+        } catch (error) {
+            logger.error('rate_limit_whitelist_action_failed', {
+                errorMessage: error.message,
+                module: 'RateLimitWhitelist'
+            }, error);
+            onNotify(error.message || 'Action failed', 'error');
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        const succeeded = await runAction(
+            () => onAdd({ range: trimmedRange, note: note.trim() }),
+            `Whitelisted ${trimmedRange}`
+        );
+        if (succeeded) {
+            setRange('');
+            setNote('');
+        }
+    };
+
+    const handleRemove = (entry) => {
+        if (!window.confirm(`Remove ${entry.range} from the whitelist? It will be rate limited again.`)) return;
+        runAction(() => onRemove(entry.id), `Removed ${entry.range} from the whitelist`);
+    };
+
+    return (
+        <div className="rate-limit-whitelist">
+            <p className="info-note">
+                Whitelisted addresses are never rate limited or banned automatically. Use ranges sparingly -
+                e.g. for the office NAT where many players share one IP.
+            </p>
+
+            <form className="rate-limit-whitelist-form" onSubmit={handleAdd}>
+                <input
+                    type="text"
+                    value={range}
+                    onChange={(e) => setRange(e.target.value)}
+                    placeholder="10.0.0.0/24"
+                    aria-label="IP or CIDR range"
+                />
+                <input
+                    type="text"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder="Note (e.g. Office NAT)"
+                    aria-label="Whitelist note"
+                />
+                <button type="submit" className="btn-select-all" disabled={busy || !trimmedRange || !!rangeError}>
+                    Add to whitelist
+                </button>
+                {rangeError && <span className="field-error">{rangeError}</span>}
+            </form>
+
+            {entries.length === 0 ? (
+                <div className="empty-state">No whitelisted addresses</div>
+            ) : (
+                <table className="blocked-ip-table">
+                    <thead>
+                        <tr>
+                            <th>Range</th>
+                            <th>Note</th>
+                            <th>Added</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entries.map(entry => (
+                            <tr key={entry.id ?? entry.range}>
+                                <td className="ip-address">{entry.range}</td>
+                                <td>{entry.note || '-'}</td>
+                                <td>
+                                    {entry.created_by || '-'}
+                                    {entry.created_at && ` · ${new Date(entry.created_at).toLocaleDateString()}`}
+                                </td>
+                                <td>
+                                    <button
+                                        type="button"
+                                        className="btn-row-action"
+                                        onClick={() => handleRemove(entry)}
+                                        disabled={busy}
+                                    >
+                                        Remove
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+RateLimitWhitelist.propTypes = {
+    entries: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.number,
+        range: PropTypes.string.isRequired,
+        note: PropTypes.string
+    })).isRequired,
+    onAdd: PropTypes.func.isRequired,
+    onRemove: PropTypes.func.isRequired,
+    onNotify: PropTypes.func.isRequired
+};
+
+export default RateLimitWhitelist;
@@ -0,0 +1,272 @@
+/**
+ * Component: SecurityAlertRules
+ * Purpose: Edit the shared security alert rules and review triggered alerts
+ * Part of: Easter Quest - Ypsomed AG Easter Challenge Frontend
+ *
+ * Features:
+ * - Rules: repeated attempts by one user, block rate threshold, new language
+ * - Stored in system config so every admin gets the same alerts
+ *   (editing needs the system config permission, everyone else sees them read-only)
+ * - Triggered alerts of this session with acknowledge and drill-down
+ *   (each alert also gets a notification entry)
+ * - Warning when the shared rules could not be loaded and the defaults are in use
+ *
+ * Evaluation happens in useSecurityAlerts() at dashboard level, so rules fire on every tab.
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+    ALERT_RULE_TYPES,
+    DEFAULT_ALERT_RULES,
+    describeAlertRule,
+    validateAlertRule
+} from '../../utils/securityAlertRules';
+import { ATTACK_CATEGORIES } from '../../utils/securityIncidents';
+import { logger } from '../../utils/logger';
+
+const ATTACK_CATEGORY_OPTIONS = Object.entries(ATTACK_CATEGORIES)
+    .filter(([category]) => !['clean', 'none', 'rate_limit'].includes(category));
+
+const NEW_RULES = {
+    category_burst: { category: 'any', count: 3, windowMinutes: 10 },
+    block_rate: { threshold: 30, minMessages: 50 },
+    new_language: {}
+};
+
+const formatTime = (value) => new Date(value).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Where the rules come from (or that the defaults are used because they could not be loaded)
+ *
+ * @param {Object} props
+ * @param {string|null} props.rulesError - Load error of the shared rules
+ * @param {boolean} props.canEditRules - Whether the current user may edit the rules
+ * @returns {JSX.Element|null}
+ */
+const RulesNotice = ({ rulesError, canEditRules }) => {
+    if (rulesError) {
+        return (
+            <p className="alert-rules-error" role="alert">
+                ⚠️ The shared rules could not be loaded - the default rules are in use.
+            </p>
+        );
+    }
+    if (canEditRules) return null;
+    return <p className="alert-rules-hint">Rules are shared by all admins. Only system admins can change them.</p>;
+};
+
+RulesNotice.propTypes = {
+    rulesError: PropTypes.string,
+    canEditRules: PropTypes.bool
+};
+
+/**
+ * Security Alert Rules Component
+ *
+ * @param {Object} props
+ * @param {Object} props.securityAlerts - Result of useSecurityAlerts()
+ * @param {Function} [props.onInvestigate] - Open the drill-down ({ type, id })
+ * @returns {JSX.Element}
+ */
+const SecurityAlertRules = ({ securityAlerts, onInvestigate = null }) => {
+    const { rules, rulesError, canEditRules, saveRules, alerts, acknowledge, clearAlerts } = securityAlerts;
+    const [draft, setDraft] = useState(rules);
+    const [newType, setNewType] = useState(ALERT_RULE_TYPES[0].id);
+    const [saving, setSaving] = useState(false);
+    const [saveError, setSaveError] = useState(null);
+
+    useEffect(() => {
+        setDraft(rules);
+    }, [rules]);
+
+    const errors = Object.fromEntries(draft.map(rule => [rule.id, validateAlertRule(rule)]));
+    const hasErrors = Object.values(errors).some(ruleErrors => Object.keys(ruleErrors).length > 0);
+    const isDirty = JSON.stringify(draft) !== JSON.stringify(rules);
+
+    function updateRule(ruleId, changes) {
+        setDraft(prev => prev.map(rule => (rule.id === ruleId ? { ...rule, ...changes } : rule)));
+    }
+
+    function addRule() {
+        setDraft(prev => [...prev, { id: `rule-${Date.now()}`, type: newType, enabled: true, ...NEW_RULES[newType] }]);
+    }
+
+    /**
+     * Save the draft for all admins
+     * @returns {Promise<void>}
+     */
+    async function handleSave() {
+        setSaving(true);
+        setSaveError(null);
+        try {
+            await saveRules(draft);
+        } catch (err) {
+            logger.error('security_alert_rules_save_failed', {
+                errorMessage: err.message,
+                module: 'SecurityAlertRules'
+            }, err);
+            setSaveError(err.message || 'Failed to save rules');
+        } finally {
+            setSaving(false);
+        }
+    }
+
+    const numberInput = (rule, field, label, props = {}) => (
+        <label className="alert-rule-field">
+            {label}
+            <input
+                type="number"
+                value={rule[field] ?? ''}
+                onChange={(e) => updateRule(rule.id, { [field]: e.target.value === '' ? null : Number(e.target.value) })}
+                disabled={!canEditRules}
+                {...props}
+            />
+            {errors[rule.id][field] && <span className="field-error">{errors[rule.id][field]}</span>}
+        </label>
+    );
+
+    /**
+     * Render the type-specific fields of a rule
+     * @param {Object} rule - Rule from the draft
+     * @returns {JSX.Element|null}
+     */
+    const renderRuleFields = (rule) => {
+        if (rule.type === 'category_burst') {
+            return (
+                <>
+                    <label className="alert-rule-field">
+                        Category
+                        <select
+                            value={rule.category}
+                            onChange={(e) => updateRule(rule.id, { category: e.target.value })}
+                            disabled={!canEditRules}
+                        >
+                            <option value="any">Any attack</option>
+                            {ATTACK_CATEGORY_OPTIONS.map(([category, config]) => (
+                                <option key={category} value={category}>{config.icon} {config.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    {numberInput(rule, 'count', 'Events', { min: 1 })}
+                    {numberInput(rule, 'windowMinutes', 'Within (min)', { min: 1 })}
+                </>
+            );
+        }
+        if (rule.type === 'block_rate') {
+            return (
+                <>
+                    {numberInput(rule, 'threshold', 'Above (%)', { min: 1, max: 99 })}
+                    {numberInput(rule, 'minMessages', 'After messages', { min: 0 })}
+                </>
+            );
+        }
+        return null;
+    };
+
+    return (
+        <div className="security-section security-alert-rules">
+            <h3>🔔 Alert Rules</h3>
+            <RulesNotice rulesError={rulesError} canEditRules={canEditRules} />
+
+            <ul className="alert-rule-list">
+                {draft.map(rule => (
+                    <li key={rule.id} className={`alert-rule ${rule.enabled ? '' : 'disabled'}`}>
+                        <label className="alert-rule-toggle">
+                            <input
+                                type="checkbox"
+                                checked={rule.enabled}
+                                onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                                disabled={!canEditRules}
+                            />
+                            {describeAlertRule(rule)}
+                        </label>
+                        {canEditRules && (
+                            <div className="alert-rule-fields">
+                                {renderRuleFields(rule)}
+                                <button
+                                    type="button"
+                                    className="link-button"
+                                    onClick={() => setDraft(prev => prev.filter(entry => entry.id !== rule.id))}
+                                >
+                                    Remove
+                                </button>
+                            </div>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            {canEditRules && (
+                <div className="alert-rule-actions">
+                    <select value={newType} onChange={(e) => setNewType(e.target.value)} aria-label="Rule type">
+                        {ALERT_RULE_TYPES.map(type => (
+                            <option key={type.id} value={type.id}>{type.label}</option>
+                        ))}
+                    </select>
+                    <button type="button" onClick={addRule}>+ Add rule</button>
+                    <button type="button" onClick={() => setDraft(DEFAULT_ALERT_RULES)}>Reset to defaults</button>
+                    <button type="button" className="primary" onClick={handleSave} disabled={!isDirty || hasErrors || saving}>
+                        {saving ? 'Saving...' : 'Save rules'}
+                    </button>
+                    {saveError && <span className="field-error">⚠️ {saveError}</span>}
+                </div>
+            )}
+
+            <h3 className="triggered-alerts-title">
+                🚨 Triggered Alerts
+                {alerts.length > 0 && (
+                    <button type="button" className="link-button" onClick={clearAlerts}>Clear</button>
+                )}
+            </h3>
+            {alerts.length === 0 ? (
+                <div className="no-data">No alerts triggered in this session</div>
+            ) : (
+                <ul className="triggered-alert-list">
+                    {alerts.map(alert => (
+                        <li key={alert.id} className={`triggered-alert ${alert.acknowledged ? 'acknowledged' : ''}`}>
+                            <span className="event-time">{formatTime(alert.created_at)}</span>
+                            <div className="triggered-alert-text">
+                                <strong>{alert.title}</strong>
+                                <span>{alert.body}</span>
+                            </div>
+                            {onInvestigate && (alert.eventId || alert.userId) && (
+                                <button
+                                    type="button"
+                                    className="link-button"
+                                    onClick={() => onInvestigate(alert.eventId
+                                        ? { type: 'event', id: alert.eventId }
+                                        : { type: 'user', id: alert.userId })}
+                                >
+                                    Investigate
+                                </button>
+                            )}
+                            {!alert.acknowledged && (
+                                <button type="button" className="link-button" onClick={() => acknowledge(alert.id)}>
+                                    Acknowledge
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+SecurityAlertRules.propTypes = {
+    securityAlerts: PropTypes.shape({
+        rules: PropTypes.array.isRequired,
+        rulesError: PropTypes.string,
+        canEditRules: PropTypes.bool,
+        saveRules: PropTypes.func.isRequired,
+        alerts: PropTypes.array.isRequired,
+        acknowledge: PropTypes.func.isRequired,
+        clearAlerts: PropTypes.func.isRequired
+    }).isRequired,
+    onInvestigate: PropTypes.func
+};
+
+export default SecurityAlertRules;
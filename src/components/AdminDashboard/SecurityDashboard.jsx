@@ -10,6 +10,8 @@
  * - Recent security events table
  * - Daily trend visualization
  * - User activity monitoring
+ * - Drill-down per event or user (transcript, prior attempts, warn / mute / escalate)
+ * - Shared alert rules and the alerts they triggered
  *
  * @since 2025-12-17
  */
@@ -17,26 +19,11 @@
 import React, { useState, useEffect } from 'react';
 import { logger } from '../../utils/logger';
 import { request } from '../../services/api';
+import { ATTACK_CATEGORIES, getSeverityClass } from '../../utils/securityIncidents';
+import SecurityInvestigationPanel from './SecurityInvestigationPanel';
+import SecurityAlertRules from './SecurityAlertRules';
 import './SecurityDashboard.css';
 
-/**
- * Attack category display configuration
- * Maps backend category codes to user-friendly display information
- */
-const ATTACK_CATEGORIES = {
-    'authority_impersonation': { icon: '👮', label: 'Authority Impersonation', color: '#dc3545' },
-    'instruction_override': { icon: '⚠️', label: 'Instruction Override', color: '#fd7e14' },
-    'direct_answer_request': { icon: '❓', label: 'Direct Answer Request', color: '#ffc107' },
-    'cheating_attempt': { icon: '🎯', label: 'Cheating Attempt', color: '#ff6b6b' },
-    'system_extraction': { icon: '🔓', label: 'System Extraction', color: '#e74c3c' },
-    'social_engineering': { icon: '🎭', label: 'Social Engineering', color: '#f39c12' },
-    'obfuscation_attack': { icon: '🔣', label: 'Obfuscation Attack', color: '#9b59b6' },
-    'roleplay_bypass': { icon: '🎬', label: 'Roleplay Bypass', color: '#3498db' },
-    'rate_limit': { icon: '⏱️', label: 'Rate Limit Exceeded', color: '#ff9800' },
-    'clean': { icon: '✅', label: 'Clean Message', color: '#28a745' },
-    'none': { icon: '✅', label: 'Safe Message', color: '#28a745' }
-};
-
 /**
  * Language display configuration
  */
@@ -63,9 +50,11 @@ const LANGUAGES = {
  * @param {Object} props
  * @param {Object} props.securitySummary - Real-time security summary from SSE (null if not yet received)
  * @param {Object} props.latestSecurityEvent - Latest security event from SSE (null if none)
+ * @param {Object} props.user - Current authenticated admin user
+ * @param {Object} [props.securityAlerts] - Alert rules and triggered alerts (useSecurityAlerts)
  * @returns {JSX.Element}
  */
-const SecurityDashboard = ({ securitySummary, latestSecurityEvent }) => {
+const SecurityDashboard = ({ securitySummary, latestSecurityEvent, user, securityAlerts }) => {
     const [summary, setSummary] = useState(null);
     const [categories, setCategories] = useState([]);
     const [languages, setLanguages] = useState([]);
@@ -74,6 +63,7 @@ const SecurityDashboard = ({ securitySummary, latestSecurityEvent }) => {
     const [topUsers, setTopUsers] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [investigation, setInvestigation] = useState(null); // { type: 'event' | 'user', id }
 
     // Update summary from real-time SSE data
     useEffect(() => {
@@ -352,7 +342,7 @@ const SecurityDashboard = ({ securitySummary, latestSecurityEvent }) => {
                                 const timeAgo = getTimeAgo(event.created_at);
 
                                 return (
-                                    <tr key={event.id}>
+                                    <tr key={event.id} className="clickable-row" onClick={() => setInvestigation({ type: 'event', id: event.id })}>
                                         <td className="event-time">{timeAgo}</td>
                                         <td className="event-category">
                                             <span
@@ -443,18 +433,18 @@ const SecurityDashboard = ({ securitySummary, latestSecurityEvent }) => {
             <div className="security-section">
                 <h3>👥 Top Users (Most Blocked)</h3>
                 <div className="users-list">
-                    {topUsers.map((user, index) => (
-                        <div key={user.user_id} className="user-item">
+                    {topUsers.map((topUser, index) => (
+                        <div key={topUser.user_id} className="user-item clickable-row" onClick={() => setInvestigation({ type: 'user', id: topUser.user_id })}>
                             <div className="user-rank">#{index + 1}</div>
                             <div className="user-info">
-                                <div className="user-name">{user.display_name || user.username}</div>
+                                <div className="user-name">{topUser.display_name || topUser.username}</div>
                                 <div className="user-details">
-                                    <span className="user-team">{user.team_name}</span>
+                                    <span className="user-team">{topUser.team_name}</span>
                                 </div>
                             </div>
                             <div className="user-stats">
-                                <div className="user-blocked-count">{user.blocked_count} blocked</div>
-                                <div className="user-avg-score">Avg: {user.avg_score}</div>
+                                <div className="user-blocked-count">{topUser.blocked_count} blocked</div>
+                                <div className="user-avg-score">Avg: {topUser.avg_score}</div>
                             </div>
                         </div>
                     ))}
@@ -480,18 +470,6 @@ const SecurityDashboard = ({ securitySummary, latestSecurityEvent }) => {
         return `${Math.floor(diffMins / 1440)}d ago`;
     };
 
-    /**
-     * Get severity class based on score
-     * @param {number} score - Suspicion score
-     * @returns {string} CSS class
-     */
-    const getSeverityClass = (score) => {
-        if (score >= 80) return 'critical';
-        if (score >= 60) return 'high';
-        if (score >= 40) return 'medium';
-        return 'low';
-    };
-
     // Loading state
     if (loading) {
         return (
@@ -533,6 +511,16 @@ const SecurityDashboard = ({ securitySummary, latestSecurityEvent }) => {
             </div>
 
             {renderRecentEvents()}
+
+            {securityAlerts && <SecurityAlertRules securityAlerts={securityAlerts} onInvestigate={setInvestigation} />}
+
+            {investigation && (
+                <SecurityInvestigationPanel
+                    target={investigation}
+                    user={user}
+                    onClose={() => setInvestigation(null)}
+                />
+            )}
         </div>
     );
 };
@@ -0,0 +1,370 @@
+/**
+ * Component: SecurityInvestigationPanel
+ * Purpose: Drill-down into a security event or a user's AI chat activity
+ * Part of: Easter Quest - Ypsomed AG Easter Challenge Frontend
+ *
+ * Features:
+ * - Chat transcript around the flagged message (PII-masked)
+ * - All prior flagged attempts of the user, grouped by category
+ * - The game the team was playing at that moment
+ * - Actions: warn the user, mute the AI chat for them, escalate to the notifications dashboard
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import {
+    getSecurityEventContext,
+    getSecurityUserInvestigation,
+    warnSecurityUser,
+    muteAIChat,
+    unmuteAIChat,
+    escalateSecurityEvent
+} from '../../services/admin';
+import { useRouter } from '../../contexts/RouterContext';
+import { buildPath, canAccessRoute } from '../../config/routes';
+import { MUTE_DURATIONS, isMuteActive } from '../../utils/chatModeration';
+import {
+    DEFAULT_SECURITY_WARNING,
+    getAttackCategory,
+    getSeverityClass,
+    maskTranscript,
+    summarizeAttempts
+} from '../../utils/securityIncidents';
+import { maskPIIInText } from '../../utils/security';
+import { logger } from '../../utils/logger';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '');
+
+/**
+ * Security Investigation Panel Component
+ *
+ * @param {Object} props
+ * @param {Object} props.target - What to investigate: { type: 'event' | 'user', id }
+ * @param {Object} props.user - Current authenticated admin user
+ * @param {Function} props.onClose - Close the panel
+ * @returns {JSX.Element}
+ */
+const SecurityInvestigationPanel = ({ target, user, onClose }) => {
+    const router = useRouter();
+    const [view, setView] = useState(target);
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [warning, setWarning] = useState(DEFAULT_SECURITY_WARNING);
+    const [muteMinutes, setMuteMinutes] = useState(MUTE_DURATIONS[0].minutes);
+    const [note, setNote] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [actionResult, setActionResult] = useState(null);
+    const [escalated, setEscalated] = useState(false);
+
+    useEffect(() => {
+        setView(target);
+    }, [target]);
+
+    const loadInvestigation = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        setActionResult(null);
+        setEscalated(false);
+        try {
+            const response = view.type === 'event'
+                ? await getSecurityEventContext(view.id)
+                : await getSecurityUserInvestigation(view.id);
+            setData(response);
+        } catch (err) {
+            logger.error('security_investigation_load_failed', {
+                targetType: view.type,
+                targetId: view.id,
+                errorMessage: err.message,
+                module: 'SecurityInvestigationPanel'
+            }, err);
+            setError('Failed to load investigation details.');
+        } finally {
+            setLoading(false);
+        }
+    }, [view]);
+
+    useEffect(() => {
+        loadInvestigation();
+    }, [loadInvestigation]);
+
+    const investigatedUser = data?.user;
+    const event = data?.event || null;
+    const escalationEventId = event?.id || data?.events?.[0]?.id || null;
+    const aiMute = investigatedUser?.ai_muted_until ? { muted_until: investigatedUser.ai_muted_until } : null;
+    const isAIMuted = isMuteActive(aiMute);
+
+    /**
+     * Run an action on the investigated user and report the outcome
+     * @param {Function} action - Request to run, resolves to the success message
+     * @param {string} failEvent - Log event name on failure
+     * @returns {Promise<void>}
+     */
+    const runAction = async (action, failEvent) => {
+        setBusy(true);
+        setActionResult(null);
+        setEscalated(false);
+        try {
+            const message = await action();
+            setActionResult({ type: 'success', message });
+        } catch (err) {
+            logger.error(failEvent, {
+                userId: investigatedUser?.id,
+                errorMessage: err.message,
+                module: 'SecurityInvestigationPanel'
+            }, err);
+            setActionResult({ type: 'error', message: err.message || 'Action failed' });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleWarn = () => runAction(async () => {
+        await warnSecurityUser(investigatedUser.id, { message: warning.trim(), event_id: escalationEventId });
+        return `Warning sent to ${investigatedUser.display_name || investigatedUser.username}`;
+    }, 'security_warn_failed');
+
+    const handleMute = () => runAction(async () => {
+        const response = await muteAIChat(investigatedUser.id, {
+            minutes: muteMinutes,
+            reason: event ? getAttackCategory(event.attack_category).label : 'Security investigation',
+            event_id: escalationEventId
+        });
+        setData(prev => ({ ...prev, user: { ...prev.user, ai_muted_until: response?.ai_muted_until || null } }));
+        return 'AI chat muted';
+    }, 'security_mute_failed');
+
+    const handleUnmute = () => runAction(async () => {
+        await unmuteAIChat(investigatedUser.id);
+        setData(prev => ({ ...prev, user: { ...prev.user, ai_muted_until: null } }));
+        return 'AI chat unmuted';
+    }, 'security_unmute_failed');
+
+    const handleEscalate = () => runAction(async () => {
+        await escalateSecurityEvent(escalationEventId, { note: note.trim() });
+        setNote('');
+        setEscalated(true);
+        return 'Escalated to the notifications dashboard';
+    }, 'security_escalate_failed');
+
+    const canOpenNotifications = router && canAccessRoute(user, 'notifications');
+
+    /**
+     * Render the flagged event summary
+     * @returns {JSX.Element|null}
+     */
+    const renderEvent = () => {
+        if (!event) return null;
+        const config = getAttackCategory(event.attack_category);
+
+        return (
+            <div className="investigation-section investigation-event" style={{ borderLeftColor: config.color }}>
+                <div className="investigation-event-header">
+                    <span>{config.icon} {config.label}</span>
+                    <span className={`score-badge ${getSeverityClass(event.suspicion_score)}`}>{event.suspicion_score}</span>
+                    <span className="investigation-muted">{formatDateTime(event.created_at)}</span>
+                </div>
+                {event.english_text_preview && (
+                    <p className="investigation-event-text">{maskPIIInText(event.english_text_preview)}</p>
+                )}
+            </div>
+        );
+    };
+
+    /**
+     * Render the chat transcript
+     * @returns {JSX.Element}
+     */
+    const renderTranscript = () => {
+        const messages = maskTranscript(data.transcript, event?.id ?? null);
+
+        return (
+            <div className="investigation-section">
+                <h4>💬 Conversation</h4>
+                {messages.length === 0 ? (
+                    <div className="no-data">No chat messages</div>
+                ) : (
+                    <ol className="investigation-transcript">
+                        {messages.map(message => (
+                            <li
+                                key={message.id}
+                                className={`transcript-message ${message.role} ${message.flagged ? 'flagged' : ''} ${message.focus ? 'focus' : ''}`}
+                            >
+                                <span className="transcript-meta">
+                                    {message.role === 'assistant' ? '🤖 Assistant' : '👤 User'} · {formatDateTime(message.created_at)}
+                                    {message.flagged && ' · 🚩 flagged'}
+                                </span>
+                                <span className="transcript-content">{message.content}</span>
+                            </li>
+                        ))}
+                    </ol>
+                )}
+            </div>
+        );
+    };
+
+    /**
+     * Render the user's flagged attempts
+     * @returns {JSX.Element}
+     */
+    const renderAttempts = () => {
+        const attempts = data.events || [];
+
+        return (
+            <div className="investigation-section">
+                <h4>🚩 Flagged Attempts ({attempts.length})</h4>
+                {attempts.length === 0 ? (
+                    <div className="no-data">No other flagged attempts</div>
+                ) : (
+                    <>
+                        <div className="investigation-attempt-summary">
+                            {summarizeAttempts(attempts).map(({ category, count }) => {
+                                const config = getAttackCategory(category);
+                                return (
+                                    <span key={category} className="attempt-chip" style={{ borderColor: config.color }}>
+                                        {config.icon} {config.label} × {count}
+                                    </span>
+                                );
+                            })}
+                        </div>
+                        <ul className="investigation-attempts">
+                            {attempts.map(attempt => (
+                                <li key={attempt.id} className={attempt.id === event?.id ? 'current' : ''}>
+                                    <span className="investigation-muted">{formatDateTime(attempt.created_at)}</span>
+                                    <span>{getAttackCategory(attempt.attack_category).icon}</span>
+                                    <span className={`score-badge ${getSeverityClass(attempt.suspicion_score)}`}>{attempt.suspicion_score}</span>
+                                    <span className="investigation-attempt-text">{maskPIIInText(attempt.english_text_preview || '')}</span>
+                                    {attempt.id !== event?.id && (
+                                        <button className="link-button" onClick={() => setView({ type: 'event', id: attempt.id })}>
+                                            Open
+                                        </button>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    </>
+                )}
+            </div>
+        );
+    };
+
+    /**
+     * Render the action area
+     * @returns {JSX.Element}
+     */
+    const renderActions = () => (
+        <div className="investigation-section investigation-actions">
+            <h4>🛠️ Actions</h4>
+
+            <label>
+                Warning
+                <textarea rows={3} value={warning} onChange={(e) => setWarning(e.target.value)} />
+            </label>
+            <button onClick={handleWarn} disabled={busy || !warning.trim()}>⚠️ Send warning</button>
+
+            <div className="investigation-action-row">
+                {isAIMuted ? (
+                    <>
+                        <span>🔇 AI chat muted until {formatDateTime(investigatedUser.ai_muted_until)}</span>
+                        <button onClick={handleUnmute} disabled={busy}>Unmute</button>
+                    </>
+                ) : (
+                    <>
+                        <select value={muteMinutes} onChange={(e) => setMuteMinutes(Number(e.target.value))} aria-label="AI mute duration">
+                            {MUTE_DURATIONS.map(duration => (
+                                <option key={duration.minutes} value={duration.minutes}>{duration.label}</option>
+                            ))}
+                        </select>
+                        <button onClick={handleMute} disabled={busy}>🔇 Mute AI chat</button>
+                    </>
+                )}
+            </div>
+
+            {escalationEventId && (
+                <div className="investigation-action-row">
+                    <input
+                        type="text"
+                        value={note}
+                        onChange={(e) => setNote(e.target.value)}
+                        placeholder="Note for the escalation (optional)"
+                        aria-label="Escalation note"
+                    />
+                    <button onClick={handleEscalate} disabled={busy}>🚨 Escalate</button>
+                </div>
+            )}
+
+            {actionResult && (
+                <div className={`investigation-result ${actionResult.type}`}>
+                    {actionResult.type === 'error' ? '⚠️ ' : '✅ '}{actionResult.message}
+                    {actionResult.type === 'success' && escalated && canOpenNotifications && (
+                        <button className="link-button" onClick={() => router.navigate(buildPath('notifications', 'open'))}>
+                            Open notifications
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+
+    let title = view.type === 'event' ? 'Security Event' : 'User Investigation';
+    if (investigatedUser) title += ` · ${investigatedUser.display_name || investigatedUser.username}`;
+
+    return (
+        <div className="investigation-overlay" onClick={onClose}>
+            <aside className="investigation-panel" onClick={(e) => e.stopPropagation()} aria-label="Security investigation">
+                <div className="investigation-header">
+                    <h3>🔍 {title}</h3>
+                    <button className="investigation-close" onClick={onClose} aria-label="Close">×</button>
+                </div>
+
+                {loading && (
+                    <div className="loading-state">
+                        <div className="spinner"></div>
+                        <p>Loading investigation...</p>
+                    </div>
+                )}
+
+                {!loading && error && (
+                    <div className="error-state">
+                        <p className="error-message">{error}</p>
+                        <button onClick={loadInvestigation} className="retry-button">Retry</button>
+                    </div>
+                )}
+
+                {!loading && !error && data && (
+                    <div className="investigation-body">
+                        <div className="investigation-context">
+                            {investigatedUser?.team_name && <span>👥 {investigatedUser.team_name}</span>}
+                            <span>
+                                🎮 {data.game ? `${data.game.title}${data.game.started_at ? ` (since ${formatDateTime(data.game.started_at)})` : ''}` : 'No active game'}
+                            </span>
+                            {view.type === 'event' && investigatedUser && (
+                                <button className="link-button" onClick={() => setView({ type: 'user', id: investigatedUser.id })}>
+                                    All activity of this user
+                                </button>
+                            )}
+                        </div>
+
+                        {renderEvent()}
+                        {renderTranscript()}
+                        {renderAttempts()}
+                        {investigatedUser && renderActions()}
+                    </div>
+                )}
+            </aside>
+        </div>
+    );
+};
+
+SecurityInvestigationPanel.propTypes = {
+    target: PropTypes.shape({
+        type: PropTypes.oneOf(['event', 'user']).isRequired,
+        id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired
+    }).isRequired,
+    user: PropTypes.object,
+    onClose: PropTypes.func.isRequired
+};
+
+export default SecurityInvestigationPanel;
@@ -0,0 +1,339 @@
+/**
+ * Module: AdminNotifications/AnnouncementsPanel.jsx
+ * Purpose: Compose, schedule and track announcements to several teams
+ * Part of: Easter Quest 2025 - Phase 5: Admin Notification Panel
+ *
+ * Features:
+ * - Send to all teams or a selection of teams
+ * - Templates ("30 minutes left", "Game unlocked", ...) and a per-team preview
+ * - Send now or schedule for a later time; queue with cancel
+ * - History with delivery status per team
+ *
+ * Announcements arrive in the team chat like an admin team broadcast.
+ * For a single team, the chat widget (sendAdminTeamBroadcast) is still the quickest way.
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useState, useEffect } from 'react';
+import { getAllTeams } from '../../services';
+import { useAnnouncements } from '../../hooks/useAnnouncements';
+import {
+    ANNOUNCEMENT_TEMPLATES,
+    MAX_ANNOUNCEMENT_LENGTH,
+    renderAnnouncement,
+    toScheduleTimestamp,
+    validateAnnouncement,
+    splitAnnouncements,
+    summarizeDeliveries
+} from '../../utils/announcements';
+import { logger } from '../../utils/logger';
+import './AnnouncementsPanel.css';
+
+const EMPTY_DRAFT = {
+    content: '',
+    allTeams: true,
+    teamIds: [],
+    scheduleAt: ''
+};
+
+const STATUS_LABELS = {
+    scheduled: '🕒 Scheduled',
+    sending: '📤 Sending',
+    sent: '✅ Sent',
+    failed: '⚠️ Failed',
+    cancelled: '✕ Cancelled'
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '');
+
+/**
+ * Announcements Panel Component
+ *
+ * @returns {JSX.Element}
+ */
+const AnnouncementsPanel = () => {
+    const { announcements, loading, error, reload, send, cancel } = useAnnouncements();
+    const [teams, setTeams] = useState([]);
+    const [draft, setDraft] = useState(EMPTY_DRAFT);
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [sendError, setSendError] = useState(null);
+    const [sending, setSending] = useState(false);
+
+    useEffect(() => {
+        getAllTeams()
+            .then(response => setTeams((response.teams || []).filter(team => !team.is_system_team)))
+            .catch(err => logger.error('announcements_teams_load_failed', {
+                errorMessage: err.message,
+                module: 'AnnouncementsPanel'
+            }, err));
+    }, []);
+
+    const { queue, history } = splitAnnouncements(announcements);
+    const selectedTeams = draft.allTeams ? teams : teams.filter(team => draft.teamIds.includes(team.id));
+    const previewTeam = selectedTeams[0];
+
+    function updateDraft(changes) {
+        setDraft(prev => ({ ...prev, ...changes }));
+    }
+
+    function toggleTeam(teamId) {
+        updateDraft({
+            teamIds: draft.teamIds.includes(teamId)
+                ? draft.teamIds.filter(id => id !== teamId)
+                : [...draft.teamIds, teamId]
+        });
+    }
+
+    function handleTemplateChange(e) {
+        const template = ANNOUNCEMENT_TEMPLATES.find(option => option.id === e.target.value);
+        if (template) updateDraft({ content: template.content });
+    }
+
+    /**
+     * Describe the recipients of an announcement
+     * @param {Object} announcement - Announcement from the API
+     * @returns {string} "All teams" or the team names
+     */
+    function describeTeams(announcement) {
+        if (announcement.all_teams) return 'All teams';
+        return (announcement.team_ids || [])
+            .map(id => teams.find(team => team.id === id)?.name || `Team #${id}`)
+            .join(', ');
+    }
+
+    /**
+     * Handle form submit
+     * @param {Event} e - Submit event
+     * @returns {Promise<void>}
+     */
+    async function handleSubmit(e) {
+        e.preventDefault();
+        const errors = validateAnnouncement(draft);
+        setFieldErrors(errors);
+        if (Object.keys(errors).length > 0) return;
+
+        const scheduledFor = toScheduleTimestamp(draft.scheduleAt);
+        if (!scheduledFor && !window.confirm(`Send this announcement to ${draft.allTeams ? 'all teams' : `${draft.teamIds.length} team(s)`} now?`)) {
+            return;
+        }
+
+        setSending(true);
+        setSendError(null);
+        try {
+            await send({
+                content: draft.content.trim(),
+                all_teams: draft.allTeams,
+                team_ids: draft.allTeams ? [] : draft.teamIds,
+                scheduled_for: scheduledFor
+            });
+            setDraft(EMPTY_DRAFT);
+        } catch (err) {
+            logger.error('announcement_send_failed', {
+                scheduled: !!scheduledFor,
+                errorMessage: err.message,
+                module: 'AnnouncementsPanel'
+            }, err);
+            setSendError(err.message || 'Failed to send announcement');
+        } finally {
+            setSending(false);
+        }
+    }
+
+    /**
+     * Handle cancel button click
+     * @param {Object} announcement - Scheduled announcement
+     * @returns {Promise<void>}
+     */
+    async function handleCancel(announcement) {
+        if (!window.confirm('Cancel this scheduled announcement?')) return;
+        try {
+            await cancel(announcement.id);
+        } catch (err) {
+            logger.error('announcement_cancel_failed', {
+                announcementId: announcement.id,
+                errorMessage: err.message,
+                module: 'AnnouncementsPanel'
+            }, err);
+            alert('Failed to cancel announcement: ' + err.message);
+            reload();
+        }
+    }
+
+    let submitLabel = draft.scheduleAt ? 'Schedule' : 'Send now';
+    if (sending) submitLabel = 'Sending...';
+
+    return (
+        <div className="announcements-panel">
+            <form className="announcement-form" onSubmit={handleSubmit} noValidate>
+                <div className="form-row">
+                    <label>
+                        Template
+                        <select value="" onChange={handleTemplateChange}>
+                            <option value="">Start from a template…</option>
+                            {ANNOUNCEMENT_TEMPLATES.map(template => (
+                                <option key={template.id} value={template.id}>{template.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label>
+                        Send at
+                        <input
+                            type="datetime-local"
+                            value={draft.scheduleAt}
+                            onChange={(e) => updateDraft({ scheduleAt: e.target.value })}
+                        />
+                        <span className="field-hint">Leave empty to send now</span>
+                        {fieldErrors.scheduleAt && <span className="field-error">{fieldErrors.scheduleAt}</span>}
+                    </label>
+                </div>
+
+                <label>
+                    Announcement
+                    <textarea
+                        rows={3}
+                        value={draft.content}
+                        onChange={(e) => updateDraft({ content: e.target.value })}
+                        maxLength={MAX_ANNOUNCEMENT_LENGTH}
+                    />
+                    <span className="field-hint">
+                        <code>{'{{team_name}}'}</code> is replaced with each team&apos;s name. {draft.content.length}/{MAX_ANNOUNCEMENT_LENGTH}
+                    </span>
+                    {fieldErrors.content && <span className="field-error">{fieldErrors.content}</span>}
+                </label>
+
+                <fieldset className="announcement-teams">
+                    <legend>Teams</legend>
+                    <label className="all-teams-option">
+                        <input
+                            type="checkbox"
+                            checked={draft.allTeams}
+                            onChange={(e) => updateDraft({ allTeams: e.target.checked })}
+                        />
+                        All teams ({teams.length})
+                    </label>
+                    {!draft.allTeams && (
+                        <div className="team-options">
+                            {teams.map(team => (
+                                <label key={team.id}>
+                                    <input
+                                        type="checkbox"
+                                        checked={draft.teamIds.includes(team.id)}
+                                        onChange={() => toggleTeam(team.id)}
+                                    />
+                                    {team.name}
+                                </label>
+                            ))}
+                        </div>
+                    )}
+                    {fieldErrors.teams && <span className="field-error">{fieldErrors.teams}</span>}
+                </fieldset>
+
+                <div className="announcement-preview">
+                    <span className="preview-label">
+                        Preview{previewTeam ? ` for ${previewTeam.name}` : ''}
+                    </span>
+                    <p>{renderAnnouncement(draft.content, previewTeam) || '—'}</p>
+                </div>
+
+                {sendError && <div className="notifications-error"><p>⚠️ {sendError}</p></div>}
+
+                <div className="form-actions">
+                    <button type="submit" className="btn-send-announcement" disabled={sending}>
+                        {submitLabel}
+                    </button>
+                </div>
+            </form>
+
+            {loading && announcements.length === 0 && (
+                <div className="notifications-loading">
+                    <div className="loading-spinner"></div>
+                    <p>Loading announcements...</p>
+                </div>
+            )}
+
+            {error && (
+                <div className="notifications-error">
+                    <p>⚠️ Error: {error}</p>
+                    <button onClick={reload} className="retry-button">
+                        Retry
+                    </button>
+                </div>
+            )}
+
+            {queue.length > 0 && (
+                <section className="announcement-section">
+                    <h3>Queue</h3>
+                    <ul className="announcement-list">
+                        {queue.map(announcement => (
+                            <li key={announcement.id} className={`announcement-item ${announcement.status}`}>
+                                <div className="announcement-item-header">
+                                    <span className="announcement-status">{STATUS_LABELS[announcement.status]}</span>
+                                    <span>{formatDateTime(announcement.scheduled_for)}</span>
+                                    <span className="announcement-teams-label">{describeTeams(announcement)}</span>
+                                    {announcement.status === 'scheduled' && (
+                                        <button onClick={() => handleCancel(announcement)} className="btn-cancel-announcement">
+                                            Cancel
+                                        </button>
+                                    )}
+                                </div>
+                                <p className="announcement-content">{announcement.content}</p>
+                            </li>
+                        ))}
+                    </ul>
+                </section>
+            )}
+
+            {!loading && !error && announcements.length === 0 && (
+                <div className="notifications-empty">
+                    <div className="empty-icon">📣</div>
+                    <h3>No announcements yet</h3>
+                    <p>Announcements you send or schedule show up here.</p>
+                </div>
+            )}
+
+            {history.length > 0 && (
+                <section className="announcement-section">
+                    <h3>History</h3>
+                    <ul className="announcement-list">
+                        {history.map(announcement => {
+                            const summary = summarizeDeliveries(announcement);
+                            return (
+                                <li key={announcement.id} className={`announcement-item ${announcement.status}`}>
+                                    <div className="announcement-item-header">
+                                        <span className="announcement-status">{STATUS_LABELS[announcement.status] || announcement.status}</span>
+                                        <span>{formatDateTime(announcement.sent_at || announcement.scheduled_for || announcement.created_at)}</span>
+                                        <span className="announcement-teams-label">{describeTeams(announcement)}</span>
+                                        {announcement.created_by_username && (
+                                            <span className="announcement-author">by @{announcement.created_by_username}</span>
+                                        )}
+                                    </div>
+                                    <p className="announcement-content">{announcement.content}</p>
+                                    {summary.total > 0 && (
+                                        <details className="announcement-deliveries">
+                                            <summary>
+                                                {summary.delivered}/{summary.total} delivered
+                                                {summary.failed > 0 && <span className="delivery-failed"> · {summary.failed} failed</span>}
+                                                {summary.pending > 0 && ` · ${summary.pending} pending`}
+                                            </summary>
+                                            <ul>
+                                                {announcement.deliveries.map(delivery => (
+                                                    <li key={delivery.team_id} className={`delivery-${delivery.status}`}>
+                                                        {delivery.team_name}: {delivery.status}
+                                                        {delivery.error && ` (${delivery.error})`}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        </details>
+                                    )}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                </section>
+            )}
+        </div>
+    );
+};
+
+export default AnnouncementsPanel;
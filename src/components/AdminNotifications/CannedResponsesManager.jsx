@@ -0,0 +1,310 @@
+/**
+ * Module: AdminNotifications/CannedResponsesManager.jsx
+ * Purpose: Manage canned responses and macros for escalation replies
+ * Part of: Easter Quest 2025 - Phase 5: Admin Notification Panel
+ *
+ * Features:
+ * - List, create, edit and delete canned responses ("Responses" tab)
+ * - Slash command shortcut, escalation types the response is suggested for
+ * - Variable buttons and a live preview with sample values
+ * - Macro option: resolve the escalation when the reply is sent
+ *
+ * Responses are inserted in the chat input with "/shortcut" (see ChatFooter).
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useState, useRef } from 'react';
+import { useCannedResponses } from '../../hooks/useCannedResponses';
+import {
+    MACRO_VARIABLES,
+    SAMPLE_MACRO_CONTEXT,
+    ESCALATION_TYPES,
+    renderTemplate,
+    normalizeShortcut,
+    validateCannedResponse
+} from '../../utils/cannedResponses';
+import { logger } from '../../utils/logger';
+import './CannedResponsesManager.css';
+
+const EMPTY_DRAFT = {
+    title: '',
+    shortcut: '',
+    body: '',
+    escalation_types: [],
+    resolves_escalation: false
+};
+
+/**
+ * Get escalation type display names
+ * @param {Array<string>} types - Escalation types
+ * @returns {string} Comma-separated labels, "Any escalation" when empty
+ */
+function describeEscalationTypes(types = []) {
+    if (types.length === 0) return 'Any escalation';
+    return types.map(type => ESCALATION_TYPES.find(option => option.value === type)?.label || type).join(', ');
+}
+
+/**
+ * Canned Responses Manager Component
+ *
+ * @returns {JSX.Element}
+ */
+const CannedResponsesManager = () => {
+    const { responses, loading, error, reload, save, remove } = useCannedResponses();
+    const [draft, setDraft] = useState(null);
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [saveError, setSaveError] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const bodyRef = useRef(null);
+
+    function updateDraft(changes) {
+        setDraft(prev => ({ ...prev, ...changes }));
+    }
+
+    function startEdit(response) {
+        setDraft(response ? { ...EMPTY_DRAFT, ...response } : { ...EMPTY_DRAFT });
+        setFieldErrors({});
+        setSaveError(null);
+    }
+
+    /**
+     * Insert a variable at the cursor position of the text field
+     * @param {string} name - Variable name
+     */
+    function insertVariable(name) {
+        const placeholder = `{{${name}}}`;
+        const field = bodyRef.current;
+        const start = field ? field.selectionStart : draft.body.length;
+        const end = field ? field.selectionEnd : draft.body.length;
+        updateDraft({ body: draft.body.slice(0, start) + placeholder + draft.body.slice(end) });
+        if (field) {
+            field.focus();
+            requestAnimationFrame(() => field.setSelectionRange(start + placeholder.length, start + placeholder.length));
+        }
+    }
+
+    function toggleEscalationType(type) {
+        const types = draft.escalation_types.includes(type)
+            ? draft.escalation_types.filter(value => value !== type)
+            : [...draft.escalation_types, type];
+        updateDraft({ escalation_types: types });
+    }
+
+    /**
+     * Handle form submit
+     * @param {Event} e - Submit event
+     * @returns {Promise<void>}
+     */
+    async function handleSubmit(e) {
+        e.preventDefault();
+        const errors = validateCannedResponse(draft, responses);
+        setFieldErrors(errors);
+        if (Object.keys(errors).length > 0) return;
+
+        setSaving(true);
+        setSaveError(null);
+        try {
+            await save({
+                id: draft.id,
+                title: draft.title.trim(),
+                shortcut: draft.shortcut,
+                body: draft.body.trim(),
+                escalation_types: draft.escalation_types,
+                resolves_escalation: draft.resolves_escalation
+            });
+            setDraft(null);
+        } catch (err) {
+            logger.error('canned_response_save_failed', {
+                responseId: draft.id,
+                errorMessage: err.message,
+                module: 'CannedResponsesManager'
+            }, err);
+            setSaveError(err.message || 'Failed to save');
+        } finally {
+            setSaving(false);
+        }
+    }
+
+    /**
+     * Handle delete button click
+     * @param {Object} response - Canned response
+     * @returns {Promise<void>}
+     */
+    async function handleDelete(response) {
+        if (!window.confirm(`Delete the canned response "/${response.shortcut}"?`)) return;
+        try {
+            await remove(response.id);
+            if (draft?.id === response.id) setDraft(null);
+        } catch (err) {
+            logger.error('canned_response_delete_failed', {
+                responseId: response.id,
+                errorMessage: err.message,
+                module: 'CannedResponsesManager'
+            }, err);
+            alert('Failed to delete canned response: ' + err.message);
+        }
+    }
+
+    return (
+        <div className="canned-responses-manager">
+            <div className="canned-responses-toolbar">
+                <p className="canned-responses-hint">
+                    Type <code>/shortcut</code> in the team chat to insert a response. Variables are filled in from the escalation you are answering.
+                </p>
+                <button className="btn-new-response" onClick={() => startEdit(null)} disabled={!!draft}>
+                    + New Response
+                </button>
+            </div>
+
+            {draft && (
+                <form className="canned-response-form" onSubmit={handleSubmit} noValidate>
+                    <div className="form-row">
+                        <label>
+                            Title
+                            <input
+                                type="text"
+                                value={draft.title}
+                                onChange={(e) => updateDraft({ title: e.target.value })}
+                                maxLength={100}
+                            />
+                            {fieldErrors.title && <span className="field-error">{fieldErrors.title}</span>}
+                        </label>
+                        <label>
+                            Shortcut
+                            <span className="shortcut-input">
+                                <span>/</span>
+                                <input
+                                    type="text"
+                                    value={draft.shortcut}
+                                    onChange={(e) => updateDraft({ shortcut: normalizeShortcut(e.target.value) })}
+                                    placeholder="stuck-hint"
+                                />
+                            </span>
+                            {fieldErrors.shortcut && <span className="field-error">{fieldErrors.shortcut}</span>}
+                        </label>
+                    </div>
+
+                    <label>
+                        Text
+                        <textarea
+                            ref={bodyRef}
+                            rows={4}
+                            value={draft.body}
+                            onChange={(e) => updateDraft({ body: e.target.value })}
+                            maxLength={2000}
+                        />
+                        {fieldErrors.body && <span className="field-error">{fieldErrors.body}</span>}
+                    </label>
+
+                    <div className="variable-buttons">
+                        <span>Insert variable:</span>
+                        {MACRO_VARIABLES.map(variable => (
+                            <button
+                                key={variable.name}
+                                type="button"
+                                onClick={() => insertVariable(variable.name)}
+                                title={variable.label}
+                            >
+                                {`{{${variable.name}}}`}
+                            </button>
+                        ))}
+                    </div>
+
+                    <div className="canned-response-preview-box">
+                        <span className="preview-label">Preview</span>
+                        <p>{renderTemplate(draft.body, SAMPLE_MACRO_CONTEXT) || '—'}</p>
+                    </div>
+
+                    <fieldset className="escalation-type-options">
+                        <legend>Suggest first for</legend>
+                        {ESCALATION_TYPES.map(type => (
+                            <label key={type.value}>
+                                <input
+                                    type="checkbox"
+                                    checked={draft.escalation_types.includes(type.value)}
+                                    onChange={() => toggleEscalationType(type.value)}
+                                />
+                                {type.label}
+                            </label>
+                        ))}
+                    </fieldset>
+
+                    <label className="resolves-option">
+                        <input
+                            type="checkbox"
+                            checked={draft.resolves_escalation}
+                            onChange={(e) => updateDraft({ resolves_escalation: e.target.checked })}
+                        />
+                        Macro: also resolve the escalation when this reply is sent
+                    </label>
+
+                    {saveError && <div className="notifications-error"><p>⚠️ {saveError}</p></div>}
+
+                    <div className="form-actions">
+                        <button type="button" className="btn-cancel" onClick={() => setDraft(null)}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn-save" disabled={saving}>
+                            {saving ? 'Saving...' : 'Save'}
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {loading && responses.length === 0 && (
+                <div className="notifications-loading">
+                    <div className="loading-spinner"></div>
+                    <p>Loading canned responses...</p>
+                </div>
+            )}
+
+            {error && (
+                <div className="notifications-error">
+                    <p>⚠️ Error: {error}</p>
+                    <button onClick={reload} className="retry-button">
+                        Retry
+                    </button>
+                </div>
+            )}
+
+            {!loading && !error && responses.length === 0 && !draft && (
+                <div className="notifications-empty">
+                    <div className="empty-icon">💬</div>
+                    <h3>No canned responses yet</h3>
+                    <p>Create responses for the escalations you answer most often.</p>
+                </div>
+            )}
+
+            {responses.length > 0 && (
+                <ul className="canned-responses-list">
+                    {responses.map(response => (
+                        <li key={response.id} className="canned-response-item">
+                            <div className="canned-response-item-header">
+                                <code>/{response.shortcut}</code>
+                                <strong>{response.title}</strong>
+                                {response.resolves_escalation && (
+                                    <span className="macro-badge" title="Resolves the escalation when sent">✓ Resolves</span>
+                                )}
+                            </div>
+                            <p className="canned-response-item-body">{response.body}</p>
+                            <div className="canned-response-item-footer">
+                                <span>{describeEscalationTypes(response.escalation_types)}</span>
+                                <span className="item-actions">
+                                    <button onClick={() => startEdit(response)} aria-label={`Edit /${response.shortcut}`}>
+                                        Edit
+                                    </button>
+                                    <button onClick={() => handleDelete(response)} aria-label={`Delete /${response.shortcut}`}>
+                                        Delete
+                                    </button>
+                                </span>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default CannedResponsesManager;
@@ -0,0 +1,126 @@
+/**
+ * Module: AdminNotifications/EscalationAssignment.jsx
+ * Purpose: Claim / assign / release controls of an escalation notification
+ * Part of: Easter Quest 2025 - Phase 5: Admin Notification Panel
+ *
+ * Features:
+ * - "Claimed by" state (updated live over the notification stream)
+ * - Claim for yourself, assign to another admin, release your claim
+ * - Countdown until an unanswered claim expires and is reassigned
+ * - Note when the escalation was reassigned after a claim timeout
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useNow } from '../../hooks/useNow';
+import { getClaimExpiry, formatCountdown } from '../../utils/escalationSla';
+
+/**
+ * Countdown until a claim expires (ticks on its own, only while rendered)
+ *
+ * @param {Object} props
+ * @param {number} props.expiry - Claim expiry (ms)
+ * @param {number} [props.now] - Fixed current time (ms); ticks every second when omitted
+ * @returns {JSX.Element}
+ */
+const ClaimCountdown = ({ expiry, now }) => {
+    const tick = useNow(1000);
+    const current = now ?? tick;
+
+    return (
+        <span className="assignment-expiry" title="Acknowledge or resolve before the claim expires, otherwise it is reassigned">
+            {expiry > current ? `claim expires in ${formatCountdown(expiry - current)}` : 'claim expired, reassigning...'}
+        </span>
+    );
+};
+
+ClaimCountdown.propTypes = {
+    expiry: PropTypes.number.isRequired,
+    now: PropTypes.number
+};
+
+/**
+ * Escalation Assignment Component
+ *
+ * @param {Object} props
+ * @param {Object} props.notification - Notification object from API
+ * @param {Object} props.currentUser - Current admin ({ id })
+ * @param {Array<Object>} props.assignees - Admins the escalation can be assigned to
+ * @param {number} [props.now] - Fixed current time (ms) for the claim countdown
+ * @param {Function} props.onClaim - Claim for the current admin (notificationId)
+ * @param {Function} props.onAssign - Assign to an admin (notificationId, adminId)
+ * @param {Function} props.onRelease - Release the claim (notificationId)
+ * @param {boolean} [props.readOnly] - Only show the assignee (resolved notifications)
+ * @returns {JSX.Element}
+ */
+const EscalationAssignment = ({ notification, currentUser, assignees, now, onClaim, onAssign, onRelease, readOnly = false }) => {
+    const assigneeId = notification.assigned_to_id;
+    const isMine = !!assigneeId && assigneeId === currentUser?.id;
+    const claimExpiry = getClaimExpiry(notification);
+
+    function handleAssignChange(e) {
+        const adminId = parseInt(e.target.value, 10);
+        if (adminId) onAssign(notification.id, adminId);
+    }
+
+    let owner;
+    if (!assigneeId) owner = <span className="assignment-owner unassigned">Unassigned</span>;
+    else if (isMine) owner = <span className="assignment-owner mine">🙋 Claimed by you</span>;
+    else owner = <span className="assignment-owner">👤 Claimed by @{notification.assigned_to_username}</span>;
+
+    return (
+        <div className={`escalation-assignment ${isMine ? 'mine' : ''}`}>
+            {owner}
+
+            {claimExpiry && !readOnly && <ClaimCountdown expiry={claimExpiry} now={now} />}
+
+            {notification.reassigned_reason === 'timeout' && (
+                <span className="assignment-reassigned">↪ Reassigned after claim timeout</span>
+            )}
+
+            {!readOnly && (
+                <span className="assignment-controls">
+                    {!isMine && (
+                        <button type="button" className="btn-claim" onClick={() => onClaim(notification.id)}>
+                            {assigneeId ? 'Take over' : 'Claim'}
+                        </button>
+                    )}
+                    {isMine && (
+                        <button type="button" className="btn-release" onClick={() => onRelease(notification.id)}>
+                            Release
+                        </button>
+                    )}
+                    {assignees.length > 0 && (
+                        <select
+                            value=""
+                            onChange={handleAssignChange}
+                            aria-label="Assign to admin"
+                        >
+                            <option value="">Assign to…</option>
+                            {assignees.filter(admin => admin.id !== assigneeId).map(admin => (
+                                <option key={admin.id} value={admin.id}>
+                                    {admin.display_name || admin.username}{admin.online ? '' : ' (offline)'}
+                                </option>
+                            ))}
+                        </select>
+                    )}
+                </span>
+            )}
+        </div>
+    );
+};
+
+EscalationAssignment.propTypes = {
+    notification: PropTypes.object.isRequired,
+    currentUser: PropTypes.object,
+    assignees: PropTypes.array.isRequired,
+    now: PropTypes.number,
+    onClaim: PropTypes.func.isRequired,
+    onAssign: PropTypes.func.isRequired,
+    onRelease: PropTypes.func.isRequired,
+    readOnly: PropTypes.bool
+};
+
+export default EscalationAssignment;
@@ -0,0 +1,190 @@
+/**
+ * Module: AdminNotifications/ModerationQueue.jsx
+ * Purpose: Work through reported chat messages and manage mutes
+ * Part of: Easter Quest 2025 - Phase 5: Admin Notification Panel
+ *
+ * Features:
+ * - Open reports grouped per message, with every reporter's reason and comment
+ * - Dismiss, remove the message for everyone, or mute its sender
+ * - Active mutes with "Unmute"
+ *
+ * Removing a message redacts it on all clients (`message_deleted` WebSocket event).
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useState } from 'react';
+import { useModerationQueue } from '../../hooks/useModerationQueue';
+import { MUTE_DURATIONS, getReportReasonLabel } from '../../utils/chatModeration';
+import { logger } from '../../utils/logger';
+import './ModerationQueue.css';
+
+const CHAT_TYPE_LABELS = {
+    team: 'Team chat',
+    private: 'Private chat'
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '');
+
+/**
+ * Moderation Queue Component
+ *
+ * @returns {JSX.Element}
+ */
+const ModerationQueue = () => {
+    const { reports, mutes, loading, error, reload, dismiss, removeMessage, mute, unmute } = useModerationQueue();
+    const [muteMinutes, setMuteMinutes] = useState({});
+    const [busyId, setBusyId] = useState(null);
+
+    /**
+     * Run a queue action for a report, alerting on failure
+     * @param {Object} report - Report the action is for
+     * @param {Function} action - Action to run
+     * @param {string} event - Log event name
+     * @returns {Promise<void>}
+     */
+    async function runAction(report, action, event) {
+        setBusyId(report.id);
+        try {
+            await action();
+        } catch (err) {
+            logger.error(event, {
+                reportId: report.id,
+                errorMessage: err.message,
+                module: 'ModerationQueue'
+            }, err);
+            alert('Moderation action failed: ' + err.message);
+            reload();
+        } finally {
+            setBusyId(null);
+        }
+    }
+
+    function handleRemove(report) {
+        if (!window.confirm(`Remove this message by @${report.sender_username} for everyone?`)) return;
+        runAction(report, () => removeMessage(report), 'moderation_remove_failed');
+    }
+
+    function handleMute(report) {
+        const minutes = muteMinutes[report.id] || MUTE_DURATIONS[0].minutes;
+        runAction(report, () => mute(report, minutes), 'moderation_mute_failed');
+    }
+
+    /**
+     * Handle unmute button click
+     * @param {Object} entry - Active mute
+     * @returns {Promise<void>}
+     */
+    async function handleUnmute(entry) {
+        try {
+            await unmute(entry.user_id);
+        } catch (err) {
+            logger.error('moderation_unmute_failed', {
+                userId: entry.user_id,
+                errorMessage: err.message,
+                module: 'ModerationQueue'
+            }, err);
+            alert('Failed to unmute: ' + err.message);
+        }
+    }
+
+    return (
+        <div className="moderation-queue">
+            {loading && reports.length === 0 && mutes.length === 0 && (
+                <div className="notifications-loading">
+                    <div className="loading-spinner"></div>
+                    <p>Loading reports...</p>
+                </div>
+            )}
+
+            {error && (
+                <div className="notifications-error">
+                    <p>⚠️ Error: {error}</p>
+                    <button onClick={reload} className="retry-button">
+                        Retry
+                    </button>
+                </div>
+            )}
+
+            {!loading && !error && reports.length === 0 && (
+                <div className="notifications-empty">
+                    <div className="empty-icon">🛡️</div>
+                    <h3>No open reports</h3>
+                    <p>Messages reported by players show up here.</p>
+                </div>
+            )}
+
+            {reports.length > 0 && (
+                <ul className="moderation-report-list">
+                    {reports.map(report => (
+                        <li key={report.id} className="moderation-report">
+                            <div className="moderation-report-header">
+                                <strong>@{report.sender_username}</strong>
+                                {report.team_name && <span>{report.team_name}</span>}
+                                <span>{CHAT_TYPE_LABELS[report.chat_type] || report.chat_type}</span>
+                                <span className="moderation-report-count">
+                                    ⚑ {(report.reports || []).length} report{(report.reports || []).length === 1 ? '' : 's'}
+                                </span>
+                            </div>
+
+                            <blockquote className="moderation-message">{report.message_content}</blockquote>
+
+                            <ul className="moderation-reporters">
+                                {(report.reports || []).map((entry, index) => (
+                                    <li key={index}>
+                                        <span className="reporter">@{entry.reporter_username}</span>
+                                        {' · '}{getReportReasonLabel(entry.reason)}
+                                        {entry.comment && <span className="reporter-comment"> – “{entry.comment}”</span>}
+                                        <span className="reported-at"> {formatDateTime(entry.created_at)}</span>
+                                    </li>
+                                ))}
+                            </ul>
+
+                            <div className="moderation-report-actions">
+                                <button onClick={() => runAction(report, () => dismiss(report.id), 'moderation_dismiss_failed')} disabled={busyId === report.id}>
+                                    Dismiss
+                                </button>
+                                <button className="btn-remove-message" onClick={() => handleRemove(report)} disabled={busyId === report.id}>
+                                    🗑 Remove message
+                                </button>
+                                <span className="moderation-mute-control">
+                                    <select
+                                        value={muteMinutes[report.id] || MUTE_DURATIONS[0].minutes}
+                                        onChange={(e) => setMuteMinutes(prev => ({ ...prev, [report.id]: Number(e.target.value) }))}
+                                        aria-label="Mute duration"
+                                    >
+                                        {MUTE_DURATIONS.map(duration => (
+                                            <option key={duration.minutes} value={duration.minutes}>{duration.label}</option>
+                                        ))}
+                                    </select>
+                                    <button onClick={() => handleMute(report)} disabled={busyId === report.id}>
+                                        🔇 Mute sender
+                                    </button>
+                                </span>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {mutes.length > 0 && (
+                <section className="moderation-mutes">
+                    <h3>Muted users</h3>
+                    <ul>
+                        {mutes.map(entry => (
+                            <li key={entry.user_id}>
+                                <strong>@{entry.username || entry.user_id}</strong>
+                                {entry.team_name && <span> ({entry.team_name})</span>}
+                                <span className="mute-until"> until {entry.muted_until ? formatDateTime(entry.muted_until) : 'lifted'}</span>
+                                {entry.reason && <span className="mute-reason"> – {entry.reason}</span>}
+                                <button onClick={() => handleUnmute(entry)}>Unmute</button>
+                            </li>
+                        ))}
+                    </ul>
+                </section>
+            )}
+        </div>
+    );
+};
+
+export default ModerationQueue;
@@ -11,6 +11,8 @@
  * - Acknowledge button for open notifications
  * - Team context display (if available)
  * - Triggered by users list
+ * - Reply button opening the team chat with this escalation as context
+ * - SLA countdown and claim/assign controls (when the dashboard passes them)
  *
  * @since 2025-11-12
  */
@@ -18,6 +20,8 @@
 import React, { useState } from 'react';
 import { logger } from '../../utils/logger';
 import api from '../../services/api';
+import SlaTimer from './SlaTimer';
+import EscalationAssignment from './EscalationAssignment';
 import './NotificationCard.css';
 
 /**
@@ -91,10 +95,12 @@ function getEscalationTypeLabel(type) {
  * @param {Object} props.notification - Notification object from API
  * @param {Function} props.onResolve - Callback when resolve button clicked
  * @param {Function} props.onAcknowledge - Callback when acknowledge button clicked
+ * @param {Function} [props.onReply] - Callback when reply button clicked (receives the notification)
+ * @param {Object} [props.assignment] - Claim/assign support: { currentUser, assignees, onClaim, onAssign, onRelease }
  * @param {string} props.currentTab - Current active tab ('open', 'acknowledged', 'resolved')
  * @returns {JSX.Element}
  */
-const NotificationCard = ({ notification, onResolve, onAcknowledge, currentTab }) => {
+const NotificationCard = ({ notification, onResolve, onAcknowledge, onReply, assignment, currentTab }) => {
     const priorityConfig = getPriorityConfig(notification.priority);
     const relativeTime = formatRelativeTime(notification.created_at);
     const [isRetrying, setIsRetrying] = useState(false);
@@ -140,6 +146,19 @@ const NotificationCard = ({ notification, onResolve, onAcknowledge, currentTab }
         onAcknowledge(notification.id);
     }
 
+    /**
+     * Handle reply button click
+     */
+    function handleReply() {
+        logger.info('notification_reply_started', {
+            notificationId: notification.id,
+            teamName: notification.team_name,
+            escalationType: notification.escalation_type,
+            module: 'NotificationCard'
+        });
+        onReply(notification);
+    }
+
     /**
      * Handle retry provisioning click
      */
@@ -198,6 +217,7 @@ const NotificationCard = ({ notification, onResolve, onAcknowledge, currentTab }
                     </div>
                 </div>
                 <div className="notification-time">
+                    {!isProvisionFailure && <SlaTimer notification={notification} />}
                     {relativeTime}
                 </div>
             </div>
@@ -212,6 +232,19 @@ const NotificationCard = ({ notification, onResolve, onAcknowledge, currentTab }
                 )}
             </div>
 
+            {/* Claimed by / assignment */}
+            {assignment && (
+                <EscalationAssignment
+                    notification={notification}
+                    currentUser={assignment.currentUser}
+                    assignees={assignment.assignees}
+                    onClaim={assignment.onClaim}
+                    onAssign={assignment.onAssign}
+                    onRelease={assignment.onRelease}
+                    readOnly={currentTab === 'resolved'}
+                />
+            )}
+
             {/* Message */}
             <div className="notification-message">
                 {notification.message.split('\n').map((line, idx) => (
@@ -310,6 +343,16 @@ const NotificationCard = ({ notification, onResolve, onAcknowledge, currentTab }
                             {isRetrying ? 'Retrying...' : '🔄 Retry Provisioning'}
                         </button>
                     )}
+                    {/* Answer the team in the chat (canned responses via "/") */}
+                    {onReply && !isProvisionFailure && notification.team_id && (
+                        <button
+                            className="btn-reply"
+                            onClick={handleReply}
+                            title="Reply to the team in the chat"
+                        >
+                            💬 Reply
+                        </button>
+                    )}
                     {/* Show "Acknowledge" button only for open notifications */}
                     {currentTab === 'open' && (
                         <button
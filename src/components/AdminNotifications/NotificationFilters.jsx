@@ -7,6 +7,7 @@
  * - Filter by priority (normal, high, urgent)
  * - Filter by escalation type (frustration, technical, timeout, manual, etc.)
  * - Filter by team ID
+ * - Filter by assignee (mine / unassigned)
  * - Reset all filters button
  * - Visual active filter indicators
  *
@@ -24,11 +25,12 @@ import './NotificationFilters.css';
  * @param {string|null} props.priority - Current priority filter
  * @param {string|null} props.type - Current escalation type filter
  * @param {number|null} props.team - Current team ID filter
+ * @param {string|null} [props.assignee] - Current assignee filter ('me', 'unassigned')
  * @param {Function} props.onFiltersChange - Callback when filters change
  * @param {Function} props.onReset - Callback when reset button clicked
  * @returns {JSX.Element}
  */
-const NotificationFilters = ({ priority, type, team, onFiltersChange, onReset }) => {
+const NotificationFilters = ({ priority, type, team, assignee = null, onFiltersChange, onReset }) => {
     /**
      * Handle priority filter change
      */
@@ -40,7 +42,7 @@ const NotificationFilters = ({ priority, type, team, onFiltersChange, onReset })
             newValue: value,
             module: 'NotificationFilters'
         });
-        onFiltersChange({ priority: value, type, team });
+        onFiltersChange({ priority: value, type, team, assignee });
     }
 
     /**
@@ -54,7 +56,7 @@ const NotificationFilters = ({ priority, type, team, onFiltersChange, onReset })
             newValue: value,
             module: 'NotificationFilters'
         });
-        onFiltersChange({ priority, type: value, team });
+        onFiltersChange({ priority, type: value, team, assignee });
     }
 
     /**
@@ -68,7 +70,21 @@ const NotificationFilters = ({ priority, type, team, onFiltersChange, onReset })
             newValue: value,
             module: 'NotificationFilters'
         });
-        onFiltersChange({ priority, type, team: value });
+        onFiltersChange({ priority, type, team: value, assignee });
+    }
+
+    /**
+     * Handle assignee filter change
+     */
+    function handleAssigneeChange(e) {
+        const value = e.target.value || null;
+        logger.info('notification_filter_changed', {
+            filterType: 'assignee',
+            previousValue: assignee,
+            newValue: value,
+            module: 'NotificationFilters'
+        });
+        onFiltersChange({ priority, type, team, assignee: value });
     }
 
     /**
@@ -79,13 +95,14 @@ const NotificationFilters = ({ priority, type, team, onFiltersChange, onReset })
             previousPriority: priority,
             previousType: type,
             previousTeam: team,
+            previousAssignee: assignee,
             module: 'NotificationFilters'
         });
         onReset();
     }
 
     // Check if any filters are active
-    const hasActiveFilters = priority || type || team;
+    const hasActiveFilters = priority || type || team || assignee;
 
     return (
         <div className="notification-filters">
@@ -142,6 +159,21 @@ const NotificationFilters = ({ priority, type, team, onFiltersChange, onReset })
                     />
                 </div>
 
+                {/* Assignee Filter */}
+                <div className="filter-group">
+                    <label htmlFor="assignee-filter">Assigned To</label>
+                    <select
+                        id="assignee-filter"
+                        value={assignee || ''}
+                        onChange={handleAssigneeChange}
+                        className={assignee ? 'active' : ''}
+                    >
+                        <option value="">Anyone</option>
+                        <option value="me">Me</option>
+                        <option value="unassigned">Unassigned</option>
+                    </select>
+                </div>
+
                 {/* Reset Button */}
                 {hasActiveFilters && (
                     <div className="filter-group filter-actions">
@@ -175,6 +207,11 @@ const NotificationFilters = ({ priority, type, team, onFiltersChange, onReset })
                             Team: {team}
                         </span>
                     )}
+                    {assignee && (
+                        <span className="filter-badge">
+                            Assigned: {assignee}
+                        </span>
+                    )}
                 </div>
             )}
         </div>
@@ -11,15 +11,37 @@
  * - Resolve notifications
  * - View team progress from notifications
  * - Tab-based interface (Unresolved / Resolved)
+ * - Active tab is part of the URL (/notifications/<tab>)
+ * - Reply to an escalation in the team chat (canned responses via "/")
+ * - "Responses" tab to manage canned responses and macros
+ * - Claim / assign escalations, live "claimed by" state via SSE `assignment` events
+ * - Per-priority SLA countdowns with breach warnings (utils/escalationSla.js)
+ * - Claim countdowns; expired claims are reassigned by the server
+ * - Workload summary per admin
+ * - "Announcements" tab to send or schedule announcements to several teams
+ * - "Moderation" tab with reported chat messages and active mutes
  *
  * @since 2025-11-12
  */
 
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { buildApiUrl } from '../../config/apiConfig';
 import NotificationCard from './NotificationCard';
 import NotificationFilters from './NotificationFilters';
+import CannedResponsesManager from './CannedResponsesManager';
+import WorkloadSummary from './WorkloadSummary';
+import AnnouncementsPanel from './AnnouncementsPanel';
+import ModerationQueue from './ModerationQueue';
+import { useChat } from '../../contexts/ChatContext';
 import { useNotifications } from '../../hooks/useNotifications';
+import { useRouteTab } from '../../contexts/RouterContext';
+import { canAccessRoute } from '../../config/routes';
+import {
+    claimNotification,
+    assignNotification,
+    releaseNotification,
+    getNotificationAssignees
+} from '../../services/chat';
 import { logger } from '../../utils/logger';
 import './NotificationsDashboard.css';
 
@@ -37,10 +59,19 @@ const NotificationsDashboard = ({ user }) => {
     const [connectionStatus, setConnectionStatus] = useState('disconnected'); // 'connected', 'connecting', 'disconnected'
 
     // Filter states
-    const [activeTab, setActiveTab] = useState('open'); // 'open', 'resolved'
+    const [activeTab, setActiveTab] = useRouteTab('notifications', 'open'); // 'open', 'acknowledged', 'resolved', 'responses', 'announcements', 'moderation'
+    const isResponsesTab = activeTab === 'responses';
+    const isAnnouncementsTab = activeTab === 'announcements';
+    const isModerationTab = activeTab === 'moderation';
+    const isNotificationsTab = !isResponsesTab && !isAnnouncementsTab && !isModerationTab;
+    const { startEscalationReply } = useChat();
     const [priorityFilter, setPriorityFilter] = useState(null);
     const [typeFilter, setTypeFilter] = useState(null);
     const [teamFilter, setTeamFilter] = useState(null);
+    const [assigneeFilter, setAssigneeFilter] = useState(null); // 'me', 'unassigned'
+
+    // Assignment and SLA
+    const [assignees, setAssignees] = useState([]);
 
     /**
      * Sort notifications by priority, repeat count, and timestamp
@@ -101,8 +132,16 @@ const NotificationsDashboard = ({ user }) => {
             return false;
         }
 
+        // Check assignee filter
+        if (assigneeFilter === 'me' && notification.assigned_to_id !== user?.id) {
+            return false;
+        }
+        if (assigneeFilter === 'unassigned' && notification.assigned_to_id) {
+            return false;
+        }
+
         return true;
-    }, [priorityFilter, typeFilter, teamFilter]);
+    }, [priorityFilter, typeFilter, teamFilter, assigneeFilter, user]);
 
     // SSE event handlers (wrapped in useCallback to prevent reconnection loops)
     const handleNotification = useCallback((notificationData) => {
@@ -150,6 +189,33 @@ const NotificationsDashboard = ({ user }) => {
         });
     }, [activeTab, matchesFilters, sortNotificationsByPriority]);
 
+    /**
+     * Apply a changed notification (API response) to the list
+     * Removed when it no longer matches the filters (e.g. "Mine" after reassignment)
+     */
+    const applyNotificationUpdate = useCallback((updated) => {
+        setNotifications(prevNotifications => prevNotifications
+            .map(n => (n.id === updated.id ? { ...n, ...updated } : n))
+            .filter(n => n.id !== updated.id || matchesFilters(n)));
+    }, [matchesFilters]);
+
+    const handleAssignment = useCallback((assignmentData) => {
+        logger.debug('notifications_dashboard_assignment', {
+            notificationId: assignmentData.notification_id,
+            assignedToId: assignmentData.assigned_to_id,
+            reason: assignmentData.reason,
+            module: 'NotificationsDashboard'
+        });
+        applyNotificationUpdate({
+            id: assignmentData.notification_id,
+            assigned_to_id: assignmentData.assigned_to_id || null,
+            assigned_to_username: assignmentData.assigned_to_username || null,
+            assigned_at: assignmentData.assigned_at || null,
+            claim_expires_at: assignmentData.claim_expires_at || null,
+            reassigned_reason: assignmentData.reason
+        });
+    }, [applyNotificationUpdate]);
+
     const handleSSEConnect = useCallback(() => {
         logger.info('notifications_dashboard_sse_connected', {
             module: 'NotificationsDashboard'
@@ -179,6 +245,7 @@ const NotificationsDashboard = ({ user }) => {
     // Keep SSE connected regardless of active tab for real-time badge updates
     const { isConnected: sseConnected } = useNotifications({
         onNotification: handleNotification,
+        onAssignment: handleAssignment,
         onConnect: handleSSEConnect,
         onDisconnect: handleSSEDisconnect,
         onError: handleSSEError
@@ -197,6 +264,11 @@ const NotificationsDashboard = ({ user }) => {
             module: 'NotificationsDashboard'
         });
 
+        // Canned responses, announcements and the moderation queue load themselves
+        if (!isNotificationsTab) {
+            return;
+        }
+
         // Load notifications for the selected tab via API
         // For 'open' tab: SSE will also update in real-time
         // For other tabs: API fetch only
@@ -211,11 +283,21 @@ const NotificationsDashboard = ({ user }) => {
 
     // Reload when filters change (for non-SSE tabs)
     useEffect(() => {
-        if (activeTab !== 'open') {
+        if (activeTab === 'acknowledged' || activeTab === 'resolved') {
             loadNotifications();
         }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [priorityFilter, typeFilter, teamFilter]);
+    }, [priorityFilter, typeFilter, teamFilter, assigneeFilter]);
+
+    // Admins escalations can be assigned to
+    useEffect(() => {
+        getNotificationAssignees()
+            .then(data => setAssignees(Array.isArray(data) ? data : []))
+            .catch(err => logger.warn('notifications_dashboard_assignees_load_failed', {
+                errorMessage: err.message,
+                module: 'NotificationsDashboard'
+            }));
+    }, []);
 
     /**
      * Load notifications from API with current filters (for non-SSE tabs)
@@ -245,6 +327,10 @@ const NotificationsDashboard = ({ user }) => {
                 params.append('team_id', teamFilter);
             }
 
+            if (assigneeFilter) {
+                params.append('assigned_to', assigneeFilter);
+            }
+
             const response = await fetch(`${buildApiUrl('chat/admin/notifications')}?${params.toString()}`, {
                 method: 'GET',
                 credentials: 'include',
@@ -336,13 +422,47 @@ const NotificationsDashboard = ({ user }) => {
         }
     }
 
+    /**
+     * Run an assignment action and apply the updated notification
+     * @param {string} action - Action name for logging/alerts
+     * @param {number} notificationId
+     * @param {Function} call - Service call returning the updated notification
+     * @returns {Promise<void>}
+     */
+    async function runAssignmentAction(action, notificationId, call) {
+        try {
+            const updated = await call();
+            applyNotificationUpdate({ id: notificationId, reassigned_reason: null, ...updated });
+            logger.info(`notifications_dashboard_${action}`, {
+                notificationId,
+                module: 'NotificationsDashboard'
+            });
+        } catch (err) {
+            logger.error(`notifications_dashboard_${action}_failed`, {
+                notificationId,
+                errorMessage: err.message,
+                module: 'NotificationsDashboard'
+            }, err);
+            alert(`Failed to ${action} notification: ` + err.message);
+        }
+    }
+
+    const assignment = {
+        currentUser: user,
+        assignees,
+        onClaim: (id) => runAssignmentAction('claim', id, () => claimNotification(id)),
+        onAssign: (id, adminId) => runAssignmentAction('assign', id, () => assignNotification(id, adminId)),
+        onRelease: (id) => runAssignmentAction('release', id, () => releaseNotification(id))
+    };
+
     /**
      * Handle filter changes
      */
-    function handleFiltersChange({ priority, type, team }) {
+    function handleFiltersChange({ priority, type, team, assignee = null }) {
         setPriorityFilter(priority);
         setTypeFilter(type);
         setTeamFilter(team);
+        setAssigneeFilter(assignee);
     }
 
     /**
@@ -352,6 +472,7 @@ const NotificationsDashboard = ({ user }) => {
         setPriorityFilter(null);
         setTypeFilter(null);
         setTeamFilter(null);
+        setAssigneeFilter(null);
     }
 
     /**
@@ -462,61 +583,108 @@ const NotificationsDashboard = ({ user }) => {
                     <span className="tab-icon">✅</span>
                     Resolved
                 </button>
+                <button
+                    className={`tab-button ${isResponsesTab ? 'active' : ''}`}
+                    onClick={() => setActiveTab('responses')}
+                >
+                    <span className="tab-icon">💬</span>
+                    Responses
+                </button>
+                {canAccessRoute(user, 'notifications', 'announcements') && (
+                    <button
+                        className={`tab-button ${isAnnouncementsTab ? 'active' : ''}`}
+                        onClick={() => setActiveTab('announcements')}
+                    >
+                        <span className="tab-icon">📣</span>
+                        Announcements
+                    </button>
+                )}
+                {canAccessRoute(user, 'notifications', 'moderation') && (
+                    <button
+                        className={`tab-button ${isModerationTab ? 'active' : ''}`}
+                        onClick={() => setActiveTab('moderation')}
+                    >
+                        <span className="tab-icon">🛡️</span>
+                        Moderation
+                    </button>
+                )}
             </div>
 
+            {isResponsesTab && <CannedResponsesManager />}
+
+            {isAnnouncementsTab && <AnnouncementsPanel />}
+
+            {isModerationTab && <ModerationQueue />}
+
             {/* Filters */}
-            <NotificationFilters
-                priority={priorityFilter}
-                type={typeFilter}
-                team={teamFilter}
-                onFiltersChange={handleFiltersChange}
-                onReset={handleResetFilters}
-            />
+            {isNotificationsTab && (
+                <NotificationFilters
+                    priority={priorityFilter}
+                    type={typeFilter}
+                    team={teamFilter}
+                    assignee={assigneeFilter}
+                    onFiltersChange={handleFiltersChange}
+                    onReset={handleResetFilters}
+                />
+            )}
+
+            {/* Workload per admin */}
+            {isNotificationsTab && activeTab !== 'resolved' && (
+                <WorkloadSummary
+                    notifications={notifications}
+                    assignees={assignees}
+                    currentUser={user}
+                />
+            )}
 
             {/* Notifications List */}
-            <div className="notifications-container">
-                {loading && notifications.length === 0 && (
-                    <div className="notifications-loading">
-                        <div className="loading-spinner"></div>
-                        <p>Loading notifications...</p>
-                    </div>
-                )}
+            {isNotificationsTab && (
+                <div className="notifications-container">
+                    {loading && notifications.length === 0 && (
+                        <div className="notifications-loading">
+                            <div className="loading-spinner"></div>
+                            <p>Loading notifications...</p>
+                        </div>
+                    )}
 
-                {error && (
-                    <div className="notifications-error">
-                        <p>⚠️ Error: {error}</p>
-                        <button onClick={loadNotifications} className="retry-button">
-                            Retry
-                        </button>
-                    </div>
-                )}
+                    {error && (
+                        <div className="notifications-error">
+                            <p>⚠️ Error: {error}</p>
+                            <button onClick={loadNotifications} className="retry-button">
+                                Retry
+                            </button>
+                        </div>
+                    )}
 
-                {!loading && !error && notifications.length === 0 && (
-                    <div className="notifications-empty">
-                        <div className="empty-icon">✓</div>
-                        <h3>No notifications found</h3>
-                        <p>
-                            {activeTab === 'open' && 'All clear! No open escalations.'}
-                            {activeTab === 'acknowledged' && 'No acknowledged notifications.'}
-                            {activeTab === 'resolved' && 'No resolved notifications yet.'}
-                        </p>
-                    </div>
-                )}
+                    {!loading && !error && notifications.length === 0 && (
+                        <div className="notifications-empty">
+                            <div className="empty-icon">✓</div>
+                            <h3>No notifications found</h3>
+                            <p>
+                                {activeTab === 'open' && 'All clear! No open escalations.'}
+                                {activeTab === 'acknowledged' && 'No acknowledged notifications.'}
+                                {activeTab === 'resolved' && 'No resolved notifications yet.'}
+                            </p>
+                        </div>
+                    )}
 
-                {!loading && !error && notifications.length > 0 && (
-                    <div className="notifications-list">
-                        {notifications.map(notification => (
-                            <NotificationCard
-                                key={notification.id}
-                                notification={notification}
-                                onResolve={handleResolve}
-                                onAcknowledge={handleAcknowledge}
-                                currentTab={activeTab}
-                            />
-                        ))}
-                    </div>
-                )}
-            </div>
+                    {!loading && !error && notifications.length > 0 && (
+                        <div className="notifications-list">
+                            {notifications.map(notification => (
+                                <NotificationCard
+                                    key={notification.id}
+                                    notification={notification}
+                                    onResolve={handleResolve}
+                                    onAcknowledge={handleAcknowledge}
+                                    onReply={startEscalationReply}
+                                    assignment={assignment}
+                                    currentTab={activeTab}
+                                />
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
                 </div>
             </div>
         </div>
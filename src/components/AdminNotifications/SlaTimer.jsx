@@ -0,0 +1,58 @@
+/**
+ * Module: AdminNotifications/SlaTimer.jsx
+ * Purpose: SLA countdown badge of an escalation notification
+ * Part of: Easter Quest 2025 - Phase 5: Admin Notification Panel
+ *
+ * Features:
+ * - Time left until the per-priority response target
+ * - Warning shortly before and breach indicator after the target
+ * - "Answered in time" / "Answered late" once acknowledged or resolved
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useNow } from '../../hooks/useNow';
+import { getSlaStatus, formatCountdown } from '../../utils/escalationSla';
+
+/**
+ * SLA Timer Component
+ *
+ * @param {Object} props
+ * @param {Object} props.notification - Notification object from API
+ * @param {number} [props.now] - Fixed current time (ms); ticks every second when omitted
+ * @returns {JSX.Element}
+ */
+const SlaTimer = ({ notification, now }) => {
+    const tick = useNow(1000);
+    const { state, remainingMs, answered } = getSlaStatus(notification, now ?? tick);
+
+    let label;
+    switch (state) {
+        case 'met':
+            label = '✓ Answered in time';
+            break;
+        case 'breached':
+            label = answered ? '🚨 Answered late' : `🚨 SLA breached ${formatCountdown(-remainingMs)} ago`;
+            break;
+        case 'warning':
+            label = `⚠️ ${formatCountdown(remainingMs)} left`;
+            break;
+        default:
+            label = `⏱ ${formatCountdown(remainingMs)} left`;
+    }
+
+    return (
+        <span className={`sla-timer sla-${state}`} title="Response target for this priority" role={state === 'breached' ? 'alert' : undefined}>
+            {label}
+        </span>
+    );
+};
+
+SlaTimer.propTypes = {
+    notification: PropTypes.object.isRequired,
+    now: PropTypes.number
+};
+
+export default SlaTimer;
@@ -0,0 +1,60 @@
+/**
+ * Module: AdminNotifications/WorkloadSummary.jsx
+ * Purpose: Open escalations per admin
+ * Part of: Easter Quest 2025 - Phase 5: Admin Notification Panel
+ *
+ * Features:
+ * - Open and SLA-breached escalations per admin (online state from the assignee list)
+ * - Unassigned count, highlighted when nobody has picked them up
+ * - Counts follow the loaded tab and filters, live via the notification stream
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useNow } from '../../hooks/useNow';
+import { summarizeWorkload } from '../../utils/escalationSla';
+
+/**
+ * Workload Summary Component
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.notifications - Loaded notifications
+ * @param {Array<Object>} props.assignees - Admins ({ id, username, display_name, online })
+ * @param {Object} [props.currentUser] - Current admin ({ id })
+ * @param {number} [props.now] - Fixed current time (ms); ticks every second when omitted
+ * @returns {JSX.Element}
+ */
+const WorkloadSummary = ({ notifications, assignees, currentUser, now }) => {
+    const tick = useNow(1000);
+    const { rows, unassigned } = summarizeWorkload(notifications, assignees, now ?? tick);
+
+    return (
+        <div className="workload-summary" aria-label="Workload per admin">
+            <div className={`workload-item unassigned ${unassigned > 0 ? 'attention' : ''}`}>
+                <span className="workload-name">Unassigned</span>
+                <span className="workload-count">{unassigned}</span>
+            </div>
+            {rows.map(row => (
+                <div key={row.id} className={`workload-item ${row.id === currentUser?.id ? 'me' : ''}`}>
+                    <span className={`workload-presence ${row.online ? 'online' : ''}`} title={row.online ? 'Online' : 'Offline'}></span>
+                    <span className="workload-name">{row.id === currentUser?.id ? 'You' : row.name}</span>
+                    <span className="workload-count">{row.open}</span>
+                    {row.breached > 0 && (
+                        <span className="workload-breached" title="Over the SLA target">🚨 {row.breached}</span>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+WorkloadSummary.propTypes = {
+    notifications: PropTypes.array.isRequired,
+    assignees: PropTypes.array.isRequired,
+    currentUser: PropTypes.object,
+    now: PropTypes.number
+};
+
+export default WorkloadSummary;
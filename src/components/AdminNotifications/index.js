@@ -9,3 +9,6 @@
 export { default as NotificationsDashboard } from './NotificationsDashboard';
 export { default as NotificationCard } from './NotificationCard';
 export { default as NotificationFilters } from './NotificationFilters';
+export { default as CannedResponsesManager } from './CannedResponsesManager';
+export { default as AnnouncementsPanel } from './AnnouncementsPanel';
+export { default as ModerationQueue } from './ModerationQueue';
@@ -0,0 +1,43 @@
+/**
+ * Component: Can
+ * Purpose: Render children only when the current user holds a permission
+ * Part of: Easter Quest Frontend
+ *
+ * @module components/Can
+ * @since 2026-10-19
+ * @see ../../config/permissions.js
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { usePermission } from '../../hooks/usePermission';
+
+/**
+ * Permission gate
+ *
+ * @param {Object} props - Component props
+ * @param {string|Array<string>} props.permission - Required permission (any one of a list)
+ * @param {React.ReactNode} [props.fallback=null] - Rendered when the permission is missing
+ * @param {React.ReactNode} props.children - Rendered when the permission is granted
+ * @returns {JSX.Element|null}
+ *
+ * @example
+ * <Can permission={PERMISSIONS.CONTENT_PROMPTS_EDIT}>
+ *   <PromptsTab ... />
+ * </Can>
+ */
+function Can({ permission, fallback = null, children }) {
+  const allowed = usePermission(permission);
+  return <>{allowed ? children : fallback}</>;
+}
+
+Can.propTypes = {
+  permission: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.arrayOf(PropTypes.string)
+  ]).isRequired,
+  fallback: PropTypes.node,
+  children: PropTypes.node
+};
+
+export default Can;
@@ -16,6 +16,7 @@
 import React, { useState, useEffect } from 'react';
 import { useChat } from '../../contexts/ChatContext';
 import { buildApiUrl } from '../../config/apiConfig';
+import { PERMISSIONS, hasPermission } from '../../config/permissions';
 import { logger } from '../../utils/logger';
 import './AdminTeamList.css';
 
@@ -64,7 +65,7 @@ const AdminTeamList = ({ onSelectMember, onSelectTeam }) => {
       }
     };
 
-    if (user && (user.role === 'admin' || user.role === 'game_admin')) {
+    if (hasPermission(user, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM)) {
       loadTeams();
     }
   }, [user]);
@@ -0,0 +1,75 @@
+/**
+ * Component: AttachmentLightbox
+ * Purpose: Full-size viewer for chat image attachments
+ * Part of: Easter Quest Frontend - Chat System
+ *
+ * Features:
+ * - Overlay with the full image, file name and "Open original" link
+ * - ←/→ to browse the images of a message, Esc or click outside to close
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useEffect } from 'react';
+import PropTypes from 'prop-types';
+import './ChatAttachments.css';
+
+/**
+ * AttachmentLightbox component
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.images - Image attachments { url, filename }
+ * @param {number} props.index - Shown image
+ * @param {Function} props.onIndexChange - Show another image
+ * @param {Function} props.onClose - Close the viewer
+ * @returns {JSX.Element} Lightbox overlay
+ */
+const AttachmentLightbox = ({ images, index, onIndexChange, onClose }) => {
+  const image = images[index];
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') {
+        // Don't also close the chat window
+        e.stopPropagation();
+        onClose();
+      } else if (e.key === 'ArrowRight' && images.length > 1) {
+        onIndexChange((index + 1) % images.length);
+      } else if (e.key === 'ArrowLeft' && images.length > 1) {
+        onIndexChange((index - 1 + images.length) % images.length);
+      }
+    };
+    // Capture phase so Esc is handled before the chat widget's listener
+    document.addEventListener('keydown', handleKey, true);
+    return () => document.removeEventListener('keydown', handleKey, true);
+  }, [images.length, index, onIndexChange, onClose]);
+
+  if (!image) return null;
+
+  return (
+    <div
+      className="attachment-lightbox"
+      role="dialog"
+      aria-modal="true"
+      aria-label={image.filename || 'Image'}
+      onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}
+    >
+      <button type="button" className="attachment-lightbox-close" onClick={onClose} aria-label="Close image">✕</button>
+      <img className="attachment-lightbox-image" src={image.url} alt={image.filename || 'Attachment'} />
+      <div className="attachment-lightbox-caption">
+        <span>{image.filename}</span>
+        {images.length > 1 && <span>{index + 1} / {images.length}</span>}
+        <a href={image.url} target="_blank" rel="noopener noreferrer">Open original</a>
+      </div>
+    </div>
+  );
+};
+
+AttachmentLightbox.propTypes = {
+  images: PropTypes.array.isRequired,
+  index: PropTypes.number.isRequired,
+  onIndexChange: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default AttachmentLightbox;
@@ -0,0 +1,79 @@
+/**
+ * Component: CannedResponseMenu
+ * Purpose: Slash command suggestions for canned responses in the chat input
+ * Part of: Easter Quest Frontend - Chat System
+ *
+ * Features:
+ * - Shortcut, title and filled-in preview of each matching response
+ * - Marks macros that also resolve the escalation
+ * - Keyboard navigation is handled by ChatFooter (↑/↓, Enter/Tab, Esc)
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { renderTemplate } from '../../utils/cannedResponses';
+
+const PREVIEW_LENGTH = 90;
+
+/**
+ * CannedResponseMenu component
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.responses - Matching canned responses
+ * @param {number} props.activeIndex - Highlighted suggestion
+ * @param {Object} props.context - Template variables (see utils/cannedResponses.js buildMacroContext)
+ * @param {Function} props.onSelect - Insert a response
+ * @param {Function} props.onHover - Highlight a suggestion
+ * @returns {JSX.Element} Suggestion list
+ */
+const CannedResponseMenu = ({ responses, activeIndex, context, onSelect, onHover }) => (
+  <ul className="canned-response-menu" role="listbox" aria-label="Canned responses">
+    {responses.length === 0 && (
+      <li className="canned-response-empty">No matching canned responses</li>
+    )}
+    {responses.map((response, index) => {
+      const preview = renderTemplate(response.body, context);
+      return (
+        <li
+          key={response.id}
+          role="option"
+          aria-selected={index === activeIndex}
+          className={`canned-response-option ${index === activeIndex ? 'active' : ''}`}
+          // Keep focus in the textarea
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => onSelect(response)}
+          onMouseEnter={() => onHover(index)}
+        >
+          <div className="canned-response-heading">
+            <span className="canned-response-shortcut">/{response.shortcut}</span>
+            <span className="canned-response-title">{response.title}</span>
+            {response.resolves_escalation && (
+              <span className="canned-response-resolves" title="Also resolves the escalation">✓ resolves</span>
+            )}
+          </div>
+          <div className="canned-response-preview">
+            {preview.length > PREVIEW_LENGTH ? `${preview.slice(0, PREVIEW_LENGTH)}…` : preview}
+          </div>
+        </li>
+      );
+    })}
+  </ul>
+);
+
+CannedResponseMenu.propTypes = {
+  responses: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    shortcut: PropTypes.string.isRequired,
+    title: PropTypes.string,
+    body: PropTypes.string,
+    resolves_escalation: PropTypes.bool
+  })).isRequired,
+  activeIndex: PropTypes.number.isRequired,
+  context: PropTypes.object.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onHover: PropTypes.func.isRequired
+};
+
+export default CannedResponseMenu;
@@ -0,0 +1,88 @@
+/**
+ * Component: ChatAttachments
+ * Purpose: Attachments of a chat message (image thumbnails and file links)
+ * Part of: Easter Quest Frontend - Chat System
+ *
+ * Used in ChatBody, PrivateConversation and TeamBroadcast.
+ *
+ * Features:
+ * - Image thumbnails (server thumbnail when available) opening a lightbox
+ * - Download links for other files with name and size
+ * - Attachments with unsafe URLs are not rendered
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import AttachmentLightbox from './AttachmentLightbox';
+import { isImageAttachment, isSafeAttachmentUrl, formatFileSize } from '../../utils/chatAttachments';
+import './ChatAttachments.css';
+
+/**
+ * ChatAttachments component
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} [props.attachments] - { url, thumbnail_url, filename, content_type, size }
+ * @returns {JSX.Element|null} Attachment list
+ *
+ * @example
+ * <ChatAttachments attachments={message.attachments} />
+ */
+const ChatAttachments = ({ attachments = [] }) => {
+  const [openIndex, setOpenIndex] = useState(null);
+
+  const safe = attachments.filter(attachment => isSafeAttachmentUrl(attachment.url));
+  if (safe.length === 0) return null;
+
+  const images = safe.filter(isImageAttachment);
+  const files = safe.filter(attachment => !isImageAttachment(attachment));
+
+  return (
+    <div className="chat-attachments">
+      {images.length > 0 && (
+        <div className="chat-attachment-thumbnails">
+          {images.map((image, index) => (
+            <button
+              key={image.url}
+              type="button"
+              className="chat-attachment-thumbnail"
+              onClick={() => setOpenIndex(index)}
+              aria-label={`View ${image.filename || 'image'}`}
+            >
+              <img
+                src={isSafeAttachmentUrl(image.thumbnail_url) ? image.thumbnail_url : image.url}
+                alt={image.filename || 'Attachment'}
+                loading="lazy"
+              />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {files.map(file => (
+        <a key={file.url} className="chat-attachment-file" href={file.url} target="_blank" rel="noopener noreferrer" download={file.filename}>
+          <span className="chat-attachment-file-icon">📄</span>
+          <span className="chat-attachment-file-name">{file.filename}</span>
+          {file.size ? <span className="chat-attachment-file-size">{formatFileSize(file.size)}</span> : null}
+        </a>
+      ))}
+
+      {openIndex !== null && (
+        <AttachmentLightbox images={images} index={openIndex} onIndexChange={setOpenIndex} onClose={() => setOpenIndex(null)} />
+      )}
+    </div>
+  );
+};
+
+ChatAttachments.propTypes = {
+  attachments: PropTypes.arrayOf(PropTypes.shape({
+    url: PropTypes.string,
+    thumbnail_url: PropTypes.string,
+    filename: PropTypes.string,
+    content_type: PropTypes.string,
+    size: PropTypes.number
+  }))
+};
+
+export default ChatAttachments;
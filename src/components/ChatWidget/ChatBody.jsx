@@ -5,11 +5,16 @@
  *
  * Features:
  * - AI/Admin message display with timestamps
+ * - Markdown rendering of AI and admin replies (sanitized, see MarkdownMessage)
  * - Team chat views (broadcast and private)
  * - Team member list sidebar
  * - Admin contacts list (for players)
  * - Admin team list (for admins)
  * - Auto-scroll to latest messages
+ * - Attachment thumbnails with lightbox (see ChatAttachments)
+ * - Infinite scroll: older AI/admin history pages load when scrolled to the top
+ * - Scrolls to and highlights messages opened from chat search
+ * - Marks AI/admin replies as read when they scroll into view
  * - AI context display (current game, team progress)
  * - Typing indicators
  * - Connection status messages
@@ -17,16 +22,24 @@
  * @since 2025-11-09
  */
 
-import React, { useRef, useEffect, useState } from 'react';
+import React, { useRef, useEffect, useLayoutEffect, useState } from 'react';
 import { useChat } from '../../contexts/ChatContext';
+import { PERMISSIONS, hasPermission } from '../../config/permissions';
 import TeamMemberList from './TeamMemberList';
 import AdminTeamList from './AdminTeamList';
 import PrivateConversation from './PrivateConversation';
 import TeamBroadcast from './TeamBroadcast';
 import AdminNotificationsView from './AdminNotificationsView';
+import MarkdownMessage from './MarkdownMessage';
+import ChatAttachments from './ChatAttachments';
+import { useReadReceipts } from '../../hooks/useReadReceipts';
+import { useMessageFocus } from '../../hooks/useMessageFocus';
 import { logger } from '../../utils/logger';
 import './ChatBody.css';
 
+// Distance from the top/bottom (px) at which older/newer history is requested
+const HISTORY_LOAD_THRESHOLD = 40;
+
 /**
  * ChatBody component - Message display area with multi-mode support
  *
@@ -40,9 +53,12 @@ import './ChatBody.css';
  * <ChatBody user={currentUser} />
  */
 const ChatBody = ({ user }) => {
-  const { messages, chatMode, aiContext, isTyping, connectionStatus, selectedTeamMember, selectTeamMember, selectedTeam, showingAdminNotifications, selectedAdminContact } = useChat();
+  const { messages, chatMode, aiContext, isTyping, connectionStatus, selectedTeamMember, selectTeamMember, selectedTeam, showingAdminNotifications, selectedAdminContact, markMessagesRead, historyPaging, loadOlderMessages, loadNewerMessages, focusedMessageId, clearFocusedMessage } = useChat();
   const messageListRef = useRef(null);
   const shouldAutoScroll = useRef(true);
+  // Scroll height before older messages were prepended (keeps the view in place)
+  const heightBeforeLoadRef = useRef(null);
+  const trackMessage = useReadReceipts({ rootRef: messageListRef, onRead: markMessagesRead, enabled: chatMode !== 'team' });
 
   /**
    * Check if user has scrolled away from bottom
@@ -51,8 +67,27 @@ const ChatBody = ({ user }) => {
     if (!messageListRef.current) return;
     const { scrollTop, scrollHeight, clientHeight } = messageListRef.current;
     shouldAutoScroll.current = scrollHeight - scrollTop - clientHeight < 100;
+
+    if (scrollTop < HISTORY_LOAD_THRESHOLD && historyPaging.hasMore && !historyPaging.loading) {
+      heightBeforeLoadRef.current = scrollHeight;
+      loadOlderMessages();
+    }
+
+    // After a jump to a search result: load the following page at the bottom (view stays in place)
+    if (scrollHeight - scrollTop - clientHeight < HISTORY_LOAD_THRESHOLD && historyPaging.hasNewer && !historyPaging.loadingNewer) {
+      shouldAutoScroll.current = false;
+      loadNewerMessages();
+    }
   };
 
+  // Keep the visible messages in place after older ones were prepended
+  useLayoutEffect(() => {
+    const list = messageListRef.current;
+    if (heightBeforeLoadRef.current === null || !list) return;
+    list.scrollTop += list.scrollHeight - heightBeforeLoadRef.current;
+    heightBeforeLoadRef.current = null;
+  }, [messages]);
+
   /**
    * Scroll message list to bottom
    *
@@ -74,6 +109,9 @@ const ChatBody = ({ user }) => {
     scrollToBottom(false);
   }, [chatMode]);
 
+  // Search result focus (after auto-scroll so it wins)
+  const highlightedId = useMessageFocus(messageListRef, { focusedMessageId, onFocused: clearFocusedMessage, items: messages });
+
   /**
    * Format timestamp to readable time
    *
@@ -99,7 +137,7 @@ const ChatBody = ({ user }) => {
    * @returns {JSX.Element} Rendered message
    */
   const renderMessage = (message) => {
-    const { id, type, sender_type, sender_name, content, timestamp, metadata } = message;
+    const { id, type, sender_type, sender_name, content, timestamp, metadata, attachments } = message;
 
     // Check if this is an error message
     const isError = type === 'system' && (
@@ -147,7 +185,12 @@ const ChatBody = ({ user }) => {
     };
 
     return (
-      <div key={id} className={`chat-message chat-message-${type || sender_type}${isError ? ' chat-message-error' : ''}`}>
+      <div
+        key={id}
+        ref={isUserMessage || type === 'system' ? undefined : trackMessage}
+        data-message-id={id}
+        className={`chat-message chat-message-${type || sender_type}${isError ? ' chat-message-error' : ''}${highlightedId === id ? ' message-focused' : ''}`}
+      >
         {/* Show sender for all message types in AI chat mode */}
         {/* TEAM-BASED AI CHAT: Show sender name for user messages so team knows who asked */}
         {!isUserMessage ? (
@@ -169,13 +212,22 @@ const ChatBody = ({ user }) => {
           )
         )}
 
-        <div className="message-content">{content}</div>
+        {/* Player and system messages stay plain text */}
+        {!isUserMessage && !isError && type !== 'system' ? (
+          <MarkdownMessage content={content} streaming={!!metadata?.streaming} />
+        ) : (
+          content && <div className="message-content">{content}</div>
+        )}
+
+        {attachments?.length > 0 && <ChatAttachments attachments={attachments} />}
 
         <div className="message-footer">
           <span className="message-time">{formatTime(timestamp)}</span>
           {metadata?.processing_time_ms && (
             <span className="message-meta">{Math.round(metadata.processing_time_ms)}ms</span>
           )}
+          {metadata?.cancelled && <span className="message-meta">Stopped</span>}
+          {metadata?.interrupted && <span className="message-meta">Connection lost – answer incomplete</span>}
           {getEscalationBadge()}
         </div>
       </div>
@@ -185,7 +237,7 @@ const ChatBody = ({ user }) => {
   // Team chat UI
   if (chatMode === 'team') {
     // SECURITY: Check if user is admin
-    const isAdmin = user && (user.role === 'admin' || user.role === 'game_admin');
+    const isAdmin = hasPermission(user, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM);
 
     // Admin Team Chat: Show all teams with expandable members
     if (isAdmin) {
@@ -254,6 +306,10 @@ const ChatBody = ({ user }) => {
       )}
 
       <div ref={messageListRef} className="chat-message-list" onScroll={checkScrollPosition}>
+        {historyPaging.loading && (
+          <div className="chat-history-loading">Loading earlier messages...</div>
+        )}
+
         {messages.length === 0 && (
           <div className="chat-empty-state">
             {connectionStatus === 'connected' ? (
@@ -284,6 +340,17 @@ const ChatBody = ({ user }) => {
 
         {messages.map(renderMessage)}
 
+        {historyPaging.hasNewer && (
+          <button
+            type="button"
+            className="chat-history-newer"
+            onClick={loadNewerMessages}
+            disabled={historyPaging.loadingNewer}
+          >
+            {historyPaging.loadingNewer ? 'Loading newer messages...' : '⬇ Show newer messages'}
+          </button>
+        )}
+
         {isTyping && (
           <div className="typing-indicator">
             <div className="typing-dots">
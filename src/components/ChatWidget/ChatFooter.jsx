@@ -7,9 +7,18 @@
  * - Auto-growing textarea input
  * - Character counter (2000 char limit)
  * - Send button with loading state
+ * - Stop button while the AI answer is being generated (sends a cancel frame)
  * - Rate limit countdown display
  * - Multi-line support (Shift+Enter for newline, Enter to send)
  * - Context-aware sending (AI/Admin/Team/Private)
+ * - Attachments in admin and team chats: file picker, paste and drag & drop,
+ *   upload limits shown before upload, images resized client-side
+ * - Canned responses for admins: "/" opens the suggestions, variables are
+ *   filled from the escalation being answered (or the selected team); macros
+ *   marked "resolves" also resolve that escalation once the reply is sent
+ * - Pre-check before sending: inappropriate language and personal data
+ *   (email, phone, card numbers...) trigger a warning with "Send masked"
+ * - Team chat input is locked while the user is muted by a moderator
  * - Connection status validation
  * - Error handling and user feedback
  *
@@ -18,6 +27,22 @@
 
 import React, { useState, useRef, useEffect } from 'react';
 import { useChat } from '../../contexts/ChatContext';
+import { useChatAttachments } from '../../hooks/useChatAttachments';
+import { useCannedResponses } from '../../hooks/useCannedResponses';
+import { resolveNotification } from '../../services/chat';
+import { describeLimits, acceptedTypes } from '../../utils/chatAttachments';
+import {
+  buildMacroContext,
+  renderTemplate,
+  findMissingVariables,
+  matchSlashCommand,
+  filterCannedResponses,
+  ESCALATION_TYPES
+} from '../../utils/cannedResponses';
+import { checkMessageContent, isMuteActive } from '../../utils/chatModeration';
+import { PERMISSIONS, hasPermission } from '../../config/permissions';
+import { useNow } from '../../hooks/useNow';
+import CannedResponseMenu from './CannedResponseMenu';
 import { logger } from '../../utils/logger';
 import './ChatFooter.css';
 
@@ -32,6 +57,9 @@ import './ChatFooter.css';
 const ChatFooter = () => {
   const {
     sendMessage,
+    isTyping,
+    activeAIStream,
+    cancelAIResponse,
     chatMode,
     connectionStatus,
     rateLimitStatus,
@@ -43,14 +71,61 @@ const ChatFooter = () => {
     selectedTeam,
     user,
     showingAdminNotifications,
-    selectedAdminContact
+    selectedAdminContact,
+    escalationReply,
+    clearEscalationReply,
+    chatMute
   } = useChat();
   const [inputValue, setInputValue] = useState('');
   const [isSending, setIsSending] = useState(false);
   const [remainingSeconds, setRemainingSeconds] = useState(0);
+  const [isDragOver, setIsDragOver] = useState(false);
+  const [menuIndex, setMenuIndex] = useState(0);
+  const [menuDismissed, setMenuDismissed] = useState(false);
+  const [pendingMacro, setPendingMacro] = useState(null);
+  const [macroError, setMacroError] = useState(null);
+  const [contentWarning, setContentWarning] = useState(null);
   const textareaRef = useRef(null);
+  const fileInputRef = useRef(null);
 
   const MAX_LENGTH = 2000;
+  const isGenerating = chatMode === 'ai' && (!!isTyping || !!activeAIStream);
+
+  // Attachments go to people (admin support, team chat), not to the AI
+  const attachmentsEnabled = chatMode === 'admin' || chatMode === 'team';
+  const {
+    items: attachmentItems,
+    addFiles,
+    removeAttachment,
+    clear: clearAttachments,
+    limits: uploadLimits,
+    errors: attachmentErrors,
+    dismissErrors,
+    isUploading,
+    readyAttachments
+  } = useChatAttachments({ enabled: attachmentsEnabled });
+  const limitsText = describeLimits(uploadLimits);
+
+  // Canned responses: admins answering teams
+  const macrosEnabled = chatMode === 'team' && hasPermission(user, PERMISSIONS.NOTIFICATIONS_MANAGE);
+  const { responses: cannedResponses } = useCannedResponses({ enabled: macrosEnabled });
+  const activeEscalation = escalationReply && (
+    selectedTeam?.id === escalationReply.team_id || selectedTeamMember?.team_id === escalationReply.team_id
+  ) ? escalationReply : null;
+  const macroContext = buildMacroContext({ notification: activeEscalation, team: selectedTeam, member: selectedTeamMember });
+  const slashQuery = macrosEnabled && !menuDismissed ? matchSlashCommand(inputValue) : null;
+  const suggestions = slashQuery === null
+    ? []
+    : filterCannedResponses(cannedResponses, slashQuery, activeEscalation?.escalation_type).slice(0, 8);
+  const unfilledVariables = pendingMacro ? findMissingVariables(inputValue) : [];
+
+  // Moderator mute (team chat only); ticks so the input unlocks when it ends
+  const now = useNow(chatMute ? 1000 : 60000);
+  const isMuted = chatMode === 'team' && isMuteActive(chatMute, now);
+
+  useEffect(() => {
+    setMenuIndex(0);
+  }, [slashQuery]);
 
   // Countdown timer for rate limit
   useEffect(() => {
@@ -105,6 +180,51 @@ const ChatFooter = () => {
     const value = e.target.value;
     if (value.length <= MAX_LENGTH) {
       setInputValue(value);
+      setContentWarning(null);
+      if (!value.startsWith('/')) setMenuDismissed(false);
+      if (!value) setPendingMacro(null);
+    }
+  };
+
+  /**
+   * Replace the slash command with the filled-in canned response
+   *
+   * @param {Object} response - Canned response
+   */
+  const applyCannedResponse = (response) => {
+    logger.debug('chat_footer_canned_response_used', {
+      responseId: response.id,
+      hasEscalation: !!activeEscalation,
+      module: 'ChatFooter'
+    });
+    setInputValue(renderTemplate(response.body, macroContext).slice(0, MAX_LENGTH));
+    setPendingMacro(response);
+    setMacroError(null);
+    textareaRef.current?.focus();
+  };
+
+  /**
+   * Resolve the escalation after a macro reply was sent
+   *
+   * @param {Object} escalation - Notification being answered
+   * @returns {Promise<void>}
+   */
+  const resolveAnsweredEscalation = async (escalation) => {
+    try {
+      await resolveNotification(escalation.id);
+      logger.info('chat_footer_escalation_resolved', {
+        notificationId: escalation.id,
+        teamId: escalation.team_id,
+        module: 'ChatFooter'
+      });
+      clearEscalationReply();
+    } catch (error) {
+      logger.error('chat_footer_escalation_resolve_failed', {
+        notificationId: escalation.id,
+        errorMessage: error.message,
+        module: 'ChatFooter'
+      }, error);
+      setMacroError(`Reply sent, but the escalation could not be resolved: ${error.message}`);
     }
   };
 
@@ -112,13 +232,33 @@ const ChatFooter = () => {
    * Handle sending message (context-aware)
    * Supports AI/Admin/Team modes with different send methods
    *
+   * @param {string} [confirmedText] - Text confirmed after a content warning
+   *                                   (skips the pre-check)
    * @returns {Promise<void>}
    */
-  const handleSend = async () => {
-    const trimmed = inputValue.trim();
-    if (!trimmed) return;
+  const handleSend = async (confirmedText = null) => {
+    const trimmed = (confirmedText ?? inputValue).trim();
+    const attachments = attachmentsEnabled ? readyAttachments : [];
+    if (!trimmed && attachments.length === 0) return;
+    if (isUploading) return;
     if (rateLimitStatus.exceeded) return;
     if (connectionStatus !== 'connected') return;
+    if (isMuted) return;
+
+    if (confirmedText === null) {
+      const warning = checkMessageContent(trimmed);
+      if (warning) {
+        logger.debug('chat_footer_content_warning', {
+          chatMode,
+          profanity: warning.profanity.length > 0,
+          pii: warning.pii,
+          module: 'ChatFooter'
+        });
+        setContentWarning(warning);
+        return;
+      }
+    }
+    setContentWarning(null);
 
     setIsSending(true);
 
@@ -129,24 +269,28 @@ const ChatFooter = () => {
       if (chatMode === 'team') {
         if (selectedTeamMember) {
           // Private message to specific member
-          success = sendTeamPrivateMessage(selectedTeamMember.id, trimmed);
+          success = sendTeamPrivateMessage(selectedTeamMember.id, trimmed, attachments);
         } else if (selectedTeam) {
           // Admin broadcast to specific team
-          success = sendAdminTeamBroadcast(selectedTeam.id, trimmed);
+          success = sendAdminTeamBroadcast(selectedTeam.id, trimmed, attachments);
         } else {
           // Regular team broadcast (user's own team)
-          success = sendTeamBroadcast(trimmed);
+          success = sendTeamBroadcast(trimmed, attachments);
         }
       } else {
         // AI/Admin mode
-        success = sendMessage(trimmed);
+        success = sendMessage(trimmed, null, attachments);
       }
 
       if (success) {
+        const resolves = pendingMacro?.resolves_escalation && activeEscalation;
         setInputValue('');
+        setPendingMacro(null);
+        clearAttachments();
         if (textareaRef.current) {
           textareaRef.current.style.height = 'auto';
         }
+        if (resolves) await resolveAnsweredEscalation(activeEscalation);
       }
     } catch (error) {
       logger.error('chat_footer_send_failed', {
@@ -161,19 +305,79 @@ const ChatFooter = () => {
     }
   };
 
+  /**
+   * Navigate the canned response suggestions while they are shown
+   *
+   * @param {KeyboardEvent} e - Key down event
+   */
+  const handleKeyDown = (e) => {
+    if (slashQuery === null) return;
+    if (e.key === 'Escape') {
+      // Close the suggestions, not the chat window
+      e.preventDefault();
+      e.stopPropagation();
+      setMenuDismissed(true);
+      return;
+    }
+    if (suggestions.length === 0) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setMenuIndex((menuIndex + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      applyCannedResponse(suggestions[Math.min(menuIndex, suggestions.length - 1)]);
+    }
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
+      // Wait for the current AI answer (or stop it) before sending the next question
+      if (isGenerating) return;
       handleSend();
     }
   };
 
+  /**
+   * Attach pasted files (e.g. screenshots from the clipboard)
+   *
+   * @param {ClipboardEvent} e - Paste event
+   */
+  const handlePaste = (e) => {
+    const files = e.clipboardData?.files;
+    if (!attachmentsEnabled || !files || files.length === 0) return;
+    e.preventDefault();
+    addFiles(files);
+  };
+
+  const handleDragOver = (e) => {
+    if (!attachmentsEnabled || !e.dataTransfer?.types?.includes('Files')) return;
+    e.preventDefault();
+    setIsDragOver(true);
+  };
+
+  const handleDrop = (e) => {
+    if (!attachmentsEnabled) return;
+    e.preventDefault();
+    setIsDragOver(false);
+    if (e.dataTransfer?.files?.length) addFiles(e.dataTransfer.files);
+  };
+
+  const handleFileSelect = (e) => {
+    if (e.target.files?.length) addFiles(e.target.files);
+    // Allow picking the same file again after removing it
+    e.target.value = '';
+  };
+
   const isSendDisabled = () => {
     return (
-      !inputValue.trim() ||
+      (!inputValue.trim() && readyAttachments.length === 0) ||
+      isUploading ||
       isSending ||
       connectionStatus !== 'connected' ||
-      rateLimitStatus.exceeded
+      rateLimitStatus.exceeded ||
+      isMuted
     );
   };
 
@@ -184,6 +388,9 @@ const ChatFooter = () => {
     if (connectionStatus !== 'connected') {
       return 'Connecting...';
     }
+    if (isMuted) {
+      return 'You are muted in team chat';
+    }
 
     if (chatMode === 'team') {
       // Team chat mode - show who the message is going to
@@ -229,30 +436,172 @@ const ChatFooter = () => {
   }
 
   return (
-    <div className="chat-footer">
+    <div
+      className={`chat-footer ${isDragOver ? 'drag-over' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDragOver(false)}
+      onDrop={handleDrop}
+    >
+      {isDragOver && (
+        <div className="chat-drop-overlay">
+          <span>Drop files to attach</span>
+          <span className="chat-attachment-limits">{limitsText}</span>
+        </div>
+      )}
+
+      {attachmentsEnabled && attachmentItems.length > 0 && (
+        <div className="chat-attachment-tray">
+          {attachmentItems.map(item => (
+            <div key={item.id} className={`chat-attachment-pending status-${item.status}`} title={item.error || item.name}>
+              {item.previewUrl ? (
+                <img src={item.previewUrl} alt={item.name} />
+              ) : (
+                <span className="chat-attachment-pending-file">📄 {item.name}</span>
+              )}
+              {item.status === 'uploading' && <span className="chat-attachment-status">Uploading...</span>}
+              {item.status === 'error' && <span className="chat-attachment-status">⚠️ Failed</span>}
+              <button
+                type="button"
+                className="chat-attachment-remove"
+                onClick={() => removeAttachment(item.id)}
+                aria-label={`Remove ${item.name}`}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {attachmentErrors.length > 0 && (
+        <div className="chat-attachment-errors" role="alert">
+          {attachmentErrors.map(error => <div key={error}>{error}</div>)}
+          <div className="chat-attachment-limits">Allowed: {limitsText}</div>
+          <button type="button" onClick={dismissErrors} aria-label="Dismiss">✕</button>
+        </div>
+      )}
+
+      {activeEscalation && (
+        <div className="chat-escalation-reply">
+          <span>
+            ↩ Replying to escalation: <strong>{activeEscalation.team_name}</strong>
+            {activeEscalation.escalation_type && ` · ${
+              ESCALATION_TYPES.find(type => type.value === activeEscalation.escalation_type)?.label || activeEscalation.escalation_type
+            }`}
+          </span>
+          {pendingMacro?.resolves_escalation && (
+            <span className="chat-escalation-resolves">✓ Sending also resolves it</span>
+          )}
+          <button type="button" onClick={clearEscalationReply} aria-label="Stop replying to escalation">✕</button>
+        </div>
+      )}
+
+      {macroError && (
+        <div className="chat-attachment-errors" role="alert">
+          <div>{macroError}</div>
+          <button type="button" onClick={() => setMacroError(null)} aria-label="Dismiss">✕</button>
+        </div>
+      )}
+
+      {isMuted && (
+        <div className="chat-muted-notice" role="status">
+          🔇 A moderator muted you in team chat
+          {chatMute.muted_until && ` until ${new Date(chatMute.muted_until).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}`}
+          {chatMute.reason && ` (${chatMute.reason})`}
+        </div>
+      )}
+
+      {contentWarning && (
+        <div className="chat-content-warning" role="alert">
+          <span>⚠️ Your message contains {contentWarning.warnings.join(', ')}.</span>
+          <span className="chat-content-warning-actions">
+            <button type="button" onClick={() => handleSend(contentWarning.masked)}>Send masked</button>
+            {contentWarning.profanity.length === 0 && (
+              <button type="button" onClick={() => handleSend(inputValue)}>Send anyway</button>
+            )}
+            <button type="button" onClick={() => { setContentWarning(null); textareaRef.current?.focus(); }}>Edit</button>
+          </span>
+        </div>
+      )}
+
+      {unfilledVariables.length > 0 && (
+        <div className="chat-macro-unfilled">
+          Fill in: {unfilledVariables.map(name => `{{${name}}}`).join(', ')}
+        </div>
+      )}
+
+      {slashQuery !== null && (
+        <CannedResponseMenu
+          responses={suggestions}
+          activeIndex={menuIndex}
+          context={macroContext}
+          onSelect={applyCannedResponse}
+          onHover={setMenuIndex}
+        />
+      )}
+
       <div className="chat-input-container">
+        {attachmentsEnabled && (
+          <>
+            <button
+              type="button"
+              className="chat-attach-btn"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={connectionStatus !== 'connected'}
+              aria-label="Attach files"
+              title={`Attach files – ${limitsText}`}
+            >
+              📎
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept={acceptedTypes(uploadLimits)}
+              onChange={handleFileSelect}
+              className="chat-file-input"
+              data-testid="chat-file-input"
+              hidden
+            />
+          </>
+        )}
+
         <textarea
           ref={textareaRef}
           className="chat-input"
           placeholder={getPlaceholder()}
           value={inputValue}
           onChange={handleInputChange}
+          onKeyDown={handleKeyDown}
           onKeyPress={handleKeyPress}
-          disabled={connectionStatus !== 'connected' || rateLimitStatus.exceeded}
+          onPaste={handlePaste}
+          disabled={connectionStatus !== 'connected' || rateLimitStatus.exceeded || isMuted}
           rows={1}
           aria-label="Message input"
           maxLength={MAX_LENGTH}
         />
 
-        <button
-          className="chat-send-btn"
-          onClick={handleSend}
-          disabled={isSendDisabled()}
-          aria-label="Send message"
-          title="Send message (Enter)"
-        >
-          {isSending ? '...' : '>'}
-        </button>
+        {isGenerating ? (
+          <button
+            className="chat-send-btn chat-stop-btn"
+            onClick={cancelAIResponse}
+            disabled={connectionStatus !== 'connected'}
+            aria-label="Stop generating"
+            title="Stop generating"
+          >
+            ■
+          </button>
+        ) : (
+          <button
+            className="chat-send-btn"
+            onClick={() => handleSend()}
+            disabled={isSendDisabled()}
+            aria-label="Send message"
+            title="Send message (Enter)"
+          >
+            {isSending ? '...' : '>'}
+          </button>
+        )}
       </div>
 
       <div className="chat-footer-info">
@@ -8,6 +8,7 @@
  * - Connection status indicator
  * - Unread message badges per mode
  * - Close button for chat widget
+ * - Search toggle (when the widget provides a search panel)
  * - Role-based mode visibility (admin mode only for admins)
  *
  * @since 2025-11-09
@@ -15,6 +16,7 @@
 
 import React from 'react';
 import { useChat } from '../../contexts/ChatContext';
+import { PERMISSIONS, hasPermission } from '../../config/permissions';
 import { logger } from '../../utils/logger';
 import './ChatHeader.css';
 
@@ -23,16 +25,18 @@ import './ChatHeader.css';
  *
  * @param {Object} props - Component props
  * @param {Function} props.onClose - Callback function to close chat widget
+ * @param {Function} [props.onToggleSearch] - Open/close the search panel (button hidden if missing)
+ * @param {boolean} [props.searchOpen=false] - Search panel is open
  * @returns {JSX.Element} Chat header with mode buttons and status
  *
  * @example
  * <ChatHeader onClose={() => setChatOpen(false)} />
  */
-const ChatHeader = ({ onClose }) => {
+const ChatHeader = ({ onClose, onToggleSearch, searchOpen = false }) => {
   const { chatMode, switchMode, connectionStatus, unreadCounts, user } = useChat();
 
   // SECURITY: Check if user is admin/game_admin to hide admin mode button
-  const isAdmin = user && (user.role === 'admin' || user.role === 'game_admin');
+  const isAdmin = hasPermission(user, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM);
 
   /**
    * Handle mode switch with logging
@@ -141,6 +145,18 @@ const ChatHeader = ({ onClose }) => {
           </button>
         </div>
 
+        {onToggleSearch && (
+          <button
+            className={`chat-search-toggle ${searchOpen ? 'active' : ''}`}
+            onClick={onToggleSearch}
+            aria-label={searchOpen ? 'Close search' : 'Search messages'}
+            aria-pressed={searchOpen}
+            title="Search messages"
+          >
+            🔍
+          </button>
+        )}
+
         <button className="chat-close-button" onClick={handleClose} aria-label="Close chat">
           &times;
         </button>
@@ -0,0 +1,180 @@
+/**
+ * Component: ChatSearch
+ * Purpose: Search panel for AI/admin history, team channel and private conversations
+ * Part of: Easter Quest Frontend - Chat System
+ *
+ * Features:
+ * - Full-text query with filters (chat, sender, date range, game)
+ * - Highlighted matches in result snippets
+ * - Click a result to open its conversation with the message in view
+ * - More results load when scrolling to the end of the list
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useChat } from '../../contexts/ChatContext';
+import { useChatSearch } from '../../hooks/useChatSearch';
+import { getAll as getAllGames } from '../../services/games';
+import { PERMISSIONS, hasPermission } from '../../config/permissions';
+import {
+  SEARCH_SOURCES,
+  SEARCH_SOURCE_LABELS,
+  MIN_QUERY_LENGTH,
+  makeSnippet,
+  highlightSegments
+} from '../../utils/chatSearch';
+import { logger } from '../../utils/logger';
+import './ChatSearch.css';
+
+// Distance from the bottom (px) at which the next result page is requested
+const LOAD_MORE_THRESHOLD = 60;
+
+/**
+ * Text with highlighted search terms
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.text - Text to render
+ * @param {string} props.query - Search query
+ * @returns {JSX.Element} Text with <mark> around matches
+ */
+const Highlighted = ({ text, query }) => (
+  <>
+    {highlightSegments(text, query).map((segment, index) => (
+      segment.match ? <mark key={index}>{segment.text}</mark> : <React.Fragment key={index}>{segment.text}</React.Fragment>
+    ))}
+  </>
+);
+
+Highlighted.propTypes = {
+  text: PropTypes.string.isRequired,
+  query: PropTypes.string.isRequired
+};
+
+/**
+ * ChatSearch component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.user - Current user object
+ * @param {Function} props.onClose - Close the panel (after jumping to a result)
+ * @returns {JSX.Element} Search panel
+ *
+ * @example
+ * <ChatSearch user={user} onClose={() => setSearchOpen(false)} />
+ */
+const ChatSearch = ({ user, onClose }) => {
+  const { jumpToMessage } = useChat();
+  const { filters, setFilter, resetFilters, results, hasMore, loading, error, loadMore } = useChatSearch();
+  const [games, setGames] = useState([]);
+
+  // Admins don't have an admin support chat of their own
+  const isAdmin = hasPermission(user, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM);
+  const sources = Object.values(SEARCH_SOURCES).filter(source => !(isAdmin && source === SEARCH_SOURCES.ADMIN));
+
+  useEffect(() => {
+    getAllGames()
+      .then(response => setGames(response?.games || []))
+      .catch(err => logger.warn('chat_search_games_load_failed', { errorMessage: err.message, module: 'ChatSearch' }));
+  }, []);
+
+  const handleScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+    if (hasMore && !loading && scrollHeight - scrollTop - clientHeight < LOAD_MORE_THRESHOLD) {
+      loadMore();
+    }
+  };
+
+  const handleOpen = (result) => {
+    logger.info('chat_search_result_opened', { source: result.source, messageId: result.id, module: 'ChatSearch' });
+    jumpToMessage(result);
+    onClose();
+  };
+
+  const query = filters.query.trim();
+
+  return (
+    <div className="chat-search" role="search">
+      <div className="chat-search-form">
+        <input
+          type="search"
+          className="chat-search-input"
+          placeholder="Search messages..."
+          value={filters.query}
+          onChange={(e) => setFilter('query', e.target.value)}
+          aria-label="Search messages"
+          autoFocus
+        />
+
+        <div className="chat-search-filters">
+          <select value={filters.source} onChange={(e) => setFilter('source', e.target.value)} aria-label="Chat">
+            <option value="">All chats</option>
+            {sources.map(source => (
+              <option key={source} value={source}>{SEARCH_SOURCE_LABELS[source]}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder="Sender"
+            value={filters.sender}
+            onChange={(e) => setFilter('sender', e.target.value)}
+            aria-label="Sender"
+          />
+          <select value={filters.gameId} onChange={(e) => setFilter('gameId', e.target.value)} aria-label="Game">
+            <option value="">All games</option>
+            {games.map(game => (
+              <option key={game.id} value={game.id}>{game.title}</option>
+            ))}
+          </select>
+          <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} aria-label="From date" />
+          <input type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} aria-label="To date" />
+          <button type="button" className="chat-search-reset" onClick={resetFilters}>Reset</button>
+        </div>
+      </div>
+
+      <div className="chat-search-results" onScroll={handleScroll}>
+        {error && <div className="chat-search-error">⚠️ {error}</div>}
+
+        {query.length < MIN_QUERY_LENGTH ? (
+          <div className="chat-search-hint">Type at least {MIN_QUERY_LENGTH} characters to search.</div>
+        ) : (!loading && !error && results.length === 0) ? (
+          <div className="chat-search-hint">No messages found.</div>
+        ) : (
+          <ul className="chat-search-list">
+            {results.map(result => (
+              <li key={`${result.source}-${result.id}`}>
+                <button type="button" className="chat-search-result" onClick={() => handleOpen(result)}>
+                  <div className="chat-search-result-meta">
+                    <span className={`chat-search-source source-${result.source}`}>
+                      {SEARCH_SOURCE_LABELS[result.source] || result.source}
+                    </span>
+                    <span className="chat-search-sender">{result.sender_name}</span>
+                    {result.conversation_user && result.source === SEARCH_SOURCES.PRIVATE && (
+                      <span className="chat-search-conversation">
+                        with {result.conversation_user.display_name || result.conversation_user.username}
+                      </span>
+                    )}
+                    <span className="chat-search-date">{new Date(result.created_at).toLocaleString()}</span>
+                  </div>
+                  <div className="chat-search-snippet">
+                    <Highlighted text={makeSnippet(result.content, query)} query={query} />
+                  </div>
+                  {result.game_title && <div className="chat-search-game">🎮 {result.game_title}</div>}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {loading && <div className="chat-search-hint">Searching...</div>}
+      </div>
+    </div>
+  );
+};
+
+ChatSearch.propTypes = {
+  user: PropTypes.object,
+  onClose: PropTypes.func.isRequired
+};
+
+export default ChatSearch;
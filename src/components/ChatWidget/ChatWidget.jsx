@@ -11,6 +11,9 @@
  * - Persists position/size to localStorage
  * - Keyboard shortcuts (Esc to close)
  * - Contains ChatHeader, ChatBody, ChatFooter
+ * - Message search panel (replaces body and footer while open)
+ * - Opens when an admin replies to an escalation from the notifications panel
+ * - Unread count in the browser tab title
  * - Responsive design (mobile + desktop)
  *
  * @since 2025-11-09
@@ -22,6 +25,8 @@ import ChatToggleButton from './ChatToggleButton';
 import ChatHeader from './ChatHeader';
 import ChatBody from './ChatBody';
 import ChatFooter from './ChatFooter';
+import ChatSearch from './ChatSearch';
+import { useTitleBadge } from '../../hooks/useTitleBadge';
 import { logger } from '../../utils/logger';
 import './ChatWidget.css';
 
@@ -38,9 +43,12 @@ const MIN_HEIGHT = 400;
  * @returns {JSX.Element}
  */
 const ChatWidget = () => {
-  const { user } = useChat();
+  const { user, escalationReply, getTotalUnreadCount } = useChat();
   // Chat open/close state
   const [isOpen, setIsOpen] = useState(false);
+  const [searchOpen, setSearchOpen] = useState(false);
+
+  useTitleBadge(getTotalUnreadCount ? getTotalUnreadCount() : 0);
 
   // Window position and size
   const [position, setPosition] = useState(DEFAULT_POSITION);
@@ -83,6 +91,16 @@ const ChatWidget = () => {
     localStorage.setItem('chatWindowState', JSON.stringify({ position, size }));
   }, [position, size]);
 
+  /**
+   * Open the chat when an escalation reply is started elsewhere in the app
+   */
+  useEffect(() => {
+    if (escalationReply) {
+      setSearchOpen(false);
+      setIsOpen(true);
+    }
+  }, [escalationReply]);
+
   /**
    * Toggle chat open/close
    */
@@ -168,9 +186,10 @@ const ChatWidget = () => {
    */
   useEffect(() => {
     const handleKeyDown = (event) => {
-      // Esc to close
+      // Esc closes the search panel first, then the chat
       if (event.key === 'Escape' && isOpen) {
-        closeChat();
+        if (searchOpen) setSearchOpen(false);
+        else closeChat();
       }
     };
 
@@ -179,7 +198,7 @@ const ChatWidget = () => {
     return () => {
       document.removeEventListener('keydown', handleKeyDown);
     };
-  }, [isOpen]);
+  }, [isOpen, searchOpen]);
 
   return (
     <div className="chat-widget" role="complementary" aria-label="Chat assistant">
@@ -210,14 +229,24 @@ const ChatWidget = () => {
             onMouseDown={handleDragStart}
             style={{ cursor: 'move' }}
           >
-            <ChatHeader onClose={closeChat} />
+            <ChatHeader
+              onClose={closeChat}
+              onToggleSearch={() => setSearchOpen(prev => !prev)}
+              searchOpen={searchOpen}
+            />
           </div>
 
-          {/* Body */}
-          <ChatBody user={user} />
+          {searchOpen ? (
+            <ChatSearch user={user} onClose={() => setSearchOpen(false)} />
+          ) : (
+            <>
+              {/* Body */}
+              <ChatBody user={user} />
 
-          {/* Footer */}
-          <ChatFooter />
+              {/* Footer */}
+              <ChatFooter />
+            </>
+          )}
 
           {/* Resize Handle */}
           <div
@@ -0,0 +1,113 @@
+/**
+ * Component: MarkdownMessage
+ * Purpose: Render chat message text as sanitized markdown
+ * Part of: Easter Quest Frontend - Chat System
+ *
+ * Used for AI responses, admin replies and team broadcasts.
+ *
+ * Features:
+ * - Lists, emphasis, tables and links via utils/markdown.js (DOMPurify-sanitized)
+ * - Code blocks rendered as text with a copy button
+ * - External links open in a new tab after a confirmation
+ * - `streaming` flag for partially received text (open code fences are closed)
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { parseMarkdownBlocks, isExternalLink } from '../../utils/markdown';
+import { logger } from '../../utils/logger';
+import './MarkdownMessage.css';
+
+/**
+ * Code block with copy button
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.code - Code text
+ * @param {string} [props.lang] - Language from the fence info string
+ * @returns {JSX.Element} Code block
+ */
+const CodeBlock = ({ code, lang = '' }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      logger.error('chat_code_copy_failed', { error: err.message, module: 'MarkdownMessage' });
+    }
+  };
+
+  return (
+    <div className="markdown-code-block">
+      <div className="markdown-code-header">
+        <span className="markdown-code-lang">{lang}</span>
+        <button type="button" className="markdown-code-copy" onClick={handleCopy}>
+          {copied ? '✓ Copied!' : '📋 Copy'}
+        </button>
+      </div>
+      <pre><code>{code}</code></pre>
+    </div>
+  );
+};
+
+CodeBlock.propTypes = {
+  code: PropTypes.string.isRequired,
+  lang: PropTypes.string
+};
+
+/**
+ * Ask before following links that leave the application
+ *
+ * @param {MouseEvent} e - Click event (delegated from the message)
+ */
+const handleLinkClick = (e) => {
+  const link = e.target.closest?.('a[href]');
+  if (!link) return;
+
+  const href = link.getAttribute('href');
+  if (isExternalLink(href) && !window.confirm(`This link leaves Easter Quest:\n\n${href}\n\nOpen it in a new tab?`)) {
+    e.preventDefault();
+    logger.debug('chat_external_link_cancelled', { module: 'MarkdownMessage' });
+  }
+};
+
+/**
+ * MarkdownMessage component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.content - Markdown text
+ * @param {boolean} [props.streaming=false] - Text is still arriving
+ * @param {string} [props.className] - Additional class names
+ * @returns {JSX.Element} Rendered message body
+ *
+ * @example
+ * <MarkdownMessage content={message.content} />
+ */
+const MarkdownMessage = ({ content, streaming = false, className = '' }) => {
+  const blocks = useMemo(() => parseMarkdownBlocks(content, { streaming }), [content, streaming]);
+
+  return (
+    <div className={`message-content markdown-message ${className}`.trim()} onClick={handleLinkClick}>
+      {blocks.map((block, index) => (
+        block.type === 'code' ? (
+          <CodeBlock key={index} code={block.code} lang={block.lang} />
+        ) : (
+          // SECURITY: html is sanitized by parseMarkdownBlocks (DOMPurify allow-list)
+          <div key={index} className="markdown-block" dangerouslySetInnerHTML={{ __html: block.html }} />
+        )
+      ))}
+    </div>
+  );
+};
+
+MarkdownMessage.propTypes = {
+  content: PropTypes.string.isRequired,
+  streaming: PropTypes.bool,
+  className: PropTypes.string
+};
+
+export default MarkdownMessage;
@@ -0,0 +1,144 @@
+/**
+ * Component: MessageModerationActions
+ * Purpose: Report / remove / mute actions on a team chat message
+ * Part of: Easter Quest Frontend - Team Chat
+ *
+ * Features:
+ * - Players: report a message (reason + optional comment) to the moderators
+ * - Moderators: remove a message for everyone, mute its author for a while
+ *
+ * Removal is propagated to all clients by the server (`message_deleted`).
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { PERMISSIONS, hasPermission } from '../../config/permissions';
+import { reportMessage, deleteChatMessage, muteChatUser } from '../../services/chat';
+import { REPORT_REASONS, MUTE_DURATIONS } from '../../utils/chatModeration';
+import { logger } from '../../utils/logger';
+import './MessageModerationActions.css';
+
+/**
+ * MessageModerationActions - Moderation controls shown in a message footer
+ *
+ * @param {object} props
+ * @param {object} props.message - Team message ({ id, sender_id, sender_username })
+ * @param {object} props.user - Current user
+ * @returns {JSX.Element|null}
+ */
+const MessageModerationActions = ({ message, user }) => {
+  const [mode, setMode] = useState(null); // 'report', 'mute'
+  const [reason, setReason] = useState(REPORT_REASONS[0].value);
+  const [comment, setComment] = useState('');
+  const [status, setStatus] = useState(null); // 'reported', 'removed', 'muted', 'error'
+  const [busy, setBusy] = useState(false);
+
+  const isModerator = hasPermission(user, PERMISSIONS.CHAT_MODERATE);
+
+  if (message.deleted || message.sender_id === user?.id || !/^\d+$/.test(String(message.id))) {
+    return null;
+  }
+
+  /**
+   * Run a moderation request and show its outcome
+   *
+   * @param {Function} action - Request to run
+   * @param {string} doneStatus - Status to show on success
+   * @param {string} event - Log event name
+   * @returns {Promise<void>}
+   */
+  const run = async (action, doneStatus, event) => {
+    setBusy(true);
+    try {
+      await action();
+      setStatus(doneStatus);
+      setMode(null);
+      logger.info(event, { messageId: message.id, module: 'MessageModerationActions' });
+    } catch (error) {
+      logger.error(`${event}_failed`, {
+        messageId: message.id,
+        errorMessage: error.message,
+        module: 'MessageModerationActions'
+      }, error);
+      setStatus('error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReport = (e) => {
+    e.preventDefault();
+    run(() => reportMessage(message.id, { reason, comment: comment.trim() }), 'reported', 'chat_message_reported');
+  };
+
+  const handleRemove = () => {
+    if (!window.confirm('Remove this message for everyone?')) return;
+    run(() => deleteChatMessage(message.id, { reason: 'Removed by moderator' }), 'removed', 'chat_message_removed');
+  };
+
+  const handleMute = (minutes) => {
+    run(() => muteChatUser(message.sender_id, { minutes, reason: `Message ${message.id}` }), 'muted', 'chat_user_muted');
+  };
+
+  if (status === 'reported') return <span className="moderation-status">⚑ Reported</span>;
+  if (status === 'muted') return <span className="moderation-status">🔇 Muted</span>;
+
+  return (
+    <span className="moderation-actions">
+      {status === 'error' && <span className="moderation-status error">Failed</span>}
+
+      {isModerator ? (
+        <>
+          <button type="button" onClick={handleRemove} disabled={busy} title="Remove for everyone">
+            🗑 Remove
+          </button>
+          <button type="button" onClick={() => setMode(mode === 'mute' ? null : 'mute')} disabled={busy} title={`Mute @${message.sender_username}`}>
+            🔇 Mute
+          </button>
+          {mode === 'mute' && (
+            <span className="moderation-mute-options">
+              {MUTE_DURATIONS.map(duration => (
+                <button key={duration.minutes} type="button" onClick={() => handleMute(duration.minutes)} disabled={busy}>
+                  {duration.label}
+                </button>
+              ))}
+            </span>
+          )}
+        </>
+      ) : (
+        <button type="button" onClick={() => setMode(mode === 'report' ? null : 'report')} title="Report message" aria-label="Report message">
+          ⚑
+        </button>
+      )}
+
+      {mode === 'report' && (
+        <form className="moderation-report-form" onSubmit={handleReport}>
+          <select value={reason} onChange={(e) => setReason(e.target.value)} aria-label="Reason">
+            {REPORT_REASONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Comment (optional)"
+            maxLength={500}
+            aria-label="Comment"
+          />
+          <button type="submit" disabled={busy}>Report</button>
+          <button type="button" onClick={() => setMode(null)}>Cancel</button>
+        </form>
+      )}
+    </span>
+  );
+};
+
+MessageModerationActions.propTypes = {
+  message: PropTypes.object.isRequired,
+  user: PropTypes.object
+};
+
+export default MessageModerationActions;
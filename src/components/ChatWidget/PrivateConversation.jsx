@@ -8,12 +8,23 @@
  * - Auto-scroll to latest
  * - Differentiates sent/received messages
  * - Shows timestamps
+ * - Marks received messages as read when they scroll into view
+ * - "Seen" indicator on own messages (read receipts)
+ * - Image/file attachments (thumbnails, lightbox)
+ * - Scrolls to and highlights messages opened from chat search
+ * - Report received messages; removed messages show a placeholder
  *
  * @since 2025-11-09
  */
 
 import React, { useRef, useEffect } from 'react';
 import { useChat } from '../../contexts/ChatContext';
+import { useReadReceipts } from '../../hooks/useReadReceipts';
+import { useMessageFocus } from '../../hooks/useMessageFocus';
+import ChatAttachments from './ChatAttachments';
+import MessageModerationActions from './MessageModerationActions';
+import { REMOVED_MESSAGE_TEXT } from '../../utils/chatModeration';
+import { PERMISSIONS, roleHasPermission } from '../../config/permissions';
 import { logger } from '../../utils/logger';
 import './PrivateConversation.css';
 
@@ -27,8 +38,9 @@ import './PrivateConversation.css';
  * @returns {JSX.Element}
  */
 const PrivateConversation = ({ user, conversationWith }) => {
-  const { selectedTeamMember, privateConversations, lastError, setLastError } = useChat();
+  const { selectedTeamMember, privateConversations, lastError, setLastError, markMessagesRead, focusedMessageId, clearFocusedMessage } = useChat();
   const messageListRef = useRef(null);
+  const trackMessage = useReadReceipts({ rootRef: messageListRef, onRead: markMessagesRead });
 
   // Use conversationWith prop if provided, otherwise use selectedTeamMember
   const otherParty = conversationWith || selectedTeamMember;
@@ -43,7 +55,7 @@ const PrivateConversation = ({ user, conversationWith }) => {
       logger.debug('private_conversation_opened', {
         otherUserId: otherParty.id,
         otherUsername: otherParty.username,
-        isAdminChat: otherParty.role === 'admin' || otherParty.role === 'game_admin',
+        isAdminChat: roleHasPermission(otherParty.role, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM),
         messageCount: messages.length,
         module: 'PrivateConversation'
       });
@@ -76,6 +88,9 @@ const PrivateConversation = ({ user, conversationWith }) => {
     }
   }, [messages]);
 
+  // Search result focus (after auto-scroll so it wins)
+  const highlightedId = useMessageFocus(messageListRef, { focusedMessageId, onFocused: clearFocusedMessage, items: messages });
+
   const formatTime = (timestamp) => {
     return new Date(timestamp).toLocaleTimeString('en-US', {
       hour: '2-digit',
@@ -96,7 +111,7 @@ const PrivateConversation = ({ user, conversationWith }) => {
   }
 
   // Check if the other party is an admin
-  const isAdminChat = otherParty.role === 'admin' || otherParty.role === 'game_admin';
+  const isAdminChat = roleHasPermission(otherParty.role, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM);
 
   return (
     <div className={`private-conversation-container ${isAdminChat ? 'admin-chat' : ''}`}>
@@ -126,20 +141,26 @@ const PrivateConversation = ({ user, conversationWith }) => {
         ) : (
           messages.map((message, index) => {
             const isOwnMessage = message.sender_id === user?.id;
+            const isSeen = message.is_read || (message.read_by || []).length > 0;
 
             return (
               <div
                 key={message.id || index}
-                className={`private-message ${isOwnMessage ? 'own' : 'received'}`}
+                ref={!isOwnMessage && !message.is_read ? trackMessage : undefined}
+                data-message-id={message.id}
+                className={`private-message ${isOwnMessage ? 'own' : 'received'}${highlightedId === String(message.id) ? ' message-focused' : ''}`}
               >
-                <div className="message-content">{message.content}</div>
+                {message.deleted && <div className="message-removed">🚫 {REMOVED_MESSAGE_TEXT}</div>}
+                {message.content && <div className="message-content">{message.content}</div>}
+                {message.attachments?.length > 0 && <ChatAttachments attachments={message.attachments} />}
                 <div className="message-footer">
                   <span className="message-time">
                     {formatTime(message.created_at)}
                   </span>
-                  {message.is_read && isOwnMessage && (
-                    <span className="message-read">✓✓</span>
+                  {isSeen && isOwnMessage && (
+                    <span className="message-read" title={`Seen by ${otherParty.display_name || otherParty.username}`}>✓✓ Seen</span>
                   )}
+                  {!isAdminChat && <MessageModerationActions message={message} user={user} />}
                 </div>
               </div>
             );
@@ -8,15 +8,42 @@
  * - Auto-scroll to latest
  * - Sender names and timestamps
  * - Differentiates own messages
+ * - Markdown message bodies (sanitized, see MarkdownMessage)
+ * - Marks messages as read when they scroll into view; "Seen by" on own messages
+ * - Image/file attachments (thumbnails, lightbox)
+ * - Scrolls to and highlights messages opened from chat search
+ * - Report messages (players), remove messages / mute authors (moderators);
+ *   removed messages show a placeholder
  *
  * @since 2025-11-09
  */
 
 import React, { useRef, useEffect } from 'react';
 import { useChat } from '../../contexts/ChatContext';
+import { PERMISSIONS, roleHasPermission } from '../../config/permissions';
 import { logger } from '../../utils/logger';
+import MarkdownMessage from './MarkdownMessage';
+import ChatAttachments from './ChatAttachments';
+import MessageModerationActions from './MessageModerationActions';
+import { REMOVED_MESSAGE_TEXT } from '../../utils/chatModeration';
+import { useReadReceipts } from '../../hooks/useReadReceipts';
+import { useMessageFocus } from '../../hooks/useMessageFocus';
 import './TeamBroadcast.css';
 
+const SEEN_BY_MAX_NAMES = 3;
+
+/**
+ * "Seen by" text for an own broadcast
+ *
+ * @param {Array<object>} readBy - Read receipts { user_id, display_name, read_at }
+ * @returns {string|null} e.g. "Seen by Anna, Ben" or "Seen by 5"
+ */
+const formatSeenBy = (readBy = []) => {
+  if (readBy.length === 0) return null;
+  if (readBy.length > SEEN_BY_MAX_NAMES) return `Seen by ${readBy.length}`;
+  return `Seen by ${readBy.map(reader => reader.display_name).join(', ')}`;
+};
+
 /**
  * TeamBroadcast - Team channel message view
  *
@@ -26,8 +53,9 @@ import './TeamBroadcast.css';
  * @returns {JSX.Element}
  */
 const TeamBroadcast = ({ user, selectedTeam }) => {
-  const { teamBroadcastMessages, clearBroadcastUnread, lastError, setLastError } = useChat();
+  const { teamBroadcastMessages, clearBroadcastUnread, lastError, setLastError, markMessagesRead, focusedMessageId, clearFocusedMessage } = useChat();
   const messageListRef = useRef(null);
+  const trackMessage = useReadReceipts({ rootRef: messageListRef, onRead: markMessagesRead });
 
   // Filter to show team broadcast messages
   // Use useMemo to avoid re-filtering on every render
@@ -39,7 +67,7 @@ const TeamBroadcast = ({ user, selectedTeam }) => {
       }
 
       // Regular user view: exclude admin messages
-      if (msg.sender_role === 'admin' || msg.sender_role === 'game_admin') {
+      if (roleHasPermission(msg.sender_role, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM)) {
         return false;
       }
 
@@ -93,6 +121,9 @@ const TeamBroadcast = ({ user, selectedTeam }) => {
     }
   }, [teamMessages]);
 
+  // Search result focus (after auto-scroll so it wins)
+  const highlightedId = useMessageFocus(messageListRef, { focusedMessageId, onFocused: clearFocusedMessage, items: teamMessages });
+
   const formatTime = (timestamp) => {
     return new Date(timestamp).toLocaleTimeString('en-US', {
       hour: '2-digit',
@@ -135,12 +166,15 @@ const TeamBroadcast = ({ user, selectedTeam }) => {
 
         {teamMessages.map((message, index) => {
           const isOwnMessage = message.sender_id === user?.id;
-          const isAdminMessage = message.sender_role === 'admin' || message.sender_role === 'game_admin';
+          const isAdminMessage = roleHasPermission(message.sender_role, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM);
+          const seenBy = isOwnMessage ? formatSeenBy(message.read_by) : null;
 
           return (
             <div
               key={message.id || index}
-              className={`team-broadcast-message ${isOwnMessage ? 'own' : 'other'} ${isAdminMessage ? 'admin-message' : ''}`}
+              ref={isOwnMessage ? undefined : trackMessage}
+              data-message-id={message.id}
+              className={`team-broadcast-message ${isOwnMessage ? 'own' : 'other'} ${isAdminMessage ? 'admin-message' : ''}${highlightedId === String(message.id) ? ' message-focused' : ''}`}
             >
               {!isOwnMessage && (
                 <div className="message-sender">
@@ -151,12 +185,23 @@ const TeamBroadcast = ({ user, selectedTeam }) => {
                 </div>
               )}
 
-              <div className="message-content">{message.content}</div>
+              {message.deleted && <div className="message-removed">🚫 {REMOVED_MESSAGE_TEXT}</div>}
+              {message.content && <MarkdownMessage content={message.content} />}
+              {message.attachments?.length > 0 && <ChatAttachments attachments={message.attachments} />}
 
               <div className="message-footer">
                 <span className="message-time">
                   {formatTime(message.created_at)}
                 </span>
+                {seenBy && (
+                  <span
+                    className="message-seen-by"
+                    title={message.read_by.map(reader => reader.display_name).join(', ')}
+                  >
+                    ✓✓ {seenBy}
+                  </span>
+                )}
+                {!isAdminMessage && <MessageModerationActions message={message} user={user} />}
               </div>
             </div>
           );
@@ -8,3 +8,5 @@ export { default as ChatToggleButton } from './ChatToggleButton';
 export { default as ChatHeader } from './ChatHeader';
 export { default as ChatBody } from './ChatBody';
 export { default as ChatFooter } from './ChatFooter';
+export { default as ChatSearch } from './ChatSearch';
+export { default as CannedResponseMenu } from './CannedResponseMenu';
@@ -20,10 +20,12 @@
  * @module components/Footer
  * @since 2025-11-23
  * @updated 2025-12-07 - Added content_admin and system_admin roles
+ * @updated 2026-10-19 - Role descriptions come from the permission registry
  */
 
 import React from 'react';
 import PropTypes from 'prop-types';
+import { ROLE_IDS, getRoleDescription } from '../../config/permissions';
 import './Footer.css';
 
 /**
@@ -49,31 +51,6 @@ const Footer = ({ user }) => {
         return null;
     }
 
-    /**
-     * Get role-specific description text
-     *
-     * @param {string} role - User role
-     * @returns {string} Description of role permissions
-     */
-    const getRoleDescription = (role) => {
-        switch (role) {
-            case 'player':
-                return 'You can play games and change your password.';
-            case 'team_captain':
-                return 'You can manage your team members, change your team name, change your password, and rate games.';
-            case 'game_admin':
-                return 'You can monitor game progress, manage teams, handle notifications, and view analytics.';
-            case 'content_admin':
-                return 'You can create and manage events, games, and puzzles during the setup phase.';
-            case 'system_admin':
-                return 'You can configure system settings including AI, rate limits, and system parameters.';
-            case 'admin':
-                return 'You have full system access including all admin functions and system configuration.';
-            default:
-                return 'You have basic user permissions.';
-        }
-    };
-
     return (
         <footer className="app-footer">
             <div className="footer-content">
@@ -94,7 +71,7 @@ const Footer = ({ user }) => {
  */
 Footer.propTypes = {
     user: PropTypes.shape({
-        role: PropTypes.oneOf(['player', 'team_captain', 'game_admin', 'content_admin', 'system_admin', 'admin']).isRequired
+        role: PropTypes.oneOf(ROLE_IDS).isRequired
     }).isRequired
 };
 
@@ -6,6 +6,7 @@
  * Features:
  * - Tab navigation for event management
  * - Story, Games, Hints, Categories, Prompts tabs
+ * - Prompts tab only for users with content.prompts.edit
  * - Close button
  *
  * @since 2025-11-20
@@ -17,6 +18,8 @@ import GamesTab from './GamesTab';
 import HintsTab from './HintsTab';
 import CategoriesTab from './CategoriesTab';
 import PromptsTab from './PromptsTab';
+import Can from '../../Can/Can';
+import { PERMISSIONS } from '../../../config/permissions';
 
 function EventDetailsPanel({
   selectedEvent,
@@ -70,12 +73,14 @@ function EventDetailsPanel({
         >
           🏷️ Categories
         </button>
-        <button
-          className={`tab-btn ${eventDetailTab === 'prompts' ? 'active' : ''}`}
-          onClick={() => onTabChange('prompts')}
-        >
-          🤖 System Prompts
-        </button>
+        <Can permission={PERMISSIONS.CONTENT_PROMPTS_EDIT}>
+          <button
+            className={`tab-btn ${eventDetailTab === 'prompts' ? 'active' : ''}`}
+            onClick={() => onTabChange('prompts')}
+          >
+            🤖 System Prompts
+          </button>
+        </Can>
       </div>
 
       {/* Tab Content */}
@@ -102,10 +107,12 @@ function EventDetailsPanel({
         )}
 
         {eventDetailTab === 'prompts' && (
-          <PromptsTab
-            systemPrompts={systemPrompts}
-            onPromptsChanged={onPromptsChanged}
-          />
+          <Can permission={PERMISSIONS.CONTENT_PROMPTS_EDIT}>
+            <PromptsTab
+              systemPrompts={systemPrompts}
+              onPromptsChanged={onPromptsChanged}
+            />
+          </Can>
         )}
       </div>
     </div>
@@ -8,6 +8,7 @@
  * - Edit events, games, and training hints together
  * - Delete/Archive complete packages
  * - Manage system prompts (admin only)
+ * - Export/import packages as portable files (JSON or ZIP)
  * - Visual organization by year/event
  *
  * A "Game Package" includes:
@@ -23,6 +24,7 @@
  * @module components/GamePackageManagement
  * @since 2025-11-17
  * @updated 2025-12-07 - Added role-based system prompts access
+ * @updated 2026-10-19 - Added package import/export
  */
 
 import React, { useState, useEffect } from 'react';
@@ -37,11 +39,14 @@ import { getEvents, getCategoriesByYear, getSystemPromptsByYear } from '../../se
 import { useImageUpload } from './hooks/useImageUpload';
 import { useEventOperations } from './hooks/useEventOperations';
 import { usePackageForm } from './hooks/usePackageForm';
+import { usePackageTransfer } from './hooks/usePackageTransfer';
 import PackagesList from './PackagesList/PackagesList';
 import EventDetailsPanel from './EventDetails/EventDetailsPanel';
+import { ROLE_IDS, PERMISSIONS, hasPermission } from '../../config/permissions';
 import AdminGuideContent from './AdminGuideContent';
 import CreatePackageModal from './Modals/CreatePackageModal';
 import DeleteConfirmModal from './Modals/DeleteConfirmModal';
+import ImportPackageModal from './Modals/ImportPackageModal';
 import { marked } from 'marked';
 
 function GamePackageManagement({ user }) {
@@ -113,6 +118,18 @@ function GamePackageManagement({ user }) {
     closeCreatePackageModal
   } = usePackageForm(loadAllData, imageData);
 
+  // content_admin manages events but not system prompts - packages skip them
+  const canManagePrompts = hasPermission(user, PERMISSIONS.CONTENT_PROMPTS_EDIT);
+
+  const {
+    exportingYear,
+    handleExportPackage,
+    showImportModal,
+    openImportModal,
+    closeImportModal,
+    handlePackageImported
+  } = usePackageTransfer(loadAllData, canManagePrompts);
+
   /**
    * Load all data on component mount
    */
@@ -250,7 +267,10 @@ function GamePackageManagement({ user }) {
             events={events}
             selectedEvent={selectedEvent}
             viewMode={viewMode}
+            exportingYear={exportingYear}
             onCreatePackage={handleCreatePackage}
+            onImportPackage={openImportModal}
+            onExportPackage={handleExportPackage}
             onViewEvent={handleViewEvent}
             onReload={loadAllData}
           />
@@ -292,6 +312,14 @@ function GamePackageManagement({ user }) {
         />
       )}
 
+      {/* Import Package Modal */}
+      {showImportModal && (
+        <ImportPackageModal
+          onImported={handlePackageImported}
+          onClose={closeImportModal}
+          canManagePrompts={canManagePrompts}
+        />
+      )}
 
       {/* Delete Confirmation Modal */}
       {showDeleteConfirmModal && deleteTarget && (
@@ -343,7 +371,7 @@ function GamePackageManagement({ user }) {
  */
 GamePackageManagement.propTypes = {
   user: PropTypes.shape({
-    role: PropTypes.oneOf(['admin', 'content_admin']).isRequired
+    role: PropTypes.oneOf(ROLE_IDS).isRequired
   }).isRequired
 };
 
@@ -0,0 +1,294 @@
+/**
+ * Component: ImportPackageModal
+ * Purpose: Modal for importing a game package file
+ * Part of: Easter Quest 2025 Frontend - Game Package Management
+ *
+ * Features:
+ * - Read package files (.json or .zip with images)
+ * - Validate format, version and references
+ * - Choose the target year (remaps the package year)
+ * - Preview new/changed/unchanged entries against existing content
+ * - System prompts are skipped for users without CONTENT_PROMPTS_EDIT
+ * - Import with progress and a summary of created/updated entries
+ *
+ * @since 2026-10-19
+ * @see ../../../services/gamePackage.js
+ */
+
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+  parseGamePackage,
+  validateGamePackage,
+  loadPackageContent,
+  diffGamePackage,
+  importGamePackage,
+  DIFF_STATUS
+} from '../../../services/gamePackage';
+import { logger } from '../../../utils/logger';
+
+const STATUS_LABELS = {
+  [DIFF_STATUS.NEW]: 'New',
+  [DIFF_STATUS.CHANGED]: 'Changed',
+  [DIFF_STATUS.UNCHANGED]: 'Unchanged',
+  [DIFF_STATUS.SKIPPED]: 'Skipped'
+};
+
+/**
+ * Read a File as bytes
+ *
+ * @param {File} file - Selected file
+ * @returns {Promise<Uint8Array>} File content
+ */
+const readFileBytes = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.onerror = () => reject(new Error('Failed to read file'));
+  reader.readAsArrayBuffer(file);
+});
+
+/**
+ * One preview section (categories, games or prompts)
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.title - Section title
+ * @param {Array<Object>} props.entries - Diff entries
+ * @returns {JSX.Element|null}
+ */
+function PreviewSection({ title, entries }) {
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="import-preview-section">
+      <h4>{title} ({entries.length})</h4>
+      <ul>
+        {entries.map((entry, index) => (
+          <li key={`${entry.label}-${index}`}>
+            <span className={`diff-badge diff-${entry.status}`}>{STATUS_LABELS[entry.status]}</span>
+            {' '}{entry.label}
+            {entry.status === DIFF_STATUS.SKIPPED && <small className="diff-fields"> - skipped (no permission)</small>}
+            {entry.changes.length > 0 && (
+              <small className="diff-fields"> - {entry.changes.join(', ')}</small>
+            )}
+            {entry.newHints > 0 && <small className="diff-fields"> - {entry.newHints} new hint(s)</small>}
+            {entry.newDependencies > 0 && (
+              <small className="diff-fields"> - {entry.newDependencies} new dependenc{entry.newDependencies === 1 ? 'y' : 'ies'}</small>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+PreviewSection.propTypes = {
+  title: PropTypes.string.isRequired,
+  entries: PropTypes.arrayOf(PropTypes.object).isRequired
+};
+
+function ImportPackageModal({ onImported, onClose, canManagePrompts = true }) {
+  const [fileName, setFileName] = useState('');
+  const [pkg, setPkg] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [targetYear, setTargetYear] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [existingEvent, setExistingEvent] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+  const [overwrite, setOverwrite] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [summary, setSummary] = useState(null);
+
+  const importing = progress !== null;
+  const year = parseInt(targetYear, 10);
+
+  /**
+   * Build the preview whenever the package or target year changes
+   */
+  useEffect(() => {
+    if (!pkg || !Number.isInteger(year)) {
+      setPreview(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setPreviewError(null);
+    loadPackageContent(year, { includePrompts: canManagePrompts })
+      .then(existing => {
+        if (cancelled) return;
+        setExistingEvent(existing.event);
+        setPreview(diffGamePackage(pkg, existing, { includePrompts: canManagePrompts }));
+      })
+      .catch(error => {
+        if (cancelled) return;
+        logger.error('game_package_preview_failed', { targetYear: year, errorMessage: error.message, module: 'ImportPackageModal' }, error);
+        setPreview(null);
+        setPreviewError(`Failed to load existing content: ${error.message}`);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pkg, year, canManagePrompts]);
+
+  /**
+   * Read and validate the selected file
+   *
+   * @param {Event} e - File input change event
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setPkg(null);
+    setErrors([]);
+    setSummary(null);
+    if (!file) return;
+
+    setFileName(file.name);
+    try {
+      const parsed = parseGamePackage(await readFileBytes(file));
+      const validationErrors = validateGamePackage(parsed);
+      if (validationErrors.length > 0) {
+        setErrors(validationErrors);
+        return;
+      }
+      setPkg(parsed);
+      setTargetYear(String(parsed.event.year));
+    } catch (error) {
+      setErrors([error.message]);
+    }
+  };
+
+  /**
+   * Import the package into the target year
+   */
+  const handleImport = async () => {
+    setProgress({ label: 'Starting...', done: 0, total: 1 });
+    try {
+      const result = await importGamePackage(pkg, {
+        year,
+        overwrite,
+        includePrompts: canManagePrompts,
+        onProgress: (label, done, total) => setProgress({ label, done, total })
+      });
+      setSummary(result);
+      await onImported();
+    } catch (error) {
+      logger.error('game_package_import_failed', { targetYear: year, errorMessage: error.message, module: 'ImportPackageModal' }, error);
+      alert(`❌ Import failed: ${error.data?.detail || error.message}. Entries created before the error were kept.`);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={importing ? undefined : onClose}>
+      <div className="modal-content large" onClick={(e) => e.stopPropagation()}>
+        <h3>📥 Import Game Package</h3>
+        <div className="modal-body">
+          <div className="form-group">
+            <label htmlFor="package-file">Package file (.json or .zip)</label>
+            <input
+              id="package-file"
+              type="file"
+              accept=".json,.zip,application/json,application/zip"
+              onChange={handleFileChange}
+              disabled={importing}
+            />
+          </div>
+
+          {errors.length > 0 && (
+            <div className="error-message" role="alert">
+              <strong>{fileName} cannot be imported:</strong>
+              <ul>
+                {errors.map(error => <li key={error}>{error}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {pkg && (
+            <>
+              <div className="form-group">
+                <label htmlFor="package-year">Target year</label>
+                <input
+                  id="package-year"
+                  type="number"
+                  value={targetYear}
+                  onChange={(e) => setTargetYear(e.target.value)}
+                  disabled={importing}
+                />
+                <small className="checkbox-hint">
+                  Package year: {pkg.event.year}.{' '}
+                  {existingEvent
+                    ? `Content is merged into the existing ${year} event.`
+                    : 'A new event is created for this year.'}
+                </small>
+              </div>
+
+              <div className="form-group checkbox">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={overwrite}
+                    onChange={(e) => setOverwrite(e.target.checked)}
+                    disabled={importing}
+                  />
+                  Update existing entries that differ (otherwise they are kept as they are)
+                </label>
+              </div>
+
+              {previewError && <div className="error-message">{previewError}</div>}
+
+              {preview && (
+                <div className="import-preview">
+                  <p className="import-preview-counts">
+                    {preview.counts.new} new, {preview.counts.changed} changed, {preview.counts.unchanged} unchanged
+                    {preview.counts.skipped > 0 && `, ${preview.counts.skipped} skipped (no permission)`}
+                  </p>
+                  <PreviewSection title="Event" entries={[preview.event]} />
+                  <PreviewSection title="Categories" entries={preview.categories} />
+                  <PreviewSection title="Games" entries={preview.games} />
+                  <PreviewSection title="System Prompts" entries={preview.prompts} />
+                </div>
+              )}
+            </>
+          )}
+
+          {importing && (
+            <div className="import-progress" role="status">
+              {progress.label} ({progress.done}/{progress.total})
+            </div>
+          )}
+
+          {summary && (
+            <div className="import-summary" role="status">
+              ✅ Imported: {summary.created.games} games, {summary.created.categories} categories,{' '}
+              {summary.created.hints} hints, {summary.created.dependencies} dependencies,{' '}
+              {summary.created.prompts} prompts created
+              {summary.skipped?.prompts > 0 && `, ${summary.skipped.prompts} prompts skipped (no permission)`}
+              {overwrite && ` (${summary.updated.games + summary.updated.categories + summary.updated.prompts + summary.updated.event} updated)`}
+            </div>
+          )}
+        </div>
+        <div className="modal-actions">
+          <button
+            className="btn btn-success"
+            onClick={handleImport}
+            disabled={!pkg || !preview || importing || !!summary}
+          >
+            📥 Import Package
+          </button>
+          <button className="btn btn-outline" onClick={onClose} disabled={importing}>
+            ✕ {summary ? 'Close' : 'Cancel'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+ImportPackageModal.propTypes = {
+  onImported: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  canManagePrompts: PropTypes.bool
+};
+
+export default ImportPackageModal;
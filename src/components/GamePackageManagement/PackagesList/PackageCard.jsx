@@ -7,13 +7,15 @@
  * - Display package info (year, title, author)
  * - Show stats (game count, created date)
  * - View details button
+ * - Export package (JSON or ZIP with images)
  *
  * @since 2025-11-20
+ * @updated 2026-10-19 - Added package export
  */
 
 import React from 'react';
 
-function PackageCard({ event, isSelected, onView }) {
+function PackageCard({ event, isSelected, onView, onExport, isExporting }) {
   return (
     <div
       className={`package-card ${!event.is_active ? 'archived' : ''} ${isSelected ? 'selected' : ''}`}
@@ -52,6 +54,22 @@ function PackageCard({ event, isSelected, onView }) {
         >
           📋 Game Details
         </button>
+        <button
+          className="btn btn-outline btn-sm"
+          onClick={() => onExport(event, 'json')}
+          disabled={isExporting}
+          title="Export package as JSON (image embedded)"
+        >
+          📤 Export JSON
+        </button>
+        <button
+          className="btn btn-outline btn-sm"
+          onClick={() => onExport(event, 'zip')}
+          disabled={isExporting}
+          title="Export package as ZIP (image as separate file)"
+        >
+          🗜️ Export ZIP
+        </button>
       </div>
     </div>
   );
@@ -7,20 +7,35 @@
  * - Grid display of packages
  * - Create new package button
  * - Reload button
+ * - Import package button, export per package
  *
  * @since 2025-11-20
+ * @updated 2026-10-19 - Added package import/export
  */
 
 import React from 'react';
 import PackageCard from './PackageCard';
 
-function PackagesList({ events, selectedEvent, viewMode, onCreatePackage, onViewEvent, onReload }) {
+function PackagesList({
+  events,
+  selectedEvent,
+  viewMode,
+  exportingYear,
+  onCreatePackage,
+  onImportPackage,
+  onExportPackage,
+  onViewEvent,
+  onReload
+}) {
   return (
     <div className="packages-section">
       <div className="packages-header">
         <button className="btn btn-success" onClick={onCreatePackage}>
           ➕ Create New Game Event
         </button>
+        <button className="btn btn-info" onClick={onImportPackage}>
+          📥 Import Package
+        </button>
         <button className="btn btn-outline" onClick={onReload}>
           🔄 Reload
         </button>
@@ -33,6 +48,8 @@ function PackagesList({ events, selectedEvent, viewMode, onCreatePackage, onView
             event={event}
             isSelected={selectedEvent?.year === event.year && viewMode}
             onView={onViewEvent}
+            onExport={onExportPackage}
+            isExporting={exportingYear === event.year}
           />
         ))}
 
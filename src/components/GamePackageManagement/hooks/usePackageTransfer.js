@@ -0,0 +1,87 @@
+/**
+ * Hook: usePackageTransfer
+ * Purpose: Export packages to files and control the import modal
+ * Part of: Easter Quest 2025 Frontend - Game Package Management
+ *
+ * Features:
+ * - Export a package as versioned JSON or ZIP (with images)
+ * - Open/close the import package modal
+ * - Reload packages after an import
+ *
+ * @since 2026-10-19
+ * @see ../../../services/gamePackage.js
+ */
+
+import { useState } from 'react';
+import { buildGamePackage, serializeGamePackage } from '../../../services/gamePackage';
+import { downloadFile } from '../../../utils/exportUtils';
+import { logger } from '../../../utils/logger';
+
+/**
+ * Custom hook for package import/export
+ *
+ * @param {Function} loadAllData - Callback to reload all events data
+ * @param {boolean} [canManagePrompts=true] - Whether the user may read/write system prompts
+ *   (CONTENT_PROMPTS_EDIT); without it packages are exported without prompts
+ * @returns {Object} Package transfer utilities
+ *
+ * @example
+ * const {
+ *   exportingYear,
+ *   handleExportPackage,
+ *   showImportModal,
+ *   openImportModal,
+ *   closeImportModal,
+ *   handlePackageImported
+ * } = usePackageTransfer(loadAllData, hasPermission(user, PERMISSIONS.CONTENT_PROMPTS_EDIT));
+ */
+export function usePackageTransfer(loadAllData, canManagePrompts = true) {
+  const [exportingYear, setExportingYear] = useState(null);
+  const [showImportModal, setShowImportModal] = useState(false);
+
+  /**
+   * Export a package to a file
+   *
+   * @param {Object} event - Event of the package
+   * @param {string} format - 'json' or 'zip'
+   *
+   * @example
+   * handleExportPackage(eventItem, 'zip');
+   */
+  const handleExportPackage = async (event, format) => {
+    setExportingYear(event.year);
+    try {
+      const pkg = await buildGamePackage(event.year, { includePrompts: canManagePrompts });
+      const file = serializeGamePackage(pkg, format);
+      downloadFile(file.content, `easter-quest-package-${event.year}.${file.extension}`, file.mimeType);
+      logger.info('game_package_exported', {
+        eventYear: event.year,
+        format,
+        games: pkg.games.length,
+        includePrompts: canManagePrompts,
+        module: 'usePackageTransfer'
+      });
+    } catch (error) {
+      logger.error('game_package_export_failed', { eventYear: event.year, errorMessage: error.message, module: 'usePackageTransfer' }, error);
+      alert(`❌ Failed to export package: ${error.message}`);
+    } finally {
+      setExportingYear(null);
+    }
+  };
+
+  /**
+   * Reload packages after a successful import (the modal stays open to show the summary)
+   */
+  const handlePackageImported = async () => {
+    await loadAllData();
+  };
+
+  return {
+    exportingYear,
+    handleExportPackage,
+    showImportModal,
+    openImportModal: () => setShowImportModal(true),
+    closeImportModal: () => setShowImportModal(false),
+    handlePackageImported
+  };
+}
@@ -10,15 +10,36 @@
  * - Submission feedback (correct/incorrect)
  * - Progress tracking per game
  * - Category icons and colors
+ * - Deep link to a game's answer form (/game/<gameId>)
+ * - Progressive hint requests with penalty confirmation (HintPanel)
+ * - Offline submission queue: answers and game starts made while offline are
+ *   replayed in order on reconnect, with their state shown on the game card
  *
  * @since 2025-08-27
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { logger } from '../../utils/logger';
-import { submitSolution, startGame, getTeamRewards } from '../../services';
+import { submitSolution, startGame, getTeamRewards, isOfflineError } from '../../services';
+import { enqueueSubmission, enqueueStartGame, QUEUE_STATUS } from '../../services/submissionQueue';
+import { useSubmissionQueue } from '../../hooks/useSubmissionQueue';
 import { getMyTeamProgress } from '../../services/teams';
 import { useChat } from '../../contexts/ChatContext';
+import { useRouteTab } from '../../contexts/RouterContext';
+import { PERMISSIONS, hasPermission } from '../../config/permissions';
+import { getRewardIcon } from '../../config/rewardTypes';
+import RewardValue from '../RewardDisplay/RewardValue';
+import HintPanel from './HintPanel';
+import SubmissionStatus from './SubmissionStatus';
+
+/**
+ * Colors of the feedback message by type
+ */
+const MESSAGE_COLORS = {
+  success: { background: '#d4edda', border: '#c3e6cb', color: '#155724' },
+  error: { background: '#f8d7da', border: '#f5c6cb', color: '#721c24' },
+  info: { background: '#fff3cd', border: '#ffeaa7', color: '#856404' }
+};
 
 /**
  * CurrentGame component - Game selection and solution submission
@@ -27,6 +48,8 @@ import { useChat } from '../../contexts/ChatContext';
  * @param {Array} props.games - Available games for current event
  * @param {Object} props.activeEvent - Current active event object
  * @param {Function} props.onSubmitSolution - Callback after successful submission
+ * @param {Function} [props.onHintUsed] - Callback after a hint was revealed (refreshes TeamProgress)
+ * @param {number} [props.hintRefreshKey] - Changes when a teammate used a hint (reloads hint counts)
  * @returns {JSX.Element} Game selection interface or solution form
  *
  * @example
@@ -36,9 +59,9 @@ import { useChat } from '../../contexts/ChatContext';
  *   onSubmitSolution={reloadData}
  * />
  */
-const CurrentGame = ({ games, activeEvent, showPoints = true, user, onSubmitSolution }) => {
+const CurrentGame = ({ games, activeEvent, showPoints = true, user, onSubmitSolution, onHintUsed, hintRefreshKey }) => {
   // Admin users can view games but not play them
-  const isAdmin = user && user.role === 'admin';
+  const isAdmin = hasPermission(user, PERMISSIONS.GAME_PREVIEW);
 
   // Get chat context to refresh AI context banner when game state changes
   const { loadAIContext } = useChat();
@@ -48,7 +71,8 @@ const CurrentGame = ({ games, activeEvent, showPoints = true, user, onSubmitSolu
     logger.debug('CurrentGame mounted - loadAIContext available:', !!loadAIContext);
   }, [loadAIContext]);
 
-  const [selectedGame, setSelectedGame] = useState(null);
+  // Selected game ID lives in the URL (/game/<gameId>) so the answer form can be bookmarked
+  const [selectedGameId, setSelectedGameId] = useRouteTab('game', null);
   const [solution, setSolution] = useState('');
   const [submitting, setSubmitting] = useState(false);
   const [message, setMessage] = useState(null);
@@ -57,28 +81,6 @@ const CurrentGame = ({ games, activeEvent, showPoints = true, user, onSubmitSolu
   // Use team progress data which includes both team status and user status
   const [teamProgressGames, setTeamProgressGames] = useState([]);
 
-  // Team rewards data
-  const [rewards, setRewards] = useState([]);
-  const [selectedReward, setSelectedReward] = useState(null);
-  const [showRewardModal, setShowRewardModal] = useState(false);
-
-  useEffect(() => {
-    loadGameProgress();
-    loadRewards();
-  }, []);
-
-  // Reload game progress when games prop changes (e.g., after teammate starts/completes game)
-  useEffect(() => {
-    if (games && games.length > 0) {
-      loadGameProgress();
-      loadRewards();
-      // BUGFIX: Also refresh AI context when games change (e.g., teammate completes game)
-      if (loadAIContext) {
-        loadAIContext();
-      }
-    }
-  }, [games, loadAIContext]);
-
   /**
    * Load team progress to determine game availability and user status
    *
@@ -91,7 +93,7 @@ const CurrentGame = ({ games, activeEvent, showPoints = true, user, onSubmitSolu
    * @async
    * @returns {Promise<void>}
    */
-  async function loadGameProgress() {
+  const loadGameProgress = useCallback(async () => {
     // Skip for admin users (no team)
     if (isAdmin) {
       return;
@@ -114,8 +116,76 @@ const CurrentGame = ({ games, activeEvent, showPoints = true, user, onSubmitSolu
     } catch (err) {
       logger.error('Failed to load team progress:', err);
     }
+  }, [isAdmin]);
+
+  /**
+   * Check if a game's answer form can be opened by this user
+   *
+   * @param {Object} game - Game from team progress API
+   * @returns {boolean} True if the game is unlocked and started by the user
+   */
+  function isGameSelectable(game) {
+    const isStarted = game.user_status === 'in_progress' || game.user_status === 'completed';
+    return !isAdmin && game.status !== 'locked' && isStarted;
   }
 
+  // Resolve the selected game from the URL; locked or unstarted games fall back to the list
+  const selectedGame = teamProgressGames.find(
+    game => String(game.game_id) === String(selectedGameId) && isGameSelectable(game)
+  ) || null;
+
+  /**
+   * Open the answer form of a game (or close it with null)
+   *
+   * @param {Object|null} game - Game to select
+   */
+  function setSelectedGame(game) {
+    setSelectedGameId(game ? game.game_id : null);
+  }
+
+  // Offline queue: replayed items refresh progress once the server answered
+  const { getGameItem, dismiss: dismissQueueItem } = useSubmissionQueue({
+    userId: user?.id,
+    enabled: !isAdmin,
+    onSettled: (item) => {
+      if (item.status === QUEUE_STATUS.ACCEPTED) {
+        loadGameProgress();
+        if (onSubmitSolution) {
+          onSubmitSolution();
+        }
+      }
+    }
+  });
+
+  // Team rewards data
+  const [rewards, setRewards] = useState([]);
+  const [selectedReward, setSelectedReward] = useState(null);
+  const [showRewardModal, setShowRewardModal] = useState(false);
+
+  useEffect(() => {
+    loadGameProgress();
+    loadRewards();
+  }, []);
+
+  // Reload game progress when games prop changes (e.g., after teammate starts/completes game)
+  useEffect(() => {
+    if (games && games.length > 0) {
+      loadGameProgress();
+      loadRewards();
+      // BUGFIX: Also refresh AI context when games change (e.g., teammate completes game)
+      if (loadAIContext) {
+        loadAIContext();
+      }
+    }
+  }, [games, loadAIContext]);
+
+  // Teammate used a hint - reload team-wide hint counts
+  useEffect(() => {
+    if (hintRefreshKey) {
+      loadGameProgress();
+    }
+  }, [hintRefreshKey, loadGameProgress]);
+
   /**
    * Load team rewards
    * @async
@@ -243,8 +313,14 @@ const CurrentGame = ({ games, activeEvent, showPoints = true, user, onSubmitSolu
     } catch (err) {
       logger.error('Failed to start game:', err);
 
-      // Show dependency error message if game is locked
-      if (err.message && err.message.includes('locked')) {
+      if (isOfflineError(err)) {
+        enqueueStartGame(gameId);
+        setMessage({
+          type: 'info',
+          text: 'You are offline. The game will be started as soon as the connection is back.'
+        });
+      } else if (err.message && err.message.includes('locked')) {
+        // Show dependency error message if game is locked
         setMessage({
           type: 'error',
           text: err.message
@@ -299,12 +375,44 @@ const CurrentGame = ({ games, activeEvent, showPoints = true, user, onSubmitSolu
         setMessage({ type: 'error', text: result.message });
       }
     } catch (err) {
-      setMessage({ type: 'error', text: err.message || 'Failed to submit solution' });
+      if (isOfflineError(err)) {
+        // Keep the answer - it is sent automatically once the connection is back
+        enqueueSubmission(selectedGame.game_id, solution.trim());
+        setMessage({
+          type: 'info',
+          text: 'You are offline. Your answer was saved and will be sent when the connection is back.'
+        });
+        setSolution('');
+      } else {
+        setMessage({ type: 'error', text: err.message || 'Failed to submit solution' });
+      }
     } finally {
       setSubmitting(false);
     }
   };
 
+  /**
+   * Handle a revealed hint
+   *
+   * Updates the team's hint count of the game locally and lets the parent
+   * refresh TeamProgress so both counters stay in sync.
+   *
+   * @param {number} gameId - Game the hint belongs to
+   * @param {number} hintsUsed - Team's hints used on this game after the request
+   */
+  const handleHintUsed = (gameId, hintsUsed) => {
+    setTeamProgressGames(prev => prev.map(game => (
+      game.game_id === gameId ? { ...game, total_hints_used: hintsUsed } : game
+    )));
+    if (onHintUsed) {
+      onHintUsed();
+    }
+    // Hints change the AI context banner counter as well
+    if (loadAIContext) {
+      loadAIContext();
+    }
+  };
+
   // Use team progress games (has team status + user status + lock info)
   const gamesToRender = teamProgressGames.length > 0 ? teamProgressGames : [];
 
@@ -372,8 +480,8 @@ const CurrentGame = ({ games, activeEvent, showPoints = true, user, onSubmitSolu
                   marginTop: '10px',
                   padding: '10px',
                   borderRadius: '4px',
-                  background: message.type === 'success' ? '#d4edda' : '#f8d7da',
-                  color: message.type === 'success' ? '#155724' : '#721c24'
+                  background: MESSAGE_COLORS[message.type].background,
+                  color: MESSAGE_COLORS[message.type].color
                 }}
               >
                 {message.text}
@@ -398,6 +506,25 @@ const CurrentGame = ({ games, activeEvent, showPoints = true, user, onSubmitSolu
             </button>
           </form>
 
+          {getGameItem(selectedGame.game_id) && (
+            <div style={{ marginTop: '15px' }}>
+              <SubmissionStatus
+                item={getGameItem(selectedGame.game_id)}
+                onDismiss={dismissQueueItem}
+              />
+            </div>
+          )}
+
+          <HintPanel
+            gameId={selectedGame.game_id}
+            maxHints={selectedGame.max_hints}
+            hintsUsed={selectedGame.total_hints_used}
+            penaltyPoints={selectedGame.hint_penalty_points}
+            showPoints={showPoints}
+            disabled={selectedGame.user_status === 'completed'}
+            onHintUsed={(hintsUsed) => handleHintUsed(selectedGame.game_id, hintsUsed)}
+          />
+
           <div style={{ marginTop: '20px', padding: '10px', background: '#f8f9fa', borderRadius: '4px' }}>
             <p><small><strong>Game Info:</strong></small></p>
             <p><small>
@@ -442,9 +569,9 @@ const CurrentGame = ({ games, activeEvent, showPoints = true, user, onSubmitSolu
               marginBottom: '15px',
               padding: '12px 15px',
               borderRadius: '6px',
-              background: message.type === 'success' ? '#d4edda' : '#f8d7da',
-              border: `1px solid ${message.type === 'success' ? '#c3e6cb' : '#f5c6cb'}`,
-              color: message.type === 'success' ? '#155724' : '#721c24'
+              background: MESSAGE_COLORS[message.type].background,
+              border: `1px solid ${MESSAGE_COLORS[message.type].border}`,
+              color: MESSAGE_COLORS[message.type].color
             }}
           >
             {message.text}
@@ -467,7 +594,7 @@ const CurrentGame = ({ games, activeEvent, showPoints = true, user, onSubmitSolu
             return (
               <div
                 key={game.game_id}
-                onClick={() => !isAdmin && !isLocked && isStarted && setSelectedGame(game)}
+                onClick={() => isGameSelectable(game) && setSelectedGame(game)}
                 style={{
                   padding: '15px',
                   marginBottom: '10px',
@@ -534,6 +661,14 @@ const CurrentGame = ({ games, activeEvent, showPoints = true, user, onSubmitSolu
                       )}
                     </div>
 
+                    {/* Offline queue state of this game's answer / start */}
+                    {!isAdmin && getGameItem(game.game_id) && (
+                      <SubmissionStatus
+                        item={getGameItem(game.game_id)}
+                        onDismiss={dismissQueueItem}
+                      />
+                    )}
+
                     {/* Admin view: show all questions with lock icon */}
                     {isAdmin ? (
                       <>
@@ -620,7 +755,7 @@ const CurrentGame = ({ games, activeEvent, showPoints = true, user, onSubmitSolu
                                     justifyContent: 'space-between'
                                   }}>
                                     <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
-                                      <span style={{ fontSize: '18px' }}>🎁</span>
+                                      <span style={{ fontSize: '18px' }}>{getRewardIcon(reward.reward_type)}</span>
                                       {reward.display_name}
                                     </div>
                                     <span style={{ fontSize: '12px', opacity: 0.7 }}>Click to view</span>
@@ -768,7 +903,7 @@ const CurrentGame = ({ games, activeEvent, showPoints = true, user, onSubmitSolu
           >
             <div className="card-header" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
               <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                <span style={{ fontSize: '24px' }}>🎁</span>
+                <span style={{ fontSize: '24px' }}>{getRewardIcon(selectedReward.reward_type)}</span>
                 <span>{selectedReward.display_name}</span>
               </div>
               <button
@@ -797,72 +932,11 @@ const CurrentGame = ({ games, activeEvent, showPoints = true, user, onSubmitSolu
               </div>
 
               {/* Reward Value */}
-              <div style={{ marginBottom: '15px' }}>
-                <label style={{
-                  display: 'block',
-                  fontSize: '13px',
-                  fontWeight: 'bold',
-                  color: '#495057',
-                  marginBottom: '8px'
-                }}>
-                  Reward Value:
-                </label>
-                <div style={{
-                  padding: '12px',
-                  background: '#f8f9fa',
-                  border: '1px solid #dee2e6',
-                  borderRadius: '6px',
-                  fontFamily: 'monospace',
-                  fontSize: '13px',
-                  whiteSpace: 'pre-wrap',
-                  wordBreak: 'break-all',
-                  maxHeight: '300px',
-                  overflow: 'auto'
-                }}>
-                  {selectedReward.decrypted_value || '(No value available)'}
-                </div>
-              </div>
-
-              {/* Copy Button */}
-              <button
-                type="button"
-                onClick={(e) => {
-                  e.preventDefault();
-                  e.stopPropagation();
-                  if (selectedReward.decrypted_value) {
-                    navigator.clipboard.writeText(selectedReward.decrypted_value);
-                    // Show brief success message
-                    const btn = e.currentTarget;
-                    const originalText = btn.textContent;
-                    btn.textContent = '✓ Copied!';
-                    btn.style.background = '#28a745';
-                    setTimeout(() => {
-                      btn.textContent = originalText;
-                      btn.style.background = '#005da0';
-                    }, 2000);
-                  }
-                }}
-                style={{
-                  padding: '10px 20px',
-                  background: '#005da0',
-                  color: 'white',
-                  border: 'none',
-                  borderRadius: '6px',
-                  cursor: 'pointer',
-                  fontSize: '14px',
-                  fontWeight: '600',
-                  transition: 'all 0.2s',
-                  width: '100%'
-                }}
-                onMouseEnter={(e) => {
-                  e.currentTarget.style.background = '#004271';
-                }}
-                onMouseLeave={(e) => {
-                  e.currentTarget.style.background = '#005da0';
-                }}
-              >
-                📋 Copy to Clipboard
-              </button>
+              {selectedReward.decrypted_value ? (
+                <RewardValue rewardType={selectedReward.reward_type} value={selectedReward.decrypted_value} />
+              ) : (
+                <p style={{ color: '#6c757d', fontSize: '13px' }}>(No value available)</p>
+              )}
 
               {/* Unlocked Info */}
               {selectedReward.unlocked_at && (
@@ -8,6 +8,8 @@
  * - Show available games for current event
  * - Game selection and solution submission
  * - Team progress tracking
+ * - Hint counts kept in sync between CurrentGame and TeamProgress
+ * - Desktop/sound alert when a teammate completes a game
  * - Category-based game organization
  * - Collapsible story section
  *
@@ -22,7 +24,9 @@ import CurrentGame from './CurrentGame';
 import TeamProgress from './TeamProgress';
 import { getActive, getGames } from '../../services';
 import { replaceImagePlaceholder } from '../../utils/imageUtils';
+import { notifyAlert } from '../../utils/alertNotifier';
 import { useTeamGameUpdates } from '../../hooks/useTeamGameUpdates';
+import { PERMISSIONS, hasPermission } from '../../config/permissions';
 import './GamePanel.css';
 
 /**
@@ -38,6 +42,7 @@ const GamePanel = ({ user }) => {
     const [error, setError] = useState(null);
     const [storyCollapsed, setStoryCollapsed] = useState(false);
     const [teamProgressRefreshKey, setTeamProgressRefreshKey] = useState(0);
+    const [hintRefreshKey, setHintRefreshKey] = useState(0);
 
     /**
      * Load active event and its games.
@@ -76,16 +81,33 @@ const GamePanel = ({ user }) => {
 
     const handleGameCompleted = useCallback((data) => {
         logger.debug('[GamePanel] Team member completed game:', data);
+        notifyAlert('game_completion', {
+            title: '🎉 Game completed',
+            body: data?.player_name && data?.game_name
+                ? `${data.player_name} completed "${data.game_name}"`
+                : 'Your team completed a game',
+            tag: `game-completed-${data?.game_id ?? ''}`
+        });
         // BUGFIX: Always refresh on game completion to ensure UI updates
         // This handles both current user and teammate completions
         logger.debug('[GamePanel] Refreshing games list after completion');
         loadEventAndGames();
     }, [loadEventAndGames]);
 
+    /**
+     * Refresh TeamProgress without reloading the whole panel
+     * (e.g. after a hint changed the team's hint total).
+     */
+    const refreshTeamProgress = useCallback(() => {
+        setTeamProgressRefreshKey(prev => prev + 1);
+    }, []);
+
     const handleHintUsed = useCallback((data) => {
         logger.debug('[GamePanel] Team member used hint:', data);
-        // Optionally refresh to show updated hint count
-    }, []);
+        // Refresh hint counts in both the answer form and TeamProgress
+        setHintRefreshKey(prev => prev + 1);
+        refreshTeamProgress();
+    }, [refreshTeamProgress]);
 
     const handleSSEConnect = useCallback(() => {
         logger.debug('[GamePanel] SSE connected');
@@ -101,7 +123,7 @@ const GamePanel = ({ user }) => {
 
     // SSE: Set up real-time team game updates using hook
     // NOTE: Only enable SSE for non-admin users (admins don't have teams)
-    const isAdmin = user?.role === 'admin';
+    const isAdmin = hasPermission(user, PERMISSIONS.GAME_PREVIEW);
     useTeamGameUpdates({
         enabled: !isAdmin,
         onGameStarted: handleGameStarted,
@@ -219,6 +241,8 @@ const GamePanel = ({ user }) => {
                         showPoints={activeEvent?.show_points !== false}
                         user={user}
                         onSubmitSolution={loadEventAndGames}
+                        onHintUsed={refreshTeamProgress}
+                        hintRefreshKey={hintRefreshKey}
                     />
                 </div>
 
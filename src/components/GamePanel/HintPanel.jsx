@@ -0,0 +1,230 @@
+/**
+ * Component: HintPanel
+ * Purpose: Progressive hint requests on the solution form
+ * Part of: Easter Quest Frontend
+ *
+ * Features:
+ * - Reveals hints level by level via POST /games/{id}/hint
+ * - Confirmation step showing the point penalty before a hint is used
+ * - Running "hints used" counter (team-wide, shared with TeamProgress)
+ * - Revealed hint texts kept for the browser session
+ *
+ * Team-based gameplay:
+ * - Hints are counted per team, so hints used by teammates count too
+ * - The parent refreshes TeamProgress through onHintUsed
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { logger } from '../../utils/logger';
+import { useHint as requestHint } from '../../services';
+
+const STORAGE_KEY_PREFIX = 'revealed_hints_';
+
+/**
+ * Load hints revealed earlier in this session
+ *
+ * @param {number} gameId - Game ID
+ * @returns {Array<Object>} Revealed hints ({ level, text })
+ */
+const loadRevealedHints = (gameId) => {
+  try {
+    return JSON.parse(sessionStorage.getItem(`${STORAGE_KEY_PREFIX}${gameId}`)) || [];
+  } catch (err) {
+    return [];
+  }
+};
+
+/**
+ * HintPanel component
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.gameId - Game ID
+ * @param {number} props.maxHints - Hint allowance of the game
+ * @param {number} props.hintsUsed - Hints already used by the team on this game
+ * @param {number|null} [props.penaltyPoints] - Points deducted per hint (null if unknown)
+ * @param {boolean} [props.showPoints=true] - Whether the event shows points
+ * @param {boolean} [props.disabled=false] - Disable requests (e.g. game completed)
+ * @param {Function} [props.onHintUsed] - Called with (hintsUsed, hint) after a hint is revealed
+ * @returns {JSX.Element|null} Hint panel or null if the game has no hints
+ *
+ * @example
+ * <HintPanel
+ *   gameId={game.game_id}
+ *   maxHints={game.max_hints}
+ *   hintsUsed={game.total_hints_used}
+ *   penaltyPoints={game.hint_penalty_points}
+ *   onHintUsed={handleHintUsed}
+ * />
+ */
+const HintPanel = ({
+  gameId,
+  maxHints,
+  hintsUsed,
+  penaltyPoints = null,
+  showPoints = true,
+  disabled = false,
+  onHintUsed
+}) => {
+  const [revealedHints, setRevealedHints] = useState(() => loadRevealedHints(gameId));
+  const [confirming, setConfirming] = useState(false);
+  const [requesting, setRequesting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setRevealedHints(loadRevealedHints(gameId));
+    setConfirming(false);
+    setError(null);
+  }, [gameId]);
+
+  if (!maxHints) {
+    return null;
+  }
+
+  const used = Math.max(hintsUsed || 0, revealedHints.length);
+  const remaining = Math.max(maxHints - used, 0);
+  const nextLevel = used + 1;
+
+  /**
+   * Request the next hint after the user confirmed the penalty
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  const handleConfirm = async () => {
+    try {
+      setRequesting(true);
+      setError(null);
+
+      const hint = await requestHint(gameId);
+      const level = hint.level || nextLevel;
+      const updated = [
+        ...revealedHints.filter(h => h.level !== level),
+        { level, text: hint.text }
+      ].sort((a, b) => a.level - b.level);
+
+      setRevealedHints(updated);
+      sessionStorage.setItem(`${STORAGE_KEY_PREFIX}${gameId}`, JSON.stringify(updated));
+
+      const newUsed = typeof hint.hints_remaining === 'number'
+        ? maxHints - hint.hints_remaining
+        : used + 1;
+
+      logger.info('game_hint_revealed', {
+        gameId,
+        level,
+        hintsUsed: newUsed,
+        module: 'HintPanel'
+      });
+
+      if (onHintUsed) {
+        onHintUsed(newUsed, hint);
+      }
+    } catch (err) {
+      logger.error('game_hint_request_failed', {
+        gameId,
+        status: err.status,
+        errorMessage: err.message,
+        module: 'HintPanel'
+      }, err);
+      setError(err.status === 403 ? 'No hints remaining for this game.' : (err.message || 'Failed to get hint'));
+    } finally {
+      setRequesting(false);
+      setConfirming(false);
+    }
+  };
+
+  /**
+   * Describe the cost of the next hint
+   *
+   * @returns {string} Penalty text
+   */
+  const getPenaltyText = () => {
+    if (!showPoints) {
+      return 'Using a hint lowers your team\'s result for this game.';
+    }
+    if (penaltyPoints === null || penaltyPoints === undefined) {
+      return 'Using a hint may reduce the points your team earns for this game.';
+    }
+    return `This hint costs your team ${penaltyPoints} points.`;
+  };
+
+  return (
+    <div className="hint-panel">
+      <div className="hint-panel-header">
+        <strong>💡 Hints</strong>
+        <span className="hint-counter" aria-live="polite">
+          Hints used: {used} / {maxHints}
+        </span>
+      </div>
+
+      {revealedHints.length > 0 && (
+        <ol className="hint-list">
+          {revealedHints.map(hint => (
+            <li key={hint.level} className="hint-item">
+              <span className="hint-level">Level {hint.level}</span>
+              <p>{hint.text}</p>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {used > revealedHints.length && (
+        <p className="hint-note text-muted">
+          <small>Some hints were revealed by your teammates. Ask them in team chat.</small>
+        </p>
+      )}
+
+      {error && <p className="hint-error">{error}</p>}
+
+      {confirming ? (
+        <div className="hint-confirm" role="alertdialog" aria-label="Confirm hint">
+          <p>
+            Reveal hint {nextLevel} of {maxHints}? {getPenaltyText()}
+          </p>
+          <div className="hint-confirm-actions">
+            <button
+              type="button"
+              className="btn btn-primary btn-sm"
+              onClick={handleConfirm}
+              disabled={requesting}
+            >
+              {requesting ? 'Revealing...' : 'Reveal Hint'}
+            </button>
+            <button
+              type="button"
+              className="btn btn-outline btn-sm"
+              onClick={() => setConfirming(false)}
+              disabled={requesting}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          type="button"
+          className="btn btn-outline btn-sm"
+          onClick={() => setConfirming(true)}
+          disabled={disabled || remaining === 0}
+        >
+          {remaining === 0 ? 'No hints left' : `Get Hint ${nextLevel}`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+HintPanel.propTypes = {
+  gameId: PropTypes.number.isRequired,
+  maxHints: PropTypes.number,
+  hintsUsed: PropTypes.number,
+  penaltyPoints: PropTypes.number,
+  showPoints: PropTypes.bool,
+  disabled: PropTypes.bool,
+  onHintUsed: PropTypes.func
+};
+
+export default HintPanel;
@@ -0,0 +1,73 @@
+/**
+ * Component: SubmissionStatus
+ * Purpose: Game card badge for an offline-queued answer or game start
+ * Part of: Easter Quest Frontend
+ *
+ * @since 2026-10-19
+ * @see ../../services/submissionQueue.js
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { QUEUE_STATUS } from '../../services/submissionQueue';
+
+const LABELS = {
+  submit: {
+    [QUEUE_STATUS.QUEUED]: '⏳ Answer queued - will be sent when you are back online',
+    [QUEUE_STATUS.SENDING]: '📤 Sending answer...',
+    [QUEUE_STATUS.ACCEPTED]: '✅ Queued answer accepted',
+    [QUEUE_STATUS.REJECTED]: '❌ Queued answer rejected'
+  },
+  start: {
+    [QUEUE_STATUS.QUEUED]: '⏳ Start queued - will be sent when you are back online',
+    [QUEUE_STATUS.SENDING]: '📤 Starting game...',
+    [QUEUE_STATUS.ACCEPTED]: '✅ Game started',
+    [QUEUE_STATUS.REJECTED]: '❌ Game start rejected'
+  }
+};
+
+/**
+ * Queue state badge
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.item - Queue item ({ type, status, message })
+ * @param {Function} props.onDismiss - Called to clear a settled item
+ * @returns {JSX.Element} Status badge
+ */
+const SubmissionStatus = ({ item, onDismiss }) => {
+  const settled = item.status === QUEUE_STATUS.ACCEPTED || item.status === QUEUE_STATUS.REJECTED;
+
+  return (
+    <div className={`submission-status submission-status-${item.status}`} role="status">
+      <span>
+        {LABELS[item.type]?.[item.status]}
+        {item.status === QUEUE_STATUS.REJECTED && item.message && `: ${item.message}`}
+      </span>
+      {settled && (
+        <button
+          type="button"
+          className="submission-status-dismiss"
+          aria-label="Dismiss"
+          onClick={(e) => {
+            e.stopPropagation();
+            onDismiss(item.id);
+          }}
+        >
+          ✕
+        </button>
+      )}
+    </div>
+  );
+};
+
+SubmissionStatus.propTypes = {
+  item: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    type: PropTypes.oneOf(['submit', 'start']).isRequired,
+    status: PropTypes.oneOf(Object.values(QUEUE_STATUS)).isRequired,
+    message: PropTypes.string
+  }).isRequired,
+  onDismiss: PropTypes.func.isRequired
+};
+
+export default SubmissionStatus;
@@ -27,20 +27,24 @@
 import React, { useState, useEffect } from 'react';
 import { logger } from '../../utils/logger';
 import { getMyTeamProgress } from '../../services/teams';
+import { PERMISSIONS, hasPermission } from '../../config/permissions';
 
 const TeamProgress = ({ user, teamId, eventId, currentGameId, showPoints = true, refreshKey }) => {
   const [progressData, setProgressData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
+  // Admins preview the game panel without belonging to a team
+  const isPreview = hasPermission(user, PERMISSIONS.GAME_PREVIEW);
+
   useEffect(() => {
-    // Skip API call for admin users
-    if (user && user.role === 'admin') {
+    // Skip API call for admin users (preview only, no team)
+    if (isPreview) {
       setLoading(false);
       return;
     }
     fetchTeamProgress();
-  }, [teamId, eventId, user, refreshKey]);
+  }, [teamId, eventId, user, isPreview, refreshKey]);
 
   /**
    * Fetch team progress from API
@@ -238,7 +242,7 @@ const TeamProgress = ({ user, teamId, eventId, currentGameId, showPoints = true,
   }
 
   // Admin view - show info message instead of team progress
-  if (user && user.role === 'admin') {
+  if (isPreview) {
     return (
       <div className="card team-progress-card">
         <div className="card-header">
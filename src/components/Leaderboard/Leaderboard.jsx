@@ -0,0 +1,117 @@
+/**
+ * Component: Leaderboard
+ * Purpose: Public event leaderboard for players and the event room
+ * Part of: Easter Quest - Ypsomed AG Easter Challenge Frontend
+ *
+ * Features:
+ * - All teams ranked by score, completed games and completion time
+ * - Live updates from the game dashboard SSE stream (game admins),
+ *   periodic refresh for players and team captains
+ * - Anonymised names while the event settings require it (own team stays visible)
+ * - Projector mode tab (game admins) for the big screen
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { getAccessibleTabs } from '../../config/routes';
+import { PERMISSIONS, hasPermission } from '../../config/permissions';
+import { useRouteTab } from '../../contexts/RouterContext';
+import { useLeaderboard, POLL_INTERVAL_MS } from '../../hooks/useLeaderboard';
+import LeaderboardTable from './LeaderboardTable';
+import ProjectorMode from './ProjectorMode';
+import './Leaderboard.css';
+
+const TAB_LABELS = {
+    standings: '🏆 Standings',
+    projector: '📽️ Projector Mode'
+};
+
+/**
+ * Leaderboard component
+ * @param {Object} props
+ * @param {Object} props.user - Current authenticated user
+ * @returns {JSX.Element}
+ */
+const Leaderboard = ({ user }) => {
+    const [activeTab, setActiveTab] = useRouteTab('leaderboard', 'standings');
+    const ownTeamId = user?.team_id ?? null;
+    const board = useLeaderboard({
+        ownTeamId,
+        canStream: hasPermission(user, PERMISSIONS.GAME_DASHBOARD_VIEW)
+    });
+    const tabs = getAccessibleTabs(user, 'leaderboard');
+
+    if (board.loading) {
+        return <div className="leaderboard"><div className="loading-state">Loading leaderboard...</div></div>;
+    }
+
+    if (board.error) {
+        return (
+            <div className="leaderboard">
+                <div className="error-state">
+                    <p className="error-message">Error: {board.error}</p>
+                    <button type="button" className="retry-button" onClick={board.reload}>Try again</button>
+                </div>
+            </div>
+        );
+    }
+
+    if (activeTab === 'projector' && tabs.includes('projector')) {
+        return (
+            <ProjectorMode
+                teams={board.teams}
+                recentCompletions={board.recentCompletions}
+                event={board.event}
+                eventEnd={board.eventEnd}
+                onExit={() => setActiveTab('standings')}
+            />
+        );
+    }
+
+    return (
+        <div className="leaderboard">
+            <div className="leaderboard-header">
+                <h2>{board.event?.name ? `${board.event.name} – Leaderboard` : 'Leaderboard'}</h2>
+                {board.polling ? (
+                    <span className="leaderboard-live">🔄 Updates every {POLL_INTERVAL_MS / 1000}s</span>
+                ) : (
+                    <span className={`leaderboard-live ${board.isConnected ? 'connected' : ''}`}>
+                        {board.isConnected ? '🟢 Live' : '⚪ Offline'}
+                    </span>
+                )}
+            </div>
+
+            {tabs.length > 1 && (
+                <div className="leaderboard-tabs">
+                    {tabs.map(tab => (
+                        <button
+                            key={tab}
+                            type="button"
+                            className={`tab-button ${activeTab === tab ? 'active' : ''}`}
+                            onClick={() => setActiveTab(tab)}
+                        >
+                            {TAB_LABELS[tab]}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {board.anonymized && (
+                <div className="leaderboard-notice">🙈 Other teams&apos; names are hidden for now.</div>
+            )}
+
+            <LeaderboardTable teams={board.teams} ownTeamId={ownTeamId} />
+        </div>
+    );
+};
+
+/**
+ * PropTypes validation
+ */
+Leaderboard.propTypes = {
+    user: PropTypes.object
+};
+
+export default Leaderboard;
@@ -0,0 +1,84 @@
+/**
+ * Component: LeaderboardTable
+ * Purpose: Ranked standings of all teams
+ * Part of: Easter Quest - Ypsomed AG Easter Challenge Frontend
+ *
+ * Features:
+ * - Rank (medals for the podium), score, completed games and progress bar
+ * - Time of the latest completion (tie-breaker)
+ * - Highlights the viewer's own team
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const MEDALS = { 1: '🥇', 2: '🥈', 3: '🥉' };
+
+/**
+ * Leaderboard table component
+ * @param {Object} props
+ * @param {Array<Object>} props.teams - Ranked teams (useLeaderboard)
+ * @param {number|null} [props.ownTeamId] - Viewer's team
+ * @param {number} [props.limit] - Show only the first N teams
+ * @returns {JSX.Element}
+ */
+const LeaderboardTable = ({ teams, ownTeamId = null, limit = null }) => {
+    const rows = limit ? teams.slice(0, limit) : teams;
+
+    if (rows.length === 0) {
+        return <div className="leaderboard-empty">No teams on the leaderboard yet.</div>;
+    }
+
+    return (
+        <table className="leaderboard-table">
+            <thead>
+                <tr>
+                    <th>Rank</th>
+                    <th>Team</th>
+                    <th>Score</th>
+                    <th>Completed</th>
+                    <th>Progress</th>
+                    <th>Last Completion</th>
+                </tr>
+            </thead>
+            <tbody>
+                {rows.map(team => (
+                    <tr key={team.team_id} className={team.team_id === ownTeamId ? 'leaderboard-own-team' : ''}>
+                        <td className="leaderboard-rank">{MEDALS[team.rank] || team.rank}</td>
+                        <td>{team.display_name}</td>
+                        <td className="leaderboard-score">{team.score || 0}</td>
+                        <td>{team.completed_games || 0}{team.total_games ? ` / ${team.total_games}` : ''}</td>
+                        <td>
+                            <div className="leaderboard-progress" title={`${Math.round(team.progress_percentage || 0)}%`}>
+                                <div className="leaderboard-progress-fill" style={{ width: `${team.progress_percentage || 0}%` }} />
+                            </div>
+                        </td>
+                        <td>{team.last_completion_at ? new Date(team.last_completion_at).toLocaleTimeString() : '—'}</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+};
+
+/**
+ * PropTypes validation
+ */
+LeaderboardTable.propTypes = {
+    teams: PropTypes.arrayOf(PropTypes.shape({
+        team_id: PropTypes.number.isRequired,
+        display_name: PropTypes.string,
+        rank: PropTypes.number.isRequired,
+        score: PropTypes.number,
+        completed_games: PropTypes.number,
+        total_games: PropTypes.number,
+        progress_percentage: PropTypes.number,
+        last_completion_at: PropTypes.string
+    })).isRequired,
+    ownTeamId: PropTypes.number,
+    limit: PropTypes.number
+};
+
+export default LeaderboardTable;
@@ -0,0 +1,164 @@
+/**
+ * Component: ProjectorMode
+ * Purpose: Full-screen, auto-rotating leaderboard for the event room
+ * Part of: Easter Quest - Ypsomed AG Easter Challenge Frontend
+ *
+ * Features:
+ * - Slides: top standings, recent completions, countdown to event end
+ * - Auto-rotation with pause; ←/→ to switch slides, space to pause
+ * - Browser full-screen on request, countdown always visible in the footer
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { formatCountdown } from '../../utils/leaderboard';
+import LeaderboardTable from './LeaderboardTable';
+
+const SLIDES = [
+    { id: 'standings', label: '🏆 Standings' },
+    { id: 'completions', label: '🎉 Recent Completions' },
+    { id: 'countdown', label: '⏱️ Countdown' }
+];
+
+const PROJECTOR_TOP_TEAMS = 10;
+
+/**
+ * Slide index after moving by delta (wraps around)
+ */
+const moveSlide = (index, delta) => (index + delta + SLIDES.length) % SLIDES.length;
+
+/**
+ * Time left until the event ends, as display text
+ */
+const countdownText = (eventEnd, now) => {
+    if (!eventEnd) return 'No end time set';
+    const left = eventEnd.getTime() - now.getTime();
+    return left > 0 ? formatCountdown(left) : 'Event has ended';
+};
+
+/**
+ * Recent completions slide
+ */
+const CompletionsSlide = ({ completions }) => (
+    completions.length === 0 ? (
+        <div className="leaderboard-empty">No completions yet – keep going!</div>
+    ) : (
+        <ul className="projector-completions">
+            {completions.map(completion => (
+                <li key={`${completion.team_id}-${completion.completed_at}`}>
+                    <span className="projector-completion-team">{completion.display_name}</span>
+                    {' solved '}
+                    <span className="projector-completion-game">{completion.game_title || 'a challenge'}</span>
+                    <span className="projector-completion-time">{new Date(completion.completed_at).toLocaleTimeString()}</span>
+                </li>
+            ))}
+        </ul>
+    )
+);
+
+CompletionsSlide.propTypes = {
+    completions: PropTypes.array.isRequired
+};
+
+/**
+ * Projector mode component
+ * @param {Object} props
+ * @param {Array<Object>} props.teams - Ranked teams (useLeaderboard)
+ * @param {Array<Object>} props.recentCompletions - Recent completions, newest first
+ * @param {Object} [props.event] - Active event
+ * @param {Date} [props.eventEnd] - Event end
+ * @param {Function} props.onExit - Leave projector mode
+ * @param {number} [props.rotateMs] - Time per slide
+ * @returns {JSX.Element}
+ */
+const ProjectorMode = ({ teams, recentCompletions, event = null, eventEnd = null, onExit, rotateMs = 15000 }) => {
+    const containerRef = useRef(null);
+    const [slideIndex, setSlideIndex] = useState(0);
+    const [paused, setPaused] = useState(false);
+    const [now, setNow] = useState(() => new Date());
+
+    // Countdown clock
+    useEffect(() => {
+        const timer = setInterval(() => setNow(new Date()), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    // Auto-rotation (restarts after manual navigation)
+    useEffect(() => {
+        if (paused) return undefined;
+        const timer = setInterval(() => setSlideIndex(index => moveSlide(index, 1)), rotateMs);
+        return () => clearInterval(timer);
+    }, [paused, rotateMs, slideIndex]);
+
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (e.key === 'ArrowRight') setSlideIndex(index => moveSlide(index, 1));
+            else if (e.key === 'ArrowLeft') setSlideIndex(index => moveSlide(index, -1));
+            else if (e.key === ' ') {
+                e.preventDefault(); // Don't also "click" a focused control button
+                setPaused(value => !value);
+            }
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, []);
+
+    const handleExit = () => {
+        if (document.fullscreenElement) document.exitFullscreen?.();
+        onExit();
+    };
+
+    const slide = SLIDES[slideIndex];
+
+    return (
+        <div className="projector-mode" ref={containerRef}>
+            <div className="projector-controls">
+                <button type="button" onClick={() => containerRef.current?.requestFullscreen?.()}>⛶ Full screen</button>
+                <button type="button" onClick={() => setPaused(!paused)}>{paused ? '▶ Play' : '⏸ Pause'}</button>
+                <button type="button" onClick={handleExit}>✕ Exit</button>
+            </div>
+
+            <h1 className="projector-title">{slide.label}</h1>
+
+            <div className="projector-slide">
+                {slide.id === 'standings' && <LeaderboardTable teams={teams} limit={PROJECTOR_TOP_TEAMS} />}
+                {slide.id === 'completions' && <CompletionsSlide completions={recentCompletions} />}
+                {slide.id === 'countdown' && (
+                    <div className="projector-countdown" role="timer">{countdownText(eventEnd, now)}</div>
+                )}
+            </div>
+
+            <div className="projector-footer">
+                <span>{event?.name || 'Easter Quest'}</span>
+                <div className="projector-dots">
+                    {SLIDES.map((s, index) => (
+                        <button
+                            key={s.id}
+                            type="button"
+                            className={`projector-dot ${index === slideIndex ? 'active' : ''}`}
+                            onClick={() => setSlideIndex(index)}
+                            aria-label={`Show ${s.label}`}
+                        />
+                    ))}
+                </div>
+                <span>⏱️ {countdownText(eventEnd, now)}</span>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * PropTypes validation
+ */
+ProjectorMode.propTypes = {
+    teams: PropTypes.array.isRequired,
+    recentCompletions: PropTypes.array.isRequired,
+    event: PropTypes.object,
+    eventEnd: PropTypes.instanceOf(Date),
+    onExit: PropTypes.func.isRequired,
+    rotateMs: PropTypes.number
+};
+
+export default ProjectorMode;
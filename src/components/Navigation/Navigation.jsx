@@ -16,28 +16,24 @@
  * @since 2025-08-27
  * @updated 2025-11-23 - Renamed Team Creation to Team Management
  * @updated 2025-12-07 - Added content_admin and system_admin roles
+ * @updated 2026-10-19 - Tabs and role guards come from the route table (config/routes.js)
  */
 
 import React from 'react';
 import { logger } from '../../utils/logger';
+import { ROUTES, canAccessRoute } from '../../config/routes';
 import './Navigation.css';
 
 /**
  * Dashboard navigation tabs.
  * @param {Object} props
- * @param {string} props.activeTab - Currently active tab
- * @param {Function} props.onTabChange - Tab change handler
+ * @param {string} props.activeTab - Currently active tab (route id)
+ * @param {Function} props.onTabChange - Tab change handler (receives route id)
+ * @param {Object} props.user - Current user (tabs filtered by role)
  * @returns {JSX.Element}
  */
 const Navigation = ({ activeTab, onTabChange, user }) => {
-    const tabs = [
-        { id: 'system_admin', label: '⚙️ System Admin Dashboard' },
-        { id: 'dashboard', label: '📊 Game Admin Dashboard' },
-        { id: 'notifications', label: '🔔 Notifications' },
-        { id: 'team_management', label: '👥 Team Management' },
-        { id: 'game', label: '🎮 Game Panel' },
-        { id: 'profile', label: '👤 Profile' }
-    ];
+    const tabs = ROUTES.filter(route => canAccessRoute(user, route.id));
 
     /**
      * Handle tab change with logging
@@ -54,65 +50,17 @@ const Navigation = ({ activeTab, onTabChange, user }) => {
 
     return (
         <nav className="nav-tabs">
-
-            {/* ✅ Show System Admin Dashboard for admin, content_admin, system_admin */}
-            {(user.role === 'admin' || user.role === 'content_admin' || user.role === 'system_admin') && (
-                <button
-                    className={`nav-tab ${activeTab === 'system_admin' ? 'active' : ''}`}
-                    onClick={() => handleTabChange('system_admin')}
-                >
-                {tabs[0].label}  {/* ✅ Label will show */}
-                </button>
-            )}
-
-            {/* ✅ Only show Dashboard for game_admin and admin */}
-            {(user.role === 'admin' || user.role === 'game_admin') && (
-                <button
-                className={`nav-tab ${activeTab === 'dashboard' ? 'active' : ''}`}
-                onClick={() => handleTabChange('dashboard')}
-                >
-                {tabs[1].label}  {/* ✅ Label will show */}
-                </button>
-            )}
-
-            {/* ✅ Only show Notifications for game_admin and admin */}
-            {(user.role === 'admin' || user.role === 'game_admin') && (
+            {tabs.map(tab => (
                 <button
-                className={`nav-tab ${activeTab === 'notifications' ? 'active' : ''}`}
-                onClick={() => handleTabChange('notifications')}
+                    key={tab.id}
+                    className={`nav-tab ${activeTab === tab.id ? 'active' : ''}`}
+                    onClick={() => handleTabChange(tab.id)}
                 >
-                {tabs[2].label}  {/* ✅ Label will show */}
+                    {tab.label}
                 </button>
-            )}
-
-            {/* ✅ Only show Team Management for admin, game_admin, and team_captain */}
-            {(user.role === 'admin' || user.role === 'game_admin' || user.role === 'team_captain') && (
-                <button
-                    className={`nav-tab ${activeTab === 'team_management' ? 'active' : ''}`}
-                    onClick={() => handleTabChange('team_management')}
-                >
-                    {tabs[3].label}  {/* ✅ Label will show */}
-                </button>
-            )}
-
-            {/* ✅ Only show Game Panel for Team Captain, Player and admin (NOT for other admins) */}
-            {(user.role === 'team_captain' || user.role === 'player' || user.role === 'admin') && (
-                <button
-                    className={`nav-tab ${activeTab === 'game' ? 'active' : ''}`}
-                    onClick={() => handleTabChange('game')}
-                >
-                    {tabs[4].label}  {/* ✅ Label will show */}
-                </button>
-            )}
-
-            <button
-                className={`nav-tab ${activeTab === 'profile' ? 'active' : ''}`}
-                onClick={() => handleTabChange('profile')}
-            >
-                {tabs[5].label}  {/* ✅ Label will show */}
-            </button>
+            ))}
         </nav>
     );
 };
 
-export default Navigation;
\ No newline at end of file
+export default Navigation;
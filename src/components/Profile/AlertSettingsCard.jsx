@@ -0,0 +1,210 @@
+/**
+ * Component: AlertSettingsCard
+ * Purpose: Desktop notification, sound and quiet hour settings
+ * Part of: Easter Quest - Ypsomed AG Easter Challenge Frontend
+ *
+ * Features:
+ * - Opt-in desktop notifications (asks for browser permission)
+ * - Sound cues with volume and a test button
+ * - Mute desktop/sound per category (escalations for admins only)
+ * - Quiet hours and the unread count in the tab title
+ * - Saved per browser as soon as something changes
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { hasPermission } from '../../config/permissions';
+import { ALERT_CATEGORIES, loadAlertPreferences, saveAlertPreferences } from '../../utils/alertPreferences';
+import { getDesktopPermission, requestDesktopPermission, playCue } from '../../utils/alertNotifier';
+
+/**
+ * AlertSettingsCard component - Notification and sound preferences
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.user - Current user object
+ * @returns {JSX.Element} Alert settings form
+ *
+ * @example
+ * <AlertSettingsCard user={currentUser} />
+ */
+const AlertSettingsCard = ({ user }) => {
+  const [preferences, setPreferences] = useState(loadAlertPreferences);
+  const [permission, setPermission] = useState(getDesktopPermission);
+
+  const categories = ALERT_CATEGORIES.filter(category => !category.permission || hasPermission(user, category.permission));
+
+  /**
+   * Apply and store a change
+   *
+   * @param {Object} changes - Changed top-level preferences
+   */
+  const update = (changes) => {
+    const next = { ...preferences, ...changes };
+    setPreferences(next);
+    saveAlertPreferences(next);
+  };
+
+  const updateCategory = (categoryId, channel, enabled) => {
+    update({
+      categories: {
+        ...preferences.categories,
+        [categoryId]: { ...preferences.categories[categoryId], [channel]: enabled }
+      }
+    });
+  };
+
+  /**
+   * Turn desktop notifications on (asking for permission) or off
+   *
+   * @param {boolean} enabled - New state
+   * @returns {Promise<void>}
+   */
+  const handleDesktopToggle = async (enabled) => {
+    if (!enabled) {
+      update({ desktop: false });
+      return;
+    }
+    const result = permission === 'granted' ? permission : await requestDesktopPermission();
+    setPermission(result);
+    update({ desktop: result === 'granted' });
+  };
+
+  return (
+    <div className="profile-card">
+      <div className="card-header">
+        🔔 Notifications &amp; Sounds
+      </div>
+      <div className="card-body alert-settings">
+        <div className="form-group">
+          <label className="form-check">
+            <input
+              type="checkbox"
+              checked={preferences.desktop}
+              onChange={(e) => handleDesktopToggle(e.target.checked)}
+              disabled={permission === 'unsupported' || permission === 'denied'}
+            />
+            Desktop notifications while Easter Quest is in the background
+          </label>
+          {permission === 'denied' && (
+            <div className="form-error">Notifications are blocked for this site. Allow them in your browser settings.</div>
+          )}
+          {permission === 'unsupported' && (
+            <div className="form-hint">This browser does not support desktop notifications.</div>
+          )}
+        </div>
+
+        <div className="form-group">
+          <label className="form-check">
+            <input
+              type="checkbox"
+              checked={preferences.sound}
+              onChange={(e) => update({ sound: e.target.checked })}
+            />
+            Sound cues
+          </label>
+          <div className="alert-volume">
+            <label htmlFor="alert-volume" className="form-label">Volume</label>
+            <input
+              id="alert-volume"
+              type="range"
+              min="0"
+              max="1"
+              step="0.1"
+              value={preferences.volume}
+              onChange={(e) => update({ volume: Number(e.target.value) })}
+              disabled={!preferences.sound}
+            />
+            <button
+              type="button"
+              className="btn-secondary"
+              onClick={() => playCue('team_broadcasts', preferences.volume)}
+              disabled={!preferences.sound}
+            >
+              ▶ Test
+            </button>
+          </div>
+        </div>
+
+        <table className="alert-categories">
+          <thead>
+            <tr>
+              <th scope="col">Alert</th>
+              <th scope="col">Desktop</th>
+              <th scope="col">Sound</th>
+            </tr>
+          </thead>
+          <tbody>
+            {categories.map(category => (
+              <tr key={category.id}>
+                <th scope="row">{category.label}</th>
+                {['desktop', 'sound'].map(channel => (
+                  <td key={channel}>
+                    <input
+                      type="checkbox"
+                      checked={preferences.categories[category.id][channel]}
+                      onChange={(e) => updateCategory(category.id, channel, e.target.checked)}
+                      disabled={!preferences[channel]}
+                      aria-label={`${category.label}: ${channel}`}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="form-group">
+          <label className="form-check">
+            <input
+              type="checkbox"
+              checked={preferences.quietHours.enabled}
+              onChange={(e) => update({ quietHours: { ...preferences.quietHours, enabled: e.target.checked } })}
+            />
+            Quiet hours
+          </label>
+          <div className="alert-quiet-hours">
+            <label>
+              From
+              <input
+                type="time"
+                value={preferences.quietHours.start}
+                onChange={(e) => update({ quietHours: { ...preferences.quietHours, start: e.target.value } })}
+                disabled={!preferences.quietHours.enabled}
+              />
+            </label>
+            <label>
+              to
+              <input
+                type="time"
+                value={preferences.quietHours.end}
+                onChange={(e) => update({ quietHours: { ...preferences.quietHours, end: e.target.value } })}
+                disabled={!preferences.quietHours.enabled}
+              />
+            </label>
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label className="form-check">
+            <input
+              type="checkbox"
+              checked={preferences.titleBadge}
+              onChange={(e) => update({ titleBadge: e.target.checked })}
+            />
+            Show unread messages in the browser tab title
+          </label>
+        </div>
+
+        <div className="form-hint">Settings are saved on this device.</div>
+      </div>
+    </div>
+  );
+};
+
+AlertSettingsCard.propTypes = {
+  user: PropTypes.object.isRequired
+};
+
+export default AlertSettingsCard;
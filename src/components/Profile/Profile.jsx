@@ -4,7 +4,7 @@
  * Part of: Easter Quest - Ypsomed AG Easter Challenge Frontend
  *
  * Features:
- * - All roles: Password change
+ * - All roles: Password change, notification & sound settings
  * - Team Captains: Team settings + game rating
  * - Tab-based design matching other dashboards
  *
@@ -15,22 +15,25 @@
  *
  * @since 2025-08-27
  * @updated 2025-11-23 - Refactored to tab-based design
+ * @updated 2026-10-19 - Notifications tab (desktop alerts, sounds, quiet hours)
  */
 
 import React, { useState } from 'react';
 import { logger } from '../../utils/logger';
 import PropTypes from 'prop-types';
+import { PERMISSIONS, ROLE_IDS, hasPermission } from '../../config/permissions';
 import PasswordChangeCard from './PasswordChangeCard';
 import GameRatingCard from './GameRatingCard';
 import TeamNameCard from './TeamNameCard';
+import AlertSettingsCard from './AlertSettingsCard';
 import './Profile.css';
 
 /**
  * Profile component - User profile management with tab-based interface
  *
  * Displays tabs based on user role:
- * - All users: Password tab
- * - Team Captains: Password, Team Settings, Game Rating tabs
+ * - All users: Password, Notifications tabs
+ * - Team Captains: additionally Team Settings, Game Rating tabs
  *
  * @param {Object} props - Component props
  * @param {Object} props.user - Current authenticated user object
@@ -85,8 +88,8 @@ const Profile = ({ user }) => {
     /**
      * Render tab navigation buttons
      * Tabs shown based on user role:
-     * - All: Password
-     * - Team Captain: Password, Team Settings, Game Rating
+     * - All: Password, Notifications
+     * - Team Captain: Password, Notifications, Team Settings, Game Rating
      *
      * @returns {JSX.Element} Tab navigation
      */
@@ -96,13 +99,16 @@ const Profile = ({ user }) => {
         // Password tab - All users
         tabs.push({ id: 'password', label: '🔒 Password' });
 
+        // Notifications tab - All users
+        tabs.push({ id: 'notifications', label: '🔔 Notifications' });
+
         // Team Settings tab - Team captains only
-        if (currentUser.role === 'team_captain') {
+        if (hasPermission(currentUser, PERMISSIONS.TEAM_NAME_EDIT)) {
             tabs.push({ id: 'team-settings', label: '✏️ Team Settings' });
         }
 
         // Game Rating tab - Team captains only
-        if (currentUser.role === 'team_captain') {
+        if (hasPermission(currentUser, PERMISSIONS.GAMES_RATE)) {
             tabs.push({ id: 'game-rating', label: '⭐ Game Rating' });
         }
 
@@ -132,6 +138,9 @@ const Profile = ({ user }) => {
             case 'password':
                 return <PasswordChangeCard username={currentUser.username} />;
 
+            case 'notifications':
+                return <AlertSettingsCard user={currentUser} />;
+
             case 'team-settings':
                 return <TeamNameCard user={currentUser} />;
 
@@ -175,7 +184,7 @@ Profile.propTypes = {
         username: PropTypes.string.isRequired,
         email: PropTypes.string.isRequired,
         display_name: PropTypes.string,
-        role: PropTypes.oneOf(['player', 'team_captain', 'game_admin', 'admin']).isRequired,
+        role: PropTypes.oneOf(ROLE_IDS).isRequired,
         team_id: PropTypes.number,
         team_name: PropTypes.string,
         is_team_leader: PropTypes.bool
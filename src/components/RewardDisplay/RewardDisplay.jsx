@@ -10,32 +10,17 @@
  * - Reward type icons and styling
  *
  * @since 2026-02-25
+ * @updated 2026-10-19 - Icons and value rendering come from the reward type registry
  */
 
 import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { logger } from '../../utils/logger';
 import { getTeamRewards } from '../../services';
+import { getRewardIcon } from '../../config/rewardTypes';
+import RewardValue from './RewardValue';
 import './RewardDisplay.css';
 
-/**
- * Get icon/emoji for reward type
- * @param {string} rewardType - Reward type
- * @returns {string} Emoji icon
- */
-const getRewardIcon = (rewardType) => {
-  const icons = {
-    ssh_key: '🔑',
-    api_token: '🎫',
-    password: '🔐',
-    certificate: '📜',
-    url: '🔗',
-    secret_text: '📝',
-    container_access: '🐳'
-  };
-  return icons[rewardType] || '🎁';
-};
-
 /**
  * Reward display component
  * @param {Object} props
@@ -46,7 +31,6 @@ const RewardDisplay = ({ refreshKey = 0 }) => {
   const [rewards, setRewards] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [copiedId, setCopiedId] = useState(null);
 
   /**
    * Load team rewards from API
@@ -70,26 +54,6 @@ const RewardDisplay = ({ refreshKey = 0 }) => {
     loadRewards();
   }, [refreshKey]);
 
-  /**
-   * Copy reward value to clipboard
-   * @param {string} value - Reward value to copy
-   * @param {number} rewardId - Reward ID for tracking
-   */
-  const handleCopy = async (value, rewardId) => {
-    try {
-      await navigator.clipboard.writeText(value);
-      setCopiedId(rewardId);
-      logger.debug('[RewardDisplay] Copied reward to clipboard', { rewardId });
-
-      // Reset copied state after 2 seconds
-      setTimeout(() => {
-        setCopiedId(null);
-      }, 2000);
-    } catch (err) {
-      logger.error('[RewardDisplay] Failed to copy to clipboard', err);
-    }
-  };
-
   if (loading) {
     return (
       <div className="reward-display">
@@ -159,20 +123,7 @@ const RewardDisplay = ({ refreshKey = 0 }) => {
               )}
 
               {reward.decrypted_value && (
-                <div className="reward-value-container">
-                  <div className="reward-value-header">
-                    <span className="reward-value-label">Reward Value:</span>
-                    <button
-                      type="button"
-                      className={`reward-copy-btn ${copiedId === reward.reward_id ? 'copied' : ''}`}
-                      onClick={() => handleCopy(reward.decrypted_value, reward.reward_id)}
-                      title="Copy to clipboard"
-                    >
-                      {copiedId === reward.reward_id ? '✓ Copied!' : '📋 Copy'}
-                    </button>
-                  </div>
-                  <pre className="reward-value">{reward.decrypted_value}</pre>
-                </div>
+                <RewardValue rewardType={reward.reward_type} value={reward.decrypted_value} />
               )}
 
               {reward.unlocked_at && (
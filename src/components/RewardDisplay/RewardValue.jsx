@@ -0,0 +1,171 @@
+/**
+ * Component: RewardValue
+ * Purpose: Render an unlocked reward value according to its reward type
+ * Part of: Easter Quest Frontend
+ *
+ * Features:
+ * - Type-specific rendering from the reward type registry (code, text, link, masked)
+ * - Copy to clipboard and "download as file" where the type allows it
+ * - Type details such as SSH key fingerprint or certificate expiry
+ *
+ * @since 2026-10-19
+ * @see ../../config/rewardTypes.js
+ */
+
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { logger } from '../../utils/logger';
+import { downloadFile } from '../../utils/exportUtils';
+import { isSafeLink } from '../../utils/rewardValueUtils';
+import { getRewardType, REWARD_DISPLAY } from '../../config/rewardTypes';
+import './RewardDisplay.css';
+
+/**
+ * Render the value body for a display mode
+ */
+const ValueBody = ({ display, value, revealed }) => {
+  if (display === REWARD_DISPLAY.LINK && isSafeLink(value)) {
+    return (
+      <a className="reward-value reward-value-link" href={value.trim()} target="_blank" rel="noopener noreferrer">
+        {value.trim()}
+      </a>
+    );
+  }
+  if (display === REWARD_DISPLAY.MASKED && !revealed) {
+    return <pre className="reward-value" aria-label="Hidden reward value">{'•'.repeat(12)}</pre>;
+  }
+  if (display === REWARD_DISPLAY.TEXT) {
+    return <p className="reward-value reward-value-text">{value}</p>;
+  }
+  return <pre className="reward-value">{value}</pre>;
+};
+
+ValueBody.propTypes = {
+  display: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  revealed: PropTypes.bool.isRequired
+};
+
+/**
+ * Render type details (fingerprint, certificate validity)
+ */
+const RewardDetails = ({ details }) => {
+  if (details.length === 0) return null;
+  return (
+    <dl className="reward-details">
+      {details.map(detail => (
+        <div key={detail.label} className={`reward-detail ${detail.status ? `reward-detail-${detail.status}` : ''}`}>
+          <dt>{detail.label}</dt>
+          <dd>{detail.value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+};
+
+RewardDetails.propTypes = {
+  details: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    value: PropTypes.string.isRequired,
+    status: PropTypes.string
+  })).isRequired
+};
+
+/**
+ * Reward value component
+ * @param {Object} props
+ * @param {string} props.rewardType - Backend reward_type value
+ * @param {string} props.value - Decrypted reward value
+ * @param {string} [props.label] - Heading above the value
+ * @returns {JSX.Element}
+ */
+const RewardValue = ({ rewardType, value, label = 'Reward Value:' }) => {
+  const type = getRewardType(rewardType);
+  const [copied, setCopied] = useState(false);
+  const [revealed, setRevealed] = useState(false);
+  const [details, setDetails] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const { describe } = getRewardType(rewardType);
+    setDetails([]);
+    if (describe && value) {
+      Promise.resolve(describe(value))
+        .then(result => {
+          if (!cancelled) setDetails(result || []);
+        })
+        .catch(err => logger.warn('reward_describe_failed', { rewardType, error: err.message, module: 'RewardValue' }));
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [rewardType, value]);
+
+  /**
+   * Copy reward value to clipboard
+   */
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(value);
+      setCopied(true);
+      logger.debug('reward_copied', { rewardType, module: 'RewardValue' });
+
+      // Reset copied state after 2 seconds
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      logger.error('reward_copy_failed', { rewardType, error: err.message, module: 'RewardValue' });
+    }
+  };
+
+  /**
+   * Save reward value as a file
+   */
+  const handleDownload = () => {
+    const { fileName, mimeType } = type.download;
+    downloadFile(value, typeof fileName === 'function' ? fileName(value) : fileName, mimeType);
+    logger.debug('reward_downloaded', { rewardType, module: 'RewardValue' });
+  };
+
+  return (
+    <div className="reward-value-container">
+      <div className="reward-value-header">
+        <span className="reward-value-label">{label}</span>
+        <div className="reward-value-actions">
+          {type.display === REWARD_DISPLAY.MASKED && (
+            <button type="button" className="reward-copy-btn" onClick={() => setRevealed(!revealed)}>
+              {revealed ? '🙈 Hide' : '👁️ Show'}
+            </button>
+          )}
+          {type.download && (
+            <button type="button" className="reward-copy-btn" onClick={handleDownload} title="Download as file">
+              💾 Download
+            </button>
+          )}
+          <button
+            type="button"
+            className={`reward-copy-btn ${copied ? 'copied' : ''}`}
+            onClick={handleCopy}
+            title="Copy to clipboard"
+          >
+            {copied ? '✓ Copied!' : '📋 Copy'}
+          </button>
+        </div>
+      </div>
+
+      <ValueBody display={type.display} value={value} revealed={revealed} />
+
+      <RewardDetails details={details} />
+    </div>
+  );
+};
+
+/**
+ * PropTypes validation
+ */
+RewardValue.propTypes = {
+  rewardType: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  label: PropTypes.string
+};
+
+export default RewardValue;
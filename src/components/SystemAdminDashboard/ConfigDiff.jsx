@@ -0,0 +1,170 @@
+/**
+ * Component: ConfigDiff
+ * Purpose: Compare the configuration at two points in time and roll back to a snapshot
+ * Part of: Easter Quest 2025 Frontend - System Administration
+ *
+ * Features:
+ * - Point-in-time values reconstructed from the change history
+ * - Diff of all keys that differ between "From" and "To"
+ * - Roll back every key to its value at "From"
+ * - Refuses points in time older than the loaded history
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  getValuesAt,
+  getCurrentValues,
+  diffConfigValues,
+  formatConfigValue
+} from '../../utils/configHistory';
+
+/**
+ * Format a date for a datetime-local input (local time, minutes precision)
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} "YYYY-MM-DDTHH:mm"
+ */
+const toDateTimeLocal = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Diff between two points in time and the rollback to "From"
+ *
+ * Both are empty when a point lies before the loaded history, since its
+ * values can't be reconstructed.
+ *
+ * @param {Array<Object>} configs - Current configs
+ * @param {Array<Object>} changes - Change history
+ * @param {Object} range - { from, to, historyStart }
+ * @param {string} range.from - "From" point in time
+ * @param {string} range.to - "To" point in time, empty for now
+ * @param {string|null} range.historyStart - Oldest loaded change when the history is truncated
+ * @returns {Object} { outOfRange, diff, rollback }
+ */
+const compareSnapshots = (configs, changes, { from, to, historyStart }) => {
+  const isBeforeHistory = (time) => !!time && !!historyStart && new Date(time) < new Date(historyStart);
+  if (isBeforeHistory(from) || isBeforeHistory(to)) {
+    return { outOfRange: true, diff: [], rollback: [] };
+  }
+
+  const fromValues = getValuesAt(configs, changes, from);
+  const toValues = to ? getValuesAt(configs, changes, to) : getCurrentValues(configs);
+  return {
+    outOfRange: false,
+    diff: diffConfigValues(fromValues, toValues),
+    rollback: diffConfigValues(getCurrentValues(configs), fromValues)
+  };
+};
+
+/**
+ * ConfigDiff - Point-in-time comparison and snapshot rollback
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.configs - Current configs
+ * @param {Array<Object>} props.changes - Change history
+ * @param {string} [props.historyStart] - Oldest loaded change when the history is truncated
+ * @param {Function} props.onRestore - Apply values (values, reason), returns a promise
+ * @param {boolean} props.busy - Whether another change is running
+ * @returns {JSX.Element}
+ */
+function ConfigDiff({ configs, changes, historyStart = null, onRestore, busy }) {
+  const [from, setFrom] = useState(() => toDateTimeLocal(new Date(Date.now() - 24 * 60 * 60 * 1000)));
+  const [to, setTo] = useState('');
+
+  const { outOfRange, diff, rollback } = compareSnapshots(configs, changes, { from, to, historyStart });
+  const fromLabel = new Date(from).toLocaleString();
+
+  const handleRestore = () => {
+    if (!window.confirm(`Roll back ${rollback.length} setting(s) to their values at ${fromLabel}?`)) {
+      return;
+    }
+    onRestore(
+      Object.fromEntries(rollback.map(entry => [entry.key, entry.after])),
+      `Rollback to snapshot of ${fromLabel}`
+    );
+  };
+
+  return (
+    <div className="config-diff">
+      <div className="section-header">
+        <h3>🔀 Compare</h3>
+      </div>
+      <div className="config-diff-range">
+        <label>
+          From
+          <input
+            type="datetime-local"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            className="config-input"
+            aria-label="Compare from"
+          />
+        </label>
+        <label>
+          To
+          <input
+            type="datetime-local"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            className="config-input"
+            aria-label="Compare to"
+          />
+        </label>
+        {!to && <span className="config-meta">(now)</span>}
+      </div>
+
+      {outOfRange && (
+        <div className="error-message" role="alert">
+          Only the history since {new Date(historyStart).toLocaleString()} is loaded. Pick a later point in time.
+        </div>
+      )}
+
+      {!outOfRange && diff.length === 0 && (
+        <p className="config-meta">No differences in this period.</p>
+      )}
+      {diff.length > 0 && (
+        <table className="config-history-table">
+          <thead>
+            <tr>
+              <th>Key</th>
+              <th>From</th>
+              <th>To</th>
+            </tr>
+          </thead>
+          <tbody>
+            {diff.map(entry => (
+              <tr key={entry.key}>
+                <td className="config-key">{entry.key}</td>
+                <td className="value-old">{formatConfigValue(entry.before)}</td>
+                <td className="value-new">{formatConfigValue(entry.after)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <button
+        className="btn btn-outline btn-sm"
+        onClick={handleRestore}
+        disabled={busy || !from || rollback.length === 0}
+      >
+        ↩️ Roll back all settings to "From" ({rollback.length})
+      </button>
+    </div>
+  );
+}
+
+ConfigDiff.propTypes = {
+  configs: PropTypes.arrayOf(PropTypes.object).isRequired,
+  changes: PropTypes.arrayOf(PropTypes.object).isRequired,
+  historyStart: PropTypes.string,
+  onRestore: PropTypes.func.isRequired,
+  busy: PropTypes.bool
+};
+
+export default ConfigDiff;
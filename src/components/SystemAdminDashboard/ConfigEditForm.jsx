@@ -4,14 +4,37 @@
  * Part of: Easter Quest 2025 Frontend - System Administration
  *
  * Features:
- * - Type-specific input fields (int, float, bool, string)
- * - Client-side validation
+ * - Type-specific input fields (int, float, bool, string, duration, cidr)
+ * - Dropdown for configs with allowed values (enums)
+ * - Structured JSON editor with formatting
+ * - Client-side validation shown inline (save is disabled while invalid)
  * - Save/Cancel actions
  *
  * @since 2025-11-20
+ * @updated 2026-10-19 - Enums, duration/cidr/json editors, inline validation errors
  */
 
 import React from 'react';
+import { CONFIG_VALUE_TYPES, getEnumOptions, parseDuration, formatDuration } from '../../utils/validators/configValidator';
+
+const PLACEHOLDERS = {
+  [CONFIG_VALUE_TYPES.DURATION]: 'e.g. 15m, 2h, 1d',
+  [CONFIG_VALUE_TYPES.CIDR]: 'e.g. 10.0.0.0/24'
+};
+
+/**
+ * Pretty-print JSON text (unchanged if it does not parse)
+ *
+ * @param {string} text - JSON text
+ * @returns {string} Formatted JSON
+ */
+const formatJson = (text) => {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (err) {
+    return text;
+  }
+};
 
 /**
  * ConfigEditForm - Inline editing form for config values
@@ -19,6 +42,7 @@ import React from 'react';
  * @param {Object} props
  * @param {Object} props.config - Configuration object being edited
  * @param {string} props.editValue - Current edit value
+ * @param {string|null} [props.error] - Validation error of the current value
  * @param {Function} props.onValueChange - Value change callback
  * @param {Function} props.onSave - Save button callback
  * @param {Function} props.onCancel - Cancel button callback
@@ -28,40 +52,103 @@ import React from 'react';
  * <ConfigEditForm
  *   config={config}
  *   editValue="42"
+ *   error={validateConfigChange(editValue, config, configs)}
  *   onValueChange={(val) => setEditValue(val)}
  *   onSave={() => handleSave(config)}
  *   onCancel={() => setEditingKey(null)}
  * />
  */
-function ConfigEditForm({ config, editValue, onValueChange, onSave, onCancel }) {
-  return (
-    <div className="config-edit">
-      {/* Boolean input - dropdown */}
-      {config.value_type === 'bool' ? (
+function ConfigEditForm({ config, editValue, error = null, onValueChange, onSave, onCancel }) {
+  const enumOptions = getEnumOptions(config);
+  const isJson = config.value_type === CONFIG_VALUE_TYPES.JSON;
+  const durationSeconds = config.value_type === CONFIG_VALUE_TYPES.DURATION ? parseDuration(editValue) : null;
+
+  const renderInput = () => {
+    /* Allowed values - dropdown */
+    if (enumOptions) {
+      const options = enumOptions.map(String);
+      return (
         <select
-          value={editValue}
+          value={String(editValue)}
           onChange={(e) => onValueChange(e.target.value)}
           className="config-input"
+          aria-invalid={!!error}
         >
-          <option value="true">true</option>
-          <option value="false">false</option>
+          {!options.includes(String(editValue)) && <option value={editValue}>{editValue}</option>}
+          {options.map(option => <option key={option} value={option}>{option}</option>)}
         </select>
-      ) : (
-        /* Number/String input */
-        <input
-          type={config.value_type === 'int' || config.value_type === 'float' ? 'number' : 'text'}
-          step={config.value_type === 'float' ? '0.1' : '1'}
+      );
+    }
+
+    /* Boolean input - dropdown */
+    if (config.value_type === 'bool') {
+      return (
+        <select
           value={editValue}
           onChange={(e) => onValueChange(e.target.value)}
           className="config-input"
-        />
-      )}
-      <button className="btn btn-success btn-sm" onClick={onSave}>
+        >
+          <option value="true">true</option>
+          <option value="false">false</option>
+        </select>
+      );
+    }
+
+    /* JSON - structured editor */
+    if (isJson) {
+      return (
+        <div className="config-json-editor">
+          <textarea
+            value={editValue}
+            onChange={(e) => onValueChange(e.target.value)}
+            className="config-input config-json-input"
+            rows={Math.min(16, Math.max(4, String(editValue).split('\n').length))}
+            spellCheck={false}
+            aria-invalid={!!error}
+            aria-label={`${config.key} JSON`}
+          />
+          <button
+            type="button"
+            className="btn btn-outline btn-sm"
+            onClick={() => onValueChange(formatJson(editValue))}
+          >
+            {'{ }'} Format JSON
+          </button>
+        </div>
+      );
+    }
+
+    /* Number/String input */
+    return (
+      <input
+        type={config.value_type === 'int' || config.value_type === 'float' ? 'number' : 'text'}
+        step={config.value_type === 'float' ? '0.1' : '1'}
+        value={editValue}
+        onChange={(e) => onValueChange(e.target.value)}
+        className="config-input"
+        placeholder={PLACEHOLDERS[config.value_type]}
+        aria-invalid={!!error}
+      />
+    );
+  };
+
+  return (
+    <div className={`config-edit ${isJson ? 'config-edit-json' : ''}`}>
+      {renderInput()}
+      <button className="btn btn-success btn-sm" onClick={onSave} disabled={!!error}>
         ✓ Save
       </button>
       <button className="btn btn-outline btn-sm" onClick={onCancel}>
         ✕ Cancel
       </button>
+      {durationSeconds !== null && !error && (
+        <div className="config-edit-hint">= {formatDuration(durationSeconds)} ({durationSeconds} seconds)</div>
+      )}
+      {error && (
+        <div className="config-edit-error" role="alert">
+          ❌ {error}
+        </div>
+      )}
     </div>
   );
 }
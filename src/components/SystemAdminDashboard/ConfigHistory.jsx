@@ -0,0 +1,228 @@
+/**
+ * Component: ConfigHistory
+ * Purpose: Configuration change history with diff, rollback and profiles
+ * Part of: Easter Quest 2025 Frontend - System Administration
+ *
+ * Features:
+ * - Change history per key (old/new value, user, time, reason)
+ * - One-click rollback of a single change
+ * - Diff between two points in time and rollback of a whole snapshot (ConfigDiff)
+ * - Export/import of configuration profiles (ConfigProfiles)
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { getConfigHistory, updateConfig, applyConfigValues } from '../../services';
+import { logger } from '../../utils/logger';
+import { getCrossFieldErrors } from '../../utils/validators/configValidator';
+import { configValuesEqual, formatConfigValue, toTypedConfigValues } from '../../utils/configHistory';
+import ConfigDiff from './ConfigDiff';
+import ConfigProfiles from './ConfigProfiles';
+
+/** Maximum number of history entries loaded at once */
+const HISTORY_LIMIT = 500;
+
+/**
+ * ConfigHistory - Change history, diff, rollback and profiles
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.configs - Current configs (from the dashboard)
+ * @param {Function} props.onConfigChanged - Reload the configs after a change
+ * @returns {JSX.Element}
+ */
+function ConfigHistory({ configs, onConfigChanged }) {
+  const [changes, setChanges] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [keyFilter, setKeyFilter] = useState('all');
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await getConfigHistory({ limit: HISTORY_LIMIT });
+      setChanges(response?.changes || []);
+    } catch (err) {
+      logger.error('system_config_history_load_failed', {
+        errorMessage: err.message,
+        module: 'ConfigHistory'
+      }, err);
+      setError('Failed to load configuration history.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  /**
+   * Run a configuration change, then reload configs and history
+   *
+   * @param {string} name - Action name for logging
+   * @param {Function} action - async () => void
+   * @param {string} successMessage - Status message on success
+   * @returns {Promise<boolean>} Whether the change succeeded
+   */
+  const runChange = async (name, action, successMessage) => {
+    setBusy(true);
+    setStatus(null);
+    try {
+      await action();
+      await Promise.all([onConfigChanged(), loadHistory()]);
+      setStatus({ type: 'success', message: successMessage });
+      logger.info('system_config_history_change', { name, module: 'ConfigHistory' });
+      return true;
+    } catch (err) {
+      logger.error('system_config_history_change_failed', {
+        name,
+        errorMessage: err.message,
+        module: 'ConfigHistory'
+      }, err);
+      setStatus({ type: 'error', message: `❌ ${err.response?.data?.detail || err.message}` });
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Typed values for applying, checked against the cross-field rules
+   *
+   * @param {Object<string, any>} values - Key -> value
+   * @returns {Object<string, any>} Key -> typed value
+   * @throws {Error} If the values break a cross-field rule
+   */
+  const checkedValues = (values) => {
+    const typed = toTypedConfigValues(values, configs);
+    const [failed] = getCrossFieldErrors(typed, configs);
+    if (failed) throw new Error(`${failed.keys.join(' / ')}: ${failed.message}`);
+    return typed;
+  };
+
+  /**
+   * Restore the value a key had before a change
+   *
+   * @param {Object} change - History entry
+   */
+  const handleRollback = (change) => {
+    const config = configs.find(c => c.key === change.key);
+    if (!config) return;
+    if (!window.confirm(`Set ${change.key} back to ${formatConfigValue(change.old_value)}?`)) {
+      return;
+    }
+    runChange(
+      'rollback_key',
+      () => updateConfig(
+        change.key,
+        checkedValues({ [change.key]: change.old_value ?? '' })[change.key],
+        `Rollback of change from ${new Date(change.changed_at).toLocaleString()}`
+      ),
+      `✅ ${change.key} rolled back`
+    );
+  };
+
+  const applyValues = (values, reason) => runChange(
+    'apply_values',
+    () => applyConfigValues(checkedValues(values), reason),
+    `✅ ${Object.keys(values).length} setting(s) updated`
+  );
+
+  if (loading) {
+    return <div className="loading">Loading history...</div>;
+  }
+
+  const currentValues = Object.fromEntries(configs.map(config => [config.key, config.value]));
+  const changedKeys = [...new Set(changes.map(change => change.key))].sort();
+  const visibleChanges = keyFilter === 'all' ? changes : changes.filter(change => change.key === keyFilter);
+  // A full page means older changes may be missing; points in time before the oldest loaded one can't be reconstructed
+  const historyStart = changes.length >= HISTORY_LIMIT
+    ? changes.reduce((oldest, change) => (new Date(change.changed_at) < new Date(oldest) ? change.changed_at : oldest), changes[0].changed_at)
+    : null;
+
+  return (
+    <div className="config-history">
+      {error && <div className="error-message">{error}</div>}
+      {status && (
+        <div className={status.type === 'error' ? 'error-message' : 'config-history-status'} role="status">
+          {status.message}
+        </div>
+      )}
+
+      <div className="section-header">
+        <h3>🕘 Change History</h3>
+      </div>
+      <div className="config-history-filter">
+        <select
+          value={keyFilter}
+          onChange={(e) => setKeyFilter(e.target.value)}
+          className="config-input"
+          aria-label="Filter by key"
+        >
+          <option value="all">All keys</option>
+          {changedKeys.map(key => <option key={key} value={key}>{key}</option>)}
+        </select>
+      </div>
+
+      {visibleChanges.length === 0 ? (
+        <p className="config-meta">No changes recorded.</p>
+      ) : (
+        <table className="config-history-table">
+          <thead>
+            <tr>
+              <th>When</th>
+              <th>Key</th>
+              <th>Change</th>
+              <th>By</th>
+              <th>Reason</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {visibleChanges.map(change => (
+              <tr key={change.id}>
+                <td>{new Date(change.changed_at).toLocaleString()}</td>
+                <td className="config-key">{change.key}</td>
+                <td>
+                  <span className="value-old">{formatConfigValue(change.old_value)}</span>
+                  {' → '}
+                  <span className="value-new">{formatConfigValue(change.new_value)}</span>
+                </td>
+                <td>{change.changed_by || '-'}</td>
+                <td>{change.reason || '-'}</td>
+                <td>
+                  <button
+                    className="btn btn-outline btn-sm"
+                    onClick={() => handleRollback(change)}
+                    disabled={busy || !(change.key in currentValues)
+                      || configValuesEqual(currentValues[change.key], change.old_value)}
+                    aria-label={`Roll back ${change.key} to ${formatConfigValue(change.old_value)}`}
+                  >
+                    ↩️ Rollback
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <ConfigDiff configs={configs} changes={changes} historyStart={historyStart} onRestore={applyValues} busy={busy} />
+      <ConfigProfiles configs={configs} onApply={applyValues} busy={busy} />
+    </div>
+  );
+}
+
+ConfigHistory.propTypes = {
+  configs: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    value_type: PropTypes.string
+  })).isRequired,
+  onConfigChanged: PropTypes.func.isRequired
+};
+
+export default ConfigHistory;
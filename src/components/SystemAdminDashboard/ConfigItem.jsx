@@ -77,6 +77,7 @@ const getConfigLabel = (key) => {
  * @param {Object} props.config - Configuration object
  * @param {boolean} props.isEditing - Whether this config is being edited
  * @param {string} props.editValue - Current edit value (when editing)
+ * @param {string|null} [props.editError] - Validation error of the edit value
  * @param {Function} props.onEditStart - Start editing callback
  * @param {Function} props.onEditCancel - Cancel editing callback
  * @param {Function} props.onEditSave - Save changes callback
@@ -98,6 +99,7 @@ function ConfigItem({
   config,
   isEditing,
   editValue,
+  editError = null,
   onEditStart,
   onEditCancel,
   onEditSave,
@@ -121,6 +123,7 @@ function ConfigItem({
         <ConfigEditForm
           config={config}
           editValue={editValue}
+          error={editError}
           onValueChange={onEditValueChange}
           onSave={() => onEditSave(config)}
           onCancel={onEditCancel}
@@ -0,0 +1,143 @@
+/**
+ * Component: ConfigProfiles
+ * Purpose: Export and import complete configuration profiles
+ * Part of: Easter Quest 2025 Frontend - System Administration
+ *
+ * Features:
+ * - Export the current configuration as a named JSON profile (e.g. "Event day")
+ * - Import a profile with validation and a preview of the changes before applying
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { buildConfigProfile, parseConfigProfile, formatConfigValue } from '../../utils/configHistory';
+import { downloadFile } from '../../utils/exportUtils';
+import { logger } from '../../utils/logger';
+
+/**
+ * ConfigProfiles - Configuration profile export/import
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.configs - Current configs
+ * @param {Function} props.onApply - Apply values (values, reason), returns a promise
+ * @param {boolean} props.busy - Whether another change is running
+ * @returns {JSX.Element}
+ */
+function ConfigProfiles({ configs, onApply, busy }) {
+  const [profileName, setProfileName] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [importError, setImportError] = useState(null);
+
+  const handleExport = () => {
+    const profile = buildConfigProfile(profileName, configs);
+    const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+    downloadFile(JSON.stringify(profile, null, 2), `config-${slug}.json`, 'application/json');
+    logger.info('system_config_profile_exported', { keyCount: configs.length, module: 'ConfigProfiles' });
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setImportError(null);
+    setPreview(null);
+    try {
+      setPreview(parseConfigProfile(await file.text(), configs));
+    } catch (err) {
+      setImportError(err.message);
+    }
+  };
+
+  const handleApply = async () => {
+    if (!window.confirm(`Apply profile "${preview.name}"? ${preview.changes.length} setting(s) will change immediately for all users.`)) {
+      return;
+    }
+    const applied = await onApply(preview.values, `Imported profile "${preview.name}"`);
+    if (applied) setPreview(null);
+  };
+
+  return (
+    <div className="config-profiles">
+      <div className="section-header">
+        <h3>💾 Profiles</h3>
+      </div>
+      <div className="config-profile-actions">
+        <input
+          type="text"
+          value={profileName}
+          onChange={(e) => setProfileName(e.target.value)}
+          placeholder="Profile name (e.g. Event day)"
+          className="config-input"
+          aria-label="Profile name"
+        />
+        <button className="btn btn-primary btn-sm" onClick={handleExport} disabled={configs.length === 0}>
+          ⬇️ Export profile
+        </button>
+        <label className="btn btn-outline btn-sm config-profile-import">
+          ⬆️ Import profile
+          <input type="file" accept="application/json,.json" onChange={handleFile} aria-label="Import profile" hidden />
+        </label>
+      </div>
+
+      {importError && <div className="error-message">{importError}</div>}
+
+      {preview && (
+        <div className="config-profile-preview">
+          <h4>Profile &quot;{preview.name}&quot;</h4>
+          {preview.errors.length > 0 && (
+            <div className="error-message">
+              Invalid values (not applied):
+              <ul>
+                {preview.errors.map(error => <li key={error.key}>{error.key}: {error.message}</li>)}
+              </ul>
+            </div>
+          )}
+          {preview.unknownKeys.length > 0 && (
+            <p className="config-meta">Unknown keys (skipped): {preview.unknownKeys.join(', ')}</p>
+          )}
+          {preview.changes.length === 0 ? (
+            <p className="config-meta">The current configuration already matches this profile.</p>
+          ) : (
+            <table className="config-history-table">
+              <thead>
+                <tr>
+                  <th>Key</th>
+                  <th>Current</th>
+                  <th>Profile</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.changes.map(entry => (
+                  <tr key={entry.key}>
+                    <td className="config-key">{entry.key}</td>
+                    <td className="value-old">{formatConfigValue(entry.before)}</td>
+                    <td className="value-new">{formatConfigValue(entry.after)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <div className="modal-actions">
+            <button className="btn btn-success btn-sm" onClick={handleApply} disabled={busy || preview.changes.length === 0}>
+              ✓ Apply {preview.changes.length} change(s)
+            </button>
+            <button className="btn btn-outline btn-sm" onClick={() => setPreview(null)}>
+              ✕ Discard
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+ConfigProfiles.propTypes = {
+  configs: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onApply: PropTypes.func.isRequired,
+  busy: PropTypes.bool
+};
+
+export default ConfigProfiles;
@@ -6,12 +6,13 @@
  * Features:
  * - Display change details (key, old value, new value)
  * - Confirm/Cancel actions
+ * - Optional reason (stored in the configuration change history)
  * - Warning message
  *
  * @since 2025-11-20
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 
 /**
  * ConfirmModal - Configuration change confirmation dialog
@@ -20,7 +21,7 @@ import React from 'react';
  * @param {Object} props.pendingChange - Pending configuration change
  * @param {Object} props.pendingChange.config - Configuration being changed
  * @param {string} props.pendingChange.newValue - New value to apply
- * @param {Function} props.onConfirm - Confirm button callback
+ * @param {Function} props.onConfirm - Confirm button callback (receives the entered reason)
  * @param {Function} props.onClose - Close/Cancel callback
  * @returns {JSX.Element}
  *
@@ -32,6 +33,8 @@ import React from 'react';
  * />
  */
 function ConfirmModal({ pendingChange, onConfirm, onClose }) {
+  const [reason, setReason] = useState('');
+
   return (
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal-content" onClick={(e) => e.stopPropagation()}>
@@ -40,12 +43,22 @@ function ConfirmModal({ pendingChange, onConfirm, onClose }) {
           <p><strong>Key:</strong> {pendingChange.config.key}</p>
           <p><strong>Current Value:</strong> {pendingChange.config.value}</p>
           <p><strong>New Value:</strong> {pendingChange.newValue}</p>
+          <label className="modal-reason">
+            <strong>Reason (optional):</strong>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="e.g. Office NAT blocks players at login"
+              className="config-input"
+            />
+          </label>
           <p className="warning-text">
             ⚠️ This change will take effect immediately for all users. Are you sure?
           </p>
         </div>
         <div className="modal-actions">
-          <button className="btn btn-success" onClick={onConfirm}>
+          <button className="btn btn-success" onClick={() => onConfirm(reason.trim())}>
             ✓ Confirm Change
           </button>
           <button className="btn btn-outline" onClick={onClose}>
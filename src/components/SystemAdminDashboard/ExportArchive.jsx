@@ -0,0 +1,363 @@
+/**
+ * Component: ExportArchive
+ * Purpose: Export & Archive section of the System Admin Dashboard
+ * Part of: Easter Quest 2025 Frontend - System Administration
+ *
+ * Features:
+ * - Per-entity downloads (teams, players, progress, ratings, chat escalations)
+ * - Formats: JSON, CSV and Excel-compatible CSV
+ * - Progress display for multi-request exports (e.g. ratings of every game)
+ * - Client-side ZIP archive of several entities/formats plus the full backup
+ *
+ * Data sources:
+ * - Full backup: admin.exportAllData()
+ * - Teams: teams.getAllTeams() / teams.exportTeams() (server CSV)
+ * - Players: players.getAll() / players.exportPlayers() (server CSV)
+ * - Progress: admin.getTeamProgress()
+ * - Ratings: games.getRatings() per game
+ * - Chat escalations: chat.getAdminNotifications() per status
+ *
+ * @since 2026-10-19
+ */
+
+import React, { useState } from 'react';
+import { admin, teams, players, games, chat } from '../../services';
+import { logger } from '../../utils/logger';
+import { toCSV, createZip, downloadFile } from '../../utils/exportUtils';
+
+/**
+ * Export formats
+ */
+export const EXPORT_FORMATS = [
+  { id: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  { id: 'excel', label: 'Excel CSV', extension: 'excel.csv', mimeType: 'text/csv' }
+];
+
+const ESCALATION_STATUSES = ['open', 'acknowledged', 'resolved'];
+const ESCALATION_LIMIT = 1000;
+
+/**
+ * Convert a server CSV response (text or Blob) to text
+ *
+ * @param {string|Blob} data - Response of an export endpoint
+ * @returns {Promise<string>} CSV text
+ */
+const csvResponseText = async (data) => (data instanceof Blob ? data.text() : String(data ?? ''));
+
+/**
+ * Exportable entities
+ *
+ * - load(reportProgress): Records for JSON and client-built CSV
+ * - loadCsv(): Optional server-built CSV (preferred for plain CSV; Excel CSV is
+ *   always built from records so formulas are neutralised)
+ */
+export const EXPORT_ENTITIES = [
+  {
+    id: 'teams',
+    label: '👥 Teams',
+    load: () => teams.getAllTeams(),
+    loadCsv: async () => csvResponseText(await teams.exportTeams())
+  },
+  {
+    id: 'players',
+    label: '🧑 Players',
+    load: () => players.getAll(),
+    loadCsv: async () => csvResponseText(await players.exportPlayers())
+  },
+  {
+    id: 'progress',
+    label: '📈 Team Progress',
+    load: () => admin.getTeamProgress()
+  },
+  {
+    id: 'ratings',
+    label: '⭐ Game Ratings',
+    load: async (reportProgress) => {
+      const allGames = await games.getAll();
+      const rows = [];
+      for (let index = 0; index < allGames.length; index++) {
+        const game = allGames[index];
+        const ratings = await games.getRatings(game.id);
+        (ratings || []).forEach(rating => {
+          rows.push({ game_id: game.id, game_title: game.title, ...rating });
+        });
+        reportProgress(index + 1, allGames.length);
+      }
+      return rows;
+    }
+  },
+  {
+    id: 'escalations',
+    label: '🔔 Chat Escalations',
+    load: async (reportProgress) => {
+      const rows = [];
+      for (let index = 0; index < ESCALATION_STATUSES.length; index++) {
+        const notifications = await chat.getAdminNotifications({
+          status: ESCALATION_STATUSES[index],
+          limit: ESCALATION_LIMIT
+        });
+        rows.push(...(notifications || []));
+        reportProgress(index + 1, ESCALATION_STATUSES.length);
+      }
+      return rows;
+    }
+  }
+];
+
+/**
+ * Normalise an API payload to an array of records
+ *
+ * @param {*} data - API response
+ * @returns {Array<Object>} Records
+ */
+const toRecords = (data) => {
+  if (Array.isArray(data)) return data;
+  if (data && typeof data === 'object') {
+    const list = Object.values(data).find(Array.isArray);
+    return list || [data];
+  }
+  return [];
+};
+
+/**
+ * Build the file name of an export
+ *
+ * @param {string} name - Entity or archive name
+ * @param {string} extension - File extension
+ * @returns {string} e.g. easter-quest-teams-2026-04-06.csv
+ */
+const buildFileName = (name, extension) => (
+  `easter-quest-${name}-${new Date().toISOString().slice(0, 10)}.${extension}`
+);
+
+/**
+ * Build the file content of one entity in one format
+ *
+ * @param {Object} entity - Entry of EXPORT_ENTITIES
+ * @param {string} formatId - Entry id of EXPORT_FORMATS
+ * @param {Function} reportProgress - (done, total) callback
+ * @param {Object} cache - Records already loaded in this run, by entity id
+ * @returns {Promise<string>} File content
+ */
+const buildEntityFile = async (entity, formatId, reportProgress, cache) => {
+  if (formatId === 'csv' && entity.loadCsv) {
+    return entity.loadCsv();
+  }
+
+  if (!cache[entity.id]) {
+    cache[entity.id] = toRecords(await entity.load(reportProgress));
+  }
+  const records = cache[entity.id];
+
+  if (formatId === 'json') {
+    return JSON.stringify(records, null, 2);
+  }
+  return toCSV(records, { excel: formatId === 'excel' });
+};
+
+/**
+ * ExportArchive - Data export and backup section
+ *
+ * @returns {JSX.Element}
+ */
+function ExportArchive() {
+  const [selectedEntities, setSelectedEntities] = useState(EXPORT_ENTITIES.map(e => e.id));
+  const [selectedFormats, setSelectedFormats] = useState(['json', 'csv']);
+  const [includeBackup, setIncludeBackup] = useState(true);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const busy = progress !== null;
+
+  /**
+   * Toggle a value in a selection list
+   *
+   * @param {Function} setter - State setter
+   * @param {string} value - Value to toggle
+   */
+  const toggle = (setter, value) => {
+    setter(prev => (prev.includes(value) ? prev.filter(v => v !== value) : [...prev, value]));
+  };
+
+  /**
+   * Run an export job with progress/error handling
+   *
+   * @param {string} name - Job name for logging
+   * @param {Function} job - async (setStep) => void
+   */
+  const runExport = async (name, job) => {
+    setError(null);
+    setProgress({ label: 'Starting...', done: 0, total: 1 });
+    try {
+      await job((label, done, total) => setProgress({ label, done, total }));
+      logger.info('admin_export_completed', { name, module: 'ExportArchive' });
+    } catch (err) {
+      logger.error('admin_export_failed', {
+        name,
+        errorMessage: err.message,
+        module: 'ExportArchive'
+      }, err);
+      setError(`Export failed: ${err.message}`);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  /**
+   * Download one entity in one format
+   *
+   * @param {Object} entity - Entry of EXPORT_ENTITIES
+   * @param {Object} format - Entry of EXPORT_FORMATS
+   */
+  const handleEntityDownload = (entity, format) => runExport(`${entity.id}.${format.id}`, async (setStep) => {
+    setStep(`Loading ${entity.label}...`, 0, 1);
+    const content = await buildEntityFile(
+      entity,
+      format.id,
+      (done, total) => setStep(`Loading ${entity.label}...`, done, total),
+      {}
+    );
+    downloadFile(content, buildFileName(entity.id, format.extension), format.mimeType);
+  });
+
+  /**
+   * Download the selected entities/formats as one ZIP archive
+   */
+  const handleArchiveDownload = () => runExport('archive', async (setStep) => {
+    const entities = EXPORT_ENTITIES.filter(e => selectedEntities.includes(e.id));
+    const formats = EXPORT_FORMATS.filter(f => selectedFormats.includes(f.id));
+    const total = entities.length * formats.length + (includeBackup ? 1 : 0);
+    const files = [];
+    const cache = {};
+
+    if (includeBackup) {
+      setStep('Loading full backup...', 0, total);
+      const backup = await admin.exportAllData();
+      files.push({ name: 'full-backup.json', content: JSON.stringify(backup, null, 2) });
+    }
+
+    // Files finished before each job: the backup (if any) plus the previous jobs
+    const jobs = entities.flatMap(entity => formats.map(format => ({ entity, format })));
+    for (const [index, { entity, format }] of jobs.entries()) {
+      const done = index + (includeBackup ? 1 : 0);
+      const step = `${entity.label} (${format.label})`;
+      setStep(step, done, total);
+      const content = await buildEntityFile(
+        entity,
+        format.id,
+        (part, parts) => setStep(`${step} - ${part}/${parts}`, done + part / parts, total),
+        cache
+      );
+      files.push({ name: `${entity.id}.${format.extension}`, content });
+    }
+
+    setStep('Building archive...', total, total);
+    downloadFile(createZip(files), buildFileName('archive', 'zip'), 'application/zip');
+  });
+
+  const canBuildArchive = (selectedEntities.length > 0 && selectedFormats.length > 0) || includeBackup;
+
+  return (
+    <div className="export-archive">
+      <div className="section-header">
+        <h3>📦 Export &amp; Archive</h3>
+      </div>
+      <p className="export-archive-intro">
+        Download event data for archiving. Single exports are saved directly; the archive
+        bundles the selected entities and formats into one ZIP file.
+      </p>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {busy && (
+        <div className="export-progress" role="status">
+          <div className="export-progress-label">{progress.label}</div>
+          <div className="export-progress-bar">
+            <div
+              className="export-progress-fill"
+              style={{ width: `${progress.total ? Math.round((progress.done / progress.total) * 100) : 0}%` }}
+              role="progressbar"
+              aria-valuenow={progress.done}
+              aria-valuemin="0"
+              aria-valuemax={progress.total}
+            />
+          </div>
+        </div>
+      )}
+
+      <table className="export-table">
+        <thead>
+          <tr>
+            <th>In archive</th>
+            <th>Data</th>
+            <th>Download</th>
+          </tr>
+        </thead>
+        <tbody>
+          {EXPORT_ENTITIES.map(entity => (
+            <tr key={entity.id}>
+              <td>
+                <input
+                  type="checkbox"
+                  aria-label={`Include ${entity.id} in archive`}
+                  checked={selectedEntities.includes(entity.id)}
+                  onChange={() => toggle(setSelectedEntities, entity.id)}
+                  disabled={busy}
+                />
+              </td>
+              <td>{entity.label}</td>
+              <td className="export-actions">
+                {EXPORT_FORMATS.map(format => (
+                  <button
+                    key={format.id}
+                    className="btn btn-outline btn-sm"
+                    onClick={() => handleEntityDownload(entity, format)}
+                    disabled={busy}
+                    aria-label={`Download ${entity.id} as ${format.label}`}
+                  >
+                    {format.label}
+                  </button>
+                ))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="export-archive-options">
+        <span>Archive formats:</span>
+        {EXPORT_FORMATS.map(format => (
+          <label key={format.id}>
+            <input
+              type="checkbox"
+              checked={selectedFormats.includes(format.id)}
+              onChange={() => toggle(setSelectedFormats, format.id)}
+              disabled={busy}
+            />
+            {format.label}
+          </label>
+        ))}
+        <label>
+          <input
+            type="checkbox"
+            checked={includeBackup}
+            onChange={() => setIncludeBackup(prev => !prev)}
+            disabled={busy}
+          />
+          Full backup (all data, JSON)
+        </label>
+      </div>
+
+      <button
+        className="btn-action"
+        onClick={handleArchiveDownload}
+        disabled={busy || !canBuildArchive}
+      >
+        🗜️ Download ZIP Archive
+      </button>
+    </div>
+  );
+}
+
+export default ExportArchive;
@@ -5,11 +5,13 @@
  *
  * Features:
  * - View all system configuration parameters
- * - Edit configuration values with validation
+ * - Edit configuration values with validation (schema, enums, cross-field rules; errors inline)
  * - Group by category (Auth, Rate Limits, Security, AI, etc.)
  * - Real-time updates without server restart
- * - Configuration change confirmation
+ * - Configuration change confirmation (with reason for the change history)
+ * - Change history, diff between points in time, rollback and profiles
  * - Role-based tab visibility
+ * - Export & Archive of event data (JSON/CSV/Excel CSV, ZIP bundles)
  *
  * Security:
  * - Accessible to admin, content_admin, system_admin roles
@@ -22,6 +24,10 @@
  * @module components/SystemAdminDashboard
  * @since 2025-11-06
  * @updated 2025-12-07 - Added role-based tab visibility
+ * @updated 2026-10-19 - Tab access from route table, active tab in URL (/system-admin/<tab>)
+ * @updated 2026-10-19 - Added Export & Archive tab
+ * @updated 2026-10-19 - Added Config History tab
+ * @updated 2026-10-19 - Schema-driven validation shown inline while editing
  */
 
 import React, { useState, useEffect } from 'react';
@@ -29,30 +35,22 @@ import PropTypes from 'prop-types';
 import './SystemAdminDashboard.css';
 import { getConfig, updateConfig, reloadConfig } from '../../services';
 import { logger } from '../../utils/logger';
-import { validateValue, convertToType } from '../../utils/validators/configValidator';
+import { validateConfigChange, convertToType, formatValueForEdit } from '../../utils/validators/configValidator';
 import GamePackageManagement from '../GamePackageManagement/GamePackageManagement';
 import ConfigCategoryFilter from './ConfigCategoryFilter';
 import ConfigItem from './ConfigItem';
 import ConfirmModal from './ConfirmModal';
 import AISettings from '../AISettings/AISettings';
+import ExportArchive from './ExportArchive';
+import ConfigHistory from './ConfigHistory';
+import { canAccessRoute, getDefaultTab } from '../../config/routes';
+import { ROLE_IDS } from '../../config/permissions';
+import { useRouteTab } from '../../contexts/RouterContext';
 
 function SystemAdminDashboard({ user }) {
-  /**
-   * Determine default tab based on user role
-   * - content_admin: Can only see Events
-   * - system_admin: Can only see System Config
-   * - admin: Defaults to Events but can see both
-   */
-  const getDefaultTab = () => {
-    if (user?.role === 'system_admin') {
-      return 'system-config';
-    }
-    // admin and content_admin both default to events
-    return 'events';
-  };
-
   // State management
-  const [activeTab, setActiveTab] = useState(getDefaultTab); // 'events', 'system-config'
+  // Default tab is the first one the role may open (see config/routes.js)
+  const [activeTab, setActiveTab] = useRouteTab('system_admin', getDefaultTab(user, 'system_admin'));
   const [configs, setConfigs] = useState([]);
   const [categories, setCategories] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState('all');
@@ -72,20 +70,7 @@ function SystemAdminDashboard({ user }) {
    * @param {string} tabId - Tab identifier
    * @returns {boolean} Whether user can access the tab
    */
-  const canAccessTab = (tabId) => {
-    const role = user?.role;
-
-    if (role === 'admin') {
-      return true; // Admin can access all tabs
-    }
-    if (role === 'content_admin') {
-      return tabId === 'events'; // Content admin only sees Events
-    }
-    if (role === 'system_admin') {
-      return tabId === 'system-config' || tabId === 'ai-settings'; // System admin sees System Config and AI Settings
-    }
-    return false;
-  };
+  const canAccessTab = (tabId) => canAccessRoute(user, 'system_admin', tabId);
 
   /**
    * Load configuration on component mount - only if user can access system-config tab
@@ -104,11 +89,12 @@ function SystemAdminDashboard({ user }) {
   /**
    * Fetch configuration from backend API
    *
+   * @param {boolean} [inBackground=false] - Keep the current view while loading
    * @private
    */
-  const _loadConfiguration = async () => {
+  const _loadConfiguration = async (inBackground = false) => {
     try {
-      setLoading(true);
+      if (!inBackground) setLoading(true);
       setError(null);
 
       // GET /api/system/config via getConfig()
@@ -134,7 +120,7 @@ function SystemAdminDashboard({ user }) {
    */
   const _handleEditStart = (config) => {
     setEditingKey(config.key);
-    setEditValue(config.value);
+    setEditValue(formatValueForEdit(config.value, config.value_type));
   };
 
   /**
@@ -147,14 +133,12 @@ function SystemAdminDashboard({ user }) {
 
   /**
    * Save edited value (opens confirmation modal)
+   * Invalid values never reach the modal - the error is shown inline in the form.
    *
    * @param {Object} config - Configuration being edited
    */
   const _handleEditSave = (config) => {
-    // Validate value before showing modal
-    const validationError = validateValue(editValue, config.value_type, config);
-    if (validationError) {
-      alert(`❌ Validation Error: ${validationError}`);
+    if (validateConfigChange(editValue, config, configs)) {
       return;
     }
 
@@ -168,7 +152,7 @@ function SystemAdminDashboard({ user }) {
    *
    * @private
    */
-  const _confirmChange = async () => {
+  const _confirmChange = async (reason = '') => {
     const { config, newValue } = pendingChange;
 
     try {
@@ -176,7 +160,7 @@ function SystemAdminDashboard({ user }) {
       const typedValue = convertToType(newValue, config.value_type);
 
       // PATCH /api/system/config/{key} via updateConfig()
-      await updateConfig(config.key, typedValue);
+      await updateConfig(config.key, typedValue, reason);
 
       // Reload configuration to show updated value
       await _loadConfiguration();
@@ -256,7 +240,9 @@ function SystemAdminDashboard({ user }) {
     const allTabs = [
       { id: 'events', label: '🎮 Events' },
       { id: 'system-config', label: '⚙️ System Config' },
-      { id: 'ai-settings', label: '🤖 AI Settings' }
+      { id: 'config-history', label: '🕘 Config History' },
+      { id: 'ai-settings', label: '🤖 AI Settings' },
+      { id: 'export', label: '📦 Export & Archive' }
     ];
 
     // Filter tabs based on role permissions
@@ -305,7 +291,7 @@ function SystemAdminDashboard({ user }) {
         return (
           <div className="system-config-content">
             <div className="config-header-actions">
-              <button className="btn-action" onClick={_loadConfiguration}>
+              <button className="btn-action" onClick={() => _loadConfiguration()}>
                 🔄 Reload
               </button>
               <button className="btn-action" onClick={_handleReloadCache}>
@@ -333,6 +319,7 @@ function SystemAdminDashboard({ user }) {
                       config={config}
                       isEditing={editingKey === config.key}
                       editValue={editValue}
+                      editError={editingKey === config.key ? validateConfigChange(editValue, config, configs) : null}
                       onEditStart={_handleEditStart}
                       onEditCancel={_handleEditCancel}
                       onEditSave={_handleEditSave}
@@ -345,9 +332,15 @@ function SystemAdminDashboard({ user }) {
           </div>
         );
 
+      case 'config-history':
+        return <ConfigHistory configs={configs} onConfigChanged={() => _loadConfiguration(true)} />;
+
       case 'ai-settings':
         return <AISettings />;
 
+      case 'export':
+        return <ExportArchive />;
+
       default:
         return null;
     }
@@ -387,7 +380,7 @@ function SystemAdminDashboard({ user }) {
  */
 SystemAdminDashboard.propTypes = {
   user: PropTypes.shape({
-    role: PropTypes.oneOf(['admin', 'content_admin', 'system_admin']).isRequired
+    role: PropTypes.oneOf(ROLE_IDS).isRequired
   }).isRequired
 };
 
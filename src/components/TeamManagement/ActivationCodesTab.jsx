@@ -18,6 +18,7 @@
 import React, { useState, useEffect } from 'react';
 import { logger } from '../../utils/logger';
 import PropTypes from 'prop-types';
+import { PERMISSIONS, ROLE_IDS, hasPermission, roleHasPermission } from '../../config/permissions';
 import { getMyTeamPlayers, getAllTeams, generateOtp } from '../../services';
 import './ActivationCodesTab.css';
 
@@ -38,6 +39,17 @@ function ActivationCodesTab({ user }) {
   const [error, setError] = useState(null);
   const [filterStatus, setFilterStatus] = useState('all'); // all, new, pending, active, expired
 
+  // Admins and game admins see every team; captains only their own
+  const canViewAllTeams = hasPermission(user, PERMISSIONS.TEAMS_VIEW_ALL);
+
+  /**
+   * Staff accounts (admin/game_admin) sit in system teams and never need activation codes
+   *
+   * @param {Object} member - Team member
+   * @returns {boolean} True if the member's role is a staff role
+   */
+  const isStaffMember = (member) => roleHasPermission(member.role, PERMISSIONS.TEAMS_VIEW_ALL);
+
   // Load team members on component mount
   useEffect(() => {
     loadTeamMembers();
@@ -65,14 +77,14 @@ function ActivationCodesTab({ user }) {
     setError(null);
 
     try {
-      if (user.role === 'team_captain') {
+      if (hasPermission(user, PERMISSIONS.TEAMS_VIEW_OWN)) {
         const response = await getMyTeamPlayers();
         if (response.success) {
           setTeamMembers(response.players || []);
         } else {
           throw new Error('Failed to load team members');
         }
-      } else if (['admin', 'game_admin'].includes(user.role)) {
+      } else if (canViewAllTeams) {
         const teamsResponse = await getAllTeams();
         if (teamsResponse.success) {
           const allMembers = [];
@@ -203,10 +215,10 @@ function ActivationCodesTab({ user }) {
     return 'new';
   };
 
-  // Filter members by status and exclude admin/game_admin roles
+  // Filter members by status and exclude staff (admin/game_admin) accounts
   const filteredMembers = teamMembers.filter(member => {
-    // Exclude admins and game_admins
-    if (['admin', 'game_admin'].includes(member.role)) return false;
+    // Exclude staff accounts
+    if (isStaffMember(member)) return false;
 
     // Filter by status
     if (filterStatus !== 'all') {
@@ -244,7 +256,7 @@ function ActivationCodesTab({ user }) {
         <div className="header-info">
           <h3>🔑 Activation Codes</h3>
           <p>
-            {user.role === 'admin' || user.role === 'game_admin'
+            {canViewAllTeams
               ? 'All activation codes across all teams'
               : 'Activation codes for your team members'}
           </p>
@@ -258,11 +270,11 @@ function ActivationCodesTab({ user }) {
             onChange={(e) => setFilterStatus(e.target.value)}
             className="status-filter"
           >
-            <option value="all">All ({teamMembers.filter(m => !['admin', 'game_admin'].includes(m.role)).length})</option>
-            <option value="new">New ({teamMembers.filter(m => getMemberStatus(m) === 'new' && !['admin', 'game_admin'].includes(m.role)).length})</option>
-            <option value="pending">Pending ({teamMembers.filter(m => getMemberStatus(m) === 'pending' && !['admin', 'game_admin'].includes(m.role)).length})</option>
-            <option value="active">Active ({teamMembers.filter(m => getMemberStatus(m) === 'active' && !['admin', 'game_admin'].includes(m.role)).length})</option>
-            <option value="expired">Expired ({teamMembers.filter(m => getMemberStatus(m) === 'expired' && !['admin', 'game_admin'].includes(m.role)).length})</option>
+            <option value="all">All ({teamMembers.filter(m => !isStaffMember(m)).length})</option>
+            <option value="new">New ({teamMembers.filter(m => getMemberStatus(m) === 'new' && !isStaffMember(m)).length})</option>
+            <option value="pending">Pending ({teamMembers.filter(m => getMemberStatus(m) === 'pending' && !isStaffMember(m)).length})</option>
+            <option value="active">Active ({teamMembers.filter(m => getMemberStatus(m) === 'active' && !isStaffMember(m)).length})</option>
+            <option value="expired">Expired ({teamMembers.filter(m => getMemberStatus(m) === 'expired' && !isStaffMember(m)).length})</option>
           </select>
         </div>
       </div>
@@ -284,7 +296,7 @@ function ActivationCodesTab({ user }) {
                     <div className="member-name">{member.display_name || member.username}</div>
                     <div className="member-meta">
                       {member.username}
-                      {(user.role === 'admin' || user.role === 'game_admin') && (
+                      {canViewAllTeams && (
                         <span className="team-badge">{member.team_name}</span>
                       )}
                     </div>
@@ -360,7 +372,7 @@ function ActivationCodesTab({ user }) {
 ActivationCodesTab.propTypes = {
   user: PropTypes.shape({
     id: PropTypes.number.isRequired,
-    role: PropTypes.oneOf(['admin', 'game_admin', 'team_captain']).isRequired,
+    role: PropTypes.oneOf(ROLE_IDS).isRequired,
     team_id: PropTypes.number
   }).isRequired
 };
@@ -18,6 +18,7 @@ import { logger } from '../../utils/logger';
 import PropTypes from 'prop-types';
 import TeamConfiguration from './TeamConfiguration';
 import { getAllTeams, getAllPlayers } from '../../services';
+import { ROLE_IDS } from '../../config/permissions';
 import './TeamCreationTab.css';
 
 /**
@@ -180,7 +181,7 @@ function TeamCreationTab({ user }) {
 TeamCreationTab.propTypes = {
   user: PropTypes.shape({
     id: PropTypes.number.isRequired,
-    role: PropTypes.oneOf(['admin']).isRequired
+    role: PropTypes.oneOf(ROLE_IDS).isRequired
   }).isRequired
 };
 
@@ -31,10 +31,14 @@
  *
  * @module components/TeamManagement
  * @since 2025-11-23
+ * @updated 2026-10-19 - Tab access from route table, active tab in URL (/team-management/<tab>)
  */
 
-import React, { useState } from 'react';
+import React from 'react';
 import PropTypes from 'prop-types';
+import { getAccessibleTabs, getDefaultTab } from '../../config/routes';
+import { ROLE_IDS } from '../../config/permissions';
+import { useRouteTab } from '../../contexts/RouterContext';
 import './TeamManagement.css';
 import PlayerManagementTab from './PlayerManagementTab';
 import TeamCreationTab from './TeamCreationTab';
@@ -54,15 +58,8 @@ import ActivationCodesTab from './ActivationCodesTab';
  * <TeamManagement user={currentUser} />
  */
 function TeamManagement({ user }) {
-  // Determine default tab based on role
-  const getDefaultTab = () => {
-    if (user.role === 'admin') return 'player-management';
-    if (user.role === 'game_admin' || user.role === 'team_captain') return 'teams';
-    return 'teams'; // Fallback
-  };
-
-  // State management
-  const [activeTab, setActiveTab] = useState(getDefaultTab());
+  // State management - default tab is the first one the role may open
+  const [activeTab, setActiveTab] = useRouteTab('team_management', getDefaultTab(user, 'team_management') || 'teams');
 
   /**
    * Render tab navigation buttons
@@ -75,23 +72,16 @@ function TeamManagement({ user }) {
    * @returns {JSX.Element} Tab navigation
    */
   const renderTabNavigation = () => {
-    const tabs = [];
-
-    // Player Management tab - Admin only
-    if (user.role === 'admin') {
-      tabs.push({ id: 'player-management', label: '👤 Player Management' });
-    }
-
-    // Team Creation tab - Admin only
-    if (user.role === 'admin') {
-      tabs.push({ id: 'team-creation', label: '📋 Team Creation' });
-    }
-
-    // Teams tab - All roles (admin, game_admin, team_captain)
-    tabs.push({ id: 'teams', label: '👥 Teams' });
+    const allTabs = [
+      { id: 'player-management', label: '👤 Player Management' },
+      { id: 'team-creation', label: '📋 Team Creation' },
+      { id: 'teams', label: '👥 Teams' },
+      { id: 'activation-codes', label: '🔑 Activation Codes' }
+    ];
 
-    // Activation Codes tab - All roles (admin, game_admin, team_captain)
-    tabs.push({ id: 'activation-codes', label: '🔑 Activation Codes' });
+    // Role guards live in the route table (config/routes.js)
+    const accessibleTabs = getAccessibleTabs(user, 'team_management');
+    const tabs = allTabs.filter(tab => accessibleTabs.includes(tab.id));
 
     return (
       <div className="team-management-tabs">
@@ -162,7 +152,7 @@ TeamManagement.propTypes = {
   user: PropTypes.shape({
     id: PropTypes.number.isRequired,
     username: PropTypes.string.isRequired,
-    role: PropTypes.oneOf(['admin', 'game_admin', 'team_captain']).isRequired,
+    role: PropTypes.oneOf(ROLE_IDS).isRequired,
     team_id: PropTypes.number,
     team_name: PropTypes.string
   }).isRequired
@@ -17,6 +17,7 @@
 import React, { useState, useEffect } from 'react';
 import { logger } from '../../utils/logger';
 import PropTypes from 'prop-types';
+import { PERMISSIONS, ROLE_IDS, hasPermission } from '../../config/permissions';
 import { getAllTeams, getMyTeamPlayers } from '../../services';
 import './TeamsTab.css';
 
@@ -38,8 +39,8 @@ function TeamsTab({ user }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  const isAdmin = user.role === 'admin' || user.role === 'game_admin';
-  const isCaptain = user.role === 'team_captain';
+  const isAdmin = hasPermission(user, PERMISSIONS.TEAMS_VIEW_ALL);
+  const isCaptain = hasPermission(user, PERMISSIONS.TEAMS_VIEW_OWN);
 
   /**
    * Load teams based on user role
@@ -271,7 +272,7 @@ function TeamsTab({ user }) {
 TeamsTab.propTypes = {
   user: PropTypes.shape({
     id: PropTypes.number.isRequired,
-    role: PropTypes.oneOf(['admin', 'game_admin', 'team_captain']).isRequired,
+    role: PropTypes.oneOf(ROLE_IDS).isRequired,
     team_id: PropTypes.number,
     team_name: PropTypes.string
   }).isRequired
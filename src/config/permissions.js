@@ -0,0 +1,173 @@
+/**
+ * Module: config/permissions.js
+ * Purpose: Central role/permission registry
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Components never compare `user.role` against hard-coded role lists.
+ * Instead they ask for a named capability (e.g. `chat.broadcast.any_team`)
+ * and this registry answers based on:
+ *
+ * 1. `user.permissions` - permission set pushed by the backend in /auth/me
+ *    (authoritative when present, so new roles need no frontend change)
+ * 2. ROLES[user.role].permissions - built-in fallback mapping
+ *
+ * Adding a role: register it once in ROLES below.
+ *
+ * @since 2026-10-19
+ * @see ../hooks/usePermission.js
+ * @see ../components/Can/Can.jsx
+ */
+
+/**
+ * Named capabilities
+ */
+export const PERMISSIONS = {
+  // System administration
+  SYSTEM_DASHBOARD_VIEW: 'system.dashboard.view',
+  SYSTEM_CONFIG_EDIT: 'system.config.edit',
+  SYSTEM_AI_SETTINGS_MANAGE: 'system.ai_settings.manage',
+  SYSTEM_DATA_EXPORT: 'system.data.export',
+
+  // Content (events, games, hints, prompts)
+  CONTENT_EVENTS_MANAGE: 'content.events.manage',
+  CONTENT_PROMPTS_EDIT: 'content.prompts.edit',
+
+  // Running event
+  GAME_DASHBOARD_VIEW: 'game.dashboard.view',
+  NOTIFICATIONS_MANAGE: 'notifications.manage',
+  REWARDS_PROVISIONING_MANAGE: 'rewards.provisioning.manage',
+  LEADERBOARD_VIEW: 'leaderboard.view',
+  LEADERBOARD_PROJECTOR: 'leaderboard.projector',
+
+  // Teams and players
+  TEAMS_VIEW: 'teams.view',
+  TEAMS_VIEW_ALL: 'teams.view.all',
+  TEAMS_VIEW_OWN: 'teams.view.own',
+  TEAMS_CREATE: 'teams.create',
+  TEAM_NAME_EDIT: 'team.name.edit',
+  PLAYERS_MANAGE: 'players.manage',
+
+  // Playing
+  GAME_PLAY: 'game.play',
+  GAME_PREVIEW: 'game.preview',
+  GAMES_RATE: 'games.rate',
+
+  // Chat
+  CHAT_BROADCAST_ANY_TEAM: 'chat.broadcast.any_team',
+  CHAT_MODERATE: 'chat.moderate'
+};
+
+const P = PERMISSIONS;
+
+/**
+ * Built-in roles
+ *
+ * - label: Display name
+ * - description: Shown in the footer
+ * - permissions: Capabilities granted when the backend sends none
+ */
+export const ROLES = {
+  admin: {
+    label: 'Admin',
+    description: 'You have full system access including all admin functions and system configuration.',
+    permissions: Object.values(PERMISSIONS).filter(
+      permission => ![P.GAME_PLAY, P.GAMES_RATE, P.TEAMS_VIEW_OWN, P.TEAM_NAME_EDIT].includes(permission)
+    )
+  },
+  content_admin: {
+    label: 'Content Admin',
+    description: 'You can create and manage events, games, and puzzles during the setup phase.',
+    permissions: [P.SYSTEM_DASHBOARD_VIEW, P.CONTENT_EVENTS_MANAGE]
+  },
+  system_admin: {
+    label: 'System Admin',
+    description: 'You can configure system settings including AI, rate limits, and system parameters.',
+    permissions: [P.SYSTEM_DASHBOARD_VIEW, P.SYSTEM_CONFIG_EDIT, P.SYSTEM_AI_SETTINGS_MANAGE, P.SYSTEM_DATA_EXPORT]
+  },
+  game_admin: {
+    label: 'Game Admin',
+    description: 'You can monitor game progress, manage teams, handle notifications, and view analytics.',
+    permissions: [
+      P.GAME_DASHBOARD_VIEW,
+      P.NOTIFICATIONS_MANAGE,
+      P.REWARDS_PROVISIONING_MANAGE,
+      P.LEADERBOARD_VIEW,
+      P.LEADERBOARD_PROJECTOR,
+      P.TEAMS_VIEW,
+      P.TEAMS_VIEW_ALL,
+      P.CHAT_BROADCAST_ANY_TEAM,
+      P.CHAT_MODERATE
+    ]
+  },
+  team_captain: {
+    label: 'Team Captain',
+    description: 'You can manage your team members, change your team name, change your password, and rate games.',
+    permissions: [P.TEAMS_VIEW, P.TEAMS_VIEW_OWN, P.TEAM_NAME_EDIT, P.GAME_PLAY, P.GAMES_RATE, P.LEADERBOARD_VIEW]
+  },
+  player: {
+    label: 'Player',
+    description: 'You can play games and change your password.',
+    permissions: [P.GAME_PLAY, P.LEADERBOARD_VIEW]
+  }
+};
+
+/**
+ * All registered role identifiers (for PropTypes)
+ */
+export const ROLE_IDS = Object.keys(ROLES);
+
+/**
+ * Resolve the permission set of a user
+ *
+ * @param {Object} user - User object (role and optional permissions from /auth/me)
+ * @returns {Set<string>} Granted permissions
+ */
+export const getPermissions = (user) => {
+  if (!user) {
+    return new Set();
+  }
+  if (Array.isArray(user.permissions)) {
+    return new Set(user.permissions);
+  }
+  return new Set(ROLES[user.role]?.permissions || []);
+};
+
+/**
+ * Check a user against one permission (or any of several)
+ *
+ * @param {Object} user - User object
+ * @param {string|Array<string>} permission - Permission name, or list where any one suffices
+ * @returns {boolean} True if granted
+ */
+export const hasPermission = (user, permission) => {
+  const granted = getPermissions(user);
+  const required = Array.isArray(permission) ? permission : [permission];
+  return required.some(name => granted.has(name));
+};
+
+/**
+ * Check a bare role (e.g. `sender_role` of a chat message) against a permission
+ *
+ * Uses the built-in mapping only - other users' backend permission sets are unknown.
+ *
+ * @param {string} role - Role identifier
+ * @param {string|Array<string>} permission - Permission name(s)
+ * @returns {boolean} True if the role grants the permission
+ */
+export const roleHasPermission = (role, permission) => hasPermission({ role }, permission);
+
+/**
+ * Get the display label of a role
+ *
+ * @param {string} role - Role identifier
+ * @returns {string} Label (falls back to a formatted identifier)
+ */
+export const getRoleLabel = (role) => ROLES[role]?.label || String(role || '').replace(/_/g, ' ');
+
+/**
+ * Get the footer description of a role
+ *
+ * @param {string} role - Role identifier
+ * @returns {string} Description of what the role can do
+ */
+export const getRoleDescription = (role) => ROLES[role]?.description || 'You have basic user permissions.';
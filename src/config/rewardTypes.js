@@ -0,0 +1,343 @@
+/**
+ * Module: config/rewardTypes.js
+ * Purpose: Central reward type registry
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Every reward type is described once here and used by:
+ * - GameModal (admin): type picker
+ * - ProvisionTriggerModal (admin): provisioning fields, validation, trigger payload
+ * - RewardValue (player): icon, value rendering, copy/download, details
+ *
+ * Adding a reward type: call registerRewardType() below. Unknown types coming
+ * from the backend still render with a generic definition.
+ *
+ * @since 2026-10-19
+ * @see ../components/RewardDisplay/RewardValue.jsx
+ * @see ../utils/rewardValueUtils.js
+ */
+
+import {
+  getSshKeyType,
+  getSshFingerprint,
+  parseCertificateValidity
+} from '../utils/rewardValueUtils';
+
+/**
+ * How a reward value is shown to players
+ */
+export const REWARD_DISPLAY = {
+  CODE: 'code',       // Monospace block (keys, tokens, multi-line text)
+  TEXT: 'text',       // Plain wrapped text
+  LINK: 'link',       // Clickable http(s) link
+  MASKED: 'masked'    // Hidden until the player reveals it
+};
+
+const CERTIFICATE_WARNING_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate a webhook URL (HTTPS only)
+ *
+ * @param {string} value - URL entered by the admin
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateWebhookUrl = (value) => {
+  try {
+    return new URL(value).protocol === 'https:' ? null : 'Webhook URL must use HTTPS';
+  } catch (error) {
+    return 'Webhook URL is not a valid URL';
+  }
+};
+
+/**
+ * Provisioning fields for types delivered by an external webhook
+ */
+const WEBHOOK_FIELDS = [
+  {
+    name: 'api_url',
+    label: 'Webhook API URL',
+    icon: '🔗',
+    placeholder: 'https://server.example.com/api/provision',
+    hint: 'HTTPS URL to POST provision request to',
+    required: true,
+    validate: validateWebhookUrl
+  },
+  {
+    name: 'api_bearer_token',
+    label: 'Bearer Token',
+    icon: '🔑',
+    type: 'password',
+    placeholder: 'your-secret-bearer-token',
+    hint: 'Optional authentication token for webhook'
+  }
+];
+
+/**
+ * Describe SSH key rewards (type and public key fingerprint)
+ */
+const describeSshKey = async (value) => {
+  const details = [];
+  const keyType = getSshKeyType(value);
+  if (keyType) details.push({ label: 'Key type', value: keyType });
+  const fingerprint = await getSshFingerprint(value);
+  if (fingerprint) details.push({ label: 'Fingerprint', value: fingerprint });
+  return details;
+};
+
+/**
+ * Describe certificate rewards (validity and expiry warning)
+ */
+const describeCertificate = async (value) => {
+  const validity = parseCertificateValidity(value);
+  if (!validity) return [];
+
+  const daysLeft = Math.floor((validity.notAfter.getTime() - Date.now()) / DAY_MS);
+  let status = null;
+  if (daysLeft < 0) {
+    status = 'expired';
+  } else if (daysLeft <= CERTIFICATE_WARNING_DAYS) {
+    status = 'warning';
+  }
+  const suffix = daysLeft < 0 ? ' (expired)' : ` (${daysLeft} days left)`;
+
+  return [
+    { label: 'Valid from', value: validity.notBefore.toLocaleString() },
+    { label: 'Expires', value: `${validity.notAfter.toLocaleString()}${suffix}`, status }
+  ];
+};
+
+/**
+ * Container settings are encoded in the trigger URL:
+ * local://container?game_type=writable-cron-job&memory=256m&cpu=0.5
+ */
+const CONTAINER_FIELDS = [
+  {
+    name: 'game_type',
+    label: 'Container Game Type',
+    icon: '🐳',
+    placeholder: 'writable-cron-job',
+    hint: 'Challenge image to start for the team',
+    required: true,
+    validate: (value) => (/^[a-z0-9][a-z0-9_-]*$/.test(value) ? null : 'Game type may only contain lowercase letters, digits, "-" and "_"')
+  },
+  {
+    name: 'memory',
+    label: 'Memory Limit',
+    icon: '💾',
+    placeholder: '256m',
+    defaultValue: '256m',
+    required: true,
+    validate: (value) => (/^\d+[mg]$/i.test(value) ? null : 'Memory limit must look like 256m or 1g')
+  },
+  {
+    name: 'cpu',
+    label: 'CPU Limit',
+    icon: '⚙️',
+    placeholder: '0.5',
+    defaultValue: '0.5',
+    required: true,
+    validate: (value) => (Number(value) > 0 ? null : 'CPU limit must be a positive number')
+  }
+];
+
+const toContainerTrigger = (values) => {
+  const params = new URLSearchParams({ game_type: values.game_type, memory: values.memory, cpu: values.cpu });
+  return { api_url: `local://container?${params.toString()}`, api_bearer_token: 'internal' };
+};
+
+const fromContainerTrigger = (trigger) => {
+  const query = (trigger.api_url || '').split('?')[1] || '';
+  return Object.fromEntries(new URLSearchParams(query));
+};
+
+/**
+ * Registered reward types by ID
+ */
+export const REWARD_TYPES = {};
+
+/**
+ * Register (or replace) a reward type
+ *
+ * @param {Object} definition - Reward type definition
+ * @param {string} definition.id - Backend reward_type value
+ * @param {string} definition.label - Human-readable name
+ * @param {string} definition.icon - Emoji icon
+ * @param {string} [definition.provisioning='webhook'] - 'internal' or 'webhook'
+ * @param {string} [definition.placeholder] - Example display name for the admin form
+ * @param {Array<Object>} [definition.fields] - Provision trigger fields
+ *   ({ name, label, icon, type, placeholder, hint, required, defaultValue, validate })
+ * @param {Function} [definition.toTrigger] - values -> { api_url, api_bearer_token }
+ * @param {Function} [definition.fromTrigger] - trigger -> field values (editing)
+ * @param {string} [definition.display='code'] - One of REWARD_DISPLAY
+ * @param {Object} [definition.download] - { fileName: string|Function(value), mimeType }
+ * @param {Function} [definition.describe] - async value -> [{ label, value, status }]
+ * @returns {Object} Normalized definition
+ */
+export const registerRewardType = (definition) => {
+  if (!definition?.id) {
+    throw new Error('Reward type needs an id');
+  }
+  const provisioning = definition.provisioning || 'webhook';
+  REWARD_TYPES[definition.id] = {
+    label: definition.id,
+    icon: '🎁',
+    fields: provisioning === 'internal' ? [] : WEBHOOK_FIELDS,
+    display: REWARD_DISPLAY.CODE,
+    download: null,
+    describe: null,
+    ...definition,
+    provisioning
+  };
+  return REWARD_TYPES[definition.id];
+};
+
+registerRewardType({
+  id: 'ssh_key',
+  label: 'SSH Key',
+  icon: '🔑',
+  placeholder: 'e.g., SSH Private Key for Server Access',
+  download: {
+    fileName: (value) => (/public key$/.test(getSshKeyType(value) || '') ? 'reward_key.pub' : 'reward_key'),
+    mimeType: 'text/plain'
+  },
+  describe: describeSshKey
+});
+
+registerRewardType({
+  id: 'api_token',
+  label: 'API Token',
+  icon: '🎫',
+  placeholder: 'e.g., API Token for the Scoreboard Service'
+});
+
+registerRewardType({
+  id: 'password',
+  label: 'Password',
+  icon: '🔐',
+  provisioning: 'internal',
+  display: REWARD_DISPLAY.MASKED,
+  placeholder: 'e.g., Admin Password for the Vault'
+});
+
+registerRewardType({
+  id: 'certificate',
+  label: 'Certificate',
+  icon: '📜',
+  placeholder: 'e.g., Client Certificate for the VPN',
+  download: { fileName: 'reward_certificate.pem', mimeType: 'application/x-pem-file' },
+  describe: describeCertificate
+});
+
+registerRewardType({
+  id: 'url',
+  label: 'URL',
+  icon: '🔗',
+  display: REWARD_DISPLAY.LINK,
+  placeholder: 'e.g., Link to the Hidden Level'
+});
+
+registerRewardType({
+  id: 'secret_text',
+  label: 'Secret Text',
+  icon: '📝',
+  provisioning: 'internal',
+  display: REWARD_DISPLAY.TEXT,
+  placeholder: 'e.g., Secret Message from the Bunny'
+});
+
+registerRewardType({
+  id: 'container_access',
+  label: 'Container Access',
+  icon: '🐳',
+  fields: CONTAINER_FIELDS,
+  toTrigger: toContainerTrigger,
+  fromTrigger: fromContainerTrigger,
+  placeholder: 'e.g., Challenge Container'
+});
+
+/**
+ * Get a reward type definition
+ *
+ * @param {string} typeId - Backend reward_type value
+ * @returns {Object} Definition (generic fallback for unknown types)
+ */
+export const getRewardType = (typeId) => REWARD_TYPES[typeId] || {
+  id: typeId,
+  label: String(typeId || 'reward').replace(/_/g, ' '),
+  icon: '🎁',
+  provisioning: 'webhook',
+  fields: WEBHOOK_FIELDS,
+  display: REWARD_DISPLAY.CODE,
+  download: null,
+  describe: null
+};
+
+/**
+ * Get all registered reward types (registration order)
+ *
+ * @returns {Array<Object>} Definitions
+ */
+export const getRewardTypes = () => Object.values(REWARD_TYPES);
+
+/**
+ * Get the emoji icon for a reward type
+ *
+ * @param {string} typeId - Backend reward_type value
+ * @returns {string} Emoji icon
+ */
+export const getRewardIcon = (typeId) => getRewardType(typeId).icon;
+
+/**
+ * Check whether a reward type is provisioned by the backend itself
+ *
+ * @param {string} typeId - Backend reward_type value
+ * @returns {boolean} True if no webhook is needed
+ */
+export const isInternalRewardType = (typeId) => getRewardType(typeId).provisioning === 'internal';
+
+/**
+ * Initial provision trigger field values
+ *
+ * Secret fields (type 'password') are never pre-filled from an existing trigger.
+ *
+ * @param {string} typeId - Backend reward_type value
+ * @param {Object|null} [trigger] - Existing trigger when editing
+ * @returns {Object} Field name -> value
+ */
+export const getTriggerFieldValues = (typeId, trigger = null) => {
+  const type = getRewardType(typeId);
+  const existing = trigger ? (type.fromTrigger ? type.fromTrigger(trigger) : trigger) : {};
+  return Object.fromEntries(type.fields.map(field => [
+    field.name,
+    field.type === 'password' ? '' : (existing[field.name] ?? field.defaultValue ?? '')
+  ]));
+};
+
+/**
+ * Validate provision trigger field values
+ *
+ * @param {string} typeId - Backend reward_type value
+ * @param {Object} values - Field name -> value
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+export const validateTriggerFields = (typeId, values) => getRewardType(typeId).fields
+  .map(field => {
+    const value = String(values[field.name] ?? '').trim();
+    if (!value) return field.required ? `${field.label} is required` : null;
+    return field.validate ? field.validate(value, values) : null;
+  })
+  .filter(Boolean);
+
+/**
+ * Build the api_url/api_bearer_token part of a provision trigger
+ *
+ * @param {string} typeId - Backend reward_type value
+ * @param {Object} values - Field name -> value
+ * @returns {{api_url: string|null, api_bearer_token: string|null}} Trigger fields
+ */
+export const buildTriggerPayload = (typeId, values) => {
+  const type = getRewardType(typeId);
+  if (type.toTrigger) return type.toTrigger(values);
+  if (type.provisioning === 'internal') return { api_url: null, api_bearer_token: null };
+  return { api_url: values.api_url || null, api_bearer_token: values.api_bearer_token || null };
+};
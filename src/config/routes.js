@@ -0,0 +1,258 @@
+/**
+ * Module: config/routes.js
+ * Purpose: Central route table with role guards for URL-based navigation
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Every top-level section exposed by Navigation and every sub-view inside the
+ * dashboards is declared here ONCE, together with the permission needed to see it.
+ * Components never hard-code role lists for navigation - they ask this table.
+ *
+ * Access is expressed as named permissions (config/permissions.js), never as
+ * role lists, so new roles only need to be registered in one place.
+ *
+ * URL shape:
+ *   /<section>/<tab>     e.g. /notifications/open, /dashboard/security
+ *   /game/<gameId>       e.g. /game/3 (answer form of game 3)
+ *
+ * @since 2026-10-19
+ */
+
+import { PERMISSIONS, hasPermission } from './permissions';
+
+/**
+ * Route table
+ *
+ * Order matters: Navigation renders sections in this order and the first
+ * accessible tab of a section is its default sub-view.
+ *
+ * Route fields:
+ * - id: Section identifier (also used as Navigation tab id)
+ * - path: URL prefix of the section
+ * - label: Navigation label
+ * - permission: Permission (or list, any one suffices) needed to open the section;
+ *   null = every authenticated user. See config/permissions.js
+ * - tabs: Optional sub-views, each with its own permission (defaults to section permission)
+ * - param: Optional name of a free-form URL parameter (instead of tabs)
+ */
+export const ROUTES = [
+  {
+    id: 'system_admin',
+    path: '/system-admin',
+    label: '⚙️ System Admin Dashboard',
+    permission: PERMISSIONS.SYSTEM_DASHBOARD_VIEW,
+    tabs: [
+      { id: 'events', permission: PERMISSIONS.CONTENT_EVENTS_MANAGE },
+      { id: 'system-config', permission: PERMISSIONS.SYSTEM_CONFIG_EDIT },
+      { id: 'config-history', permission: PERMISSIONS.SYSTEM_CONFIG_EDIT },
+      { id: 'ai-settings', permission: PERMISSIONS.SYSTEM_AI_SETTINGS_MANAGE },
+      { id: 'export', permission: PERMISSIONS.SYSTEM_DATA_EXPORT }
+    ]
+  },
+  {
+    id: 'dashboard',
+    path: '/dashboard',
+    label: '📊 Game Admin Dashboard',
+    permission: PERMISSIONS.GAME_DASHBOARD_VIEW,
+    tabs: [
+      { id: 'overview' },
+      { id: 'games-analytics' },
+      { id: 'security' },
+      { id: 'rate-limits' },
+      { id: 'provisioning', permission: PERMISSIONS.REWARDS_PROVISIONING_MANAGE }
+    ]
+  },
+  {
+    id: 'notifications',
+    path: '/notifications',
+    label: '🔔 Notifications',
+    permission: PERMISSIONS.NOTIFICATIONS_MANAGE,
+    tabs: [
+      { id: 'open' },
+      { id: 'acknowledged' },
+      { id: 'resolved' },
+      { id: 'responses' },
+      { id: 'announcements', permission: PERMISSIONS.CHAT_BROADCAST_ANY_TEAM },
+      { id: 'moderation', permission: PERMISSIONS.CHAT_MODERATE }
+    ]
+  },
+  {
+    id: 'team_management',
+    path: '/team-management',
+    label: '👥 Team Management',
+    permission: PERMISSIONS.TEAMS_VIEW,
+    tabs: [
+      { id: 'player-management', permission: PERMISSIONS.PLAYERS_MANAGE },
+      { id: 'team-creation', permission: PERMISSIONS.TEAMS_CREATE },
+      { id: 'teams' },
+      { id: 'activation-codes' }
+    ]
+  },
+  {
+    id: 'game',
+    path: '/game',
+    label: '🎮 Game Panel',
+    permission: [PERMISSIONS.GAME_PLAY, PERMISSIONS.GAME_PREVIEW],
+    param: 'gameId'
+  },
+  {
+    id: 'leaderboard',
+    path: '/leaderboard',
+    label: '🏆 Leaderboard',
+    permission: PERMISSIONS.LEADERBOARD_VIEW,
+    tabs: [
+      { id: 'standings' },
+      { id: 'projector', permission: PERMISSIONS.LEADERBOARD_PROJECTOR }
+    ]
+  },
+  {
+    id: 'profile',
+    path: '/profile',
+    label: '👤 Profile',
+    permission: null
+  }
+];
+
+/**
+ * Landing section preference (used for "/" and for unauthorized redirects).
+ * The first section the user may open wins; profile is always reachable.
+ */
+const HOME_ROUTE_PREFERENCE = ['system_admin', 'dashboard', 'game', 'profile'];
+
+/**
+ * Look up a section by id
+ *
+ * @param {string} routeId - Section identifier
+ * @returns {Object|undefined} Route definition
+ */
+export const getRoute = (routeId) => ROUTES.find(route => route.id === routeId);
+
+/**
+ * Check whether a user may open a section (and optionally one of its tabs)
+ *
+ * @param {Object} user - Current user (role and/or backend permissions)
+ * @param {string} routeId - Section identifier
+ * @param {string} [tabId] - Optional sub-view identifier
+ * @returns {boolean} True if access is allowed
+ */
+export const canAccessRoute = (user, routeId, tabId = null) => {
+  const route = getRoute(routeId);
+
+  if (!route || !user || (route.permission && !hasPermission(user, route.permission))) {
+    return false;
+  }
+
+  if (!tabId || !route.tabs) {
+    return true;
+  }
+
+  const tab = route.tabs.find(t => t.id === tabId);
+  return !!tab && (!tab.permission || hasPermission(user, tab.permission));
+};
+
+/**
+ * Get the sub-views of a section visible to a user
+ *
+ * @param {Object} user - Current user
+ * @param {string} routeId - Section identifier
+ * @returns {Array<string>} Accessible tab ids, in table order
+ */
+export const getAccessibleTabs = (user, routeId) => {
+  const route = getRoute(routeId);
+  if (!route || !route.tabs) {
+    return [];
+  }
+  return route.tabs
+    .map(tab => tab.id)
+    .filter(tabId => canAccessRoute(user, routeId, tabId));
+};
+
+/**
+ * Get the default sub-view of a section for a user
+ *
+ * @param {Object} user - Current user
+ * @param {string} routeId - Section identifier
+ * @returns {string|null} First accessible tab id or null
+ */
+export const getDefaultTab = (user, routeId) => getAccessibleTabs(user, routeId)[0] || null;
+
+/**
+ * Get the landing section for a user
+ *
+ * @param {Object} user - Current user
+ * @returns {string} Section identifier
+ */
+export const getHomeRoute = (user) => (
+  HOME_ROUTE_PREFERENCE.find(routeId => canAccessRoute(user, routeId)) || 'profile'
+);
+
+/**
+ * Build a URL path for a section and optional tab/parameter
+ *
+ * @param {string} routeId - Section identifier
+ * @param {string|number} [sub] - Tab id or parameter value
+ * @returns {string} URL path (e.g. '/notifications/resolved')
+ */
+export const buildPath = (routeId, sub = null) => {
+  const route = getRoute(routeId);
+  if (!route) {
+    return '/';
+  }
+  return sub !== null && sub !== undefined && sub !== ''
+    ? `${route.path}/${encodeURIComponent(sub)}`
+    : route.path;
+};
+
+/**
+ * Decode a path segment
+ *
+ * @param {string} segment - Encoded segment
+ * @returns {string|null} Decoded segment, null if it is malformed (e.g. a truncated pasted link)
+ */
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Resolve a URL path against the route table
+ *
+ * @param {string} pathname - Browser pathname
+ * @returns {{routeId: string|null, sub: string|null}} Matched section and tab/parameter
+ */
+export const parsePath = (pathname = '/') => {
+  const [section, sub] = pathname.split('/').filter(Boolean);
+  const route = ROUTES.find(r => r.path === `/${section}`);
+
+  return {
+    routeId: route ? route.id : null,
+    sub: sub ? decodeSegment(sub) : null
+  };
+};
+
+/**
+ * Work out where a user must be sent for the current location
+ *
+ * - Unknown or unauthorized sections redirect to the user's home section
+ * - Sections with tabs always carry an accessible tab in the URL
+ *
+ * @param {Object} user - Current user
+ * @param {string|null} routeId - Matched section (from parsePath)
+ * @param {string|null} sub - Matched tab/parameter (from parsePath)
+ * @returns {string|null} Path to redirect to, or null if the location is fine
+ */
+export const getRedirectPath = (user, routeId, sub) => {
+  if (!routeId || !canAccessRoute(user, routeId)) {
+    const homeRoute = getHomeRoute(user);
+    return buildPath(homeRoute, getDefaultTab(user, homeRoute));
+  }
+
+  const route = getRoute(routeId);
+  if (route.tabs && (!sub || !canAccessRoute(user, routeId, sub))) {
+    return buildPath(routeId, getDefaultTab(user, routeId));
+  }
+
+  return null;
+};
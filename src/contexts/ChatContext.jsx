@@ -8,10 +8,21 @@
  * - WebSocket connection management
  * - Message history and state
  * - Private conversations and team broadcasts
- * - Unread message tracking
+ * - Unread message tracking (server-backed read state, restored on load and
+ *   synced across tabs via `messages_read` events)
  * - Rate limit status tracking
  * - AI context management
+ * - Streamed AI answers (chunks appended live, stop button, partial output
+ *   kept when the connection drops)
  * - Real-time message handling
+ * - Image/file attachments in admin and team conversations (uploaded before sending)
+ * - Paged AI/admin history (older pages on demand) and jump-to-message for search results
+ * - Escalation replies: admins answer a notification in the team chat, with
+ *   its context available to canned responses/macros
+ * - Desktop notifications / sound cues for incoming messages and escalations
+ *   (utils/alertNotifier.js, preferences in the profile)
+ * - Moderation: messages removed by moderators are redacted live
+ *   (`message_deleted`), own team chat mute state (`chat_muted`/`chat_unmuted`)
  *
  * Chat Modes:
  * - 'ai': AI assistant chat (default)
@@ -29,7 +40,10 @@ import React, { createContext, useContext, useState, useEffect, useCallback, use
 import useWebSocket from '../hooks/useWebSocket';
 import { handleWebSocketMessage } from '../services/websocket/messageHandler';
 import { buildApiUrl } from '../config/apiConfig';
+import { markAsRead, getUnreadCounts } from '../services/chat';
+import { notifyAlert as showAlert } from '../utils/alertNotifier';
 import { logger } from '../utils/logger';
+import { PERMISSIONS, hasPermission, roleHasPermission } from '../config/permissions';
 
 const ChatContext = createContext();
 
@@ -43,6 +57,77 @@ const generateMessageId = () => {
   return `msg-${Date.now()}-${messageCounter}`;
 };
 
+/**
+ * Only messages stored by the backend (numeric IDs) have read state;
+ * local IDs (msg-..., ai-stream-...) are skipped
+ */
+const isServerMessageId = (id) => /^\d+$/.test(String(id));
+
+/**
+ * Add a reader to the `read_by` list of the messages in a receipt
+ */
+const applyReceiptToMessages = (messages, receipt) => messages.map(msg => (
+  receipt.message_ids.map(String).includes(String(msg.id)) && !(msg.read_by || []).some(r => r.user_id === receipt.reader_id)
+    ? { ...msg, read_by: [...(msg.read_by || []), { user_id: receipt.reader_id, display_name: receipt.reader_name, read_at: receipt.read_at }] }
+    : msg
+));
+
+/**
+ * Redact a message removed by a moderator (content and attachments dropped)
+ */
+const redactMessages = (messages, messageId) => messages.map(msg => (
+  String(msg.id) === String(messageId)
+    ? { ...msg, content: '', attachments: [], deleted: true }
+    : msg
+));
+
+const HISTORY_PAGE_SIZE = 50;
+
+/**
+ * Convert a stored AI/admin chat message to the UI message format
+ * Note: The messages endpoint includes notification_id, status and escalation_type
+ * directly for user messages that triggered escalations
+ */
+const toUIMessage = (msg) => ({
+  id: msg.id.toString(),
+  type: msg.sender_type,
+  sender_type: msg.sender_type,
+  // TEAM-BASED AI CHAT: Use actual sender_name from backend (e.g., "Clark Kent")
+  sender_name: msg.sender_name,
+  content: msg.content,
+  timestamp: msg.created_at,
+  ...(msg.attachments?.length ? { attachments: msg.attachments } : {}),
+  metadata: {
+    ...(msg.processing_time_ms ? { processing_time_ms: msg.processing_time_ms } : {}),
+    ...(msg.notification_id ? {
+      notification_id: msg.notification_id,
+      status: msg.status,
+      escalation_type: msg.escalation_type
+    } : {})
+  }
+});
+
+/**
+ * WebSocket payload fields for attachments (omitted when there are none)
+ */
+const attachmentFields = (attachments) => (attachments.length > 0 ? { attachments } : {});
+
+/**
+ * Whether more history exists than the page returned
+ * Uses the backend `has_more` flag, falls back to a full page
+ */
+const hasMoreHistory = (data) => data.has_more ?? (data.messages || []).length >= HISTORY_PAGE_SIZE;
+
+/**
+ * ID of the newest server message of a history page (null if it has none)
+ */
+const newestServerId = (messages) => [...messages].reverse().find(msg => isServerMessageId(msg.id))?.id ?? null;
+
+/**
+ * Message ID of a streamed AI answer
+ */
+const streamMessageId = (streamId) => `ai-stream-${streamId}`;
+
 /**
  * Hook to access chat context
  *
@@ -106,6 +191,84 @@ export function ChatProvider({ children, user }) {
   const [adminContacts, setAdminContacts] = useState({});
   const [selectedAdminContact, setSelectedAdminContact] = useState(null);
 
+  // History paging (AI/admin) and search result focus
+  // hasNewer/newestId: a page around a search result ends before the latest message (loaded with after_id)
+  const [historyPaging, setHistoryPaging] = useState({
+    hasMore: false, loading: false, hasNewer: false, newestId: null, loadingNewer: false
+  });
+  const [focusedMessageId, setFocusedMessageId] = useState(null);
+  // Escalation notification being answered from the chat (admins)
+  const [escalationReply, setEscalationReply] = useState(null);
+  // Own team chat mute ({ muted_until, reason }) or null
+  const [chatMute, setChatMute] = useState(null);
+
+  // Read state: IDs already reported to the server in this session
+  const reportedReadIdsRef = useRef(new Set());
+
+  const refreshUnreadCounts = useCallback(async () => {
+    try {
+      const counts = await getUnreadCounts();
+      setUnreadCounts({
+        broadcast: counts.broadcast || 0,
+        private: counts.private || {},
+        adminNotifications: counts.admin_notifications || 0
+      });
+    } catch (error) {
+      logger.warn('chat_unread_counts_load_failed', { errorMessage: error.message, module: 'ChatContext' });
+    }
+  }, []);
+
+  const markMessagesRead = useCallback(async (messageIds) => {
+    const ids = messageIds.filter(id => isServerMessageId(id) && !reportedReadIdsRef.current.has(String(id)));
+    if (ids.length === 0) return;
+    ids.forEach(id => reportedReadIdsRef.current.add(String(id)));
+    try {
+      await markAsRead(ids);
+    } catch (error) {
+      // Allow a later retry when the messages are seen again
+      ids.forEach(id => reportedReadIdsRef.current.delete(String(id)));
+      logger.warn('chat_mark_read_failed', { count: ids.length, errorMessage: error.message, module: 'ChatContext' });
+    }
+  }, []);
+
+  /**
+   * Apply a `messages_read` receipt
+   * Own receipts come from another tab/device: reload counts. Others update "seen by".
+   */
+  const applyReadReceipt = useCallback((receipt) => {
+    if (receipt.reader_id === user?.id) {
+      refreshUnreadCounts();
+      return;
+    }
+    setTeamBroadcastMessages(prev => applyReceiptToMessages(prev, receipt));
+    setPrivateConversations(prev => Object.fromEntries(
+      Object.entries(prev).map(([userId, list]) => [userId, applyReceiptToMessages(list, receipt)])
+    ));
+  }, [user, refreshUnreadCounts]);
+
+  /**
+   * Apply a `message_deleted` notice to the team chat lists
+   */
+  const applyMessageDeletion = useCallback((deletion) => {
+    setTeamBroadcastMessages(prev => redactMessages(prev, deletion.message_id));
+    setAdminNotifications(prev => redactMessages(prev, deletion.message_id));
+    setPrivateConversations(prev => Object.fromEntries(
+      Object.entries(prev).map(([userId, list]) => [userId, redactMessages(list, deletion.message_id)])
+    ));
+  }, []);
+
+  /**
+   * Apply a mute change; only the current user's own mute is tracked
+   */
+  const applyChatMute = useCallback((userId, mute) => {
+    if (userId === user?.id) setChatMute(mute);
+  }, [user]);
+
+  // Restore unread counts from the server (survive reloads)
+  useEffect(() => {
+    if (user) refreshUnreadCounts();
+  }, [user, refreshUnreadCounts]);
+
   const addMessage = useCallback((message) => { setMessages(prev => [...prev, message]); }, []);
   const clearMessages = useCallback(() => { setMessages([]); }, []);
   const updateMessage = useCallback((messageId, updates) => {
@@ -128,6 +291,77 @@ export function ChatProvider({ children, user }) {
     });
   }, []);
 
+  const updateMessageMetadata = useCallback((messageId, metadata) => {
+    setMessages(prev => prev.map(msg =>
+      msg.id === messageId ? { ...msg, metadata: { ...msg.metadata, ...metadata } } : msg
+    ));
+  }, []);
+
+  // Streamed AI answers: the stream currently being generated, and streams the
+  // user stopped (late chunks for those are dropped)
+  const [activeAIStream, setActiveAIStream] = useState(null);
+  const cancelledStreamsRef = useRef(new Set());
+  const cancelPendingRef = useRef(false);
+
+  const appendAIChunk = useCallback((streamId, chunk, { timestamp } = {}) => {
+    // Stop was pressed before the first chunk arrived
+    if (cancelPendingRef.current) {
+      cancelPendingRef.current = false;
+      cancelledStreamsRef.current.add(streamId);
+    }
+    if (cancelledStreamsRef.current.has(streamId)) return;
+
+    setActiveAIStream(streamId);
+    const id = streamMessageId(streamId);
+    setMessages(prev => {
+      const index = prev.findIndex(msg => msg.id === id);
+      if (index < 0) {
+        return [...prev, {
+          id,
+          type: 'ai',
+          sender_type: 'ai',
+          content: chunk,
+          timestamp: timestamp || new Date().toISOString(),
+          metadata: { stream_id: streamId, streaming: true }
+        }];
+      }
+      const updated = [...prev];
+      updated[index] = { ...updated[index], content: updated[index].content + chunk };
+      return updated;
+    });
+  }, []);
+
+  const finishAIStream = useCallback((streamId, { content, metadata = {} } = {}) => {
+    const wasCancelled = cancelledStreamsRef.current.delete(streamId);
+    const id = streamMessageId(streamId);
+    setActiveAIStream(current => (current === streamId ? null : current));
+    setMessages(prev => {
+      const index = prev.findIndex(msg => msg.id === id);
+      if (index < 0) {
+        // Nothing was streamed (e.g. a very short answer) - add it as a whole
+        return content && !wasCancelled
+          ? [...prev, { id, type: 'ai', sender_type: 'ai', content, timestamp: new Date().toISOString(), metadata }]
+          : prev;
+      }
+      const updated = [...prev];
+      updated[index] = {
+        ...updated[index],
+        // Keep what the user saw when they pressed stop
+        content: content && !wasCancelled ? content : updated[index].content,
+        metadata: { ...updated[index].metadata, ...metadata, streaming: false }
+      };
+      return updated;
+    });
+  }, []);
+
+  // Mark the in-progress answer as ended on the client side (stop / connection loss)
+  const endActiveStreamLocally = useCallback((flags) => {
+    if (!activeAIStream) return;
+    cancelledStreamsRef.current.add(activeAIStream);
+    updateMessageMetadata(streamMessageId(activeAIStream), { ...flags, streaming: false });
+    setActiveAIStream(null);
+  }, [activeAIStream, updateMessageMetadata]);
+
   // Update the most recent user message (for adding escalation status)
   const updateLastUserMessage = useCallback((updates) => {
     setMessages(prev => {
@@ -179,7 +413,7 @@ export function ChatProvider({ children, user }) {
     // Check if sender is an admin (and not the current user)
     // This allows players to see conversations with admins who message them
     if (message.sender_id !== user?.id) {
-      const isAdminSender = message.sender_role === 'admin' || message.sender_role === 'game_admin';
+      const isAdminSender = roleHasPermission(message.sender_role, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM);
       if (isAdminSender) {
         logger.debug('chat_admin_contact_added', {
           adminId: message.sender_id,
@@ -209,8 +443,8 @@ export function ChatProvider({ children, user }) {
   }, [user]);
 
   const handleIncomingBroadcast = useCallback((message) => {
-    const isCurrentUserAdmin = user && (user.role === 'admin' || user.role === 'game_admin');
-    const isAdminBroadcast = message.sender_role === 'admin' || message.sender_role === 'game_admin';
+    const isCurrentUserAdmin = hasPermission(user, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM);
+    const isAdminBroadcast = roleHasPermission(message.sender_role, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM);
 
     logger.debug('chat_broadcast_received', {
       senderId: message.sender_id,
@@ -285,6 +519,12 @@ export function ChatProvider({ children, user }) {
 
   // BUGFIX: Use ref to store latest handler functions to avoid re-registering listener
   // This prevents race conditions where messages arrive between unsubscribe/resubscribe
+  // Desktop/sound alert for incoming events (own messages excluded)
+  const notifyAlert = useCallback((category, alert) => {
+    if (alert.senderId && alert.senderId === user?.id) return null;
+    return showAlert(category, alert);
+  }, [user]);
+
   const handlersRef = useRef({
     addMessage,
     updateMessage,
@@ -294,10 +534,16 @@ export function ChatProvider({ children, user }) {
     setIsTyping,
     setLastError,
     setRateLimitStatus,
+    appendAIChunk,
+    finishAIStream,
+    applyReadReceipt,
     handleIncomingPrivateMessage,
     handleIncomingBroadcast,
     handleTypingIndicator: (userId, typing) => logger.debug('chat_typing_indicator', { userId, typing, module: 'ChatContext' }),
-    addAdminSentBroadcast
+    addAdminSentBroadcast,
+    applyMessageDeletion,
+    applyChatMute,
+    notifyAlert
   });
 
   // Update ref whenever handlers change (but don't re-register listener)
@@ -311,12 +557,27 @@ export function ChatProvider({ children, user }) {
       setIsTyping,
       setLastError,
       setRateLimitStatus,
+      appendAIChunk,
+      finishAIStream,
+      applyReadReceipt,
       handleIncomingPrivateMessage,
       handleIncomingBroadcast,
       handleTypingIndicator: (userId, typing) => logger.debug('chat_typing_indicator', { userId, typing, module: 'ChatContext' }),
-      addAdminSentBroadcast
+      addAdminSentBroadcast,
+      applyMessageDeletion,
+      applyChatMute,
+      notifyAlert
     };
-  }, [addMessage, updateMessage, addOrUpdateMessage, updateLastUserMessage, updateMessagesByNotificationId, setIsTyping, setLastError, setRateLimitStatus, handleIncomingPrivateMessage, handleIncomingBroadcast, addAdminSentBroadcast]);
+  }, [addMessage, updateMessage, addOrUpdateMessage, updateLastUserMessage, updateMessagesByNotificationId, setIsTyping, setLastError, setRateLimitStatus, appendAIChunk, finishAIStream, applyReadReceipt, handleIncomingPrivateMessage, handleIncomingBroadcast, addAdminSentBroadcast, applyMessageDeletion, applyChatMute, notifyAlert]);
+
+  // A dropped connection ends the stream - keep the partial answer, flagged as such
+  useEffect(() => {
+    if (connectionStatus !== 'connected' && activeAIStream) {
+      logger.warn('chat_ai_stream_interrupted', { streamId: activeAIStream, module: 'ChatContext' });
+      endActiveStreamLocally({ interrupted: true });
+      setIsTyping(false);
+    }
+  }, [connectionStatus, activeAIStream, endActiveStreamLocally]);
 
   // Register message listener ONCE with stable callback that reads from ref
   useEffect(() => {
@@ -354,39 +615,65 @@ export function ChatProvider({ children, user }) {
     };
   }, [onMessage]); // Only re-register if onMessage itself changes (which should be never)
 
-  const sendMessage = useCallback((content, messageType = null) => {
-    if (!content || !content.trim()) return false;
+  const sendMessage = useCallback((content, messageType = null, attachments = []) => {
+    const text = (content || '').trim();
+    if (!text && attachments.length === 0) return false;
 
     // Use explicit messageType if provided, otherwise use chatMode
     const effectiveMessageType = messageType || chatMode;
 
-    // Only allow 'ai' or 'admin' message types
+    // Only allow 'ai' or 'admin' message types; attachments go to admins only
     if (effectiveMessageType !== 'ai' && effectiveMessageType !== 'admin') {
       return false;
     }
+    if (attachments.length > 0 && effectiveMessageType !== 'admin') {
+      return false;
+    }
 
     addMessage({
       id: generateMessageId(),
       type: 'user',
       sender_type: 'user',
-      content: content.trim(),
-      timestamp: new Date().toISOString()
+      content: text,
+      timestamp: new Date().toISOString(),
+      ...attachmentFields(attachments)
     });
-    if (effectiveMessageType === 'ai') setIsTyping(true);
-    return wsSend('user_message', { content: content.trim(), message_type: effectiveMessageType });
+    if (effectiveMessageType === 'ai') {
+      cancelPendingRef.current = false;
+      setIsTyping(true);
+    }
+    return wsSend('user_message', { content: text, message_type: effectiveMessageType, ...attachmentFields(attachments) });
   }, [chatMode, wsSend, addMessage]);
 
-  // Load AI/Admin chat history
-  const loadChatHistory = useCallback(async (sessionType) => {
+  /**
+   * Stop the AI answer being generated
+   *
+   * Sends an `ai_cancel` frame; text received so far stays in the chat.
+   */
+  const cancelAIResponse = useCallback(() => {
+    logger.info('chat_ai_cancel_requested', { streamId: activeAIStream, module: 'ChatContext' });
+    wsSend('ai_cancel', { stream_id: activeAIStream });
+    if (activeAIStream) {
+      endActiveStreamLocally({ cancelled: true });
+    } else {
+      cancelPendingRef.current = true;
+    }
+    setIsTyping(false);
+  }, [activeAIStream, wsSend, endActiveStreamLocally]);
+
+  // Load AI/Admin chat history (latest page, or the page around a search result)
+  const loadChatHistory = useCallback(async (sessionType, { aroundId } = {}) => {
     if (!user || sessionType === 'team') return;
 
     try {
       logger.debug('chat_history_loading', {
         sessionType,
         userId: user.id,
+        aroundId,
         module: 'ChatContext'
       });
-      const response = await fetch(`${buildApiUrl('chat/messages')}?session_type=${sessionType}&limit=50`, {
+      const around = aroundId ? `&around_id=${aroundId}` : '';
+      const response = await fetch(`${buildApiUrl('chat/messages')}?session_type=${sessionType}&limit=${HISTORY_PAGE_SIZE}${around}`, {
         headers: {
           'Authorization': `Bearer ${localStorage.getItem('token')}`
         }
@@ -400,28 +687,15 @@ export function ChatProvider({ children, user }) {
           module: 'ChatContext'
         });
 
-        // Convert to UI message format
-        // Note: The messages endpoint now includes notification_id, status, and escalation_type
-        // directly in the response for user messages that triggered escalations
-        const uiMessages = data.messages.map(msg => ({
-          id: msg.id.toString(),
-          type: msg.sender_type,
-          sender_type: msg.sender_type,
-          // TEAM-BASED AI CHAT: Use actual sender_name from backend (e.g., "Clark Kent")
-          sender_name: msg.sender_name,
-          content: msg.content,
-          timestamp: msg.created_at,
-          metadata: {
-            ...(msg.processing_time_ms ? { processing_time_ms: msg.processing_time_ms } : {}),
-            ...(msg.notification_id ? {
-              notification_id: msg.notification_id,
-              status: msg.status,
-              escalation_type: msg.escalation_type
-            } : {})
-          }
-        }));
-
-        setMessages(uiMessages);
+        const pageMessages = data.messages.map(toUIMessage);
+        setMessages(pageMessages);
+        setHistoryPaging({
+          hasMore: hasMoreHistory(data),
+          loading: false,
+          hasNewer: aroundId ? (data.has_newer ?? true) : false,
+          newestId: newestServerId(pageMessages),
+          loadingNewer: false
+        });
       } else {
         logger.error('chat_history_load_failed', {
           sessionType,
@@ -438,6 +712,77 @@ export function ChatProvider({ children, user }) {
     }
   }, [user]);
 
+  // Load the page before the oldest loaded message (infinite scroll)
+  const loadOlderMessages = useCallback(async () => {
+    const oldest = messages.find(msg => isServerMessageId(msg.id));
+    if (!user || chatMode === 'team' || !oldest || !historyPaging.hasMore || historyPaging.loading) return;
+
+    setHistoryPaging(prev => ({ ...prev, loading: true }));
+    try {
+      const response = await fetch(`${buildApiUrl('chat/messages')}?session_type=${chatMode}&limit=${HISTORY_PAGE_SIZE}&before_id=${oldest.id}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      if (!response.ok) {
+        logger.error('chat_older_history_load_failed', { sessionType: chatMode, status: response.status, module: 'ChatContext' });
+        setHistoryPaging(prev => ({ ...prev, loading: false }));
+        return;
+      }
+
+      const data = await response.json();
+      setMessages(prev => {
+        const knownIds = new Set(prev.map(msg => msg.id));
+        return [...data.messages.map(toUIMessage).filter(msg => !knownIds.has(msg.id)), ...prev];
+      });
+      setHistoryPaging(prev => ({ ...prev, hasMore: hasMoreHistory(data), loading: false }));
+    } catch (error) {
+      logger.error('chat_older_history_load_error', { sessionType: chatMode, errorMessage: error.message, module: 'ChatContext' }, error);
+      setHistoryPaging(prev => ({ ...prev, loading: false }));
+    }
+  }, [user, chatMode, messages, historyPaging]);
+
+  // Load the page after the newest history message (after jumping to a search result).
+  // Live messages received meanwhile stay after the inserted page.
+  const loadNewerMessages = useCallback(async () => {
+    const { hasNewer, newestId, loadingNewer } = historyPaging;
+    if (!user || chatMode === 'team' || !hasNewer || newestId === null || loadingNewer) return;
+
+    setHistoryPaging(prev => ({ ...prev, loadingNewer: true }));
+    try {
+      const response = await fetch(`${buildApiUrl('chat/messages')}?session_type=${chatMode}&limit=${HISTORY_PAGE_SIZE}&after_id=${newestId}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      if (!response.ok) {
+        logger.error('chat_newer_history_load_failed', { sessionType: chatMode, status: response.status, module: 'ChatContext' });
+        setHistoryPaging(prev => ({ ...prev, loadingNewer: false }));
+        return;
+      }
+
+      const data = await response.json();
+      const pageMessages = data.messages.map(toUIMessage);
+      setMessages(prev => {
+        const knownIds = new Set(prev.map(msg => msg.id));
+        const insertAt = prev.findIndex(msg => String(msg.id) === String(newestId)) + 1;
+        const fresh = pageMessages.filter(msg => !knownIds.has(msg.id));
+        return [...prev.slice(0, insertAt), ...fresh, ...prev.slice(insertAt)];
+      });
+      setHistoryPaging(prev => ({
+        ...prev,
+        hasNewer: hasMoreHistory(data),
+        newestId: newestServerId(pageMessages) ?? prev.newestId,
+        loadingNewer: false
+      }));
+    } catch (error) {
+      logger.error('chat_newer_history_load_error', { sessionType: chatMode, errorMessage: error.message, module: 'ChatContext' }, error);
+      setHistoryPaging(prev => ({ ...prev, loadingNewer: false }));
+    }
+  }, [user, chatMode, historyPaging]);
+
   const switchMode = useCallback((mode) => {
     if (!['ai', 'admin', 'team'].includes(mode)) return;
     setChatMode(mode);
@@ -475,7 +820,7 @@ export function ChatProvider({ children, user }) {
     }
 
     // SECURITY: Admin users don't belong to teams, skip AI context loading
-    if (user.role === 'admin' || user.role === 'game_admin' || user.role === 'system_admin' || user.role === 'content_admin') {
+    if (!hasPermission(user, PERMISSIONS.GAME_PLAY)) {
       logger.debug('🎯 [ChatContext] loadAIContext skipped - admin user without team', {
         role: user.role,
         module: 'ChatContext'
@@ -679,7 +1024,7 @@ export function ChatProvider({ children, user }) {
     if (!user) return;
 
     // Skip for admins - they don't have teams and access team chat differently
-    if (user.role === 'admin' || user.role === 'game_admin') {
+    if (hasPermission(user, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM)) {
       logger.debug('chat_broadcast_history_skip', {
         userRole: user.role,
         reason: 'admin_no_team',
@@ -711,7 +1056,7 @@ export function ChatProvider({ children, user }) {
         const allMessages = data.messages || [];
 
         // Check if current user is admin
-        const isAdmin = user && (user.role === 'admin' || user.role === 'game_admin');
+        const isAdmin = hasPermission(user, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM);
 
         if (isAdmin) {
           // Admins see all broadcasts in teamBroadcastMessages (including their own admin broadcasts)
@@ -724,10 +1069,10 @@ export function ChatProvider({ children, user }) {
         } else {
           // Regular users: Separate admin broadcasts from team broadcasts
           const adminBroadcasts = allMessages.filter(msg =>
-            msg.sender_role === 'admin' || msg.sender_role === 'game_admin'
+            roleHasPermission(msg.sender_role, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM)
           );
           const teamBroadcasts = allMessages.filter(msg =>
-            msg.sender_role !== 'admin' && msg.sender_role !== 'game_admin'
+            !roleHasPermission(msg.sender_role, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM)
           );
 
           logger.debug('chat_broadcast_user_view_separated', {
@@ -757,7 +1102,7 @@ export function ChatProvider({ children, user }) {
     if (!user) return;
 
     // Skip for admins - they don't have teams and send messages to any team
-    if (user.role === 'admin' || user.role === 'game_admin') {
+    if (hasPermission(user, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM)) {
       logger.debug('chat_team_members_skip', {
         userRole: user.role,
         reason: 'admin_no_team',
@@ -807,7 +1152,7 @@ export function ChatProvider({ children, user }) {
     if (!user) return;
 
     // Skip for admins - they don't need to see admin contacts
-    if (user.role === 'admin' || user.role === 'game_admin') {
+    if (hasPermission(user, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM)) {
       logger.debug('chat_admin_contacts_skip', {
         userRole: user.role,
         reason: 'Admin user does not need admin contacts',
@@ -864,26 +1209,31 @@ export function ChatProvider({ children, user }) {
   }, [chatMode, user]);
 
   // Team chat actions
-  const sendTeamPrivateMessage = useCallback((recipientId, content) => {
-    if (!content || !content.trim()) return false;
-    return wsSend('team_private_message', { recipient_id: recipientId, content: content.trim() });
+  const sendTeamPrivateMessage = useCallback((recipientId, content, attachments = []) => {
+    const text = (content || '').trim();
+    if (!text && attachments.length === 0) return false;
+    return wsSend('team_private_message', { recipient_id: recipientId, content: text, ...attachmentFields(attachments) });
   }, [wsSend]);
 
-  const sendTeamBroadcast = useCallback((content) => {
-    if (!content || !content.trim()) return false;
-    return wsSend('team_broadcast_message', { content: content.trim() });
+  const sendTeamBroadcast = useCallback((content, attachments = []) => {
+    const text = (content || '').trim();
+    if (!text && attachments.length === 0) return false;
+    return wsSend('team_broadcast_message', { content: text, ...attachmentFields(attachments) });
   }, [wsSend]);
 
-  const sendAdminTeamBroadcast = useCallback((teamId, content) => {
-    if (!content || !content.trim() || !teamId) return false;
+  const sendAdminTeamBroadcast = useCallback((teamId, content, attachments = []) => {
+    const text = (content || '').trim();
+    if ((!text && attachments.length === 0) || !teamId) return false;
     logger.info('chat_admin_broadcast_sending', {
       teamId,
-      contentLength: content.trim().length,
+      contentLength: text.length,
+      attachmentCount: attachments.length,
       module: 'ChatContext'
     });
     return wsSend('admin_team_broadcast', {
       team_id: teamId,
-      content: content.trim()
+      content: text,
+      ...attachmentFields(attachments)
     });
   }, [wsSend]);
 
@@ -1016,6 +1366,56 @@ export function ChatProvider({ children, user }) {
     }
   }, [loadConversationHistory]);
 
+  /**
+   * Open the conversation of a search result and focus the message
+   * AI/admin: loads the history page around the message (later pages via loadNewerMessages).
+   * Team: selects channel or conversation.
+   */
+  const jumpToMessage = useCallback((result) => {
+    const source = result.source;
+    logger.debug('chat_jump_to_message', { source, messageId: result.id, module: 'ChatContext' });
+
+    if (source === 'ai' || source === 'admin') {
+      setChatMode(source);
+      wsSend('mode_switch', { mode: source });
+      loadChatHistory(source, { aroundId: result.id });
+    } else {
+      if (chatMode !== 'team') switchMode('team');
+
+      const other = result.conversation_user;
+      if (source === 'private' && other) {
+        const isAdminContact = roleHasPermission(other.role, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM)
+          && !hasPermission(user, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM);
+        if (isAdminContact) selectAdminContact(other);
+        else selectTeamMember(other);
+      } else {
+        // Team channel
+        selectTeamMember(null);
+      }
+    }
+
+    setFocusedMessageId(String(result.id));
+  }, [user, chatMode, wsSend, switchMode, loadChatHistory, selectTeamMember, selectAdminContact]);
+
+  const clearFocusedMessage = useCallback(() => setFocusedMessageId(null), []);
+
+  /**
+   * Answer an escalation notification in the chat of its team
+   * Opens the team's broadcast channel and keeps the notification as reply context.
+   */
+  const startEscalationReply = useCallback((notification) => {
+    logger.debug('chat_escalation_reply_started', {
+      notificationId: notification.id,
+      teamId: notification.team_id,
+      module: 'ChatContext'
+    });
+    if (chatMode !== 'team') switchMode('team');
+    selectTeam({ id: notification.team_id, name: notification.team_name });
+    setEscalationReply(notification);
+  }, [chatMode, switchMode, selectTeam]);
+
+  const clearEscalationReply = useCallback(() => setEscalationReply(null), []);
+
   const getTotalUnreadCount = useCallback(() => {
     const privateTotal = Object.values(unreadCounts.private).reduce((sum, count) => sum + count, 0);
     return unreadCounts.broadcast + privateTotal + unreadCounts.adminNotifications;
@@ -1032,11 +1432,22 @@ export function ChatProvider({ children, user }) {
     clearMessages,
     updateMessage,
     sendMessage,
+    activeAIStream,
+    cancelAIResponse,
     chatMode,
     switchMode,
     aiContext,
     loadAIContext,
     loadChatHistory,  // Export for loading admin/ai chat history
+    historyPaging,
+    loadOlderMessages,
+    loadNewerMessages,
+    focusedMessageId,
+    jumpToMessage,
+    clearFocusedMessage,
+    escalationReply,
+    startEscalationReply,
+    clearEscalationReply,
     isTyping,
     rateLimitStatus,
     setRateLimitStatus,  // Export setter for countdown timer
@@ -1052,7 +1463,9 @@ export function ChatProvider({ children, user }) {
     sendTeamPrivateMessage,
     sendTeamBroadcast,
     sendAdminTeamBroadcast,
+    chatMute,
     unreadCounts,
+    markMessagesRead,
     clearBroadcastUnread,
     getTotalUnreadCount,
     // Admin notifications (one-way broadcasts from admins)
@@ -1077,11 +1490,22 @@ export function ChatProvider({ children, user }) {
     clearMessages,
     updateMessage,
     sendMessage,
+    activeAIStream,
+    cancelAIResponse,
     chatMode,
     switchMode,
     aiContext,
     loadAIContext,
     loadChatHistory,
+    historyPaging,
+    loadOlderMessages,
+    loadNewerMessages,
+    focusedMessageId,
+    jumpToMessage,
+    clearFocusedMessage,
+    escalationReply,
+    startEscalationReply,
+    clearEscalationReply,
     isTyping,
     rateLimitStatus,
     setRateLimitStatus,
@@ -1096,7 +1520,9 @@ export function ChatProvider({ children, user }) {
     sendTeamPrivateMessage,
     sendTeamBroadcast,
     sendAdminTeamBroadcast,
+    chatMute,
     unreadCounts,
+    markMessagesRead,
     clearBroadcastUnread,
     getTotalUnreadCount,
     adminNotifications,
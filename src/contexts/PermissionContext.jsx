@@ -0,0 +1,53 @@
+/**
+ * Component: PermissionContext
+ * Purpose: Makes the current user's permission set available to the component tree
+ * Part of: Easter Quest - Ypsomed AG Easter Challenge Frontend
+ *
+ * Features:
+ * - Resolves permissions once per user (backend set from /auth/me, else role mapping)
+ * - Consumed by usePermission() and <Can>
+ *
+ * Usage:
+ * - Wrap the authenticated app with <PermissionProvider user={user}>
+ * - Use usePermission('chat.broadcast.any_team') or <Can permission="..."> in components
+ *
+ * @since 2026-10-19
+ * @see ../config/permissions.js
+ */
+
+import React, { createContext, useContext, useMemo } from 'react';
+import { getPermissions } from '../config/permissions';
+
+const PermissionContext = createContext(null);
+
+/**
+ * Hook to access the permission context
+ *
+ * @returns {Object|null} { user, permissions } or null outside a PermissionProvider
+ */
+export function usePermissionContext() {
+    return useContext(PermissionContext);
+}
+
+/**
+ * Permission provider component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.user - Current authenticated user
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {React.Component} PermissionContext.Provider
+ */
+export function PermissionProvider({ user, children }) {
+    const value = useMemo(() => ({
+        user,
+        permissions: getPermissions(user)
+    }), [user]);
+
+    return (
+        <PermissionContext.Provider value={value}>
+            {children}
+        </PermissionContext.Provider>
+    );
+}
+
+export default PermissionContext;
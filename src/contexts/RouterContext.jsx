@@ -0,0 +1,132 @@
+/**
+ * Component: RouterContext
+ * Purpose: Minimal History API router shared by App and dashboard sub-views
+ * Part of: Easter Quest - Ypsomed AG Easter Challenge Frontend
+ *
+ * Features:
+ * - Current location resolved against the route table (config/routes.js)
+ * - navigate() via history.pushState / replaceState
+ * - Back/forward support via popstate
+ * - useRouteTab() hook so dashboards keep their tab in the URL
+ *
+ * Usage:
+ * - Wrap the authenticated app with RouterProvider
+ * - Use useRouter() for the current route and navigate()
+ * - Use useRouteTab(routeId, defaultTab) instead of useState for tab state
+ *
+ * Notes:
+ * - Components rendered outside a RouterProvider (e.g. in isolation tests)
+ *   fall back to local state in useRouteTab(), so they keep working unchanged.
+ *
+ * @since 2026-10-19
+ * @see ../config/routes.js
+ */
+
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { buildPath, parsePath } from '../config/routes';
+import { logger } from '../utils/logger';
+
+const RouterContext = createContext(null);
+
+/**
+ * Hook to access the router
+ *
+ * @returns {Object|null} Router value ({ pathname, routeId, sub, navigate }) or null outside a RouterProvider
+ */
+export function useRouter() {
+    return useContext(RouterContext);
+}
+
+/**
+ * Router provider component
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {React.Component} RouterContext.Provider
+ */
+export function RouterProvider({ children }) {
+    const [pathname, setPathname] = useState(() => window.location.pathname);
+
+    /**
+     * Keep state in sync with browser back/forward buttons
+     */
+    useEffect(() => {
+        const handlePopState = () => {
+            setPathname(window.location.pathname);
+        };
+
+        window.addEventListener('popstate', handlePopState);
+
+        return () => {
+            window.removeEventListener('popstate', handlePopState);
+        };
+    }, []);
+
+    /**
+     * Navigate to a new path
+     *
+     * @param {string} to - Target path (e.g. '/dashboard/security')
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] - Replace current history entry instead of pushing
+     */
+    const navigate = useCallback((to, { replace = false } = {}) => {
+        if (to === window.location.pathname) {
+            return;
+        }
+
+        logger.debug('router_navigate', {
+            from: window.location.pathname,
+            to,
+            replace,
+            module: 'RouterContext'
+        });
+
+        if (replace) {
+            window.history.replaceState({}, '', to);
+        } else {
+            window.history.pushState({}, '', to);
+        }
+        setPathname(to);
+    }, []);
+
+    const value = useMemo(() => ({
+        pathname,
+        ...parsePath(pathname),
+        navigate
+    }), [pathname, navigate]);
+
+    return (
+        <RouterContext.Provider value={value}>
+            {children}
+        </RouterContext.Provider>
+    );
+}
+
+/**
+ * Tab state stored in the URL
+ *
+ * Drop-in replacement for `useState(defaultTab)` in tabbed dashboards. Inside a
+ * RouterProvider the active tab is the second URL segment of the given section;
+ * outside one it behaves like plain component state.
+ *
+ * @param {string} routeId - Section identifier from the route table
+ * @param {string|null} defaultTab - Tab used when the URL does not name one
+ * @returns {[string|null, Function]} Active tab and setter
+ */
+export function useRouteTab(routeId, defaultTab) {
+    const router = useRouter();
+    const [localTab, setLocalTab] = useState(defaultTab);
+
+    const setRouteTab = useCallback((tab) => {
+        router.navigate(buildPath(routeId, tab));
+    }, [router, routeId]);
+
+    if (!router) {
+        return [localTab, setLocalTab];
+    }
+
+    const activeTab = router.routeId === routeId && router.sub ? router.sub : defaultTab;
+    return [activeTab, setRouteTab];
+}
+
+export default RouterContext;
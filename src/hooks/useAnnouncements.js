@@ -0,0 +1,98 @@
+/**
+ * Module: hooks/useAnnouncements.js
+ * Purpose: Load, send, schedule and cancel multi-team announcements
+ * Part of: Easter Quest 2025 - Chat System
+ *
+ * While announcements are scheduled or sending, the list is refreshed
+ * periodically so the queue and the per-team delivery status stay current.
+ *
+ * Usage:
+ * ```javascript
+ * const { announcements, send, cancel } = useAnnouncements();
+ * ```
+ *
+ * @since 2026-10-19
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getAnnouncements, createAnnouncement, cancelAnnouncement } from '../services/chat';
+import { PENDING_STATUSES } from '../utils/announcements';
+import { logger } from '../utils/logger';
+
+const REFRESH_INTERVAL_MS = 15000;
+
+/**
+ * Announcements hook
+ *
+ * @param {Object} options - Configuration options
+ * @param {number} options.refreshIntervalMs - Refresh interval while announcements are pending (default: 15000)
+ * @returns {Object} { announcements, loading, error, reload, send, cancel }
+ */
+export const useAnnouncements = (options = {}) => {
+  const { refreshIntervalMs = REFRESH_INTERVAL_MS } = options;
+
+  const [announcements, setAnnouncements] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await getAnnouncements();
+      setAnnouncements(Array.isArray(data) ? data : []);
+    } catch (err) {
+      logger.error('announcements_load_failed', { errorMessage: err.message, module: 'useAnnouncements' });
+      setError(err.message || 'Failed to load announcements');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const hasPending = announcements.some(announcement => PENDING_STATUSES.includes(announcement.status));
+
+  useEffect(() => {
+    if (!hasPending) return undefined;
+    const id = setInterval(reload, refreshIntervalMs);
+    return () => clearInterval(id);
+  }, [hasPending, reload, refreshIntervalMs]);
+
+  /**
+   * Send now or schedule an announcement (errors are thrown to the caller)
+   *
+   * @param {Object} data - { content, all_teams, team_ids, scheduled_for }
+   * @returns {Promise<Object>} Created announcement
+   */
+  const send = useCallback(async (data) => {
+    const created = await createAnnouncement(data);
+    setAnnouncements(prev => [created, ...prev]);
+    logger.info('announcement_created', {
+      announcementId: created.id,
+      allTeams: data.all_teams,
+      teamCount: data.team_ids.length,
+      scheduled: !!data.scheduled_for,
+      module: 'useAnnouncements'
+    });
+    return created;
+  }, []);
+
+  /**
+   * Cancel a scheduled announcement (errors are thrown to the caller)
+   *
+   * @param {number} id - Announcement ID
+   * @returns {Promise<void>}
+   */
+  const cancel = useCallback(async (id) => {
+    const updated = await cancelAnnouncement(id);
+    setAnnouncements(prev => prev.map(announcement => (announcement.id === id ? updated : announcement)));
+    logger.info('announcement_cancelled', { announcementId: id, module: 'useAnnouncements' });
+  }, []);
+
+  return { announcements, loading, error, reload, send, cancel };
+};
+
+export default useAnnouncements;
@@ -0,0 +1,83 @@
+/**
+ * Module: hooks/useCannedResponses.js
+ * Purpose: Load and manage the admins' canned responses and macros
+ * Part of: Easter Quest 2025 - Chat System
+ *
+ * Used by the chat input (slash commands) and the "Responses" notifications tab.
+ *
+ * Usage:
+ * ```javascript
+ * const { responses, save, remove } = useCannedResponses({ enabled: isAdmin });
+ * ```
+ *
+ * @since 2026-10-19
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getCannedResponses, createCannedResponse, updateCannedResponse, deleteCannedResponse } from '../services/chat';
+import { logger } from '../utils/logger';
+
+/**
+ * Canned responses hook
+ *
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.enabled - Load the responses (default: true)
+ * @returns {Object} { responses, loading, error, reload, save, remove }
+ */
+export const useCannedResponses = (options = {}) => {
+  const { enabled = true } = options;
+
+  const [responses, setResponses] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await getCannedResponses();
+      setResponses(Array.isArray(data) ? data : []);
+    } catch (err) {
+      logger.error('canned_responses_load_failed', { errorMessage: err.message, module: 'useCannedResponses' });
+      setError(err.message || 'Failed to load canned responses');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (enabled) reload();
+  }, [enabled, reload]);
+
+  /**
+   * Create or update a response (errors are thrown to the caller)
+   *
+   * @param {Object} draft - Response fields; with `id` to update
+   * @returns {Promise<Object>} Saved response
+   */
+  const save = useCallback(async (draft) => {
+    const { id, ...data } = draft;
+    const saved = id ? await updateCannedResponse(id, data) : await createCannedResponse(data);
+    setResponses(prev => (id
+      ? prev.map(response => (response.id === id ? saved : response))
+      : [...prev, saved]));
+    logger.info('canned_response_saved', { responseId: saved.id, created: !id, module: 'useCannedResponses' });
+    return saved;
+  }, []);
+
+  /**
+   * Delete a response (errors are thrown to the caller)
+   *
+   * @param {number} id - Canned response ID
+   * @returns {Promise<void>}
+   */
+  const remove = useCallback(async (id) => {
+    await deleteCannedResponse(id);
+    setResponses(prev => prev.filter(response => response.id !== id));
+    logger.info('canned_response_deleted', { responseId: id, module: 'useCannedResponses' });
+  }, []);
+
+  return { responses, loading, error, reload, save, remove };
+};
+
+export default useCannedResponses;
@@ -0,0 +1,159 @@
+/**
+ * Module: hooks/useChatAttachments.js
+ * Purpose: Pending chat attachments (validate, resize, upload) for the message input
+ * Part of: Easter Quest 2025 - Chat System
+ *
+ * Features:
+ * - Server upload limits (GET /files/limits) with local defaults
+ * - Images downscaled via utils/imageUtils.js before the size check and upload
+ * - Uploads start immediately; the message is sent with the uploaded references
+ * - Local previews (object URLs) released on remove, clear and unmount
+ *
+ * Usage:
+ * ```javascript
+ * const { items, addFiles, readyAttachments, isUploading, clear } = useChatAttachments({ enabled: chatMode !== 'ai' });
+ * ```
+ *
+ * @since 2026-10-19
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { uploadImage, uploadAttachment, getUploadLimits } from '../services/files';
+import { resizeImage } from '../utils/imageUtils';
+import { DEFAULT_UPLOAD_LIMITS, validateAttachment, isImageAttachment } from '../utils/chatAttachments';
+import { logger } from '../utils/logger';
+
+let nextAttachmentId = 0;
+
+/**
+ * Chat attachments hook
+ *
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.enabled - Attachments allowed in the current chat (default: true)
+ * @returns {Object} { items, addFiles, removeAttachment, clear, limits, errors, dismissErrors, isUploading, readyAttachments }
+ */
+export const useChatAttachments = (options = {}) => {
+  const { enabled = true } = options;
+
+  const [items, setItems] = useState([]);
+  const [limits, setLimits] = useState(DEFAULT_UPLOAD_LIMITS);
+  const [errors, setErrors] = useState([]);
+  const itemsRef = useRef(items);
+
+  useEffect(() => {
+    itemsRef.current = items;
+  }, [items]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    getUploadLimits()
+      .then(data => setLimits({ ...DEFAULT_UPLOAD_LIMITS, ...data }))
+      .catch(err => logger.warn('chat_upload_limits_load_failed', { errorMessage: err.message, module: 'useChatAttachments' }));
+  }, [enabled]);
+
+  // Release previews when the input goes away
+  useEffect(() => () => {
+    itemsRef.current.forEach(item => item.previewUrl && URL.revokeObjectURL(item.previewUrl));
+  }, []);
+
+  const updateItem = useCallback((id, changes) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  const upload = useCallback(async (id, file) => {
+    try {
+      const response = isImageAttachment(file)
+        ? await uploadImage(file, { purpose: 'chat' })
+        : await uploadAttachment(file);
+      updateItem(id, {
+        status: 'ready',
+        attachment: {
+          url: response.url,
+          thumbnail_url: response.thumbnail_url || null,
+          filename: file.name,
+          content_type: file.type,
+          size: file.size
+        }
+      });
+    } catch (err) {
+      logger.error('chat_attachment_upload_failed', { contentType: file.type, size: file.size, errorMessage: err.message, module: 'useChatAttachments' });
+      updateItem(id, { status: 'error', error: err.message || 'Upload failed' });
+    }
+  }, [updateItem]);
+
+  /**
+   * Validate, resize and upload files (from picker, paste or drop)
+   *
+   * @param {FileList|Array<File>} fileList - Files to attach
+   */
+  const addFiles = useCallback(async (fileList) => {
+    if (!enabled) return;
+    const files = [...fileList];
+    const free = Math.max(0, limits.max_attachments - itemsRef.current.length);
+    const rejected = files.length > free
+      ? [`Only ${limits.max_attachments} attachments per message`]
+      : [];
+
+    for (const original of files.slice(0, free)) {
+      let file = original;
+      if (isImageAttachment(original)) {
+        try {
+          file = await resizeImage(original);
+        } catch (err) {
+          logger.warn('chat_attachment_resize_failed', { errorMessage: err.message, module: 'useChatAttachments' });
+        }
+      }
+
+      const error = validateAttachment(file, limits);
+      if (error) {
+        rejected.push(error);
+        continue;
+      }
+
+      const id = `att-${++nextAttachmentId}`;
+      const item = {
+        id,
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        previewUrl: isImageAttachment(file) ? URL.createObjectURL(file) : null,
+        status: 'uploading',
+        attachment: null,
+        error: null
+      };
+      itemsRef.current = [...itemsRef.current, item];
+      setItems(prev => [...prev, item]);
+      upload(id, file);
+    }
+
+    setErrors(rejected);
+  }, [enabled, limits, upload]);
+
+  const removeAttachment = useCallback((id) => {
+    const removed = itemsRef.current.find(item => item.id === id);
+    if (removed?.previewUrl) URL.revokeObjectURL(removed.previewUrl);
+    setItems(prev => prev.filter(item => item.id !== id));
+  }, []);
+
+  const clear = useCallback(() => {
+    itemsRef.current.forEach(item => item.previewUrl && URL.revokeObjectURL(item.previewUrl));
+    setItems([]);
+    setErrors([]);
+  }, []);
+
+  const dismissErrors = useCallback(() => setErrors([]), []);
+
+  return {
+    items,
+    addFiles,
+    removeAttachment,
+    clear,
+    limits,
+    errors,
+    dismissErrors,
+    isUploading: items.some(item => item.status === 'uploading'),
+    readyAttachments: items.filter(item => item.status === 'ready').map(item => item.attachment)
+  };
+};
+
+export default useChatAttachments;
@@ -0,0 +1,98 @@
+/**
+ * Module: hooks/useChatSearch.js
+ * Purpose: Debounced full-text chat search with cursor pagination
+ * Part of: Easter Quest 2025 - Chat System
+ *
+ * Features:
+ * - Searches AI/admin history, team channel and private conversations (GET /chat/search)
+ * - Debounces typing, ignores responses of outdated queries
+ * - "Load more" with the cursor returned by the backend
+ *
+ * Usage:
+ * ```javascript
+ * const { filters, setFilter, results, hasMore, loadMore, loading } = useChatSearch();
+ * ```
+ *
+ * @since 2026-10-19
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { searchMessages } from '../services/chat';
+import { buildSearchParams, MIN_QUERY_LENGTH } from '../utils/chatSearch';
+import { logger } from '../utils/logger';
+
+const EMPTY_FILTERS = { query: '', source: '', sender: '', from: '', to: '', gameId: '' };
+
+/**
+ * Chat search hook
+ *
+ * @param {Object} options - Configuration options
+ * @param {number} options.debounceMs - Delay after the last change before searching (default: 300)
+ * @returns {Object} { filters, setFilter, resetFilters, results, hasMore, loading, error, loadMore }
+ */
+export const useChatSearch = (options = {}) => {
+  const { debounceMs = 300 } = options;
+
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [results, setResults] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const requestIdRef = useRef(0);
+
+  const setFilter = useCallback((name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+  }, []);
+
+  const resetFilters = useCallback(() => setFilters(EMPTY_FILTERS), []);
+
+  /**
+   * Run a search; a cursor appends the next page to the results
+   */
+  const runSearch = useCallback(async (searchFilters, cursor = null) => {
+    const requestId = ++requestIdRef.current;
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await searchMessages(buildSearchParams(searchFilters, cursor));
+      if (requestId !== requestIdRef.current) return;
+      setResults(prev => (cursor ? [...prev, ...(data.results || [])] : (data.results || [])));
+      setNextCursor(data.next_cursor || null);
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+      logger.error('chat_search_failed', { errorMessage: err.message, module: 'useChatSearch' });
+      setError(err.message || 'Search failed');
+    } finally {
+      if (requestId === requestIdRef.current) setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (filters.query.trim().length < MIN_QUERY_LENGTH) {
+      requestIdRef.current += 1;
+      setResults([]);
+      setNextCursor(null);
+      setLoading(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => runSearch(filters), debounceMs);
+    return () => clearTimeout(timer);
+  }, [filters, debounceMs, runSearch]);
+
+  const loadMore = useCallback(() => {
+    if (nextCursor && !loading) runSearch(filters, nextCursor);
+  }, [filters, nextCursor, loading, runSearch]);
+
+  return {
+    filters,
+    setFilter,
+    resetFilters,
+    results,
+    hasMore: !!nextCursor,
+    loading,
+    error,
+    loadMore
+  };
+};
+
+export default useChatSearch;
@@ -0,0 +1,164 @@
+/**
+ * Module: hooks/useLeaderboard.js
+ * Purpose: Live event leaderboard (REST snapshot + SSE dashboard stream)
+ * Part of: Easter Quest 2025 - Leaderboard
+ *
+ * Features:
+ * - Initial standings, settings and recent completions from /games/leaderboard
+ * - Live `team_progress_update` events from the game dashboard SSE stream
+ *   (admin-only, so only for viewers with GAME_DASHBOARD_VIEW - it carries
+ *   real team names); everyone else polls the leaderboard snapshot
+ * - Ranking and anonymisation via utils/leaderboard.js, re-evaluated every
+ *   minute so names appear on time (e.g. in the final hour)
+ *
+ * Usage:
+ * ```javascript
+ * const { teams, recentCompletions, eventEnd, anonymized, isConnected } = useLeaderboard({
+ *   ownTeamId: user.team_id,
+ *   canStream: hasPermission(user, PERMISSIONS.GAME_DASHBOARD_VIEW)
+ * });
+ * ```
+ *
+ * @since 2026-10-19
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useSSE } from './useSSE';
+import { buildApiUrl } from '../config/apiConfig';
+import { getLeaderboard } from '../services/games';
+import { logger } from '../utils/logger';
+import { rankTeams, applyProgressUpdate, getEventEnd, isAnonymized, anonymizeTeams } from '../utils/leaderboard';
+
+const MAX_RECENT_COMPLETIONS = 10;
+const CLOCK_INTERVAL_MS = 60 * 1000;
+export const POLL_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Leaderboard hook
+ *
+ * @param {Object} options - Configuration options
+ * @param {number|null} options.ownTeamId - Viewer's team (always shown by name)
+ * @param {boolean} options.live - Keep the standings up to date (default: true)
+ * @param {boolean} options.canStream - Viewer may use the admin dashboard stream (default: false, polls instead)
+ * @returns {Object} { teams, recentCompletions, event, eventEnd, anonymized, loading, error, isConnected, polling, reload }
+ */
+export const useLeaderboard = (options = {}) => {
+  const { ownTeamId = null, live = true, canStream = false } = options;
+  const streaming = live && canStream;
+  const polling = live && !canStream;
+
+  // Teams and completions change together on live updates
+  const [standings, setStandings] = useState({ teams: [], recentCompletions: [] });
+  const [settings, setSettings] = useState(null);
+  const [event, setEvent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+
+  /**
+   * Fetch the leaderboard snapshot into state
+   */
+  const fetchSnapshot = useCallback(async () => {
+    const data = await getLeaderboard();
+    setStandings({
+      teams: data.teams || [],
+      recentCompletions: (data.recent_completions || []).slice(0, MAX_RECENT_COMPLETIONS)
+    });
+    setSettings(data.settings || null);
+    setEvent(data.event || null);
+  }, []);
+
+  /**
+   * Load the leaderboard snapshot
+   */
+  const reload = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      await fetchSnapshot();
+    } catch (err) {
+      logger.error('leaderboard_load_failed', { error: err.message, module: 'useLeaderboard' });
+      setError(err.message || 'Failed to load leaderboard');
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchSnapshot]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // Viewers without the dashboard stream refresh in the background (keeps the last standings on errors)
+  useEffect(() => {
+    if (!polling) return undefined;
+    const id = setInterval(() => {
+      fetchSnapshot().catch(err => {
+        logger.warn('leaderboard_poll_failed', { error: err.message, module: 'useLeaderboard' });
+      });
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(id);
+  }, [polling, fetchSnapshot]);
+
+  // Anonymisation depends on the time left, re-check it periodically
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), CLOCK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  /**
+   * Merge live progress updates
+   */
+  const handleMessage = useCallback((eventType, data) => {
+    if (eventType !== 'team_progress_update' || !data?.team_id) return;
+
+    setStandings(prev => {
+      const { teams, completion } = applyProgressUpdate(prev.teams, data);
+      return {
+        teams,
+        recentCompletions: completion
+          ? [completion, ...prev.recentCompletions].slice(0, MAX_RECENT_COMPLETIONS)
+          : prev.recentCompletions
+      };
+    });
+  }, []);
+
+  const { isConnected } = useSSE({
+    endpoint: streaming ? buildApiUrl('sse/admin/game-dashboard/stream') : null,
+    eventTypes: ['team_progress_update', 'heartbeat', 'error'],
+    onMessage: handleMessage,
+    name: 'Leaderboard'
+  });
+
+  const eventEnd = useMemo(() => getEventEnd(event), [event]);
+  const anonymized = isAnonymized(settings, eventEnd, now);
+
+  const rankedTeams = useMemo(() => {
+    const ranked = rankTeams(standings.teams);
+    return anonymized
+      ? anonymizeTeams(ranked, ownTeamId)
+      : ranked.map(team => ({ ...team, display_name: team.team_name }));
+  }, [standings.teams, anonymized, ownTeamId]);
+
+  // Completions of other teams must not leak names either
+  const recentCompletions = useMemo(() => standings.recentCompletions.map(completion => ({
+    ...completion,
+    display_name: anonymized && completion.team_id !== ownTeamId
+      ? rankedTeams.find(team => team.team_id === completion.team_id)?.display_name || 'A team'
+      : completion.team_name
+  })), [standings.recentCompletions, anonymized, ownTeamId, rankedTeams]);
+
+  return {
+    teams: rankedTeams,
+    recentCompletions,
+    event,
+    eventEnd,
+    anonymized,
+    loading,
+    error,
+    isConnected: streaming && isConnected,
+    polling,
+    reload
+  };
+};
+
+export default useLeaderboard;
@@ -0,0 +1,62 @@
+/**
+ * Module: hooks/useMessageFocus.js
+ * Purpose: Scroll to and highlight a message opened from chat search
+ * Part of: Easter Quest 2025 - Chat System
+ *
+ * Features:
+ * - Finds the focused message by `data-message-id` inside a message list
+ * - Waits until the message is rendered (history may still be loading)
+ * - Highlights it for a moment, then releases the focus
+ *
+ * Usage:
+ * ```javascript
+ * const highlightedId = useMessageFocus(listRef, { focusedMessageId, onFocused: clearFocusedMessage, items: messages });
+ * ```
+ *
+ * @since 2026-10-19
+ */
+
+import { useState, useEffect, useRef } from 'react';
+
+const HIGHLIGHT_MS = 2500;
+
+/**
+ * Message focus hook
+ *
+ * @param {Object} listRef - Ref of the scrolling message list
+ * @param {Object} options - Configuration options
+ * @param {string|null} options.focusedMessageId - Message to focus (ChatContext)
+ * @param {Function} options.onFocused - Called once the message was scrolled into view
+ * @param {Array} options.items - Rendered messages (re-checks when they change)
+ * @returns {string|null} ID of the highlighted message
+ */
+export const useMessageFocus = (listRef, options = {}) => {
+  const { focusedMessageId = null, onFocused, items } = options;
+  const [highlightedId, setHighlightedId] = useState(null);
+  const onFocusedRef = useRef(onFocused);
+
+  useEffect(() => {
+    onFocusedRef.current = onFocused;
+  }, [onFocused]);
+
+  useEffect(() => {
+    if (!focusedMessageId || !listRef.current) return;
+    const node = [...listRef.current.querySelectorAll('[data-message-id]')]
+      .find(element => element.dataset.messageId === String(focusedMessageId));
+    if (!node) return;
+
+    node.scrollIntoView?.({ block: 'center' });
+    setHighlightedId(String(focusedMessageId));
+    onFocusedRef.current?.();
+  }, [focusedMessageId, listRef, items]);
+
+  useEffect(() => {
+    if (!highlightedId) return undefined;
+    const timer = setTimeout(() => setHighlightedId(null), HIGHLIGHT_MS);
+    return () => clearTimeout(timer);
+  }, [highlightedId]);
+
+  return highlightedId;
+};
+
+export default useMessageFocus;
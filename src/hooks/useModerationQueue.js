@@ -0,0 +1,149 @@
+/**
+ * Module: hooks/useModerationQueue.js
+ * Purpose: Load and work through reported chat messages and active mutes
+ * Part of: Easter Quest 2025 - Chat System
+ *
+ * Open reports are refreshed periodically so new reports show up
+ * without reloading the dashboard.
+ *
+ * Usage:
+ * ```javascript
+ * const { reports, mutes, dismiss, removeMessage, mute, unmute } = useModerationQueue();
+ * ```
+ *
+ * @since 2026-10-19
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getModerationReports,
+  dismissModerationReport,
+  deleteChatMessage,
+  getChatMutes,
+  muteChatUser,
+  unmuteChatUser
+} from '../services/chat';
+import { logger } from '../utils/logger';
+
+const REFRESH_INTERVAL_MS = 30000;
+
+/**
+ * Moderation queue hook
+ *
+ * @param {Object} options - Configuration options
+ * @param {number} options.refreshIntervalMs - Refresh interval (default: 30000)
+ * @returns {Object} { reports, mutes, loading, error, reload, dismiss, removeMessage, mute, unmute }
+ */
+export const useModerationQueue = (options = {}) => {
+  const { refreshIntervalMs = REFRESH_INTERVAL_MS } = options;
+
+  const [reports, setReports] = useState([]);
+  const [mutes, setMutes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [reportData, muteData] = await Promise.all([getModerationReports('open'), getChatMutes()]);
+      setReports(Array.isArray(reportData) ? reportData : []);
+      setMutes(Array.isArray(muteData) ? muteData : []);
+    } catch (err) {
+      logger.error('moderation_queue_load_failed', { errorMessage: err.message, module: 'useModerationQueue' });
+      setError(err.message || 'Failed to load moderation queue');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+    const id = setInterval(reload, refreshIntervalMs);
+    return () => clearInterval(id);
+  }, [reload, refreshIntervalMs]);
+
+  const dropReport = (reportId) => setReports(prev => prev.filter(report => report.id !== reportId));
+
+  /**
+   * Dismiss a report without action (errors are thrown to the caller)
+   *
+   * @param {number} reportId - Report ID
+   * @returns {Promise<void>}
+   */
+  const dismiss = useCallback(async (reportId) => {
+    await dismissModerationReport(reportId);
+    dropReport(reportId);
+    logger.info('moderation_report_dismissed', { reportId, module: 'useModerationQueue' });
+  }, []);
+
+  /**
+   * Remove the reported message for everyone and close the report
+   *
+   * @param {Object} report - Report from the queue
+   * @param {string} [reason] - Removal reason
+   * @returns {Promise<void>}
+   */
+  const removeMessage = useCallback(async (report, reason = 'Removed by moderator') => {
+    await deleteChatMessage(report.message_id, { reason, report_id: report.id });
+    dropReport(report.id);
+    logger.info('moderation_message_removed', {
+      reportId: report.id,
+      messageId: report.message_id,
+      module: 'useModerationQueue'
+    });
+  }, []);
+
+  /**
+   * Mute the sender of a reported message and close the report
+   *
+   * @param {Object} report - Report from the queue
+   * @param {number} minutes - Mute duration
+   * @returns {Promise<void>}
+   */
+  const mute = useCallback(async (report, minutes) => {
+    const created = await muteChatUser(report.sender_id, {
+      minutes,
+      reason: getMuteReason(report),
+      report_id: report.id
+    });
+    dropReport(report.id);
+    if (created) {
+      const entry = { username: report.sender_username, team_name: report.team_name, ...created };
+      setMutes(prev => [entry, ...prev.filter(existing => existing.user_id !== entry.user_id)]);
+    }
+    logger.info('moderation_user_muted', {
+      reportId: report.id,
+      userId: report.sender_id,
+      minutes,
+      module: 'useModerationQueue'
+    });
+  }, []);
+
+  /**
+   * Lift a mute early
+   *
+   * @param {number} userId - Muted user ID
+   * @returns {Promise<void>}
+   */
+  const unmute = useCallback(async (userId) => {
+    await unmuteChatUser(userId);
+    setMutes(prev => prev.filter(entry => entry.user_id !== userId));
+    logger.info('moderation_user_unmuted', { userId, module: 'useModerationQueue' });
+  }, []);
+
+  return { reports, mutes, loading, error, reload, dismiss, removeMessage, mute, unmute };
+};
+
+/**
+ * Mute reason stored with the mute (shown to the muted user)
+ *
+ * @param {Object} report - Report from the queue
+ * @returns {string} Reason text
+ */
+function getMuteReason(report) {
+  const reasons = [...new Set((report.reports || []).map(entry => entry.reason))];
+  return reasons.length > 0 ? `Reported: ${reasons.join(', ')}` : 'Reported message';
+}
+
+export default useModerationQueue;
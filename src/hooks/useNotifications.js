@@ -10,7 +10,7 @@
  * - Real-time notification streaming from backend
  * - Automatic reconnection on disconnect
  * - Token refresh handling with reconnection
- * - Event-based architecture for notifications and heartbeats
+ * - Event-based architecture for notifications, assignments and heartbeats
  * - Connection state management
  *
  * Usage:
@@ -36,10 +36,13 @@ import { logger } from '../utils/logger';
  *
  * Events:
  * - notification: New or updated notification
+ * - assignment: Escalation claimed, assigned, released or reassigned after a claim timeout
+ *   ({ notification_id, assigned_to_id, assigned_to_username, assigned_at, claim_expires_at, reason })
  * - heartbeat: Keep-alive ping with notification count
  *
  * @param {Object} options - Configuration options
  * @param {Function} options.onNotification - Callback when notification received (data)
+ * @param {Function} options.onAssignment - Callback when an assignment changed (data)
  * @param {Function} options.onHeartbeat - Callback for heartbeat (data)
  * @param {Function} options.onConnect - Callback when connected
  * @param {Function} options.onDisconnect - Callback when disconnected
@@ -49,6 +52,7 @@ import { logger } from '../utils/logger';
 export const useNotifications = (options = {}) => {
   const {
     onNotification,
+    onAssignment,
     onHeartbeat,
     onConnect,
     onDisconnect,
@@ -69,6 +73,16 @@ export const useNotifications = (options = {}) => {
         onNotification?.(data);
         break;
 
+      case 'assignment':
+        logger.debug('notifications_assignment_received', {
+          notificationId: data.notification_id,
+          assignedToId: data.assigned_to_id,
+          reason: data.reason,
+          module: 'useNotifications'
+        });
+        onAssignment?.(data);
+        break;
+
       case 'heartbeat':
         logger.debug('notifications_heartbeat', {
           count: data.count,
@@ -83,7 +97,7 @@ export const useNotifications = (options = {}) => {
           module: 'useNotifications'
         });
     }
-  }, [onNotification, onHeartbeat]);
+  }, [onNotification, onAssignment, onHeartbeat]);
 
   /**
    * Handle connection established
@@ -119,7 +133,7 @@ export const useNotifications = (options = {}) => {
   // Use generic SSE hook with notifications configuration
   const { data, isConnected, error, reconnect, disconnect } = useSSE({
     endpoint: buildApiUrl('chat/admin/notifications/stream'),
-    eventTypes: ['notification', 'heartbeat', 'error'],
+    eventTypes: ['notification', 'assignment', 'heartbeat', 'error'],
     onMessage: handleMessage,
     onConnect: handleConnect,
     onDisconnect: handleDisconnect,
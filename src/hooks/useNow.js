@@ -0,0 +1,34 @@
+/**
+ * Module: hooks/useNow.js
+ * Purpose: Current time that updates on an interval (for countdowns)
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Usage:
+ * ```javascript
+ * const now = useNow(1000);
+ * const remaining = dueAt - now;
+ * ```
+ *
+ * @since 2026-10-19
+ */
+
+import { useState, useEffect } from 'react';
+
+/**
+ * Current time hook
+ *
+ * @param {number} intervalMs - Update interval in milliseconds (default: 1000)
+ * @returns {number} Current time (ms since epoch)
+ */
+export const useNow = (intervalMs = 1000) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs]);
+
+  return now;
+};
+
+export default useNow;
@@ -0,0 +1,37 @@
+/**
+ * Module: hooks/usePermission.js
+ * Purpose: Check a named permission for the current user
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Usage:
+ * ```javascript
+ * const canBroadcast = usePermission(PERMISSIONS.CHAT_BROADCAST_ANY_TEAM);
+ * const canEditContent = usePermission([PERMISSIONS.CONTENT_EVENTS_MANAGE, PERMISSIONS.CONTENT_PROMPTS_EDIT]);
+ * ```
+ *
+ * Outside a PermissionProvider every check is denied.
+ *
+ * @since 2026-10-19
+ * @see ../config/permissions.js
+ */
+
+import { usePermissionContext } from '../contexts/PermissionContext';
+
+/**
+ * Permission check hook
+ *
+ * @param {string|Array<string>} permission - Permission name, or list where any one suffices
+ * @returns {boolean} True if the current user holds the permission
+ */
+export const usePermission = (permission) => {
+  const context = usePermissionContext();
+
+  if (!context) {
+    return false;
+  }
+
+  const required = Array.isArray(permission) ? permission : [permission];
+  return required.some(name => context.permissions.has(name));
+};
+
+export default usePermission;
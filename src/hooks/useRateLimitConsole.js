@@ -0,0 +1,145 @@
+/**
+ * Module: hooks/useRateLimitConsole.js
+ * Purpose: Load rate limit counters, whitelist and block history and manage bans
+ * Part of: Easter Quest 2025 - Game Admin Dashboard
+ *
+ * Counters are refreshed periodically; remaining windows and bans are counted
+ * down locally from `loadedAt` in between.
+ *
+ * Usage:
+ * ```javascript
+ * const { counters, whitelist, history, ban, liftBan, addWhitelist } = useRateLimitConsole();
+ * ```
+ *
+ * @since 2026-10-19
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getRateLimitCounters,
+  getRateLimitWhitelist,
+  addRateLimitWhitelistEntry,
+  removeRateLimitWhitelistEntry,
+  banRateLimitTarget,
+  liftRateLimitBan,
+  getRateLimitHistory
+} from '../services/admin';
+import { logger } from '../utils/logger';
+
+const REFRESH_INTERVAL_MS = 15000;
+
+const EMPTY_COUNTERS = { ips: [], users: [] };
+
+/**
+ * Rate limit console hook
+ *
+ * @param {Object} options - Configuration options
+ * @param {number} options.refreshIntervalMs - Counter refresh interval (default: 15000)
+ * @returns {Object} { counters, loadedAt, whitelist, history, loading, error, reload, ban, liftBan, addWhitelist, removeWhitelist }
+ */
+export const useRateLimitConsole = (options = {}) => {
+  const { refreshIntervalMs = REFRESH_INTERVAL_MS } = options;
+
+  const [counters, setCounters] = useState(EMPTY_COUNTERS);
+  const [loadedAt, setLoadedAt] = useState(() => Date.now());
+  const [whitelist, setWhitelist] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadCounters = useCallback(async () => {
+    const data = await getRateLimitCounters();
+    setCounters({ ips: data?.ips || [], users: data?.users || [] });
+    setLoadedAt(Date.now());
+  }, []);
+
+  const loadHistory = useCallback(async () => {
+    const data = await getRateLimitHistory();
+    setHistory(data?.blocks || []);
+  }, []);
+
+  const reload = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [, whitelistData] = await Promise.all([loadCounters(), getRateLimitWhitelist(), loadHistory()]);
+      setWhitelist(whitelistData?.entries || []);
+    } catch (err) {
+      logger.error('rate_limit_console_load_failed', { errorMessage: err.message, module: 'useRateLimitConsole' });
+      setError(err.message || 'Failed to load rate limits');
+    } finally {
+      setLoading(false);
+    }
+  }, [loadCounters, loadHistory]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  useEffect(() => {
+    const id = setInterval(() => {
+      loadCounters().catch(err => logger.warn('rate_limit_counters_refresh_failed', {
+        errorMessage: err.message,
+        module: 'useRateLimitConsole'
+      }));
+    }, refreshIntervalMs);
+    return () => clearInterval(id);
+  }, [loadCounters, refreshIntervalMs]);
+
+  /**
+   * Ban an IP or user temporarily (errors are thrown to the caller)
+   *
+   * @param {Object} banRequest - { target: 'ip'|'user', identifier, minutes, reason }
+   * @returns {Promise<void>}
+   */
+  const ban = useCallback(async (banRequest) => {
+    await banRateLimitTarget(banRequest);
+    logger.info('rate_limit_target_banned', {
+      target: banRequest.target,
+      minutes: banRequest.minutes,
+      module: 'useRateLimitConsole'
+    });
+    await Promise.all([loadCounters(), loadHistory()]);
+  }, [loadCounters, loadHistory]);
+
+  /**
+   * Lift a ban before it expires
+   *
+   * @param {string} target - 'ip' or 'user'
+   * @param {string|number} identifier - IP address or user ID
+   * @returns {Promise<void>}
+   */
+  const liftBan = useCallback(async (target, identifier) => {
+    await liftRateLimitBan(target, identifier);
+    logger.info('rate_limit_ban_lifted', { target, module: 'useRateLimitConsole' });
+    await Promise.all([loadCounters(), loadHistory()]);
+  }, [loadCounters, loadHistory]);
+
+  /**
+   * Whitelist an IP or CIDR range
+   *
+   * @param {Object} entry - { range, note }
+   * @returns {Promise<void>}
+   */
+  const addWhitelist = useCallback(async (entry) => {
+    const created = await addRateLimitWhitelistEntry(entry);
+    setWhitelist(prev => [...prev, created || entry]);
+    logger.info('rate_limit_whitelist_added', { range: entry.range, module: 'useRateLimitConsole' });
+  }, []);
+
+  /**
+   * Remove a whitelist entry
+   *
+   * @param {number} entryId - Whitelist entry ID
+   * @returns {Promise<void>}
+   */
+  const removeWhitelist = useCallback(async (entryId) => {
+    await removeRateLimitWhitelistEntry(entryId);
+    setWhitelist(prev => prev.filter(entry => entry.id !== entryId));
+    logger.info('rate_limit_whitelist_removed', { entryId, module: 'useRateLimitConsole' });
+  }, []);
+
+  return { counters, loadedAt, whitelist, history, loading, error, reload, ban, liftBan, addWhitelist, removeWhitelist };
+};
+
+export default useRateLimitConsole;
@@ -0,0 +1,93 @@
+/**
+ * Module: hooks/useReadReceipts.js
+ * Purpose: Report chat messages as read once they scroll into view
+ * Part of: Easter Quest 2025 - Chat System
+ *
+ * Features:
+ * - IntersectionObserver on message elements inside a scroll container
+ * - Batches visible message IDs and reports them after a short delay
+ * - Reports each message at most once per mounted view
+ *
+ * Usage:
+ * ```javascript
+ * const trackMessage = useReadReceipts({ rootRef: listRef, onRead: markMessagesRead });
+ * <div ref={isUnread ? trackMessage : undefined} data-message-id={message.id}>...</div>
+ * ```
+ *
+ * @since 2026-10-19
+ */
+
+import { useEffect, useRef, useCallback } from 'react';
+
+const VISIBLE_THRESHOLD = 0.6;
+
+/**
+ * Read receipt hook
+ *
+ * @param {Object} options - Configuration options
+ * @param {Object} options.rootRef - Ref of the scrolling message list
+ * @param {Function} options.onRead - Callback with an array of message IDs that became visible
+ * @param {boolean} options.enabled - Observe messages (default: true)
+ * @param {number} options.delay - Batching delay in ms (default: 400)
+ * @returns {Function} Callback ref for message elements (needs `data-message-id`)
+ */
+export const useReadReceipts = (options = {}) => {
+  const { rootRef, onRead, enabled = true, delay = 400 } = options;
+
+  const observerRef = useRef(null);
+  const nodesRef = useRef(new Set());
+  const reportedRef = useRef(new Set());
+  const pendingRef = useRef(new Set());
+  const timerRef = useRef(null);
+  const onReadRef = useRef(onRead);
+
+  useEffect(() => {
+    onReadRef.current = onRead;
+  }, [onRead]);
+
+  const flush = useCallback(() => {
+    clearTimeout(timerRef.current);
+    timerRef.current = null;
+    if (pendingRef.current.size === 0) return;
+    const ids = [...pendingRef.current];
+    pendingRef.current = new Set();
+    onReadRef.current?.(ids);
+  }, []);
+
+  useEffect(() => {
+    if (!enabled || typeof IntersectionObserver === 'undefined') return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+        const id = entry.target.dataset.messageId;
+        observer.unobserve(entry.target);
+        nodesRef.current.delete(entry.target);
+        if (!id || reportedRef.current.has(id)) return;
+        reportedRef.current.add(id);
+        pendingRef.current.add(id);
+      });
+      if (pendingRef.current.size > 0 && !timerRef.current) {
+        timerRef.current = setTimeout(flush, delay);
+      }
+    }, { root: rootRef?.current || null, threshold: VISIBLE_THRESHOLD });
+
+    // Elements rendered before the observer existed
+    nodesRef.current.forEach(node => observer.observe(node));
+    observerRef.current = observer;
+
+    return () => {
+      observer.disconnect();
+      observerRef.current = null;
+      flush();
+    };
+  }, [enabled, rootRef, delay, flush]);
+
+  return useCallback((node) => {
+    if (!node || reportedRef.current.has(node.dataset.messageId)) return;
+    nodesRef.current.add(node);
+    observerRef.current?.observe(node);
+  }, []);
+};
+
+export default useReadReceipts;
@@ -0,0 +1,147 @@
+/**
+ * Module: hooks/useSecurityAlerts.js
+ * Purpose: Evaluate the shared security alert rules against the admin SSE stream
+ * Part of: Easter Quest 2025 - Game Admin Dashboard
+ *
+ * Rules are stored in system config (`security.alert_rules`) so every admin gets
+ * the same alerts; they are read through the admin security endpoint, which game
+ * admins may use too. Triggered alerts are kept for the session, shown in the
+ * dashboard, sent through the desktop/sound alert settings (category
+ * `security_alerts`) and recorded as notification entries.
+ *
+ * Usage:
+ * ```javascript
+ * const { rules, alerts, acknowledge } = useSecurityAlerts({ latestSecurityEvent, securitySummary, user });
+ * ```
+ *
+ * @since 2026-10-19
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { updateConfig } from '../services/system';
+import { getSecurityAlertRules, createSecurityAlertNotification } from '../services/admin';
+import { request } from '../services/api';
+import { PERMISSIONS, hasPermission } from '../config/permissions';
+import {
+  ALERT_RULES_CONFIG_KEY,
+  DEFAULT_ALERT_RULES,
+  parseAlertRules,
+  createAlertState,
+  evaluateSecurityEvent,
+  evaluateSecuritySummary
+} from '../utils/securityAlertRules';
+import { notifyAlert } from '../utils/alertNotifier';
+import { logger } from '../utils/logger';
+
+const MAX_ALERTS = 50;
+
+/**
+ * Security alert rules hook
+ *
+ * @param {Object} options
+ * @param {Object|null} options.latestSecurityEvent - Latest `security_event` from SSE
+ * @param {Object|null} options.securitySummary - Latest `security_summary_update` from SSE
+ * @param {Object} options.user - Current user (rule editing needs SYSTEM_CONFIG_EDIT)
+ * @returns {Object} { rules, rulesLoaded, rulesError, canEditRules, saveRules, alerts, unacknowledgedCount, acknowledge, clearAlerts }
+ *   - rulesError: set when the shared rules could not be loaded (the defaults are used)
+ */
+export const useSecurityAlerts = ({ latestSecurityEvent, securitySummary, user }) => {
+  const [rules, setRules] = useState(DEFAULT_ALERT_RULES);
+  const [rulesLoaded, setRulesLoaded] = useState(false);
+  const [rulesError, setRulesError] = useState(null);
+  const [alerts, setAlerts] = useState([]);
+  const rulesRef = useRef(DEFAULT_ALERT_RULES);
+  const stateRef = useRef(createAlertState());
+
+  const canEditRules = hasPermission(user, PERMISSIONS.SYSTEM_CONFIG_EDIT);
+
+  useEffect(() => {
+    rulesRef.current = rules;
+  }, [rules]);
+
+  // Shared rules (defaults if none are stored; flagged if they can't be loaded)
+  useEffect(() => {
+    getSecurityAlertRules()
+      .then(response => setRules(parseAlertRules(response?.rules)))
+      .catch(err => {
+        logger.warn('security_alert_rules_load_failed', {
+          errorMessage: err.message,
+          module: 'useSecurityAlerts'
+        });
+        setRulesError(err.message);
+      })
+      .finally(() => setRulesLoaded(true));
+  }, []);
+
+  // Languages seen so far, so "new language" only fires for languages that are really new
+  useEffect(() => {
+    request('GET', '/admin/security/stats/languages?days=9999')
+      .then(response => {
+        const known = (response.languages || []).map(entry => entry.language);
+        stateRef.current = { ...stateRef.current, knownLanguages: [...new Set([...(stateRef.current.knownLanguages || []), ...known])] };
+      })
+      .catch(err => logger.warn('security_alert_languages_load_failed', {
+        errorMessage: err.message,
+        module: 'useSecurityAlerts'
+      }));
+  }, []);
+
+  const raise = useCallback((triggered) => {
+    if (triggered.length === 0) return;
+    triggered.forEach(alert => {
+      logger.info('security_alert_triggered', { ruleId: alert.ruleId, userId: alert.userId, module: 'useSecurityAlerts' });
+      notifyAlert('security_alerts', { title: alert.title, body: alert.body, tag: alert.ruleId });
+      createSecurityAlertNotification({
+        rule_id: alert.ruleId,
+        title: alert.title,
+        body: alert.body,
+        user_id: alert.userId ?? null,
+        event_id: alert.eventId ?? null
+      }).catch(err => logger.warn('security_alert_notification_failed', {
+        ruleId: alert.ruleId,
+        errorMessage: err.message,
+        module: 'useSecurityAlerts'
+      }));
+    });
+    setAlerts(prev => [...triggered.map(alert => ({ ...alert, acknowledged: false })), ...prev].slice(0, MAX_ALERTS));
+  }, []);
+
+  useEffect(() => {
+    if (!latestSecurityEvent) return;
+    const { state, alerts: triggered } = evaluateSecurityEvent(rulesRef.current, stateRef.current, latestSecurityEvent);
+    stateRef.current = state;
+    raise(triggered);
+  }, [latestSecurityEvent, raise]);
+
+  useEffect(() => {
+    if (!securitySummary) return;
+    const { state, alerts: triggered } = evaluateSecuritySummary(rulesRef.current, stateRef.current, securitySummary);
+    stateRef.current = state;
+    raise(triggered);
+  }, [securitySummary, raise]);
+
+  /**
+   * Store the rules for all admins (errors are thrown to the caller)
+   *
+   * @param {Array<Object>} nextRules - Rules to save
+   * @returns {Promise<void>}
+   */
+  const saveRules = useCallback(async (nextRules) => {
+    await updateConfig(ALERT_RULES_CONFIG_KEY, JSON.stringify(nextRules));
+    setRules(nextRules);
+    setRulesError(null);
+    logger.info('security_alert_rules_saved', { ruleCount: nextRules.length, module: 'useSecurityAlerts' });
+  }, []);
+
+  const acknowledge = useCallback((alertId) => {
+    setAlerts(prev => prev.map(alert => (alert.id === alertId ? { ...alert, acknowledged: true } : alert)));
+  }, []);
+
+  const clearAlerts = useCallback(() => setAlerts([]), []);
+
+  const unacknowledgedCount = alerts.filter(alert => !alert.acknowledged).length;
+
+  return { rules, rulesLoaded, rulesError, canEditRules, saveRules, alerts, unacknowledgedCount, acknowledge, clearAlerts };
+};
+
+export default useSecurityAlerts;
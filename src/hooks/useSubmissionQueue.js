@@ -0,0 +1,91 @@
+/**
+ * Module: hooks/useSubmissionQueue.js
+ * Purpose: React binding for the offline submission queue
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Usage:
+ * ```javascript
+ * const { getGameItem, dismiss } = useSubmissionQueue({
+ *   userId: user.id,
+ *   enabled: !isAdmin,
+ *   onSettled: (item) => reloadProgress()
+ * });
+ * ```
+ *
+ * @since 2026-10-19
+ * @see ../services/submissionQueue.js
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  startSubmissionQueue,
+  stopSubmissionQueue,
+  getQueueItems,
+  onQueueChange,
+  dismissQueueItem,
+  QUEUE_STATUS
+} from '../services/submissionQueue';
+
+/**
+ * Submission queue hook
+ *
+ * @param {Object} options - Configuration options
+ * @param {number} options.userId - Current user ID (items are per user)
+ * @param {boolean} [options.enabled=true] - Replay the queue while mounted
+ * @param {Function} [options.onSettled] - Called with an item once it was accepted or rejected
+ * @returns {Object} { items, getGameItem, dismiss }
+ */
+export const useSubmissionQueue = ({ userId, enabled = true, onSettled } = {}) => {
+  const [items, setItems] = useState([]);
+  const onSettledRef = useRef(onSettled);
+  const statusRef = useRef({});
+
+  useEffect(() => {
+    onSettledRef.current = onSettled;
+  }, [onSettled]);
+
+  useEffect(() => {
+    if (!enabled || !userId) {
+      return undefined;
+    }
+
+    const handleChange = (nextItems) => {
+      nextItems.forEach(item => {
+        const previous = statusRef.current[item.id];
+        const settled = item.status === QUEUE_STATUS.ACCEPTED || item.status === QUEUE_STATUS.REJECTED;
+        if (settled && previous === QUEUE_STATUS.SENDING && onSettledRef.current) {
+          onSettledRef.current(item);
+        }
+        statusRef.current[item.id] = item.status;
+      });
+      setItems(nextItems);
+    };
+
+    const unsubscribe = onQueueChange(handleChange);
+    startSubmissionQueue(userId);
+    handleChange(getQueueItems());
+
+    return () => {
+      unsubscribe();
+      stopSubmissionQueue();
+    };
+  }, [userId, enabled]);
+
+  /**
+   * Latest queue item of a game (what the game card shows)
+   *
+   * @param {number} gameId - Game ID
+   * @returns {Object|null} Queue item
+   */
+  const getGameItem = useCallback((gameId) => (
+    [...items].reverse().find(item => item.gameId === gameId) || null
+  ), [items]);
+
+  return {
+    items,
+    getGameItem,
+    dismiss: dismissQueueItem
+  };
+};
+
+export default useSubmissionQueue;
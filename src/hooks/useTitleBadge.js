@@ -0,0 +1,45 @@
+/**
+ * Module: hooks/useTitleBadge.js
+ * Purpose: Show an unread count in the browser tab title
+ * Part of: Easter Quest 2025 - Chat System
+ *
+ * "(3) Easter Quest" while there are unread messages; the original title is
+ * restored when the count drops to 0 or the component unmounts. Can be turned
+ * off in the profile (alert preferences `titleBadge`).
+ *
+ * Usage:
+ * ```javascript
+ * useTitleBadge(getTotalUnreadCount());
+ * ```
+ *
+ * @since 2026-10-19
+ */
+
+import { useEffect, useRef } from 'react';
+import { loadAlertPreferences } from '../utils/alertPreferences';
+
+const BADGE_PATTERN = /^\(\d+\+?\) /;
+
+/**
+ * Tab title badge hook
+ *
+ * @param {number} count - Unread count
+ */
+export const useTitleBadge = (count) => {
+  const baseTitleRef = useRef(null);
+
+  useEffect(() => {
+    if (baseTitleRef.current === null) {
+      baseTitleRef.current = document.title.replace(BADGE_PATTERN, '');
+    }
+    const baseTitle = baseTitleRef.current;
+    const showBadge = count > 0 && loadAlertPreferences().titleBadge;
+    document.title = showBadge ? `(${count > 99 ? '99+' : count}) ${baseTitle}` : baseTitle;
+  }, [count]);
+
+  useEffect(() => () => {
+    if (baseTitleRef.current !== null) document.title = baseTitleRef.current;
+  }, []);
+};
+
+export default useTitleBadge;
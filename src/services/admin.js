@@ -8,8 +8,10 @@
  * - Team and game progress
  * - Game resets
  * - User management
- * - Rate limit management
+ * - Rate limit management (counters, whitelist, temporary bans, block history)
  * - System information
+ * - Security incident investigation (drill-down, warn, AI chat mute, escalation)
+ * - Shared security alert rules and notification entries for triggered alerts
  *
  * @since 2025-11-20
  */
@@ -172,6 +174,96 @@ export const resetRateLimitBulk = (ips) => {
   return request('POST', '/admin/reset-rate-limit-bulk', { ips });
 };
 
+/**
+ * Get current rate limit counters
+ *
+ * ADMIN ONLY
+ *
+ * @returns {Promise<Object>} { ips: [...], users: [...] }
+ * @returns {Array<Object>} response.ips - { ip, attempt_count, limit, window_ttl_seconds, status, ban_ttl_seconds, manual }
+ * @returns {Array<Object>} response.users - { user_id, username, request_count, limit, window_ttl_seconds, status, ban_ttl_seconds, manual }
+ * @throws {APIError} 403 if not admin
+ */
+export const getRateLimitCounters = () => request('GET', '/admin/rate-limits');
+
+/**
+ * Get whitelisted IPs and CIDR ranges (never rate limited)
+ *
+ * ADMIN ONLY
+ *
+ * @returns {Promise<Object>} { entries: [{ id, range, note, created_by, created_at }] }
+ * @throws {APIError} 403 if not admin
+ */
+export const getRateLimitWhitelist = () => request('GET', '/admin/rate-limits/whitelist');
+
+/**
+ * Whitelist an IP or CIDR range
+ *
+ * ADMIN ONLY
+ *
+ * @param {Object} entry - { range, note }
+ * @returns {Promise<Object>} Created entry
+ * @throws {APIError} 400 if the range is invalid, 403 if not admin, 409 if already whitelisted
+ */
+export const addRateLimitWhitelistEntry = (entry) => {
+  logger.info('admin_rate_limit_whitelist_add', { range: entry.range, module: 'admin' });
+  return request('POST', '/admin/rate-limits/whitelist', entry);
+};
+
+/**
+ * Remove a whitelist entry
+ *
+ * ADMIN ONLY
+ *
+ * @param {number} entryId - Whitelist entry ID
+ * @returns {Promise<Object>} Success confirmation
+ * @throws {APIError} 403 if not admin, 404 if not found
+ */
+export const removeRateLimitWhitelistEntry = (entryId) => {
+  logger.info('admin_rate_limit_whitelist_remove', { entryId, module: 'admin' });
+  return request('DELETE', `/admin/rate-limits/whitelist/${entryId}`);
+};
+
+/**
+ * Ban an IP or user temporarily
+ *
+ * ADMIN ONLY
+ *
+ * @param {Object} ban - { target: 'ip'|'user', identifier, minutes, reason }
+ * @returns {Promise<Object>} { target, identifier, expires_at }
+ * @throws {APIError} 400 if invalid, 403 if not admin
+ */
+export const banRateLimitTarget = (ban) => {
+  logger.info('admin_rate_limit_ban', { target: ban.target, identifier: ban.identifier, minutes: ban.minutes, module: 'admin' });
+  return request('POST', '/admin/rate-limits/bans', ban);
+};
+
+/**
+ * Lift a ban (manual or automatic) before it expires
+ *
+ * ADMIN ONLY
+ *
+ * @param {string} target - 'ip' or 'user'
+ * @param {string|number} identifier - IP address or user ID
+ * @returns {Promise<Object>} Success confirmation
+ * @throws {APIError} 403 if not admin, 404 if not banned
+ */
+export const liftRateLimitBan = (target, identifier) => {
+  logger.info('admin_rate_limit_lift_ban', { target, identifier, module: 'admin' });
+  return request('DELETE', `/admin/rate-limits/bans/${target}/${encodeURIComponent(identifier)}`);
+};
+
+/**
+ * Get the history of blocks (automatic and manual), newest first
+ *
+ * ADMIN ONLY
+ *
+ * @param {number} [limit=100] - Maximum number of entries
+ * @returns {Promise<Object>} { blocks: [{ id, target, identifier, source, reason, attempt_count, blocked_at, expires_at, lifted_at, lifted_by }] }
+ * @throws {APIError} 403 if not admin
+ */
+export const getRateLimitHistory = (limit = 100) => request('GET', `/admin/rate-limits/history?limit=${limit}`);
+
 /**
  * Get game statistics overview
  *
@@ -282,3 +374,134 @@ export const getGameAdminDetails = (gameId) => {
   logger.debug('admin_fetch_game_details', { gameId, module: 'admin' });
   return request('GET', `/admin/dashboard/games/${gameId}/details`);
 };
+
+/**
+ * Get the investigation context of a security event
+ *
+ * ADMIN ONLY
+ *
+ * Transcript messages are { id, role ('user' | 'assistant'), content, created_at,
+ * security_event_id } - content is unmasked, mask it before rendering.
+ *
+ * @param {number} eventId - Security event ID
+ * @returns {Promise<Object>} { event, user, transcript, events, game }
+ * @returns {Object} response.event - The flagged event
+ * @returns {Object} response.user - { id, username, display_name, team_id, team_name, ai_muted_until }
+ * @returns {Array<Object>} response.transcript - AI chat messages around the event
+ * @returns {Array<Object>} response.events - The user's prior flagged attempts
+ * @returns {Object|null} response.game - Game the team was playing at that moment ({ id, title, started_at })
+ * @throws {APIError} 403 if not admin, 404 if event not found
+ */
+export const getSecurityEventContext = (eventId) => {
+  logger.debug('admin_fetch_security_event_context', { eventId, module: 'admin' });
+  return request('GET', `/admin/security/events/${eventId}/context`);
+};
+
+/**
+ * Get the investigation view of a user
+ *
+ * ADMIN ONLY
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { user, transcript, events, game } (see getSecurityEventContext)
+ * @throws {APIError} 403 if not admin, 404 if user not found
+ */
+export const getSecurityUserInvestigation = (userId) => {
+  logger.debug('admin_fetch_security_user', { userId, module: 'admin' });
+  return request('GET', `/admin/security/users/${userId}`);
+};
+
+/**
+ * Send a warning to a user (delivered as an admin chat message)
+ *
+ * ADMIN ONLY
+ *
+ * @param {number} userId - User ID
+ * @param {Object} warning - { message, event_id }
+ * @returns {Promise<Object>} Success confirmation
+ * @throws {APIError} 400 if message is empty, 403 if not admin
+ */
+export const warnSecurityUser = (userId, warning) => {
+  logger.info('admin_security_warn_user', { userId, eventId: warning.event_id, module: 'admin' });
+  return request('POST', `/admin/security/users/${userId}/warn`, warning);
+};
+
+/**
+ * Mute the AI chat for a user
+ *
+ * ADMIN ONLY
+ *
+ * @param {number} userId - User ID
+ * @param {Object} mute - { minutes, reason, event_id }
+ * @returns {Promise<Object>} { user_id, ai_muted_until }
+ * @throws {APIError} 400 if invalid, 403 if not admin
+ */
+export const muteAIChat = (userId, mute) => {
+  logger.info('admin_security_mute_ai_chat', { userId, minutes: mute.minutes, module: 'admin' });
+  return request('POST', `/admin/security/users/${userId}/ai-mute`, mute);
+};
+
+/**
+ * Lift an AI chat mute early
+ *
+ * ADMIN ONLY
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Success confirmation
+ * @throws {APIError} 403 if not admin, 404 if the user is not muted
+ */
+export const unmuteAIChat = (userId) => {
+  logger.info('admin_security_unmute_ai_chat', { userId, module: 'admin' });
+  return request('DELETE', `/admin/security/users/${userId}/ai-mute`);
+};
+
+/**
+ * Escalate a security event to the notifications dashboard
+ *
+ * ADMIN ONLY
+ *
+ * Creates a high-priority admin notification that can be claimed and
+ * resolved like any other escalation.
+ *
+ * @param {number} eventId - Security event ID
+ * @param {Object} escalation - { note }
+ * @returns {Promise<Object>} Created notification ({ id, priority, ... })
+ * @throws {APIError} 403 if not admin, 404 if event not found
+ */
+export const escalateSecurityEvent = (eventId, escalation) => {
+  logger.info('admin_security_escalate_event', { eventId, module: 'admin' });
+  return request('POST', `/admin/security/events/${eventId}/escalate`, escalation);
+};
+
+/**
+ * Get the shared security alert rules
+ *
+ * ADMIN ONLY (game admins included)
+ *
+ * Readable by everyone who sees the security dashboard; the rules are stored in
+ * system config (`security.alert_rules`), which only system admins can change.
+ *
+ * @returns {Promise<Object>} { rules } - rules is the stored JSON (string or array), null if unset
+ * @throws {APIError} 403 if not admin
+ */
+export const getSecurityAlertRules = () => {
+  logger.debug('admin_fetch_security_alert_rules', { module: 'admin' });
+  return request('GET', '/admin/security/alert-rules');
+};
+
+/**
+ * Create a notification entry for a triggered security alert
+ *
+ * ADMIN ONLY (game admins included)
+ *
+ * Rules are evaluated in every open dashboard, so the server keeps one entry per
+ * rule and user within the alert cooldown and returns the existing one otherwise.
+ *
+ * @param {Object} alert - { rule_id, title, body, user_id, event_id }
+ * @returns {Promise<Object>} Notification ({ id, priority, ... })
+ * @throws {APIError} 403 if not admin
+ */
+export const createSecurityAlertNotification = (alert) => {
+  logger.info('admin_security_alert_notification', { ruleId: alert.rule_id, module: 'admin' });
+  return request('POST', '/admin/security/alerts', alert);
+};
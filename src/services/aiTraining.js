@@ -474,3 +474,49 @@ export const deleteGame = (gameId) => {
   logger.info(`Deleting game ${gameId}`);
   return request('DELETE', `/admin/content/games/${gameId}`);
 };
+
+/**
+ * Get prerequisite games of a game
+ *
+ * SUPER_ADMIN ONLY
+ *
+ * @param {number} gameId - Game ID
+ * @returns {Promise<Object>} Object with 'dependencies' array of prerequisite games
+ * @throws {APIError} 403 if not super_admin, 404 if game not found
+ */
+export const getGameDependencies = (gameId) => {
+  logger.info(`Fetching dependencies of game ${gameId}`);
+  return request('GET', `/admin/content/games/${gameId}/dependencies`);
+};
+
+/**
+ * Add a prerequisite game
+ *
+ * SUPER_ADMIN ONLY
+ *
+ * @param {number} gameId - Game ID
+ * @param {number} dependsOnGameId - ID of the game that must be completed first
+ * @returns {Promise<Object>} Creation confirmation
+ * @throws {APIError} 400 if the dependency is invalid (e.g. circular), 403 if not super_admin
+ */
+export const addGameDependency = (gameId, dependsOnGameId) => {
+  logger.info(`Adding dependency ${gameId} -> ${dependsOnGameId}`);
+  return request('POST', `/admin/content/games/${gameId}/dependencies`, {
+    depends_on_game_id: dependsOnGameId
+  });
+};
+
+/**
+ * Remove a prerequisite game
+ *
+ * SUPER_ADMIN ONLY
+ *
+ * @param {number} gameId - Game ID
+ * @param {number} dependsOnGameId - ID of the prerequisite game
+ * @returns {Promise<Object>} Deletion confirmation
+ * @throws {APIError} 403 if not super_admin, 404 if dependency not found
+ */
+export const removeGameDependency = (gameId, dependsOnGameId) => {
+  logger.info(`Removing dependency ${gameId} -> ${dependsOnGameId}`);
+  return request('DELETE', `/admin/content/games/${gameId}/dependencies/${dependsOnGameId}`);
+};
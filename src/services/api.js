@@ -6,6 +6,7 @@
  * Provides core HTTP request functionality with:
  * - Automatic token refresh on 401 errors
  * - Retry logic for server errors
+ * - Offline detection (network failures surface as APIError with status 0)
  * - Centralized logging with security compliance
  * - HTTPOnly cookie authentication
  *
@@ -68,6 +69,18 @@ export class APIError extends Error {
   }
 }
 
+/**
+ * Check whether an error means the backend could not be reached
+ *
+ * Used by callers that queue work for later instead of failing (e.g. answer submissions).
+ *
+ * @param {Error} error - Error thrown by request()
+ * @returns {boolean} True if the request failed because the client is offline
+ */
+export const isOfflineError = (error) => (
+  !!error && (error.status === 0 || error.data?.offline === true)
+);
+
 /**
  * Token refresh mutex to prevent concurrent refresh attempts
  *
@@ -165,7 +178,13 @@ export const request = async (method, endpoint, data = null, options = {}) => {
 
   for (let attempt = 1; attempt <= CONFIG.MAX_RETRIES; attempt++) {
     try {
-      const response = await fetch(url, config);
+      let response;
+      try {
+        response = await fetch(url, config);
+      } catch (networkError) {
+        // fetch only rejects when the request never reached the server
+        throw new APIError(networkError.message || 'Network unavailable', 0, { offline: true });
+      }
       const duration = Math.round(performance.now() - startTime);
 
       logger.debug('api_response_received', {
@@ -529,10 +548,15 @@ export const utils = {
 
   /**
    * Get decrypted reward value for manual provisioning
+   * The backend records every reveal (admin, team reward, reason) in its audit log.
    * @param {number} teamRewardId - TeamReward ID
+   * @param {string} [reason] - Why the value is revealed (stored with the audit entry)
    * @returns {Promise<{team_reward_id: number, reward_name: string, reward_type: string, decrypted_value: string}>}
    */
-  getDecryptedReward: (teamRewardId) => request('GET', `/admin/rewards/team-rewards/${teamRewardId}`)
+  getDecryptedReward: (teamRewardId, reason = '') => request(
+    'GET',
+    `/admin/rewards/team-rewards/${teamRewardId}${reason ? `?reason=${encodeURIComponent(reason)}` : ''}`
+  )
 };
 
 export default utils;
@@ -7,8 +7,10 @@
  * - Send messages to AI assistant
  * - Send messages to admin
  * - Get chat history
- * - Mark messages as read
- * - Admin chat operations
+ * - Full-text search across chat history, broadcasts and private conversations
+ * - Mark messages as read, unread counts
+ * - Admin chat operations (escalations, canned responses, team announcements)
+ * - Team chat moderation (reports, message removal, mutes)
  *
  * @since 2025-11-20
  */
@@ -58,6 +60,27 @@ export const sendToAdmin = (message) => {
  */
 export const getHistory = () => request('GET', '/chat/history');
 
+/**
+ * Search chat messages
+ *
+ * Covers AI/admin history, the team channel and the user's private conversations.
+ *
+ * @param {Object} params - Query parameters (see utils/chatSearch.js buildSearchParams)
+ * @param {string} params.q - Search text
+ * @param {string} [params.source] - ai/admin/broadcast/private
+ * @param {string} [params.sender] - Sender name filter
+ * @param {string} [params.from] - First day (YYYY-MM-DD)
+ * @param {string} [params.to] - Last day (YYYY-MM-DD)
+ * @param {number} [params.game_id] - Game filter
+ * @param {string} [params.cursor] - Cursor of the next page
+ * @param {number} [params.limit] - Page size
+ * @returns {Promise<Object>} Search results
+ * @returns {Array} response.results - { id, source, sender_name, content, created_at, game_id, game_title, conversation_user }
+ * @returns {string|null} response.next_cursor - Cursor of the next page, null on the last page
+ * @throws {APIError} 400 if query too short, 401 if not authenticated
+ */
+export const searchMessages = (params) => request('GET', `/chat/search?${new URLSearchParams(params).toString()}`);
+
 /**
  * Mark messages as read
  *
@@ -67,6 +90,19 @@ export const getHistory = () => request('GET', '/chat/history');
  */
 export const markAsRead = (messageIds) => request('PUT', '/chat/read', { messageIds });
 
+/**
+ * Get unread message counts of the current user
+ *
+ * Server-side read state, so counts survive reloads and match across tabs/devices.
+ *
+ * @returns {Promise<Object>} Unread counts
+ * @returns {number} counts.broadcast - Unread team channel messages
+ * @returns {Object} counts.private - Unread private messages by other user ID ({ [userId]: count })
+ * @returns {number} counts.admin_notifications - Unread admin broadcasts
+ * @throws {APIError} 401 if not authenticated
+ */
+export const getUnreadCounts = () => request('GET', '/chat/unread');
+
 /**
  * Get admin chat messages
  *
@@ -88,3 +124,265 @@ export const getAdminMessages = () => request('GET', '/admin/chat/messages');
  * @throws {APIError} 403 if not admin, 404 if user not found
  */
 export const replyToUser = (userId, message) => request('POST', `/admin/chat/reply/${userId}`, { message });
+
+/**
+ * Get chat escalation notifications
+ *
+ * ADMIN ONLY
+ *
+ * @param {Object} [filters] - Query filters
+ * @param {string} [filters.status] - open/acknowledged/resolved
+ * @param {string} [filters.priority] - Priority filter
+ * @param {string} [filters.escalation_type] - Escalation type filter
+ * @param {number} [filters.team_id] - Team filter
+ * @param {number} [filters.limit] - Maximum number of notifications
+ * @returns {Promise<Array>} Array of notification objects
+ * @throws {APIError} 403 if not admin
+ */
+export const getAdminNotifications = (filters = {}) => {
+  const params = new URLSearchParams(filters).toString();
+  return request('GET', `/chat/admin/notifications${params ? `?${params}` : ''}`);
+};
+
+/**
+ * Resolve a chat escalation notification
+ *
+ * ADMIN ONLY
+ *
+ * @param {number} notificationId - Notification ID
+ * @returns {Promise<Object>} Updated notification
+ * @throws {APIError} 403 if not admin, 404 if notification not found
+ */
+export const resolveNotification = (notificationId) => request('PUT', `/chat/admin/notifications/${notificationId}/resolve`);
+
+/**
+ * Get canned responses and macros
+ *
+ * ADMIN ONLY
+ *
+ * @returns {Promise<Array>} Array of canned responses
+ * @returns {number} response.id - Canned response ID
+ * @returns {string} response.title - Display title
+ * @returns {string} response.shortcut - Slash command name (without "/")
+ * @returns {string} response.body - Template text with {{variables}} (see utils/cannedResponses.js)
+ * @returns {Array<string>} response.escalation_types - Escalation types the response is meant for (empty = any)
+ * @returns {boolean} response.resolves_escalation - Macro: resolve the escalation after sending
+ * @throws {APIError} 403 if not admin
+ */
+export const getCannedResponses = () => request('GET', '/chat/admin/canned-responses');
+
+/**
+ * Create a canned response
+ *
+ * ADMIN ONLY
+ *
+ * @param {Object} data - { title, shortcut, body, escalation_types, resolves_escalation }
+ * @returns {Promise<Object>} Created canned response
+ * @throws {APIError} 400 if invalid, 403 if not admin, 409 if the shortcut is taken
+ */
+export const createCannedResponse = (data) => request('POST', '/chat/admin/canned-responses', data);
+
+/**
+ * Update a canned response
+ *
+ * ADMIN ONLY
+ *
+ * @param {number} id - Canned response ID
+ * @param {Object} data - Changed fields
+ * @returns {Promise<Object>} Updated canned response
+ * @throws {APIError} 400 if invalid, 403 if not admin, 404 if not found, 409 if the shortcut is taken
+ */
+export const updateCannedResponse = (id, data) => request('PUT', `/chat/admin/canned-responses/${id}`, data);
+
+/**
+ * Delete a canned response
+ *
+ * ADMIN ONLY
+ *
+ * @param {number} id - Canned response ID
+ * @returns {Promise<Object>} Success confirmation
+ * @throws {APIError} 403 if not admin, 404 if not found
+ */
+export const deleteCannedResponse = (id) => request('DELETE', `/chat/admin/canned-responses/${id}`);
+
+/**
+ * Claim an escalation notification for the current admin
+ *
+ * ADMIN ONLY
+ *
+ * The claim expires when the notification is not acknowledged or resolved in
+ * time (see utils/escalationSla.js); the server then reassigns it.
+ *
+ * @param {number} notificationId - Notification ID
+ * @returns {Promise<Object>} Updated notification (assigned_to, assigned_at, claim_expires_at)
+ * @throws {APIError} 403 if not admin, 409 if already claimed by another admin
+ */
+export const claimNotification = (notificationId) => request('PUT', `/chat/admin/notifications/${notificationId}/claim`);
+
+/**
+ * Assign an escalation notification to an admin
+ *
+ * ADMIN ONLY
+ *
+ * @param {number} notificationId - Notification ID
+ * @param {number} adminId - User ID of the admin
+ * @returns {Promise<Object>} Updated notification
+ * @throws {APIError} 403 if not admin, 404 if notification or admin not found
+ */
+export const assignNotification = (notificationId, adminId) => request('PUT', `/chat/admin/notifications/${notificationId}/assign`, { admin_id: adminId });
+
+/**
+ * Release a claimed escalation notification
+ *
+ * ADMIN ONLY
+ *
+ * @param {number} notificationId - Notification ID
+ * @returns {Promise<Object>} Updated notification
+ * @throws {APIError} 403 if not admin
+ */
+export const releaseNotification = (notificationId) => request('PUT', `/chat/admin/notifications/${notificationId}/release`);
+
+/**
+ * Get admins escalations can be assigned to
+ *
+ * ADMIN ONLY
+ *
+ * @returns {Promise<Array>} Array of admins
+ * @returns {number} admin.id - User ID
+ * @returns {string} admin.username - Username
+ * @returns {string} [admin.display_name] - Display name
+ * @returns {boolean} admin.online - Connected to the notification stream
+ * @throws {APIError} 403 if not admin
+ */
+export const getNotificationAssignees = () => request('GET', '/chat/admin/notifications/assignees');
+
+/**
+ * Get team announcements (scheduled queue and history)
+ *
+ * ADMIN ONLY
+ *
+ * @returns {Promise<Array>} Array of announcements, newest first
+ * @returns {number} announcement.id - Announcement ID
+ * @returns {string} announcement.content - Text; {{team_name}} is filled in per team by the server
+ * @returns {boolean} announcement.all_teams - Sent to every team (including teams created later)
+ * @returns {Array<number>} announcement.team_ids - Selected teams (when not all_teams)
+ * @returns {string|null} announcement.scheduled_for - Send time (ISO), null = sent immediately
+ * @returns {string} announcement.status - scheduled/sending/sent/failed/cancelled
+ * @returns {string} [announcement.sent_at] - When sending finished
+ * @returns {string} announcement.created_by_username - Admin who created it
+ * @returns {Array<Object>} announcement.deliveries - Per team: { team_id, team_name, status (pending/delivered/failed), error }
+ * @throws {APIError} 403 if not admin
+ */
+export const getAnnouncements = () => request('GET', '/chat/admin/announcements');
+
+/**
+ * Send or schedule an announcement to several teams
+ *
+ * ADMIN ONLY
+ *
+ * @param {Object} data - { content, all_teams, team_ids, scheduled_for } (scheduled_for null = send now)
+ * @returns {Promise<Object>} Created announcement
+ * @throws {APIError} 400 if invalid (e.g. scheduled in the past), 403 if not admin
+ */
+export const createAnnouncement = (data) => request('POST', '/chat/admin/announcements', data);
+
+/**
+ * Cancel a scheduled announcement
+ *
+ * ADMIN ONLY
+ *
+ * @param {number} id - Announcement ID
+ * @returns {Promise<Object>} Updated announcement (status 'cancelled')
+ * @throws {APIError} 403 if not admin, 404 if not found, 409 if already sending or sent
+ */
+export const cancelAnnouncement = (id) => request('PUT', `/chat/admin/announcements/${id}/cancel`);
+
+/**
+ * Report a team chat message to the moderators
+ *
+ * @param {number} messageId - Team message ID (broadcast or private)
+ * @param {Object} report - { reason, comment } (reason: see utils/chatModeration.js REPORT_REASONS)
+ * @returns {Promise<Object>} Created report
+ * @throws {APIError} 400 if invalid, 404 if message not found, 409 if already reported by this user
+ */
+export const reportMessage = (messageId, report) => request('POST', `/team-chat/messages/${messageId}/report`, report);
+
+/**
+ * Get reported messages
+ *
+ * MODERATORS ONLY
+ *
+ * @param {string} [status] - open (default) or closed
+ * @returns {Promise<Array>} Array of reports, grouped per message
+ * @returns {number} report.id - Report ID
+ * @returns {number} report.message_id - Reported message
+ * @returns {string} report.chat_type - broadcast/private
+ * @returns {string} report.message_content - Message text at the time of the report
+ * @returns {number} report.sender_id - Author of the message
+ * @returns {string} report.sender_username - Author username
+ * @returns {string} [report.team_name] - Team of the author
+ * @returns {Array<Object>} report.reports - { reporter_username, reason, comment, created_at }
+ * @returns {string} report.created_at - First report
+ * @throws {APIError} 403 if not a moderator
+ */
+export const getModerationReports = (status = 'open') => request('GET', `/chat/admin/moderation/reports?status=${status}`);
+
+/**
+ * Close a report without action
+ *
+ * MODERATORS ONLY
+ *
+ * @param {number} reportId - Report ID
+ * @returns {Promise<Object>} Closed report
+ * @throws {APIError} 403 if not a moderator, 404 if not found
+ */
+export const dismissModerationReport = (reportId) => request('PUT', `/chat/admin/moderation/reports/${reportId}/dismiss`);
+
+/**
+ * Remove a team chat message
+ *
+ * MODERATORS ONLY
+ *
+ * The server redacts the message and notifies all clients (`message_deleted`).
+ *
+ * @param {number} messageId - Team message ID
+ * @param {Object} [options] - { reason, report_id } (report_id closes that report)
+ * @returns {Promise<Object>} Success confirmation
+ * @throws {APIError} 403 if not a moderator, 404 if not found
+ */
+export const deleteChatMessage = (messageId, options = {}) => request('DELETE', `/chat/admin/moderation/messages/${messageId}`, options);
+
+/**
+ * Get users currently muted in team chat
+ *
+ * MODERATORS ONLY
+ *
+ * @returns {Promise<Array>} { user_id, username, team_name, muted_until, reason, muted_by_username }
+ * @throws {APIError} 403 if not a moderator
+ */
+export const getChatMutes = () => request('GET', '/chat/admin/moderation/mutes');
+
+/**
+ * Mute a user in team chat for a while
+ *
+ * MODERATORS ONLY
+ *
+ * The user is notified (`chat_muted`) and cannot post until the mute ends.
+ *
+ * @param {number} userId - User ID
+ * @param {Object} mute - { minutes, reason, report_id }
+ * @returns {Promise<Object>} Mute ({ user_id, muted_until, reason })
+ * @throws {APIError} 400 if invalid, 403 if not a moderator
+ */
+export const muteChatUser = (userId, mute) => request('POST', '/chat/admin/moderation/mutes', { user_id: userId, ...mute });
+
+/**
+ * Lift a mute early
+ *
+ * MODERATORS ONLY
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Success confirmation
+ * @throws {APIError} 403 if not a moderator, 404 if the user is not muted
+ */
+export const unmuteChatUser = (userId) => request('DELETE', `/chat/admin/moderation/mutes/${userId}`);
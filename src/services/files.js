@@ -5,7 +5,8 @@
  *
  * Provides file upload functionality:
  * - CSV file uploads
- * - Image file uploads
+ * - Image file uploads (admin content, chat attachments)
+ * - Chat file attachments and upload limits
  *
  * @since 2025-11-20
  */
@@ -33,18 +34,50 @@ export const uploadCSV = (file) => {
 /**
  * Upload image file
  *
- * ADMIN ONLY
+ * ADMIN ONLY, except with purpose 'chat' (chat attachments, all players)
  *
- * @param {File} file - Image file to upload (JPEG, PNG, GIF, WebP)
+ * @param {File|Blob} file - Image file to upload (JPEG, PNG, GIF, WebP)
+ * @param {Object} [options]
+ * @param {string} [options.purpose] - Upload purpose ('chat' for chat attachments)
  * @returns {Promise<Object>} Upload response
  * @returns {string} response.url - Uploaded image URL
  * @returns {string} response.filename - Stored filename
- * @throws {APIError} 400 if invalid image format, 403 if not admin
+ * @returns {string} [response.thumbnail_url] - Thumbnail URL (chat uploads)
+ * @throws {APIError} 400 if invalid image format, 403 if not allowed, 413 if too large
  */
-export const uploadImage = (file) => {
+export const uploadImage = (file, { purpose } = {}) => {
   const formData = new FormData();
   formData.append('image', file);
+  if (purpose) formData.append('purpose', purpose);
   return request('POST', '/files/image', formData, {
     headers: buildHeaders(null)
   });
 };
+
+/**
+ * Upload a non-image chat attachment (e.g. PDF)
+ *
+ * @param {File} file - File to upload (type must be allowed by getUploadLimits)
+ * @returns {Promise<Object>} Upload response
+ * @returns {string} response.url - Download URL
+ * @returns {string} response.filename - Stored filename
+ * @throws {APIError} 400 if type not allowed, 413 if too large
+ */
+export const uploadAttachment = (file) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  return request('POST', '/files/attachment', formData, {
+    headers: buildHeaders(null)
+  });
+};
+
+/**
+ * Get upload limits enforced by the server
+ *
+ * @returns {Promise<Object>} Limits
+ * @returns {Object} limits.image - { max_bytes, allowed_types }
+ * @returns {Object} limits.file - { max_bytes, allowed_types }
+ * @returns {number} limits.max_attachments - Attachments per message
+ * @throws {APIError} 401 if not authenticated
+ */
+export const getUploadLimits = () => request('GET', '/files/limits');
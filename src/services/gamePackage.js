@@ -0,0 +1,670 @@
+/**
+ * Module: services/gamePackage.js
+ * Purpose: Portable game package format (export, validation, preview, import)
+ * Part of: Easter Quest 2025 Frontend Services
+ *
+ * A game package is one event with everything that belongs to it:
+ * event story, categories, games (with dependencies and training hints)
+ * and system prompts. Packages move content between environments
+ * (staging -> production) or reuse last year's event as a template.
+ *
+ * File formats:
+ * - JSON: package object, event image embedded as base64
+ * - ZIP: package.json plus the event image as a separate file (images/...)
+ *
+ * IDs are not portable. Inside a package, categories and games carry a `ref`
+ * (their source ID) and games reference other entries by ref
+ * (category_ref, depends_on). Import creates everything through the
+ * aiTraining service and maps refs to the newly created IDs.
+ *
+ * SECURITY: Packages contain solution passwords - handle exported files like
+ * any other admin backup. System prompts need CONTENT_PROMPTS_EDIT: without
+ * it (`includePrompts: false`) they are neither read, exported nor imported.
+ *
+ * @since 2026-10-19
+ */
+
+import {
+  getEventByYear,
+  getGamesByYear,
+  getHintsByYear,
+  getCategoriesByYear,
+  getSystemPromptsByYear,
+  getCategories,
+  getSystemPrompts,
+  getGameDependencies,
+  addGameDependency,
+  createEvent,
+  updateEvent,
+  createCategory,
+  updateCategory,
+  createGame,
+  updateGame,
+  createHint,
+  createSystemPrompt,
+  updateSystemPrompt
+} from './aiTraining';
+import { logger } from '../utils/logger';
+import {
+  createZip,
+  readZip,
+  decodeUtf8,
+  base64ToBytes,
+  bytesToBase64
+} from '../utils/exportUtils';
+import { detectImageType } from '../utils/imageUtils';
+
+/**
+ * Package format identifier and the newest version this client understands
+ */
+export const PACKAGE_FORMAT = 'easter-quest-game-package';
+export const PACKAGE_VERSION = 1;
+
+/**
+ * Fields copied per entity (everything else, e.g. IDs and timestamps, is dropped)
+ */
+const EVENT_FIELDS = [
+  'title', 'description', 'author', 'story_html',
+  'is_active', 'show_points', 'show_dependencies', 'image_path'
+];
+const CATEGORY_FIELDS = ['name', 'description', 'color', 'icon', 'order_index'];
+const GAME_FIELDS = [
+  'title', 'description', 'solution_password', 'solution_keywords', 'challenge_text',
+  'ai_progress_guide', 'technical_skills', 'difficulty_level', 'max_hints',
+  'hint_penalty_points', 'points_value', 'order_index'
+];
+const HINT_FIELDS = ['hint_type', 'hint_level', 'hint_content', 'min_progress', 'max_progress'];
+const PROMPT_FIELDS = ['category', 'name', 'content', 'description', 'priority'];
+
+/**
+ * Diff states of a package entry compared to existing content
+ */
+export const DIFF_STATUS = {
+  NEW: 'new',
+  CHANGED: 'changed',
+  UNCHANGED: 'unchanged',
+  SKIPPED: 'skipped'
+};
+
+const IMAGE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif' };
+
+/**
+ * Copy the listed fields of an object (undefined values are skipped)
+ *
+ * @param {Object} source - Source object
+ * @param {Array<string>} fields - Field names
+ * @returns {Object} Picked fields
+ */
+const pick = (source, fields) => fields.reduce((result, field) => {
+  if (source && source[field] !== undefined) {
+    result[field] = source[field];
+  }
+  return result;
+}, {});
+
+/**
+ * Fields whose values differ between a package entry and existing content
+ *
+ * @param {Object} incoming - Package entry
+ * @param {Object} existing - Existing entity
+ * @param {Array<string>} fields - Compared fields
+ * @returns {Array<string>} Changed field names
+ */
+const changedFields = (incoming, existing, fields) => fields.filter(field => (
+  incoming[field] !== undefined && (incoming[field] ?? null) !== (existing[field] ?? null)
+));
+
+const promptKey = (prompt) => `${prompt.category}/${prompt.name}`;
+const hintKey = (hint) => `${hint.hint_type}/${hint.hint_level}/${hint.hint_content}`;
+
+/**
+ * Load system prompts only for users who may manage them
+ *
+ * @param {boolean} includePrompts - Whether prompts are loaded
+ * @param {Function} load - () => Promise of the prompts response
+ * @returns {Promise<*>} Prompts response, null if skipped
+ */
+const loadPromptsIf = async (includePrompts, load) => (includePrompts ? load() : null);
+
+/**
+ * Load the content of an event year
+ *
+ * Games include their hints and prerequisite game IDs (depends_on).
+ * If the year has no event, `event` is null and categories/prompts come from
+ * the active database - that is where a newly created package ends up.
+ *
+ * @param {number} year - Event year
+ * @param {Object} [options]
+ * @param {boolean} [options.includePrompts=true] - Load system prompts (needs CONTENT_PROMPTS_EDIT)
+ * @returns {Promise<Object>} { event, categories, games, prompts }
+ * @throws {APIError} For errors other than a missing event
+ */
+export const loadPackageContent = async (year, { includePrompts = true } = {}) => {
+  let event = null;
+  try {
+    event = await getEventByYear(year);
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+
+  if (!event) {
+    const [categoriesResponse, promptsResponse] = await Promise.all([
+      getCategories(),
+      loadPromptsIf(includePrompts, getSystemPrompts)
+    ]);
+    return {
+      event: null,
+      categories: categoriesResponse?.categories || [],
+      games: [],
+      prompts: promptsResponse?.prompts || []
+    };
+  }
+
+  const [games, hintsResponse, categoriesResponse, prompts] = await Promise.all([
+    getGamesByYear(year),
+    getHintsByYear(year),
+    getCategoriesByYear(year),
+    loadPromptsIf(includePrompts, () => getSystemPromptsByYear(year))
+  ]);
+
+  const hintsByGame = hintsResponse?.games || [];
+  const gamesWithDetails = await Promise.all((games || []).map(async (game) => {
+    const dependencies = await getGameDependencies(game.id);
+    return {
+      ...game,
+      hints: hintsByGame.find(entry => entry.game_id === game.id)?.hints || [],
+      depends_on: (dependencies?.dependencies || []).map(dep => dep.id)
+    };
+  }));
+
+  return {
+    event,
+    categories: categoriesResponse?.categories || [],
+    games: gamesWithDetails,
+    prompts: prompts || []
+  };
+};
+
+/**
+ * Build a game package from an existing event
+ *
+ * @param {number} year - Event year
+ * @param {Object} [options]
+ * @param {boolean} [options.includePrompts=true] - Export system prompts (needs CONTENT_PROMPTS_EDIT)
+ * @returns {Promise<Object>} Package object (system_prompts is empty without includePrompts)
+ * @throws {Error} If the year has no event
+ */
+export const buildGamePackage = async (year, { includePrompts = true } = {}) => {
+  const content = await loadPackageContent(year, { includePrompts });
+  if (!content.event) {
+    throw new Error(`No event found for ${year}`);
+  }
+
+  return {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    exported_at: new Date().toISOString(),
+    event: {
+      year: content.event.year,
+      ...pick(content.event, EVENT_FIELDS),
+      image_data: content.event.image_data || ''
+    },
+    categories: content.categories.map(category => ({
+      ref: category.id,
+      ...pick(category, CATEGORY_FIELDS)
+    })),
+    games: content.games.map(game => ({
+      ref: game.id,
+      category_ref: game.category_id ?? null,
+      ...pick(game, GAME_FIELDS),
+      depends_on: game.depends_on,
+      hints: game.hints.map(hint => pick(hint, HINT_FIELDS))
+    })),
+    system_prompts: content.prompts.map(prompt => pick(prompt, PROMPT_FIELDS))
+  };
+};
+
+/**
+ * Validate the event of a package
+ *
+ * @param {*} event - Package event
+ * @returns {Array<string>} Error messages
+ */
+const validateEvent = (event) => {
+  if (!event || typeof event !== 'object') return ['Event is missing'];
+
+  const errors = [];
+  if (!Number.isInteger(event.year)) errors.push('Event year must be an integer');
+  if (!event.title) errors.push('Event title is required');
+  if (!event.story_html) errors.push('Event story is required');
+  return errors;
+};
+
+/**
+ * Validate one game, including its references to categories and other games
+ *
+ * @param {Object} game - Package game
+ * @param {number} index - Position in the package
+ * @param {Object} refs - { categories: Set, games: Set } of known refs
+ * @returns {Array<string>} Error messages
+ */
+const validateGame = (game, index, refs) => {
+  const label = `Game ${index + 1}${game.title ? ` (${game.title})` : ''}`;
+  const errors = [];
+  if (!game.title) errors.push(`${label}: title is required`);
+  if (!game.solution_password) errors.push(`${label}: solution password is required`);
+  if (game.category_ref != null && !refs.categories.has(game.category_ref)) {
+    errors.push(`${label}: unknown category ref ${game.category_ref}`);
+  }
+  (game.depends_on || []).forEach(ref => {
+    if (ref === game.ref) errors.push(`${label}: depends on itself`);
+    else if (!refs.games.has(ref)) errors.push(`${label}: unknown dependency ref ${ref}`);
+  });
+  if (!Array.isArray(game.hints || [])) {
+    return [...errors, `${label}: hints must be a list`];
+  }
+  (game.hints || []).forEach((hint, hintIndex) => {
+    if (!hint.hint_content) errors.push(`${label}, hint ${hintIndex + 1}: content is required`);
+  });
+  return errors;
+};
+
+/**
+ * Collect refs of a package section and report duplicates
+ *
+ * @param {Array<Object>} entries - Categories or games
+ * @param {string} label - Entry label for messages
+ * @param {Array<string>} errors - Error list to append to
+ * @returns {Set} Known refs
+ */
+const collectRefs = (entries, label, errors) => {
+  const refs = new Set();
+  entries.forEach((entry, index) => {
+    if (refs.has(entry.ref)) errors.push(`${label} ${index + 1}: duplicate ref ${entry.ref}`);
+    refs.add(entry.ref);
+  });
+  return refs;
+};
+
+/**
+ * Validate a parsed package
+ *
+ * @param {*} pkg - Parsed file content
+ * @returns {Array<string>} Error messages (empty if valid)
+ *
+ * @example
+ * validateGamePackage({ format: 'other' })
+ * // Returns: ['Not a game package file']
+ */
+export const validateGamePackage = (pkg) => {
+  if (!pkg || typeof pkg !== 'object' || pkg.format !== PACKAGE_FORMAT) {
+    return ['Not a game package file'];
+  }
+  if (!Number.isInteger(pkg.version) || pkg.version < 1) {
+    return ['Missing or invalid package version'];
+  }
+  if (pkg.version > PACKAGE_VERSION) {
+    return [`Package version ${pkg.version} is newer than supported (${PACKAGE_VERSION})`];
+  }
+
+  const errors = validateEvent(pkg.event);
+  const missingLists = ['categories', 'games', 'system_prompts'].filter(section => !Array.isArray(pkg[section]));
+  if (missingLists.length > 0) {
+    return [...errors, ...missingLists.map(section => `"${section}" must be a list`)];
+  }
+
+  pkg.categories.forEach((category, index) => {
+    if (!category.name) errors.push(`Category ${index + 1}: name is required`);
+  });
+  const refs = {
+    categories: collectRefs(pkg.categories, 'Category', errors),
+    games: collectRefs(pkg.games, 'Game', errors)
+  };
+  pkg.games.forEach((game, index) => errors.push(...validateGame(game, index, refs)));
+
+  pkg.system_prompts.forEach((prompt, index) => {
+    if (!prompt.category || !prompt.name || !prompt.content) {
+      errors.push(`System prompt ${index + 1}: category, name and content are required`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Compare a package with existing content (preview before import)
+ *
+ * Entries are matched by name: categories by name, games by title,
+ * system prompts by category and name, hints by type, level and content.
+ * Without includePrompts, system prompts are listed as skipped.
+ *
+ * @param {Object} pkg - Valid package
+ * @param {Object} existing - Result of loadPackageContent()
+ * @param {Object} [options]
+ * @param {boolean} [options.includePrompts=true] - Whether system prompts will be imported
+ * @returns {Object} { event, categories, games, prompts, counts }
+ */
+export const diffGamePackage = (pkg, existing, { includePrompts = true } = {}) => {
+  const counts = { new: 0, changed: 0, unchanged: 0, skipped: 0 };
+  const entry = (incoming, current, fields, extra) => {
+    const changes = current ? changedFields(incoming, current, fields) : [];
+    let status = DIFF_STATUS.NEW;
+    if (current) {
+      status = changes.length > 0 || extra.newHints > 0 || extra.newDependencies > 0
+        ? DIFF_STATUS.CHANGED
+        : DIFF_STATUS.UNCHANGED;
+    }
+    counts[status] += 1;
+    return { status, changes, ...extra };
+  };
+
+  const event = entry(pkg.event, existing.event, EVENT_FIELDS, { label: pkg.event.title });
+
+  const categories = pkg.categories.map(category => entry(
+    category,
+    existing.categories.find(c => c.name === category.name),
+    CATEGORY_FIELDS,
+    { label: category.name }
+  ));
+
+  const titleByRef = new Map(pkg.games.map(game => [game.ref, game.title]));
+  const games = pkg.games.map(game => {
+    const current = existing.games.find(g => g.title === game.title);
+    const currentHints = new Set((current?.hints || []).map(hintKey));
+    const currentDeps = new Set((current?.depends_on || [])
+      .map(id => existing.games.find(g => g.id === id)?.title));
+    return entry(game, current, GAME_FIELDS, {
+      label: game.title,
+      hints: (game.hints || []).length,
+      newHints: current ? (game.hints || []).filter(hint => !currentHints.has(hintKey(hint))).length : 0,
+      newDependencies: current
+        ? (game.depends_on || []).filter(ref => !currentDeps.has(titleByRef.get(ref))).length
+        : 0
+    });
+  });
+
+  const prompts = pkg.system_prompts.map(prompt => {
+    if (!includePrompts) {
+      counts.skipped += 1;
+      return { status: DIFF_STATUS.SKIPPED, changes: [], label: promptKey(prompt) };
+    }
+    return entry(
+      prompt,
+      existing.prompts.find(p => promptKey(p) === promptKey(prompt)),
+      PROMPT_FIELDS,
+      { label: promptKey(prompt) }
+    );
+  });
+
+  return { event, categories, games, prompts, counts };
+};
+
+/**
+ * Create an entry, or reuse an existing one (updated if `overwrite` and it differs)
+ *
+ * @param {Object} ctx - Import context
+ * @param {Object} options - Entry options
+ * @param {string} options.type - Summary key (event, categories, games, prompts)
+ * @param {Object|undefined} options.current - Matching existing entity
+ * @param {Object} options.data - Data from the package
+ * @param {Array<string>} options.fields - Compared fields
+ * @param {Function} options.create - (data) => Promise<created entity>
+ * @param {Function} options.update - (id, data) => Promise
+ * @returns {Promise<number>} ID of the created or reused entity
+ */
+const saveEntry = async (ctx, { type, current, data, fields, create, update }) => {
+  if (!current) {
+    const created = await create(data);
+    ctx.summary.created[type] += 1;
+    return created?.id;
+  }
+  if (ctx.overwrite && changedFields(data, current, fields).length > 0) {
+    await update(current.id, data);
+    ctx.summary.updated[type] += 1;
+  }
+  return current.id;
+};
+
+/**
+ * Create categories and remember their new IDs by ref
+ *
+ * @param {Object} ctx - Import context
+ */
+const importCategories = async (ctx) => {
+  for (const category of ctx.pkg.categories) {
+    ctx.step(`Category ${category.name}`);
+    ctx.categoryIds.set(category.ref, await saveEntry(ctx, {
+      type: 'categories',
+      current: ctx.existing.categories.find(c => c.name === category.name),
+      data: pick(category, CATEGORY_FIELDS),
+      fields: CATEGORY_FIELDS,
+      create: createCategory,
+      update: updateCategory
+    }));
+  }
+};
+
+/**
+ * Create games in the target event and remember their new IDs by ref
+ *
+ * Games that were created (or updated with `overwrite`) are collected in
+ * ctx.touchedGames - only those get dependencies and hints added.
+ *
+ * @param {Object} ctx - Import context
+ * @param {number} eventId - Target event ID
+ */
+const importGames = async (ctx, eventId) => {
+  for (const game of ctx.pkg.games) {
+    ctx.step(`Game ${game.title}`);
+    const current = ctx.existing.games.find(g => g.title === game.title);
+    ctx.gameIds.set(game.ref, await saveEntry(ctx, {
+      type: 'games',
+      current,
+      data: {
+        ...pick(game, GAME_FIELDS),
+        event_id: eventId,
+        category_id: game.category_ref != null ? ctx.categoryIds.get(game.category_ref) : null
+      },
+      fields: GAME_FIELDS,
+      create: createGame,
+      update: updateGame
+    }));
+    if (!current || ctx.overwrite) {
+      ctx.touchedGames.push({ game, current });
+    }
+  }
+};
+
+/**
+ * Add missing dependencies and training hints (all games exist now, so refs resolve)
+ *
+ * @param {Object} ctx - Import context
+ */
+const importGameDetails = async (ctx) => {
+  for (const { game, current } of ctx.touchedGames) {
+    ctx.step(`Dependencies and hints of ${game.title}`);
+    const gameId = ctx.gameIds.get(game.ref);
+
+    const currentDeps = new Set(current?.depends_on || []);
+    const missingDeps = (game.depends_on || [])
+      .map(ref => ctx.gameIds.get(ref))
+      .filter(id => !currentDeps.has(id));
+    for (const dependsOnId of missingDeps) {
+      await addGameDependency(gameId, dependsOnId);
+      ctx.summary.created.dependencies += 1;
+    }
+
+    const currentHints = new Set((current?.hints || []).map(hintKey));
+    const missingHints = (game.hints || []).filter(hint => !currentHints.has(hintKey(hint)));
+    for (const hint of missingHints) {
+      await createHint({ ...pick(hint, HINT_FIELDS), game_id: gameId });
+      ctx.summary.created.hints += 1;
+    }
+  }
+};
+
+/**
+ * Create system prompts (ctx.prompts is empty when they are skipped)
+ *
+ * @param {Object} ctx - Import context
+ */
+const importPrompts = async (ctx) => {
+  for (const prompt of ctx.prompts) {
+    ctx.step(`Prompt ${promptKey(prompt)}`);
+    await saveEntry(ctx, {
+      type: 'prompts',
+      current: ctx.existing.prompts.find(p => promptKey(p) === promptKey(prompt)),
+      data: pick(prompt, PROMPT_FIELDS),
+      fields: PROMPT_FIELDS,
+      create: createSystemPrompt,
+      // Category and name identify a prompt and cannot be changed
+      update: (id, data) => updateSystemPrompt(id, {
+        content: data.content,
+        description: data.description,
+        priority: data.priority
+      })
+    });
+  }
+};
+
+/**
+ * Import a package
+ *
+ * Creates missing entries and maps package refs to the new IDs. Existing
+ * entries (matched as in diffGamePackage) are reused; with `overwrite` they
+ * are updated and missing hints/dependencies are added.
+ *
+ * Order: event -> categories -> games -> dependencies/hints -> system prompts
+ *
+ * Without includePrompts the system prompts are skipped entirely (decided
+ * before the first write, so the import never fails halfway on a 403).
+ *
+ * @param {Object} pkg - Valid package
+ * @param {Object} options - Import options
+ * @param {number} options.year - Target event year (remaps the package year)
+ * @param {boolean} [options.overwrite=false] - Update existing entries that differ
+ * @param {boolean} [options.includePrompts=true] - Import system prompts (needs CONTENT_PROMPTS_EDIT)
+ * @param {Function} [options.onProgress] - (label, done, total) callback
+ * @returns {Promise<Object>} Summary { created, updated, skipped } per entity type
+ */
+export const importGamePackage = async (pkg, { year, overwrite = false, includePrompts = true, onProgress = () => {} }) => {
+  const prompts = includePrompts ? pkg.system_prompts : [];
+  const total = 1 + pkg.categories.length + pkg.games.length * 2 + prompts.length;
+  let done = 0;
+  const ctx = {
+    pkg,
+    overwrite,
+    existing: await loadPackageContent(year, { includePrompts }),
+    summary: {
+      created: { event: 0, categories: 0, games: 0, dependencies: 0, hints: 0, prompts: 0 },
+      updated: { event: 0, categories: 0, games: 0, prompts: 0 },
+      skipped: { prompts: pkg.system_prompts.length - prompts.length }
+    },
+    prompts,
+    categoryIds: new Map(),
+    gameIds: new Map(),
+    touchedGames: [],
+    step: (label) => {
+      onProgress(label, done, total);
+      done += 1;
+    }
+  };
+
+  ctx.step('Event');
+  const eventId = await saveEntry(ctx, {
+    type: 'event',
+    current: ctx.existing.event,
+    data: { ...pick(pkg.event, EVENT_FIELDS), image_data: pkg.event.image_data || '', year },
+    fields: EVENT_FIELDS,
+    create: createEvent,
+    update: updateEvent
+  });
+
+  await importCategories(ctx);
+  await importGames(ctx, eventId);
+  await importGameDetails(ctx);
+  await importPrompts(ctx);
+
+  onProgress('Done', total, total);
+  logger.info('game_package_imported', {
+    sourceYear: pkg.event.year,
+    targetYear: year,
+    overwrite,
+    ...ctx.summary.created,
+    module: 'gamePackage'
+  });
+  return ctx.summary;
+};
+
+/**
+ * Serialize a package to a file
+ *
+ * @param {Object} pkg - Package object
+ * @param {string} [format='json'] - 'json' or 'zip' (event image as separate file)
+ * @returns {Object} { content, extension, mimeType }
+ */
+export const serializeGamePackage = (pkg, format = 'json') => {
+  if (format !== 'zip') {
+    return {
+      content: JSON.stringify(pkg, null, 2),
+      extension: 'json',
+      mimeType: 'application/json'
+    };
+  }
+
+  const files = [];
+  const event = { ...pkg.event };
+  if (event.image_data) {
+    // Unrecognised image data is kept as-is under a neutral extension
+    const extension = IMAGE_EXTENSIONS[detectImageType(event.image_data)] || 'bin';
+    event.image_file = `images/event.${extension}`;
+    files.push({ name: event.image_file, content: base64ToBytes(event.image_data) });
+  }
+  delete event.image_data;
+  files.unshift({ name: 'package.json', content: JSON.stringify({ ...pkg, event }, null, 2) });
+
+  return { content: createZip(files), extension: 'zip', mimeType: 'application/zip' };
+};
+
+/**
+ * Parse the bytes of a package file (JSON or ZIP)
+ *
+ * @param {Uint8Array} bytes - File content
+ * @returns {Object} Parsed package (not yet validated)
+ * @throws {Error} If the file cannot be read
+ */
+export const parseGamePackage = (bytes) => {
+  const isZip = bytes.length > 4 && bytes[0] === 0x50 && bytes[1] === 0x4B;
+  if (!isZip) {
+    try {
+      return JSON.parse(decodeUtf8(bytes));
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+  }
+
+  const files = readZip(bytes);
+  const manifest = files.find(file => file.name === 'package.json');
+  if (!manifest) {
+    throw new Error('ZIP archive does not contain package.json');
+  }
+
+  let pkg;
+  try {
+    pkg = JSON.parse(decodeUtf8(manifest.content));
+  } catch (error) {
+    throw new Error(`Invalid package.json: ${error.message}`);
+  }
+
+  const imageFile = pkg?.event?.image_file;
+  if (imageFile) {
+    const image = files.find(file => file.name === imageFile);
+    if (!image) {
+      throw new Error(`ZIP archive does not contain ${imageFile}`);
+    }
+    pkg.event = { ...pkg.event, image_data: bytesToBase64(image.content) };
+    delete pkg.event.image_file;
+  }
+  return pkg;
+};
+
@@ -173,3 +173,19 @@ export const getRatings = (gameId) => request('GET', `/games/${gameId}/ratings`)
  * @throws {APIError} 401 if not authenticated
  */
 export const getMyRatings = () => request('GET', '/games/my-ratings');
+
+/**
+ * Get the event leaderboard
+ *
+ * Ranks all teams of the active event. When anonymisation is active the
+ * backend already replaces other teams' names; the frontend applies the same
+ * rule to live updates (see utils/leaderboard.js).
+ *
+ * @returns {Promise<Object>} Leaderboard data
+ * @returns {Array} result.teams - { team_id, team_name, score, completed_games, total_games, progress_percentage, last_completion_at }
+ * @returns {Object} result.settings - { anonymize: 'none'|'always'|'until_final_hour', reveal_minutes_before_end }
+ * @returns {Object} result.event - Active event { name, end_date }
+ * @returns {Array} result.recent_completions - { team_id, team_name, game_title, completed_at }, newest first
+ * @throws {APIError} 401 if not authenticated
+ */
+export const getLeaderboard = () => request('GET', '/games/leaderboard');
@@ -30,7 +30,7 @@ import * as files from './files';
 import * as rewards from './rewards';
 
 // Core API utilities
-export { request, buildHeaders, onTokenRefresh, utils, CONFIG, APIError } from './api';
+export { request, buildHeaders, onTokenRefresh, isOfflineError, utils, CONFIG, APIError } from './api';
 
 // Export namespaced services (no conflicts)
 export { auth, users, teams, players, games, events, admin, chat, system, aiTraining, files, rewards };
@@ -98,7 +98,8 @@ export const {
   submitSolution,
   useHint,
   rate,
-  getRatings
+  getRatings,
+  getLeaderboard
 } = games;
 
 export const {
@@ -128,13 +129,19 @@ export const {
 
 export const {
   sendToAI,
-  sendToAdmin
+  sendToAdmin,
+  getUnreadCounts,
+  searchMessages,
+  resolveNotification,
+  getCannedResponses
 } = chat;
 
 export const {
   getConfig,
   updateConfig,
   reloadConfig,
+  applyConfigValues,
+  getConfigHistory,
   ping,
   health,
   version
@@ -159,11 +166,16 @@ export const {
   getEvent,
   createEvent,
   updateEvent,
-  deleteEvent
+  deleteEvent,
+  getGameDependencies,
+  addGameDependency,
+  removeGameDependency
 } = aiTraining;
 
 export const {
-  uploadImage
+  uploadImage,
+  uploadAttachment,
+  getUploadLimits
 } = files;
 
 export const {
@@ -172,7 +184,8 @@ export const {
   createReward,
   grantReward,
   deleteReward,
-  exportPublicKeys
+  exportPublicKeys,
+  listProvisions
 } = rewards;
 
 // Default export - object with all services organized by domain
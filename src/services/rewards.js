@@ -247,3 +247,34 @@ export const updateProvisionTrigger = (triggerId, triggerData) =>
  */
 export const deleteProvisionTrigger = (triggerId) =>
   request('DELETE', `/admin/rewards/provision-triggers/${triggerId}`);
+
+/**
+ * List provision attempts (one per team, reward and trigger)
+ *
+ * ADMIN ONLY
+ *
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.status] - pending, success, failed or resolved
+ * @param {number} [filters.team_id] - Only this team
+ * @param {number} [filters.reward_id] - Only this reward
+ * @returns {Promise<Object>} Object with provisions array
+ * @throws {APIError} 403 if not admin
+ *
+ * @example
+ * const { provisions } = await listProvisions({ status: 'failed' });
+ * // provisions[0]:
+ * // {
+ * //   id: 12, team_id: 3, team_name: "Alpha", team_reward_id: 40,
+ * //   reward_id: 2, reward_name: "Challenge Container", reward_type: "container_access",
+ * //   trigger_id: 5, triggered_by_game_name: "Access Server", api_url: "local://container?...",
+ * //   status: "failed", error_message: "Connection refused", http_status_code: null,
+ * //   retry_count: 2, updated_at: "2026-03-06T14:00:00", resolution_notes: null
+ * // }
+ */
+export const listProvisions = (filters = {}) => {
+  const params = new URLSearchParams(
+    Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+  const query = params.toString();
+  return request('GET', `/admin/rewards/provisions${query ? `?${query}` : ''}`);
+};
@@ -0,0 +1,441 @@
+/**
+ * Module: services/submissionQueue.js
+ * Purpose: Offline-tolerant queue for answer submissions and game starts
+ * Part of: Easter Quest 2025 Frontend Services
+ *
+ * When request() reports that the backend is unreachable (see isOfflineError),
+ * the game panel hands the action to this queue instead of dropping it.
+ *
+ * Strategy:
+ * - Items are persisted in localStorage, so a reload or navigation keeps them
+ * - Items are replayed strictly in order when the browser reports "online"
+ *   and on a retry timer while anything is still queued
+ * - Replay stops at the first item that fails offline again (order is preserved)
+ * - Items belong to the user who queued them; only that user's items are replayed
+ * - Several tabs share the stored list: every change re-reads it before writing,
+ *   `storage` events keep the other tabs up to date, and a lease in localStorage
+ *   lets only one tab replay at a time (so nothing is sent twice)
+ *
+ * Item states: queued -> sending -> accepted | rejected
+ *
+ * @since 2026-10-19
+ */
+
+import { submitSolution, startGame } from './games';
+import { isOfflineError } from './api';
+import { logger } from '../utils/logger';
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+  STORAGE_KEY: 'submissionQueue',
+  LEASE_KEY: 'submissionQueue:lease',
+  // Longer than a request including its retries; a closed tab's lease runs out after this
+  LEASE_MS: 120000,
+  RETRY_INTERVAL_MS: 15000
+};
+
+/**
+ * Queue item states
+ */
+export const QUEUE_STATUS = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Queue item types and the API call that replays them
+ */
+const ACTIONS = {
+  submit: (item) => submitSolution(item.gameId, item.solution),
+  start: (item) => startGame(item.gameId)
+};
+
+/**
+ * Read persisted items
+ *
+ * @returns {Array<Object>} Queue items
+ */
+const loadItems = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEY)) || [];
+  } catch (error) {
+    logger.warn('submission_queue_load_failed', {
+      error: error.message,
+      module: 'submissionQueue'
+    });
+    return [];
+  }
+};
+
+/**
+ * Read the replay lease ({ owner, until })
+ *
+ * @returns {Object|null} Lease, null if none or unreadable
+ */
+const loadLease = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CONFIG.LEASE_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Submission queue state
+ */
+class SubmissionQueue {
+  constructor() {
+    this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    this.items = loadItems();
+    this.userId = null;
+    this.flushing = false;
+    this.retryTimer = null;
+    this.listeners = new Set();
+    this.handleOnline = this.handleOnline.bind(this);
+    this.handleStorage = this.handleStorage.bind(this);
+  }
+
+  /**
+   * Start replaying items of a user
+   *
+   * @param {number} userId - Current user ID
+   */
+  start(userId) {
+    this.userId = userId;
+    window.addEventListener('online', this.handleOnline);
+    window.addEventListener('storage', this.handleStorage);
+    this.scheduleRetry();
+    this.flush();
+  }
+
+  /**
+   * Stop replaying (logout / unmount). Persisted items are kept.
+   */
+  stop() {
+    this.userId = null;
+    window.removeEventListener('online', this.handleOnline);
+    window.removeEventListener('storage', this.handleStorage);
+    this.clearRetry();
+  }
+
+  handleOnline() {
+    logger.info('submission_queue_online', {
+      queued: this.getQueued().length,
+      module: 'submissionQueue'
+    });
+    this.flush();
+  }
+
+  /**
+   * Another tab changed the stored items - take them over without writing back
+   *
+   * @param {StorageEvent} event - Storage event
+   */
+  handleStorage(event) {
+    if (event.key !== CONFIG.STORAGE_KEY && event.key !== null) {
+      return;
+    }
+    this.items = loadItems();
+    this.notify();
+    this.scheduleRetry();
+  }
+
+  /**
+   * Add an action to the queue
+   *
+   * A newer answer for the same game replaces a still-queued older one.
+   *
+   * @param {string} type - 'submit' or 'start'
+   * @param {number} gameId - Game ID
+   * @param {Object} [data] - Extra data (e.g. { solution })
+   * @returns {Object} Queued item
+   */
+  enqueue(type, gameId, data = {}) {
+    const item = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      gameId,
+      userId: this.userId,
+      status: QUEUE_STATUS.QUEUED,
+      createdAt: new Date().toISOString(),
+      ...data
+    };
+
+    let replaced = false;
+    this.mutate(items => {
+      const replaceIndex = items.findIndex(existing =>
+        existing.type === type &&
+        existing.gameId === gameId &&
+        existing.userId === this.userId &&
+        existing.status === QUEUE_STATUS.QUEUED
+      );
+      replaced = replaceIndex >= 0;
+      return replaced
+        ? items.map((existing, index) => (index === replaceIndex ? item : existing))
+        : [...items, item];
+    });
+
+    logger.info('submission_queue_enqueued', {
+      type,
+      gameId,
+      replaced,
+      module: 'submissionQueue'
+    });
+
+    this.scheduleRetry();
+    return item;
+  }
+
+  /**
+   * Replay queued items in order
+   *
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.flushing || !this.userId) {
+      return;
+    }
+    if (!this.acquireLease()) {
+      // Another tab is replaying - check again later in case it goes away
+      this.scheduleRetry();
+      return;
+    }
+    this.flushing = true;
+
+    try {
+      // Holding the lease, items still "sending" belong to a tab that closed without an answer
+      this.mutate(items => items.map(item => (
+        item.status === QUEUE_STATUS.SENDING ? { ...item, status: QUEUE_STATUS.QUEUED } : item
+      )));
+
+      let item = this.getQueued()[0];
+      while (item && this.userId && this.acquireLease() && await this.replay(item)) {
+        item = this.getQueued()[0];
+      }
+    } finally {
+      this.releaseLease();
+      this.flushing = false;
+      this.scheduleRetry();
+    }
+  }
+
+  /**
+   * Send one item and record the outcome
+   *
+   * @param {Object} item - Queued item
+   * @returns {Promise<boolean>} Whether replay can continue (false while still offline)
+   */
+  async replay(item) {
+    this.update(item.id, { status: QUEUE_STATUS.SENDING });
+
+    try {
+      const result = await ACTIONS[item.type](item);
+      // A wrong answer is a valid response, but the submission is not accepted
+      const accepted = item.type !== 'submit' || result?.correct === true;
+      this.update(item.id, {
+        status: accepted ? QUEUE_STATUS.ACCEPTED : QUEUE_STATUS.REJECTED,
+        message: result?.message || null,
+        settledAt: new Date().toISOString()
+      });
+      logger.info('submission_queue_replayed', {
+        type: item.type,
+        gameId: item.gameId,
+        accepted,
+        module: 'submissionQueue'
+      });
+    } catch (error) {
+      if (isOfflineError(error)) {
+        // Still offline - keep this item (and everything after it) for the next attempt
+        this.update(item.id, { status: QUEUE_STATUS.QUEUED });
+        return false;
+      }
+      this.update(item.id, {
+        status: QUEUE_STATUS.REJECTED,
+        message: error.message || 'Submission failed',
+        settledAt: new Date().toISOString()
+      });
+      logger.warn('submission_queue_rejected', {
+        type: item.type,
+        gameId: item.gameId,
+        status: error.status,
+        module: 'submissionQueue'
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Take or renew the replay lease, unless another tab holds a live one
+   *
+   * @returns {boolean} Whether this tab may replay
+   */
+  acquireLease() {
+    const lease = loadLease();
+    if (lease && lease.owner !== this.tabId && lease.until > Date.now()) {
+      return false;
+    }
+    try {
+      localStorage.setItem(CONFIG.LEASE_KEY, JSON.stringify({ owner: this.tabId, until: Date.now() + CONFIG.LEASE_MS }));
+    } catch (error) {
+      logger.warn('submission_queue_lease_failed', {
+        error: error.message,
+        module: 'submissionQueue'
+      });
+    }
+    // Two tabs may have written at the same moment - the last write wins
+    return loadLease()?.owner === this.tabId;
+  }
+
+  releaseLease() {
+    if (loadLease()?.owner === this.tabId) {
+      localStorage.removeItem(CONFIG.LEASE_KEY);
+    }
+  }
+
+  /**
+   * Remove a settled item (user dismissed its status)
+   *
+   * @param {string} id - Item ID
+   */
+  dismiss(id) {
+    this.mutate(items => items.filter(item => item.id !== id));
+  }
+
+  /**
+   * Items of the current user
+   *
+   * @returns {Array<Object>} Queue items in order
+   */
+  getItems() {
+    return this.items.filter(item => item.userId === this.userId);
+  }
+
+  getQueued() {
+    return this.getItems().filter(item => item.status === QUEUE_STATUS.QUEUED);
+  }
+
+  update(id, changes) {
+    this.mutate(items => items.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }
+
+  /**
+   * Apply a change to the stored items (re-read first, so other tabs' items are kept)
+   *
+   * @param {Function} change - (items) => new items
+   */
+  mutate(change) {
+    this.items = change(loadItems());
+    try {
+      localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(this.items));
+    } catch (error) {
+      logger.warn('submission_queue_persist_failed', {
+        error: error.message,
+        module: 'submissionQueue'
+      });
+    }
+    this.notify();
+  }
+
+  notify() {
+    this.listeners.forEach(callback => {
+      try {
+        callback(this.getItems());
+      } catch (error) {
+        logger.error('submission_queue_listener_error', { callback: callback.name }, error);
+      }
+    });
+  }
+
+  scheduleRetry() {
+    if (this.retryTimer || !this.userId || this.getQueued().length === 0) {
+      return;
+    }
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush();
+    }, CONFIG.RETRY_INTERVAL_MS);
+  }
+
+  clearRetry() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+}
+
+// Singleton instance
+const submissionQueue = new SubmissionQueue();
+
+/**
+ * Start replaying the queue for a user
+ *
+ * @param {number} userId - Current user ID
+ */
+export const startSubmissionQueue = (userId) => {
+  submissionQueue.start(userId);
+};
+
+/**
+ * Stop replaying the queue (items stay persisted)
+ */
+export const stopSubmissionQueue = () => {
+  submissionQueue.stop();
+};
+
+/**
+ * Queue an answer submission
+ *
+ * @param {number} gameId - Game ID
+ * @param {string} solution - Answer text
+ * @returns {Object} Queued item
+ */
+export const enqueueSubmission = (gameId, solution) => submissionQueue.enqueue('submit', gameId, { solution });
+
+/**
+ * Queue a game start
+ *
+ * @param {number} gameId - Game ID
+ * @returns {Object} Queued item
+ */
+export const enqueueStartGame = (gameId) => submissionQueue.enqueue('start', gameId);
+
+/**
+ * Replay queued items now
+ *
+ * @returns {Promise<void>}
+ */
+export const flushSubmissionQueue = () => submissionQueue.flush();
+
+/**
+ * Remove a settled item
+ *
+ * @param {string} id - Item ID
+ */
+export const dismissQueueItem = (id) => {
+  submissionQueue.dismiss(id);
+};
+
+/**
+ * Get the current user's queue items
+ *
+ * @returns {Array<Object>} Queue items in order
+ */
+export const getQueueItems = () => submissionQueue.getItems();
+
+/**
+ * Subscribe to queue changes
+ *
+ * @param {Function} callback - Called with the current user's items after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const onQueueChange = (callback) => submissionQueue.subscribe(callback);
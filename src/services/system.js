@@ -7,6 +7,7 @@
  * - Health checks
  * - Version info
  * - System configuration (super_admin)
+ * - Configuration change history and bulk apply (rollback, profiles)
  *
  * @since 2025-11-20
  */
@@ -65,12 +66,49 @@ export const getConfig = (category = null) => {
  *
  * @param {string} key - Configuration key
  * @param {any} value - New value
+ * @param {string} [reason] - Why the value was changed (stored in the change history)
  * @returns {Promise<Object>} Updated configuration object
  * @throws {APIError} 400 if validation fails, 403 if not super_admin, 404 if key not found
  */
-export const updateConfig = (key, value) => {
+export const updateConfig = (key, value, reason = '') => {
   logger.info(`Updating configuration: ${key} = ${value}`);
-  return request('PATCH', `/system/config/${key}`, { value });
+  return request('PATCH', `/system/config/${key}`, reason ? { value, reason } : { value });
+};
+
+/**
+ * Apply several configuration values at once (snapshot rollback, profile import)
+ *
+ * SUPER_ADMIN ONLY
+ *
+ * All values are validated first; nothing is changed if one of them is invalid.
+ *
+ * @param {Object<string, any>} values - Key -> new value
+ * @param {string} reason - Why the values were changed (stored in the change history)
+ * @returns {Promise<Object>} { updated: [keys] }
+ * @throws {APIError} 400 if validation fails, 403 if not super_admin, 404 if a key is unknown
+ */
+export const applyConfigValues = (values, reason) => {
+  logger.info(`Applying ${Object.keys(values).length} configuration values`);
+  return request('PUT', '/system/config', { values, reason });
+};
+
+/**
+ * Get configuration change history, newest first
+ *
+ * SUPER_ADMIN ONLY
+ *
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.key] - Only changes of this key
+ * @param {string} [filters.since] - ISO timestamp, only changes after it
+ * @param {number} [filters.limit] - Maximum number of changes (default: 500)
+ * @returns {Promise<Object>} { changes: [{ id, key, old_value, new_value, changed_by, changed_at, reason }] }
+ * @throws {APIError} 403 if not super_admin
+ */
+export const getConfigHistory = ({ key = null, since = null, limit = 500 } = {}) => {
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (key) params.set('key', key);
+  if (since) params.set('since', since);
+  return request('GET', `/system/config/history?${params.toString()}`);
 };
 
 /**
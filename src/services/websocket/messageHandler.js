@@ -13,6 +13,7 @@
  */
 
 import { logger } from '../../utils/logger';
+import { PERMISSIONS, roleHasPermission } from '../../config/permissions';
 
 /**
  * Generate unique message ID
@@ -152,7 +153,7 @@ const handleAIResponse = (message, context) => {
 const handleAdminMessage = (message, context) => {
   logger.debug('ws_message_admin_received', { module: 'messageHandler' });
 
-  const { addMessage } = context;
+  const { addMessage, notifyAlert } = context;
 
   if (addMessage) {
     addMessage({
@@ -164,6 +165,12 @@ const handleAdminMessage = (message, context) => {
       timestamp: new Date().toISOString()
     });
   }
+
+  notifyAlert?.('admin_messages', {
+    title: `💬 ${message.admin_name || 'Admin'}`,
+    body: message.content,
+    tag: 'admin-message'
+  });
 };
 
 /**
@@ -333,7 +340,7 @@ const handleTeamBroadcastMessage = (message, context) => {
     module: 'messageHandler'
   });
 
-  const { handleIncomingBroadcast } = context;
+  const { handleIncomingBroadcast, notifyAlert } = context;
 
   if (handleIncomingBroadcast) {
     handleIncomingBroadcast(message.message);
@@ -343,6 +350,15 @@ const handleTeamBroadcastMessage = (message, context) => {
       module: 'messageHandler'
     });
   }
+
+  if (message.message) {
+    notifyAlert?.('team_broadcasts', {
+      title: `💬 ${message.message.sender_name || 'Team chat'}`,
+      body: message.message.content,
+      tag: 'team-broadcast',
+      senderId: message.message.sender_id
+    });
+  }
 };
 
 /**
@@ -362,6 +378,96 @@ const handleTypingIndicator = (message, context) => {
   }
 };
 
+/**
+ * Handle read receipt (server-backed read state)
+ *
+ * Sent when a user marked messages as read - to the senders ("seen by") and
+ * to the reader's other tabs (unread counts).
+ *
+ * @param {object} message - Read receipt
+ * @param {number} message.reader_id - User who read the messages
+ * @param {string} message.reader_name - Reader display name
+ * @param {Array<number>} message.message_ids - Messages marked as read
+ * @param {string} message.read_at - ISO timestamp
+ * @param {object} context - Chat context state and methods
+ */
+const handleMessagesRead = (message, context) => {
+  const { applyReadReceipt } = context;
+
+  if (!Array.isArray(message.message_ids)) {
+    logger.warn('ws_messages_read_invalid', { module: 'messageHandler' });
+    return;
+  }
+
+  if (applyReadReceipt) {
+    applyReadReceipt({
+      reader_id: message.reader_id,
+      reader_name: message.reader_name,
+      message_ids: message.message_ids,
+      read_at: message.read_at || new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Handle a team chat message removed by a moderator
+ *
+ * @param {object} message - Deletion notice
+ * @param {number} message.message_id - Removed message
+ * @param {string} [message.chat_type] - broadcast/private
+ * @param {string} [message.reason] - Moderator's reason
+ * @param {object} context - Chat context state and methods
+ */
+const handleMessageDeleted = (message, context) => {
+  const { applyMessageDeletion } = context;
+
+  if (!message.message_id) {
+    logger.warn('ws_message_deleted_invalid', { module: 'messageHandler' });
+    return;
+  }
+
+  logger.info('ws_message_deleted_received', {
+    messageId: message.message_id,
+    chatType: message.chat_type,
+    module: 'messageHandler'
+  });
+
+  if (applyMessageDeletion) {
+    applyMessageDeletion({
+      message_id: message.message_id,
+      chat_type: message.chat_type,
+      reason: message.reason
+    });
+  }
+};
+
+/**
+ * Handle a team chat mute or unmute
+ *
+ * @param {object} message - Mute notice
+ * @param {number} message.user_id - Affected user
+ * @param {string} [message.muted_until] - ISO timestamp (chat_muted only; missing = until lifted)
+ * @param {string} [message.reason] - Moderator's reason
+ * @param {object} context - Chat context state and methods
+ */
+const handleChatMute = (message, context) => {
+  const { applyChatMute } = context;
+  const muted = message.type === 'chat_muted';
+
+  logger.info('ws_chat_mute_received', {
+    userId: message.user_id,
+    muted,
+    mutedUntil: message.muted_until,
+    module: 'messageHandler'
+  });
+
+  if (applyChatMute) {
+    applyChatMute(message.user_id, muted
+      ? { muted_until: message.muted_until || null, reason: message.reason }
+      : null);
+  }
+};
+
 /**
  * Handle message sent confirmation (Phase 4 - Team Chat)
  *
@@ -392,8 +498,7 @@ const handleMessageSent = (message, context) => {
     });
 
     // This is an admin broadcast - add to local state so admin can see their own message
-    const isAdminBroadcast = sentMessage.sender_role === 'admin' ||
-                              sentMessage.sender_role === 'game_admin';
+    const isAdminBroadcast = roleHasPermission(sentMessage.sender_role, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM);
 
     logger.debug('ws_message_checking_admin_role', {
       isAdminBroadcast,
@@ -456,6 +561,80 @@ const handleMessageStored = (message, context) => {
   // Message already added to UI, this is backend confirmation
 };
 
+/**
+ * Handle a streamed AI response chunk
+ *
+ * Chunks of one answer share a stream_id and are appended to a single
+ * in-progress message (see ChatContext.appendAIChunk).
+ *
+ * @param {object} message - AI response chunk
+ * @param {string} message.stream_id - Identifier of the streamed answer
+ * @param {string} message.content - Text delta to append
+ * @param {object} context - Chat context state and methods
+ */
+const handleAIResponseChunk = (message, context) => {
+  const { appendAIChunk, setIsTyping } = context;
+
+  if (!message.stream_id || typeof message.content !== 'string') {
+    logger.warn('ws_message_ai_chunk_invalid', {
+      hasStreamId: !!message.stream_id,
+      module: 'messageHandler'
+    });
+    return;
+  }
+
+  // Text is arriving - the message itself replaces the typing indicator
+  if (setIsTyping) {
+    setIsTyping(false);
+  }
+
+  if (appendAIChunk) {
+    appendAIChunk(message.stream_id, message.content, { timestamp: message.timestamp });
+  }
+};
+
+/**
+ * Handle the end of a streamed AI response
+ *
+ * @param {object} message - AI response end
+ * @param {string} message.stream_id - Identifier of the streamed answer
+ * @param {string} [message.content] - Full final text (replaces the streamed text if present)
+ * @param {boolean} [message.cancelled] - Generation was stopped on request
+ * @param {string} message.conversation_id - Conversation ID
+ * @param {number} message.processing_time_ms - AI processing time
+ * @param {object} context - Chat context state and methods
+ */
+const handleAIResponseEnd = (message, context) => {
+  logger.debug('ws_message_ai_response_end', {
+    streamId: message.stream_id,
+    cancelled: !!message.cancelled,
+    processingTime: message.processing_time_ms,
+    module: 'messageHandler'
+  });
+
+  const { finishAIStream, setIsTyping, loadAIContext } = context;
+
+  if (setIsTyping) {
+    setIsTyping(false);
+  }
+
+  if (finishAIStream && message.stream_id) {
+    finishAIStream(message.stream_id, {
+      content: message.content,
+      metadata: {
+        conversation_id: message.conversation_id,
+        processing_time_ms: message.processing_time_ms,
+        progress_update: message.progress_update,
+        ...(message.cancelled ? { cancelled: true } : {})
+      }
+    });
+  }
+
+  if (loadAIContext) {
+    loadAIContext();
+  }
+};
+
 /**
  * Handle AI typing indicator
  *
@@ -525,6 +704,7 @@ const handleError = (message, context) => {
  * @param {number} message.team_id - Team ID
  * @param {string} message.escalation_type - Type of escalation
  * @param {string} message.priority - Priority level
+ * @param {string} [message.team_name] - Team name
  * @param {object} context - Chat context state and methods
  */
 const handleNewEscalation = (message, context) => {
@@ -535,9 +715,15 @@ const handleNewEscalation = (message, context) => {
     module: 'messageHandler'
   });
 
-  // This is sent to admins via WebSocket when a new escalation is created
-  // The admin notification dashboard handles this via SSE, so we can safely ignore it here
-  // Just log it to prevent "unknown message type" warnings
+  // This is sent to admins via WebSocket when a new escalation is created.
+  // The admin notification dashboard lists it via SSE; here we only alert the
+  // admin, who may not have the dashboard open.
+  const { notifyAlert } = context;
+  notifyAlert?.('escalations', {
+    title: `🔔 New ${message.priority === 'high' || message.priority === 'urgent' ? 'high priority ' : ''}escalation`,
+    body: [message.team_name, message.escalation_type].filter(Boolean).join(' · '),
+    tag: `escalation-${message.notification_id}`
+  });
 };
 
 /**
@@ -628,6 +814,8 @@ const MESSAGE_HANDLERS = {
   'message_stored': handleMessageStored,
   'ai_typing': handleAITyping,
   'ai_response': handleAIResponse,
+  'ai_response_chunk': handleAIResponseChunk,
+  'ai_response_end': handleAIResponseEnd,
   'admin_message': handleAdminMessage,
   'security_warning': handleSecurityWarning,
   'rate_limit_error': handleRateLimitError,
@@ -642,7 +830,13 @@ const MESSAGE_HANDLERS = {
   'team_private_message': handleTeamPrivateMessage,
   'team_broadcast_message': handleTeamBroadcastMessage,
   'typing_indicator': handleTypingIndicator,
-  'message_sent': handleMessageSent
+  'message_sent': handleMessageSent,
+  'messages_read': handleMessagesRead,
+
+  // Moderation
+  'message_deleted': handleMessageDeleted,
+  'chat_muted': handleChatMute,
+  'chat_unmuted': handleChatMute
 };
 
 /**
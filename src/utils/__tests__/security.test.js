@@ -14,6 +14,8 @@ import {
   containsSensitiveData,
   applyPIIMasking,
   sanitizeContext,
+  findPIIInText,
+  maskPIIInText,
 } from '../security';
 
 describe('Security Utilities', () => {
@@ -285,4 +287,33 @@ describe('Security Utilities', () => {
       expect(sanitizeContext(undefined)).toBe(undefined);
     });
   });
+
+  describe('findPIIInText', () => {
+    test('should find emails and phone numbers', () => {
+      expect(findPIIInText('mail me at anna@example.com or call +49 170 1234567')).toEqual(['email', 'phone']);
+      expect(findPIIInText('ruf 0170 1234567 an')).toEqual(['phone']);
+    });
+
+    test('should find bank and card numbers', () => {
+      expect(findPIIInText('card 4111 1111 1111 1111 and DE89370400440532013000')).toEqual(['iban', 'card']);
+    });
+
+    test('should ignore ordinary numbers', () => {
+      expect(findPIIInText('we are at station 12 with 300 points')).toEqual([]);
+      expect(findPIIInText(null)).toEqual([]);
+    });
+  });
+
+  describe('maskPIIInText', () => {
+    test('should reuse the email masking and replace numbers completely', () => {
+      expect(maskPIIInText('mail me at anna@example.com or call +49 170 1234567'))
+        .toBe('mail me at a***@***.*** or call ***');
+      expect(maskPIIInText('card 4111 1111 1111 1111 and DE89370400440532013000')).toBe('card *** and ***');
+    });
+
+    test('should leave text without personal data unchanged', () => {
+      expect(maskPIIInText('see you at station 12')).toBe('see you at station 12');
+      expect(maskPIIInText(undefined)).toBe(undefined);
+    });
+  });
 });
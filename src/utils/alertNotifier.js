@@ -0,0 +1,145 @@
+/**
+ * Module: utils/alertNotifier.js
+ * Purpose: Desktop notifications and sound cues for chat and game events
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Features:
+ * - Web Notifications while the page is hidden or not focused (opt-in, needs permission)
+ * - Short synthesized sound cues per category (Web Audio, no audio files)
+ * - Honors the per-category settings and quiet hours from alertPreferences.js
+ *
+ * Called from the WebSocket message handlers (via ChatContext `notifyAlert`),
+ * from GamePanel for completed games and from the security alert rules.
+ *
+ * @since 2026-10-19
+ */
+
+import { loadAlertPreferences, getAlertChannels } from './alertPreferences';
+import { logger } from './logger';
+
+/**
+ * Tone sequences per category: [frequency Hz, duration ms]
+ */
+export const SOUND_CUES = {
+    escalations: [[880, 120], [660, 120], [880, 180]],
+    security_alerts: [[988, 100], [988, 100], [740, 220]],
+    admin_messages: [[660, 120], [990, 180]],
+    team_broadcasts: [[740, 140]],
+    game_completion: [[523, 120], [659, 120], [784, 220]]
+};
+
+let audioContext = null;
+
+/**
+ * Whether the browser supports desktop notifications
+ *
+ * @returns {boolean} True if the Notification API is available
+ */
+export function isDesktopSupported() {
+    return typeof window !== 'undefined' && 'Notification' in window;
+}
+
+/**
+ * Current desktop notification permission
+ *
+ * @returns {string} 'granted', 'denied', 'default' or 'unsupported'
+ */
+export function getDesktopPermission() {
+    return isDesktopSupported() ? window.Notification.permission : 'unsupported';
+}
+
+/**
+ * Ask for desktop notification permission (must run from a user gesture)
+ *
+ * @returns {Promise<string>} Resulting permission
+ */
+export async function requestDesktopPermission() {
+    if (!isDesktopSupported()) return 'unsupported';
+    try {
+        return await window.Notification.requestPermission();
+    } catch (e) {
+        logger.warn('alert_permission_request_failed', { errorMessage: e.message, module: 'alertNotifier' });
+        return getDesktopPermission();
+    }
+}
+
+/**
+ * Play the sound cue of a category
+ *
+ * @param {string} category - Alert category ID
+ * @param {number} [volume] - 0..1
+ * @returns {boolean} True if the cue was started
+ */
+export function playCue(category, volume = 0.6) {
+    const tones = SOUND_CUES[category];
+    const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+    if (!tones || !AudioContextClass) return false;
+
+    try {
+        audioContext = audioContext || new AudioContextClass();
+        let start = audioContext.currentTime;
+        tones.forEach(([frequency, duration]) => {
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            const end = start + duration / 1000;
+            oscillator.type = 'sine';
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(Math.max(0, Math.min(1, volume)) * 0.3, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, end);
+            oscillator.connect(gain);
+            gain.connect(audioContext.destination);
+            oscillator.start(start);
+            oscillator.stop(end);
+            start = end + 0.03;
+        });
+        return true;
+    } catch (e) {
+        logger.warn('alert_sound_failed', { category, errorMessage: e.message, module: 'alertNotifier' });
+        return false;
+    }
+}
+
+const pageIsInBackground = () => document.visibilityState === 'hidden' || !document.hasFocus();
+
+/**
+ * Alert the user about an event
+ *
+ * Desktop notifications are only shown while the page is in the background;
+ * sound cues play in both cases.
+ *
+ * @param {string} category - Alert category ID (see alertPreferences.js ALERT_CATEGORIES)
+ * @param {Object} alert - Alert content
+ * @param {string} alert.title - Notification title
+ * @param {string} [alert.body] - Notification text
+ * @param {string} [alert.tag] - Replaces an earlier notification with the same tag
+ * @param {Object} [preferences] - Preferences (default: stored preferences)
+ * @returns {Object} { desktop, sound } - What was triggered
+ */
+export function notifyAlert(category, alert, preferences = loadAlertPreferences()) {
+    const channels = getAlertChannels(preferences, category);
+    const result = { desktop: false, sound: false };
+
+    if (channels.sound) {
+        result.sound = playCue(category, preferences.volume);
+    }
+
+    if (channels.desktop && getDesktopPermission() === 'granted' && pageIsInBackground()) {
+        try {
+            const notification = new window.Notification(alert.title, {
+                body: alert.body ? alert.body.slice(0, 200) : undefined,
+                tag: alert.tag || category,
+                icon: '/favicon.ico'
+            });
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+            };
+            result.desktop = true;
+        } catch (e) {
+            logger.warn('alert_desktop_failed', { category, errorMessage: e.message, module: 'alertNotifier' });
+        }
+    }
+
+    logger.debug('alert_notified', { category, ...result, module: 'alertNotifier' });
+    return result;
+}
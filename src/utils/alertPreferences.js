@@ -0,0 +1,117 @@
+/**
+ * Module: utils/alertPreferences.js
+ * Purpose: Desktop notification and sound alert preferences (per browser)
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Features:
+ * - Opt-in desktop notifications and sound cues, each mutable per category
+ * - Quiet hours (also across midnight, e.g. 22:00-07:00)
+ * - Unread count in the tab title
+ * - Stored in localStorage; missing keys fall back to the defaults
+ *
+ * @since 2026-10-19
+ * @see ./alertNotifier.js
+ */
+
+import { PERMISSIONS } from '../config/permissions';
+import { logger } from './logger';
+
+const STORAGE_KEY = 'alertPreferences';
+
+/**
+ * Alert categories (`permission`: only offered to users who have it)
+ */
+export const ALERT_CATEGORIES = [
+    { id: 'escalations', label: 'New escalations', permission: PERMISSIONS.NOTIFICATIONS_MANAGE },
+    { id: 'security_alerts', label: 'Security alert rules', permission: PERMISSIONS.GAME_DASHBOARD_VIEW },
+    { id: 'admin_messages', label: 'Messages from admins' },
+    { id: 'team_broadcasts', label: 'Team chat messages' },
+    { id: 'game_completion', label: 'Completed games' }
+];
+
+/**
+ * Preferences before the user changed anything (nothing is shown or played)
+ */
+export const DEFAULT_ALERT_PREFERENCES = {
+    desktop: false,
+    sound: false,
+    volume: 0.6,
+    titleBadge: true,
+    categories: Object.fromEntries(ALERT_CATEGORIES.map(category => [category.id, { desktop: true, sound: true }])),
+    quietHours: { enabled: false, start: '22:00', end: '07:00' }
+};
+
+/**
+ * Load the alert preferences
+ *
+ * @returns {Object} Preferences (see DEFAULT_ALERT_PREFERENCES)
+ */
+export function loadAlertPreferences() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return {
+            ...DEFAULT_ALERT_PREFERENCES,
+            ...saved,
+            categories: Object.fromEntries(ALERT_CATEGORIES.map(category => [category.id, {
+                ...DEFAULT_ALERT_PREFERENCES.categories[category.id],
+                ...saved.categories?.[category.id]
+            }])),
+            quietHours: { ...DEFAULT_ALERT_PREFERENCES.quietHours, ...saved.quietHours }
+        };
+    } catch (e) {
+        logger.warn('alert_preferences_load_failed', { errorMessage: e.message, module: 'alertPreferences' });
+        return DEFAULT_ALERT_PREFERENCES;
+    }
+}
+
+/**
+ * Save the alert preferences
+ *
+ * @param {Object} preferences - Preferences to store
+ */
+export function saveAlertPreferences(preferences) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+}
+
+const toMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Whether a time falls into the quiet hours
+ *
+ * @param {Object} quietHours - { enabled, start, end } with "HH:MM" local times
+ * @param {Date} [date] - Time to check
+ * @returns {boolean} True when alerts should stay silent
+ */
+export function isQuietTime(quietHours, date = new Date()) {
+    if (!quietHours?.enabled) return false;
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    if (Number.isNaN(start) || Number.isNaN(end) || start === end) return false;
+
+    const current = date.getHours() * 60 + date.getMinutes();
+    return start < end
+        ? current >= start && current < end
+        : current >= start || current < end;
+}
+
+/**
+ * Which channels an alert of a category may use right now
+ *
+ * @param {Object} preferences - Alert preferences
+ * @param {string} category - Alert category ID
+ * @param {Date} [date] - Current time (for quiet hours)
+ * @returns {Object} { desktop, sound }
+ */
+export function getAlertChannels(preferences, category, date = new Date()) {
+    const settings = preferences.categories?.[category];
+    if (!settings || isQuietTime(preferences.quietHours, date)) {
+        return { desktop: false, sound: false };
+    }
+    return {
+        desktop: !!(preferences.desktop && settings.desktop),
+        sound: !!(preferences.sound && settings.sound)
+    };
+}
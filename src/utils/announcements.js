@@ -0,0 +1,147 @@
+/**
+ * Module: utils/announcements.js
+ * Purpose: Templates, validation and delivery summaries for team announcements
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Features:
+ * - Built-in announcement templates ("30 minutes left", "Game unlocked", ...)
+ * - {{team_name}} is filled in per team by the server; other placeholders
+ *   have to be replaced by the admin before sending
+ * - Validation of the composer (text, teams, schedule time)
+ * - Queue / history split and per-team delivery counts
+ *
+ * @since 2026-10-19
+ * @see ../components/AdminNotifications/AnnouncementsPanel.jsx
+ */
+
+import { renderTemplate, findMissingVariables } from './cannedResponses';
+
+export const MAX_ANNOUNCEMENT_LENGTH = 2000;
+
+/**
+ * Variables the server fills in for every team
+ */
+export const ANNOUNCEMENT_VARIABLES = ['team_name'];
+
+/**
+ * Built-in templates
+ */
+export const ANNOUNCEMENT_TEMPLATES = [
+    {
+        id: 'time_left',
+        label: '⏰ Time left',
+        content: '⏰ {{minutes}} minutes left! Make sure to submit your answers in time.'
+    },
+    {
+        id: 'game_unlocked',
+        label: '🔓 Game unlocked',
+        content: '🔓 {{game}} is now unlocked. Good luck, {{team_name}}!'
+    },
+    {
+        id: 'break',
+        label: '☕ Break',
+        content: '☕ Short break until {{time}}. The quest continues afterwards.'
+    },
+    {
+        id: 'finished',
+        label: '🏁 Quest finished',
+        content: '🏁 The quest is over - thank you for playing, {{team_name}}! The winners are announced at {{time}}.'
+    }
+];
+
+/**
+ * Announcement statuses that are still waiting to go out
+ */
+export const PENDING_STATUSES = ['scheduled', 'sending'];
+
+/**
+ * Render an announcement the way a team will receive it
+ *
+ * @param {string} content - Announcement text
+ * @param {Object} [team] - Team ({ name }); without a team the placeholder stays
+ * @returns {string} Text for that team
+ */
+export function renderAnnouncement(content, team) {
+    return renderTemplate(content, team ? { team_name: team.name } : {});
+}
+
+/**
+ * Convert a datetime-local input value to an ISO timestamp
+ *
+ * @param {string} value - "YYYY-MM-DDTHH:MM" in local time
+ * @returns {string|null} ISO timestamp, null when empty or invalid
+ */
+export function toScheduleTimestamp(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Validate the composer before sending
+ *
+ * @param {Object} draft - { content, allTeams, teamIds, scheduleAt } (scheduleAt: datetime-local value, '' = now)
+ * @param {number} [now] - Current time (ms)
+ * @returns {Object} Field errors ({ content, teams, scheduleAt }); empty when valid
+ */
+export function validateAnnouncement(draft, now = Date.now()) {
+    const errors = {};
+    const content = draft.content?.trim() || '';
+    const unfilled = findMissingVariables(content, Object.fromEntries(ANNOUNCEMENT_VARIABLES.map(name => [name, name])));
+
+    if (!content) {
+        errors.content = 'Text is required';
+    } else if (content.length > MAX_ANNOUNCEMENT_LENGTH) {
+        errors.content = `Text is too long (max ${MAX_ANNOUNCEMENT_LENGTH} characters)`;
+    } else if (unfilled.length > 0) {
+        errors.content = `Fill in ${unfilled.map(name => `{{${name}}}`).join(', ')}`;
+    }
+
+    if (!draft.allTeams && (draft.teamIds || []).length === 0) {
+        errors.teams = 'Select at least one team';
+    }
+
+    if (draft.scheduleAt) {
+        const timestamp = toScheduleTimestamp(draft.scheduleAt);
+        if (!timestamp) errors.scheduleAt = 'Invalid date';
+        else if (Date.parse(timestamp) <= now) errors.scheduleAt = 'Pick a time in the future';
+    }
+    return errors;
+}
+
+/**
+ * Split announcements into the send queue and the history
+ *
+ * @param {Array<Object>} announcements - Announcements from the API
+ * @returns {Object} { queue (next first), history (newest first) }
+ */
+export function splitAnnouncements(announcements) {
+    const time = (announcement) => Date.parse(announcement.scheduled_for || announcement.sent_at || announcement.created_at) || 0;
+
+    const queue = announcements
+        .filter(announcement => PENDING_STATUSES.includes(announcement.status))
+        .sort((a, b) => time(a) - time(b));
+    const history = announcements
+        .filter(announcement => !PENDING_STATUSES.includes(announcement.status))
+        .sort((a, b) => time(b) - time(a));
+    return { queue, history };
+}
+
+/**
+ * Count the per-team delivery states of an announcement
+ *
+ * @param {Object} announcement - Announcement with `deliveries`
+ * @returns {Object} { total, delivered, failed, pending }
+ */
+export function summarizeDeliveries(announcement) {
+    const deliveries = announcement.deliveries || [];
+    const count = (status) => deliveries.filter(delivery => delivery.status === status).length;
+    const delivered = count('delivered');
+    const failed = count('failed');
+    return {
+        total: deliveries.length,
+        delivered,
+        failed,
+        pending: deliveries.length - delivered - failed
+    };
+}
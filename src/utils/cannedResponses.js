@@ -0,0 +1,197 @@
+/**
+ * Module: utils/cannedResponses.js
+ * Purpose: Canned responses and macros for escalation replies
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Features:
+ * - Template variables ({{team_name}}, {{game}}, {{hint_level}}, {{progress}})
+ *   filled from the escalation's context or the selected team
+ * - Slash command parsing and suggestion ranking for the chat input
+ * - Validation of the management form
+ *
+ * @since 2026-10-19
+ * @see ../components/AdminNotifications/CannedResponsesManager.jsx
+ */
+
+/**
+ * Variables available in canned response templates
+ */
+export const MACRO_VARIABLES = [
+    { name: 'team_name', label: 'Team name' },
+    { name: 'game', label: 'Current game' },
+    { name: 'hint_level', label: 'Hint level' },
+    { name: 'progress', label: 'Progress %' }
+];
+
+/**
+ * Values used for the template preview in the management tab
+ */
+export const SAMPLE_MACRO_CONTEXT = {
+    team_name: 'Team Bunny',
+    game: 'The Golden Egg',
+    hint_level: '2',
+    progress: '45%'
+};
+
+/**
+ * Escalation types a canned response can be suggested for
+ */
+export const ESCALATION_TYPES = [
+    { value: 'frustration', label: 'User Frustration' },
+    { value: 'technical', label: 'Technical Issue' },
+    { value: 'timeout', label: 'Response Timeout' },
+    { value: 'stuck', label: 'User Stuck' },
+    { value: 'explicit_request', label: 'Support Request' },
+    { value: 'bug', label: 'Bug Report' }
+];
+
+export const MAX_SHORTCUT_LENGTH = 32;
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const firstDefined = (...values) => values.find(value => value !== undefined && value !== null && value !== '');
+
+/**
+ * Build template variables from an escalation and/or the selected chat target
+ *
+ * Escalation context wins over the chat selection. Variables without a value
+ * are left out, so their placeholders stay visible in the rendered text.
+ *
+ * @param {Object} [sources] - Where to take the values from
+ * @param {Object} [sources.notification] - Escalation notification ({ team_name, context_data })
+ * @param {Object} [sources.team] - Selected team ({ name })
+ * @param {Object} [sources.member] - Selected team member ({ team_name })
+ * @returns {Object} Variable values by name (strings)
+ */
+export function buildMacroContext({ notification, team, member } = {}) {
+    const data = notification?.context_data || {};
+    const progress = firstDefined(data.progress_percentage, data.progress);
+
+    const values = {
+        team_name: firstDefined(notification?.team_name, data.team_name, team?.name, member?.team_name),
+        game: firstDefined(data.current_game_title, data.current_game, data.game_title),
+        hint_level: firstDefined(data.hint_level, data.hints_used),
+        progress: progress === undefined ? undefined : `${Math.round(Number(progress))}%`
+    };
+
+    return Object.fromEntries(
+        Object.entries(values)
+            .filter(([, value]) => value !== undefined && value !== 'NaN%')
+            .map(([name, value]) => [name, String(value)])
+    );
+}
+
+/**
+ * Fill the variables of a template
+ *
+ * @param {string} template - Text with {{variable}} placeholders
+ * @param {Object} [context] - Variable values (see buildMacroContext)
+ * @returns {string} Text with known variables replaced; unknown ones kept as-is
+ */
+export function renderTemplate(template, context = {}) {
+    return String(template || '').replace(VARIABLE_PATTERN, (placeholder, name) => (
+        Object.prototype.hasOwnProperty.call(context, name) ? context[name] : placeholder
+    ));
+}
+
+/**
+ * Variables of a template that have no value in the context
+ *
+ * @param {string} template - Text with {{variable}} placeholders
+ * @param {Object} [context] - Variable values
+ * @returns {Array<string>} Missing variable names (unique, in order of appearance)
+ */
+export function findMissingVariables(template, context = {}) {
+    const missing = [];
+    for (const [, name] of String(template || '').matchAll(VARIABLE_PATTERN)) {
+        if (!Object.prototype.hasOwnProperty.call(context, name) && !missing.includes(name)) {
+            missing.push(name);
+        }
+    }
+    return missing;
+}
+
+/**
+ * Slash command typed in the chat input
+ *
+ * @param {string} input - Current input value
+ * @returns {string|null} Command text after "/" (may be empty), or null if the input is not a command
+ */
+export function matchSlashCommand(input) {
+    const match = /^\/([\w-]*)$/.exec(input || '');
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Canned responses matching a slash command, best matches first
+ *
+ * Shortcut prefix matches come before title matches; within each group,
+ * responses meant for the current escalation type come first.
+ *
+ * @param {Array<Object>} responses - Canned responses
+ * @param {string} query - Command text (see matchSlashCommand)
+ * @param {string} [escalationType] - Type of the escalation being answered
+ * @returns {Array<Object>} Matching responses
+ */
+export function filterCannedResponses(responses, query, escalationType) {
+    const q = (query || '').toLowerCase();
+    const score = (response) => {
+        const shortcut = response.shortcut.toLowerCase();
+        const title = (response.title || '').toLowerCase();
+        let value;
+        if (shortcut.startsWith(q)) value = 0;
+        else if (shortcut.includes(q) || title.includes(q)) value = 2;
+        else return null;
+        const types = response.escalation_types || [];
+        if (escalationType && types.length > 0 && !types.includes(escalationType)) value += 1;
+        return value;
+    };
+
+    return responses
+        .map(response => ({ response, score: score(response) }))
+        .filter(entry => entry.score !== null)
+        .sort((a, b) => a.score - b.score || a.response.shortcut.localeCompare(b.response.shortcut))
+        .map(entry => entry.response);
+}
+
+/**
+ * Normalize a shortcut as typed in the management form
+ *
+ * @param {string} value - Raw input (with or without leading "/")
+ * @returns {string} Lowercase shortcut with only letters, digits, "-" and "_"
+ */
+export function normalizeShortcut(value) {
+    return String(value || '')
+        .trim()
+        .replace(/^\/+/, '')
+        .toLowerCase()
+        .replace(/\s+/g, '-')
+        .replace(/[^a-z0-9_-]/g, '')
+        .slice(0, MAX_SHORTCUT_LENGTH);
+}
+
+/**
+ * Validate a canned response before saving
+ *
+ * @param {Object} draft - { title, shortcut, body }
+ * @param {Array<Object>} [existing] - Saved responses (for the duplicate shortcut check)
+ * @returns {Object} Field errors ({ title, shortcut, body }); empty when valid
+ */
+export function validateCannedResponse(draft, existing = []) {
+    const errors = {};
+    if (!draft.title?.trim()) errors.title = 'Title is required';
+
+    if (!draft.shortcut) {
+        errors.shortcut = 'Shortcut is required';
+    } else if (existing.some(response => response.shortcut === draft.shortcut && response.id !== draft.id)) {
+        errors.shortcut = `/${draft.shortcut} is already used`;
+    }
+
+    if (!draft.body?.trim()) {
+        errors.body = 'Text is required';
+    } else {
+        const unknown = findMissingVariables(draft.body, SAMPLE_MACRO_CONTEXT);
+        if (unknown.length > 0) errors.body = `Unknown variable: ${unknown.map(name => `{{${name}}}`).join(', ')}`;
+    }
+    return errors;
+}
@@ -0,0 +1,118 @@
+/**
+ * Module: utils/chatAttachments.js
+ * Purpose: Chat attachment limits, validation and display helpers
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Features:
+ * - Default upload limits (replaced by GET /files/limits when available)
+ * - Type/size validation before upload, with user-facing messages
+ * - Human-readable limits and file sizes
+ * - URL check for attachments rendered from server data
+ *
+ * @since 2026-10-19
+ * @see ../hooks/useChatAttachments.js
+ */
+
+/**
+ * Limits used until the server limits are loaded (server enforces its own)
+ */
+export const DEFAULT_UPLOAD_LIMITS = {
+    image: { max_bytes: 5 * 1024 * 1024, allowed_types: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'] },
+    file: { max_bytes: 10 * 1024 * 1024, allowed_types: ['application/pdf', 'text/plain'] },
+    max_attachments: 4
+};
+
+const TYPE_LABELS = {
+    'image/jpeg': 'JPEG',
+    'image/png': 'PNG',
+    'image/gif': 'GIF',
+    'image/webp': 'WebP',
+    'application/pdf': 'PDF',
+    'text/plain': 'TXT'
+};
+
+const typeLabel = (type) => TYPE_LABELS[type] || type.split('/').pop().toUpperCase();
+
+/**
+ * Format a byte count
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "512 B", "1.5 KB", "5 MB"
+ */
+export function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    const units = ['KB', 'MB', 'GB'];
+    let value = bytes / 1024;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit += 1;
+    }
+    return `${Number(value.toFixed(1))} ${units[unit]}`;
+}
+
+/**
+ * Whether a file or attachment is an image
+ *
+ * @param {Object} file - File or attachment ({ type } or { content_type })
+ * @returns {boolean} True for image/* types
+ */
+export function isImageAttachment(file) {
+    return String(file?.type || file?.content_type || '').startsWith('image/');
+}
+
+/**
+ * Check a file against the upload limits
+ *
+ * Images are checked after resizing, so the size check applies to the file
+ * that will actually be uploaded.
+ *
+ * @param {File} file - File to upload
+ * @param {Object} [limits] - Upload limits ({ image, file })
+ * @returns {string|null} Error message or null if the file is allowed
+ */
+export function validateAttachment(file, limits = DEFAULT_UPLOAD_LIMITS) {
+    const rule = isImageAttachment(file) ? limits.image : limits.file;
+    if (!rule || !rule.allowed_types.includes(file.type)) {
+        return `${file.name}: file type not allowed`;
+    }
+    if (file.size > rule.max_bytes) {
+        return `${file.name}: too large (${formatFileSize(file.size)}, max ${formatFileSize(rule.max_bytes)})`;
+    }
+    return null;
+}
+
+/**
+ * Describe the upload limits for the user
+ *
+ * @param {Object} [limits] - Upload limits
+ * @returns {string} e.g. "Images (JPEG, PNG) up to 5 MB · Files (PDF) up to 10 MB"
+ */
+export function describeLimits(limits = DEFAULT_UPLOAD_LIMITS) {
+    return [['Images', limits.image], ['Files', limits.file]]
+        .filter(([, rule]) => rule && rule.allowed_types.length > 0)
+        .map(([label, rule]) => `${label} (${rule.allowed_types.map(typeLabel).join(', ')}) up to ${formatFileSize(rule.max_bytes)}`)
+        .join(' · ');
+}
+
+/**
+ * Accept attribute for the file picker
+ *
+ * @param {Object} [limits] - Upload limits
+ * @returns {string} Comma-separated MIME types
+ */
+export function acceptedTypes(limits = DEFAULT_UPLOAD_LIMITS) {
+    return [...(limits.image?.allowed_types || []), ...(limits.file?.allowed_types || [])].join(',');
+}
+
+/**
+ * Only render attachment links to our own server or https
+ *
+ * @param {string} url - Attachment URL from a message
+ * @returns {boolean} True for relative paths and https URLs
+ */
+export function isSafeAttachmentUrl(url) {
+    if (typeof url !== 'string' || !url) return false;
+    if (url.startsWith('/') && !url.startsWith('//')) return true;
+    return /^https:\/\//i.test(url);
+}
@@ -0,0 +1,124 @@
+/**
+ * Module: utils/chatModeration.js
+ * Purpose: Chat moderation helpers (content pre-check, report reasons, mutes)
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Features:
+ * - Client-side pre-check before sending: profanity and personal data
+ *   (personal data masking reuses utils/security.js)
+ * - Report reasons and mute durations offered in the UI
+ * - Mute state helpers
+ *
+ * The pre-check only warns the sender; moderation itself happens on the
+ * server (reports, deletions and mutes, see services/chat.js).
+ *
+ * @since 2026-10-19
+ */
+
+import { findPIIInText, maskPIIInText } from './security';
+
+/**
+ * Words that trigger the profanity warning (matched as whole words, case-insensitive)
+ */
+const BLOCKED_WORDS = [
+    'arsch', 'arschloch', 'asshole', 'bastard', 'bitch', 'bullshit', 'cunt', 'dick',
+    'fick', 'ficken', 'fuck', 'fucking', 'idiot', 'motherfucker', 'scheisse', 'scheiße',
+    'schlampe', 'shit', 'slut', 'wichser', 'whore'
+];
+
+const BLOCKED_WORD_PATTERN = new RegExp(`(^|[^\\p{L}])(${BLOCKED_WORDS.join('|')})(?=$|[^\\p{L}])`, 'giu');
+
+/**
+ * Reasons a player can report a message for
+ */
+export const REPORT_REASONS = [
+    { value: 'harassment', label: 'Harassment or insults' },
+    { value: 'inappropriate', label: 'Inappropriate content' },
+    { value: 'spam', label: 'Spam' },
+    { value: 'personal_data', label: 'Personal data' },
+    { value: 'spoiler', label: 'Spoiler / answer sharing' },
+    { value: 'other', label: 'Other' }
+];
+
+/**
+ * Mute durations offered to moderators (minutes)
+ */
+export const MUTE_DURATIONS = [
+    { minutes: 5, label: '5 minutes' },
+    { minutes: 15, label: '15 minutes' },
+    { minutes: 60, label: '1 hour' },
+    { minutes: 24 * 60, label: '1 day' }
+];
+
+/**
+ * Text shown instead of a removed message
+ */
+export const REMOVED_MESSAGE_TEXT = 'Message removed by a moderator';
+
+const PII_LABELS = {
+    email: 'an email address',
+    phone: 'a phone number',
+    card: 'a card number',
+    iban: 'a bank account number',
+    token: 'a password or token'
+};
+
+/**
+ * Replace blocked words with asterisks
+ *
+ * @param {string} text - Message text
+ * @returns {string} Text with blocked words masked (first letter kept)
+ */
+export function maskProfanity(text) {
+    return String(text || '').replace(BLOCKED_WORD_PATTERN, (match, prefix, word) => (
+        `${prefix}${word[0]}${'*'.repeat(word.length - 1)}`
+    ));
+}
+
+/**
+ * Check a message before it is sent
+ *
+ * @param {string} text - Message text
+ * @returns {Object|null} null when fine, otherwise { profanity, pii, warnings, masked }
+ */
+export function checkMessageContent(text) {
+    if (!text) return null;
+
+    const profanity = [...new Set([...text.matchAll(BLOCKED_WORD_PATTERN)].map(match => match[2].toLowerCase()))];
+    const pii = findPIIInText(text);
+    if (profanity.length === 0 && pii.length === 0) return null;
+
+    const warnings = [];
+    if (profanity.length > 0) warnings.push('inappropriate language');
+    pii.forEach(type => warnings.push(PII_LABELS[type] || type));
+
+    return {
+        profanity,
+        pii,
+        warnings,
+        masked: maskPIIInText(maskProfanity(text))
+    };
+}
+
+/**
+ * Whether a mute is still active
+ *
+ * @param {Object|null} mute - { muted_until } (ISO timestamp; null = until lifted)
+ * @param {number} [now] - Current time (ms)
+ * @returns {boolean} True while the user may not post
+ */
+export function isMuteActive(mute, now = Date.now()) {
+    if (!mute) return false;
+    if (!mute.muted_until) return true;
+    return Date.parse(mute.muted_until) > now;
+}
+
+/**
+ * Look up the label of a report reason
+ *
+ * @param {string} reason - Reason value
+ * @returns {string} Display label
+ */
+export function getReportReasonLabel(reason) {
+    return REPORT_REASONS.find(option => option.value === reason)?.label || reason;
+}
@@ -0,0 +1,114 @@
+/**
+ * Module: utils/chatSearch.js
+ * Purpose: Chat search filters, snippets and match highlighting
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Features:
+ * - Search sources (AI / admin history, team channel, private conversations)
+ * - Query parameters for GET /chat/search (empty filters are omitted)
+ * - Snippets around the first match and case-insensitive highlight segments
+ *
+ * @since 2026-10-19
+ * @see ../hooks/useChatSearch.js
+ */
+
+/**
+ * Where a search result comes from (`source` of /chat/search results)
+ */
+export const SEARCH_SOURCES = {
+    AI: 'ai',
+    ADMIN: 'admin',
+    BROADCAST: 'broadcast',
+    PRIVATE: 'private'
+};
+
+export const SEARCH_SOURCE_LABELS = {
+    [SEARCH_SOURCES.AI]: 'AI Assistant',
+    [SEARCH_SOURCES.ADMIN]: 'Admin',
+    [SEARCH_SOURCES.BROADCAST]: 'Team Channel',
+    [SEARCH_SOURCES.PRIVATE]: 'Private'
+};
+
+export const MIN_QUERY_LENGTH = 2;
+export const SEARCH_PAGE_SIZE = 20;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a query into search terms
+ *
+ * @param {string} query - Raw query
+ * @returns {Array<string>} Lower-case terms, longest first
+ */
+function getTerms(query) {
+    return [...new Set((query || '').toLowerCase().split(/\s+/).filter(Boolean))]
+        .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Build query parameters for the search endpoint
+ *
+ * @param {Object} filters - { query, source, sender, from, to, gameId }
+ * @param {string|null} [cursor] - Cursor of the next page
+ * @returns {Object} Parameters without empty values
+ *
+ * @example
+ * buildSearchParams({ query: 'clock', source: 'admin', sender: '' })
+ * // Returns: { q: 'clock', source: 'admin', limit: 20 }
+ */
+export function buildSearchParams(filters, cursor = null) {
+    const params = {
+        q: (filters.query || '').trim(),
+        source: filters.source,
+        sender: (filters.sender || '').trim(),
+        from: filters.from,
+        to: filters.to,
+        game_id: filters.gameId,
+        cursor,
+        limit: SEARCH_PAGE_SIZE
+    };
+    return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== '' && value !== null && value !== undefined));
+}
+
+/**
+ * Shorten a message to the part around the first match
+ *
+ * @param {string} text - Message text
+ * @param {string} query - Search query
+ * @param {number} [radius=60] - Characters kept before and after the match
+ * @returns {string} Snippet with "…" where text was cut
+ */
+export function makeSnippet(text, query, radius = 60) {
+    const content = text || '';
+    const lower = content.toLowerCase();
+    const index = getTerms(query).reduce((found, term) => {
+        const position = lower.indexOf(term);
+        return position !== -1 && (found === -1 || position < found) ? position : found;
+    }, -1);
+    if (index === -1 || content.length <= radius * 2) return content.slice(0, radius * 2) + (content.length > radius * 2 ? '…' : '');
+
+    const start = Math.max(0, index - radius);
+    const end = Math.min(content.length, index + radius);
+    return `${start > 0 ? '…' : ''}${content.slice(start, end)}${end < content.length ? '…' : ''}`;
+}
+
+/**
+ * Split text into matching and non-matching segments
+ *
+ * @param {string} text - Text to highlight
+ * @param {string} query - Search query (terms separated by whitespace)
+ * @returns {Array<{text: string, match: boolean}>} Segments in order
+ *
+ * @example
+ * highlightSegments('Check the Clock', 'clock')
+ * // Returns: [{ text: 'Check the ', match: false }, { text: 'Clock', match: true }]
+ */
+export function highlightSegments(text, query) {
+    const terms = getTerms(query);
+    if (!text || terms.length === 0) return [{ text: text || '', match: false }];
+
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    return text.split(pattern)
+        .filter(part => part !== '')
+        .map(part => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+}
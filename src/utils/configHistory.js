@@ -0,0 +1,205 @@
+/**
+ * Module: utils/configHistory.js
+ * Purpose: Configuration change history, point-in-time values, diffs and profiles
+ * Part of: Easter Quest 2025 Frontend - System Administration
+ *
+ * Features:
+ * - Reconstruct the configuration at a point in time from the change history
+ * - Diff two configuration states
+ * - Export/import configuration profiles (e.g. "event day" vs "quiet season")
+ *
+ * Values are compared as strings - the history stores what the server
+ * received, which may be "5" or 5 for the same setting.
+ *
+ * @since 2026-10-19
+ * @see ../components/SystemAdminDashboard/ConfigHistory.jsx
+ */
+
+import { validateValue, convertToType, getCrossFieldErrors } from './validators/configValidator';
+
+/**
+ * Marker of exported profile files
+ */
+export const CONFIG_PROFILE_TYPE = 'easter-quest-config-profile';
+
+/**
+ * Text form of a value for validation and conversion (JSON values may arrive as objects)
+ *
+ * @param {any} value - Value
+ * @returns {string}
+ * @private
+ */
+function toValueText(value) {
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? '');
+}
+
+/**
+ * Whether two configuration values are the same
+ *
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean}
+ */
+export function configValuesEqual(a, b) {
+    return toValueText(a) === toValueText(b);
+}
+
+/**
+ * Display text of a configuration value
+ *
+ * @param {any} value - Value from config or history
+ * @returns {string} Value text, "—" for missing values
+ */
+export function formatConfigValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Current values by key
+ *
+ * @param {Array<Object>} configs - Configs from getConfig()
+ * @returns {Object<string, any>} Key -> value
+ */
+export function getCurrentValues(configs) {
+    return Object.fromEntries((configs || []).map(config => [config.key, config.value]));
+}
+
+/**
+ * Reconstruct the configuration at a point in time
+ *
+ * Starts from the current values and undoes every change made after `time`
+ * (newest first). Needs the complete history since `time`.
+ *
+ * @param {Array<Object>} configs - Current configs from getConfig()
+ * @param {Array<Object>} changes - History entries ({ key, old_value, new_value, changed_at })
+ * @param {Date|string|number} time - Point in time
+ * @returns {Object<string, any>} Key -> value at that time
+ */
+export function getValuesAt(configs, changes, time) {
+    const timestamp = new Date(time).getTime();
+    const values = getCurrentValues(configs);
+
+    [...(changes || [])]
+        .filter(change => new Date(change.changed_at).getTime() > timestamp)
+        .sort((a, b) => new Date(b.changed_at) - new Date(a.changed_at))
+        .forEach(change => {
+            values[change.key] = change.old_value;
+        });
+
+    return values;
+}
+
+/**
+ * Keys whose value differs between two configuration states
+ *
+ * @param {Object<string, any>} before - Key -> value
+ * @param {Object<string, any>} after - Key -> value
+ * @returns {Array<{key: string, before: any, after: any}>} Sorted by key
+ */
+export function diffConfigValues(before, after) {
+    const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])].sort();
+    return keys
+        .filter(key => !configValuesEqual(before?.[key], after?.[key]))
+        .map(key => ({ key, before: before?.[key], after: after?.[key] }));
+}
+
+/**
+ * Convert values (e.g. from the history) to the type of their config
+ *
+ * @param {Object<string, any>} values - Key -> value
+ * @param {Array<Object>} configs - Current configs from getConfig()
+ * @returns {Object<string, any>} Key -> typed value (unknown keys are dropped)
+ */
+export function toTypedConfigValues(values, configs) {
+    const configsByKey = Object.fromEntries((configs || []).map(config => [config.key, config]));
+    return Object.fromEntries(
+        Object.entries(values || {})
+            .filter(([key]) => configsByKey[key])
+            .map(([key, value]) => [key, convertToType(toValueText(value), configsByKey[key].value_type)])
+    );
+}
+
+/**
+ * Build an exportable configuration profile
+ *
+ * @param {string} name - Profile name (e.g. "Event day")
+ * @param {Array<Object>} configs - Current configs from getConfig()
+ * @param {Date} [exportedAt] - Export time
+ * @returns {Object} { type, version, name, exported_at, values }
+ */
+export function buildConfigProfile(name, configs, exportedAt = new Date()) {
+    return {
+        type: CONFIG_PROFILE_TYPE,
+        version: 1,
+        name: name.trim() || 'Configuration profile',
+        exported_at: exportedAt.toISOString(),
+        values: getCurrentValues(configs)
+    };
+}
+
+/**
+ * Parse and validate an imported configuration profile
+ *
+ * Values are validated against the current config definitions (type, min/max),
+ * then the merged result against the cross-field rules; keys of a failing rule
+ * are reported and not applied. Keys that do not exist in this installation
+ * are reported and skipped.
+ *
+ * @param {string} text - File content
+ * @param {Array<Object>} configs - Current configs from getConfig()
+ * @returns {Object} { name, values, changes, errors: [{ key, message }], unknownKeys }
+ *   - values: typed values of the keys that would change
+ * @throws {Error} If the file is not a configuration profile
+ */
+export function parseConfigProfile(text, configs) {
+    let profile;
+    try {
+        profile = JSON.parse(text);
+    } catch (err) {
+        throw new Error('File is not valid JSON');
+    }
+    if (!profile || profile.type !== CONFIG_PROFILE_TYPE || typeof profile.values !== 'object' || !profile.values) {
+        throw new Error('File is not a configuration profile');
+    }
+
+    const configsByKey = Object.fromEntries((configs || []).map(config => [config.key, config]));
+    const values = {};
+    const errors = [];
+    const unknownKeys = [];
+
+    Object.entries(profile.values).forEach(([key, value]) => {
+        const config = configsByKey[key];
+        if (!config) {
+            unknownKeys.push(key);
+            return;
+        }
+        const error = validateValue(toValueText(value), config.value_type, config);
+        if (error) {
+            errors.push({ key, message: error });
+        } else if (!configValuesEqual(value, config.value)) {
+            values[key] = convertToType(toValueText(value), config.value_type);
+        }
+    });
+
+    // Dropping the keys of a failing rule can break another rule sharing a key, so check until stable
+    let crossFieldErrors = getCrossFieldErrors(values, configs);
+    while (crossFieldErrors.length > 0) {
+        crossFieldErrors.forEach(({ keys, message }) => {
+            errors.push({ key: keys.join(' / '), message });
+            keys.forEach(key => delete values[key]);
+        });
+        crossFieldErrors = getCrossFieldErrors(values, configs);
+    }
+
+    return {
+        name: profile.name || 'Unnamed profile',
+        values,
+        changes: diffConfigValues(
+            Object.fromEntries(Object.keys(values).map(key => [key, configsByKey[key].value])),
+            values
+        ),
+        errors,
+        unknownKeys
+    };
+}
@@ -0,0 +1,185 @@
+/**
+ * Module: utils/dependencyGraph.js
+ * Purpose: Game dependency graph analysis (prerequisites between games)
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Features:
+ * - Cycle detection (games that wait for each other can never be unlocked)
+ * - Unreachable game detection (cycles, missing or unreachable prerequisites)
+ * - Unlock simulation for a set of completed games
+ * - Layered layout for drawing the graph (prerequisites left of dependents)
+ *
+ * Edges are `{ gameId, dependsOnId }`: `gameId` is locked until `dependsOnId`
+ * is completed. A game unlocks when ALL its prerequisites are completed,
+ * matching the backend's game locking.
+ *
+ * @since 2026-10-19
+ */
+
+/**
+ * Build a prerequisite lookup
+ *
+ * @param {Array<number>} gameIds - Games of the event
+ * @param {Array<{gameId: number, dependsOnId: number}>} edges - Prerequisite edges
+ * @returns {Map<number, Array<number>>} Game ID -> prerequisite IDs
+ */
+export function getPrerequisites(gameIds, edges) {
+    const prerequisites = new Map(gameIds.map(id => [id, []]));
+    edges.forEach(({ gameId, dependsOnId }) => {
+        if (prerequisites.has(gameId)) {
+            prerequisites.get(gameId).push(dependsOnId);
+        }
+    });
+    return prerequisites;
+}
+
+/**
+ * Find dependency cycles
+ *
+ * @param {Array<number>} gameIds - Games of the event
+ * @param {Array<{gameId: number, dependsOnId: number}>} edges - Prerequisite edges
+ * @returns {Array<Array<number>>} Cycles as game ID paths (each cycle reported once)
+ *
+ * @example
+ * findCycles([1, 2, 3], [{ gameId: 2, dependsOnId: 1 }, { gameId: 1, dependsOnId: 2 }])
+ * // Returns: [[1, 2]]
+ */
+export function findCycles(gameIds, edges) {
+    const prerequisites = getPrerequisites(gameIds, edges);
+    const state = new Map(); // undefined: unvisited, 1: on stack, 2: done
+    const stack = [];
+    const cycles = [];
+
+    const visit = (id) => {
+        state.set(id, 1);
+        stack.push(id);
+        (prerequisites.get(id) || []).forEach(next => {
+            if (!prerequisites.has(next)) return;
+            if (state.get(next) === 1) {
+                cycles.push(stack.slice(stack.indexOf(next)));
+            } else if (!state.has(next)) {
+                visit(next);
+            }
+        });
+        stack.pop();
+        state.set(id, 2);
+    };
+
+    gameIds.forEach(id => {
+        if (!state.has(id)) visit(id);
+    });
+    return cycles;
+}
+
+/**
+ * Check whether adding an edge would close a cycle
+ *
+ * @param {Array<{gameId: number, dependsOnId: number}>} edges - Existing edges
+ * @param {number} gameId - Game that would get the prerequisite
+ * @param {number} dependsOnId - Prerequisite game
+ * @returns {boolean} True if dependsOnId already (transitively) depends on gameId
+ */
+export function wouldCreateCycle(edges, gameId, dependsOnId) {
+    if (gameId === dependsOnId) return true;
+
+    const seen = new Set();
+    const pending = [dependsOnId];
+    while (pending.length > 0) {
+        const current = pending.pop();
+        if (current === gameId) return true;
+        if (!seen.has(current)) {
+            seen.add(current);
+            edges.filter(edge => edge.gameId === current).forEach(edge => pending.push(edge.dependsOnId));
+        }
+    }
+    return false;
+}
+
+/**
+ * Simulate which games are unlocked for a set of completed games
+ *
+ * @param {Array<number>} gameIds - Games of the event
+ * @param {Array<{gameId: number, dependsOnId: number}>} edges - Prerequisite edges
+ * @param {Array<number>} completedIds - Games the team has completed
+ * @returns {Object} { completed, available, locked } - Arrays of game IDs
+ *
+ * @example
+ * simulateUnlocks([1, 2, 3], [{ gameId: 2, dependsOnId: 1 }, { gameId: 3, dependsOnId: 2 }], [1])
+ * // Returns: { completed: [1], available: [2], locked: [3] }
+ */
+export function simulateUnlocks(gameIds, edges, completedIds) {
+    const prerequisites = getPrerequisites(gameIds, edges);
+    const completed = new Set(completedIds);
+    const result = { completed: [], available: [], locked: [] };
+
+    gameIds.forEach(id => {
+        if (completed.has(id)) {
+            result.completed.push(id);
+        } else if (prerequisites.get(id).every(prereq => completed.has(prereq))) {
+            result.available.push(id);
+        } else {
+            result.locked.push(id);
+        }
+    });
+    return result;
+}
+
+/**
+ * Find games a team can never unlock
+ *
+ * Starts with all games without prerequisites and repeatedly "completes" every
+ * available game. Whatever stays locked is part of a cycle, waits for a game
+ * outside the event, or depends on such a game.
+ *
+ * @param {Array<number>} gameIds - Games of the event
+ * @param {Array<{gameId: number, dependsOnId: number}>} edges - Prerequisite edges
+ * @returns {Array<number>} Unreachable game IDs
+ */
+export function findUnreachableGames(gameIds, edges) {
+    let completed = [];
+    let available = simulateUnlocks(gameIds, edges, completed).available;
+    while (available.length > 0) {
+        completed = [...completed, ...available];
+        available = simulateUnlocks(gameIds, edges, completed).available;
+    }
+    return simulateUnlocks(gameIds, edges, completed).locked;
+}
+
+/**
+ * Compute a layered layout
+ *
+ * Column = length of the longest prerequisite chain before the game, so every
+ * edge points to the right. Games in cycles are placed after all other columns.
+ *
+ * @param {Array<number>} gameIds - Games of the event (row order within a column)
+ * @param {Array<{gameId: number, dependsOnId: number}>} edges - Prerequisite edges
+ * @returns {Map<number, {column: number, row: number}>} Game ID -> grid position
+ */
+export function layoutGraph(gameIds, edges) {
+    const prerequisites = getPrerequisites(gameIds, edges);
+    const depth = new Map();
+    const unreachable = new Set(findUnreachableGames(gameIds, edges));
+    const inCycle = new Set(findCycles(gameIds, edges).flat());
+
+    const depthOf = (id) => {
+        if (depth.has(id)) return depth.get(id);
+        const prereqs = prerequisites.get(id).filter(prereq => prerequisites.has(prereq) && !inCycle.has(prereq));
+        const value = prereqs.length === 0 ? 0 : 1 + Math.max(...prereqs.map(depthOf));
+        depth.set(id, value);
+        return value;
+    };
+
+    gameIds.filter(id => !inCycle.has(id) && !unreachable.has(id)).forEach(depthOf);
+    const lastColumn = depth.size > 0 ? Math.max(...depth.values()) + 1 : 0;
+    gameIds.filter(id => !depth.has(id)).forEach(id => depth.set(id, lastColumn));
+
+    const rows = new Map();
+    const positions = new Map();
+    gameIds.forEach(id => {
+        const column = depth.get(id);
+        const row = rows.get(column) || 0;
+        rows.set(column, row + 1);
+        positions.set(id, { column, row });
+    });
+    return positions;
+}
@@ -0,0 +1,142 @@
+/**
+ * Module: utils/escalationSla.js
+ * Purpose: SLA timers, claim expiry and admin workload for escalation notifications
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Features:
+ * - Per-priority response targets (time until acknowledged or resolved)
+ * - Warning before and breach after the target
+ * - Claim expiry (claims without a response are released and reassigned)
+ * - Workload per admin from the loaded notifications
+ *
+ * Server-provided `sla_due_at` / `claim_expires_at` win over the local defaults.
+ *
+ * @since 2026-10-19
+ * @see ../components/AdminNotifications/NotificationsDashboard.jsx
+ */
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Response target in minutes by priority
+ */
+export const SLA_TARGET_MINUTES = {
+    urgent: 5,
+    high: 10,
+    medium: 20,
+    normal: 30,
+    low: 60
+};
+
+/**
+ * Share of the target after which the timer turns into a warning
+ */
+export const SLA_WARNING_RATIO = 0.75;
+
+/**
+ * Minutes a claim holds without acknowledging or resolving the escalation
+ */
+export const CLAIM_TIMEOUT_MINUTES = 10;
+
+const isAnswered = (notification) => !!(notification.acknowledged_at || notification.resolved_at)
+    || notification.status === 'acknowledged' || notification.status === 'resolved';
+
+const toTime = (value) => (value ? new Date(value).getTime() : null);
+
+/**
+ * SLA state of a notification
+ *
+ * @param {Object} notification - Notification ({ priority, created_at, sla_due_at, acknowledged_at, resolved_at, status })
+ * @param {number} [now] - Current time (ms)
+ * @returns {Object} { state, dueAt, remainingMs, answered } - state is 'ok', 'warning', 'breached' or 'met'
+ */
+export function getSlaStatus(notification, now = Date.now()) {
+    const createdAt = toTime(notification.created_at);
+    const targetMs = (SLA_TARGET_MINUTES[notification.priority] || SLA_TARGET_MINUTES.normal) * MINUTE;
+    const dueAt = toTime(notification.sla_due_at) || createdAt + targetMs;
+
+    if (isAnswered(notification)) {
+        const answeredAt = toTime(notification.acknowledged_at) || toTime(notification.resolved_at) || now;
+        return { state: answeredAt <= dueAt ? 'met' : 'breached', dueAt, remainingMs: dueAt - answeredAt, answered: true };
+    }
+
+    const remainingMs = dueAt - now;
+    let state = 'ok';
+    if (remainingMs <= 0) state = 'breached';
+    else if (remainingMs <= (dueAt - createdAt) * (1 - SLA_WARNING_RATIO)) state = 'warning';
+    return { state, dueAt, remainingMs, answered: false };
+}
+
+/**
+ * When the current claim of a notification expires
+ *
+ * @param {Object} notification - Notification ({ assigned_to_id, assigned_at, claim_expires_at })
+ * @returns {number|null} Expiry time (ms), null when unclaimed or already answered
+ */
+export function getClaimExpiry(notification) {
+    if (!notification.assigned_to_id || isAnswered(notification)) return null;
+    return toTime(notification.claim_expires_at) || toTime(notification.assigned_at) + CLAIM_TIMEOUT_MINUTES * MINUTE;
+}
+
+/**
+ * Format a countdown
+ *
+ * @param {number} ms - Remaining time (negative when overdue)
+ * @returns {string} e.g. "4:05", "1:02:30", "-2:10"
+ */
+export function formatCountdown(ms) {
+    const totalSeconds = Math.floor(Math.abs(ms) / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    const sign = ms < 0 ? '-' : '';
+    return hours > 0
+        ? `${sign}${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+        : `${sign}${minutes}:${seconds}`;
+}
+
+/**
+ * Open escalations per admin
+ *
+ * Every assignee is listed (also with nothing assigned), sorted by load;
+ * admins only known from assignments are added.
+ *
+ * @param {Array<Object>} notifications - Loaded notifications
+ * @param {Array<Object>} [assignees] - Admins ({ id, username, display_name, online })
+ * @param {number} [now] - Current time (ms)
+ * @returns {Object} { rows: [{ id, name, online, open, breached }], unassigned }
+ */
+export function summarizeWorkload(notifications, assignees = [], now = Date.now()) {
+    const rows = new Map(assignees.map(admin => [admin.id, {
+        id: admin.id,
+        name: admin.display_name || admin.username,
+        online: !!admin.online,
+        open: 0,
+        breached: 0
+    }]));
+    let unassigned = 0;
+
+    notifications.filter(notification => notification.status !== 'resolved' && !notification.resolved_at).forEach(notification => {
+        if (!notification.assigned_to_id) {
+            unassigned += 1;
+            return;
+        }
+        if (!rows.has(notification.assigned_to_id)) {
+            rows.set(notification.assigned_to_id, {
+                id: notification.assigned_to_id,
+                name: notification.assigned_to_username,
+                online: false,
+                open: 0,
+                breached: 0
+            });
+        }
+        const row = rows.get(notification.assigned_to_id);
+        row.open += 1;
+        if (getSlaStatus(notification, now).state === 'breached') row.breached += 1;
+    });
+
+    return {
+        rows: [...rows.values()].sort((a, b) => b.open - a.open || String(a.name).localeCompare(String(b.name))),
+        unassigned
+    };
+}
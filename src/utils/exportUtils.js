@@ -0,0 +1,317 @@
+/**
+ * Module: utils/exportUtils.js
+ * Purpose: Client-side file building for data exports and archives
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Features:
+ * - Convert record arrays to CSV (RFC 4180 quoting)
+ * - Excel-compatible CSV variant (UTF-8 BOM, CRLF, formula neutralisation)
+ * - Minimal ZIP writer (store method, no compression) to bundle several files
+ * - Matching ZIP reader for archives written by createZip (e.g. game packages)
+ * - Base64 <-> bytes conversion for embedding images
+ * - Browser download helper
+ *
+ * Security:
+ * - Cells starting with =, +, - or @ are prefixed in the Excel variant to prevent
+ *   CSV formula injection when admins open exports in a spreadsheet
+ *
+ * @since 2026-10-19
+ */
+
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * Encode a string as UTF-8 bytes
+ *
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} UTF-8 bytes
+ */
+export function encodeUtf8(text) {
+    if (typeof TextEncoder !== 'undefined') {
+        return new TextEncoder().encode(text);
+    }
+    const binary = unescape(encodeURIComponent(text));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Decode UTF-8 bytes to a string
+ *
+ * @param {Uint8Array} bytes - UTF-8 bytes
+ * @returns {string} Decoded text
+ */
+export function decodeUtf8(bytes) {
+    if (typeof TextDecoder !== 'undefined') {
+        return new TextDecoder().decode(bytes);
+    }
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return decodeURIComponent(escape(binary));
+}
+
+/**
+ * Convert base64 text to bytes
+ *
+ * @param {string} base64 - Base64 data (without data: prefix)
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Convert bytes to base64 text
+ *
+ * @param {Uint8Array} bytes - Data
+ * @returns {string} Base64 data (without data: prefix)
+ */
+export function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Flatten a record for tabular output
+ *
+ * Nested objects/arrays are serialised as JSON so no data is lost.
+ *
+ * @param {*} value - Cell value
+ * @returns {string} Cell text
+ */
+function cellText(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * Convert records to CSV
+ *
+ * @param {Array<Object>} records - Rows (keys become the header)
+ * @param {Object} [options]
+ * @param {boolean} [options.excel=false] - Excel-compatible output (BOM, CRLF, formula-safe)
+ * @returns {string} CSV text
+ *
+ * @example
+ * toCSV([{ id: 1, name: 'Team "A"' }])
+ * // 'id,name\n1,"Team ""A"""'
+ */
+export function toCSV(records, { excel = false } = {}) {
+    const rows = Array.isArray(records) ? records : [];
+    const columns = [];
+    rows.forEach(row => {
+        Object.keys(row || {}).forEach(key => {
+            if (!columns.includes(key)) {
+                columns.push(key);
+            }
+        });
+    });
+
+    const escape = (value) => {
+        let text = cellText(value);
+        // Only text can start a formula - negative numbers stay numbers
+        if (excel && typeof value === 'string' && /^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lineBreak = excel ? '\r\n' : '\n';
+    const lines = [
+        columns.map(escape).join(','),
+        ...rows.map(row => columns.map(column => escape(row?.[column])).join(','))
+    ];
+
+    return (excel ? UTF8_BOM : '') + lines.join(lineBreak);
+}
+
+/**
+ * CRC-32 lookup table (lazy)
+ */
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum required by the ZIP format
+ *
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a ZIP archive (store method) from in-memory files
+ *
+ * @param {Array<{name: string, content: string|Uint8Array}>} files - Archive entries
+ * @param {Date} [date=new Date()] - Modification time stamped on all entries
+ * @returns {Uint8Array} ZIP file bytes
+ */
+export function createZip(files, date = new Date()) {
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const nameBytes = encodeUtf8(file.name);
+        const data = typeof file.content === 'string' ? encodeUtf8(file.content) : file.content;
+        const checksum = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);   // local file header signature
+        local.setUint16(4, 20, true);           // version needed
+        local.setUint16(6, 0x0800, true);       // flags: UTF-8 names
+        local.setUint16(8, 0, true);            // method: store
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, checksum, true);
+        local.setUint32(18, data.length, true); // compressed size
+        local.setUint32(22, data.length, true); // uncompressed size
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);           // extra field length
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // central directory signature
+        central.setUint16(4, 20, true);         // version made by
+        central.setUint16(6, 20, true);         // version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, checksum, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);    // offset of local header
+
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);         // end of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+/**
+ * Read a ZIP archive (store method only)
+ *
+ * Reads the central directory, so archives written by createZip and other
+ * uncompressed archives are supported. Compressed entries are rejected.
+ *
+ * @param {Uint8Array} bytes - ZIP file bytes
+ * @returns {Array<{name: string, content: Uint8Array}>} Archive entries
+ * @throws {Error} If the data is not a ZIP archive or uses compression
+ */
+export function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    let endOffset = -1;
+    for (let i = bytes.length - 22; i >= 0; i--) {
+        if (view.getUint32(i, true) === 0x06054B50) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset < 0) {
+        throw new Error('Not a ZIP archive');
+    }
+
+    const count = view.getUint16(endOffset + 10, true);
+    let position = view.getUint32(endOffset + 16, true);
+    const files = [];
+
+    for (let index = 0; index < count; index++) {
+        if (view.getUint32(position, true) !== 0x02014B50) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+        const method = view.getUint16(position + 10, true);
+        const size = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const name = decodeUtf8(bytes.subarray(position + 46, position + 46 + nameLength));
+
+        if (method !== 0) {
+            throw new Error(`Compressed ZIP entries are not supported (${name})`);
+        }
+
+        const dataStart = localOffset + 30
+            + view.getUint16(localOffset + 26, true)
+            + view.getUint16(localOffset + 28, true);
+        files.push({ name, content: bytes.slice(dataStart, dataStart + size) });
+        position += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return files;
+}
+
+/**
+ * Trigger a browser download
+ *
+ * @param {Blob|string|Uint8Array} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} [mimeType='application/octet-stream'] - MIME type (ignored for Blobs)
+ */
+export function downloadFile(content, filename, mimeType = 'application/octet-stream') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
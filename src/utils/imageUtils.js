@@ -1,12 +1,13 @@
 /**
  * Module: utils/imageUtils.js
- * Purpose: Image processing utilities for event story HTML
+ * Purpose: Image processing utilities for event story HTML and chat uploads
  * Part of: Easter Quest 2025 Frontend
  *
  * Features:
  * - Replace image placeholders in HTML with base64 data URIs
  * - Automatic image type detection (PNG, JPEG, GIF)
  * - Preserve HTML attributes during replacement
+ * - Client-side downscaling of large images before upload (canvas)
  *
  * @since 2025-11-20
  */
@@ -134,3 +135,82 @@ export function createDataUri(base64Data, mimeType = null) {
     const type = mimeType || detectImageType(base64Data);
     return `data:${type};base64,${base64Data}`;
 }
+
+/**
+ * Compute the size of an image scaled to fit a maximum dimension
+ *
+ * @param {number} width - Original width
+ * @param {number} height - Original height
+ * @param {number} maxDimension - Maximum width and height
+ * @returns {{width: number, height: number}} Target size (never upscaled)
+ *
+ * @example
+ * fitDimensions(4000, 3000, 1600) // Returns: { width: 1600, height: 1200 }
+ */
+export function fitDimensions(width, height, maxDimension) {
+    const scale = Math.min(1, maxDimension / Math.max(width, height));
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+/**
+ * Load an image file into an <img> element
+ *
+ * @param {File|Blob} file - Image file
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+function loadImage(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Image could not be read'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Downscale an image before upload
+ *
+ * Large photos and screenshots are redrawn on a canvas to fit `maxDimension`
+ * and re-encoded (PNG stays PNG so text in screenshots stays sharp, everything
+ * else becomes JPEG). GIFs (may be animated) and images that are already small
+ * are returned unchanged, as is the original when re-encoding makes it bigger.
+ *
+ * @param {File} file - Image file
+ * @param {Object} [options]
+ * @param {number} [options.maxDimension=1600] - Maximum width/height in px
+ * @param {number} [options.quality=0.85] - JPEG quality
+ * @returns {Promise<File>} Resized file (or the original)
+ */
+export async function resizeImage(file, { maxDimension = 1600, quality = 0.85 } = {}) {
+    if (file.type === 'image/gif' || !file.type.startsWith('image/')) {
+        return file;
+    }
+
+    const image = await loadImage(file);
+    const target = fitDimensions(image.naturalWidth, image.naturalHeight, maxDimension);
+    if (target.width === image.naturalWidth && target.height === image.naturalHeight) {
+        return file;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = target.width;
+    canvas.height = target.height;
+    canvas.getContext('2d').drawImage(image, 0, 0, target.width, target.height);
+
+    const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    if (!blob || blob.size >= file.size) {
+        return file;
+    }
+
+    const name = type === 'image/jpeg' ? file.name.replace(/\.[^.]+$/, '.jpg') : file.name;
+    return new File([blob], name, { type });
+}
+
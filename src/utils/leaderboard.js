@@ -0,0 +1,165 @@
+/**
+ * Module: utils/leaderboard.js
+ * Purpose: Leaderboard ranking, live updates, anonymisation and countdown
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Features:
+ * - Ranking by score, then completed games, then time of the last completion
+ *   (earlier is better) with shared ranks for exact ties
+ * - Merging `team_progress_update` SSE events into the standings
+ * - Anonymisation rules ("hide names until the final hour")
+ * - Event end time and countdown formatting
+ *
+ * @since 2026-10-19
+ * @see ../hooks/useLeaderboard.js
+ */
+
+/**
+ * Anonymisation modes (leaderboard settings sent by the backend)
+ */
+export const ANONYMIZE_MODES = {
+    NONE: 'none',
+    ALWAYS: 'always',
+    UNTIL_FINAL_HOUR: 'until_final_hour'
+};
+
+const DEFAULT_REVEAL_MINUTES = 60;
+
+// Teams without any completion sort after those with one
+const timeOf = (value) => (value ? new Date(value).getTime() : Number.MAX_SAFE_INTEGER);
+
+/**
+ * Compare two teams for ranking
+ *
+ * @param {Object} a - Team entry
+ * @param {Object} b - Team entry
+ * @returns {number} Negative if a ranks before b
+ */
+function compareTeams(a, b) {
+    return (b.score || 0) - (a.score || 0)
+        || (b.completed_games || 0) - (a.completed_games || 0)
+        || timeOf(a.last_completion_at) - timeOf(b.last_completion_at);
+}
+
+/**
+ * Sort teams and assign ranks
+ *
+ * @param {Array<Object>} teams - { team_id, team_name, score, completed_games, last_completion_at, ... }
+ * @returns {Array<Object>} New sorted array with `rank` (1-based, "1, 1, 3" for ties)
+ *
+ * @example
+ * rankTeams([{ team_id: 1, score: 10 }, { team_id: 2, score: 30 }])
+ * // Returns: [{ team_id: 2, score: 30, rank: 1 }, { team_id: 1, score: 10, rank: 2 }]
+ */
+export function rankTeams(teams) {
+    const sorted = [...teams].sort((a, b) => compareTeams(a, b) || String(a.team_name).localeCompare(String(b.team_name)));
+    let rank = 0;
+    return sorted.map((team, index) => {
+        if (index === 0 || compareTeams(sorted[index - 1], team) !== 0) rank = index + 1;
+        return { ...team, rank };
+    });
+}
+
+/**
+ * Merge a `team_progress_update` event into the standings
+ *
+ * @param {Array<Object>} teams - Current standings (unranked or ranked)
+ * @param {Object} update - { team_id, team_name, progress_percentage, completed_games, score, completed_at }
+ * @returns {{teams: Array<Object>, completion: Object|null}} Updated teams and the new completion, if any
+ */
+export function applyProgressUpdate(teams, update) {
+    const existing = teams.find(team => team.team_id === update.team_id);
+    const completedGames = update.completed_games ?? existing?.completed_games ?? 0;
+    const isCompletion = completedGames > (existing?.completed_games ?? 0);
+    const completedAt = isCompletion ? (update.completed_at || new Date().toISOString()) : null;
+
+    const merged = {
+        ...existing,
+        team_id: update.team_id,
+        team_name: update.team_name ?? existing?.team_name,
+        score: update.score ?? existing?.score ?? 0,
+        completed_games: completedGames,
+        progress_percentage: update.progress_percentage ?? existing?.progress_percentage ?? 0,
+        last_completion_at: completedAt || existing?.last_completion_at || null
+    };
+
+    return {
+        teams: existing ? teams.map(team => (team.team_id === update.team_id ? merged : team)) : [...teams, merged],
+        completion: isCompletion
+            ? { team_id: update.team_id, team_name: merged.team_name, game_title: update.game_title || null, completed_at: completedAt }
+            : null
+    };
+}
+
+/**
+ * Resolve the end of an event
+ *
+ * Date-only values ("2026-04-25") mean the end of that day in local time.
+ *
+ * @param {Object|null} event - Event with `end_date`
+ * @returns {Date|null} End time or null if unknown
+ */
+export function getEventEnd(event) {
+    const value = event?.end_date;
+    if (!value) return null;
+    const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    const end = dateOnly
+        ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]), 23, 59, 59)
+        : new Date(value);
+    return Number.isNaN(end.getTime()) ? null : end;
+}
+
+/**
+ * Decide whether team names are hidden right now
+ *
+ * @param {Object} [settings] - { anonymize, reveal_minutes_before_end }
+ * @param {Date|null} eventEnd - Event end
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if names must be hidden
+ */
+export function isAnonymized(settings, eventEnd, now = new Date()) {
+    switch (settings?.anonymize) {
+        case ANONYMIZE_MODES.ALWAYS:
+            return true;
+        case ANONYMIZE_MODES.UNTIL_FINAL_HOUR: {
+            if (!eventEnd) return true;
+            const minutes = settings.reveal_minutes_before_end ?? DEFAULT_REVEAL_MINUTES;
+            return now.getTime() < eventEnd.getTime() - (minutes * 60 * 1000);
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Replace team names by their position, except for the viewer's own team
+ *
+ * @param {Array<Object>} rankedTeams - Output of rankTeams()
+ * @param {number|null} ownTeamId - Viewer's team
+ * @returns {Array<Object>} Teams with `display_name`
+ */
+export function anonymizeTeams(rankedTeams, ownTeamId = null) {
+    return rankedTeams.map((team, index) => ({
+        ...team,
+        display_name: team.team_id === ownTeamId ? team.team_name : `Team #${index + 1}`
+    }));
+}
+
+/**
+ * Format the time left until a deadline
+ *
+ * @param {number} ms - Milliseconds left
+ * @returns {string} "HH:MM:SS", prefixed with "Nd " for more than a day
+ *
+ * @example
+ * formatCountdown(90061000)
+ * // Returns: "1d 01:01:01"
+ */
+export function formatCountdown(ms) {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const days = Math.floor(total / 86400);
+    const clock = [Math.floor((total % 86400) / 3600), Math.floor((total % 3600) / 60), total % 60]
+        .map(part => String(part).padStart(2, '0'))
+        .join(':');
+    return days > 0 ? `${days}d ${clock}` : clock;
+}
@@ -0,0 +1,152 @@
+/**
+ * Module: utils/markdown.js
+ * Purpose: Sanitized markdown for chat messages
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Features:
+ * - GitHub-flavoured markdown (lists, tables, fenced code, line breaks)
+ * - Split into blocks so code blocks can be rendered as components (copy button)
+ * - DOMPurify sanitization with a chat allow-list (no images, no inline styles,
+ *   no classes; inputs only as disabled GFM task list checkboxes)
+ * - Links always open in a new tab with rel="noopener noreferrer"
+ * - Streaming-safe: an unterminated code fence is closed before parsing, so a
+ *   half-received answer never turns the rest of the message into code
+ *
+ * @since 2026-10-19
+ * @see ../components/ChatWidget/MarkdownMessage.jsx
+ */
+
+import { Marked } from 'marked';
+import DOMPurify from 'dompurify';
+
+// Own instance so chat options don't change other marked users (admin guide)
+const markdown = new Marked({ gfm: true, breaks: true });
+
+const ALLOWED_TAGS = [
+    'p', 'br', 'strong', 'em', 'del', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'ul', 'ol', 'li', 'a', 'blockquote', 'code', 'pre', 'hr',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td', 'input'
+];
+
+// No `class`: messages must not borrow application styles
+const ALLOWED_ATTR = ['href', 'title', 'target', 'rel', 'type', 'checked', 'disabled'];
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+
+let purifier = null;
+
+/**
+ * Get the chat DOMPurify instance (created on first use)
+ *
+ * A separate instance keeps the hooks away from other sanitize calls.
+ * Inputs are only kept as task list checkboxes - any other type (text,
+ * password, ...) would put form fields into chat messages.
+ *
+ * @returns {Object} DOMPurify instance
+ */
+function getPurifier() {
+    if (!purifier) {
+        purifier = DOMPurify(window);
+        purifier.addHook('afterSanitizeAttributes', (node) => {
+            if (node.tagName === 'A' && node.getAttribute('href')) {
+                node.setAttribute('target', '_blank');
+                node.setAttribute('rel', 'noopener noreferrer');
+            }
+            if (node.tagName === 'INPUT') {
+                if ((node.getAttribute('type') || '').toLowerCase() !== 'checkbox') {
+                    node.remove();
+                    return;
+                }
+                node.setAttribute('disabled', '');
+            }
+        });
+    }
+    return purifier;
+}
+
+/**
+ * Sanitize HTML produced from chat markdown
+ *
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Safe HTML
+ */
+export function sanitizeChatHtml(html) {
+    return getPurifier().sanitize(html, { ALLOWED_TAGS, ALLOWED_ATTR });
+}
+
+/**
+ * Close an unterminated code fence (partial streamed text)
+ *
+ * @param {string} text - Markdown text
+ * @returns {string} Text with balanced fences
+ *
+ * @example
+ * closeOpenFences('Try:\n```js\nconst a')
+ * // Returns: 'Try:\n```js\nconst a\n```'
+ */
+export function closeOpenFences(text) {
+    let openFence = null;
+    for (const line of text.split('\n')) {
+        const match = FENCE_PATTERN.exec(line);
+        if (!match) continue;
+        if (!openFence) {
+            openFence = match[1];
+        } else if (match[1][0] === openFence[0] && match[1].length >= openFence.length && !line.trim().slice(match[1].length)) {
+            openFence = null;
+        }
+    }
+    return openFence ? `${text}\n${openFence}` : text;
+}
+
+/**
+ * Parse chat markdown into renderable blocks
+ *
+ * Code blocks are returned raw (rendered as text by the caller, never as HTML);
+ * everything between them is returned as sanitized HTML.
+ *
+ * @param {string} text - Markdown text
+ * @param {Object} [options]
+ * @param {boolean} [options.streaming=false] - Text is still arriving
+ * @returns {Array<{type: 'html', html: string}|{type: 'code', lang: string, code: string}>} Blocks in order
+ */
+export function parseMarkdownBlocks(text, { streaming = false } = {}) {
+    const source = streaming ? closeOpenFences(text || '') : (text || '');
+    const tokens = markdown.lexer(source);
+    const blocks = [];
+    let pending = [];
+
+    const flush = () => {
+        if (pending.length === 0) return;
+        pending.links = tokens.links;
+        blocks.push({ type: 'html', html: sanitizeChatHtml(markdown.parser(pending)) });
+        pending = [];
+    };
+
+    tokens.forEach(token => {
+        if (token.type === 'code') {
+            flush();
+            blocks.push({ type: 'code', lang: (token.lang || '').split(/\s/)[0], code: token.text });
+        } else {
+            pending.push(token);
+        }
+    });
+    flush();
+
+    return blocks;
+}
+
+/**
+ * Check whether a link leaves the application
+ *
+ * @param {string} href - Link target
+ * @param {string} [origin] - Application origin
+ * @returns {boolean} True for http(s) links to another origin
+ */
+export function isExternalLink(href, origin = window.location.origin) {
+    try {
+        const url = new URL(href, origin);
+        return ['http:', 'https:'].includes(url.protocol) && url.origin !== origin;
+    } catch (e) {
+        return false;
+    }
+}
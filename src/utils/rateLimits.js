@@ -0,0 +1,136 @@
+/**
+ * Module: utils/rateLimits.js
+ * Purpose: Helpers for the rate limit console (IP ranges, ban durations, countdowns)
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Features:
+ * - IPv4 CIDR parsing and matching (whitelist and range selection)
+ * - Temporary ban durations
+ * - TTL formatting for windows and bans
+ *
+ * IPv6 addresses are only matched exactly - the event network is IPv4 only.
+ *
+ * @since 2026-10-19
+ * @see ../components/AdminDashboard/RateLimitCard.jsx
+ */
+
+/**
+ * Durations offered for manual temporary bans
+ */
+export const BAN_DURATIONS = [
+    { minutes: 15, label: '15 minutes' },
+    { minutes: 60, label: '1 hour' },
+    { minutes: 240, label: '4 hours' },
+    { minutes: 1440, label: '24 hours' }
+];
+
+/**
+ * Parse a dotted IPv4 address
+ *
+ * @param {string} ip - Address like "10.0.0.1"
+ * @returns {number|null} Address as unsigned 32-bit integer, null if invalid
+ */
+export function parseIPv4(ip) {
+    const parts = String(ip ?? '').trim().split('.');
+    if (parts.length !== 4) return null;
+
+    let value = 0;
+    for (const part of parts) {
+        if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+        value = value * 256 + Number(part);
+    }
+    return value;
+}
+
+/**
+ * Parse an IPv4 address or CIDR range (a bare address is a /32)
+ *
+ * @param {string} value - "10.0.0.0/24" or "10.0.0.1"
+ * @returns {{network: number, prefix: number}|null} Network address (host bits cleared) and prefix length
+ */
+export function parseCidr(value) {
+    const [address, prefixText, ...rest] = String(value ?? '').trim().split('/');
+    if (rest.length > 0) return null;
+
+    const ip = parseIPv4(address);
+    if (ip === null) return null;
+
+    const prefix = prefixText === undefined ? 32 : Number(prefixText);
+    if (!/^\d{1,2}$/.test(prefixText ?? '32') || prefix > 32) return null;
+
+    const size = 2 ** (32 - prefix);
+    return { network: Math.floor(ip / size) * size, prefix };
+}
+
+/**
+ * Whether a value is a valid IPv4 address or CIDR range
+ *
+ * @param {string} value - Input to check
+ * @returns {boolean}
+ */
+export function isValidIpOrCidr(value) {
+    return parseCidr(value) !== null;
+}
+
+/**
+ * Whether an address lies in a range
+ *
+ * @param {string} ip - Address to check
+ * @param {string} range - CIDR range or single address
+ * @returns {boolean}
+ */
+export function isIpInRange(ip, range) {
+    const address = parseIPv4(ip);
+    const parsed = parseCidr(range);
+    if (address === null || parsed === null) {
+        return String(ip).trim() === String(range).trim();
+    }
+    const size = 2 ** (32 - parsed.prefix);
+    return address >= parsed.network && address < parsed.network + size;
+}
+
+/**
+ * First range that contains an address
+ *
+ * @param {string} ip - Address to check
+ * @param {Array<string>} ranges - CIDR ranges or single addresses
+ * @returns {string|null} Matching range, null if none
+ */
+export function findMatchingRange(ip, ranges) {
+    return (ranges || []).find(range => isIpInRange(ip, range)) ?? null;
+}
+
+/**
+ * Format TTL seconds to human-readable time
+ *
+ * @param {number} seconds - Time in seconds
+ * @returns {string} "1h 5m", "4m 10s", "12s" or "Expired"
+ */
+export function formatTTL(seconds) {
+    if (seconds <= 0) return 'Expired';
+
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const remainingSeconds = seconds % 60;
+
+    if (hours > 0) {
+        return `${hours}h ${minutes}m`;
+    }
+    if (minutes > 0) {
+        return `${minutes}m ${remainingSeconds}s`;
+    }
+    return `${remainingSeconds}s`;
+}
+
+/**
+ * Seconds left of a TTL reported by the server, counted down locally
+ *
+ * @param {number|null} ttlSeconds - TTL when the data was loaded
+ * @param {number} loadedAt - Load time (ms since epoch)
+ * @param {number} now - Current time (ms since epoch)
+ * @returns {number|null} Remaining seconds (never negative), null if there is no TTL
+ */
+export function getRemainingSeconds(ttlSeconds, loadedAt, now) {
+    if (ttlSeconds === null || ttlSeconds === undefined) return null;
+    return Math.max(0, ttlSeconds - Math.floor((now - loadedAt) / 1000));
+}
@@ -0,0 +1,150 @@
+/**
+ * Module: utils/rewardValueUtils.js
+ * Purpose: Inspect unlocked reward values (SSH keys, certificates, URLs)
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Features:
+ * - SSH key type detection and SHA256 fingerprint of public keys
+ * - X.509 PEM certificate validity parsing (minimal DER reader)
+ * - Link safety check for URL rewards
+ *
+ * All functions are tolerant: unparseable input yields null instead of throwing,
+ * because reward values are free-form text provisioned by external systems.
+ *
+ * @since 2026-10-19
+ * @see ../config/rewardTypes.js
+ */
+
+import { base64ToBytes, bytesToBase64 } from './exportUtils';
+
+const SSH_PUBLIC_KEY = /^(ssh-(?:ed25519|rsa|dss)|ecdsa-sha2-nistp\d+|sk-\S+)\s+([A-Za-z0-9+/=]+)/m;
+const PEM_PRIVATE_KEY = /-----BEGIN ((?:OPENSSH|RSA|EC|DSA)? ?PRIVATE KEY)-----/;
+const PEM_CERTIFICATE = /-----BEGIN CERTIFICATE-----([\s\S]+?)-----END CERTIFICATE-----/;
+
+/**
+ * Detect the kind of SSH key in a reward value
+ *
+ * @param {string} value - Reward value
+ * @returns {string|null} e.g. 'ssh-ed25519 public key', 'OPENSSH PRIVATE KEY'
+ */
+export function getSshKeyType(value) {
+    if (!value) return null;
+    const publicKey = value.match(SSH_PUBLIC_KEY);
+    if (publicKey) return `${publicKey[1]} public key`;
+    const privateKey = value.match(PEM_PRIVATE_KEY);
+    return privateKey ? privateKey[1].trim() : null;
+}
+
+/**
+ * Compute the OpenSSH SHA256 fingerprint of a public key
+ *
+ * Private keys have no fingerprint without decryption and return null.
+ *
+ * @param {string} value - Reward value containing an OpenSSH public key line
+ * @returns {Promise<string|null>} e.g. 'SHA256:nThbg6kXUpJWGl7E1IGOCspRomTxdCARLviKw6E5SY8'
+ */
+export async function getSshFingerprint(value) {
+    const match = value?.match(SSH_PUBLIC_KEY);
+    if (!match || typeof crypto === 'undefined' || !crypto.subtle) return null;
+    try {
+        const digest = await crypto.subtle.digest('SHA-256', base64ToBytes(match[2]));
+        return `SHA256:${bytesToBase64(new Uint8Array(digest)).replace(/=+$/, '')}`;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read a DER tag-length-value header
+ *
+ * @param {Uint8Array} der - DER bytes
+ * @param {number} offset - Header position
+ * @returns {{tag: number, start: number, end: number}} Tag and content range
+ */
+function readTlv(der, offset) {
+    const tag = der[offset];
+    let length = der[offset + 1];
+    let start = offset + 2;
+    if (length & 0x80) {
+        const count = length & 0x7F;
+        length = 0;
+        for (let i = 0; i < count; i++) {
+            length = (length * 256) + der[start + i];
+        }
+        start += count;
+    }
+    if (start + length > der.length) {
+        throw new Error('Truncated DER');
+    }
+    return { tag, start, end: start + length };
+}
+
+/**
+ * Parse an ASN.1 UTCTime (0x17) or GeneralizedTime (0x18)
+ *
+ * @param {Uint8Array} der - DER bytes
+ * @param {Object} tlv - Result of readTlv
+ * @returns {Date} Parsed time (UTC)
+ */
+function readTime(der, tlv) {
+    const text = String.fromCharCode(...der.slice(tlv.start, tlv.end));
+    let digits = text.replace(/Z$/, '');
+    if (tlv.tag === 0x17) {
+        const shortYear = parseInt(digits.slice(0, 2), 10);
+        digits = `${shortYear >= 50 ? '19' : '20'}${digits}`;
+    }
+    const [year, month, day, hour, minute, second] = [0, 4, 6, 8, 10, 12]
+        .map((start, index) => parseInt(digits.slice(start, start + (index === 0 ? 4 : 2)), 10) || 0);
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+}
+
+/**
+ * Parse the validity period of a PEM certificate
+ *
+ * @param {string} value - Reward value containing a PEM certificate
+ * @returns {{notBefore: Date, notAfter: Date}|null} Validity or null if not parseable
+ *
+ * @example
+ * parseCertificateValidity(pem)
+ * // Returns: { notBefore: Date(2026-01-01), notAfter: Date(2027-01-01) }
+ */
+export function parseCertificateValidity(value) {
+    const match = value?.match(PEM_CERTIFICATE);
+    if (!match) return null;
+
+    try {
+        const der = base64ToBytes(match[1].replace(/\s+/g, ''));
+        const certificate = readTlv(der, 0);
+        const tbs = readTlv(der, certificate.start);
+        let element = readTlv(der, tbs.start);
+        if (element.tag === 0xA0) {
+            element = readTlv(der, element.end);   // skip explicit version
+        }
+        // serialNumber -> signature -> issuer -> validity
+        for (let i = 0; i < 3; i++) {
+            element = readTlv(der, element.end);
+        }
+        const notBefore = readTlv(der, element.start);
+        const notAfter = readTlv(der, notBefore.end);
+        return { notBefore: readTime(der, notBefore), notAfter: readTime(der, notAfter) };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check that a URL can be rendered as a clickable link
+ *
+ * SECURITY: Only http(s) links are rendered, never javascript: or data: URLs.
+ *
+ * @param {string} value - URL
+ * @returns {boolean} True for absolute http/https URLs
+ */
+export function isSafeLink(value) {
+    try {
+        const url = new URL(String(value).trim());
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (error) {
+        return false;
+    }
+}
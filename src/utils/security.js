@@ -9,6 +9,7 @@
  * - Token masking (first 10 chars + ***)
  * - Sensitive data redaction from objects
  * - Sensitive data detection
+ * - Personal data detection and masking in free text (chat pre-check)
  *
  * Security:
  * - Follows security_rules.md and frontend_security_rules.md
@@ -310,3 +311,63 @@ export function sanitizeContext(context) {
 
   return sanitized;
 }
+
+/**
+ * Patterns for personal data in free text (chat messages)
+ *
+ * SECURITY: Order matters - tokens before phone/card numbers so a JWT is not
+ * half-matched as digits
+ */
+const TEXT_PII_PATTERNS = [
+  { type: 'email', pattern: /[\w.+-]+@[\w-]+(\.[\w-]+)+/g, mask: maskEmail },
+  { type: 'token', pattern: /\beyJ[\w-]+\.[\w-]+\.[\w-]+|\b(?=[A-Za-z0-9_-]*\d)(?=[A-Za-z0-9_-]*[A-Za-z])[A-Za-z0-9_-]{32,}\b/g, mask: maskToken },
+  { type: 'iban', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){3,7}(?: ?[A-Z0-9]{1,3})?\b/g, mask: () => '***' },
+  { type: 'card', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, mask: () => '***' },
+  { type: 'phone', pattern: /(?:\+|\b00)\d{1,3}[ /.-]?\d{2,4}(?:[ /.-]?\d{2,4}){2,3}\b|\b0\d{2,4}[ /.-]?\d{6,8}\b|\b0\d{2}[ /.-]?\d{3}[ /.-]?\d{2}[ /.-]?\d{2}\b/g, mask: () => '***' }
+];
+
+/**
+ * Find personal data in free text
+ *
+ * SECURITY: Used to warn before a chat message with an email address,
+ * phone number, bank/card number or token is sent
+ *
+ * @param {string} text - Text to check
+ * @returns {Array<string>} Types found ('email', 'token', 'iban', 'card', 'phone'), unique
+ *
+ * @example
+ * findPIIInText('mail me at john@example.com') // Returns: ['email']
+ */
+export function findPIIInText(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  return TEXT_PII_PATTERNS
+    .filter(({ pattern }) => text.match(pattern))
+    .map(({ type }) => type);
+}
+
+/**
+ * Mask personal data in free text
+ *
+ * SECURITY: Applies the same masking as for log contexts (maskEmail, maskToken);
+ * phone, bank and card numbers are replaced completely
+ *
+ * @param {string} text - Text to mask
+ * @returns {string} Text with personal data masked
+ *
+ * @example
+ * maskPIIInText('Call +41 79 123 45 67 or mail john@example.com')
+ * // Returns: 'Call *** or mail j***@***.***'
+ */
+export function maskPIIInText(text) {
+  if (!text || typeof text !== 'string') {
+    return text;
+  }
+
+  return TEXT_PII_PATTERNS.reduce(
+    (masked, { pattern, mask }) => masked.replace(pattern, match => mask(match)),
+    text
+  );
+}
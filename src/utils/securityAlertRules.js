@@ -0,0 +1,238 @@
+/**
+ * Module: utils/securityAlertRules.js
+ * Purpose: Security alert rules evaluated against the admin SSE stream
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Rule types:
+ * - category_burst: N events of a category from one user within M minutes
+ * - block_rate: block rate above Y% (once enough messages were checked)
+ * - new_language: a language that was not seen before shows up
+ *
+ * Rules are shared by all admins through the system config key
+ * `security.alert_rules` (JSON string). Evaluation is pure: every call takes
+ * the engine state and returns the next state plus the alerts to raise.
+ *
+ * @since 2026-10-19
+ * @see ../hooks/useSecurityAlerts.js
+ */
+
+import { getAttackCategory } from './securityIncidents';
+
+/**
+ * System config key holding the rules
+ */
+export const ALERT_RULES_CONFIG_KEY = 'security.alert_rules';
+
+/**
+ * A rule fires at most once per target (user, language, ...) within this time
+ */
+export const ALERT_COOLDOWN_MINUTES = 10;
+
+/**
+ * Categories that are not attacks
+ */
+const SAFE_CATEGORIES = ['clean', 'none'];
+
+/**
+ * Available rule types
+ */
+export const ALERT_RULE_TYPES = [
+    { id: 'category_burst', label: 'Repeated attempts by one user' },
+    { id: 'block_rate', label: 'Block rate above threshold' },
+    { id: 'new_language', label: 'New language detected' }
+];
+
+/**
+ * Rules used until an admin saved their own
+ */
+export const DEFAULT_ALERT_RULES = [
+    { id: 'extraction-burst', type: 'category_burst', enabled: true, category: 'system_extraction', count: 2, windowMinutes: 10 },
+    { id: 'any-burst', type: 'category_burst', enabled: true, category: 'any', count: 5, windowMinutes: 15 },
+    { id: 'block-rate', type: 'block_rate', enabled: true, threshold: 30, minMessages: 50 },
+    { id: 'new-language', type: 'new_language', enabled: false }
+];
+
+/**
+ * Parse the rules stored in system config
+ *
+ * @param {string|Array|null} value - Config value (JSON string)
+ * @returns {Array<Object>} Rules (defaults when missing or unreadable)
+ */
+export function parseAlertRules(value) {
+    if (Array.isArray(value)) return value;
+    if (!value) return DEFAULT_ALERT_RULES;
+    try {
+        const rules = JSON.parse(value);
+        return Array.isArray(rules) ? rules : DEFAULT_ALERT_RULES;
+    } catch (e) {
+        return DEFAULT_ALERT_RULES;
+    }
+}
+
+/**
+ * Validate a rule
+ *
+ * @param {Object} rule - Rule to check
+ * @returns {Object} Field errors ({ count, windowMinutes, threshold, minMessages }); empty when valid
+ */
+export function validateAlertRule(rule) {
+    const errors = {};
+    const isPositiveInt = (value) => Number.isInteger(value) && value > 0;
+
+    if (rule.type === 'category_burst') {
+        if (!isPositiveInt(rule.count)) errors.count = 'Enter a whole number above 0';
+        if (!isPositiveInt(rule.windowMinutes)) errors.windowMinutes = 'Enter a whole number of minutes above 0';
+    } else if (rule.type === 'block_rate') {
+        if (typeof rule.threshold !== 'number' || rule.threshold <= 0 || rule.threshold >= 100) {
+            errors.threshold = 'Enter a percentage between 0 and 100';
+        }
+        if (!Number.isInteger(rule.minMessages) || rule.minMessages < 0) {
+            errors.minMessages = 'Enter a whole number of messages';
+        }
+    }
+    return errors;
+}
+
+/**
+ * Describe a rule in one line
+ *
+ * @param {Object} rule - Rule
+ * @returns {string} Description
+ */
+export function describeAlertRule(rule) {
+    switch (rule.type) {
+        case 'category_burst': {
+            const category = rule.category === 'any' ? 'any attack' : getAttackCategory(rule.category).label;
+            return `${rule.count}× ${category} from one user within ${rule.windowMinutes} min`;
+        }
+        case 'block_rate':
+            return `Block rate above ${rule.threshold}% (after ${rule.minMessages} messages)`;
+        case 'new_language':
+            return 'New language detected';
+        default:
+            return rule.type;
+    }
+}
+
+/**
+ * Create an empty engine state
+ *
+ * @param {Array<string>|null} [knownLanguages] - Languages seen so far (null = learn from the first events)
+ * @returns {Object} Engine state
+ */
+export function createAlertState(knownLanguages = null) {
+    return {
+        recentEvents: [],
+        knownLanguages,
+        lastFired: {},
+        blockRateAbove: {}
+    };
+}
+
+const minutes = (value) => value * 60000;
+
+/**
+ * Fire an alert unless the same rule and target fired within the cooldown
+ *
+ * @private
+ */
+function fire(state, alerts, key, now, alert) {
+    if (state.lastFired[key] && now - state.lastFired[key] < minutes(ALERT_COOLDOWN_MINUTES)) return;
+    state.lastFired[key] = now;
+    alerts.push({ id: `${key}:${now}`, created_at: new Date(now).toISOString(), ...alert });
+}
+
+/**
+ * Evaluate the rules for a security event
+ *
+ * @param {Array<Object>} rules - Alert rules
+ * @param {Object} state - Engine state
+ * @param {Object} event - Security event ({ id, user_id, username, attack_category, original_language })
+ * @param {number} [now] - Current time (ms)
+ * @returns {Object} { state, alerts }
+ */
+export function evaluateSecurityEvent(rules, state, event, now = Date.now()) {
+    const enabled = rules.filter(rule => rule.enabled);
+    const longestWindow = Math.max(0, ...enabled.filter(rule => rule.type === 'category_burst').map(rule => rule.windowMinutes));
+    const next = {
+        ...state,
+        lastFired: { ...state.lastFired },
+        recentEvents: [
+            ...state.recentEvents.filter(entry => now - entry.at < minutes(longestWindow)),
+            { userId: event.user_id, category: event.attack_category, at: now }
+        ]
+    };
+    const alerts = [];
+    const user = event.username || `User #${event.user_id}`;
+
+    enabled.forEach(rule => {
+        if (rule.type === 'category_burst' && !SAFE_CATEGORIES.includes(event.attack_category)) {
+            if (rule.category !== 'any' && rule.category !== event.attack_category) return;
+            const matching = next.recentEvents.filter(entry => (
+                entry.userId === event.user_id &&
+                now - entry.at < minutes(rule.windowMinutes) &&
+                !SAFE_CATEGORIES.includes(entry.category) &&
+                (rule.category === 'any' || entry.category === rule.category)
+            ));
+            if (matching.length >= rule.count) {
+                fire(next, alerts, `${rule.id}:${event.user_id}`, now, {
+                    ruleId: rule.id,
+                    title: `🚨 ${describeAlertRule(rule)}`,
+                    body: `${user}: ${matching.length} attempts (latest: ${getAttackCategory(event.attack_category).label})`,
+                    userId: event.user_id,
+                    eventId: event.id
+                });
+            }
+        }
+    });
+
+    const language = event.original_language;
+    if (language && language !== 'unknown') {
+        const known = next.knownLanguages;
+        if (known && !known.includes(language)) {
+            enabled.filter(rule => rule.type === 'new_language').forEach(rule => {
+                fire(next, alerts, `${rule.id}:${language}`, now, {
+                    ruleId: rule.id,
+                    title: '🌍 New language detected',
+                    body: `First message in "${language}" (from ${user})`,
+                    userId: event.user_id,
+                    eventId: event.id
+                });
+            });
+        }
+        next.knownLanguages = known ? [...new Set([...known, language])] : [language];
+    }
+
+    return { state: next, alerts };
+}
+
+/**
+ * Evaluate the rules for a security summary
+ *
+ * Block rate rules fire when the rate crosses the threshold and re-arm once it drops below again.
+ *
+ * @param {Array<Object>} rules - Alert rules
+ * @param {Object} state - Engine state
+ * @param {Object} summary - Security summary ({ block_rate, total_messages })
+ * @param {number} [now] - Current time (ms)
+ * @returns {Object} { state, alerts }
+ */
+export function evaluateSecuritySummary(rules, state, summary, now = Date.now()) {
+    const next = { ...state, lastFired: { ...state.lastFired }, blockRateAbove: { ...state.blockRateAbove } };
+    const alerts = [];
+    const rate = Number(summary.block_rate) || 0;
+
+    rules.filter(rule => rule.enabled && rule.type === 'block_rate').forEach(rule => {
+        const above = rate > rule.threshold && (summary.total_messages || 0) >= rule.minMessages;
+        if (above && !next.blockRateAbove[rule.id]) {
+            fire(next, alerts, rule.id, now, {
+                ruleId: rule.id,
+                title: `🛡️ Block rate ${rate}%`,
+                body: `Above the ${rule.threshold}% threshold (${summary.total_blocked || 0} of ${summary.total_messages} messages blocked)`
+            });
+        }
+        next.blockRateAbove[rule.id] = above;
+    });
+
+    return { state: next, alerts };
+}
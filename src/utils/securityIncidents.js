@@ -0,0 +1,99 @@
+/**
+ * Module: utils/securityIncidents.js
+ * Purpose: Display config and helpers for AI chat security incidents
+ * Part of: Easter Quest 2025 Frontend
+ *
+ * Features:
+ * - Attack category and severity display config (security dashboard + drill-down)
+ * - PII-masked transcripts around a flagged message (masking from utils/security.js)
+ * - Per-category count of a user's flagged attempts
+ *
+ * @since 2026-10-19
+ * @see ../components/AdminDashboard/SecurityInvestigationPanel.jsx
+ */
+
+import { maskPIIInText } from './security';
+
+/**
+ * Attack category display configuration
+ * Maps backend category codes to user-friendly display information
+ */
+export const ATTACK_CATEGORIES = {
+    'authority_impersonation': { icon: '👮', label: 'Authority Impersonation', color: '#dc3545' },
+    'instruction_override': { icon: '⚠️', label: 'Instruction Override', color: '#fd7e14' },
+    'direct_answer_request': { icon: '❓', label: 'Direct Answer Request', color: '#ffc107' },
+    'cheating_attempt': { icon: '🎯', label: 'Cheating Attempt', color: '#ff6b6b' },
+    'system_extraction': { icon: '🔓', label: 'System Extraction', color: '#e74c3c' },
+    'social_engineering': { icon: '🎭', label: 'Social Engineering', color: '#f39c12' },
+    'obfuscation_attack': { icon: '🔣', label: 'Obfuscation Attack', color: '#9b59b6' },
+    'roleplay_bypass': { icon: '🎬', label: 'Roleplay Bypass', color: '#3498db' },
+    'rate_limit': { icon: '⏱️', label: 'Rate Limit Exceeded', color: '#ff9800' },
+    'clean': { icon: '✅', label: 'Clean Message', color: '#28a745' },
+    'none': { icon: '✅', label: 'Safe Message', color: '#28a745' }
+};
+
+/**
+ * Default text of the warning sent to a user from the drill-down
+ */
+export const DEFAULT_SECURITY_WARNING =
+    'Hi! Our assistant flagged some of your recent messages. Please use the AI helper for hints only - ' +
+    'trying to extract answers or system instructions can lead to a chat restriction.';
+
+/**
+ * Look up the display config of an attack category
+ *
+ * @param {string} category - Backend category code
+ * @returns {Object} { icon, label, color } (generic config for unknown codes)
+ */
+export function getAttackCategory(category) {
+    return ATTACK_CATEGORIES[category] || { icon: '❓', label: category || 'Unknown', color: '#6c757d' };
+}
+
+/**
+ * Get severity class based on score
+ *
+ * @param {number} score - Suspicion score
+ * @returns {string} CSS class ('critical', 'high', 'medium', 'low')
+ */
+export function getSeverityClass(score) {
+    if (score >= 80) return 'critical';
+    if (score >= 60) return 'high';
+    if (score >= 40) return 'medium';
+    return 'low';
+}
+
+/**
+ * Prepare a chat transcript for display
+ *
+ * SECURITY: Message text is PII-masked before it is rendered
+ *
+ * @param {Array<Object>} messages - Transcript ({ id, role, content, created_at, security_event_id })
+ * @param {number} [eventId] - Security event to highlight
+ * @returns {Array<Object>} Messages with masked `content` and `flagged` / `focus` flags
+ */
+export function maskTranscript(messages, eventId = null) {
+    return (messages || []).map(message => ({
+        ...message,
+        content: maskPIIInText(message.content || ''),
+        flagged: !!message.security_event_id,
+        focus: eventId !== null && message.security_event_id === eventId
+    }));
+}
+
+/**
+ * Count flagged attempts per attack category
+ *
+ * @param {Array<Object>} events - Security events ({ attack_category })
+ * @returns {Array<Object>} [{ category, count }], most frequent first
+ */
+export function summarizeAttempts(events) {
+    const counts = (events || []).reduce((acc, event) => {
+        const category = event.attack_category || 'unknown';
+        acc[category] = (acc[category] || 0) + 1;
+        return acc;
+    }, {});
+
+    return Object.entries(counts)
+        .map(([category, count]) => ({ category, count }))
+        .sort((a, b) => b.count - a.count);
+}
@@ -4,14 +4,24 @@
  * Part of: Easter Quest 2025 Frontend - System Administration
  *
  * Features:
- * - Type validation (int, float, bool, string)
- * - Range validation (min/max constraints)
+ * - Type validation (int, float, bool, string, duration, cidr, json)
+ * - Range validation (min/max constraints, durations in seconds)
+ * - String constraints (min_length, max_length, pattern)
+ * - Allowed values (enums, rendered as dropdowns)
+ * - Cross-field rules (e.g. access token shorter than refresh token)
  * - Type conversion with proper parsing
  * - Boolean value normalization
  *
+ * Schema fields are read from the config object returned by the backend:
+ * min_value, max_value, min_length, max_length, pattern, pattern_description,
+ * allowed_values.
+ *
  * @since 2025-11-20
+ * @updated 2026-10-19 - String constraints, enums, duration/cidr/json types, cross-field rules
  */
 
+import { isValidIpOrCidr } from '../rateLimits';
+
 /**
  * Configuration value types supported by the system
  */
@@ -19,9 +29,39 @@ export const CONFIG_VALUE_TYPES = {
   INT: 'int',
   FLOAT: 'float',
   BOOL: 'bool',
-  STRING: 'string'
+  STRING: 'string',
+  DURATION: 'duration',
+  CIDR: 'cidr',
+  JSON: 'json'
 };
 
+const DURATION_UNITS = { d: 86400, h: 3600, m: 60, s: 1 };
+
+/**
+ * Rules between several config keys, checked with the values after the change
+ *
+ * - keys: Keys involved (the rule is skipped if one of them does not exist)
+ * - check: (values) => boolean, values keyed by config key (already typed)
+ * - message: Error shown when the check fails
+ */
+export const CROSS_FIELD_RULES = [
+  {
+    keys: ['auth.access_token_minutes', 'auth.refresh_token_days'],
+    check: (values) => values['auth.access_token_minutes'] < values['auth.refresh_token_days'] * 1440,
+    message: 'Access token lifetime must be shorter than the refresh token lifetime'
+  },
+  {
+    keys: ['auth.login_window_seconds', 'auth.login_ban_duration_seconds'],
+    check: (values) => values['auth.login_window_seconds'] <= values['auth.login_ban_duration_seconds'],
+    message: 'Login ban duration must be at least as long as the login rate limit window'
+  },
+  {
+    keys: ['game.stuck_threshold_medium_minutes', 'game.stuck_threshold_high_minutes'],
+    check: (values) => values['game.stuck_threshold_medium_minutes'] < values['game.stuck_threshold_high_minutes'],
+    message: 'Medium stuck threshold must be lower than the high stuck threshold'
+  }
+];
+
 /**
  * Validate configuration value based on type and constraints
  *
@@ -29,10 +69,12 @@ export const CONFIG_VALUE_TYPES = {
  * Returns null if valid, or an error message string if invalid.
  *
  * @param {string} value - Value to validate (always string from input)
- * @param {string} valueType - Value type (int, float, bool, string)
+ * @param {string} valueType - Value type (int, float, bool, string, duration, cidr, json)
  * @param {Object} config - Configuration object with constraints
- * @param {number|null} [config.min_value] - Minimum allowed value (for int/float)
- * @param {number|null} [config.max_value] - Maximum allowed value (for int/float)
+ * @param {number|null} [config.min_value] - Minimum allowed value (for int/float, seconds for duration)
+ * @param {number|null} [config.max_value] - Maximum allowed value (for int/float, seconds for duration)
+ * @param {string} [config.pattern] - Regular expression the whole string must match
+ * @param {Array<string|number>} [config.allowed_values] - Allowed values (enum)
  * @returns {string|null} Error message if invalid, null if valid
  *
  * @example
@@ -68,25 +110,64 @@ export function validateValue(value, valueType, config) {
 
   const stringValue = String(value);
 
-  // Type-specific validation
+  return validateByType(stringValue, valueType, config) || validateAllowedValues(stringValue, config);
+}
+
+/**
+ * Type-specific validation
+ *
+ * @param {string} value - String value to validate
+ * @param {string} valueType - Value type
+ * @param {Object} config - Configuration object with constraints
+ * @returns {string|null} Error message or null if valid
+ *
+ * @private
+ */
+function validateByType(value, valueType, config) {
   switch (valueType) {
     case CONFIG_VALUE_TYPES.INT:
-      return validateInteger(stringValue, config);
+      return validateInteger(value, config);
 
     case CONFIG_VALUE_TYPES.FLOAT:
-      return validateFloat(stringValue, config);
+      return validateFloat(value, config);
 
     case CONFIG_VALUE_TYPES.BOOL:
-      return validateBoolean(stringValue);
+      return validateBoolean(value);
 
     case CONFIG_VALUE_TYPES.STRING:
-      return validateString(stringValue, config);
+      return validateString(value, config);
+
+    case CONFIG_VALUE_TYPES.DURATION:
+      return validateDuration(value, config);
+
+    case CONFIG_VALUE_TYPES.CIDR:
+      return isValidIpOrCidr(value) ? null : 'Value must be an IPv4 address or CIDR range (e.g. 10.0.0.0/24)';
+
+    case CONFIG_VALUE_TYPES.JSON:
+      return validateJson(value);
 
     default:
       return `Unknown value type: ${valueType}`;
   }
 }
 
+/**
+ * Validate against the allowed values (enum) of a config
+ *
+ * @param {string} value - String value to validate
+ * @param {Object} config - Configuration object
+ * @returns {string|null} Error message or null if valid
+ *
+ * @private
+ */
+function validateAllowedValues(value, config) {
+  const options = getEnumOptions(config);
+  if (!options || options.some(option => String(option) === value.trim())) {
+    return null;
+  }
+  return `Value must be one of: ${options.join(', ')}`;
+}
+
 /**
  * Validate integer value with range constraints
  *
@@ -179,16 +260,17 @@ function validateBoolean(value) {
 /**
  * Validate string value
  *
- * Currently accepts any string. Can be extended with length constraints.
+ * Checks min_length/max_length and `pattern`, which must match the whole
+ * value (like the HTML pattern attribute). Invalid patterns are ignored -
+ * the server validates again.
  *
  * @param {string} value - String value to validate
- * @param {Object} config - Configuration object (for future constraints)
+ * @param {Object} config - Configuration object with string constraints
  * @returns {string|null} Error message or null if valid
  *
  * @private
  */
 function validateString(value, config) {
-  // Future enhancement: Add min_length, max_length, regex pattern
   if (config.min_length && value.length < config.min_length) {
     return `String must be at least ${config.min_length} characters`;
   }
@@ -197,9 +279,192 @@ function validateString(value, config) {
     return `String must be at most ${config.max_length} characters`;
   }
 
+  if (config.pattern) {
+    let regex = null;
+    try {
+      regex = new RegExp(`^(?:${config.pattern})$`);
+    } catch (err) {
+      return null;
+    }
+    if (!regex.test(value)) {
+      return `Value must match ${config.pattern_description || `the pattern ${config.pattern}`}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate duration value with range constraints (min/max in seconds)
+ *
+ * @param {string} value - Duration like "90", "15m" or "1h30m"
+ * @param {Object} config - Configuration object with min/max constraints
+ * @returns {string|null} Error message or null if valid
+ *
+ * @private
+ */
+function validateDuration(value, config) {
+  const seconds = parseDuration(value);
+
+  if (seconds === null) {
+    return 'Value must be a duration like 30s, 15m, 2h or 1d';
+  }
+
+  if (config.min_value !== null && config.min_value !== undefined && seconds < config.min_value) {
+    return `Duration must be at least ${formatDuration(config.min_value)}`;
+  }
+
+  if (config.max_value !== null && config.max_value !== undefined && seconds > config.max_value) {
+    return `Duration must be at most ${formatDuration(config.max_value)}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate JSON value (object or array)
+ *
+ * @param {string} value - JSON text
+ * @returns {string|null} Error message or null if valid
+ *
+ * @private
+ */
+function validateJson(value) {
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (err) {
+    return `Invalid JSON: ${err.message}`;
+  }
+
+  if (parsed === null || typeof parsed !== 'object') {
+    return 'Value must be a JSON object or array';
+  }
+
   return null;
 }
 
+/**
+ * Parse a duration to seconds
+ *
+ * Accepts plain seconds ("90") or unit parts ("30s", "15m", "2h", "1d", "1h30m").
+ *
+ * @param {string|number} value - Duration
+ * @returns {number|null} Seconds, null if invalid
+ *
+ * @example
+ * parseDuration('1h30m') // Returns: 5400
+ * parseDuration('90')    // Returns: 90
+ * parseDuration('soon')  // Returns: null
+ */
+export function parseDuration(value) {
+  const text = String(value ?? '').trim().toLowerCase().replace(/\s+/g, '');
+
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10);
+  }
+
+  if (!/^(\d+[dhms])+$/.test(text)) {
+    return null;
+  }
+
+  return [...text.matchAll(/(\d+)([dhms])/g)]
+    .reduce((total, [, amount, unit]) => total + parseInt(amount, 10) * DURATION_UNITS[unit], 0);
+}
+
+/**
+ * Format seconds as a compact duration
+ *
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. "1h30m", "45s", "0s"
+ *
+ * @example
+ * formatDuration(5400) // Returns: '1h30m'
+ */
+export function formatDuration(seconds) {
+  let remaining = Math.max(0, Math.floor(seconds));
+  const parts = Object.entries(DURATION_UNITS).reduce((acc, [unit, size]) => {
+    const amount = Math.floor(remaining / size);
+    remaining -= amount * size;
+    return amount > 0 ? [...acc, `${amount}${unit}`] : acc;
+  }, []);
+
+  return parts.length > 0 ? parts.join('') : '0s';
+}
+
+/**
+ * Allowed values of a config (rendered as a dropdown)
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Array<string|number>|null} Allowed values, null if the value is free
+ */
+export function getEnumOptions(config) {
+  return Array.isArray(config?.allowed_values) && config.allowed_values.length > 0
+    ? config.allowed_values
+    : null;
+}
+
+/**
+ * Check the cross-field rules affected by changing one key
+ *
+ * @param {string} key - Key being changed
+ * @param {string} value - New value (as entered)
+ * @param {Array<Object>} configs - All configs (current values and types)
+ * @returns {string|null} Error message of the first failing rule, null if valid
+ *
+ * @example
+ * // auth.refresh_token_days = 1 (1440 minutes)
+ * validateCrossFieldRules('auth.access_token_minutes', '2000', configs)
+ * // Returns: 'Access token lifetime must be shorter than the refresh token lifetime'
+ */
+export function validateCrossFieldRules(key, value, configs) {
+  const [failed] = getCrossFieldErrors({ [key]: value }, configs);
+  return failed ? failed.message : null;
+}
+
+/**
+ * Check the cross-field rules affected by changing several keys at once
+ *
+ * The rules see the current values merged with all changed values, so a
+ * profile or snapshot that changes both sides of a rule is checked as a whole.
+ *
+ * @param {Object<string, any>} changes - Key -> new value
+ * @param {Array<Object>} configs - All configs (current values and types)
+ * @returns {Array<{keys: Array<string>, message: string}>} Failing rules, empty if valid
+ *
+ * @example
+ * // auth.refresh_token_days = 7
+ * getCrossFieldErrors({ 'auth.access_token_minutes': 2000, 'auth.refresh_token_days': 1 }, configs)
+ * // Returns: [{ keys: ['auth.access_token_minutes', 'auth.refresh_token_days'], message: 'Access token lifetime ...' }]
+ */
+export function getCrossFieldErrors(changes, configs) {
+  const rules = CROSS_FIELD_RULES.filter(rule => rule.keys.some(key => key in changes));
+  const ruleKeys = new Set(rules.flatMap(rule => rule.keys));
+  const values = Object.fromEntries((configs || [])
+    .filter(config => ruleKeys.has(config.key))
+    .map(config => [
+      config.key,
+      convertToType(String(config.key in changes ? changes[config.key] : config.value), config.value_type)
+    ]));
+
+  return rules
+    .filter(rule => rule.keys.every(ruleKey => ruleKey in values) && !rule.check(values))
+    .map(rule => ({ keys: rule.keys, message: rule.message }));
+}
+
+/**
+ * Validate a config change completely (type, constraints, enum, cross-field rules)
+ *
+ * @param {string} value - New value (as entered)
+ * @param {Object} config - Configuration being changed
+ * @param {Array<Object>} [configs] - All configs, for cross-field rules
+ * @returns {string|null} Error message if invalid, null if valid
+ */
+export function validateConfigChange(value, config, configs = []) {
+  return validateValue(value, config.value_type, config)
+    || validateCrossFieldRules(config.key, value, configs);
+}
+
 /**
  * Convert string value to appropriate typed value
  *
@@ -230,12 +495,41 @@ export function convertToType(value, valueType) {
     case CONFIG_VALUE_TYPES.BOOL:
       return normalizeBooleanValue(value);
 
+    case CONFIG_VALUE_TYPES.DURATION:
+    case CONFIG_VALUE_TYPES.CIDR:
+      return String(value).trim();
+
+    // JSON values are sent as compact text (like security.alert_rules)
+    case CONFIG_VALUE_TYPES.JSON:
+      return JSON.stringify(JSON.parse(value));
+
     case CONFIG_VALUE_TYPES.STRING:
     default:
       return value;
   }
 }
 
+/**
+ * Format a stored value for the edit form
+ *
+ * JSON values are pretty-printed for the structured editor; everything
+ * else is edited as text.
+ *
+ * @param {any} value - Stored value
+ * @param {string} valueType - Configuration value type
+ * @returns {string} Value for the edit input
+ */
+export function formatValueForEdit(value, valueType) {
+  if (valueType === CONFIG_VALUE_TYPES.JSON) {
+    try {
+      return JSON.stringify(typeof value === 'string' ? JSON.parse(value) : value, null, 2);
+    } catch (err) {
+      return String(value ?? '');
+    }
+  }
+  return String(value ?? '');
+}
+
 /**
  * Normalize boolean value from various string representations
  *
@@ -278,6 +572,12 @@ export function getTypeDescription(valueType) {
       return 'true/false or 1/0';
     case CONFIG_VALUE_TYPES.STRING:
       return 'text';
+    case CONFIG_VALUE_TYPES.DURATION:
+      return 'duration (e.g. 30s, 15m, 2h, 1d)';
+    case CONFIG_VALUE_TYPES.CIDR:
+      return 'IPv4 address or CIDR range';
+    case CONFIG_VALUE_TYPES.JSON:
+      return 'JSON object or array';
     default:
       return 'value';
   }
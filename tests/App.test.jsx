@@ -99,6 +99,8 @@ describe('App Component', () => {
     mockFetch = jest.fn();
     global.fetch = mockFetch;
     jest.clearAllMocks();
+    // The URL is application state now - start every test at the root
+    window.history.replaceState({}, '', '/');
   });
 
   afterEach(() => {
@@ -371,6 +373,72 @@ describe('App Component', () => {
     });
   });
 
+  describe('URL Routing', () => {
+    test('redirects root to the role home section', async () => {
+      const mockAdmin = createMockAdmin({ role: 'game_admin' });
+      mockFetch.mockImplementationOnce(() => mockFetchResponse(mockAdmin));
+
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByTestId('admin-dashboard')).toBeInTheDocument();
+      });
+      expect(window.location.pathname).toBe('/dashboard/overview');
+    });
+
+    test('opens a deep link directly', async () => {
+      window.history.replaceState({}, '', '/profile');
+      const mockUser = createMockUser({ role: 'player' });
+      mockFetch.mockImplementationOnce(() => mockFetchResponse(mockUser));
+
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByTestId('profile')).toBeInTheDocument();
+      });
+      expect(screen.queryByTestId('game-panel')).not.toBeInTheDocument();
+    });
+
+    test('redirects unauthorized deep links instead of rendering nothing', async () => {
+      window.history.replaceState({}, '', '/system-admin/system-config');
+      const mockUser = createMockUser({ role: 'player' });
+      mockFetch.mockImplementationOnce(() => mockFetchResponse(mockUser));
+
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByTestId('game-panel')).toBeInTheDocument();
+      });
+      expect(window.location.pathname).toBe('/game');
+      expect(screen.queryByTestId('system-admin-dashboard')).not.toBeInTheDocument();
+    });
+
+    test('pushes navigation into history and follows back button', async () => {
+      const mockUser = createMockUser({ role: 'player' });
+      mockFetch.mockImplementationOnce(() => mockFetchResponse(mockUser));
+
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByTestId('game-panel')).toBeInTheDocument();
+      });
+
+      await act(async () => {
+        screen.getByText('Profile').click();
+      });
+      expect(window.location.pathname).toBe('/profile');
+
+      await act(async () => {
+        window.history.replaceState({}, '', '/game');
+        window.dispatchEvent(new PopStateEvent('popstate'));
+      });
+
+      await waitFor(() => {
+        expect(screen.getByTestId('game-panel')).toBeInTheDocument();
+      });
+    });
+  });
+
   describe('Error Handling', () => {
     test('handles auth check failure', async () => {
       mockFetch.mockRejectedValueOnce(new Error('Network error'));
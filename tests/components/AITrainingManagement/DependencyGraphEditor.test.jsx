@@ -0,0 +1,117 @@
+/**
+ * Test Suite: DependencyGraphEditor Component
+ * Purpose: Tests for the visual game dependency editor
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import DependencyGraphEditor from '../../../src/components/AITrainingManagement/GameManagement/DependencyGraphEditor';
+import { getGameDependencies, addGameDependency, removeGameDependency } from '../../../src/services';
+
+jest.mock('../../../src/services', () => ({
+  getGameDependencies: jest.fn(),
+  addGameDependency: jest.fn(),
+  removeGameDependency: jest.fn()
+}));
+
+const games = [
+  { id: 1, title: 'Intro', event_id: 10, order_index: 0 },
+  { id: 2, title: 'Cipher', event_id: 10, order_index: 1 },
+  { id: 3, title: 'Finale', event_id: 10, order_index: 2 }
+];
+
+const dependencies = {
+  1: [],
+  2: [{ id: 1, title: 'Intro' }],
+  3: [{ id: 2, title: 'Cipher' }]
+};
+
+const dragConnect = (fromTitle, toTitle) => {
+  fireEvent.mouseDown(screen.getByLabelText(`Connect from ${fromTitle}`));
+  fireEvent.mouseUp(screen.getByLabelText(toTitle));
+};
+
+describe('DependencyGraphEditor Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getGameDependencies.mockImplementation(async (id) => ({ dependencies: dependencies[id] }));
+    addGameDependency.mockResolvedValue({});
+    removeGameDependency.mockResolvedValue({});
+  });
+
+  test('draws games and their prerequisite edges', async () => {
+    render(<DependencyGraphEditor games={games} events={[]} />);
+
+    expect(await screen.findByLabelText('Remove dependency Intro → Cipher')).toBeInTheDocument();
+    expect(screen.getByLabelText('Remove dependency Cipher → Finale')).toBeInTheDocument();
+    expect(screen.getByLabelText('Finale')).toBeInTheDocument();
+  });
+
+  test('rejects connections that would create a cycle', async () => {
+    render(<DependencyGraphEditor games={games} events={[]} />);
+    await screen.findByLabelText('Remove dependency Intro → Cipher');
+
+    dragConnect('Finale', 'Intro');
+
+    expect(screen.getByRole('status')).toHaveTextContent('would create a cycle');
+    expect(screen.getByText(/Save/)).toBeDisabled();
+  });
+
+  test('saves added and removed edges', async () => {
+    render(<DependencyGraphEditor games={games} events={[]} />);
+    await screen.findByLabelText('Remove dependency Intro → Cipher');
+
+    fireEvent.click(screen.getByLabelText('Remove dependency Cipher → Finale'));
+    dragConnect('Intro', 'Finale');
+    fireEvent.click(screen.getByText('💾 Save (2)'));
+
+    await waitFor(() => expect(addGameDependency).toHaveBeenCalledWith(3, 1));
+    expect(removeGameDependency).toHaveBeenCalledWith(3, 2);
+    expect(await screen.findByText('Saved: 1 added, 1 removed.')).toBeInTheDocument();
+  });
+
+  test('retries only the edges that were not saved yet', async () => {
+    addGameDependency
+      .mockRejectedValueOnce(Object.assign(new Error('Request failed'), { data: { detail: 'Game is locked' } }))
+      .mockResolvedValue({});
+    render(<DependencyGraphEditor games={games} events={[]} />);
+    await screen.findByLabelText('Remove dependency Intro → Cipher');
+
+    fireEvent.click(screen.getByLabelText('Remove dependency Cipher → Finale'));
+    dragConnect('Intro', 'Finale');
+    fireEvent.click(screen.getByText('💾 Save (2)'));
+
+    expect(await screen.findByText('Failed to save dependencies: Game is locked')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('💾 Save (1)'));
+
+    expect(await screen.findByText('Saved: 1 added, 0 removed.')).toBeInTheDocument();
+    expect(removeGameDependency).toHaveBeenCalledTimes(1);
+    expect(addGameDependency).toHaveBeenCalledTimes(2);
+  });
+
+  test('blocks saving while games are unreachable', async () => {
+    getGameDependencies.mockImplementation(async (id) => ({
+      dependencies: id === 1 ? [{ id: 3 }] : dependencies[id]
+    }));
+    render(<DependencyGraphEditor games={games} events={[]} />);
+
+    expect(await screen.findByText('Unreachable games:')).toBeInTheDocument();
+    expect(screen.getByText('Cycles:')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Remove dependency Finale → Intro'));
+    expect(screen.queryByText('Unreachable games:')).not.toBeInTheDocument();
+  });
+
+  test('simulates unlocks for completed games', async () => {
+    render(<DependencyGraphEditor games={games} events={[]} />);
+    await screen.findByLabelText('Remove dependency Intro → Cipher');
+
+    fireEvent.click(screen.getByLabelText('Simulate unlocks'));
+    expect(screen.getByText(/Unlocked for the team/).parentElement).toHaveTextContent('Unlocked for the team: Intro');
+
+    fireEvent.click(screen.getByLabelText('Intro'));
+    expect(screen.getByText(/Unlocked for the team/).parentElement).toHaveTextContent('Unlocked for the team: Cipher · 1 completed, 1 locked');
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Test: ProvisioningMonitor Component
+ * Purpose: Test the reward provisioning monitor (retry, resolve, reveal)
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ProvisioningMonitor from '../../../src/components/AdminDashboard/ProvisioningMonitor';
+import api from '../../../src/services/api';
+import { listProvisions } from '../../../src/services/rewards';
+
+jest.mock('../../../src/services/api', () => ({
+  __esModule: true,
+  default: {
+    retryProvision: jest.fn(),
+    markProvisionResolved: jest.fn(),
+    getDecryptedReward: jest.fn()
+  }
+}));
+
+jest.mock('../../../src/services/rewards', () => ({
+  listProvisions: jest.fn()
+}));
+
+const provision = (id, overrides = {}) => ({
+  id,
+  team_name: `Team ${id}`,
+  team_reward_id: 100 + id,
+  reward_name: 'Server Key',
+  reward_type: 'api_token',
+  triggered_by_game_name: 'Cipher',
+  status: 'failed',
+  error_message: 'Connection refused',
+  retry_count: 1,
+  updated_at: '2026-03-06T14:00:00',
+  ...overrides
+});
+
+describe('ProvisioningMonitor', () => {
+  const user = { username: 'gm' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    listProvisions.mockResolvedValue({
+      provisions: [provision(1), provision(2), provision(3, { status: 'success', error_message: null })]
+    });
+  });
+
+  test('lists failed attempts by default with status counts', async () => {
+    render(<ProvisioningMonitor user={user} />);
+
+    expect(await screen.findByText('Team 1')).toBeInTheDocument();
+    expect(screen.getByText('Team 2')).toBeInTheDocument();
+    expect(screen.queryByText('Team 3')).not.toBeInTheDocument();
+    expect(screen.getByText('❌ Failed (2)')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('All (3)'));
+    expect(screen.getByText('Team 3')).toBeInTheDocument();
+  });
+
+  test('shows error detail and retries one attempt', async () => {
+    api.retryProvision.mockResolvedValue({ provision: provision(1, { status: 'success', retry_count: 2 }) });
+    render(<ProvisioningMonitor user={user} />);
+    await screen.findByText('Team 1');
+
+    fireEvent.click(screen.getAllByText('▶ Details')[0]);
+    expect(screen.getByText('Connection refused')).toBeInTheDocument();
+
+    fireEvent.click(screen.getAllByText('🔄 Retry')[0]);
+
+    await waitFor(() => expect(api.retryProvision).toHaveBeenCalledWith(1));
+    expect(await screen.findByRole('status')).toHaveTextContent('Retry started for Team 1');
+    expect(screen.queryByText('Team 1')).not.toBeInTheDocument();
+  });
+
+  test('bulk retries selected failures one by one', async () => {
+    api.retryProvision
+      .mockResolvedValueOnce({ provision: provision(1, { status: 'pending' }) })
+      .mockRejectedValueOnce(new Error('Webhook down'));
+    render(<ProvisioningMonitor user={user} />);
+    await screen.findByText('Team 1');
+
+    fireEvent.click(screen.getByLabelText('Select all failed'));
+    fireEvent.click(screen.getByText('🔄 Retry selected (2)'));
+
+    expect(await screen.findByText('Retried 2: 1 started, 1 failed.')).toBeInTheDocument();
+    expect(api.retryProvision.mock.calls).toEqual([[1], [2]]);
+  });
+
+  test('marks an attempt resolved with notes', async () => {
+    api.markProvisionResolved.mockResolvedValue({});
+    render(<ProvisioningMonitor user={user} />);
+    await screen.findByText('Team 2');
+
+    fireEvent.click(screen.getAllByText('✔️ Resolve')[1]);
+    fireEvent.change(screen.getByLabelText('Resolution notes'), { target: { value: 'Key sent by mail' } });
+    fireEvent.click(screen.getByText('Mark resolved'));
+
+    await waitFor(() => expect(api.markProvisionResolved).toHaveBeenCalledWith(2, 'Key sent by mail'));
+    expect(await screen.findByText('Marked Team 2 – Server Key as resolved.')).toBeInTheDocument();
+  });
+
+  test('reveals reward values only with a reason and logs the reveal', async () => {
+    api.getDecryptedReward.mockResolvedValue({ reward_type: 'api_token', decrypted_value: 'tok-secret' });
+    render(<ProvisioningMonitor user={user} />);
+    await screen.findByText('Team 1');
+    expect(screen.queryByText('tok-secret')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getAllByText('👁️ Reveal')[0]);
+    expect(screen.getByText('Reveal value')).toBeDisabled();
+    fireEvent.change(screen.getByLabelText(/Reason for revealing/), { target: { value: 'Manual hand-over' } });
+    fireEvent.click(screen.getByText('Reveal value'));
+
+    expect(await screen.findByText('tok-secret')).toBeInTheDocument();
+    expect(api.getDecryptedReward).toHaveBeenCalledWith(101, 'Manual hand-over');
+    expect(screen.getByText(/gm revealed Server Key for Team 1/)).toBeInTheDocument();
+  });
+
+  test('applies live updates from the dashboard stream', async () => {
+    const { rerender } = render(<ProvisioningMonitor user={user} />);
+    await screen.findByText('Team 1');
+
+    rerender(<ProvisioningMonitor user={user} latestProvisionUpdate={provision(4, { team_name: 'Team 4' })} />);
+    expect(screen.getByText('Team 4')).toBeInTheDocument();
+    expect(screen.getByText('❌ Failed (3)')).toBeInTheDocument();
+  });
+});
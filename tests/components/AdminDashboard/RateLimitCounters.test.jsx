@@ -0,0 +1,101 @@
+/**
+ * Test: RateLimitCounters Component
+ * Purpose: Test counter display, temporary bans and lifting bans
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import RateLimitCounters from '../../../src/components/AdminDashboard/RateLimitCounters';
+
+describe('RateLimitCounters', () => {
+  const counters = {
+    ips: [
+      { ip: '10.0.0.5', attempt_count: 3, limit: 5, window_ttl_seconds: 40, status: 'warning', ban_ttl_seconds: null },
+      { ip: '203.0.113.7', attempt_count: 9, limit: 5, window_ttl_seconds: null, status: 'banned', ban_ttl_seconds: 125, manual: true }
+    ],
+    users: [{ user_id: 7, username: 'bob', request_count: 80, limit: 100, window_ttl_seconds: 20, status: 'active' }]
+  };
+
+  const renderCounters = (overrides = {}) => {
+    const props = {
+      counters,
+      loadedAt: Date.now(),
+      whitelistRanges: [],
+      onBan: jest.fn().mockResolvedValue(),
+      onLiftBan: jest.fn().mockResolvedValue(),
+      onNotify: jest.fn(),
+      ...overrides
+    };
+    render(<RateLimitCounters {...props} />);
+    return props;
+  };
+
+  beforeEach(() => {
+    window.confirm = jest.fn(() => true);
+  });
+
+  test('shows counters with limits, windows and ban expiry', () => {
+    renderCounters();
+
+    expect(screen.getByText('3 / 5')).toBeInTheDocument();
+    expect(screen.getByText('40s')).toBeInTheDocument();
+    expect(screen.getByText(/Banned manually · 2m 5s/)).toBeInTheDocument();
+    expect(screen.getByText('80 / 100')).toBeInTheDocument();
+  });
+
+  test('marks whitelisted IPs', () => {
+    renderCounters({ whitelistRanges: ['10.0.0.0/24'] });
+
+    expect(screen.getByText('✅ Whitelisted')).toHaveAttribute('title', '10.0.0.0/24');
+  });
+
+  test('bans a user from a prefilled row', async () => {
+    const props = renderCounters();
+
+    fireEvent.click(screen.getAllByText('Ban…')[1]);
+    expect(screen.getByLabelText('Ban target')).toHaveValue('user');
+    expect(screen.getByLabelText('Ban identifier')).toHaveValue('7');
+
+    fireEvent.change(screen.getByLabelText('Ban duration'), { target: { value: '240' } });
+    fireEvent.change(screen.getByLabelText('Ban reason'), { target: { value: ' Scripted requests ' } });
+    fireEvent.click(screen.getByText('Ban', { selector: 'button' }));
+
+    await waitFor(() => expect(props.onBan).toHaveBeenCalledWith({
+      target: 'user',
+      identifier: '7',
+      minutes: 240,
+      reason: 'Scripted requests'
+    }));
+    await waitFor(() => expect(props.onNotify).toHaveBeenCalledWith('Banned user 7 for 4 hours', 'success'));
+  });
+
+  test('rejects invalid IPs', () => {
+    renderCounters();
+
+    fireEvent.change(screen.getByLabelText('Ban identifier'), { target: { value: '10.0.0' } });
+
+    expect(screen.getByText('Enter a valid IPv4 address')).toBeInTheDocument();
+    expect(screen.getByText('Ban', { selector: 'button' })).toBeDisabled();
+  });
+
+  test('lifts a ban after confirmation', async () => {
+    const props = renderCounters();
+
+    fireEvent.click(screen.getByText('Lift ban'));
+
+    await waitFor(() => expect(props.onLiftBan).toHaveBeenCalledWith('ip', '203.0.113.7'));
+    await waitFor(() => expect(props.onNotify).toHaveBeenCalledWith('Ban lifted for 203.0.113.7', 'success'));
+  });
+
+  test('reports failed actions', async () => {
+    const props = renderCounters({ onLiftBan: jest.fn().mockRejectedValue(new Error('Not banned')) });
+
+    fireEvent.click(screen.getByText('Lift ban'));
+
+    await waitFor(() => expect(props.onNotify).toHaveBeenCalledWith('Not banned', 'error'));
+  });
+});
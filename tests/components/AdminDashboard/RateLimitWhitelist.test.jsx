@@ -0,0 +1,72 @@
+/**
+ * Test: RateLimitWhitelist Component
+ * Purpose: Test adding and removing whitelisted IPs and CIDR ranges
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import RateLimitWhitelist from '../../../src/components/AdminDashboard/RateLimitWhitelist';
+
+describe('RateLimitWhitelist', () => {
+  const entries = [{ id: 1, range: '10.1.0.0/16', note: 'Office NAT', created_by: 'admin' }];
+
+  const renderWhitelist = (overrides = {}) => {
+    const props = {
+      entries,
+      onAdd: jest.fn().mockResolvedValue(),
+      onRemove: jest.fn().mockResolvedValue(),
+      onNotify: jest.fn(),
+      ...overrides
+    };
+    render(<RateLimitWhitelist {...props} />);
+    return props;
+  };
+
+  beforeEach(() => {
+    window.confirm = jest.fn(() => true);
+  });
+
+  test('lists whitelisted ranges', () => {
+    renderWhitelist();
+
+    expect(screen.getByText('10.1.0.0/16')).toBeInTheDocument();
+    expect(screen.getByText('Office NAT')).toBeInTheDocument();
+  });
+
+  test('adds a CIDR range', async () => {
+    const props = renderWhitelist();
+
+    fireEvent.change(screen.getByLabelText('IP or CIDR range'), { target: { value: ' 192.168.10.0/24 ' } });
+    fireEvent.change(screen.getByLabelText('Whitelist note'), { target: { value: 'Event hall' } });
+    fireEvent.click(screen.getByText('Add to whitelist'));
+
+    await waitFor(() => expect(props.onAdd).toHaveBeenCalledWith({ range: '192.168.10.0/24', note: 'Event hall' }));
+    await waitFor(() => expect(screen.getByLabelText('IP or CIDR range')).toHaveValue(''));
+    expect(props.onNotify).toHaveBeenCalledWith('Whitelisted 192.168.10.0/24', 'success');
+  });
+
+  test('rejects invalid and duplicate ranges', () => {
+    renderWhitelist();
+    const input = screen.getByLabelText('IP or CIDR range');
+
+    fireEvent.change(input, { target: { value: '10.0.0.0/40' } });
+    expect(screen.getByText(/Enter an IPv4 address or CIDR range/)).toBeInTheDocument();
+    expect(screen.getByText('Add to whitelist')).toBeDisabled();
+
+    fireEvent.change(input, { target: { value: '10.1.0.0/16' } });
+    expect(screen.getByText('Already whitelisted')).toBeInTheDocument();
+  });
+
+  test('removes an entry after confirmation', async () => {
+    const props = renderWhitelist();
+
+    fireEvent.click(screen.getByText('Remove'));
+
+    await waitFor(() => expect(props.onRemove).toHaveBeenCalledWith(1));
+    await waitFor(() => expect(props.onNotify).toHaveBeenCalledWith('Removed 10.1.0.0/16 from the whitelist', 'success'));
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Test: SecurityAlertRules Component
+ * Purpose: Test editing the shared alert rules and the triggered alerts list
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import SecurityAlertRules from '../../../src/components/AdminDashboard/SecurityAlertRules';
+
+describe('SecurityAlertRules', () => {
+  const rules = [
+    { id: 'burst', type: 'category_burst', enabled: true, category: 'system_extraction', count: 2, windowMinutes: 10 },
+    { id: 'rate', type: 'block_rate', enabled: false, threshold: 30, minMessages: 50 }
+  ];
+  const alert = {
+    id: 'burst:5:1',
+    ruleId: 'burst',
+    title: '🚨 2× System Extraction from one user within 10 min',
+    body: 'bob: 2 attempts (latest: System Extraction)',
+    userId: 5,
+    eventId: 7,
+    created_at: '2026-04-20T10:00:00Z',
+    acknowledged: false
+  };
+
+  const securityAlerts = (overrides = {}) => ({
+    rules,
+    canEditRules: true,
+    saveRules: jest.fn().mockResolvedValue(),
+    alerts: [],
+    acknowledge: jest.fn(),
+    clearAlerts: jest.fn(),
+    ...overrides
+  });
+
+  test('shows the rules read-only without the config permission', () => {
+    render(<SecurityAlertRules securityAlerts={securityAlerts({ canEditRules: false })} />);
+
+    expect(screen.getByText('2× System Extraction from one user within 10 min')).toBeInTheDocument();
+    expect(screen.getByText(/Only system admins can change them/)).toBeInTheDocument();
+    expect(screen.queryByText('Save rules')).not.toBeInTheDocument();
+  });
+
+  test('warns when the shared rules could not be loaded', () => {
+    render(<SecurityAlertRules securityAlerts={securityAlerts({ canEditRules: false, rulesError: 'Forbidden' })} />);
+
+    expect(screen.getByRole('alert')).toHaveTextContent('The shared rules could not be loaded - the default rules are in use.');
+    expect(screen.queryByText(/Rules are shared by all admins/)).not.toBeInTheDocument();
+  });
+
+  test('saves edited rules', async () => {
+    const state = securityAlerts();
+    render(<SecurityAlertRules securityAlerts={state} />);
+
+    expect(screen.getByText('Save rules')).toBeDisabled();
+    fireEvent.change(screen.getAllByLabelText('Events')[0], { target: { value: '4' } });
+    fireEvent.click(screen.getByText('Save rules'));
+
+    await waitFor(() => expect(state.saveRules).toHaveBeenCalledWith([
+      { ...rules[0], count: 4 },
+      rules[1]
+    ]));
+  });
+
+  test('blocks saving invalid rules', () => {
+    render(<SecurityAlertRules securityAlerts={securityAlerts()} />);
+
+    fireEvent.change(screen.getByLabelText('Above (%)'), { target: { value: '150' } });
+
+    expect(screen.getByText('Enter a percentage between 0 and 100')).toBeInTheDocument();
+    expect(screen.getByText('Save rules')).toBeDisabled();
+  });
+
+  test('adds a rule of the selected type', () => {
+    render(<SecurityAlertRules securityAlerts={securityAlerts()} />);
+
+    fireEvent.change(screen.getByLabelText('Rule type'), { target: { value: 'new_language' } });
+    fireEvent.click(screen.getByText('+ Add rule'));
+
+    expect(screen.getByText('New language detected', { selector: 'label' })).toBeInTheDocument();
+  });
+
+  test('lists triggered alerts with investigate and acknowledge', () => {
+    const state = securityAlerts({ alerts: [alert] });
+    const onInvestigate = jest.fn();
+    render(<SecurityAlertRules securityAlerts={state} onInvestigate={onInvestigate} />);
+
+    fireEvent.click(screen.getByText('Investigate'));
+    fireEvent.click(screen.getByText('Acknowledge'));
+
+    expect(onInvestigate).toHaveBeenCalledWith({ type: 'event', id: 7 });
+    expect(state.acknowledge).toHaveBeenCalledWith('burst:5:1');
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Module: AnnouncementsPanel.test.jsx
+ * Purpose: Tests for the announcements tab of the notifications dashboard
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import AnnouncementsPanel from '../../../src/components/AdminNotifications/AnnouncementsPanel';
+import * as services from '../../../src/services';
+import * as chatService from '../../../src/services/chat';
+
+jest.mock('../../../src/services', () => ({
+  getAllTeams: jest.fn()
+}));
+
+describe('AnnouncementsPanel', () => {
+  const scheduled = {
+    id: 1,
+    content: 'Game 5 unlocked',
+    all_teams: true,
+    team_ids: [],
+    scheduled_for: '2099-04-20T10:00:00Z',
+    status: 'scheduled',
+    deliveries: []
+  };
+  const sent = {
+    id: 2,
+    content: '30 minutes left',
+    all_teams: false,
+    team_ids: [1, 2],
+    scheduled_for: null,
+    sent_at: '2026-04-20T09:00:00Z',
+    status: 'sent',
+    created_by_username: 'anna',
+    deliveries: [
+      { team_id: 1, team_name: 'Bunnies', status: 'delivered' },
+      { team_id: 2, team_name: 'Chicks', status: 'failed', error: 'No members online' }
+    ]
+  };
+
+  beforeEach(() => {
+    services.getAllTeams.mockResolvedValue({
+      teams: [
+        { id: 1, name: 'Bunnies' },
+        { id: 2, name: 'Chicks' },
+        { id: 99, name: 'System', is_system_team: true }
+      ]
+    });
+    jest.spyOn(chatService, 'getAnnouncements').mockResolvedValue([scheduled, sent]);
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('shows the queue and the history with delivery status', async () => {
+    render(<AnnouncementsPanel />);
+
+    expect(await screen.findByText('Game 5 unlocked')).toBeInTheDocument();
+    expect(screen.getByText('🕒 Scheduled')).toBeInTheDocument();
+    expect(await screen.findByText('Bunnies, Chicks')).toBeInTheDocument();
+    expect(screen.getByText(/1\/2 delivered/)).toBeInTheDocument();
+    expect(screen.getByText('Chicks: failed (No members online)')).toBeInTheDocument();
+  });
+
+  test('sends a template to selected teams with a per-team preview', async () => {
+    jest.spyOn(chatService, 'createAnnouncement').mockResolvedValue({ ...sent, id: 3 });
+    render(<AnnouncementsPanel />);
+    await screen.findByText('All teams (2)');
+
+    fireEvent.change(screen.getByLabelText('Template'), { target: { value: 'game_unlocked' } });
+    fireEvent.click(screen.getByLabelText('All teams (2)'));
+    fireEvent.click(screen.getByLabelText('Chicks'));
+    fireEvent.click(screen.getByText('Send now'));
+
+    expect(await screen.findByText('Fill in {{game}}')).toBeInTheDocument();
+    expect(chatService.createAnnouncement).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText(/^Announcement/), { target: { value: '🔓 Game 5 is open, {{team_name}}!' } });
+    expect(screen.getByText('🔓 Game 5 is open, Chicks!')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Send now'));
+
+    await waitFor(() => expect(chatService.createAnnouncement).toHaveBeenCalledWith({
+      content: '🔓 Game 5 is open, {{team_name}}!',
+      all_teams: false,
+      team_ids: [2],
+      scheduled_for: null
+    }));
+  });
+
+  test('schedules an announcement for later', async () => {
+    jest.spyOn(chatService, 'createAnnouncement').mockResolvedValue({ ...scheduled, id: 4 });
+    render(<AnnouncementsPanel />);
+    await screen.findByText('Game 5 unlocked');
+
+    fireEvent.change(screen.getByLabelText(/^Announcement/), { target: { value: 'Break is over' } });
+    fireEvent.change(screen.getByLabelText(/Send at/), { target: { value: '2099-04-20T12:30' } });
+    fireEvent.click(screen.getByText('Schedule'));
+
+    await waitFor(() => expect(chatService.createAnnouncement).toHaveBeenCalledWith(expect.objectContaining({
+      all_teams: true,
+      scheduled_for: new Date('2099-04-20T12:30').toISOString()
+    })));
+    expect(window.confirm).not.toHaveBeenCalled();
+  });
+
+  test('cancels a scheduled announcement', async () => {
+    jest.spyOn(chatService, 'cancelAnnouncement').mockResolvedValue({ ...scheduled, status: 'cancelled' });
+    render(<AnnouncementsPanel />);
+    await screen.findByText('Game 5 unlocked');
+
+    fireEvent.click(screen.getByText('Cancel'));
+
+    await waitFor(() => expect(chatService.cancelAnnouncement).toHaveBeenCalledWith(1));
+    expect(await screen.findByText('✕ Cancelled')).toBeInTheDocument();
+  });
+});
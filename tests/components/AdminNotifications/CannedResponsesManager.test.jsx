@@ -0,0 +1,93 @@
+/**
+ * Module: CannedResponsesManager.test.jsx
+ * Purpose: Tests for the canned responses tab of the notifications dashboard
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import CannedResponsesManager from '../../../src/components/AdminNotifications/CannedResponsesManager';
+import * as chatService from '../../../src/services/chat';
+
+describe('CannedResponsesManager', () => {
+  const saved = {
+    id: 1,
+    title: 'Offer a hint',
+    shortcut: 'hint',
+    body: 'Hi {{team_name}}, want a hint?',
+    escalation_types: ['stuck'],
+    resolves_escalation: false
+  };
+
+  beforeEach(() => {
+    jest.spyOn(chatService, 'getCannedResponses').mockResolvedValue([saved]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lists the saved responses', async () => {
+    render(<CannedResponsesManager />);
+
+    expect(await screen.findByText('/hint')).toBeInTheDocument();
+    expect(screen.getByText('Offer a hint')).toBeInTheDocument();
+    expect(screen.getByText('User Stuck')).toBeInTheDocument();
+  });
+
+  test('creates a macro with a live preview', async () => {
+    const created = { ...saved, id: 2, title: 'Fixed', shortcut: 'fixed', body: 'Fixed for {{team_name}}', escalation_types: [], resolves_escalation: true };
+    jest.spyOn(chatService, 'createCannedResponse').mockResolvedValue(created);
+    render(<CannedResponsesManager />);
+    await screen.findByText('/hint');
+
+    fireEvent.click(screen.getByText('+ New Response'));
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Fixed' } });
+    fireEvent.change(screen.getByPlaceholderText('stuck-hint'), { target: { value: '/Fixed' } });
+    fireEvent.change(screen.getByLabelText('Text'), { target: { value: 'Fixed for ' } });
+    fireEvent.click(screen.getByText('{{team_name}}'));
+    fireEvent.click(screen.getByLabelText(/also resolve the escalation/));
+
+    expect(screen.getByText('Fixed for Team Bunny')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Save'));
+
+    await waitFor(() => expect(chatService.createCannedResponse).toHaveBeenCalledWith({
+      title: 'Fixed',
+      shortcut: 'fixed',
+      body: 'Fixed for {{team_name}}',
+      escalation_types: [],
+      resolves_escalation: true
+    }));
+    expect(await screen.findByText('/fixed')).toBeInTheDocument();
+    expect(screen.getByText('✓ Resolves')).toBeInTheDocument();
+  });
+
+  test('rejects a duplicate shortcut without saving', async () => {
+    jest.spyOn(chatService, 'createCannedResponse');
+    render(<CannedResponsesManager />);
+    await screen.findByText('/hint');
+
+    fireEvent.click(screen.getByText('+ New Response'));
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Another' } });
+    fireEvent.change(screen.getByPlaceholderText('stuck-hint'), { target: { value: 'hint' } });
+    fireEvent.change(screen.getByLabelText('Text'), { target: { value: 'Text' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    expect(screen.getByText('/hint is already used')).toBeInTheDocument();
+    expect(chatService.createCannedResponse).not.toHaveBeenCalled();
+  });
+
+  test('deletes a response after confirmation', async () => {
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+    jest.spyOn(chatService, 'deleteCannedResponse').mockResolvedValue({});
+    render(<CannedResponsesManager />);
+
+    fireEvent.click(await screen.findByLabelText('Delete /hint'));
+
+    await waitFor(() => expect(screen.queryByText('/hint')).not.toBeInTheDocument());
+    expect(chatService.deleteCannedResponse).toHaveBeenCalledWith(1);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Module: EscalationAssignment.test.jsx
+ * Purpose: Tests for escalation claim/assign controls and the SLA timer
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import EscalationAssignment from '../../../src/components/AdminNotifications/EscalationAssignment';
+import SlaTimer from '../../../src/components/AdminNotifications/SlaTimer';
+
+const MINUTE = 60 * 1000;
+const created = Date.parse('2026-10-19T10:00:00Z');
+
+describe('EscalationAssignment', () => {
+  const admins = [
+    { id: 1, username: 'alice', online: true },
+    { id: 2, username: 'bob', online: false }
+  ];
+  const handlers = () => ({ onClaim: jest.fn(), onAssign: jest.fn(), onRelease: jest.fn() });
+  const base = { id: 7, status: 'open', priority: 'high', created_at: new Date(created).toISOString() };
+
+  test('lets an admin claim an unassigned escalation', () => {
+    const h = handlers();
+    render(<EscalationAssignment notification={base} currentUser={{ id: 1 }} assignees={admins} now={created} {...h} />);
+
+    expect(screen.getByText('Unassigned')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Claim'));
+    expect(h.onClaim).toHaveBeenCalledWith(7);
+  });
+
+  test('shows the own claim with its expiry and release', () => {
+    const h = handlers();
+    const claimed = { ...base, assigned_to_id: 1, assigned_to_username: 'alice', assigned_at: new Date(created).toISOString() };
+    render(<EscalationAssignment notification={claimed} currentUser={{ id: 1 }} assignees={admins} now={created + 4 * MINUTE} {...h} />);
+
+    expect(screen.getByText('🙋 Claimed by you')).toBeInTheDocument();
+    expect(screen.getByText('claim expires in 6:00')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Release'));
+    expect(h.onRelease).toHaveBeenCalledWith(7);
+  });
+
+  test('assigns a claim of another admin to someone else', () => {
+    const h = handlers();
+    const claimed = { ...base, assigned_to_id: 1, assigned_to_username: 'alice', assigned_at: new Date(created).toISOString(), reassigned_reason: 'timeout' };
+    render(<EscalationAssignment notification={claimed} currentUser={{ id: 2 }} assignees={admins} now={created} {...h} />);
+
+    expect(screen.getByText('👤 Claimed by @alice')).toBeInTheDocument();
+    expect(screen.getByText('↪ Reassigned after claim timeout')).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Assign to admin'), { target: { value: '2' } });
+    expect(h.onAssign).toHaveBeenCalledWith(7, 2);
+    expect(screen.getByText('Take over')).toBeInTheDocument();
+  });
+});
+
+describe('SlaTimer', () => {
+  const notification = { id: 1, status: 'open', priority: 'high', created_at: new Date(created).toISOString() };
+
+  test('counts down and warns before the target', () => {
+    const { rerender } = render(<SlaTimer notification={notification} now={created + 2 * MINUTE} />);
+    expect(screen.getByText('⏱ 8:00 left')).toHaveClass('sla-ok');
+
+    rerender(<SlaTimer notification={notification} now={created + 9 * MINUTE} />);
+    expect(screen.getByText('⚠️ 1:00 left')).toHaveClass('sla-warning');
+  });
+
+  test('flags a breach', () => {
+    render(<SlaTimer notification={notification} now={created + 12 * MINUTE} />);
+    expect(screen.getByRole('alert')).toHaveTextContent('🚨 SLA breached 2:00 ago');
+  });
+
+  test('ticks on its own without a fixed time', () => {
+    jest.useFakeTimers().setSystemTime(created + 2 * MINUTE);
+    try {
+      render(<SlaTimer notification={notification} />);
+      expect(screen.getByText('⏱ 8:00 left')).toBeInTheDocument();
+
+      act(() => jest.advanceTimersByTime(1000));
+      expect(screen.getByText('⏱ 7:59 left')).toBeInTheDocument();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Module: ModerationQueue.test.jsx
+ * Purpose: Tests for the moderation tab of the notifications dashboard
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ModerationQueue from '../../../src/components/AdminNotifications/ModerationQueue';
+import * as chatService from '../../../src/services/chat';
+
+describe('ModerationQueue', () => {
+  const report = {
+    id: 3,
+    message_id: 12,
+    chat_type: 'team',
+    message_content: 'call me at 0170 1234567',
+    sender_id: 5,
+    sender_username: 'bob',
+    team_name: 'Rabbits',
+    reports: [
+      { reporter_username: 'anna', reason: 'personal_data', comment: 'his number', created_at: '2026-04-20T10:00:00Z' },
+      { reporter_username: 'carl', reason: 'spam', comment: '', created_at: '2026-04-20T10:01:00Z' }
+    ],
+    created_at: '2026-04-20T10:00:00Z'
+  };
+  const mute = { user_id: 8, username: 'dora', team_name: 'Foxes', muted_until: '2026-04-20T11:00:00Z', reason: 'Spam' };
+
+  beforeEach(() => {
+    jest.spyOn(chatService, 'getModerationReports').mockResolvedValue([report]);
+    jest.spyOn(chatService, 'getChatMutes').mockResolvedValue([mute]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lists open reports with reporters and active mutes', async () => {
+    render(<ModerationQueue />);
+
+    expect(await screen.findByText('call me at 0170 1234567')).toBeInTheDocument();
+    expect(chatService.getModerationReports).toHaveBeenCalledWith('open');
+    expect(screen.getByText('⚑ 2 reports')).toBeInTheDocument();
+    expect(screen.getByText('@anna')).toBeInTheDocument();
+    expect(screen.getByText(/Personal data/)).toBeInTheDocument();
+    expect(screen.getByText('@dora')).toBeInTheDocument();
+  });
+
+  test('dismisses a report', async () => {
+    jest.spyOn(chatService, 'dismissModerationReport').mockResolvedValue({});
+    render(<ModerationQueue />);
+
+    fireEvent.click(await screen.findByText('Dismiss'));
+
+    await waitFor(() => expect(screen.queryByText('call me at 0170 1234567')).not.toBeInTheDocument());
+    expect(chatService.dismissModerationReport).toHaveBeenCalledWith(3);
+  });
+
+  test('removes the reported message', async () => {
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+    jest.spyOn(chatService, 'deleteChatMessage').mockResolvedValue({});
+    render(<ModerationQueue />);
+
+    fireEvent.click(await screen.findByText('🗑 Remove message'));
+
+    await waitFor(() => expect(chatService.deleteChatMessage).toHaveBeenCalledWith(12, {
+      reason: 'Removed by moderator',
+      report_id: 3
+    }));
+  });
+
+  test('mutes the sender for the selected duration', async () => {
+    jest.spyOn(chatService, 'muteChatUser').mockResolvedValue({ user_id: 5, muted_until: '2026-04-20T11:00:00Z' });
+    render(<ModerationQueue />);
+
+    fireEvent.change(await screen.findByLabelText('Mute duration'), { target: { value: '60' } });
+    fireEvent.click(screen.getByText('🔇 Mute sender'));
+
+    await waitFor(() => expect(screen.getByText('@bob')).toBeInTheDocument());
+    expect(chatService.muteChatUser).toHaveBeenCalledWith(5, {
+      minutes: 60,
+      reason: 'Reported: personal_data, spam',
+      report_id: 3
+    });
+  });
+
+  test('lifts a mute', async () => {
+    jest.spyOn(chatService, 'unmuteChatUser').mockResolvedValue({});
+    render(<ModerationQueue />);
+
+    fireEvent.click(await screen.findByText('Unmute'));
+
+    await waitFor(() => expect(screen.queryByText('@dora')).not.toBeInTheDocument());
+    expect(chatService.unmuteChatUser).toHaveBeenCalledWith(8);
+  });
+});
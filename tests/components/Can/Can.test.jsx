@@ -0,0 +1,47 @@
+/**
+ * Module: Can.test.jsx
+ * Purpose: Tests for the <Can> permission gate and usePermission hook
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import Can from '../../../src/components/Can/Can';
+import { PermissionProvider } from '../../../src/contexts/PermissionContext';
+import { PERMISSIONS } from '../../../src/config/permissions';
+
+const renderAs = (user, ui) => render(
+  <PermissionProvider user={user}>{ui}</PermissionProvider>
+);
+
+describe('Can', () => {
+  test('renders children when the permission is granted', () => {
+    renderAs({ id: 1, role: 'admin' },
+      <Can permission={PERMISSIONS.CONTENT_PROMPTS_EDIT}>Prompts</Can>
+    );
+    expect(screen.getByText('Prompts')).toBeInTheDocument();
+  });
+
+  test('renders the fallback when the permission is missing', () => {
+    renderAs({ id: 1, role: 'content_admin' },
+      <Can permission={PERMISSIONS.CONTENT_PROMPTS_EDIT} fallback="No access">Prompts</Can>
+    );
+    expect(screen.queryByText('Prompts')).not.toBeInTheDocument();
+    expect(screen.getByText('No access')).toBeInTheDocument();
+  });
+
+  test('uses the backend permission set when provided', () => {
+    renderAs({ id: 1, role: 'moderator', permissions: [PERMISSIONS.CHAT_BROADCAST_ANY_TEAM] },
+      <Can permission={PERMISSIONS.CHAT_BROADCAST_ANY_TEAM}>Broadcast</Can>
+    );
+    expect(screen.getByText('Broadcast')).toBeInTheDocument();
+  });
+
+  test('denies everything outside a PermissionProvider', () => {
+    render(<Can permission={PERMISSIONS.GAME_PLAY}>Play</Can>);
+    expect(screen.queryByText('Play')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Test: ChatAttachments
+ * Purpose: Test attachment thumbnails, file links and the lightbox
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ChatAttachments from '../../../src/components/ChatWidget/ChatAttachments';
+
+const attachments = [
+  { url: '/uploads/chat/one.png', thumbnail_url: '/uploads/chat/one_thumb.png', filename: 'one.png', content_type: 'image/png' },
+  { url: '/uploads/chat/two.jpg', filename: 'two.jpg', content_type: 'image/jpeg' },
+  { url: '/uploads/chat/notes.pdf', filename: 'notes.pdf', content_type: 'application/pdf', size: 2048 },
+  { url: 'javascript:alert(1)', filename: 'evil.png', content_type: 'image/png' }
+];
+
+describe('ChatAttachments', () => {
+  test('renders thumbnails and file links, skipping unsafe URLs', () => {
+    render(<ChatAttachments attachments={attachments} />);
+
+    expect(screen.getByAltText('one.png')).toHaveAttribute('src', '/uploads/chat/one_thumb.png');
+    expect(screen.getByAltText('two.jpg')).toHaveAttribute('src', '/uploads/chat/two.jpg');
+    expect(screen.getByText('notes.pdf').closest('a')).toHaveAttribute('href', '/uploads/chat/notes.pdf');
+    expect(screen.getByText('2 KB')).toBeInTheDocument();
+    expect(screen.queryByAltText('evil.png')).not.toBeInTheDocument();
+  });
+
+  test('opens the lightbox, browses with arrow keys and closes with Escape', () => {
+    render(<ChatAttachments attachments={attachments} />);
+
+    fireEvent.click(screen.getByLabelText('View one.png'));
+    expect(screen.getByRole('dialog')).toHaveAttribute('aria-label', 'one.png');
+
+    fireEvent.keyDown(document, { key: 'ArrowRight' });
+    expect(screen.getByRole('dialog')).toHaveAttribute('aria-label', 'two.jpg');
+    expect(screen.getByText('2 / 2')).toBeInTheDocument();
+
+    fireEvent.keyDown(document, { key: 'Escape' });
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+
+  test('renders nothing without attachments', () => {
+    const { container } = render(<ChatAttachments />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -1,8 +1,12 @@
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import ChatFooter from '../../../src/components/ChatWidget/ChatFooter';
-import { ChatProvider } from '../../../src/contexts/ChatContext';
+import * as ChatContextModule from '../../../src/contexts/ChatContext';
+import * as filesService from '../../../src/services/files';
+import * as chatService from '../../../src/services/chat';
+
+const { ChatProvider } = ChatContextModule;
 
 describe('ChatFooter Component', () => {
   test('renders component', () => {
@@ -14,3 +18,242 @@ describe('ChatFooter Component', () => {
     expect(screen.getByLabelText(/Message input/i)).toBeInTheDocument();
   });
 });
+
+describe('ChatFooter stop button', () => {
+  const chatState = (overrides = {}) => ({
+    sendMessage: jest.fn(),
+    isTyping: false,
+    activeAIStream: null,
+    cancelAIResponse: jest.fn(),
+    chatMode: 'ai',
+    connectionStatus: 'connected',
+    rateLimitStatus: { exceeded: false, resetTime: null },
+    setRateLimitStatus: jest.fn(),
+    ...overrides
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('replaces send with stop while the AI answer is generated', () => {
+    const state = chatState({ activeAIStream: 's1' });
+    jest.spyOn(ChatContextModule, 'useChat').mockReturnValue(state);
+    render(<ChatFooter />);
+
+    expect(screen.queryByLabelText('Send message')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByLabelText('Stop generating'));
+    expect(state.cancelAIResponse).toHaveBeenCalled();
+  });
+
+  test('shows send when nothing is generated', () => {
+    jest.spyOn(ChatContextModule, 'useChat').mockReturnValue(chatState());
+    render(<ChatFooter />);
+
+    expect(screen.getByLabelText('Send message')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Stop generating')).not.toBeInTheDocument();
+  });
+});
+
+describe('ChatFooter attachments', () => {
+  const chatState = (overrides = {}) => ({
+    sendMessage: jest.fn(() => true),
+    sendTeamBroadcast: jest.fn(() => true),
+    isTyping: false,
+    activeAIStream: null,
+    cancelAIResponse: jest.fn(),
+    chatMode: 'team',
+    connectionStatus: 'connected',
+    rateLimitStatus: { exceeded: false, resetTime: null },
+    setRateLimitStatus: jest.fn(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.spyOn(filesService, 'getUploadLimits').mockRejectedValue(new Error('offline'));
+    jest.spyOn(filesService, 'uploadAttachment').mockResolvedValue({ url: '/uploads/chat/notes.pdf' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('has no attach button in AI mode', () => {
+    jest.spyOn(ChatContextModule, 'useChat').mockReturnValue(chatState({ chatMode: 'ai' }));
+    render(<ChatFooter />);
+
+    expect(screen.queryByLabelText('Attach files')).not.toBeInTheDocument();
+  });
+
+  test('shows the limits and rejects files that are not allowed', async () => {
+    jest.spyOn(ChatContextModule, 'useChat').mockReturnValue(chatState());
+    render(<ChatFooter />);
+
+    expect(screen.getByLabelText('Attach files')).toHaveAttribute('title', expect.stringContaining('up to 5 MB'));
+    fireEvent.change(screen.getByTestId('chat-file-input'), {
+      target: { files: [new File(['x'], 'tool.exe', { type: 'application/x-msdownload' })] }
+    });
+
+    expect(await screen.findByText('tool.exe: file type not allowed')).toBeInTheDocument();
+    expect(filesService.uploadAttachment).not.toHaveBeenCalled();
+  });
+
+  test('uploads a pasted file and sends it with the message', async () => {
+    const state = chatState();
+    jest.spyOn(ChatContextModule, 'useChat').mockReturnValue(state);
+    render(<ChatFooter />);
+
+    const pdf = new File(['%PDF'], 'notes.pdf', { type: 'application/pdf' });
+    fireEvent.paste(screen.getByLabelText(/Message input/i), { clipboardData: { files: [pdf] } });
+
+    await waitFor(() => expect(screen.getByLabelText('Send message')).not.toBeDisabled());
+    fireEvent.click(screen.getByLabelText('Send message'));
+
+    expect(state.sendTeamBroadcast).toHaveBeenCalledWith('', [
+      expect.objectContaining({ url: '/uploads/chat/notes.pdf', filename: 'notes.pdf', content_type: 'application/pdf' })
+    ]);
+  });
+});
+
+describe('ChatFooter canned responses', () => {
+  const escalation = {
+    id: 42,
+    team_id: 7,
+    team_name: 'Team Bunny',
+    escalation_type: 'stuck',
+    context_data: { current_game_title: 'Egg Hunt', hints_used: 2, progress_percentage: 40 }
+  };
+
+  const responses = [
+    { id: 1, title: 'Hint offer', shortcut: 'hint', body: '{{team_name}}, stuck on {{game}}? Want hint {{hint_level}}?', escalation_types: ['stuck'], resolves_escalation: false },
+    { id: 2, title: 'Fixed', shortcut: 'fixed', body: 'All fixed, you are at {{progress}}!', escalation_types: ['technical'], resolves_escalation: true }
+  ];
+
+  const chatState = (overrides = {}) => ({
+    sendAdminTeamBroadcast: jest.fn(() => true),
+    isTyping: false,
+    activeAIStream: null,
+    cancelAIResponse: jest.fn(),
+    chatMode: 'team',
+    connectionStatus: 'connected',
+    rateLimitStatus: { exceeded: false, resetTime: null },
+    setRateLimitStatus: jest.fn(),
+    user: { id: 1, role: 'game_admin' },
+    selectedTeam: { id: 7, name: 'Team Bunny' },
+    escalationReply: escalation,
+    clearEscalationReply: jest.fn(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.spyOn(filesService, 'getUploadLimits').mockRejectedValue(new Error('offline'));
+    jest.spyOn(chatService, 'getCannedResponses').mockResolvedValue(responses);
+    jest.spyOn(chatService, 'resolveNotification').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('suggests responses for a slash command and fills in the escalation context', async () => {
+    jest.spyOn(ChatContextModule, 'useChat').mockReturnValue(chatState());
+    render(<ChatFooter />);
+    await waitFor(() => expect(chatService.getCannedResponses).toHaveBeenCalled());
+
+    const input = screen.getByLabelText(/Message input/i);
+    fireEvent.change(input, { target: { value: '/' } });
+
+    const options = await screen.findAllByRole('option');
+    expect(options[0]).toHaveTextContent('/hint');
+
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(input).toHaveValue('Team Bunny, stuck on Egg Hunt? Want hint 2?');
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+  });
+
+  test('resolves the escalation after sending a resolving macro', async () => {
+    const state = chatState();
+    jest.spyOn(ChatContextModule, 'useChat').mockReturnValue(state);
+    render(<ChatFooter />);
+
+    const input = screen.getByLabelText(/Message input/i);
+    fireEvent.change(input, { target: { value: '/fix' } });
+    fireEvent.click(await screen.findByText('/fixed'));
+
+    expect(screen.getByText('✓ Sending also resolves it')).toBeInTheDocument();
+    fireEvent.click(screen.getByLabelText('Send message'));
+
+    expect(state.sendAdminTeamBroadcast).toHaveBeenCalledWith(7, 'All fixed, you are at 40%!', []);
+    await waitFor(() => expect(state.clearEscalationReply).toHaveBeenCalled());
+    expect(chatService.resolveNotification).toHaveBeenCalledWith(42);
+  });
+
+  test('does not offer canned responses to players', () => {
+    jest.spyOn(ChatContextModule, 'useChat').mockReturnValue(chatState({ user: { id: 2, role: 'player' }, escalationReply: null }));
+    render(<ChatFooter />);
+
+    fireEvent.change(screen.getByLabelText(/Message input/i), { target: { value: '/' } });
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+    expect(chatService.getCannedResponses).not.toHaveBeenCalled();
+  });
+});
+
+describe('ChatFooter moderation', () => {
+  const chatState = (overrides = {}) => ({
+    sendMessage: jest.fn(() => true),
+    sendTeamBroadcast: jest.fn(() => true),
+    isTyping: false,
+    activeAIStream: null,
+    cancelAIResponse: jest.fn(),
+    chatMode: 'team',
+    connectionStatus: 'connected',
+    rateLimitStatus: { exceeded: false, resetTime: null },
+    setRateLimitStatus: jest.fn(),
+    chatMute: null,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.spyOn(filesService, 'getUploadLimits').mockRejectedValue(new Error('offline'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('warns before sending personal data and offers a masked version', () => {
+    const state = chatState();
+    jest.spyOn(ChatContextModule, 'useChat').mockReturnValue(state);
+    render(<ChatFooter />);
+
+    fireEvent.change(screen.getByLabelText(/Message input/i), { target: { value: 'mail anna@example.com' } });
+    fireEvent.click(screen.getByLabelText('Send message'));
+
+    expect(screen.getByRole('alert')).toHaveTextContent('an email address');
+    expect(state.sendTeamBroadcast).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByText('Send masked'));
+    expect(state.sendTeamBroadcast).toHaveBeenCalledWith('mail a***@***.***', []);
+  });
+
+  test('does not offer to send profanity unmasked', () => {
+    jest.spyOn(ChatContextModule, 'useChat').mockReturnValue(chatState());
+    render(<ChatFooter />);
+
+    fireEvent.change(screen.getByLabelText(/Message input/i), { target: { value: 'you idiot' } });
+    fireEvent.click(screen.getByLabelText('Send message'));
+
+    expect(screen.getByText('Send masked')).toBeInTheDocument();
+    expect(screen.queryByText('Send anyway')).not.toBeInTheDocument();
+  });
+
+  test('locks the team chat input while muted', () => {
+    jest.spyOn(ChatContextModule, 'useChat').mockReturnValue(chatState({
+      chatMute: { muted_until: null, reason: 'Spam' }
+    }));
+    render(<ChatFooter />);
+
+    expect(screen.getByLabelText(/Message input/i)).toBeDisabled();
+    expect(screen.getByRole('status')).toHaveTextContent('A moderator muted you in team chat (Spam)');
+  });
+});
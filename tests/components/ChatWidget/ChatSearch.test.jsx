@@ -0,0 +1,84 @@
+/**
+ * Test: ChatSearch
+ * Purpose: Test the chat search panel (filters, highlighting, jump to message)
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ChatSearch from '../../../src/components/ChatWidget/ChatSearch';
+import * as ChatContextModule from '../../../src/contexts/ChatContext';
+import { searchMessages } from '../../../src/services/chat';
+import { createMockUser } from '../../test-utils';
+
+jest.mock('../../../src/services/chat', () => ({
+  searchMessages: jest.fn()
+}));
+
+jest.mock('../../../src/services/games', () => ({
+  getAll: jest.fn(() => Promise.resolve({ games: [{ id: 3, title: 'Clock Tower' }] }))
+}));
+
+const result = {
+  id: 42,
+  source: 'admin',
+  sender_name: 'Admin Anna',
+  content: 'Have a look at the clock in the hall.',
+  created_at: '2026-04-20T10:00:00Z',
+  game_title: 'Clock Tower'
+};
+
+describe('ChatSearch', () => {
+  let jumpToMessage;
+
+  beforeEach(() => {
+    jumpToMessage = jest.fn();
+    jest.spyOn(ChatContextModule, 'useChat').mockReturnValue({ jumpToMessage });
+    searchMessages.mockResolvedValue({ results: [result], next_cursor: null });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('asks for a longer query before searching', () => {
+    render(<ChatSearch user={createMockUser()} onClose={jest.fn()} />);
+
+    fireEvent.change(screen.getByLabelText('Search messages'), { target: { value: 'c' } });
+
+    expect(screen.getByText(/at least 2 characters/)).toBeInTheDocument();
+    expect(searchMessages).not.toHaveBeenCalled();
+  });
+
+  test('searches with filters and highlights matches', async () => {
+    render(<ChatSearch user={createMockUser()} onClose={jest.fn()} />);
+
+    fireEvent.change(screen.getByLabelText('Chat'), { target: { value: 'admin' } });
+    fireEvent.change(screen.getByLabelText('Search messages'), { target: { value: 'clock' } });
+
+    await waitFor(() => expect(screen.getByText('Admin Anna')).toBeInTheDocument());
+    expect(searchMessages).toHaveBeenCalledWith(expect.objectContaining({ q: 'clock', source: 'admin' }));
+    expect(screen.getByText('clock', { selector: 'mark' })).toBeInTheDocument();
+  });
+
+  test('opens the conversation of a result', async () => {
+    const onClose = jest.fn();
+    render(<ChatSearch user={createMockUser()} onClose={onClose} />);
+
+    fireEvent.change(screen.getByLabelText('Search messages'), { target: { value: 'clock' } });
+    fireEvent.click(await screen.findByText('Admin Anna'));
+
+    expect(jumpToMessage).toHaveBeenCalledWith(result);
+    expect(onClose).toHaveBeenCalled();
+  });
+
+  test('hides the admin chat filter for admins', () => {
+    render(<ChatSearch user={createMockUser({ role: 'admin' })} onClose={jest.fn()} />);
+
+    expect(screen.queryByRole('option', { name: 'Admin' })).not.toBeInTheDocument();
+    expect(screen.getByRole('option', { name: 'Team Channel' })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Test: MarkdownMessage Component
+ * Purpose: Test sanitized markdown chat bodies, code copy and link confirmation
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import MarkdownMessage from '../../../src/components/ChatWidget/MarkdownMessage';
+
+describe('MarkdownMessage', () => {
+  beforeEach(() => {
+    Object.assign(navigator, { clipboard: { writeText: jest.fn().mockResolvedValue() } });
+    jest.spyOn(window, 'confirm');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('renders markdown instead of raw syntax', () => {
+    render(<MarkdownMessage content={'Use **hints** wisely:\n1. Read\n2. Think'} />);
+
+    expect(screen.getByText('hints').tagName).toBe('STRONG');
+    expect(screen.getAllByRole('listitem')).toHaveLength(2);
+    expect(screen.queryByText(/\*\*/)).not.toBeInTheDocument();
+  });
+
+  test('copies code blocks', async () => {
+    render(<MarkdownMessage content={'```python\nprint("egg")\n```'} />);
+
+    expect(screen.getByText('python')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('📋 Copy'));
+
+    await waitFor(() => expect(navigator.clipboard.writeText).toHaveBeenCalledWith('print("egg")'));
+    expect(await screen.findByText('✓ Copied!')).toBeInTheDocument();
+  });
+
+  test('asks before opening external links', () => {
+    window.confirm.mockReturnValue(false);
+    render(<MarkdownMessage content="See [the docs](https://example.com/docs)" />);
+
+    const link = screen.getByRole('link', { name: 'the docs' });
+    expect(link).toHaveAttribute('rel', 'noopener noreferrer');
+
+    const click = new MouseEvent('click', { bubbles: true, cancelable: true });
+    link.dispatchEvent(click);
+
+    expect(window.confirm).toHaveBeenCalledWith(expect.stringContaining('https://example.com/docs'));
+    expect(click.defaultPrevented).toBe(true);
+  });
+
+  test('does not execute injected html', () => {
+    const { container } = render(<MarkdownMessage content={'<img src=x onerror="window.pwned=1"><script>window.pwned=1</script>ok'} />);
+
+    expect(container.querySelector('img, script')).toBeNull();
+    expect(screen.getByText('ok')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Module: MessageModerationActions.test.jsx
+ * Purpose: Tests for report / remove / mute actions on team chat messages
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import MessageModerationActions from '../../../src/components/ChatWidget/MessageModerationActions';
+import * as chatService from '../../../src/services/chat';
+
+describe('MessageModerationActions', () => {
+  const message = { id: 12, sender_id: 5, sender_username: 'bob', content: 'spam spam' };
+  const player = { id: 1, role: 'player' };
+  const admin = { id: 2, role: 'admin' };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lets players report a message with reason and comment', async () => {
+    jest.spyOn(chatService, 'reportMessage').mockResolvedValue({});
+    render(<MessageModerationActions message={message} user={player} />);
+
+    fireEvent.click(screen.getByLabelText('Report message'));
+    fireEvent.change(screen.getByLabelText('Reason'), { target: { value: 'spam' } });
+    fireEvent.change(screen.getByLabelText('Comment'), { target: { value: ' again ' } });
+    fireEvent.click(screen.getByText('Report'));
+
+    await waitFor(() => expect(screen.getByText('⚑ Reported')).toBeInTheDocument());
+    expect(chatService.reportMessage).toHaveBeenCalledWith(12, { reason: 'spam', comment: 'again' });
+  });
+
+  test('shows nothing for own, removed or unsent messages', () => {
+    const { container, rerender } = render(
+      <MessageModerationActions message={{ ...message, sender_id: 1 }} user={player} />
+    );
+    expect(container).toBeEmptyDOMElement();
+
+    rerender(<MessageModerationActions message={{ ...message, deleted: true }} user={player} />);
+    expect(container).toBeEmptyDOMElement();
+
+    rerender(<MessageModerationActions message={{ ...message, id: 'temp-1' }} user={player} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('lets moderators remove a message after confirmation', async () => {
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+    jest.spyOn(chatService, 'deleteChatMessage').mockResolvedValue({});
+    render(<MessageModerationActions message={message} user={admin} />);
+
+    expect(screen.queryByLabelText('Report message')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByText('🗑 Remove'));
+
+    await waitFor(() => expect(chatService.deleteChatMessage).toHaveBeenCalledWith(12, { reason: 'Removed by moderator' }));
+  });
+
+  test('lets moderators mute the sender', async () => {
+    jest.spyOn(chatService, 'muteChatUser').mockResolvedValue({ user_id: 5 });
+    render(<MessageModerationActions message={message} user={admin} />);
+
+    fireEvent.click(screen.getByText('🔇 Mute'));
+    fireEvent.click(screen.getByText('15 minutes'));
+
+    await waitFor(() => expect(screen.getByText('🔇 Muted')).toBeInTheDocument());
+    expect(chatService.muteChatUser).toHaveBeenCalledWith(5, { minutes: 15, reason: 'Message 12' });
+  });
+
+  test('shows a failure', async () => {
+    jest.spyOn(chatService, 'reportMessage').mockRejectedValue(new Error('offline'));
+    render(<MessageModerationActions message={message} user={player} />);
+
+    fireEvent.click(screen.getByLabelText('Report message'));
+    fireEvent.click(screen.getByText('Report'));
+
+    await waitFor(() => expect(screen.getByText('Failed')).toBeInTheDocument());
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Test Suite: ImportPackageModal Component
+ * Purpose: Tests for game package validation, preview and import
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ImportPackageModal from '../../../src/components/GamePackageManagement/Modals/ImportPackageModal';
+import { loadPackageContent, importGamePackage, PACKAGE_FORMAT } from '../../../src/services/gamePackage';
+
+jest.mock('../../../src/services/gamePackage', () => ({
+  ...jest.requireActual('../../../src/services/gamePackage'),
+  loadPackageContent: jest.fn(),
+  importGamePackage: jest.fn()
+}));
+
+const packageFile = (content, name = 'package.json') => new File([JSON.stringify(content)], name, { type: 'application/json' });
+
+const validPackage = {
+  format: PACKAGE_FORMAT,
+  version: 1,
+  event: { year: 2025, title: 'Faust', story_html: '<p>Story</p>' },
+  categories: [],
+  games: [{ ref: 1, title: 'Intro', solution_password: 'a', depends_on: [], hints: [] }],
+  system_prompts: []
+};
+
+const selectFile = (file) => {
+  fireEvent.change(screen.getByLabelText('Package file (.json or .zip)'), { target: { files: [file] } });
+};
+
+describe('ImportPackageModal Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    loadPackageContent.mockResolvedValue({
+      event: null,
+      categories: [],
+      games: [{ id: 3, title: 'Intro', solution_password: 'old', hints: [], depends_on: [] }],
+      prompts: []
+    });
+    importGamePackage.mockResolvedValue({
+      created: { event: 1, categories: 0, games: 1, dependencies: 0, hints: 0, prompts: 0 },
+      updated: { event: 0, categories: 0, games: 0, prompts: 0 }
+    });
+  });
+
+  test('shows validation errors for invalid files', async () => {
+    render(<ImportPackageModal onImported={jest.fn()} onClose={jest.fn()} />);
+
+    selectFile(packageFile({ hello: 'world' }, 'other.json'));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('other.json cannot be imported');
+    expect(screen.getByText('Not a game package file')).toBeInTheDocument();
+    expect(screen.getByText('📥 Import Package')).toBeDisabled();
+  });
+
+  test('previews the package against the target year', async () => {
+    render(<ImportPackageModal onImported={jest.fn()} onClose={jest.fn()} />);
+
+    selectFile(packageFile(validPackage));
+
+    expect(await screen.findByText('1 new, 1 changed, 0 unchanged')).toBeInTheDocument();
+    expect(loadPackageContent).toHaveBeenCalledWith(2025, { includePrompts: true });
+    expect(screen.getByText('A new event is created for this year.', { exact: false })).toBeInTheDocument();
+    expect(screen.getByText('- solution_password', { exact: false })).toBeInTheDocument();
+  });
+
+  test('imports into a remapped year', async () => {
+    const onImported = jest.fn();
+    render(<ImportPackageModal onImported={onImported} onClose={jest.fn()} />);
+
+    selectFile(packageFile(validPackage));
+    await screen.findByText('1 new, 1 changed, 0 unchanged');
+
+    fireEvent.change(screen.getByLabelText('Target year'), { target: { value: '2026' } });
+    await waitFor(() => expect(loadPackageContent).toHaveBeenLastCalledWith(2026, { includePrompts: true }));
+    await screen.findByText('1 new, 1 changed, 0 unchanged');
+
+    fireEvent.click(screen.getByText('📥 Import Package'));
+
+    await waitFor(() => expect(onImported).toHaveBeenCalled());
+    expect(importGamePackage).toHaveBeenCalledWith(
+      expect.objectContaining({ format: PACKAGE_FORMAT }),
+      expect.objectContaining({ year: 2026, overwrite: false })
+    );
+    expect(screen.getByText(/Imported: 1 games/)).toBeInTheDocument();
+  });
+
+  test('skips system prompts without prompt permission', async () => {
+    const onImported = jest.fn();
+    render(<ImportPackageModal onImported={onImported} onClose={jest.fn()} canManagePrompts={false} />);
+
+    selectFile(packageFile({
+      ...validPackage,
+      system_prompts: [{ category: 'core_rules', name: 'Tone', content: 'Be kind' }]
+    }));
+
+    expect(await screen.findByText('1 new, 1 changed, 0 unchanged, 1 skipped (no permission)')).toBeInTheDocument();
+    expect(loadPackageContent).toHaveBeenCalledWith(2025, { includePrompts: false });
+    expect(screen.getByText('core_rules/Tone', { exact: false })).toHaveTextContent('skipped (no permission)');
+
+    fireEvent.click(screen.getByText('📥 Import Package'));
+
+    await waitFor(() => expect(onImported).toHaveBeenCalled());
+    expect(importGamePackage).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ includePrompts: false })
+    );
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Test Suite: HintPanel Component
+ * Purpose: Tests for progressive hint requests with penalty confirmation
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import HintPanel from '../../../src/components/GamePanel/HintPanel';
+import { useHint } from '../../../src/services';
+
+jest.mock('../../../src/services');
+
+describe('HintPanel Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sessionStorage.clear();
+  });
+
+  test('renders nothing when the game has no hints', () => {
+    const { container } = render(<HintPanel gameId={1} maxHints={0} hintsUsed={0} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('shows the team hint counter', () => {
+    render(<HintPanel gameId={1} maxHints={3} hintsUsed={1} />);
+    expect(screen.getByText('Hints used: 1 / 3')).toBeInTheDocument();
+    expect(screen.getByText('Get Hint 2')).toBeInTheDocument();
+  });
+
+  test('asks for confirmation with the point penalty before requesting', () => {
+    render(<HintPanel gameId={1} maxHints={3} hintsUsed={0} penaltyPoints={10} />);
+
+    fireEvent.click(screen.getByText('Get Hint 1'));
+
+    expect(screen.getByText(/Reveal hint 1 of 3\? This hint costs your team 10 points\./)).toBeInTheDocument();
+    expect(useHint).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByText('Cancel'));
+    expect(screen.getByText('Get Hint 1')).toBeInTheDocument();
+  });
+
+  test('does not mention points when the event hides them', () => {
+    render(<HintPanel gameId={1} maxHints={3} hintsUsed={0} penaltyPoints={10} showPoints={false} />);
+    fireEvent.click(screen.getByText('Get Hint 1'));
+    expect(screen.queryByText(/10 points/)).not.toBeInTheDocument();
+  });
+
+  test('reveals the hint and reports the new count', async () => {
+    useHint.mockResolvedValue({ text: 'Look under the basket', level: 1, hints_remaining: 2 });
+    const onHintUsed = jest.fn();
+
+    render(<HintPanel gameId={5} maxHints={3} hintsUsed={0} onHintUsed={onHintUsed} />);
+
+    fireEvent.click(screen.getByText('Get Hint 1'));
+    fireEvent.click(screen.getByText('Reveal Hint'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Look under the basket')).toBeInTheDocument();
+    });
+    expect(useHint).toHaveBeenCalledWith(5);
+    expect(onHintUsed).toHaveBeenCalledWith(1, expect.objectContaining({ level: 1 }));
+    expect(screen.getByText('Hints used: 1 / 3')).toBeInTheDocument();
+    expect(screen.getByText('Get Hint 2')).toBeInTheDocument();
+  });
+
+  test('keeps revealed hints for the session', async () => {
+    useHint.mockResolvedValue({ text: 'Count the eggs', level: 1, hints_remaining: 1 });
+
+    const { unmount } = render(<HintPanel gameId={7} maxHints={2} hintsUsed={0} />);
+    fireEvent.click(screen.getByText('Get Hint 1'));
+    fireEvent.click(screen.getByText('Reveal Hint'));
+    await waitFor(() => expect(screen.getByText('Count the eggs')).toBeInTheDocument());
+    unmount();
+
+    render(<HintPanel gameId={7} maxHints={2} hintsUsed={1} />);
+    expect(screen.getByText('Count the eggs')).toBeInTheDocument();
+  });
+
+  test('points to teammates for hints revealed elsewhere', () => {
+    render(<HintPanel gameId={1} maxHints={3} hintsUsed={2} />);
+    expect(screen.getByText(/revealed by your teammates/)).toBeInTheDocument();
+  });
+
+  test('disables the button when no hints are left', () => {
+    render(<HintPanel gameId={1} maxHints={2} hintsUsed={2} />);
+    expect(screen.getByText('No hints left')).toBeDisabled();
+  });
+
+  test('shows an error when the allowance is exhausted on the server', async () => {
+    const error = new Error('Forbidden');
+    error.status = 403;
+    useHint.mockRejectedValue(error);
+
+    render(<HintPanel gameId={1} maxHints={3} hintsUsed={0} />);
+    fireEvent.click(screen.getByText('Get Hint 1'));
+    fireEvent.click(screen.getByText('Reveal Hint'));
+
+    await waitFor(() => {
+      expect(screen.getByText('No hints remaining for this game.')).toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Test: Leaderboard Component
+ * Purpose: Test the public leaderboard, live updates and projector mode
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import Leaderboard from '../../../src/components/Leaderboard/Leaderboard';
+import { getLeaderboard } from '../../../src/services/games';
+import { useSSE } from '../../../src/hooks/useSSE';
+
+jest.mock('../../../src/services/games', () => ({
+  getLeaderboard: jest.fn()
+}));
+
+jest.mock('../../../src/hooks/useSSE', () => ({
+  useSSE: jest.fn()
+}));
+
+const leaderboard = (overrides = {}) => ({
+  teams: [
+    { team_id: 1, team_name: 'Bunnies', score: 40, completed_games: 2, total_games: 5, progress_percentage: 40 },
+    { team_id: 2, team_name: 'Chicks', score: 90, completed_games: 4, total_games: 5, progress_percentage: 80 }
+  ],
+  settings: { anonymize: 'none' },
+  event: { name: 'Easter 2026', end_date: '2099-04-10' },
+  recent_completions: [],
+  ...overrides
+});
+
+describe('Leaderboard', () => {
+  const player = { id: 1, username: 'p', role: 'player', team_id: 1 };
+  const gameAdmin = { id: 2, username: 'gm', role: 'game_admin' };
+  let sseOptions;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useSSE.mockImplementation((options) => {
+      sseOptions = options;
+      return { isConnected: true };
+    });
+  });
+
+  test('ranks all teams and highlights the own team', async () => {
+    getLeaderboard.mockResolvedValue(leaderboard());
+    render(<Leaderboard user={player} />);
+
+    expect(await screen.findByText('Chicks')).toBeInTheDocument();
+    const rows = screen.getAllByRole('row').slice(1);
+    expect(rows[0]).toHaveTextContent('🥇Chicks90');
+    expect(rows[1]).toHaveTextContent('🥈Bunnies40');
+    expect(rows[1]).toHaveClass('leaderboard-own-team');
+    expect(screen.getByText('🔄 Updates every 30s')).toBeInTheDocument();
+    expect(screen.queryByText('📽️ Projector Mode')).not.toBeInTheDocument();
+  });
+
+  test('hides other team names while anonymised', async () => {
+    getLeaderboard.mockResolvedValue(leaderboard({ settings: { anonymize: 'always' } }));
+    render(<Leaderboard user={player} />);
+
+    expect(await screen.findByText('Team #1')).toBeInTheDocument();
+    expect(screen.getByText('Bunnies')).toBeInTheDocument();
+    expect(screen.queryByText('Chicks')).not.toBeInTheDocument();
+  });
+
+  test('re-ranks on live progress updates', async () => {
+    getLeaderboard.mockResolvedValue(leaderboard());
+    render(<Leaderboard user={gameAdmin} />);
+    await screen.findByText('Chicks');
+
+    expect(sseOptions.endpoint).toContain('sse/admin/game-dashboard/stream');
+    expect(screen.getByText('🟢 Live')).toBeInTheDocument();
+
+    act(() => {
+      sseOptions.onMessage('team_progress_update', { team_id: 1, score: 120, completed_games: 5, progress_percentage: 100 });
+    });
+
+    expect(screen.getAllByRole('row')[1]).toHaveTextContent('🥇Bunnies120');
+  });
+
+  test('players poll the snapshot instead of the admin stream', async () => {
+    jest.useFakeTimers();
+    getLeaderboard.mockResolvedValue(leaderboard());
+    render(<Leaderboard user={player} />);
+    await act(async () => {});
+
+    expect(sseOptions.endpoint).toBeNull();
+
+    getLeaderboard.mockResolvedValue(leaderboard({
+      teams: [{ team_id: 1, team_name: 'Bunnies', score: 120, completed_games: 5, total_games: 5, progress_percentage: 100 }]
+    }));
+    await act(async () => { jest.advanceTimersByTime(30000); });
+
+    expect(getLeaderboard).toHaveBeenCalledTimes(2);
+    expect(screen.getAllByRole('row')[1]).toHaveTextContent('🥇Bunnies120');
+    jest.useRealTimers();
+  });
+
+  test('projector mode rotates slides and exits', async () => {
+    jest.useFakeTimers();
+    getLeaderboard.mockResolvedValue(leaderboard({
+      recent_completions: [{ team_id: 2, team_name: 'Chicks', game_title: 'Cipher', completed_at: '2026-04-10T12:00:00Z' }]
+    }));
+    render(<Leaderboard user={gameAdmin} />);
+    await act(async () => {});
+
+    fireEvent.click(screen.getByText('📽️ Projector Mode'));
+    expect(screen.getByRole('heading', { name: '🏆 Standings' })).toBeInTheDocument();
+
+    act(() => { jest.advanceTimersByTime(15000); });
+    expect(screen.getByRole('heading', { name: '🎉 Recent Completions' })).toBeInTheDocument();
+    expect(screen.getByText('Cipher')).toBeInTheDocument();
+
+    fireEvent.keyDown(window, { key: 'ArrowRight' });
+    expect(screen.getByRole('timer')).toHaveTextContent(/\d+d \d{2}:\d{2}:\d{2}/);
+
+    fireEvent.click(screen.getByText('✕ Exit'));
+    expect(screen.getByText('Easter 2026 – Leaderboard')).toBeInTheDocument();
+    jest.useRealTimers();
+  });
+});
@@ -25,6 +25,12 @@ jest.mock('../../../src/components/Profile/GameRatingCard', () => {
   };
 });
 
+jest.mock('../../../src/components/Profile/AlertSettingsCard', () => {
+  return function MockAlertSettingsCard({ user }) {
+    return <div data-testid="alert-settings-card">Alert Settings Card for {user.username}</div>;
+  };
+});
+
 jest.mock('../../../src/components/Profile/TeamNameCard', () => {
   return function MockTeamNameCard({ user }) {
     return <div data-testid="team-name-card">Team Name Card for {user.username}</div>;
@@ -63,7 +69,13 @@ describe('Profile Component', () => {
       expect(screen.queryByRole('button', { name: /Switch to.*Game Rating/i })).not.toBeInTheDocument();
     });
 
-    test('displays all three tabs for team captains', () => {
+    test('renders notifications tab for all users', () => {
+      render(<Profile user={mockUser} />);
+
+      expect(screen.getByRole('button', { name: /Switch to.*Notifications/i })).toBeInTheDocument();
+    });
+
+    test('displays all team tabs for team captains', () => {
       render(<Profile user={mockCaptain} />);
 
       expect(screen.getByRole('button', { name: /Switch to.*Password/i })).toBeInTheDocument();
@@ -221,6 +233,15 @@ describe('Profile Component', () => {
       expect(screen.queryByTestId('team-name-card')).not.toBeInTheDocument();
     });
 
+    test('renders alert settings card when notifications tab is active', () => {
+      render(<Profile user={mockUser} />);
+
+      fireEvent.click(screen.getByRole('button', { name: /Switch to.*Notifications/i }));
+
+      expect(screen.getByTestId('alert-settings-card')).toBeInTheDocument();
+      expect(screen.queryByTestId('password-change-card')).not.toBeInTheDocument();
+    });
+
     test('passes user prop to team name card', () => {
       render(<Profile user={mockCaptain} />);
 
@@ -231,33 +252,34 @@ describe('Profile Component', () => {
   });
 
   describe('Role-Based Access', () => {
-    test('player role shows only password tab', () => {
+    test('player role shows only password and notifications tabs', () => {
       render(<Profile user={createMockUser({ role: 'player' })} />);
 
       const tabs = screen.getAllByRole('button');
-      expect(tabs).toHaveLength(1);
+      expect(tabs).toHaveLength(2);
       expect(tabs[0]).toHaveTextContent(/Password/i);
+      expect(tabs[1]).toHaveTextContent(/Notifications/i);
     });
 
-    test('team_captain role shows all three tabs', () => {
+    test('team_captain role shows all four tabs', () => {
       render(<Profile user={createMockUser({ role: 'team_captain' })} />);
 
       const tabs = screen.getAllByRole('button');
-      expect(tabs).toHaveLength(3);
+      expect(tabs).toHaveLength(4);
     });
 
-    test('game_admin role shows only password tab', () => {
+    test('game_admin role shows only password and notifications tabs', () => {
       render(<Profile user={createMockUser({ role: 'game_admin' })} />);
 
       const tabs = screen.getAllByRole('button');
-      expect(tabs).toHaveLength(1);
+      expect(tabs).toHaveLength(2);
     });
 
-    test('admin role shows only password tab', () => {
+    test('admin role shows only password and notifications tabs', () => {
       render(<Profile user={mockAdmin} />);
 
       const tabs = screen.getAllByRole('button');
-      expect(tabs).toHaveLength(1);
+      expect(tabs).toHaveLength(2);
     });
   });
 
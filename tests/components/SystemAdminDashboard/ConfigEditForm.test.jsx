@@ -250,4 +250,96 @@ describe('ConfigEditForm Component', () => {
       expect(mockHandlers.onCancel).toHaveBeenCalled();
     });
   });
+
+  describe('Allowed Values', () => {
+    const enumConfig = {
+      key: 'logging.level',
+      value: 'info',
+      value_type: 'string',
+      allowed_values: ['debug', 'info', 'warning']
+    };
+
+    test('renders a dropdown of the allowed values', () => {
+      render(<ConfigEditForm config={enumConfig} editValue="info" {...mockHandlers} />);
+
+      expect(screen.getByRole('combobox')).toHaveValue('info');
+      expect(screen.getAllByRole('option')).toHaveLength(3);
+    });
+
+    test('keeps a current value that is not allowed selectable', () => {
+      render(<ConfigEditForm config={enumConfig} editValue="verbose" {...mockHandlers} />);
+
+      expect(screen.getByRole('combobox')).toHaveValue('verbose');
+      expect(screen.getAllByRole('option')).toHaveLength(4);
+    });
+
+    test('calls onValueChange with the selected option', () => {
+      render(<ConfigEditForm config={enumConfig} editValue="info" {...mockHandlers} />);
+
+      fireEvent.change(screen.getByRole('combobox'), { target: { value: 'debug' } });
+
+      expect(mockHandlers.onValueChange).toHaveBeenCalledWith('debug');
+    });
+  });
+
+  describe('JSON Editor', () => {
+    const jsonConfig = {
+      key: 'security.alert_rules',
+      value: '[]',
+      value_type: 'json'
+    };
+
+    test('renders a textarea', () => {
+      render(<ConfigEditForm config={jsonConfig} editValue="[]" {...mockHandlers} />);
+
+      expect(screen.getByLabelText('security.alert_rules JSON').tagName).toBe('TEXTAREA');
+    });
+
+    test('formats the JSON', () => {
+      render(<ConfigEditForm config={jsonConfig} editValue='{"a":1}' {...mockHandlers} />);
+
+      fireEvent.click(screen.getByText(/Format JSON/));
+
+      expect(mockHandlers.onValueChange).toHaveBeenCalledWith('{\n  "a": 1\n}');
+    });
+
+    test('leaves invalid JSON unchanged when formatting', () => {
+      render(<ConfigEditForm config={jsonConfig} editValue="{a" {...mockHandlers} />);
+
+      fireEvent.click(screen.getByText(/Format JSON/));
+
+      expect(mockHandlers.onValueChange).toHaveBeenCalledWith('{a');
+    });
+  });
+
+  describe('Validation', () => {
+    const durationConfig = {
+      key: 'auth.session_timeout',
+      value: '15m',
+      value_type: 'duration'
+    };
+
+    test('shows the error inline and disables save', () => {
+      render(
+        <ConfigEditForm
+          config={durationConfig}
+          editValue="soon"
+          error="Value must be a duration like 30s, 15m, 2h or 1d"
+          {...mockHandlers}
+        />
+      );
+
+      expect(screen.getByRole('alert')).toHaveTextContent('Value must be a duration like 30s, 15m, 2h or 1d');
+      expect(screen.getByRole('textbox')).toHaveAttribute('aria-invalid', 'true');
+      expect(screen.getByText(/Save/i)).toBeDisabled();
+    });
+
+    test('shows the parsed duration for valid values', () => {
+      render(<ConfigEditForm config={durationConfig} editValue="90m" {...mockHandlers} />);
+
+      expect(screen.getByText('= 1h30m (5400 seconds)')).toBeInTheDocument();
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+      expect(screen.getByText(/Save/i)).toBeEnabled();
+    });
+  });
 });
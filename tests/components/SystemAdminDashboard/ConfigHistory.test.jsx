@@ -0,0 +1,204 @@
+/**
+ * Module: ConfigHistory.test.jsx
+ * Purpose: Tests for ConfigHistory component (history, rollback, diff, profiles)
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ConfigHistory from '../../../src/components/SystemAdminDashboard/ConfigHistory';
+import * as services from '../../../src/services';
+import { CONFIG_PROFILE_TYPE } from '../../../src/utils/configHistory';
+
+jest.mock('../../../src/services', () => ({
+  getConfigHistory: jest.fn(),
+  updateConfig: jest.fn(),
+  applyConfigValues: jest.fn()
+}));
+
+describe('ConfigHistory Component', () => {
+  const configs = [
+    { key: 'auth.login_max_attempts', value: 20, value_type: 'int', min_value: 1, max_value: 100 },
+    { key: 'ai.temperature', value: 0.7, value_type: 'float', min_value: 0, max_value: 2 }
+  ];
+  const changes = [
+    {
+      id: 2,
+      key: 'auth.login_max_attempts',
+      old_value: '10',
+      new_value: '20',
+      changed_by: 'sysadmin',
+      changed_at: '2026-04-20T12:00:00Z',
+      reason: 'Office NAT'
+    },
+    {
+      id: 1,
+      key: 'ai.temperature',
+      old_value: '0.5',
+      new_value: '0.7',
+      changed_by: 'admin',
+      changed_at: '2026-04-19T12:00:00Z',
+      reason: null
+    },
+    {
+      id: 0,
+      key: 'ai.temperature',
+      old_value: '0.7',
+      new_value: '0.5',
+      changed_by: 'admin',
+      changed_at: '2026-04-18T12:00:00Z',
+      reason: 'Test run'
+    }
+  ];
+
+  let onConfigChanged;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    onConfigChanged = jest.fn().mockResolvedValue();
+    services.getConfigHistory.mockResolvedValue({ changes });
+    services.updateConfig.mockResolvedValue({});
+    services.applyConfigValues.mockResolvedValue({ updated: [] });
+    window.confirm = jest.fn(() => true);
+  });
+
+  const renderHistory = async () => {
+    render(<ConfigHistory configs={configs} onConfigChanged={onConfigChanged} />);
+    await screen.findByText('🕘 Change History');
+  };
+
+  test('lists changes with user and reason', async () => {
+    await renderHistory();
+
+    expect(screen.getByText('sysadmin')).toBeInTheDocument();
+    expect(screen.getByText('Office NAT')).toBeInTheDocument();
+  });
+
+  test('filters by key', async () => {
+    await renderHistory();
+
+    fireEvent.change(screen.getByLabelText('Filter by key'), { target: { value: 'ai.temperature' } });
+
+    expect(screen.queryByText('Office NAT')).not.toBeInTheDocument();
+    expect(screen.getAllByText('admin')).toHaveLength(2);
+  });
+
+  test('rolls back a single key with its typed old value', async () => {
+    await renderHistory();
+
+    fireEvent.click(screen.getByLabelText('Roll back auth.login_max_attempts to 10'));
+
+    await waitFor(() => expect(services.updateConfig).toHaveBeenCalledWith(
+      'auth.login_max_attempts',
+      10,
+      expect.stringContaining('Rollback of change')
+    ));
+    await waitFor(() => expect(screen.getByText('✅ auth.login_max_attempts rolled back')).toBeInTheDocument());
+    expect(onConfigChanged).toHaveBeenCalled();
+  });
+
+  test('disables rollback when the old value is already current', async () => {
+    await renderHistory();
+
+    expect(screen.getByLabelText('Roll back ai.temperature to 0.7')).toBeDisabled();
+  });
+
+  test('shows rollback errors', async () => {
+    services.updateConfig.mockRejectedValue(new Error('Value must be <= 100'));
+    await renderHistory();
+
+    fireEvent.click(screen.getByLabelText('Roll back auth.login_max_attempts to 10'));
+
+    await waitFor(() => expect(screen.getByText('❌ Value must be <= 100')).toBeInTheDocument());
+  });
+
+  test('compares two points in time and rolls back the snapshot', async () => {
+    await renderHistory();
+
+    fireEvent.change(screen.getByLabelText('Compare from'), { target: { value: '2026-04-18T00:00' } });
+    fireEvent.click(screen.getByText(/Roll back all settings/));
+
+    await waitFor(() => expect(services.applyConfigValues).toHaveBeenCalledWith(
+      { 'auth.login_max_attempts': 10 },
+      expect.stringContaining('Rollback to snapshot')
+    ));
+    await screen.findByText('✅ 1 setting(s) updated');
+  });
+
+  test('refuses a snapshot rollback that breaks a cross-field rule', async () => {
+    const authConfigs = [
+      { key: 'auth.access_token_minutes', value: 30, value_type: 'int' },
+      { key: 'auth.refresh_token_days', value: 1, value_type: 'int' }
+    ];
+    services.getConfigHistory.mockResolvedValue({
+      changes: [
+        { id: 1, key: 'auth.access_token_minutes', old_value: '2000', new_value: '30', changed_at: '2026-04-20T11:00:00Z' }
+      ]
+    });
+    render(<ConfigHistory configs={authConfigs} onConfigChanged={onConfigChanged} />);
+    await screen.findByText('🕘 Change History');
+
+    // 2000 minutes is longer than the current refresh token lifetime of one day
+    fireEvent.change(screen.getByLabelText('Compare from'), { target: { value: '2026-04-19T10:00' } });
+    fireEvent.click(screen.getByText(/Roll back all settings/));
+
+    await screen.findByText(/Access token lifetime must be shorter than the refresh token lifetime/);
+    expect(services.applyConfigValues).not.toHaveBeenCalled();
+  });
+
+  test('refuses to compare or roll back before a truncated history', async () => {
+    const page = Array.from({ length: 500 }, (_, i) => ({
+      id: 1000 - i,
+      key: 'ai.temperature',
+      old_value: '0.5',
+      new_value: '0.7',
+      changed_by: 'admin',
+      changed_at: new Date(Date.parse('2026-04-20T12:00:00Z') - i * 60 * 1000).toISOString(),
+      reason: null
+    }));
+    services.getConfigHistory.mockResolvedValue({ changes: page });
+    await renderHistory();
+
+    expect(services.getConfigHistory).toHaveBeenCalledWith({ limit: 500 });
+    fireEvent.change(screen.getByLabelText('Compare from'), { target: { value: '2026-04-18T00:00' } });
+
+    expect(screen.getByRole('alert')).toHaveTextContent(/Only the history since .* is loaded/);
+    expect(screen.getByText(/Roll back all settings/)).toBeDisabled();
+  });
+
+  test('previews and applies an imported profile', async () => {
+    await renderHistory();
+    const profile = JSON.stringify({
+      type: CONFIG_PROFILE_TYPE,
+      version: 1,
+      name: 'Quiet season',
+      values: { 'auth.login_max_attempts': 5, 'ai.temperature': 0.7 }
+    });
+
+    fireEvent.change(screen.getByLabelText('Import profile'), {
+      target: { files: [{ text: () => Promise.resolve(profile) }] }
+    });
+
+    await screen.findByText('Profile "Quiet season"');
+    fireEvent.click(screen.getByText('✓ Apply 1 change(s)'));
+
+    await waitFor(() => expect(services.applyConfigValues).toHaveBeenCalledWith(
+      { 'auth.login_max_attempts': 5 },
+      'Imported profile "Quiet season"'
+    ));
+    await waitFor(() => expect(screen.queryByText('Profile "Quiet season"')).not.toBeInTheDocument());
+  });
+
+  test('rejects files that are not profiles', async () => {
+    await renderHistory();
+
+    fireEvent.change(screen.getByLabelText('Import profile'), {
+      target: { files: [{ text: () => Promise.resolve('{"hello":1}') }] }
+    });
+
+    await screen.findByText('File is not a configuration profile');
+  });
+});
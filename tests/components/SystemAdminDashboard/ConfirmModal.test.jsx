@@ -105,6 +105,15 @@ describe('ConfirmModal Component', () => {
       expect(mockHandlers.onClose).toHaveBeenCalled();
     });
 
+    test('passes the entered reason to onConfirm', () => {
+      render(<ConfirmModal pendingChange={mockPendingChange} {...mockHandlers} />);
+
+      fireEvent.change(screen.getByLabelText(/Reason/), { target: { value: ' Longer sessions for the event ' } });
+      fireEvent.click(screen.getByRole('button', { name: /Confirm Change/i }));
+
+      expect(mockHandlers.onConfirm).toHaveBeenCalledWith('Longer sessions for the event');
+    });
+
     test('does not close when clicking modal content', () => {
       const { container } = render(<ConfirmModal pendingChange={mockPendingChange} {...mockHandlers} />);
 
@@ -0,0 +1,114 @@
+/**
+ * Test Suite: ExportArchive Component
+ * Purpose: Tests for the Export & Archive section
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ExportArchive from '../../../src/components/SystemAdminDashboard/ExportArchive';
+import { admin, teams, players, games, chat } from '../../../src/services';
+import { downloadFile, createZip } from '../../../src/utils/exportUtils';
+
+jest.mock('../../../src/services', () => ({
+  admin: { exportAllData: jest.fn(), getTeamProgress: jest.fn() },
+  teams: { getAllTeams: jest.fn(), exportTeams: jest.fn() },
+  players: { getAll: jest.fn(), exportPlayers: jest.fn() },
+  games: { getAll: jest.fn(), getRatings: jest.fn() },
+  chat: { getAdminNotifications: jest.fn() }
+}));
+
+jest.mock('../../../src/utils/exportUtils', () => ({
+  ...jest.requireActual('../../../src/utils/exportUtils'),
+  downloadFile: jest.fn(),
+  createZip: jest.fn(() => new Uint8Array([1]))
+}));
+
+describe('ExportArchive Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    teams.getAllTeams.mockResolvedValue([{ id: 1, name: 'Alpha' }]);
+    teams.exportTeams.mockResolvedValue('id,name\n1,Alpha');
+    players.getAll.mockResolvedValue([{ id: 1, username: 'p1' }]);
+    players.exportPlayers.mockResolvedValue('id,username\n1,p1');
+    admin.getTeamProgress.mockResolvedValue({ teams: [{ team_id: 1, score: 10 }] });
+    admin.exportAllData.mockResolvedValue({ version: 1 });
+    games.getAll.mockResolvedValue([{ id: 1, title: 'G1' }, { id: 2, title: 'G2' }]);
+    games.getRatings.mockResolvedValue([{ rating: 5 }]);
+    chat.getAdminNotifications.mockResolvedValue([{ id: 7 }]);
+  });
+
+  test('lists every exportable entity', () => {
+    render(<ExportArchive />);
+    ['Teams', 'Players', 'Team Progress', 'Game Ratings', 'Chat Escalations'].forEach(label => {
+      expect(screen.getByText(new RegExp(label))).toBeInTheDocument();
+    });
+  });
+
+  test('downloads server CSV for teams', async () => {
+    render(<ExportArchive />);
+    fireEvent.click(screen.getByLabelText('Download teams as CSV'));
+
+    await waitFor(() => expect(downloadFile).toHaveBeenCalled());
+    const [content, filename] = downloadFile.mock.calls[0];
+    expect(content).toBe('id,name\n1,Alpha');
+    expect(filename).toMatch(/^easter-quest-teams-\d{4}-\d{2}-\d{2}\.csv$/);
+  });
+
+  test('builds Excel CSV from records with formulas neutralised', async () => {
+    teams.getAllTeams.mockResolvedValue([{ id: 1, name: '=HYPERLINK("http://evil","x")' }]);
+    render(<ExportArchive />);
+    fireEvent.click(screen.getByLabelText('Download teams as Excel CSV'));
+
+    await waitFor(() => expect(downloadFile).toHaveBeenCalled());
+    expect(teams.exportTeams).not.toHaveBeenCalled();
+    expect(downloadFile.mock.calls[0][0]).toBe('\uFEFFid,name\r\n1,"\'=HYPERLINK(""http://evil"",""x"")"');
+  });
+
+  test('collects ratings of every game', async () => {
+    render(<ExportArchive />);
+    fireEvent.click(screen.getByLabelText('Download ratings as JSON'));
+
+    await waitFor(() => expect(downloadFile).toHaveBeenCalled());
+    expect(games.getRatings).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(downloadFile.mock.calls[0][0])).toEqual([
+      { game_id: 1, game_title: 'G1', rating: 5 },
+      { game_id: 2, game_title: 'G2', rating: 5 }
+    ]);
+  });
+
+  test('unwraps list payloads for client-built CSV', async () => {
+    render(<ExportArchive />);
+    fireEvent.click(screen.getByLabelText('Download progress as CSV'));
+
+    await waitFor(() => expect(downloadFile).toHaveBeenCalled());
+    expect(downloadFile.mock.calls[0][0]).toBe('team_id,score\n1,10');
+  });
+
+  test('bundles the selection into one zip with the full backup', async () => {
+    render(<ExportArchive />);
+    fireEvent.click(screen.getByText(/Download ZIP Archive/));
+
+    await waitFor(() => expect(downloadFile).toHaveBeenCalled());
+    const names = createZip.mock.calls[0][0].map(file => file.name);
+    expect(names).toEqual([
+      'full-backup.json',
+      'teams.json', 'teams.csv',
+      'players.json', 'players.csv',
+      'progress.json', 'progress.csv',
+      'ratings.json', 'ratings.csv',
+      'escalations.json', 'escalations.csv'
+    ]);
+    // Records are loaded once per entity, whatever the number of formats
+    expect(games.getAll).toHaveBeenCalledTimes(1);
+    expect(downloadFile.mock.calls[0][1]).toMatch(/archive-.*\.zip$/);
+  });
+
+  test('shows an error when an export fails', async () => {
+    admin.getTeamProgress.mockRejectedValue(new Error('Forbidden'));
+    render(<ExportArchive />);
+    fireEvent.click(screen.getByLabelText('Download progress as JSON'));
+
+    expect(await screen.findByText('Export failed: Forbidden')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Module: permissions.test.js
+ * Purpose: Tests for the role/permission registry
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import {
+  PERMISSIONS,
+  ROLE_IDS,
+  getPermissions,
+  hasPermission,
+  roleHasPermission,
+  getRoleLabel,
+  getRoleDescription
+} from '../../src/config/permissions';
+
+const asRole = (role) => ({ id: 1, username: 'u', role });
+
+describe('permissions', () => {
+  test('registers every built-in role', () => {
+    expect(ROLE_IDS).toEqual([
+      'admin', 'content_admin', 'system_admin', 'game_admin', 'team_captain', 'player'
+    ]);
+  });
+
+  describe('hasPermission', () => {
+    test('maps roles to capabilities', () => {
+      expect(hasPermission(asRole('game_admin'), PERMISSIONS.CHAT_BROADCAST_ANY_TEAM)).toBe(true);
+      expect(hasPermission(asRole('player'), PERMISSIONS.CHAT_BROADCAST_ANY_TEAM)).toBe(false);
+      expect(hasPermission(asRole('admin'), PERMISSIONS.CONTENT_PROMPTS_EDIT)).toBe(true);
+      expect(hasPermission(asRole('content_admin'), PERMISSIONS.CONTENT_PROMPTS_EDIT)).toBe(false);
+      expect(hasPermission(asRole('admin'), PERMISSIONS.GAME_PLAY)).toBe(false);
+    });
+
+    test('accepts a list where any permission suffices', () => {
+      const either = [PERMISSIONS.GAME_PLAY, PERMISSIONS.GAME_PREVIEW];
+      expect(hasPermission(asRole('player'), either)).toBe(true);
+      expect(hasPermission(asRole('admin'), either)).toBe(true);
+      expect(hasPermission(asRole('system_admin'), either)).toBe(false);
+    });
+
+    test('denies missing users and unknown roles', () => {
+      expect(hasPermission(null, PERMISSIONS.GAME_PLAY)).toBe(false);
+      expect(hasPermission(asRole('unknown'), PERMISSIONS.GAME_PLAY)).toBe(false);
+    });
+  });
+
+  describe('backend permission sets', () => {
+    test('permissions from /auth/me override the role mapping', () => {
+      const user = { ...asRole('moderator'), permissions: [PERMISSIONS.CHAT_BROADCAST_ANY_TEAM] };
+      expect(hasPermission(user, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM)).toBe(true);
+      expect(getPermissions(user)).toEqual(new Set([PERMISSIONS.CHAT_BROADCAST_ANY_TEAM]));
+    });
+
+    test('an empty backend set grants nothing, even for built-in roles', () => {
+      expect(hasPermission({ ...asRole('admin'), permissions: [] }, PERMISSIONS.SYSTEM_CONFIG_EDIT)).toBe(false);
+    });
+  });
+
+  test('roleHasPermission checks bare roles of other users', () => {
+    expect(roleHasPermission('admin', PERMISSIONS.CHAT_BROADCAST_ANY_TEAM)).toBe(true);
+    expect(roleHasPermission('team_captain', PERMISSIONS.CHAT_BROADCAST_ANY_TEAM)).toBe(false);
+    expect(roleHasPermission(undefined, PERMISSIONS.CHAT_BROADCAST_ANY_TEAM)).toBe(false);
+  });
+
+  test('labels and descriptions fall back for unknown roles', () => {
+    expect(getRoleLabel('game_admin')).toBe('Game Admin');
+    expect(getRoleLabel('shift_lead')).toBe('shift lead');
+    expect(getRoleDescription('player')).toBe('You can play games and change your password.');
+    expect(getRoleDescription('shift_lead')).toBe('You have basic user permissions.');
+  });
+});
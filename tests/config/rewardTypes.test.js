@@ -0,0 +1,104 @@
+/**
+ * Module: rewardTypes.test.js
+ * Purpose: Tests for the reward type registry
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import {
+  REWARD_TYPES,
+  REWARD_DISPLAY,
+  registerRewardType,
+  getRewardType,
+  getRewardTypes,
+  getRewardIcon,
+  isInternalRewardType,
+  getTriggerFieldValues,
+  validateTriggerFields,
+  buildTriggerPayload,
+  validateWebhookUrl
+} from '../../src/config/rewardTypes';
+
+describe('Reward Type Registry', () => {
+  test('registers all backend reward types', () => {
+    expect(getRewardTypes().map(type => type.id)).toEqual([
+      'ssh_key', 'api_token', 'password', 'certificate', 'url', 'secret_text', 'container_access'
+    ]);
+    expect(getRewardIcon('container_access')).toBe('🐳');
+    expect(getRewardIcon('url')).toBe('🔗');
+  });
+
+  test('unknown types fall back to a generic definition', () => {
+    const type = getRewardType('vpn_profile');
+    expect(type.icon).toBe('🎁');
+    expect(type.label).toBe('vpn profile');
+    expect(type.display).toBe(REWARD_DISPLAY.CODE);
+  });
+
+  test('registerRewardType adds a type with defaults', () => {
+    registerRewardType({ id: 'wifi', label: 'Wi-Fi', icon: '📶', provisioning: 'internal' });
+    try {
+      expect(getRewardIcon('wifi')).toBe('📶');
+      expect(isInternalRewardType('wifi')).toBe(true);
+      expect(getRewardType('wifi').fields).toEqual([]);
+      expect(getRewardType('wifi').display).toBe(REWARD_DISPLAY.CODE);
+    } finally {
+      delete REWARD_TYPES.wifi;
+    }
+    expect(() => registerRewardType({ label: 'No ID' })).toThrow('Reward type needs an id');
+  });
+
+  test('validateWebhookUrl requires HTTPS', () => {
+    expect(validateWebhookUrl('https://server.example.com/provision')).toBeNull();
+    expect(validateWebhookUrl('http://server.example.com/provision')).toBe('Webhook URL must use HTTPS');
+    expect(validateWebhookUrl('server')).toBe('Webhook URL is not a valid URL');
+  });
+
+  describe('provision trigger fields', () => {
+    test('internal types need no fields and send no webhook', () => {
+      expect(isInternalRewardType('password')).toBe(true);
+      expect(validateTriggerFields('secret_text', {})).toEqual([]);
+      expect(buildTriggerPayload('password', { api_url: 'https://x.example.com' })).toEqual({
+        api_url: null,
+        api_bearer_token: null
+      });
+    });
+
+    test('webhook types require an HTTPS URL', () => {
+      expect(validateTriggerFields('ssh_key', { api_url: '' })).toEqual(['Webhook API URL is required']);
+      expect(validateTriggerFields('ssh_key', { api_url: 'http://x.example.com' })).toEqual(['Webhook URL must use HTTPS']);
+      expect(buildTriggerPayload('ssh_key', { api_url: 'https://x.example.com', api_bearer_token: '' })).toEqual({
+        api_url: 'https://x.example.com',
+        api_bearer_token: null
+      });
+    });
+
+    test('existing webhook triggers never pre-fill the bearer token', () => {
+      expect(getTriggerFieldValues('api_token', { api_url: 'https://x.example.com', api_bearer_token: 'secret' })).toEqual({
+        api_url: 'https://x.example.com',
+        api_bearer_token: ''
+      });
+    });
+
+    test('container settings round-trip through the trigger URL', () => {
+      expect(getTriggerFieldValues('container_access')).toEqual({ game_type: '', memory: '256m', cpu: '0.5' });
+
+      const values = { game_type: 'writable-cron-job', memory: '512m', cpu: '1' };
+      const payload = buildTriggerPayload('container_access', values);
+      expect(payload).toEqual({
+        api_url: 'local://container?game_type=writable-cron-job&memory=512m&cpu=1',
+        api_bearer_token: 'internal'
+      });
+      expect(getTriggerFieldValues('container_access', payload)).toEqual(values);
+    });
+
+    test('container settings are validated', () => {
+      expect(validateTriggerFields('container_access', { game_type: 'Bad Type', memory: 'lots', cpu: '0' })).toEqual([
+        'Game type may only contain lowercase letters, digits, "-" and "_"',
+        'Memory limit must look like 256m or 1g',
+        'CPU limit must be a positive number'
+      ]);
+    });
+  });
+});
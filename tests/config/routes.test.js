@@ -0,0 +1,145 @@
+/**
+ * Module: routes.test.js
+ * Purpose: Tests for the route table and role guards
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import {
+  ROUTES,
+  canAccessRoute,
+  getAccessibleTabs,
+  getDefaultTab,
+  getHomeRoute,
+  buildPath,
+  parsePath,
+  getRedirectPath
+} from '../../src/config/routes';
+
+const asRole = (role) => ({ id: 1, username: 'u', role });
+
+describe('routes', () => {
+  describe('ROUTES', () => {
+    test('declares every navigation section', () => {
+      expect(ROUTES.map(r => r.id)).toEqual([
+        'system_admin',
+        'dashboard',
+        'notifications',
+        'team_management',
+        'game',
+        'leaderboard',
+        'profile'
+      ]);
+    });
+  });
+
+  describe('canAccessRoute', () => {
+    test('applies section roles', () => {
+      expect(canAccessRoute(asRole('player'), 'game')).toBe(true);
+      expect(canAccessRoute(asRole('player'), 'dashboard')).toBe(false);
+      expect(canAccessRoute(asRole('game_admin'), 'notifications')).toBe(true);
+      expect(canAccessRoute(asRole('content_admin'), 'game')).toBe(false);
+    });
+
+    test('applies tab roles', () => {
+      expect(canAccessRoute(asRole('content_admin'), 'system_admin', 'events')).toBe(true);
+      expect(canAccessRoute(asRole('content_admin'), 'system_admin', 'system-config')).toBe(false);
+      expect(canAccessRoute(asRole('system_admin'), 'system_admin', 'ai-settings')).toBe(true);
+      expect(canAccessRoute(asRole('system_admin'), 'system_admin', 'config-history')).toBe(true);
+      expect(canAccessRoute(asRole('content_admin'), 'system_admin', 'config-history')).toBe(false);
+      expect(canAccessRoute(asRole('team_captain'), 'team_management', 'team-creation')).toBe(false);
+    });
+
+    test('rejects unknown tabs and missing users', () => {
+      expect(canAccessRoute(asRole('admin'), 'dashboard', 'nope')).toBe(false);
+      expect(canAccessRoute(null, 'profile')).toBe(false);
+    });
+
+    test('profile is open to any authenticated role', () => {
+      expect(canAccessRoute(asRole('player'), 'profile')).toBe(true);
+      expect(canAccessRoute(asRole('some_future_role'), 'profile')).toBe(true);
+    });
+  });
+
+  describe('tabs', () => {
+    test('returns accessible tabs in table order', () => {
+      expect(getAccessibleTabs(asRole('admin'), 'team_management')).toEqual([
+        'player-management', 'team-creation', 'teams', 'activation-codes'
+      ]);
+      expect(getAccessibleTabs(asRole('team_captain'), 'team_management')).toEqual([
+        'teams', 'activation-codes'
+      ]);
+    });
+
+    test('provisioning tab needs the provisioning permission', () => {
+      expect(getAccessibleTabs(asRole('game_admin'), 'dashboard')).toContain('provisioning');
+      expect(canAccessRoute({ role: 'game_admin', permissions: ['game.dashboard.view'] }, 'dashboard', 'provisioning')).toBe(false);
+    });
+
+    test('leaderboard is open to players, projector mode only to game admins', () => {
+      expect(getAccessibleTabs(asRole('player'), 'leaderboard')).toEqual(['standings']);
+      expect(getAccessibleTabs(asRole('game_admin'), 'leaderboard')).toEqual(['standings', 'projector']);
+      expect(canAccessRoute(asRole('content_admin'), 'leaderboard')).toBe(false);
+    });
+
+    test('default tab is the first accessible one', () => {
+      expect(getDefaultTab(asRole('admin'), 'system_admin')).toBe('events');
+      expect(getDefaultTab(asRole('system_admin'), 'system_admin')).toBe('system-config');
+      expect(getDefaultTab(asRole('player'), 'game')).toBeNull();
+    });
+  });
+
+  describe('getHomeRoute', () => {
+    test('maps roles to their landing section', () => {
+      expect(getHomeRoute(asRole('admin'))).toBe('system_admin');
+      expect(getHomeRoute(asRole('content_admin'))).toBe('system_admin');
+      expect(getHomeRoute(asRole('game_admin'))).toBe('dashboard');
+      expect(getHomeRoute(asRole('player'))).toBe('game');
+      expect(getHomeRoute(asRole('unknown'))).toBe('profile');
+    });
+  });
+
+  describe('buildPath / parsePath', () => {
+    test('builds section, tab and parameter paths', () => {
+      expect(buildPath('profile')).toBe('/profile');
+      expect(buildPath('notifications', 'resolved')).toBe('/notifications/resolved');
+      expect(buildPath('game', 3)).toBe('/game/3');
+      expect(buildPath('nope')).toBe('/');
+    });
+
+    test('parses paths back into route id and sub', () => {
+      expect(parsePath('/dashboard/security')).toEqual({ routeId: 'dashboard', sub: 'security' });
+      expect(parsePath('/game/3')).toEqual({ routeId: 'game', sub: '3' });
+      expect(parsePath('/')).toEqual({ routeId: null, sub: null });
+      expect(parsePath('/unknown/x')).toEqual({ routeId: null, sub: 'x' });
+    });
+
+    test('treats malformed escapes as a missing sub', () => {
+      expect(parsePath('/game/%E0%A4')).toEqual({ routeId: 'game', sub: null });
+      expect(parsePath('/dashboard/a%20b')).toEqual({ routeId: 'dashboard', sub: 'a b' });
+    });
+  });
+
+  describe('getRedirectPath', () => {
+    test('sends "/" to the home section with its default tab', () => {
+      expect(getRedirectPath(asRole('game_admin'), null, null)).toBe('/dashboard/overview');
+      expect(getRedirectPath(asRole('player'), null, null)).toBe('/game');
+    });
+
+    test('redirects unauthorized sections home', () => {
+      expect(getRedirectPath(asRole('player'), 'dashboard', 'security')).toBe('/game');
+    });
+
+    test('adds or replaces the tab of tabbed sections', () => {
+      expect(getRedirectPath(asRole('admin'), 'notifications', null)).toBe('/notifications/open');
+      expect(getRedirectPath(asRole('content_admin'), 'system_admin', 'ai-settings')).toBe('/system-admin/events');
+    });
+
+    test('accepts valid locations', () => {
+      expect(getRedirectPath(asRole('admin'), 'dashboard', 'security')).toBeNull();
+      expect(getRedirectPath(asRole('player'), 'game', '3')).toBeNull();
+      expect(getRedirectPath(asRole('player'), 'profile', null)).toBeNull();
+    });
+  });
+});
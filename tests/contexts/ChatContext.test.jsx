@@ -11,6 +11,9 @@ import { render, screen, waitFor, act } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import { ChatProvider, useChat } from '../../src/contexts/ChatContext';
 import { createMockUser, createMockAdmin } from '../test-utils';
+import useWebSocket from '../../src/hooks/useWebSocket';
+import { handleWebSocketMessage } from '../../src/services/websocket/messageHandler';
+import { markAsRead, getUnreadCounts } from '../../src/services/chat';
 
 // Mock the WebSocket hook
 jest.mock('../../src/hooks/useWebSocket', () => ({
@@ -33,6 +36,12 @@ jest.mock('../../src/services/websocket/messageHandler', () => ({
   handleWebSocketMessage: jest.fn()
 }));
 
+// Mock the chat service (read state is loaded on mount)
+jest.mock('../../src/services/chat', () => ({
+  markAsRead: jest.fn(() => Promise.resolve()),
+  getUnreadCounts: jest.fn(() => Promise.resolve({ broadcast: 0, private: {}, admin_notifications: 0 }))
+}));
+
 // Mock the API config
 jest.mock('../../src/config/apiConfig', () => ({
   buildApiUrl: jest.fn((path) => `http://localhost:8000/api/${path}`)
@@ -649,4 +658,255 @@ describe('ChatContext', () => {
       expect(screen.getByTestId('has-send-team-broadcast')).toHaveTextContent('yes');
     });
   });
+
+  describe('streamed AI responses', () => {
+    let wsListener;
+    let wsSend;
+    let defaultSocket;
+
+    const mockSocket = (connectionStatus) => {
+      useWebSocket.mockReturnValue({
+        connectionStatus,
+        lastError: null,
+        sendMessage: wsSend,
+        onMessage: (callback) => {
+          wsListener = callback;
+          return () => {};
+        },
+        reconnect: jest.fn(),
+        disconnect: jest.fn()
+      });
+    };
+
+    const StreamTestComponent = () => {
+      const { messages, activeAIStream, cancelAIResponse } = useChat();
+      const last = messages[messages.length - 1];
+      return (
+        <div>
+          <div data-testid="content">{last?.content || ''}</div>
+          <div data-testid="meta">{JSON.stringify(last?.metadata || {})}</div>
+          <div data-testid="active">{activeAIStream || 'none'}</div>
+          <button onClick={cancelAIResponse}>Stop</button>
+        </div>
+      );
+    };
+
+    const receive = (message) => act(() => { wsListener(message); });
+
+    beforeEach(() => {
+      defaultSocket = useWebSocket.getMockImplementation();
+      wsSend = jest.fn(() => true);
+      mockSocket('connected');
+      handleWebSocketMessage.mockImplementation(
+        jest.requireActual('../../src/services/websocket/messageHandler').handleWebSocketMessage
+      );
+    });
+
+    afterEach(() => {
+      handleWebSocketMessage.mockReset();
+      useWebSocket.mockReset();
+      useWebSocket.mockImplementation(defaultSocket);
+    });
+
+    test('builds one message from chunks and finishes it', () => {
+      render(<ChatProvider user={mockUser}><StreamTestComponent /></ChatProvider>);
+
+      receive({ type: 'ai_response_chunk', stream_id: 's1', content: 'Look at ' });
+      receive({ type: 'ai_response_chunk', stream_id: 's1', content: 'the **clock**' });
+      expect(screen.getByTestId('content')).toHaveTextContent('Look at the **clock**');
+      expect(screen.getByTestId('active')).toHaveTextContent('s1');
+
+      receive({ type: 'ai_response_end', stream_id: 's1', processing_time_ms: 1200 });
+      expect(screen.getByTestId('active')).toHaveTextContent('none');
+      expect(screen.getByTestId('meta')).toHaveTextContent('"streaming":false');
+      expect(screen.getByTestId('content')).toHaveTextContent('Look at the **clock**');
+    });
+
+    test('stop sends a cancel frame, keeps partial text and drops late chunks', () => {
+      render(<ChatProvider user={mockUser}><StreamTestComponent /></ChatProvider>);
+      receive({ type: 'ai_response_chunk', stream_id: 's2', content: 'Partial' });
+
+      act(() => { screen.getByText('Stop').click(); });
+      expect(wsSend).toHaveBeenCalledWith('ai_cancel', { stream_id: 's2' });
+      expect(screen.getByTestId('meta')).toHaveTextContent('"cancelled":true');
+
+      receive({ type: 'ai_response_chunk', stream_id: 's2', content: ' more' });
+      receive({ type: 'ai_response_end', stream_id: 's2', content: 'Partial more', cancelled: true });
+      expect(screen.getByTestId('content')).toHaveTextContent(/^Partial$/);
+    });
+
+    test('keeps partial output when the connection drops', () => {
+      const { rerender } = render(<ChatProvider user={mockUser}><StreamTestComponent /></ChatProvider>);
+      receive({ type: 'ai_response_chunk', stream_id: 's3', content: 'Half an answer' });
+
+      mockSocket('disconnected');
+      rerender(<ChatProvider user={mockUser}><StreamTestComponent /></ChatProvider>);
+
+      expect(screen.getByTestId('content')).toHaveTextContent('Half an answer');
+      expect(screen.getByTestId('meta')).toHaveTextContent('"interrupted":true');
+      expect(screen.getByTestId('active')).toHaveTextContent('none');
+    });
+  });
+
+  describe('read state', () => {
+    let wsListener;
+    let defaultSocket;
+
+    const ReadTestComponent = () => {
+      const { unreadCounts, teamBroadcastMessages, markMessagesRead } = useChat();
+      return (
+        <div>
+          <div data-testid="broadcast-unread">{unreadCounts.broadcast}</div>
+          <div data-testid="private-unread">{JSON.stringify(unreadCounts.private)}</div>
+          <div data-testid="read-by">{JSON.stringify(teamBroadcastMessages.map(msg => msg.read_by || []))}</div>
+          <button onClick={() => markMessagesRead([10, 'msg-123', 'ai-stream-s1', 11])}>Read</button>
+        </div>
+      );
+    };
+
+    const receive = (message) => act(() => { wsListener(message); });
+
+    beforeEach(() => {
+      defaultSocket = useWebSocket.getMockImplementation();
+      useWebSocket.mockReturnValue({
+        connectionStatus: 'connected',
+        lastError: null,
+        sendMessage: jest.fn(() => true),
+        onMessage: (callback) => {
+          wsListener = callback;
+          return () => {};
+        },
+        reconnect: jest.fn(),
+        disconnect: jest.fn()
+      });
+      handleWebSocketMessage.mockImplementation(
+        jest.requireActual('../../src/services/websocket/messageHandler').handleWebSocketMessage
+      );
+    });
+
+    afterEach(() => {
+      handleWebSocketMessage.mockReset();
+      useWebSocket.mockReset();
+      useWebSocket.mockImplementation(defaultSocket);
+    });
+
+    test('restores unread counts from the server on load', async () => {
+      getUnreadCounts.mockResolvedValueOnce({ broadcast: 3, private: { 7: 2 }, admin_notifications: 1 });
+
+      render(<ChatProvider user={mockUser}><ReadTestComponent /></ChatProvider>);
+
+      await waitFor(() => expect(screen.getByTestId('broadcast-unread')).toHaveTextContent('3'));
+      expect(screen.getByTestId('private-unread')).toHaveTextContent('{"7":2}');
+    });
+
+    test('reports only server messages, each once', async () => {
+      render(<ChatProvider user={mockUser}><ReadTestComponent /></ChatProvider>);
+
+      await act(async () => { screen.getByText('Read').click(); });
+      await act(async () => { screen.getByText('Read').click(); });
+
+      expect(markAsRead).toHaveBeenCalledTimes(1);
+      expect(markAsRead).toHaveBeenCalledWith([10, 11]);
+    });
+
+    test('own receipt from another tab reloads unread counts', async () => {
+      render(<ChatProvider user={mockUser}><ReadTestComponent /></ChatProvider>);
+      await waitFor(() => expect(getUnreadCounts).toHaveBeenCalledTimes(1));
+
+      getUnreadCounts.mockResolvedValueOnce({ broadcast: 0, private: {}, admin_notifications: 0 });
+      receive({ type: 'messages_read', reader_id: mockUser.id, reader_name: 'Test User', message_ids: [10] });
+
+      await waitFor(() => expect(getUnreadCounts).toHaveBeenCalledTimes(2));
+    });
+
+    test('receipt from a teammate adds a seen-by entry', () => {
+      render(<ChatProvider user={mockUser}><ReadTestComponent /></ChatProvider>);
+      receive({
+        type: 'team_broadcast_message',
+        message: { id: 10, sender_id: mockUser.id, sender_role: 'player', content: 'Found it!' }
+      });
+
+      receive({ type: 'messages_read', reader_id: 2, reader_name: 'Anna', message_ids: [10], read_at: '2026-04-20T10:00:00Z' });
+      receive({ type: 'messages_read', reader_id: 2, reader_name: 'Anna', message_ids: [10], read_at: '2026-04-20T10:01:00Z' });
+
+      expect(screen.getByTestId('read-by')).toHaveTextContent(
+        '[[{"user_id":2,"display_name":"Anna","read_at":"2026-04-20T10:00:00Z"}]]'
+      );
+    });
+  });
+
+  describe('history paging', () => {
+    const page = (ids, hasMore) => ({
+      ok: true,
+      json: async () => ({
+        count: ids.length,
+        has_more: hasMore,
+        messages: ids.map(id => ({ id, sender_type: 'ai', content: `Message ${id}`, created_at: '2026-04-20T10:00:00Z' }))
+      })
+    });
+
+    const PagingTestComponent = () => {
+      const { messages, historyPaging, loadOlderMessages } = useChat();
+      return (
+        <div>
+          <div data-testid="ids">{messages.map(msg => msg.id).join(',')}</div>
+          <div data-testid="has-more">{historyPaging.hasMore ? 'yes' : 'no'}</div>
+          <button onClick={loadOlderMessages}>Older</button>
+        </div>
+      );
+    };
+
+    test('prepends the page before the oldest message', async () => {
+      mockFetch.mockImplementation(async (url) => {
+        if (String(url).includes('before_id=10')) return page([8, 9], false);
+        if (String(url).includes('chat/messages')) return page([10, 11], true);
+        return { ok: false, status: 404, json: async () => ({}) };
+      });
+
+      render(<ChatProvider user={mockUser}><PagingTestComponent /></ChatProvider>);
+      await waitFor(() => expect(screen.getByTestId('ids')).toHaveTextContent('10,11'));
+      expect(screen.getByTestId('has-more')).toHaveTextContent('yes');
+
+      await act(async () => { screen.getByText('Older').click(); });
+
+      await waitFor(() => expect(screen.getByTestId('ids')).toHaveTextContent('8,9,10,11'));
+      expect(screen.getByTestId('has-more')).toHaveTextContent('no');
+      expect(mockFetch).toHaveBeenCalledWith(expect.stringContaining('session_type=ai&limit=50&before_id=10'), expect.anything());
+    });
+
+    test('loads the pages after a search result until the latest message', async () => {
+      mockFetch.mockImplementation(async (url) => {
+        if (String(url).includes('around_id=5')) return page([4, 5, 6], false);
+        if (String(url).includes('after_id=6')) return page([7, 8], false);
+        if (String(url).includes('chat/messages')) return page([10, 11], false);
+        return { ok: false, status: 404, json: async () => ({}) };
+      });
+
+      const JumpTestComponent = () => {
+        const { messages, historyPaging, jumpToMessage, loadNewerMessages } = useChat();
+        return (
+          <div>
+            <div data-testid="ids">{messages.map(msg => msg.id).join(',')}</div>
+            <div data-testid="has-newer">{historyPaging.hasNewer ? 'yes' : 'no'}</div>
+            <button onClick={() => jumpToMessage({ source: 'ai', id: 5 })}>Jump</button>
+            <button onClick={loadNewerMessages}>Newer</button>
+          </div>
+        );
+      };
+
+      render(<ChatProvider user={mockUser}><JumpTestComponent /></ChatProvider>);
+      await waitFor(() => expect(screen.getByTestId('ids')).toHaveTextContent('10,11'));
+      expect(screen.getByTestId('has-newer')).toHaveTextContent('no');
+
+      await act(async () => { screen.getByText('Jump').click(); });
+      await waitFor(() => expect(screen.getByTestId('ids')).toHaveTextContent('4,5,6'));
+      expect(screen.getByTestId('has-newer')).toHaveTextContent('yes');
+
+      await act(async () => { screen.getByText('Newer').click(); });
+
+      await waitFor(() => expect(screen.getByTestId('ids')).toHaveTextContent('4,5,6,7,8'));
+      expect(screen.getByTestId('has-newer')).toHaveTextContent('no');
+      expect(mockFetch).toHaveBeenCalledWith(expect.stringContaining('session_type=ai&limit=50&after_id=6'), expect.anything());
+    });
+  });
 });
@@ -0,0 +1,78 @@
+/**
+ * Module: useRateLimitConsole.test.js
+ * Purpose: Tests for useRateLimitConsole hook
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useRateLimitConsole } from '../../src/hooks/useRateLimitConsole';
+import * as adminService from '../../src/services/admin';
+
+describe('useRateLimitConsole', () => {
+  const counters = {
+    ips: [{ ip: '10.0.0.5', attempt_count: 3, limit: 5, window_ttl_seconds: 40, status: 'warning', ban_ttl_seconds: null }],
+    users: [{ user_id: 7, username: 'bob', request_count: 80, limit: 100, window_ttl_seconds: 20, status: 'active' }]
+  };
+  const whitelist = { entries: [{ id: 1, range: '10.1.0.0/16', note: 'Office NAT' }] };
+  const history = { blocks: [{ id: 3, target: 'ip', identifier: '10.0.0.9', source: 'auto' }] };
+
+  beforeEach(() => {
+    jest.spyOn(adminService, 'getRateLimitCounters').mockResolvedValue(counters);
+    jest.spyOn(adminService, 'getRateLimitWhitelist').mockResolvedValue(whitelist);
+    jest.spyOn(adminService, 'getRateLimitHistory').mockResolvedValue(history);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('loads counters, whitelist and history', async () => {
+    const { result } = renderHook(() => useRateLimitConsole());
+
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(result.current.counters).toEqual(counters);
+    expect(result.current.whitelist).toEqual(whitelist.entries);
+    expect(result.current.history).toEqual(history.blocks);
+    expect(result.current.error).toBeNull();
+  });
+
+  test('reports load errors', async () => {
+    adminService.getRateLimitWhitelist.mockRejectedValue(new Error('Forbidden'));
+    const { result } = renderHook(() => useRateLimitConsole());
+
+    await waitFor(() => expect(result.current.error).toBe('Forbidden'));
+  });
+
+  test('bans and lifts bans, then refreshes counters and history', async () => {
+    jest.spyOn(adminService, 'banRateLimitTarget').mockResolvedValue({});
+    jest.spyOn(adminService, 'liftRateLimitBan').mockResolvedValue({});
+    const { result } = renderHook(() => useRateLimitConsole());
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    const ban = { target: 'ip', identifier: '10.0.0.5', minutes: 60, reason: 'Spam' };
+    await act(() => result.current.ban(ban));
+    await act(() => result.current.liftBan('ip', '10.0.0.5'));
+
+    expect(adminService.banRateLimitTarget).toHaveBeenCalledWith(ban);
+    expect(adminService.liftRateLimitBan).toHaveBeenCalledWith('ip', '10.0.0.5');
+    expect(adminService.getRateLimitCounters).toHaveBeenCalledTimes(3);
+    expect(adminService.getRateLimitHistory).toHaveBeenCalledTimes(3);
+  });
+
+  test('adds and removes whitelist entries', async () => {
+    const created = { id: 2, range: '192.168.0.0/24', note: 'Lab' };
+    jest.spyOn(adminService, 'addRateLimitWhitelistEntry').mockResolvedValue(created);
+    jest.spyOn(adminService, 'removeRateLimitWhitelistEntry').mockResolvedValue({});
+    const { result } = renderHook(() => useRateLimitConsole());
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    await act(() => result.current.addWhitelist({ range: '192.168.0.0/24', note: 'Lab' }));
+    expect(result.current.whitelist).toEqual([whitelist.entries[0], created]);
+
+    await act(() => result.current.removeWhitelist(1));
+    expect(adminService.removeRateLimitWhitelistEntry).toHaveBeenCalledWith(1);
+    expect(result.current.whitelist).toEqual([created]);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Module: useReadReceipts.test.js
+ * Purpose: Tests for useReadReceipts hook
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import { renderHook, act } from '@testing-library/react';
+import { useReadReceipts } from '../../src/hooks/useReadReceipts';
+
+// Mock IntersectionObserver
+class MockIntersectionObserver {
+  constructor(callback) {
+    this.callback = callback;
+    this.observed = new Set();
+    MockIntersectionObserver.instance = this;
+  }
+
+  observe(node) {
+    this.observed.add(node);
+  }
+
+  unobserve(node) {
+    this.observed.delete(node);
+  }
+
+  disconnect() {
+    this.observed.clear();
+  }
+
+  trigger(nodes, isIntersecting = true) {
+    this.callback(nodes.map(target => ({ target, isIntersecting })));
+  }
+}
+
+const messageNode = (id) => {
+  const node = document.createElement('div');
+  node.dataset.messageId = String(id);
+  return node;
+};
+
+describe('useReadReceipts', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    global.IntersectionObserver = MockIntersectionObserver;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete global.IntersectionObserver;
+  });
+
+  test('reports visible messages in one batch after the delay', () => {
+    const onRead = jest.fn();
+    const { result } = renderHook(() => useReadReceipts({ onRead }));
+    const first = messageNode(1);
+    const second = messageNode(2);
+
+    act(() => {
+      result.current(first);
+      result.current(second);
+    });
+    act(() => { MockIntersectionObserver.instance.trigger([first, second]); });
+
+    expect(onRead).not.toHaveBeenCalled();
+    act(() => { jest.advanceTimersByTime(400); });
+    expect(onRead).toHaveBeenCalledWith(['1', '2']);
+  });
+
+  test('ignores hidden messages and reports each message once', () => {
+    const onRead = jest.fn();
+    const { result } = renderHook(() => useReadReceipts({ onRead }));
+    const node = messageNode(5);
+
+    act(() => { result.current(node); });
+    act(() => { MockIntersectionObserver.instance.trigger([node], false); });
+    act(() => { jest.advanceTimersByTime(400); });
+    expect(onRead).not.toHaveBeenCalled();
+
+    act(() => { MockIntersectionObserver.instance.trigger([node]); });
+    act(() => { MockIntersectionObserver.instance.trigger([node]); });
+    act(() => { jest.advanceTimersByTime(400); });
+    expect(onRead).toHaveBeenCalledTimes(1);
+    expect(onRead).toHaveBeenCalledWith(['5']);
+    expect(MockIntersectionObserver.instance.observed.has(node)).toBe(false);
+  });
+
+  test('flushes pending messages on unmount', () => {
+    const onRead = jest.fn();
+    const { result, unmount } = renderHook(() => useReadReceipts({ onRead }));
+    const node = messageNode(9);
+
+    act(() => { result.current(node); });
+    act(() => { MockIntersectionObserver.instance.trigger([node]); });
+    unmount();
+
+    expect(onRead).toHaveBeenCalledWith(['9']);
+  });
+
+  test('does not observe when disabled', () => {
+    MockIntersectionObserver.instance = null;
+    renderHook(() => useReadReceipts({ onRead: jest.fn(), enabled: false }));
+
+    expect(MockIntersectionObserver.instance).toBeNull();
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Module: useSecurityAlerts.test.js
+ * Purpose: Tests for useSecurityAlerts hook
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useSecurityAlerts } from '../../src/hooks/useSecurityAlerts';
+import * as systemService from '../../src/services/system';
+import * as adminService from '../../src/services/admin';
+import * as api from '../../src/services/api';
+import * as alertNotifier from '../../src/utils/alertNotifier';
+
+describe('useSecurityAlerts', () => {
+  const storedRules = [
+    { id: 'burst', type: 'category_burst', enabled: true, category: 'any', count: 1, windowMinutes: 5 }
+  ];
+  const admin = { id: 1, role: 'admin' };
+
+  beforeEach(() => {
+    jest.spyOn(adminService, 'getSecurityAlertRules').mockResolvedValue({ rules: JSON.stringify(storedRules) });
+    jest.spyOn(adminService, 'createSecurityAlertNotification').mockResolvedValue({ id: 99 });
+    jest.spyOn(api, 'request').mockResolvedValue({ languages: [{ language: 'en' }] });
+    jest.spyOn(alertNotifier, 'notifyAlert').mockReturnValue({ desktop: false, sound: false });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('loads the shared rules through the admin security endpoint', async () => {
+    const { result } = renderHook(() => useSecurityAlerts({ latestSecurityEvent: null, securitySummary: null, user: admin }));
+
+    await waitFor(() => expect(result.current.rulesLoaded).toBe(true));
+    expect(adminService.getSecurityAlertRules).toHaveBeenCalled();
+    expect(result.current.rules).toEqual(storedRules);
+    expect(result.current.rulesError).toBeNull();
+    expect(result.current.canEditRules).toBe(true);
+  });
+
+  test('loads the shared rules for game admins too', async () => {
+    const { result } = renderHook(() => useSecurityAlerts({
+      latestSecurityEvent: null,
+      securitySummary: null,
+      user: { id: 2, role: 'game_admin' }
+    }));
+
+    await waitFor(() => expect(result.current.rules).toEqual(storedRules));
+    expect(result.current.canEditRules).toBe(false);
+  });
+
+  test('raises alerts for matching events', async () => {
+    const { result, rerender } = renderHook(
+      ({ event }) => useSecurityAlerts({ latestSecurityEvent: event, securitySummary: null, user: admin }),
+      { initialProps: { event: null } }
+    );
+    await waitFor(() => expect(result.current.rules).toEqual(storedRules));
+
+    rerender({ event: { id: 7, user_id: 5, username: 'bob', attack_category: 'roleplay_bypass', original_language: 'en' } });
+
+    expect(result.current.alerts).toHaveLength(1);
+    expect(result.current.unacknowledgedCount).toBe(1);
+    expect(alertNotifier.notifyAlert).toHaveBeenCalledWith('security_alerts', expect.objectContaining({ tag: 'burst' }));
+    expect(adminService.createSecurityAlertNotification).toHaveBeenCalledWith(expect.objectContaining({
+      rule_id: 'burst',
+      user_id: 5,
+      event_id: 7
+    }));
+
+    act(() => result.current.acknowledge(result.current.alerts[0].id));
+    expect(result.current.unacknowledgedCount).toBe(0);
+  });
+
+  test('saves rules for all admins', async () => {
+    jest.spyOn(systemService, 'updateConfig').mockResolvedValue({});
+    const { result } = renderHook(() => useSecurityAlerts({ latestSecurityEvent: null, securitySummary: null, user: admin }));
+    await waitFor(() => expect(result.current.rulesLoaded).toBe(true));
+
+    const nextRules = [{ id: 'lang', type: 'new_language', enabled: true }];
+    await act(() => result.current.saveRules(nextRules));
+
+    expect(systemService.updateConfig).toHaveBeenCalledWith('security.alert_rules', JSON.stringify(nextRules));
+    expect(result.current.rules).toEqual(nextRules);
+  });
+
+  test('keeps the defaults and flags the error when the rules cannot be read', async () => {
+    adminService.getSecurityAlertRules.mockRejectedValue(new Error('Forbidden'));
+    const { result } = renderHook(() => useSecurityAlerts({
+      latestSecurityEvent: null,
+      securitySummary: null,
+      user: { id: 2, role: 'game_admin' }
+    }));
+
+    await waitFor(() => expect(result.current.rulesLoaded).toBe(true));
+    expect(result.current.rules.length).toBeGreaterThan(0);
+    expect(result.current.rulesError).toBe('Forbidden');
+    expect(result.current.canEditRules).toBe(false);
+  });
+});
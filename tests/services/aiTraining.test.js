@@ -218,4 +218,24 @@ describe('AI Training Service', () => {
       expect(request).toHaveBeenCalledWith('DELETE', '/admin/content/games/1');
     });
   });
+
+  describe('game dependencies', () => {
+    test('getGameDependencies', async () => {
+      request.mockResolvedValueOnce({dependencies: []});
+      await aiTrainingService.getGameDependencies(3);
+      expect(request).toHaveBeenCalledWith('GET', '/admin/content/games/3/dependencies');
+    });
+
+    test('addGameDependency', async () => {
+      request.mockResolvedValueOnce({success: true});
+      await aiTrainingService.addGameDependency(3, 1);
+      expect(request).toHaveBeenCalledWith('POST', '/admin/content/games/3/dependencies', {depends_on_game_id: 1});
+    });
+
+    test('removeGameDependency', async () => {
+      request.mockResolvedValueOnce({success: true});
+      await aiTrainingService.removeGameDependency(3, 1);
+      expect(request).toHaveBeenCalledWith('DELETE', '/admin/content/games/3/dependencies/1');
+    });
+  });
 });
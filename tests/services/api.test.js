@@ -6,7 +6,7 @@
  * @since 2025-12-19
  */
 
-import { request, buildHeaders, APIError, log, CONFIG, utils, onTokenRefresh } from '../../src/services/api';
+import { request, buildHeaders, APIError, log, CONFIG, utils, onTokenRefresh, isOfflineError } from '../../src/services/api';
 import { mockFetchResponse } from '../test-utils';
 
 // Mock the API config
@@ -249,6 +249,17 @@ describe('API Service', () => {
       await expect(request('GET', '/test')).rejects.toThrow('Network error');
     });
 
+    test('reports network errors as offline', async () => {
+      mockFetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      const error = await request('POST', '/games/1/submit', {}).catch(err => err);
+
+      expect(error).toBeInstanceOf(APIError);
+      expect(error.status).toBe(0);
+      expect(isOfflineError(error)).toBe(true);
+      expect(isOfflineError(new APIError('Server error', 500))).toBe(false);
+    });
+
     test('handles non-JSON response', async () => {
       mockFetch.mockImplementationOnce(() =>
         Promise.resolve({
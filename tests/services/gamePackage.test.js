@@ -0,0 +1,273 @@
+/**
+ * Module: gamePackage.test.js
+ * Purpose: Tests for the portable game package format
+ * Part of: Easter Quest Frontend Testing
+ *
+ * Tests cover:
+ * - Building a package from an event year
+ * - Validation of format, version and references
+ * - Preview diff against existing content
+ * - JSON/ZIP serialization round trips
+ * - Import with ID/year remapping
+ *
+ * @since 2026-10-19
+ */
+
+import * as aiTraining from '../../src/services/aiTraining';
+import {
+  buildGamePackage,
+  validateGamePackage,
+  diffGamePackage,
+  serializeGamePackage,
+  parseGamePackage,
+  importGamePackage,
+  PACKAGE_FORMAT,
+  PACKAGE_VERSION,
+  DIFF_STATUS
+} from '../../src/services/gamePackage';
+import { encodeUtf8, readZip } from '../../src/utils/exportUtils';
+import * as imageUtils from '../../src/utils/imageUtils';
+
+jest.mock('../../src/services/aiTraining');
+
+const notFound = () => Object.assign(new Error('Not found'), { status: 404 });
+
+const samplePackage = () => ({
+  format: PACKAGE_FORMAT,
+  version: PACKAGE_VERSION,
+  event: { year: 2025, title: 'Faust', story_html: '<p>Story</p>', image_data: '' },
+  categories: [{ ref: 7, name: 'Crypto', icon: '🔐' }],
+  games: [
+    { ref: 1, category_ref: 7, title: 'Intro', solution_password: 'a', depends_on: [], hints: [] },
+    {
+      ref: 2,
+      category_ref: 7,
+      title: 'Cipher',
+      solution_password: 'b',
+      depends_on: [1],
+      hints: [{ hint_type: 'character_knowledge', hint_level: 1, hint_content: 'Look closer' }]
+    }
+  ],
+  system_prompts: [{ category: 'core_rules', name: 'Tone', content: 'Be kind', priority: 100 }]
+});
+
+const emptyContent = () => ({ event: null, categories: [], games: [], prompts: [] });
+
+describe('Game Package Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildGamePackage', () => {
+    test('collects event, categories, games with hints and dependencies, and prompts', async () => {
+      aiTraining.getEventByYear.mockResolvedValue({ id: 3, year: 2025, title: 'Faust', story_html: '<p>S</p>', created_at: 'x' });
+      aiTraining.getGamesByYear.mockResolvedValue([
+        { id: 10, title: 'Intro', category_id: 7, solution_password: 'a', event_id: 3 },
+        { id: 11, title: 'Cipher', category_id: 7, solution_password: 'b', event_id: 3 }
+      ]);
+      aiTraining.getHintsByYear.mockResolvedValue({
+        games: [{ game_id: 11, hints: [{ id: 99, hint_type: 'x', hint_level: 1, hint_content: 'H' }] }]
+      });
+      aiTraining.getCategoriesByYear.mockResolvedValue({ categories: [{ id: 7, name: 'Crypto' }] });
+      aiTraining.getSystemPromptsByYear.mockResolvedValue([{ id: 4, category: 'core_rules', name: 'Tone', content: 'C' }]);
+      aiTraining.getGameDependencies.mockImplementation(async (id) => (
+        { dependencies: id === 11 ? [{ id: 10 }] : [] }
+      ));
+
+      const pkg = await buildGamePackage(2025);
+
+      expect(pkg).toMatchObject({ format: PACKAGE_FORMAT, version: PACKAGE_VERSION });
+      expect(pkg.event).toMatchObject({ year: 2025, title: 'Faust' });
+      expect(pkg.event.created_at).toBeUndefined();
+      expect(pkg.categories).toEqual([{ ref: 7, name: 'Crypto' }]);
+      expect(pkg.games[1]).toMatchObject({ ref: 11, category_ref: 7, depends_on: [10] });
+      expect(pkg.games[1].hints).toEqual([{ hint_type: 'x', hint_level: 1, hint_content: 'H' }]);
+      expect(pkg.games[1].event_id).toBeUndefined();
+      expect(pkg.system_prompts).toEqual([{ category: 'core_rules', name: 'Tone', content: 'C' }]);
+      expect(validateGamePackage(pkg)).toEqual([]);
+    });
+
+    test('leaves system prompts out without includePrompts', async () => {
+      aiTraining.getEventByYear.mockResolvedValue({ id: 3, year: 2025, title: 'Faust', story_html: '<p>S</p>' });
+      aiTraining.getGamesByYear.mockResolvedValue([]);
+      aiTraining.getHintsByYear.mockResolvedValue({ games: [] });
+      aiTraining.getCategoriesByYear.mockResolvedValue({ categories: [] });
+
+      const pkg = await buildGamePackage(2025, { includePrompts: false });
+
+      expect(aiTraining.getSystemPromptsByYear).not.toHaveBeenCalled();
+      expect(pkg.system_prompts).toEqual([]);
+      expect(validateGamePackage(pkg)).toEqual([]);
+    });
+
+    test('fails for a year without event', async () => {
+      aiTraining.getEventByYear.mockRejectedValue(notFound());
+      aiTraining.getCategories.mockResolvedValue({ categories: [] });
+      aiTraining.getSystemPrompts.mockResolvedValue({ prompts: [] });
+
+      await expect(buildGamePackage(1999)).rejects.toThrow('No event found for 1999');
+    });
+  });
+
+  describe('validateGamePackage', () => {
+    test('accepts a valid package', () => {
+      expect(validateGamePackage(samplePackage())).toEqual([]);
+    });
+
+    test('rejects foreign files and newer versions', () => {
+      expect(validateGamePackage({ hello: 1 })).toEqual(['Not a game package file']);
+      expect(validateGamePackage({ ...samplePackage(), version: PACKAGE_VERSION + 1 })[0])
+        .toContain('newer than supported');
+    });
+
+    test('reports broken references', () => {
+      const pkg = samplePackage();
+      pkg.games[0].category_ref = 99;
+      pkg.games[1].depends_on = [2, 42];
+
+      expect(validateGamePackage(pkg)).toEqual([
+        'Game 1 (Intro): unknown category ref 99',
+        'Game 2 (Cipher): depends on itself',
+        'Game 2 (Cipher): unknown dependency ref 42'
+      ]);
+    });
+
+    test('reports missing required fields', () => {
+      const pkg = samplePackage();
+      pkg.event.title = '';
+      pkg.system_prompts[0].content = '';
+
+      expect(validateGamePackage(pkg)).toEqual([
+        'Event title is required',
+        'System prompt 1: category, name and content are required'
+      ]);
+    });
+  });
+
+  describe('diffGamePackage', () => {
+    test('marks everything as new for an empty target', () => {
+      const diff = diffGamePackage(samplePackage(), emptyContent());
+
+      expect(diff.counts).toEqual({ new: 5, changed: 0, unchanged: 0, skipped: 0 });
+      expect(diff.games.every(entry => entry.status === DIFF_STATUS.NEW)).toBe(true);
+    });
+
+    test('matches existing entries by name and lists changed fields', () => {
+      const diff = diffGamePackage(samplePackage(), {
+        event: { id: 1, year: 2025, title: 'Faust', story_html: '<p>Story</p>' },
+        categories: [{ id: 3, name: 'Crypto', icon: '🧩' }],
+        games: [
+          { id: 20, title: 'Intro', solution_password: 'a', depends_on: [], hints: [] },
+          { id: 21, title: 'Cipher', solution_password: 'b', depends_on: [], hints: [] }
+        ],
+        prompts: [{ id: 5, category: 'core_rules', name: 'Tone', content: 'Be kind', priority: 100 }]
+      });
+
+      expect(diff.event.status).toBe(DIFF_STATUS.UNCHANGED);
+      expect(diff.categories[0]).toMatchObject({ status: DIFF_STATUS.CHANGED, changes: ['icon'] });
+      expect(diff.games[0].status).toBe(DIFF_STATUS.UNCHANGED);
+      expect(diff.games[1]).toMatchObject({ status: DIFF_STATUS.CHANGED, newHints: 1, newDependencies: 1 });
+      expect(diff.prompts[0].status).toBe(DIFF_STATUS.UNCHANGED);
+    });
+
+    test('lists system prompts as skipped without includePrompts', () => {
+      const diff = diffGamePackage(samplePackage(), emptyContent(), { includePrompts: false });
+
+      expect(diff.prompts).toEqual([{ status: DIFF_STATUS.SKIPPED, changes: [], label: 'core_rules/Tone' }]);
+      expect(diff.counts).toEqual({ new: 4, changed: 0, unchanged: 0, skipped: 1 });
+    });
+  });
+
+  describe('serialization', () => {
+    test('JSON round trip', () => {
+      const pkg = samplePackage();
+      const file = serializeGamePackage(pkg, 'json');
+
+      expect(file.extension).toBe('json');
+      expect(parseGamePackage(encodeUtf8(file.content))).toEqual(pkg);
+    });
+
+    test('ZIP stores the event image as a separate file', () => {
+      const pkg = samplePackage();
+      pkg.event.image_data = 'iVBORw0KGgo=';
+      const file = serializeGamePackage(pkg, 'zip');
+
+      expect(file.extension).toBe('zip');
+      expect(readZip(file.content).map(entry => entry.name)).toEqual(['package.json', 'images/event.png']);
+      expect(parseGamePackage(file.content)).toEqual(pkg);
+    });
+
+    test('ZIP falls back to .bin for image types without extension', () => {
+      jest.spyOn(imageUtils, 'detectImageType').mockReturnValueOnce('image/webp');
+      const pkg = samplePackage();
+      pkg.event.image_data = 'UklGRg==';
+      const file = serializeGamePackage(pkg, 'zip');
+
+      expect(readZip(file.content).map(entry => entry.name)).toEqual(['package.json', 'images/event.bin']);
+      expect(parseGamePackage(file.content)).toEqual(pkg);
+    });
+
+    test('reports unreadable files', () => {
+      expect(() => parseGamePackage(encodeUtf8('{oops'))).toThrow('Invalid JSON');
+    });
+  });
+
+  describe('importGamePackage', () => {
+    beforeEach(() => {
+      aiTraining.getEventByYear.mockRejectedValue(notFound());
+      aiTraining.getCategories.mockResolvedValue({ categories: [] });
+      aiTraining.getSystemPrompts.mockResolvedValue({ prompts: [] });
+      aiTraining.createEvent.mockResolvedValue({ id: 50 });
+      aiTraining.createCategory.mockResolvedValue({ id: 60 });
+      aiTraining.createGame
+        .mockResolvedValueOnce({ id: 70 })
+        .mockResolvedValueOnce({ id: 71 });
+      aiTraining.addGameDependency.mockResolvedValue({});
+      aiTraining.createHint.mockResolvedValue({});
+      aiTraining.createSystemPrompt.mockResolvedValue({});
+    });
+
+    test('creates everything with remapped IDs and year', async () => {
+      const onProgress = jest.fn();
+      const summary = await importGamePackage(samplePackage(), { year: 2026, onProgress });
+
+      expect(aiTraining.createEvent).toHaveBeenCalledWith(expect.objectContaining({ year: 2026, title: 'Faust' }));
+      expect(aiTraining.createGame).toHaveBeenNthCalledWith(2, expect.objectContaining({
+        title: 'Cipher', event_id: 50, category_id: 60
+      }));
+      expect(aiTraining.addGameDependency).toHaveBeenCalledWith(71, 70);
+      expect(aiTraining.createHint).toHaveBeenCalledWith(expect.objectContaining({ game_id: 71, hint_content: 'Look closer' }));
+      expect(aiTraining.createSystemPrompt).toHaveBeenCalledWith(expect.objectContaining({ name: 'Tone' }));
+      expect(summary.created).toEqual({ event: 1, categories: 1, games: 2, dependencies: 1, hints: 1, prompts: 1 });
+      expect(onProgress).toHaveBeenLastCalledWith('Done', expect.any(Number), expect.any(Number));
+    });
+
+    test('skips system prompts without includePrompts', async () => {
+      const summary = await importGamePackage(samplePackage(), { year: 2026, includePrompts: false });
+
+      expect(aiTraining.getSystemPrompts).not.toHaveBeenCalled();
+      expect(aiTraining.createSystemPrompt).not.toHaveBeenCalled();
+      expect(summary.created.games).toBe(2);
+      expect(summary.skipped).toEqual({ prompts: 1 });
+    });
+
+    test('reuses existing entries and only updates them with overwrite', async () => {
+      aiTraining.getCategories.mockResolvedValue({ categories: [{ id: 8, name: 'Crypto', icon: '🧩' }] });
+      aiTraining.getSystemPrompts.mockResolvedValue({ prompts: [{ id: 9, category: 'core_rules', name: 'Tone', content: 'Old' }] });
+
+      await importGamePackage(samplePackage(), { year: 2026 });
+
+      expect(aiTraining.createCategory).not.toHaveBeenCalled();
+      expect(aiTraining.updateCategory).not.toHaveBeenCalled();
+      expect(aiTraining.createGame).toHaveBeenCalledWith(expect.objectContaining({ category_id: 8 }));
+      expect(aiTraining.createSystemPrompt).not.toHaveBeenCalled();
+      expect(aiTraining.updateSystemPrompt).not.toHaveBeenCalled();
+
+      aiTraining.createGame.mockResolvedValueOnce({ id: 72 }).mockResolvedValueOnce({ id: 73 });
+      await importGamePackage(samplePackage(), { year: 2026, overwrite: true });
+
+      expect(aiTraining.updateCategory).toHaveBeenCalledWith(8, expect.objectContaining({ icon: '🔐' }));
+      expect(aiTraining.updateSystemPrompt).toHaveBeenCalledWith(9, expect.objectContaining({ content: 'Be kind' }));
+    });
+  });
+});
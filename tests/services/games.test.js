@@ -420,4 +420,22 @@ describe('Games Service', () => {
       await expect(gamesService.getRatings(999)).rejects.toThrow('HTTP 404');
     });
   });
+
+  describe('getLeaderboard', () => {
+    test('fetches the event leaderboard', async () => {
+      const mockLeaderboard = {
+        teams: [{ team_id: 1, team_name: 'Bunnies', score: 120, completed_games: 3 }],
+        settings: { anonymize: 'until_final_hour', reveal_minutes_before_end: 60 },
+        event: { name: 'Easter 2026', end_date: '2026-04-10' },
+        recent_completions: []
+      };
+
+      request.mockResolvedValue(mockLeaderboard);
+
+      const result = await gamesService.getLeaderboard();
+
+      expect(request).toHaveBeenCalledWith('GET', '/games/leaderboard');
+      expect(result).toEqual(mockLeaderboard);
+    });
+  });
 });
@@ -0,0 +1,181 @@
+/**
+ * Tests for services/submissionQueue.js
+ *
+ * Tests cover:
+ * - Persisting queued answers and game starts
+ * - In-order replay with accepted/rejected states
+ * - Stopping replay while still offline
+ * - Per-user isolation
+ * - Several tabs sharing the stored queue
+ */
+
+import { APIError } from '../../src/services/api';
+
+jest.mock('../../src/services/games', () => ({
+  submitSolution: jest.fn(),
+  startGame: jest.fn()
+}));
+
+const offlineError = () => new APIError('Failed to fetch', 0, { offline: true });
+
+describe('submissionQueue', () => {
+  let queue;
+  let games;
+
+  beforeEach(() => {
+    localStorage.clear();
+    jest.resetModules();
+    games = require('../../src/services/games');
+    queue = require('../../src/services/submissionQueue');
+  });
+
+  afterEach(() => {
+    queue.stopSubmissionQueue();
+  });
+
+  test('persists queued items in localStorage', () => {
+    queue.startSubmissionQueue(1);
+    queue.enqueueSubmission(3, 'bunny');
+
+    const stored = JSON.parse(localStorage.getItem('submissionQueue'));
+    expect(stored).toHaveLength(1);
+    expect(stored[0]).toMatchObject({ type: 'submit', gameId: 3, solution: 'bunny', userId: 1, status: 'queued' });
+  });
+
+  test('a newer answer replaces a queued one for the same game', () => {
+    queue.startSubmissionQueue(1);
+    queue.enqueueSubmission(3, 'first');
+    queue.enqueueSubmission(3, 'second');
+
+    expect(queue.getQueueItems()).toHaveLength(1);
+    expect(queue.getQueueItems()[0].solution).toBe('second');
+  });
+
+  test('replays items in order and records the outcome', async () => {
+    const calls = [];
+    games.startGame.mockImplementation(async (id) => { calls.push(`start ${id}`); return { success: true }; });
+    games.submitSolution.mockImplementation(async (id, solution) => {
+      calls.push(`submit ${id}`);
+      return solution === 'right'
+        ? { correct: true, message: 'Correct!' }
+        : { correct: false, message: 'Try again' };
+    });
+
+    queue.startSubmissionQueue(1);
+    queue.enqueueStartGame(4);
+    queue.enqueueSubmission(4, 'right');
+    queue.enqueueSubmission(5, 'wrong');
+    await queue.flushSubmissionQueue();
+
+    expect(calls).toEqual(['start 4', 'submit 4', 'submit 5']);
+    expect(queue.getQueueItems().map(item => item.status)).toEqual(['accepted', 'accepted', 'rejected']);
+    expect(queue.getQueueItems()[2].message).toBe('Try again');
+  });
+
+  test('stops at the first item that is still offline', async () => {
+    games.submitSolution.mockRejectedValueOnce(offlineError());
+
+    queue.startSubmissionQueue(1);
+    queue.enqueueSubmission(1, 'a');
+    queue.enqueueSubmission(2, 'b');
+    await queue.flushSubmissionQueue();
+
+    expect(games.submitSolution).toHaveBeenCalledTimes(1);
+    expect(queue.getQueueItems().map(item => item.status)).toEqual(['queued', 'queued']);
+  });
+
+  test('server errors reject the item and replay continues', async () => {
+    games.submitSolution
+      .mockRejectedValueOnce(new APIError('Game is locked', 403))
+      .mockResolvedValueOnce({ correct: true });
+
+    queue.startSubmissionQueue(1);
+    queue.enqueueSubmission(1, 'a');
+    queue.enqueueSubmission(2, 'b');
+    await queue.flushSubmissionQueue();
+
+    const [first, second] = queue.getQueueItems();
+    expect(first).toMatchObject({ status: 'rejected', message: 'Game is locked' });
+    expect(second.status).toBe('accepted');
+  });
+
+  test('replays when the browser comes back online', async () => {
+    games.submitSolution.mockResolvedValue({ correct: true });
+
+    queue.startSubmissionQueue(1);
+    queue.enqueueSubmission(1, 'a');
+    window.dispatchEvent(new Event('online'));
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(games.submitSolution).toHaveBeenCalledWith(1, 'a');
+  });
+
+  test('only replays items of the current user', async () => {
+    queue.startSubmissionQueue(1);
+    queue.enqueueSubmission(1, 'mine');
+    queue.stopSubmissionQueue();
+
+    queue.startSubmissionQueue(2);
+    await queue.flushSubmissionQueue();
+
+    expect(games.submitSolution).not.toHaveBeenCalled();
+    expect(queue.getQueueItems()).toEqual([]);
+  });
+
+  describe('with two tabs', () => {
+    let otherQueue;
+
+    beforeEach(() => {
+      // A second module instance shares localStorage (and the mocked games service) like another tab
+      jest.isolateModules(() => {
+        otherQueue = require('../../src/services/submissionQueue');
+      });
+    });
+
+    afterEach(() => {
+      otherQueue.stopSubmissionQueue();
+    });
+
+    test('keeps the items queued in the other tab', () => {
+      queue.startSubmissionQueue(1);
+      otherQueue.startSubmissionQueue(1);
+
+      queue.enqueueSubmission(1, 'a');
+      otherQueue.enqueueSubmission(2, 'b');
+
+      expect(JSON.parse(localStorage.getItem('submissionQueue')).map(item => item.solution)).toEqual(['a', 'b']);
+      // The browser tells the first tab about the other tab's change
+      window.dispatchEvent(new StorageEvent('storage', { key: 'submissionQueue' }));
+      expect(queue.getQueueItems().map(item => item.solution)).toEqual(['a', 'b']);
+    });
+
+    test('replays every item only once', async () => {
+      games.submitSolution.mockResolvedValue({ correct: true });
+
+      queue.startSubmissionQueue(1);
+      otherQueue.startSubmissionQueue(1);
+      queue.enqueueSubmission(1, 'a');
+      otherQueue.enqueueSubmission(2, 'b');
+
+      await Promise.all([queue.flushSubmissionQueue(), otherQueue.flushSubmissionQueue()]);
+
+      expect(games.submitSolution.mock.calls).toEqual([[1, 'a'], [2, 'b']]);
+      expect(JSON.parse(localStorage.getItem('submissionQueue')).map(item => item.status)).toEqual(['accepted', 'accepted']);
+      expect(localStorage.getItem('submissionQueue:lease')).toBeNull();
+    });
+  });
+
+  test('notifies subscribers and allows dismissing settled items', async () => {
+    games.startGame.mockResolvedValue({ success: true });
+    const listener = jest.fn();
+
+    queue.startSubmissionQueue(1);
+    queue.onQueueChange(listener);
+    const item = queue.enqueueStartGame(9);
+    await queue.flushSubmissionQueue();
+    queue.dismissQueueItem(item.id);
+
+    expect(listener).toHaveBeenCalled();
+    expect(queue.getQueueItems()).toEqual([]);
+  });
+});
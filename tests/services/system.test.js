@@ -230,6 +230,47 @@ describe('System Service', () => {
         systemService.updateConfig('ai.temperature', 'invalid')
       ).rejects.toThrow('Invalid value type');
     });
+
+    test('sends the reason for the change history', async () => {
+      request.mockResolvedValueOnce({ key: 'auth.login_max_attempts', value: 20 });
+
+      await systemService.updateConfig('auth.login_max_attempts', 20, 'Office NAT');
+
+      expect(request).toHaveBeenCalledWith('PATCH', '/system/config/auth.login_max_attempts', { value: 20, reason: 'Office NAT' });
+    });
+  });
+
+  describe('applyConfigValues', () => {
+    test('applies several values with a reason', async () => {
+      request.mockResolvedValueOnce({ updated: ['ai.temperature', 'game.max_hints'] });
+
+      const values = { 'ai.temperature': 0.5, 'game.max_hints': 3 };
+      const result = await systemService.applyConfigValues(values, 'Imported profile "Event day"');
+
+      expect(request).toHaveBeenCalledWith('PUT', '/system/config', { values, reason: 'Imported profile "Event day"' });
+      expect(result.updated).toHaveLength(2);
+    });
+  });
+
+  describe('getConfigHistory', () => {
+    test('fetches the history with default limit', async () => {
+      request.mockResolvedValueOnce({ changes: [] });
+
+      await systemService.getConfigHistory();
+
+      expect(request).toHaveBeenCalledWith('GET', '/system/config/history?limit=500');
+    });
+
+    test('filters by key and time', async () => {
+      request.mockResolvedValueOnce({ changes: [] });
+
+      await systemService.getConfigHistory({ key: 'ai.temperature', since: '2026-04-01T00:00:00Z', limit: 50 });
+
+      expect(request).toHaveBeenCalledWith(
+        'GET',
+        '/system/config/history?limit=50&key=ai.temperature&since=2026-04-01T00%3A00%3A00Z'
+      );
+    });
   });
 
   describe('reloadConfig', () => {
@@ -229,4 +229,155 @@ describe('Message Handler', () => {
       consoleError.mockRestore();
     });
   });
+
+  describe('streamed AI responses', () => {
+    beforeEach(() => {
+      mockHandlers.appendAIChunk = jest.fn();
+      mockHandlers.finishAIStream = jest.fn();
+    });
+
+    test('appends chunks to the stream and hides the typing indicator', () => {
+      handleWebSocketMessage({ type: 'ai_response_chunk', stream_id: 's1', content: 'Hel' }, mockHandlers);
+
+      expect(mockHandlers.setIsTyping).toHaveBeenCalledWith(false);
+      expect(mockHandlers.appendAIChunk).toHaveBeenCalledWith('s1', 'Hel', { timestamp: undefined });
+    });
+
+    test('ignores chunks without stream id', () => {
+      handleWebSocketMessage({ type: 'ai_response_chunk', content: 'x' }, mockHandlers);
+
+      expect(mockHandlers.appendAIChunk).not.toHaveBeenCalled();
+    });
+
+    test('finishes the stream with final content and metadata', () => {
+      handleWebSocketMessage({
+        type: 'ai_response_end',
+        stream_id: 's1',
+        content: 'Hello!',
+        cancelled: true,
+        processing_time_ms: 900
+      }, mockHandlers);
+
+      expect(mockHandlers.finishAIStream).toHaveBeenCalledWith('s1', {
+        content: 'Hello!',
+        metadata: expect.objectContaining({ processing_time_ms: 900, cancelled: true })
+      });
+    });
+  });
+
+  describe('read receipts', () => {
+    beforeEach(() => {
+      mockHandlers.applyReadReceipt = jest.fn();
+    });
+
+    test('passes messages_read to the context', () => {
+      handleWebSocketMessage({
+        type: 'messages_read',
+        reader_id: 2,
+        reader_name: 'Anna',
+        message_ids: [10, 11],
+        read_at: '2026-04-20T10:00:00Z'
+      }, mockHandlers);
+
+      expect(mockHandlers.applyReadReceipt).toHaveBeenCalledWith({
+        reader_id: 2,
+        reader_name: 'Anna',
+        message_ids: [10, 11],
+        read_at: '2026-04-20T10:00:00Z'
+      });
+    });
+
+    test('ignores receipts without message ids', () => {
+      handleWebSocketMessage({ type: 'messages_read', reader_id: 2 }, mockHandlers);
+
+      expect(mockHandlers.applyReadReceipt).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('moderation', () => {
+    beforeEach(() => {
+      mockHandlers.applyMessageDeletion = jest.fn();
+      mockHandlers.applyChatMute = jest.fn();
+    });
+
+    test('passes message_deleted to the context', () => {
+      handleWebSocketMessage({
+        type: 'message_deleted',
+        message_id: 12,
+        chat_type: 'team',
+        reason: 'Removed by moderator'
+      }, mockHandlers);
+
+      expect(mockHandlers.applyMessageDeletion).toHaveBeenCalledWith({
+        message_id: 12,
+        chat_type: 'team',
+        reason: 'Removed by moderator'
+      });
+    });
+
+    test('ignores message_deleted without message id', () => {
+      handleWebSocketMessage({ type: 'message_deleted' }, mockHandlers);
+
+      expect(mockHandlers.applyMessageDeletion).not.toHaveBeenCalled();
+    });
+
+    test('applies and lifts mutes', () => {
+      handleWebSocketMessage({
+        type: 'chat_muted',
+        user_id: 5,
+        muted_until: '2026-04-20T10:15:00Z',
+        reason: 'Spam'
+      }, mockHandlers);
+      handleWebSocketMessage({ type: 'chat_unmuted', user_id: 5 }, mockHandlers);
+
+      expect(mockHandlers.applyChatMute).toHaveBeenNthCalledWith(1, 5, {
+        muted_until: '2026-04-20T10:15:00Z',
+        reason: 'Spam'
+      });
+      expect(mockHandlers.applyChatMute).toHaveBeenNthCalledWith(2, 5, null);
+    });
+  });
+
+  describe('desktop and sound alerts', () => {
+    beforeEach(() => {
+      mockHandlers.notifyAlert = jest.fn();
+    });
+
+    test('alerts on admin messages', () => {
+      handleWebSocketMessage({ type: 'admin_message', content: 'Try the lobby', admin_name: 'Anna' }, mockHandlers);
+
+      expect(mockHandlers.notifyAlert).toHaveBeenCalledWith('admin_messages', expect.objectContaining({
+        title: expect.stringContaining('Anna'),
+        body: 'Try the lobby'
+      }));
+    });
+
+    test('alerts on team chat messages with the sender id', () => {
+      handleWebSocketMessage({
+        type: 'team_broadcast_message',
+        message: { sender_id: 7, sender_name: 'Ben', content: 'Found it!' }
+      }, mockHandlers);
+
+      expect(mockHandlers.notifyAlert).toHaveBeenCalledWith('team_broadcasts', expect.objectContaining({
+        body: 'Found it!',
+        senderId: 7
+      }));
+    });
+
+    test('alerts admins on new escalations', () => {
+      handleWebSocketMessage({
+        type: 'new_escalation',
+        notification_id: 12,
+        priority: 'urgent',
+        team_name: 'Bunnies',
+        escalation_type: 'hint_request'
+      }, mockHandlers);
+
+      expect(mockHandlers.notifyAlert).toHaveBeenCalledWith('escalations', {
+        title: '🔔 New high priority escalation',
+        body: 'Bunnies · hint_request',
+        tag: 'escalation-12'
+      });
+    });
+  });
 });
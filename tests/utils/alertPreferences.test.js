@@ -0,0 +1,144 @@
+/**
+ * Test: Alert preferences and notifier
+ * Purpose: Test quiet hours, channel selection, stored preferences and desktop/sound alerts
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import {
+  DEFAULT_ALERT_PREFERENCES,
+  loadAlertPreferences,
+  saveAlertPreferences,
+  isQuietTime,
+  getAlertChannels
+} from '../../src/utils/alertPreferences';
+import { notifyAlert } from '../../src/utils/alertNotifier';
+
+const at = (time) => new Date(`2026-10-19T${time}:00`);
+
+const enabled = {
+  ...DEFAULT_ALERT_PREFERENCES,
+  desktop: true,
+  sound: true
+};
+
+describe('alertPreferences utils', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('isQuietTime', () => {
+    test('handles ranges across midnight', () => {
+      const quietHours = { enabled: true, start: '22:00', end: '07:00' };
+
+      expect(isQuietTime(quietHours, at('23:30'))).toBe(true);
+      expect(isQuietTime(quietHours, at('06:59'))).toBe(true);
+      expect(isQuietTime(quietHours, at('07:00'))).toBe(false);
+      expect(isQuietTime(quietHours, at('12:00'))).toBe(false);
+    });
+
+    test('handles ranges within a day', () => {
+      const quietHours = { enabled: true, start: '12:00', end: '13:30' };
+
+      expect(isQuietTime(quietHours, at('12:45'))).toBe(true);
+      expect(isQuietTime(quietHours, at('13:30'))).toBe(false);
+    });
+
+    test('is off when disabled or invalid', () => {
+      expect(isQuietTime({ enabled: false, start: '00:00', end: '23:59' }, at('12:00'))).toBe(false);
+      expect(isQuietTime({ enabled: true, start: '08:00', end: '08:00' }, at('08:00'))).toBe(false);
+      expect(isQuietTime(undefined, at('08:00'))).toBe(false);
+    });
+  });
+
+  describe('getAlertChannels', () => {
+    test('needs both the master switch and the category', () => {
+      expect(getAlertChannels(DEFAULT_ALERT_PREFERENCES, 'team_broadcasts', at('12:00')))
+        .toEqual({ desktop: false, sound: false });
+      expect(getAlertChannels(enabled, 'team_broadcasts', at('12:00')))
+        .toEqual({ desktop: true, sound: true });
+
+      const muted = {
+        ...enabled,
+        categories: { ...enabled.categories, team_broadcasts: { desktop: true, sound: false } }
+      };
+      expect(getAlertChannels(muted, 'team_broadcasts', at('12:00'))).toEqual({ desktop: true, sound: false });
+    });
+
+    test('is silent during quiet hours and for unknown categories', () => {
+      const quiet = { ...enabled, quietHours: { enabled: true, start: '22:00', end: '07:00' } };
+
+      expect(getAlertChannels(quiet, 'admin_messages', at('23:00'))).toEqual({ desktop: false, sound: false });
+      expect(getAlertChannels(enabled, 'unknown', at('12:00'))).toEqual({ desktop: false, sound: false });
+    });
+  });
+
+  describe('loadAlertPreferences', () => {
+    test('returns the defaults when nothing is stored', () => {
+      expect(loadAlertPreferences()).toEqual(DEFAULT_ALERT_PREFERENCES);
+    });
+
+    test('merges stored values over the defaults', () => {
+      saveAlertPreferences({
+        sound: true,
+        categories: { escalations: { sound: false } },
+        quietHours: { enabled: true }
+      });
+
+      const preferences = loadAlertPreferences();
+      expect(preferences.sound).toBe(true);
+      expect(preferences.volume).toBe(DEFAULT_ALERT_PREFERENCES.volume);
+      expect(preferences.categories.escalations).toEqual({ desktop: true, sound: false });
+      expect(preferences.categories.game_completion).toEqual({ desktop: true, sound: true });
+      expect(preferences.quietHours).toEqual({ enabled: true, start: '22:00', end: '07:00' });
+    });
+
+    test('falls back to the defaults for broken data', () => {
+      localStorage.setItem('alertPreferences', '{broken');
+
+      expect(loadAlertPreferences()).toEqual(DEFAULT_ALERT_PREFERENCES);
+    });
+  });
+});
+
+describe('notifyAlert', () => {
+  const originalNotification = window.Notification;
+  let NotificationMock;
+
+  beforeEach(() => {
+    NotificationMock = jest.fn();
+    NotificationMock.permission = 'granted';
+    window.Notification = NotificationMock;
+    jest.spyOn(document, 'hasFocus').mockReturnValue(false);
+  });
+
+  afterEach(() => {
+    window.Notification = originalNotification;
+    jest.restoreAllMocks();
+  });
+
+  test('shows a desktop notification while the page is in the background', () => {
+    const result = notifyAlert('admin_messages', { title: 'Admin', body: 'Hello' }, { ...enabled, sound: false });
+
+    expect(result).toEqual({ desktop: true, sound: false });
+    expect(NotificationMock).toHaveBeenCalledWith('Admin', expect.objectContaining({ body: 'Hello', tag: 'admin_messages' }));
+  });
+
+  test('does not show desktop notifications while the page is focused', () => {
+    document.hasFocus.mockReturnValue(true);
+
+    expect(notifyAlert('admin_messages', { title: 'Admin' }, enabled).desktop).toBe(false);
+    expect(NotificationMock).not.toHaveBeenCalled();
+  });
+
+  test('does nothing without permission or when muted', () => {
+    NotificationMock.permission = 'denied';
+    expect(notifyAlert('admin_messages', { title: 'Admin' }, enabled).desktop).toBe(false);
+
+    NotificationMock.permission = 'granted';
+    expect(notifyAlert('admin_messages', { title: 'Admin' }, DEFAULT_ALERT_PREFERENCES))
+      .toEqual({ desktop: false, sound: false });
+    expect(NotificationMock).not.toHaveBeenCalled();
+  });
+});
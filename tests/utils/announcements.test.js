@@ -0,0 +1,86 @@
+/**
+ * Test: Announcement utilities
+ * Purpose: Test composer validation, per-team rendering, queue/history split and delivery counts
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import {
+  renderAnnouncement,
+  toScheduleTimestamp,
+  validateAnnouncement,
+  splitAnnouncements,
+  summarizeDeliveries
+} from '../../src/utils/announcements';
+
+const now = Date.parse('2026-04-20T10:00:00Z');
+
+describe('announcements utils', () => {
+  describe('renderAnnouncement', () => {
+    test('fills in the team name', () => {
+      expect(renderAnnouncement('Go {{team_name}}!', { name: 'Bunnies' })).toBe('Go Bunnies!');
+      expect(renderAnnouncement('Go {{team_name}}!')).toBe('Go {{team_name}}!');
+    });
+  });
+
+  describe('toScheduleTimestamp', () => {
+    test('converts datetime-local values', () => {
+      expect(toScheduleTimestamp('2026-04-20T12:30')).toBe(new Date('2026-04-20T12:30').toISOString());
+      expect(toScheduleTimestamp('')).toBeNull();
+      expect(toScheduleTimestamp('soon')).toBeNull();
+    });
+  });
+
+  describe('validateAnnouncement', () => {
+    const valid = { content: 'Hello {{team_name}}', allTeams: true, teamIds: [], scheduleAt: '' };
+
+    test('accepts a complete draft', () => {
+      expect(validateAnnouncement(valid, now)).toEqual({});
+    });
+
+    test('requires text with all template placeholders filled in', () => {
+      expect(validateAnnouncement({ ...valid, content: '  ' }, now).content).toBe('Text is required');
+      expect(validateAnnouncement({ ...valid, content: '{{minutes}} minutes left' }, now).content)
+        .toBe('Fill in {{minutes}}');
+    });
+
+    test('requires teams unless sent to all teams', () => {
+      expect(validateAnnouncement({ ...valid, allTeams: false }, now).teams).toBe('Select at least one team');
+      expect(validateAnnouncement({ ...valid, allTeams: false, teamIds: [3] }, now)).toEqual({});
+    });
+
+    test('only schedules into the future', () => {
+      const past = new Date(now - 60000);
+      const future = new Date(now + 3600000);
+      const local = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+      expect(validateAnnouncement({ ...valid, scheduleAt: local(past) }, now).scheduleAt).toBe('Pick a time in the future');
+      expect(validateAnnouncement({ ...valid, scheduleAt: local(future) }, now)).toEqual({});
+      expect(validateAnnouncement({ ...valid, scheduleAt: 'tomorrow' }, now).scheduleAt).toBe('Invalid date');
+    });
+  });
+
+  describe('splitAnnouncements', () => {
+    test('puts pending announcements in the queue, next first', () => {
+      const { queue, history } = splitAnnouncements([
+        { id: 1, status: 'sent', sent_at: '2026-04-20T08:00:00Z' },
+        { id: 2, status: 'scheduled', scheduled_for: '2026-04-20T12:00:00Z' },
+        { id: 3, status: 'sending', scheduled_for: '2026-04-20T11:00:00Z' },
+        { id: 4, status: 'cancelled', scheduled_for: '2026-04-20T09:00:00Z' }
+      ]);
+
+      expect(queue.map(a => a.id)).toEqual([3, 2]);
+      expect(history.map(a => a.id)).toEqual([4, 1]);
+    });
+  });
+
+  describe('summarizeDeliveries', () => {
+    test('counts delivery states', () => {
+      expect(summarizeDeliveries({
+        deliveries: [{ status: 'delivered' }, { status: 'failed' }, { status: 'pending' }, { status: 'delivered' }]
+      })).toEqual({ total: 4, delivered: 2, failed: 1, pending: 1 });
+      expect(summarizeDeliveries({})).toEqual({ total: 0, delivered: 0, failed: 0, pending: 0 });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Test: Canned response utilities
+ * Purpose: Test macro variables, template rendering, slash commands and validation
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import {
+  buildMacroContext,
+  renderTemplate,
+  findMissingVariables,
+  matchSlashCommand,
+  filterCannedResponses,
+  normalizeShortcut,
+  validateCannedResponse
+} from '../../src/utils/cannedResponses';
+
+describe('cannedResponses utils', () => {
+  describe('buildMacroContext', () => {
+    test('takes the variables from the escalation context', () => {
+      const notification = {
+        team_name: 'Team Bunny',
+        context_data: { current_game_title: 'Egg Hunt', hints_used: 0, progress_percentage: 42.6 }
+      };
+      expect(buildMacroContext({ notification })).toEqual({
+        team_name: 'Team Bunny',
+        game: 'Egg Hunt',
+        hint_level: '0',
+        progress: '43%'
+      });
+    });
+
+    test('falls back to the selected team and leaves unknown values out', () => {
+      expect(buildMacroContext({ team: { name: 'Team Chick' } })).toEqual({ team_name: 'Team Chick' });
+      expect(buildMacroContext({ member: { team_name: 'Team Lamb' } })).toEqual({ team_name: 'Team Lamb' });
+      expect(buildMacroContext()).toEqual({});
+    });
+  });
+
+  describe('renderTemplate', () => {
+    test('fills known variables and keeps unknown placeholders', () => {
+      expect(renderTemplate('Hi {{ team_name }}, {{game}} at {{progress}}', { team_name: 'A', progress: '10%' }))
+        .toBe('Hi A, {{game}} at 10%');
+    });
+
+    test('lists missing variables once', () => {
+      expect(findMissingVariables('{{game}} {{team_name}} {{game}}', { team_name: 'A' })).toEqual(['game']);
+      expect(findMissingVariables('no variables')).toEqual([]);
+    });
+  });
+
+  describe('slash commands', () => {
+    const responses = [
+      { id: 1, shortcut: 'hint', title: 'Offer a hint', escalation_types: ['stuck'] },
+      { id: 2, shortcut: 'help', title: 'General help', escalation_types: [] },
+      { id: 3, shortcut: 'restart', title: 'Restart the game', escalation_types: ['technical'] }
+    ];
+
+    test('only matches a bare command', () => {
+      expect(matchSlashCommand('/')).toBe('');
+      expect(matchSlashCommand('/Hint')).toBe('hint');
+      expect(matchSlashCommand('/hint me')).toBeNull();
+      expect(matchSlashCommand('hello')).toBeNull();
+    });
+
+    test('ranks shortcut prefixes first, then title matches', () => {
+      expect(filterCannedResponses(responses, 'h').map(r => r.id)).toEqual([2, 1, 3]);
+      expect(filterCannedResponses(responses, 'game').map(r => r.id)).toEqual([3]);
+      expect(filterCannedResponses(responses, 'xyz')).toEqual([]);
+    });
+
+    test('prefers responses meant for the escalation type', () => {
+      expect(filterCannedResponses(responses, 'h', 'technical').map(r => r.id)).toEqual([2, 1, 3]);
+      expect(filterCannedResponses(responses, '', 'technical').map(r => r.id)).toEqual([2, 3, 1]);
+    });
+  });
+
+  describe('management form', () => {
+    test('normalizes shortcuts', () => {
+      expect(normalizeShortcut(' /Stuck Hint! ')).toBe('stuck-hint');
+    });
+
+    test('validates required fields, duplicate shortcuts and variables', () => {
+      const existing = [{ id: 1, shortcut: 'hint' }];
+      expect(validateCannedResponse({ title: '', shortcut: '', body: '' })).toEqual({
+        title: 'Title is required',
+        shortcut: 'Shortcut is required',
+        body: 'Text is required'
+      });
+      expect(validateCannedResponse({ title: 'T', shortcut: 'hint', body: 'x' }, existing).shortcut)
+        .toBe('/hint is already used');
+      expect(validateCannedResponse({ id: 1, title: 'T', shortcut: 'hint', body: 'x' }, existing)).toEqual({});
+      expect(validateCannedResponse({ title: 'T', shortcut: 'x', body: '{{teamname}}' }).body)
+        .toBe('Unknown variable: {{teamname}}');
+    });
+  });
+});
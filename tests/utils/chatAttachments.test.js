@@ -0,0 +1,65 @@
+/**
+ * Test: Chat attachment utilities
+ * Purpose: Test upload limit validation, limit descriptions and URL checks
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import {
+  DEFAULT_UPLOAD_LIMITS,
+  formatFileSize,
+  validateAttachment,
+  describeLimits,
+  acceptedTypes,
+  isSafeAttachmentUrl
+} from '../../src/utils/chatAttachments';
+
+const fileOfSize = (name, type, size) => {
+  const file = new File(['x'], name, { type });
+  Object.defineProperty(file, 'size', { value: size });
+  return file;
+};
+
+describe('chatAttachments utils', () => {
+  test('formatFileSize', () => {
+    expect(formatFileSize(512)).toBe('512 B');
+    expect(formatFileSize(1536)).toBe('1.5 KB');
+    expect(formatFileSize(5 * 1024 * 1024)).toBe('5 MB');
+  });
+
+  describe('validateAttachment', () => {
+    test('accepts allowed types within the size limit', () => {
+      expect(validateAttachment(fileOfSize('a.png', 'image/png', 1000))).toBeNull();
+      expect(validateAttachment(fileOfSize('a.pdf', 'application/pdf', 1000))).toBeNull();
+    });
+
+    test('rejects other types', () => {
+      expect(validateAttachment(fileOfSize('a.exe', 'application/x-msdownload', 10))).toBe('a.exe: file type not allowed');
+    });
+
+    test('rejects files over the limit for their kind', () => {
+      expect(validateAttachment(fileOfSize('big.jpg', 'image/jpeg', 6 * 1024 * 1024)))
+        .toBe('big.jpg: too large (6 MB, max 5 MB)');
+    });
+
+    test('uses server limits', () => {
+      const limits = { ...DEFAULT_UPLOAD_LIMITS, image: { max_bytes: 1000, allowed_types: ['image/png'] } };
+      expect(validateAttachment(fileOfSize('a.jpg', 'image/jpeg', 10), limits)).toBe('a.jpg: file type not allowed');
+    });
+  });
+
+  test('describeLimits and acceptedTypes', () => {
+    expect(describeLimits()).toBe('Images (JPEG, PNG, GIF, WebP) up to 5 MB · Files (PDF, TXT) up to 10 MB');
+    expect(acceptedTypes()).toBe('image/jpeg,image/png,image/gif,image/webp,application/pdf,text/plain');
+  });
+
+  test('isSafeAttachmentUrl', () => {
+    expect(isSafeAttachmentUrl('/uploads/chat/a.png')).toBe(true);
+    expect(isSafeAttachmentUrl('https://cdn.example.com/a.png')).toBe(true);
+    expect(isSafeAttachmentUrl('http://cdn.example.com/a.png')).toBe(false);
+    expect(isSafeAttachmentUrl('javascript:alert(1)')).toBe(false);
+    expect(isSafeAttachmentUrl('//evil.example.com/a.png')).toBe(false);
+    expect(isSafeAttachmentUrl(undefined)).toBe(false);
+  });
+});
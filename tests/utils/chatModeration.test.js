@@ -0,0 +1,69 @@
+/**
+ * Test: Chat moderation utilities
+ * Purpose: Test the profanity / personal data pre-check, mute state and report reason labels
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import {
+  maskProfanity,
+  checkMessageContent,
+  isMuteActive,
+  getReportReasonLabel
+} from '../../src/utils/chatModeration';
+
+describe('chatModeration', () => {
+  describe('maskProfanity', () => {
+    test('masks blocked words and keeps the first letter', () => {
+      expect(maskProfanity('What the fuck, Shit happens')).toBe('What the f***, S*** happens');
+    });
+
+    test('only matches whole words', () => {
+      expect(maskProfanity('Classic assessment at Scunthorpe')).toBe('Classic assessment at Scunthorpe');
+    });
+  });
+
+  describe('checkMessageContent', () => {
+    test('returns null for clean messages', () => {
+      expect(checkMessageContent('We found the egg at station 4!')).toBeNull();
+      expect(checkMessageContent('')).toBeNull();
+    });
+
+    test('reports profanity and personal data with a masked version', () => {
+      expect(checkMessageContent('du idiot, ruf 0170 1234567 an')).toEqual({
+        profanity: ['idiot'],
+        pii: ['phone'],
+        warnings: ['inappropriate language', 'a phone number'],
+        masked: 'du i****, ruf *** an'
+      });
+    });
+
+    test('reports personal data alone', () => {
+      const result = checkMessageContent('mail me at anna@example.com');
+
+      expect(result.profanity).toEqual([]);
+      expect(result.warnings).toEqual(['an email address']);
+      expect(result.masked).toBe('mail me at a***@***.***');
+    });
+  });
+
+  describe('isMuteActive', () => {
+    const now = Date.parse('2026-04-20T10:00:00Z');
+
+    test('is active until the end time', () => {
+      expect(isMuteActive({ muted_until: '2026-04-20T10:05:00Z' }, now)).toBe(true);
+      expect(isMuteActive({ muted_until: '2026-04-20T09:55:00Z' }, now)).toBe(false);
+    });
+
+    test('mutes without an end time last until lifted', () => {
+      expect(isMuteActive({ muted_until: null }, now)).toBe(true);
+      expect(isMuteActive(null, now)).toBe(false);
+    });
+  });
+
+  test('getReportReasonLabel falls back to the raw value', () => {
+    expect(getReportReasonLabel('spam')).toBe('Spam');
+    expect(getReportReasonLabel('custom')).toBe('custom');
+  });
+});
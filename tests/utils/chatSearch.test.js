@@ -0,0 +1,58 @@
+/**
+ * Test: Chat search utilities
+ * Purpose: Test search parameters, snippets and match highlighting
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import { buildSearchParams, makeSnippet, highlightSegments, SEARCH_PAGE_SIZE } from '../../src/utils/chatSearch';
+
+describe('chatSearch utils', () => {
+  describe('buildSearchParams', () => {
+    test('maps filters and drops empty values', () => {
+      expect(buildSearchParams({ query: ' clock ', source: 'admin', sender: '', from: '2026-04-01', to: '', gameId: '' }))
+        .toEqual({ q: 'clock', source: 'admin', from: '2026-04-01', limit: SEARCH_PAGE_SIZE });
+    });
+
+    test('adds the cursor of the next page', () => {
+      expect(buildSearchParams({ query: 'clock', gameId: '3' }, 'abc'))
+        .toEqual({ q: 'clock', game_id: '3', cursor: 'abc', limit: SEARCH_PAGE_SIZE });
+    });
+  });
+
+  describe('makeSnippet', () => {
+    test('returns short text unchanged', () => {
+      expect(makeSnippet('Look at the clock', 'clock')).toBe('Look at the clock');
+    });
+
+    test('cuts long text around the first match', () => {
+      const text = `${'a'.repeat(100)} the clock tower ${'b'.repeat(100)}`;
+      const snippet = makeSnippet(text, 'clock', 10);
+
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(snippet).toContain('clock');
+    });
+  });
+
+  describe('highlightSegments', () => {
+    test('marks matches case-insensitively', () => {
+      expect(highlightSegments('Check the Clock now', 'clock')).toEqual([
+        { text: 'Check the ', match: false },
+        { text: 'Clock', match: true },
+        { text: ' now', match: false }
+      ]);
+    });
+
+    test('handles several terms and regex characters', () => {
+      const segments = highlightSegments('Price (a+b) is 5', '(a+b) price');
+
+      expect(segments.filter(s => s.match).map(s => s.text)).toEqual(['Price', '(a+b)']);
+    });
+
+    test('returns the text as one segment without a query', () => {
+      expect(highlightSegments('Hello', '')).toEqual([{ text: 'Hello', match: false }]);
+    });
+  });
+});
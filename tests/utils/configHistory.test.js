@@ -0,0 +1,147 @@
+/**
+ * Test: Configuration history helpers
+ * Purpose: Test point-in-time values, diffs, typed rollback values and profile import/export
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import {
+  CONFIG_PROFILE_TYPE,
+  configValuesEqual,
+  formatConfigValue,
+  getValuesAt,
+  diffConfigValues,
+  toTypedConfigValues,
+  buildConfigProfile,
+  parseConfigProfile
+} from '../../src/utils/configHistory';
+
+const configs = [
+  { key: 'auth.login_max_attempts', value: 20, value_type: 'int', min_value: 1, max_value: 100 },
+  { key: 'ai.temperature', value: 0.7, value_type: 'float', min_value: 0, max_value: 2 },
+  { key: 'chat.enabled', value: true, value_type: 'bool', min_value: null, max_value: null }
+];
+
+const changes = [
+  { id: 3, key: 'auth.login_max_attempts', old_value: '10', new_value: '20', changed_at: '2026-04-20T12:00:00Z' },
+  { id: 2, key: 'ai.temperature', old_value: '0.5', new_value: '0.7', changed_at: '2026-04-20T09:00:00Z' },
+  { id: 1, key: 'auth.login_max_attempts', old_value: '5', new_value: '10', changed_at: '2026-04-19T09:00:00Z' }
+];
+
+describe('configHistory', () => {
+  test('configValuesEqual compares as strings', () => {
+    expect(configValuesEqual(5, '5')).toBe(true);
+    expect(configValuesEqual(true, 'true')).toBe(true);
+    expect(configValuesEqual(null, undefined)).toBe(true);
+    expect(configValuesEqual('5', '6')).toBe(false);
+  });
+
+  test('formatConfigValue', () => {
+    expect(formatConfigValue(null)).toBe('—');
+    expect(formatConfigValue(false)).toBe('false');
+    expect(formatConfigValue({ a: 1 })).toBe('{"a":1}');
+  });
+
+  describe('getValuesAt', () => {
+    test('undoes the changes after the point in time', () => {
+      expect(getValuesAt(configs, changes, '2026-04-20T10:00:00Z')).toEqual({
+        'auth.login_max_attempts': '10',
+        'ai.temperature': 0.7,
+        'chat.enabled': true
+      });
+      expect(getValuesAt(configs, changes, '2026-04-18T00:00:00Z')['auth.login_max_attempts']).toBe('5');
+    });
+
+    test('returns the current values for the present', () => {
+      expect(getValuesAt(configs, changes, '2026-04-21T00:00:00Z')['auth.login_max_attempts']).toBe(20);
+    });
+  });
+
+  test('diffConfigValues lists differing keys sorted', () => {
+    expect(diffConfigValues({ b: 1, a: '2', c: 3 }, { a: 2, b: 4, d: 5 })).toEqual([
+      { key: 'b', before: 1, after: 4 },
+      { key: 'c', before: 3, after: undefined },
+      { key: 'd', before: undefined, after: 5 }
+    ]);
+  });
+
+  test('toTypedConfigValues converts history values and drops unknown keys', () => {
+    expect(toTypedConfigValues({ 'auth.login_max_attempts': '10', 'chat.enabled': 'false', gone: '1' }, configs))
+      .toEqual({ 'auth.login_max_attempts': 10, 'chat.enabled': false });
+  });
+
+  test('buildConfigProfile', () => {
+    const profile = buildConfigProfile(' Event day ', configs, new Date('2026-04-20T08:00:00Z'));
+
+    expect(profile).toEqual({
+      type: CONFIG_PROFILE_TYPE,
+      version: 1,
+      name: 'Event day',
+      exported_at: '2026-04-20T08:00:00.000Z',
+      values: { 'auth.login_max_attempts': 20, 'ai.temperature': 0.7, 'chat.enabled': true }
+    });
+  });
+
+  describe('parseConfigProfile', () => {
+    const profileText = (values) => JSON.stringify({ type: CONFIG_PROFILE_TYPE, version: 1, name: 'Quiet season', values });
+
+    test('returns the typed changes against the current values', () => {
+      const result = parseConfigProfile(profileText({
+        'auth.login_max_attempts': 5,
+        'ai.temperature': 0.7,
+        'chat.enabled': 'false'
+      }), configs);
+
+      expect(result.name).toBe('Quiet season');
+      expect(result.values).toEqual({ 'auth.login_max_attempts': 5, 'chat.enabled': false });
+      expect(result.changes).toEqual([
+        { key: 'auth.login_max_attempts', before: 20, after: 5 },
+        { key: 'chat.enabled', before: true, after: false }
+      ]);
+      expect(result.errors).toEqual([]);
+    });
+
+    test('reports invalid values and unknown keys', () => {
+      const result = parseConfigProfile(profileText({ 'ai.temperature': 5, 'legacy.key': 1 }), configs);
+
+      expect(result.values).toEqual({});
+      expect(result.errors).toEqual([{ key: 'ai.temperature', message: 'Value must be <= 2' }]);
+      expect(result.unknownKeys).toEqual(['legacy.key']);
+    });
+
+    test('does not apply values that break a cross-field rule together', () => {
+      const authConfigs = [
+        { key: 'auth.access_token_minutes', value: 30, value_type: 'int', min_value: 1, max_value: 10080 },
+        { key: 'auth.refresh_token_days', value: 7, value_type: 'int', min_value: 1, max_value: 90 },
+        { key: 'auth.login_window_seconds', value: 60, value_type: 'int', min_value: 1, max_value: 3600 },
+        { key: 'auth.login_ban_duration_seconds', value: 900, value_type: 'int', min_value: 1, max_value: 86400 }
+      ];
+      const result = parseConfigProfile(profileText({
+        'auth.access_token_minutes': 2000,
+        'auth.refresh_token_days': 1,
+        'auth.login_ban_duration_seconds': 600
+      }), authConfigs);
+
+      expect(result.values).toEqual({ 'auth.login_ban_duration_seconds': 600 });
+      expect(result.changes).toEqual([{ key: 'auth.login_ban_duration_seconds', before: 900, after: 600 }]);
+      expect(result.errors).toEqual([{
+        key: 'auth.access_token_minutes / auth.refresh_token_days',
+        message: 'Access token lifetime must be shorter than the refresh token lifetime'
+      }]);
+    });
+
+    test('accepts JSON values stored as objects', () => {
+      const jsonConfigs = [{ key: 'security.alert_rules', value: '[]', value_type: 'json' }];
+      const result = parseConfigProfile(profileText({ 'security.alert_rules': [{ id: 'r1' }] }), jsonConfigs);
+
+      expect(result.errors).toEqual([]);
+      expect(result.values).toEqual({ 'security.alert_rules': '[{"id":"r1"}]' });
+    });
+
+    test('rejects files that are not profiles', () => {
+      expect(() => parseConfigProfile('{nope', configs)).toThrow('File is not valid JSON');
+      expect(() => parseConfigProfile('{"values":{}}', configs)).toThrow('File is not a configuration profile');
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Module: dependencyGraph.test.js
+ * Purpose: Tests for game dependency graph analysis
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import {
+  getPrerequisites,
+  findCycles,
+  wouldCreateCycle,
+  simulateUnlocks,
+  findUnreachableGames,
+  layoutGraph
+} from '../../src/utils/dependencyGraph';
+
+const edge = (gameId, dependsOnId) => ({ gameId, dependsOnId });
+
+describe('Dependency Graph Utils', () => {
+  // 1 -> 2 -> 3, 1 -> 4
+  const chain = [edge(2, 1), edge(3, 2), edge(4, 1)];
+
+  test('getPrerequisites groups edges by game', () => {
+    expect(getPrerequisites([1, 2, 3], [edge(2, 1), edge(3, 1), edge(3, 2)])).toEqual(
+      new Map([[1, []], [2, [1]], [3, [1, 2]]])
+    );
+  });
+
+  describe('findCycles', () => {
+    test('returns nothing for an acyclic graph', () => {
+      expect(findCycles([1, 2, 3, 4], chain)).toEqual([]);
+    });
+
+    test('reports each cycle once', () => {
+      const cycles = findCycles([1, 2, 3, 4], [edge(1, 2), edge(2, 3), edge(3, 1), edge(4, 1)]);
+      expect(cycles).toHaveLength(1);
+      expect([...cycles[0]].sort()).toEqual([1, 2, 3]);
+    });
+  });
+
+  test('wouldCreateCycle detects transitive back edges', () => {
+    expect(wouldCreateCycle(chain, 1, 3)).toBe(true);
+    expect(wouldCreateCycle(chain, 4, 3)).toBe(false);
+    expect(wouldCreateCycle(chain, 2, 2)).toBe(true);
+  });
+
+  test('simulateUnlocks requires all prerequisites', () => {
+    const edges = [...chain, edge(5, 3), edge(5, 4)];
+    expect(simulateUnlocks([1, 2, 3, 4, 5], edges, [1, 2, 3])).toEqual({
+      completed: [1, 2, 3],
+      available: [4],
+      locked: [5]
+    });
+    expect(simulateUnlocks([1, 2, 3, 4, 5], edges, []).available).toEqual([1]);
+  });
+
+  describe('findUnreachableGames', () => {
+    test('returns nothing when every game can be unlocked', () => {
+      expect(findUnreachableGames([1, 2, 3, 4], chain)).toEqual([]);
+    });
+
+    test('reports cycles, their dependents and missing prerequisites', () => {
+      const edges = [edge(2, 3), edge(3, 2), edge(4, 3), edge(5, 99)];
+      expect(findUnreachableGames([1, 2, 3, 4, 5], edges)).toEqual([2, 3, 4, 5]);
+    });
+  });
+
+  test('layoutGraph places prerequisites in earlier columns', () => {
+    const positions = layoutGraph([1, 2, 3, 4], chain);
+    expect(positions.get(1)).toEqual({ column: 0, row: 0 });
+    expect(positions.get(2)).toEqual({ column: 1, row: 0 });
+    expect(positions.get(4)).toEqual({ column: 1, row: 1 });
+    expect(positions.get(3)).toEqual({ column: 2, row: 0 });
+  });
+
+  test('layoutGraph puts unreachable games in a trailing column', () => {
+    const positions = layoutGraph([1, 2, 3], [edge(2, 3), edge(3, 2)]);
+    expect(positions.get(1).column).toBe(0);
+    expect(positions.get(2).column).toBe(1);
+    expect(positions.get(3)).toEqual({ column: 1, row: 1 });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Test: Escalation SLA utilities
+ * Purpose: Test SLA states, claim expiry, countdown formatting and workload
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import {
+  getSlaStatus,
+  getClaimExpiry,
+  formatCountdown,
+  summarizeWorkload,
+  CLAIM_TIMEOUT_MINUTES
+} from '../../src/utils/escalationSla';
+
+const MINUTE = 60 * 1000;
+const created = Date.parse('2026-10-19T10:00:00Z');
+const at = (minutes) => created + minutes * MINUTE;
+const iso = (minutes) => new Date(at(minutes)).toISOString();
+
+describe('escalationSla utils', () => {
+  describe('getSlaStatus', () => {
+    const high = { priority: 'high', status: 'open', created_at: iso(0) };
+
+    test('counts down to the per-priority target', () => {
+      expect(getSlaStatus(high, at(2))).toMatchObject({ state: 'ok', remainingMs: 8 * MINUTE, answered: false });
+      expect(getSlaStatus(high, at(8)).state).toBe('warning');
+      expect(getSlaStatus(high, at(11))).toMatchObject({ state: 'breached', remainingMs: -1 * MINUTE });
+      expect(getSlaStatus({ ...high, priority: 'urgent' }, at(6)).state).toBe('breached');
+    });
+
+    test('uses the server due date when given', () => {
+      expect(getSlaStatus({ ...high, sla_due_at: iso(60) }, at(11)).state).toBe('ok');
+    });
+
+    test('stops at the first response', () => {
+      expect(getSlaStatus({ ...high, status: 'acknowledged', acknowledged_at: iso(4) }, at(30)))
+        .toMatchObject({ state: 'met', answered: true });
+      expect(getSlaStatus({ ...high, status: 'resolved', resolved_at: iso(15) }, at(30)).state).toBe('breached');
+    });
+  });
+
+  describe('getClaimExpiry', () => {
+    test('expires unanswered claims after the timeout', () => {
+      expect(getClaimExpiry({ status: 'open' })).toBeNull();
+      expect(getClaimExpiry({ status: 'open', assigned_to_id: 3, assigned_at: iso(1) }))
+        .toBe(at(1 + CLAIM_TIMEOUT_MINUTES));
+      expect(getClaimExpiry({ status: 'open', assigned_to_id: 3, assigned_at: iso(1), claim_expires_at: iso(5) })).toBe(at(5));
+      expect(getClaimExpiry({ status: 'acknowledged', assigned_to_id: 3, assigned_at: iso(1) })).toBeNull();
+    });
+  });
+
+  test('formats countdowns', () => {
+    expect(formatCountdown(65 * 1000)).toBe('1:05');
+    expect(formatCountdown(-(2 * 60 + 10) * 1000)).toBe('-2:10');
+    expect(formatCountdown((3600 + 2 * 60 + 30) * 1000)).toBe('1:02:30');
+  });
+
+  test('summarizes the workload per admin', () => {
+    const notifications = [
+      { id: 1, priority: 'high', status: 'open', created_at: iso(0), assigned_to_id: 2, assigned_to_username: 'bob' },
+      { id: 2, priority: 'normal', status: 'open', created_at: iso(0), assigned_to_id: 2, assigned_to_username: 'bob' },
+      { id: 3, priority: 'normal', status: 'open', created_at: iso(0), assigned_to_id: 9, assigned_to_username: 'zed' },
+      { id: 4, priority: 'normal', status: 'open', created_at: iso(0) },
+      { id: 5, priority: 'normal', status: 'resolved', created_at: iso(0), assigned_to_id: 1 }
+    ];
+    const assignees = [
+      { id: 1, username: 'alice', online: true },
+      { id: 2, username: 'bob', display_name: 'Bob', online: false }
+    ];
+
+    expect(summarizeWorkload(notifications, assignees, at(15))).toEqual({
+      rows: [
+        { id: 2, name: 'Bob', online: false, open: 2, breached: 1 },
+        { id: 9, name: 'zed', online: false, open: 1, breached: 0 },
+        { id: 1, name: 'alice', online: true, open: 0, breached: 0 }
+      ],
+      unassigned: 1
+    });
+  });
+});
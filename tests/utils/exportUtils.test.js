@@ -0,0 +1,96 @@
+/**
+ * Module: exportUtils.test.js
+ * Purpose: Tests for CSV/ZIP export utilities
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import {
+  toCSV, crc32, createZip, readZip, encodeUtf8, decodeUtf8, base64ToBytes, bytesToBase64
+} from '../../src/utils/exportUtils';
+
+describe('Export Utils', () => {
+  describe('toCSV', () => {
+    test('builds a header from all record keys', () => {
+      expect(toCSV([{ id: 1, name: 'A' }, { id: 2, score: 5 }])).toBe('id,name,score\n1,A,\n2,,5');
+    });
+
+    test('quotes commas, quotes and line breaks', () => {
+      expect(toCSV([{ name: 'Team "A", B' }])).toBe('name\n"Team ""A"", B"');
+    });
+
+    test('serialises nested values as JSON', () => {
+      expect(toCSV([{ members: [1, 2] }])).toBe('members\n"[1,2]"');
+    });
+
+    test('excel variant adds BOM, CRLF and neutralises formulas', () => {
+      const csv = toCSV([{ name: '=HYPERLINK("x")' }, { name: 'ok' }], { excel: true });
+      expect(csv.charCodeAt(0)).toBe(0xFEFF);
+      expect(csv.slice(1)).toBe('name\r\n"\'=HYPERLINK(""x"")"\r\nok');
+    });
+
+    test('excel variant keeps negative numbers numeric', () => {
+      const csv = toCSV([{ delta: -5, note: '-5' }], { excel: true });
+      expect(csv.split('\r\n')[1]).toBe("-5,'-5");
+    });
+
+    test('returns an empty string for empty input', () => {
+      expect(toCSV([])).toBe('');
+      expect(toCSV(null)).toBe('');
+    });
+  });
+
+  describe('crc32', () => {
+    test('matches the reference checksum', () => {
+      expect(crc32(encodeUtf8('123456789'))).toBe(0xCBF43926);
+    });
+  });
+
+  describe('createZip', () => {
+    test('writes local headers, central directory and end record', () => {
+      const zip = createZip([
+        { name: 'a.txt', content: 'hello' },
+        { name: 'b.json', content: '{}' }
+      ], new Date(2026, 3, 6, 12, 0, 0));
+      const view = new DataView(zip.buffer);
+
+      expect(view.getUint32(0, true)).toBe(0x04034B50);
+      expect(view.getUint32(18, true)).toBe(5);
+
+      const end = zip.length - 22;
+      expect(view.getUint32(end, true)).toBe(0x06054B50);
+      expect(view.getUint16(end + 10, true)).toBe(2);
+
+      const centralOffset = view.getUint32(end + 16, true);
+      expect(view.getUint32(centralOffset, true)).toBe(0x02014B50);
+      expect(view.getUint32(centralOffset + 16, true)).toBe(crc32(encodeUtf8('hello')));
+    });
+  });
+
+  describe('readZip', () => {
+    test('reads back archives written by createZip', () => {
+      const zip = createZip([
+        { name: 'package.json', content: '{"ä":1}' },
+        { name: 'images/event.png', content: new Uint8Array([1, 2, 3]) }
+      ]);
+      const files = readZip(zip);
+
+      expect(files.map(f => f.name)).toEqual(['package.json', 'images/event.png']);
+      expect(decodeUtf8(files[0].content)).toBe('{"ä":1}');
+      expect(Array.from(files[1].content)).toEqual([1, 2, 3]);
+    });
+
+    test('rejects data that is not a ZIP archive', () => {
+      expect(() => readZip(encodeUtf8('not a zip file at all, just text'))).toThrow('Not a ZIP archive');
+    });
+  });
+
+  describe('base64', () => {
+    test('round-trips binary data', () => {
+      const bytes = new Uint8Array([0, 127, 128, 255]);
+      expect(bytesToBase64(bytes)).toBe('AH+A/w==');
+      expect(Array.from(base64ToBytes('AH+A/w=='))).toEqual([0, 127, 128, 255]);
+    });
+  });
+});
@@ -6,7 +6,7 @@
  * @since 2025-12-20
  */
 
-import { replaceImagePlaceholder, detectImageType, createDataUri } from '../../src/utils/imageUtils';
+import { replaceImagePlaceholder, detectImageType, createDataUri, fitDimensions, resizeImage } from '../../src/utils/imageUtils';
 
 describe('Image Utils', () => {
   describe('detectImageType', () => {
@@ -156,4 +156,25 @@ describe('Image Utils', () => {
       expect(result).toContain('class="footer"');
     });
   });
+
+  describe('fitDimensions', () => {
+    test('scales down to the maximum dimension keeping the aspect ratio', () => {
+      expect(fitDimensions(4000, 3000, 1600)).toEqual({ width: 1600, height: 1200 });
+      expect(fitDimensions(1000, 3000, 1500)).toEqual({ width: 500, height: 1500 });
+    });
+
+    test('never upscales', () => {
+      expect(fitDimensions(800, 600, 1600)).toEqual({ width: 800, height: 600 });
+    });
+  });
+
+  describe('resizeImage', () => {
+    test('returns GIFs and non-images unchanged', async () => {
+      const gif = new File(['gif'], 'anim.gif', { type: 'image/gif' });
+      const pdf = new File(['pdf'], 'doc.pdf', { type: 'application/pdf' });
+
+      await expect(resizeImage(gif)).resolves.toBe(gif);
+      await expect(resizeImage(pdf)).resolves.toBe(pdf);
+    });
+  });
 });
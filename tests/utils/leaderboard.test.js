@@ -0,0 +1,109 @@
+/**
+ * Test: Leaderboard utilities
+ * Purpose: Test ranking, live updates, anonymisation and countdown helpers
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import {
+  rankTeams,
+  applyProgressUpdate,
+  getEventEnd,
+  isAnonymized,
+  anonymizeTeams,
+  formatCountdown
+} from '../../src/utils/leaderboard';
+
+describe('leaderboard utils', () => {
+  describe('rankTeams', () => {
+    test('orders by score, completed games, then earliest last completion', () => {
+      const ranked = rankTeams([
+        { team_id: 1, team_name: 'A', score: 50, completed_games: 2, last_completion_at: '2026-04-10T12:00:00Z' },
+        { team_id: 2, team_name: 'B', score: 80, completed_games: 3, last_completion_at: '2026-04-10T13:00:00Z' },
+        { team_id: 3, team_name: 'C', score: 50, completed_games: 2, last_completion_at: '2026-04-10T11:00:00Z' },
+        { team_id: 4, team_name: 'D', score: 50, completed_games: 3, last_completion_at: null }
+      ]);
+
+      expect(ranked.map(t => [t.team_id, t.rank])).toEqual([[2, 1], [4, 2], [3, 3], [1, 4]]);
+    });
+
+    test('gives exact ties the same rank', () => {
+      const ranked = rankTeams([
+        { team_id: 1, team_name: 'Zebra', score: 10, completed_games: 1 },
+        { team_id: 2, team_name: 'Alpha', score: 10, completed_games: 1 },
+        { team_id: 3, team_name: 'Mid', score: 5, completed_games: 1 }
+      ]);
+
+      expect(ranked.map(t => [t.team_name, t.rank])).toEqual([['Alpha', 1], ['Zebra', 1], ['Mid', 3]]);
+    });
+  });
+
+  describe('applyProgressUpdate', () => {
+    const teams = [{ team_id: 1, team_name: 'A', score: 10, completed_games: 1, last_completion_at: null }];
+
+    test('records a completion when completed games increase', () => {
+      const { teams: next, completion } = applyProgressUpdate(teams, {
+        team_id: 1, completed_games: 2, score: 30, game_title: 'Cipher', completed_at: '2026-04-10T12:00:00Z'
+      });
+
+      expect(next[0]).toMatchObject({ score: 30, completed_games: 2, last_completion_at: '2026-04-10T12:00:00Z' });
+      expect(completion).toEqual({ team_id: 1, team_name: 'A', game_title: 'Cipher', completed_at: '2026-04-10T12:00:00Z' });
+    });
+
+    test('updates progress without a completion and adds unknown teams', () => {
+      const progress = applyProgressUpdate(teams, { team_id: 1, progress_percentage: 40 });
+      expect(progress.completion).toBeNull();
+      expect(progress.teams[0]).toMatchObject({ completed_games: 1, progress_percentage: 40 });
+
+      const added = applyProgressUpdate(teams, { team_id: 2, team_name: 'B', completed_games: 0 });
+      expect(added.teams).toHaveLength(2);
+      expect(added.teams[1]).toMatchObject({ team_id: 2, team_name: 'B', score: 0 });
+    });
+  });
+
+  describe('anonymisation', () => {
+    const end = new Date(2026, 3, 10, 18, 0, 0);
+
+    test('until_final_hour hides names until the reveal window', () => {
+      const settings = { anonymize: 'until_final_hour', reveal_minutes_before_end: 60 };
+      expect(isAnonymized(settings, end, new Date(2026, 3, 10, 16, 59))).toBe(true);
+      expect(isAnonymized(settings, end, new Date(2026, 3, 10, 17, 0))).toBe(false);
+      expect(isAnonymized(settings, null)).toBe(true);
+    });
+
+    test('always and none modes', () => {
+      expect(isAnonymized({ anonymize: 'always' }, end)).toBe(true);
+      expect(isAnonymized({ anonymize: 'none' }, end)).toBe(false);
+      expect(isAnonymized(null, end)).toBe(false);
+    });
+
+    test('anonymizeTeams keeps the own team name', () => {
+      const result = anonymizeTeams([
+        { team_id: 5, team_name: 'Secret', rank: 1 },
+        { team_id: 7, team_name: 'Mine', rank: 2 }
+      ], 7);
+
+      expect(result.map(t => t.display_name)).toEqual(['Team #1', 'Mine']);
+    });
+  });
+
+  describe('getEventEnd', () => {
+    test('date-only end means end of that day', () => {
+      expect(getEventEnd({ end_date: '2026-04-10' })).toEqual(new Date(2026, 3, 10, 23, 59, 59));
+    });
+
+    test('returns null for missing or invalid dates', () => {
+      expect(getEventEnd(null)).toBeNull();
+      expect(getEventEnd({ end_date: 'soon' })).toBeNull();
+    });
+  });
+
+  describe('formatCountdown', () => {
+    test('formats hours, minutes and seconds with optional days', () => {
+      expect(formatCountdown(3723000)).toBe('01:02:03');
+      expect(formatCountdown(90061000)).toBe('1d 01:01:01');
+      expect(formatCountdown(-5000)).toBe('00:00:00');
+    });
+  });
+});
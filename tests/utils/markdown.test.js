@@ -0,0 +1,86 @@
+/**
+ * Test: Markdown utilities
+ * Purpose: Test chat markdown parsing, sanitization and link checks
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import { parseMarkdownBlocks, closeOpenFences, isExternalLink, sanitizeChatHtml } from '../../src/utils/markdown';
+
+describe('markdown utils', () => {
+  describe('parseMarkdownBlocks', () => {
+    test('renders lists and emphasis as html', () => {
+      const [block] = parseMarkdownBlocks('**Tip:**\n- one\n- two');
+
+      expect(block.type).toBe('html');
+      expect(block.html).toContain('<strong>Tip:</strong>');
+      expect(block.html).toContain('<li>one</li>');
+    });
+
+    test('splits fenced code into raw code blocks', () => {
+      const blocks = parseMarkdownBlocks('Run this:\n\n```bash\necho "<b>hi</b>"\n```\n\nDone.');
+
+      expect(blocks.map(b => b.type)).toEqual(['html', 'code', 'html']);
+      expect(blocks[1]).toEqual({ type: 'code', lang: 'bash', code: 'echo "<b>hi</b>"' });
+    });
+
+    test('strips scripts, event handlers and images', () => {
+      const [block] = parseMarkdownBlocks('<script>alert(1)</script><img src=x onerror="alert(1)"><a href="javascript:alert(1)" onclick="x()">x</a>');
+
+      expect(block.html).not.toMatch(/script|onerror|onclick|<img|javascript:/);
+    });
+
+    test('keeps task list checkboxes but no other inputs or classes', () => {
+      const [tasks] = parseMarkdownBlocks('- [x] done\n- [ ] open');
+      const [block] = parseMarkdownBlocks('<input type="password" name="pw"><input value="x"><p class="btn btn-danger">Hi</p>');
+
+      const container = document.createElement('div');
+      container.innerHTML = tasks.html;
+      const checkboxes = [...container.querySelectorAll('input')];
+      expect(checkboxes.map(input => [input.type, input.disabled, input.checked])).toEqual([
+        ['checkbox', true, true],
+        ['checkbox', true, false]
+      ]);
+      expect(block.html).not.toMatch(/<input|class=/);
+      expect(block.html).toContain('<p>Hi</p>');
+    });
+
+    test('links open in a new tab without opener', () => {
+      const [block] = parseMarkdownBlocks('[docs](https://example.com/docs)');
+
+      expect(block.html).toContain('target="_blank"');
+      expect(block.html).toContain('rel="noopener noreferrer"');
+    });
+
+    test('keeps text after an unterminated fence out of the code while streaming', () => {
+      const blocks = parseMarkdownBlocks('Try:\n```js\nconst a = 1;', { streaming: true });
+
+      expect(blocks[blocks.length - 1]).toEqual({ type: 'code', lang: 'js', code: 'const a = 1;' });
+    });
+  });
+
+  describe('closeOpenFences', () => {
+    test('closes only unbalanced fences', () => {
+      expect(closeOpenFences('```\ncode')).toBe('```\ncode\n```');
+      expect(closeOpenFences('```\ncode\n```')).toBe('```\ncode\n```');
+      expect(closeOpenFences('~~~~\n```\n')).toBe('~~~~\n```\n\n~~~~');
+    });
+  });
+
+  describe('isExternalLink', () => {
+    test('detects links to other origins', () => {
+      expect(isExternalLink('https://example.com', 'https://quest.local')).toBe(true);
+      expect(isExternalLink('/game/3', 'https://quest.local')).toBe(false);
+      expect(isExternalLink('https://quest.local/help', 'https://quest.local')).toBe(false);
+      expect(isExternalLink('mailto:gm@quest.local', 'https://quest.local')).toBe(false);
+    });
+  });
+
+  test('sanitizeChatHtml does not add link attributes to other DOMPurify users', () => {
+    sanitizeChatHtml('<a href="https://example.com">x</a>');
+    const DOMPurify = require('dompurify');
+
+    expect(DOMPurify.sanitize('<a href="https://example.com">x</a>')).not.toContain('target');
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Test: Rate limit helpers
+ * Purpose: Test IPv4/CIDR parsing and matching, TTL formatting and local countdowns
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import {
+  parseIPv4,
+  parseCidr,
+  isValidIpOrCidr,
+  isIpInRange,
+  findMatchingRange,
+  formatTTL,
+  getRemainingSeconds
+} from '../../src/utils/rateLimits';
+
+describe('rateLimits', () => {
+  test('parseIPv4 accepts dotted addresses only', () => {
+    expect(parseIPv4('10.0.0.1')).toBe(167772161);
+    expect(parseIPv4('255.255.255.255')).toBe(4294967295);
+    expect(parseIPv4('10.0.0.256')).toBeNull();
+    expect(parseIPv4('10.0.0')).toBeNull();
+    expect(parseIPv4('::1')).toBeNull();
+    expect(parseIPv4(null)).toBeNull();
+  });
+
+  test('parseCidr clears host bits and treats bare addresses as /32', () => {
+    expect(parseCidr('10.0.0.77/24')).toEqual({ network: parseIPv4('10.0.0.0'), prefix: 24 });
+    expect(parseCidr('192.168.1.5')).toEqual({ network: parseIPv4('192.168.1.5'), prefix: 32 });
+    expect(parseCidr('0.0.0.0/0')).toEqual({ network: 0, prefix: 0 });
+    expect(parseCidr('10.0.0.0/33')).toBeNull();
+    expect(parseCidr('10.0.0.0/')).toBeNull();
+    expect(parseCidr('10.0.0.0/24/1')).toBeNull();
+  });
+
+  test('isValidIpOrCidr', () => {
+    expect(isValidIpOrCidr('10.0.0.0/8')).toBe(true);
+    expect(isValidIpOrCidr('office')).toBe(false);
+  });
+
+  test('isIpInRange matches addresses within the range', () => {
+    expect(isIpInRange('10.0.0.200', '10.0.0.0/24')).toBe(true);
+    expect(isIpInRange('10.0.1.1', '10.0.0.0/24')).toBe(false);
+    expect(isIpInRange('172.16.5.4', '172.16.0.0/12')).toBe(true);
+    expect(isIpInRange('203.0.113.7', '203.0.113.7')).toBe(true);
+    expect(isIpInRange('2001:db8::1', '2001:db8::1')).toBe(true);
+    expect(isIpInRange('2001:db8::1', '10.0.0.0/8')).toBe(false);
+  });
+
+  test('findMatchingRange returns the first matching range', () => {
+    expect(findMatchingRange('10.0.0.5', ['192.168.0.0/16', '10.0.0.0/24'])).toBe('10.0.0.0/24');
+    expect(findMatchingRange('8.8.8.8', ['10.0.0.0/8'])).toBeNull();
+    expect(findMatchingRange('8.8.8.8', undefined)).toBeNull();
+  });
+
+  test('formatTTL', () => {
+    expect(formatTTL(0)).toBe('Expired');
+    expect(formatTTL(45)).toBe('45s');
+    expect(formatTTL(125)).toBe('2m 5s');
+    expect(formatTTL(3720)).toBe('1h 2m');
+  });
+
+  test('getRemainingSeconds counts down from the load time', () => {
+    expect(getRemainingSeconds(60, 1000, 11500)).toBe(50);
+    expect(getRemainingSeconds(5, 1000, 60000)).toBe(0);
+    expect(getRemainingSeconds(null, 1000, 2000)).toBeNull();
+  });
+});
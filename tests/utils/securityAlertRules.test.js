@@ -0,0 +1,129 @@
+/**
+ * Test: Security alert rules
+ * Purpose: Test rule parsing, validation and evaluation against security events and summaries
+ * Part of: Easter Quest Frontend Testing
+ *
+ * @since 2026-10-19
+ */
+
+import {
+  DEFAULT_ALERT_RULES,
+  parseAlertRules,
+  validateAlertRule,
+  describeAlertRule,
+  createAlertState,
+  evaluateSecurityEvent,
+  evaluateSecuritySummary
+} from '../../src/utils/securityAlertRules';
+
+const now = Date.parse('2026-04-20T10:00:00Z');
+const minute = 60000;
+
+describe('securityAlertRules', () => {
+  test('parseAlertRules falls back to the defaults', () => {
+    expect(parseAlertRules(null)).toBe(DEFAULT_ALERT_RULES);
+    expect(parseAlertRules('not json')).toBe(DEFAULT_ALERT_RULES);
+    expect(parseAlertRules('[{"id":"a","type":"new_language","enabled":true}]')).toEqual([
+      { id: 'a', type: 'new_language', enabled: true }
+    ]);
+  });
+
+  test('validateAlertRule checks the type-specific fields', () => {
+    expect(validateAlertRule({ type: 'category_burst', count: 3, windowMinutes: 10 })).toEqual({});
+    expect(Object.keys(validateAlertRule({ type: 'category_burst', count: 0, windowMinutes: 1.5 })))
+      .toEqual(['count', 'windowMinutes']);
+    expect(validateAlertRule({ type: 'block_rate', threshold: 120, minMessages: 10 }))
+      .toEqual({ threshold: 'Enter a percentage between 0 and 100' });
+  });
+
+  test('describeAlertRule', () => {
+    expect(describeAlertRule({ type: 'category_burst', category: 'system_extraction', count: 2, windowMinutes: 10 }))
+      .toBe('2× System Extraction from one user within 10 min');
+    expect(describeAlertRule({ type: 'block_rate', threshold: 30, minMessages: 50 }))
+      .toBe('Block rate above 30% (after 50 messages)');
+  });
+
+  describe('evaluateSecurityEvent', () => {
+    const rules = [{ id: 'burst', type: 'category_burst', enabled: true, category: 'system_extraction', count: 2, windowMinutes: 10 }];
+    const event = (id, overrides = {}) => ({
+      id,
+      user_id: 5,
+      username: 'bob',
+      attack_category: 'system_extraction',
+      original_language: 'en',
+      ...overrides
+    });
+
+    test('fires when a user reaches the count within the window', () => {
+      let result = evaluateSecurityEvent(rules, createAlertState(['en']), event(1), now);
+      expect(result.alerts).toEqual([]);
+
+      result = evaluateSecurityEvent(rules, result.state, event(2), now + 5 * minute);
+      expect(result.alerts).toHaveLength(1);
+      expect(result.alerts[0]).toMatchObject({ ruleId: 'burst', userId: 5, eventId: 2 });
+      expect(result.alerts[0].body).toBe('bob: 2 attempts (latest: System Extraction)');
+    });
+
+    test('ignores attempts outside the window, other users and other categories', () => {
+      let result = evaluateSecurityEvent(rules, createAlertState(['en']), event(1), now);
+      result = evaluateSecurityEvent(rules, result.state, event(2, { user_id: 6 }), now + minute);
+      result = evaluateSecurityEvent(rules, result.state, event(3, { attack_category: 'roleplay_bypass' }), now + 2 * minute);
+      result = evaluateSecurityEvent(rules, result.state, event(4), now + 11 * minute);
+
+      expect(result.alerts).toEqual([]);
+    });
+
+    test('fires once per user within the cooldown', () => {
+      let result = evaluateSecurityEvent(rules, createAlertState(['en']), event(1), now);
+      result = evaluateSecurityEvent(rules, result.state, event(2), now + minute);
+      result = evaluateSecurityEvent(rules, result.state, event(3), now + 2 * minute);
+
+      expect(result.alerts).toEqual([]);
+    });
+
+    test('detects new languages after the known ones were loaded', () => {
+      const languageRules = [{ id: 'lang', type: 'new_language', enabled: true }];
+      let result = evaluateSecurityEvent(languageRules, createAlertState(['en', 'de']), event(1, { attack_category: 'clean' }), now);
+      expect(result.alerts).toEqual([]);
+
+      result = evaluateSecurityEvent(languageRules, result.state, event(2, { original_language: 'it' }), now);
+      expect(result.alerts[0].title).toBe('🌍 New language detected');
+
+      result = evaluateSecurityEvent(languageRules, result.state, event(3, { original_language: 'it' }), now + 20 * minute);
+      expect(result.alerts).toEqual([]);
+    });
+
+    test('learns languages without firing when none were loaded', () => {
+      const languageRules = [{ id: 'lang', type: 'new_language', enabled: true }];
+      const result = evaluateSecurityEvent(languageRules, createAlertState(), event(1, { original_language: 'fr' }), now);
+
+      expect(result.alerts).toEqual([]);
+      expect(result.state.knownLanguages).toEqual(['fr']);
+    });
+  });
+
+  describe('evaluateSecuritySummary', () => {
+    const rules = [{ id: 'rate', type: 'block_rate', enabled: true, threshold: 30, minMessages: 50 }];
+
+    test('fires when the block rate crosses the threshold and re-arms below it', () => {
+      let result = evaluateSecuritySummary(rules, createAlertState(), { block_rate: 35, total_messages: 40 }, now);
+      expect(result.alerts).toEqual([]);
+
+      result = evaluateSecuritySummary(rules, result.state, { block_rate: 35, total_messages: 60, total_blocked: 21 }, now);
+      expect(result.alerts[0].title).toBe('🛡️ Block rate 35%');
+
+      result = evaluateSecuritySummary(rules, result.state, { block_rate: 36, total_messages: 70 }, now + minute);
+      expect(result.alerts).toEqual([]);
+
+      result = evaluateSecuritySummary(rules, result.state, { block_rate: 20, total_messages: 100 }, now + 2 * minute);
+      result = evaluateSecuritySummary(rules, result.state, { block_rate: 31, total_messages: 110 }, now + 15 * minute);
+      expect(result.alerts).toHaveLength(1);
+    });
+
+    test('skips disabled rules', () => {
+      const result = evaluateSecuritySummary([{ ...rules[0], enabled: false }], createAlertState(), { block_rate: 90, total_messages: 500 }, now);
+
+      expect(result.alerts).toEqual([]);
+    });
+  });
+});
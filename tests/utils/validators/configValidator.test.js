@@ -10,7 +10,14 @@ import {
   CONFIG_VALUE_TYPES,
   validateValue,
   convertToType,
-  getTypeDescription
+  getTypeDescription,
+  parseDuration,
+  formatDuration,
+  getEnumOptions,
+  formatValueForEdit,
+  validateCrossFieldRules,
+  getCrossFieldErrors,
+  validateConfigChange
 } from '../../../src/utils/validators/configValidator';
 
 describe('configValidator', () => {
@@ -20,6 +27,9 @@ describe('configValidator', () => {
       expect(CONFIG_VALUE_TYPES.FLOAT).toBe('float');
       expect(CONFIG_VALUE_TYPES.BOOL).toBe('bool');
       expect(CONFIG_VALUE_TYPES.STRING).toBe('string');
+      expect(CONFIG_VALUE_TYPES.DURATION).toBe('duration');
+      expect(CONFIG_VALUE_TYPES.CIDR).toBe('cidr');
+      expect(CONFIG_VALUE_TYPES.JSON).toBe('json');
     });
   });
 
@@ -190,6 +200,164 @@ describe('configValidator', () => {
     });
   });
 
+  describe('validateValue - string pattern', () => {
+    const config = { pattern: '[a-z0-9-]+', pattern_description: 'lowercase letters, digits and dashes' };
+
+    test('accepts values matching the whole pattern', () => {
+      expect(validateValue('easter-2026', 'string', config)).toBeNull();
+    });
+
+    test('rejects partial matches with the pattern description', () => {
+      expect(validateValue('Easter 2026', 'string', config))
+        .toBe('Value must match lowercase letters, digits and dashes');
+    });
+
+    test('falls back to the pattern itself without description', () => {
+      expect(validateValue('ABC', 'string', { pattern: '[a-z]+' })).toBe('Value must match the pattern [a-z]+');
+    });
+
+    test('ignores invalid patterns', () => {
+      expect(validateValue('anything', 'string', { pattern: '([' })).toBeNull();
+    });
+  });
+
+  describe('validateValue - allowed values', () => {
+    const config = { allowed_values: ['debug', 'info', 'warning'] };
+
+    test('accepts allowed values', () => {
+      expect(validateValue('info', 'string', config)).toBeNull();
+      expect(validateValue('2', 'int', { allowed_values: [1, 2, 4] })).toBeNull();
+    });
+
+    test('rejects other values', () => {
+      expect(validateValue('verbose', 'string', config)).toBe('Value must be one of: debug, info, warning');
+    });
+
+    test('reports type errors first', () => {
+      expect(validateValue('abc', 'int', { allowed_values: [1, 2] })).toBe('Value must be an integer');
+    });
+
+    test('getEnumOptions returns null without allowed values', () => {
+      expect(getEnumOptions(config)).toEqual(['debug', 'info', 'warning']);
+      expect(getEnumOptions({ allowed_values: [] })).toBeNull();
+      expect(getEnumOptions({})).toBeNull();
+    });
+  });
+
+  describe('validateValue - duration', () => {
+    test('accepts durations and plain seconds', () => {
+      expect(validateValue('15m', 'duration', {})).toBeNull();
+      expect(validateValue('1h30m', 'duration', {})).toBeNull();
+      expect(validateValue('90', 'duration', {})).toBeNull();
+    });
+
+    test('rejects invalid durations', () => {
+      expect(validateValue('soon', 'duration', {})).toBe('Value must be a duration like 30s, 15m, 2h or 1d');
+      expect(validateValue('15x', 'duration', {})).toBe('Value must be a duration like 30s, 15m, 2h or 1d');
+    });
+
+    test('enforces min/max in seconds', () => {
+      const config = { min_value: 60, max_value: 86400 };
+      expect(validateValue('30s', 'duration', config)).toBe('Duration must be at least 1m');
+      expect(validateValue('2d', 'duration', config)).toBe('Duration must be at most 1d');
+      expect(validateValue('1d', 'duration', config)).toBeNull();
+    });
+
+    test('parseDuration', () => {
+      expect(parseDuration('1h30m')).toBe(5400);
+      expect(parseDuration(' 2H ')).toBe(7200);
+      expect(parseDuration('90')).toBe(90);
+      expect(parseDuration('')).toBeNull();
+      expect(parseDuration('m')).toBeNull();
+    });
+
+    test('formatDuration', () => {
+      expect(formatDuration(5400)).toBe('1h30m');
+      expect(formatDuration(86461)).toBe('1d1m1s');
+      expect(formatDuration(0)).toBe('0s');
+    });
+  });
+
+  describe('validateValue - cidr', () => {
+    test('accepts IPv4 addresses and ranges', () => {
+      expect(validateValue('10.0.0.0/24', 'cidr', {})).toBeNull();
+      expect(validateValue('192.168.1.5', 'cidr', {})).toBeNull();
+    });
+
+    test('rejects invalid ranges', () => {
+      expect(validateValue('10.0.0.0/33', 'cidr', {}))
+        .toBe('Value must be an IPv4 address or CIDR range (e.g. 10.0.0.0/24)');
+      expect(validateValue('office', 'cidr', {}))
+        .toBe('Value must be an IPv4 address or CIDR range (e.g. 10.0.0.0/24)');
+    });
+  });
+
+  describe('validateValue - json', () => {
+    test('accepts objects and arrays', () => {
+      expect(validateValue('{"a": 1}', 'json', {})).toBeNull();
+      expect(validateValue('[1, 2]', 'json', {})).toBeNull();
+    });
+
+    test('rejects invalid JSON', () => {
+      expect(validateValue('{a: 1}', 'json', {})).toMatch(/^Invalid JSON: /);
+    });
+
+    test('rejects scalar JSON values', () => {
+      expect(validateValue('42', 'json', {})).toBe('Value must be a JSON object or array');
+      expect(validateValue('null', 'json', {})).toBe('Value must be a JSON object or array');
+    });
+  });
+
+  describe('cross-field rules', () => {
+    const configs = [
+      { key: 'auth.access_token_minutes', value: 30, value_type: 'int' },
+      { key: 'auth.refresh_token_days', value: 1, value_type: 'int' },
+      { key: 'auth.login_window_seconds', value: 60, value_type: 'int' },
+      { key: 'auth.login_ban_duration_seconds', value: 900, value_type: 'int' },
+      { key: 'security.alert_rules', value: '[]', value_type: 'json' }
+    ];
+
+    test('accepts changes that keep the rules', () => {
+      expect(validateCrossFieldRules('auth.access_token_minutes', '60', configs)).toBeNull();
+      expect(validateCrossFieldRules('auth.refresh_token_days', '7', configs)).toBeNull();
+    });
+
+    test('rejects changes that break a rule', () => {
+      expect(validateCrossFieldRules('auth.access_token_minutes', '2000', configs))
+        .toBe('Access token lifetime must be shorter than the refresh token lifetime');
+      expect(validateCrossFieldRules('auth.login_ban_duration_seconds', '30', configs))
+        .toBe('Login ban duration must be at least as long as the login rate limit window');
+    });
+
+    test('skips rules whose keys do not exist', () => {
+      expect(validateCrossFieldRules('game.stuck_threshold_medium_minutes', '999', configs)).toBeNull();
+      expect(validateCrossFieldRules('security.alert_rules', '{not json', configs)).toBeNull();
+    });
+
+    test('validateConfigChange checks the value before the rules', () => {
+      const config = configs[0];
+      expect(validateConfigChange('abc', config, configs)).toBe('Value must be an integer');
+      expect(validateConfigChange('2000', config, configs))
+        .toBe('Access token lifetime must be shorter than the refresh token lifetime');
+      expect(validateConfigChange('2000', config)).toBeNull();
+    });
+
+    test('getCrossFieldErrors checks several changed keys together', () => {
+      expect(getCrossFieldErrors({ 'auth.access_token_minutes': 2000, 'auth.refresh_token_days': 7 }, configs)).toEqual([]);
+      expect(getCrossFieldErrors({ 'auth.access_token_minutes': 2000, 'auth.login_ban_duration_seconds': 30 }, configs))
+        .toEqual([
+          {
+            keys: ['auth.access_token_minutes', 'auth.refresh_token_days'],
+            message: 'Access token lifetime must be shorter than the refresh token lifetime'
+          },
+          {
+            keys: ['auth.login_window_seconds', 'auth.login_ban_duration_seconds'],
+            message: 'Login ban duration must be at least as long as the login rate limit window'
+          }
+        ]);
+    });
+  });
+
   describe('convertToType', () => {
     describe('integer conversion', () => {
       test('converts string to integer', () => {
@@ -256,6 +424,30 @@ describe('configValidator', () => {
       });
     });
 
+    describe('duration, cidr and json conversion', () => {
+      test('trims durations and ranges', () => {
+        expect(convertToType(' 15m ', 'duration')).toBe('15m');
+        expect(convertToType('10.0.0.0/24 ', 'cidr')).toBe('10.0.0.0/24');
+      });
+
+      test('compacts JSON', () => {
+        expect(convertToType('{\n  "a": [1, 2]\n}', 'json')).toBe('{"a":[1,2]}');
+      });
+    });
+
+    describe('formatValueForEdit', () => {
+      test('pretty-prints JSON values', () => {
+        expect(formatValueForEdit('{"a":1}', 'json')).toBe('{\n  "a": 1\n}');
+        expect(formatValueForEdit([1], 'json')).toBe('[\n  1\n]');
+      });
+
+      test('keeps unparsable JSON and other types as text', () => {
+        expect(formatValueForEdit('{broken', 'json')).toBe('{broken');
+        expect(formatValueForEdit(42, 'int')).toBe('42');
+        expect(formatValueForEdit(null, 'string')).toBe('');
+      });
+    });
+
     describe('unknown type conversion', () => {
       test('returns value as-is for unknown type', () => {
         expect(convertToType('test', 'unknown')).toBe('test');
@@ -280,6 +472,12 @@ describe('configValidator', () => {
       expect(getTypeDescription('string')).toBe('text');
     });
 
+    test('returns descriptions for duration, cidr and json', () => {
+      expect(getTypeDescription('duration')).toBe('duration (e.g. 30s, 15m, 2h, 1d)');
+      expect(getTypeDescription('cidr')).toBe('IPv4 address or CIDR range');
+      expect(getTypeDescription('json')).toBe('JSON object or array');
+    });
+
     test('returns generic description for unknown type', () => {
       expect(getTypeDescription('unknown')).toBe('value');
     });